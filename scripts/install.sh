@@ -35,6 +35,58 @@ fi
 if [ -f "mcp-toolkit/servers/schema-generation/mcp-schema-server.mjs" ]; then
     cp mcp-toolkit/servers/schema-generation/mcp-schema-server.mjs ./
     cp mcp-toolkit/servers/schema-generation/schema-generator.mjs ./
+    cp mcp-toolkit/servers/schema-generation/php-source.mjs ./
+    cp mcp-toolkit/servers/schema-generation/php-config-parser.mjs ./
+    cp mcp-toolkit/servers/schema-generation/config-redaction.mjs ./
+    cp mcp-toolkit/servers/schema-generation/php-class-analyzer.mjs ./
+    cp mcp-toolkit/servers/schema-generation/migration-replay.mjs ./
+    cp mcp-toolkit/servers/schema-generation/sql-ddl-parser.mjs ./
+    cp mcp-toolkit/servers/schema-generation/laravel-naming.mjs ./
+    cp mcp-toolkit/servers/schema-generation/eloquent-model-analyzer.mjs ./
+    cp mcp-toolkit/servers/schema-generation/relationship-graph.mjs ./
+    cp mcp-toolkit/servers/schema-generation/laravel-route-parser.mjs ./
+    cp mcp-toolkit/servers/schema-generation/form-request-analyzer.mjs ./
+    cp mcp-toolkit/servers/schema-generation/json-resource-analyzer.mjs ./
+    cp mcp-toolkit/servers/schema-generation/openapi-builder.mjs ./
+    cp mcp-toolkit/servers/schema-generation/laravel-bootstrap-parser.mjs ./
+    cp mcp-toolkit/servers/schema-generation/ruby-source.mjs ./
+    cp mcp-toolkit/servers/schema-generation/rails-schema-parser.mjs ./
+    cp mcp-toolkit/servers/schema-generation/rails-route-parser.mjs ./
+    cp mcp-toolkit/servers/schema-generation/ruby-class-analyzer.mjs ./
+    cp mcp-toolkit/servers/schema-generation/active-record-analyzer.mjs ./
+    cp mcp-toolkit/servers/schema-generation/rails-controller-analyzer.mjs ./
+    cp mcp-toolkit/servers/schema-generation/rails-config-parser.mjs ./
+    cp mcp-toolkit/servers/schema-generation/python-source.mjs ./
+    cp mcp-toolkit/servers/schema-generation/python-module-analyzer.mjs ./
+    cp mcp-toolkit/servers/schema-generation/django-settings-parser.mjs ./
+    cp mcp-toolkit/servers/schema-generation/django-model-analyzer.mjs ./
+    cp mcp-toolkit/servers/schema-generation/django-model-registry.mjs ./
+    cp mcp-toolkit/servers/schema-generation/django-url-parser.mjs ./
+    cp mcp-toolkit/servers/schema-generation/django-view-analyzer.mjs ./
+    cp mcp-toolkit/servers/schema-generation/drf-serializer-analyzer.mjs ./
+    cp mcp-toolkit/servers/schema-generation/js-source.mjs ./
+    cp mcp-toolkit/servers/schema-generation/js-module-analyzer.mjs ./
+    cp mcp-toolkit/servers/schema-generation/express-route-parser.mjs ./
+    cp mcp-toolkit/servers/schema-generation/prisma-schema-parser.mjs ./
+    cp mcp-toolkit/servers/schema-generation/sequelize-model-analyzer.mjs ./
+    cp mcp-toolkit/servers/schema-generation/mongoose-schema-analyzer.mjs ./
+    cp mcp-toolkit/servers/schema-generation/knex-migration-parser.mjs ./
+    cp mcp-toolkit/servers/schema-generation/symfony-config-parser.mjs ./
+    cp mcp-toolkit/servers/schema-generation/symfony-route-parser.mjs ./
+    cp mcp-toolkit/servers/schema-generation/doctrine-entity-analyzer.mjs ./
+    cp mcp-toolkit/servers/schema-generation/doctrine-migration-parser.mjs ./
+    cp mcp-toolkit/servers/schema-generation/sql-migration-parser.mjs ./
+    cp mcp-toolkit/servers/schema-generation/openapi-spec-parser.mjs ./
+    cp mcp-toolkit/servers/schema-generation/graphql-sdl-parser.mjs ./
+    cp mcp-toolkit/servers/schema-generation/docker-compose-parser.mjs ./
+    cp mcp-toolkit/servers/schema-generation/schema-cache.mjs ./
+    cp mcp-toolkit/servers/schema-generation/file-scanner.mjs ./
+    cp mcp-toolkit/servers/schema-generation/json-schemas.mjs ./
+    cp mcp-toolkit/servers/schema-generation/schema-markdown-renderer.mjs ./
+    cp mcp-toolkit/servers/schema-generation/context-pack-builder.mjs ./
+    cp mcp-toolkit/servers/schema-generation/schema-version-store.mjs ./
+    cp mcp-toolkit/servers/schema-generation/schema-differ.mjs ./
+    cp mcp-toolkit/servers/schema-generation/migration-safety-linter.mjs ./
     cp mcp-toolkit/servers/schema-generation/generate-schemas.sh ./
     chmod +x generate-schemas.sh
     echo "✅ Schema Generation Server copied"
@@ -71,7 +123,7 @@ fi
 # Install dependencies
 echo "📦 Installing dependencies..."
 if [ -f "package.json" ]; then
-    npm install @modelcontextprotocol/sdk js-yaml
+    npm install @modelcontextprotocol/sdk js-yaml php-parser
     echo "✅ Dependencies installed"
 else
     echo "⚠️  No package.json found - skipping npm install"
@@ -0,0 +1,234 @@
+/**
+ * Active Record Model Analyzer
+ *
+ * Reduces an Active Record model to the structured data the Eloquent
+ * analyzer produces for Laravel: table and key configuration, associations
+ * (named with the Eloquent relation types so the relationship graph can use
+ * them, with Rails' default key naming applied), plus validations,
+ * callbacks, scopes, enums and attachments.
+ */
+
+import { RubyClassAnalyzer } from './ruby-class-analyzer.mjs';
+import { camelize, underscore } from './ruby-source.mjs';
+import { pluralize, singularize } from './laravel-naming.mjs';
+
+// Keys of `validates` that qualify when it runs rather than name a validator
+const VALIDATION_OPTIONS = ['if', 'unless', 'on', 'allow_nil', 'allow_blank', 'strict', 'message'];
+
+// validates_presence_of :title -> presence
+const VALIDATES_SHORTHAND = /^validates_(\w+?)_of$/;
+
+const CALLBACK_PATTERN = /^(before|after|around)_(validation|save|create|update|destroy|commit|rollback|initialize|find|touch|create_commit|update_commit|destroy_commit|save_commit)$/;
+
+const ATTACHMENT_MACROS = { has_one_attached: 'one', has_many_attached: 'many', has_rich_text: 'rich_text' };
+
+class ActiveRecordModelAnalyzer {
+    constructor() {
+        this.classAnalyzer = new RubyClassAnalyzer();
+    }
+
+    analyze(content, file = 'model.rb') {
+        const description = this.classAnalyzer.analyze(content, file);
+        if (!description.class) return { class: null };
+
+        const settings = description.settings;
+        const baseName = description.class.split('::').pop();
+        const model = {
+            class: description.class,
+            nesting: description.nesting,
+            extends: description.extends,
+            summary: description.summary,
+            abstract: settings.abstract_class === true,
+            table: typeof settings.table_name === 'string' ? settings.table_name : pluralize(underscore(baseName)),
+            primaryKey: typeof settings.primary_key === 'string' ? settings.primary_key : 'id',
+            inheritanceColumn: typeof settings.inheritance_column === 'string' ? settings.inheritance_column : 'type',
+            concerns: description.includes,
+            relationships: [],
+            validations: [],
+            callbacks: [],
+            scopes: [],
+            enums: {},
+            casts: {},
+            attachments: [],
+            securePassword: false
+        };
+
+        for (const macro of description.macros) {
+            const names = macro.arguments.filter(argument => typeof argument === 'string');
+            const relationship = this.describeRelationship(macro, model);
+            if (relationship) {
+                model.relationships.push(relationship);
+                continue;
+            }
+
+            if (macro.name === 'validates' || VALIDATES_SHORTHAND.test(macro.name)) {
+                model.validations.push(this.describeValidation(macro, names));
+            } else if (macro.name === 'validate') {
+                model.validations.push({ methods: names, options: macro.options });
+            } else if (macro.name === 'validates_with') {
+                model.validations.push({ validators: macro.arguments.map(argument => argument.expression || argument), options: macro.options });
+            } else if (CALLBACK_PATTERN.test(macro.name)) {
+                const callback = { event: macro.name, methods: names, options: macro.options };
+                if (macro.block || macro.arguments.some(argument => argument && argument.expression)) callback.inline = true;
+                model.callbacks.push(callback);
+            } else if (macro.name === 'scope' && names.length > 0) {
+                model.scopes.push(this.describeScope(names[0], macro.arguments[1]));
+            } else if (macro.name === 'enum') {
+                Object.assign(model.enums, this.describeEnum(macro));
+            } else if (macro.name === 'attribute' && names.length > 1) {
+                model.casts[names[0]] = names[1];
+            } else if (macro.name === 'serialize' && names.length > 0) {
+                const coder = macro.options.coder || macro.arguments[1];
+                model.casts[names[0]] = { serialize: coder ? coder.expression || coder : 'YAML' };
+            } else if (ATTACHMENT_MACROS[macro.name]) {
+                model.attachments.push(...names.map(name => ({ name, type: ATTACHMENT_MACROS[macro.name] })));
+            } else if (macro.name === 'primary_abstract_class') {
+                model.abstract = true;
+            } else if (macro.name === 'has_secure_password') {
+                model.securePassword = names[0] || 'password';
+            }
+        }
+
+        return model;
+    }
+
+    /**
+     * `has_many :comments, dependent: :destroy` becomes an Eloquent-style
+     * relation (`type: 'hasMany'`) keeping the Rails macro and options.
+     * `related` is the class name as written; the generator resolves it
+     * against the model's module nesting.
+     */
+    describeRelationship(macro, model) {
+        const [name] = macro.arguments;
+        if (typeof name !== 'string') return null;
+        const options = macro.options;
+        const ownKey = `${underscore(model.class.split('::').pop()).split('/').pop()}_id`;
+        const relationship = { name, macro: macro.name };
+
+        switch (macro.name) {
+            case 'belongs_to':
+                if (options.polymorphic === true) {
+                    Object.assign(relationship, {
+                        type: 'morphTo',
+                        related: null,
+                        morphName: name,
+                        morphType: options.foreign_type || `${name}_type`,
+                        foreignKey: options.foreign_key || `${name}_id`
+                    });
+                } else {
+                    Object.assign(relationship, {
+                        type: 'belongsTo',
+                        related: options.class_name || camelize(name),
+                        foreignKey: options.foreign_key || `${name}_id`,
+                        ownerKey: options.primary_key || 'id'
+                    });
+                }
+                break;
+            case 'has_many':
+            case 'has_one': {
+                const many = macro.name === 'has_many';
+                const related = options.class_name || camelize(many ? singularize(options.source || name) : options.source || name);
+                if (options.through) {
+                    Object.assign(relationship, { type: many ? 'hasManyThrough' : 'hasOneThrough', related, through: options.through });
+                    if (options.source) relationship.source = options.source;
+                } else if (options.as) {
+                    Object.assign(relationship, {
+                        type: many ? 'morphMany' : 'morphOne',
+                        related,
+                        morphName: options.as,
+                        morphType: `${options.as}_type`,
+                        foreignKey: options.foreign_key || `${options.as}_id`
+                    });
+                } else {
+                    Object.assign(relationship, {
+                        type: many ? 'hasMany' : 'hasOne',
+                        related,
+                        foreignKey: options.foreign_key || ownKey,
+                        localKey: options.primary_key || model.primaryKey
+                    });
+                }
+                break;
+            }
+            case 'has_and_belongs_to_many': {
+                const related = options.class_name || camelize(singularize(name));
+                const relatedTable = pluralize(underscore(related.split('::').pop()));
+                Object.assign(relationship, {
+                    type: 'belongsToMany',
+                    related,
+                    table: options.join_table || [model.table, relatedTable].sort().join('_'),
+                    foreignPivotKey: options.foreign_key || ownKey,
+                    relatedPivotKey: options.association_foreign_key || `${singularize(name)}_id`
+                });
+                break;
+            }
+            default:
+                return null;
+        }
+
+        const extra = Object.fromEntries(Object.entries(options)
+            .filter(([key]) => !['class_name', 'foreign_key', 'primary_key', 'polymorphic', 'foreign_type', 'through', 'source', 'as', 'join_table', 'association_foreign_key'].includes(key)));
+        if (Object.keys(extra).length > 0) relationship.options = extra;
+        if (macro.arguments[1] && macro.arguments[1].expression) relationship.scope = macro.arguments[1].expression;
+        return relationship;
+    }
+
+    // validates :title, presence: true, length: { maximum: 255 }, if: :published?
+    describeValidation(macro, attributes) {
+        const options = {};
+        const rules = {};
+        for (const [key, value] of Object.entries(macro.options)) {
+            if (VALIDATION_OPTIONS.includes(key)) options[key] = value;
+            else rules[key] = value;
+        }
+
+        const shorthand = macro.name.match(VALIDATES_SHORTHAND);
+        if (shorthand) {
+            return { attributes, rules: { [shorthand[1]]: Object.keys(rules).length > 0 ? rules : true }, options };
+        }
+        return { attributes, rules, options };
+    }
+
+    // scope :by_author, ->(author) { where(author: author) }
+    describeScope(name, body) {
+        const expression = body && body.expression ? body.expression : '';
+        const parameters = expression.match(/^->\s*\(([^)]*)\)/) || expression.match(/^(?:lambda|proc)\s*(?:\{|do)\s*\|([^|]*)\|/);
+        const query = expression.match(/^(?:->\s*(?:\([^)]*\))?|lambda|proc)\s*(?:\{([\s\S]*)\}|do([\s\S]*)end)$/);
+        return {
+            name,
+            parameters: parameters ? parameters[1].split(',').map(parameter => parameter.trim().split(/[\s=:]/)[0]).filter(Boolean) : [],
+            query: query ? (query[1] || query[2] || '').replace(/^\s*\|[^|]*\|/, '').trim() : expression || null
+        };
+    }
+
+    /**
+     * `enum :status, { draft: 0, published: 1 }, prefix: true` (Rails 7+) and
+     * `enum status: [:draft, :published]` (older) both give
+     * `{ status: { values: { draft: 0, published: 1 }, options } }`.
+     */
+    describeEnum(macro) {
+        const enums = {};
+        const values = mapping => Array.isArray(mapping)
+            ? Object.fromEntries(mapping.map((value, index) => [value, index]))
+            : mapping;
+
+        if (typeof macro.arguments[0] === 'string') {
+            const options = { ...macro.options };
+            let mapping = macro.arguments[1];
+            if (mapping === undefined) {
+                // enum :status, draft: 0, published: 1
+                mapping = Object.fromEntries(Object.entries(options).filter(([key]) => !key.startsWith('_') && !['prefix', 'suffix', 'default', 'scopes', 'validate', 'instance_methods'].includes(key)));
+                for (const key of Object.keys(mapping)) delete options[key];
+            }
+            enums[macro.arguments[0]] = { values: values(mapping), options };
+            return enums;
+        }
+
+        const options = Object.fromEntries(Object.entries(macro.options).filter(([key]) => key.startsWith('_')));
+        for (const [attribute, mapping] of Object.entries(macro.options)) {
+            if (!attribute.startsWith('_')) enums[attribute] = { values: values(mapping), options };
+        }
+        return enums;
+    }
+}
+
+export { ActiveRecordModelAnalyzer };
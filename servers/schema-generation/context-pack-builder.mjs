@@ -0,0 +1,291 @@
+/**
+ * Context Pack Builder
+ *
+ * Condenses generated schemas into a digest an agent can load next to a
+ * task: one line per table, route, model and service, without the source
+ * excerpts schema files can carry. Entries are ranked by how well they
+ * match the task's text and the files it touches, then taken in that order
+ * while they fit the token budget. Tokens are estimated at four characters
+ * each.
+ */
+
+import path from 'path';
+import { singularize } from './laravel-naming.mjs';
+
+const DEFAULT_TOKEN_BUDGET = 4000;
+const CHARS_PER_TOKEN = 4;
+
+// Kept back from the budget for the line naming what was left out
+const OMITTED_LINE_TOKENS = 24;
+
+// Longest column, method and relationship lists shown on one line
+const MAX_LIST_LENGTH = 16;
+
+const SECTIONS = { tables: 'Tables', routes: 'Routes', models: 'Models', services: 'Services' };
+
+// Words that name nothing in particular, including the roles every framework has
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'for', 'from', 'has', 'have', 'if', 'in', 'into',
+    'is', 'it', 'its', 'new', 'not', 'of', 'on', 'or', 'should', 'so', 'that', 'the', 'their', 'them', 'then',
+    'there', 'this', 'to', 'use', 'using', 'when', 'which', 'will', 'with', 'all', 'add', 'make', 'sure', 'each',
+    'app', 'src', 'api', 'v1', 'v2', 'lib', 'index', 'main', 'test', 'tests', 'spec', 'controller', 'model',
+    'service', 'table', 'route', 'migration', 'schema', 'file', 'class', 'method', 'function', 'id', 'php', 'rb',
+    'py', 'js', 'ts', 'mjs'
+]);
+
+// Weights of a match on an entry's file, its own name, or its contents (columns, methods, relations)
+const FILE_WEIGHT = 12;
+const DIRECTORY_WEIGHT = 2;
+const NAME_WEIGHT = 4;
+const TEXT_WEIGHT = 1;
+
+class ContextPackBuilder {
+    /**
+     * Returns `{ text, tokens, tokenBudget, task, files, included, omitted }`
+     * for the schemas (`database`, `api`, `businessLogic`, `metadata`).
+     * `task` is a Task Master task whose title, description, details and
+     * subtasks rank the entries; `files` are project-relative paths whose
+     * entries rank first. Without either, entries keep schema order.
+     */
+    build(schemas, { task = null, files = [], tokenBudget = DEFAULT_TOKEN_BUDGET, project = null } = {}) {
+        const taskText = task ? this.taskText(task) : '';
+        const fileSet = new Set([...files, ...this.mentionedFiles(taskText)].map(file => this.normalizeFile(file)));
+        const keywords = new Set([
+            ...this.words(taskText),
+            ...[...fileSet].flatMap(file => this.words(path.basename(file, path.extname(file))))
+        ]);
+
+        const items = this.collectItems(schemas);
+        for (const item of items) item.score = this.score(item, keywords, fileSet);
+        this.spreadScores(items);
+
+        // Ties keep schema order, taking turns between sections so none crowds the others out
+        const ranked = [...items].sort((a, b) =>
+            b.score - a.score || a.position - b.position || Object.keys(SECTIONS).indexOf(a.section) - Object.keys(SECTIONS).indexOf(b.section));
+
+        const header = this.header(schemas, task, [...fileSet], project);
+        let tokens = this.estimateTokens(`${header.join('\n')}\n`) + OMITTED_LINE_TOKENS;
+        const included = new Set();
+        const started = new Set();
+        for (const item of ranked) {
+            // The first entry of a section also pays for its heading
+            const heading = started.has(item.section) ? '' : `\n## ${SECTIONS[item.section]}\n`;
+            const cost = this.estimateTokens(`${heading}${item.line}\n`);
+            if (tokens + cost > tokenBudget) continue;
+            included.add(item);
+            started.add(item.section);
+            tokens += cost;
+        }
+
+        const lines = [...header];
+        const counts = { included: {}, omitted: {} };
+        for (const [section, title] of Object.entries(SECTIONS)) {
+            const entries = items.filter(item => item.section === section);
+            const kept = entries.filter(item => included.has(item));
+            counts.included[section] = kept.length;
+            counts.omitted[section] = entries.length - kept.length;
+            if (kept.length === 0) continue;
+            lines.push('', `## ${title}`, ...kept.sort((a, b) => b.score - a.score || a.position - b.position).map(item => item.line));
+        }
+        const omitted = Object.entries(counts.omitted).filter(([, count]) => count > 0);
+        if (omitted.length > 0) {
+            lines.push('', `Left out for the token budget: ${omitted.map(([section, count]) => `${count} ${count === 1 ? section.replace(/s$/, '') : section}`).join(', ')}.`);
+        }
+
+        const text = `${lines.join('\n')}\n`;
+        return {
+            text,
+            tokens: this.estimateTokens(text),
+            tokenBudget,
+            task: task ? { id: task.id, title: task.title } : null,
+            files: [...fileSet],
+            included: counts.included,
+            omitted: counts.omitted
+        };
+    }
+
+    header(schemas, task, files, project) {
+        const framework = schemas.metadata && schemas.metadata.framework;
+        const lines = [`# Context pack${project ? `: ${project}` : ''}${framework && framework.type ? ` (${[framework.type, framework.version].filter(Boolean).join(' ')})` : ''}`];
+        if (task) lines.push(`Task ${task.id}: ${task.title || ''}`.trimEnd());
+        if (files.length > 0) lines.push(`Files: ${files.join(', ')}`);
+        return lines;
+    }
+
+    /**
+     * Every table, route, model and service as `{ section, position, line,
+     * files, names, words, tables }`: `names` are the words of its own name,
+     * `words` those of its contents, and `tables` the tables it maps to or
+     * references, which carry its relevance over.
+     */
+    collectItems(schemas) {
+        const items = [];
+        const positions = {};
+        const add = (section, item) => {
+            positions[section] = (positions[section] || 0) + 1;
+            items.push({ section, position: positions[section], ...item });
+        };
+        const database = schemas.database || {};
+        const api = schemas.api || {};
+        const businessLogic = schemas.businessLogic || {};
+
+        for (const [name, table] of Object.entries(database.tables || {})) {
+            const columns = Object.values(table.columns || {});
+            const foreignKeys = table.foreignKeys || [];
+            add('tables', {
+                line: `- ${name}(${this.list(columns.map(column => this.describeColumn(column, foreignKeys)))})`,
+                files: [table.createdIn, ...(table.modifiedIn || [])].filter(Boolean),
+                names: this.words(name),
+                words: columns.flatMap(column => this.words(column.name)),
+                tables: [name, ...foreignKeys.map(key => key.on)]
+            });
+        }
+
+        for (const route of api.routes || []) {
+            const action = route.action || {};
+            const methods = (route.methods || []).filter(method => method !== 'HEAD');
+            const middleware = route.middleware && route.middleware.length > 0 ? ` [${route.middleware.join(', ')}]` : '';
+            const handler = this.describeAction(action);
+            const controllerFile = action.controller && this.controllerFile(api.controllers, action.controller);
+            add('routes', {
+                line: `- ${methods.join(',')} /${String(route.uri).replace(/^\//, '')}${handler ? ` → ${handler}` : ''}${middleware}`,
+                files: [route.file, controllerFile].filter(Boolean),
+                names: [...this.words(String(route.uri).replace(/\{[^}]*\}|:\w+|<[^>]*>/g, '')), ...this.words(route.name || '')],
+                words: [...this.words(this.basename(action.controller || '')), ...this.words(action.method || action.operationId || '')],
+                tables: []
+            });
+        }
+
+        for (const [name, model] of Object.entries(businessLogic.models || {})) {
+            const relationships = model.relationships || [];
+            const className = this.basename(model.name || model.class || name);
+            add('models', {
+                line: `- ${className}${model.table ? ` (${model.table})` : ''}${relationships.length > 0 ? `: ${this.list(relationships.map(relation => `${relation.type || relation.macro} ${relation.related ? `${this.basename(relation.related)} ` : ''}${relation.name}`))}` : ''}`,
+                files: [model.path || model.file].filter(Boolean),
+                names: this.words(className),
+                words: [...Object.keys(model.fields || {}), ...relationships.map(relation => relation.name)].flatMap(word => this.words(word)),
+                tables: [model.table, ...relationships.map(relation => relation.relatedTable)].filter(Boolean)
+            });
+        }
+
+        for (const [name, service] of Object.entries(businessLogic.services || {})) {
+            const methods = (service.methods || []).filter(method => !method.visibility || method.visibility === 'public');
+            const signature = method => `${method.name}(${(method.parameters || []).map(parameter => parameter.name).join(', ')})`;
+            const label = service.function ? signature({ name: service.function, parameters: service.parameters }) : this.basename(service.class || name);
+            add('services', {
+                line: `- ${label}${methods.length > 0 ? `: ${this.list(methods.map(signature))}` : ''}${service.summary ? ` — ${this.text(service.summary)}` : ''}`,
+                files: [service.path || service.file].filter(Boolean),
+                names: this.words(this.basename(service.function || service.class || name)),
+                words: methods.flatMap(method => this.words(method.name)),
+                tables: []
+            });
+        }
+
+        return items;
+    }
+
+    score(item, keywords, fileSet) {
+        let score = 0;
+        const directories = new Set([...fileSet].map(file => path.posix.dirname(file)));
+        const basenames = new Set([...fileSet].map(file => path.posix.basename(file)));
+        for (const file of item.files) {
+            const normalized = this.normalizeFile(file);
+            // Migrations are recorded by file name alone
+            const matches = normalized.includes('/') ? fileSet.has(normalized) : basenames.has(normalized);
+            if (matches) score += FILE_WEIGHT;
+            else if (normalized.includes('/') && directories.has(path.posix.dirname(normalized))) score += DIRECTORY_WEIGHT;
+        }
+        score += new Set(item.names.filter(word => keywords.has(word))).size * NAME_WEIGHT;
+        score += Math.min(3, new Set(item.words.filter(word => keywords.has(word))).size) * TEXT_WEIGHT;
+        return score;
+    }
+
+    // A relevant model makes its table relevant and the other way round, as do tables a relevant table references
+    spreadScores(items) {
+        const tableScores = new Map();
+        for (const item of items) {
+            for (const table of item.tables) tableScores.set(table, Math.max(tableScores.get(table) || 0, item.score));
+        }
+        for (const item of items) {
+            const carried = Math.max(0, ...item.tables.map(table => tableScores.get(table) || 0));
+            item.score = Math.max(item.score, carried / 2);
+        }
+    }
+
+    describeColumn(column, foreignKeys) {
+        const key = foreignKeys.find(foreignKey => foreignKey.column === column.name);
+        return [
+            column.name,
+            column.type,
+            column.primary ? 'pk' : null,
+            column.unique ? 'unique' : null,
+            column.nullable ? 'null' : null,
+            key ? `→ ${key.on}.${key.references}` : null
+        ].filter(Boolean).join(' ');
+    }
+
+    describeAction(action) {
+        if (action.controller) return `${this.basename(action.controller)}${action.method ? `@${action.method}` : ''}`;
+        return action.operationId || action.uses || action.app || (action.type === 'closure' ? 'closure' : '');
+    }
+
+    // The file of a route's controller class, when the API schema describes it
+    controllerFile(controllers = {}, controller) {
+        const match = Object.values(controllers || {}).find(description =>
+            description && (description.class === controller || `${description.namespace}\\${description.class}` === controller ||
+                this.basename(description.class || '') === this.basename(controller)));
+        return match ? match.path || match.file : null;
+    }
+
+    list(values) {
+        const shown = values.slice(0, MAX_LIST_LENGTH);
+        return `${shown.join(', ')}${values.length > shown.length ? `, +${values.length - shown.length} more` : ''}`;
+    }
+
+    text(value) {
+        const line = String(value).replace(/\s*\n\s*/g, ' ').trim();
+        return line.length > 80 ? `${line.slice(0, 79)}…` : line;
+    }
+
+    // App\Models\User, Admin::User and blog.models.Post -> User, User, Post
+    basename(name) {
+        return String(name).split(/\\|::|\./).pop();
+    }
+
+    taskText(task) {
+        return [
+            task.title,
+            task.description,
+            task.details,
+            task.testStrategy,
+            ...(task.subtasks || []).flatMap(subtask => [subtask.title, subtask.description, subtask.details])
+        ].filter(Boolean).join('\n');
+    }
+
+    // Paths written out in a task, such as app/Models/Invoice.php
+    mentionedFiles(text) {
+        return [...text.matchAll(/(?:^|[\s`'"(])((?:[\w.-]+\/)+[\w.-]+\.\w{1,5})(?=$|[\s`'"),:;])/g)].map(match => match[1]);
+    }
+
+    normalizeFile(file) {
+        return path.posix.normalize(String(file).split(path.sep).join('/')).replace(/^\.\//, '');
+    }
+
+    // InvoiceLineItems, invoice_line_items and "invoice line items" -> invoice, line, item
+    words(text) {
+        return String(text)
+            .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+            .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+            .toLowerCase()
+            .split(/[^a-z\d]+/)
+            .filter(word => word.length > 1 && !/^\d+$/.test(word) && !STOP_WORDS.has(word))
+            .map(word => singularize(word))
+            .filter(word => !STOP_WORDS.has(word));
+    }
+
+    estimateTokens(text) {
+        return Math.ceil(text.length / CHARS_PER_TOKEN);
+    }
+}
+
+export { ContextPackBuilder, DEFAULT_TOKEN_BUDGET };
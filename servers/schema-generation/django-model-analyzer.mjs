@@ -0,0 +1,257 @@
+/**
+ * Django Model Analyzer
+ *
+ * Reads the model classes of one module (`blog/models.py` or a module of a
+ * `models/` package): fields with their options, relations (named with the
+ * Eloquent relation types so the relationship graph can use them), `Meta`
+ * options, managers, and `TextChoices`/`IntegerChoices` enumerations. The
+ * classes are returned unfiltered; the model registry works out which of
+ * them are models once every module has been read.
+ */
+
+import { PythonModuleAnalyzer } from './python-module-analyzer.mjs';
+import { parseCall, parseValue } from './python-source.mjs';
+
+const RELATION_FIELDS = ['ForeignKey', 'OneToOneField', 'ManyToManyField', 'ParentalKey', 'ParentalManyToManyField'];
+
+const GENERIC_FIELDS = ['GenericForeignKey', 'GenericRelation'];
+
+// Options read into dedicated keys of a field description
+const FIELD_KEYS = {
+    null: 'nullable',
+    blank: 'blank',
+    unique: 'unique',
+    primary_key: 'primaryKey',
+    db_index: 'index',
+    max_length: 'maxLength',
+    max_digits: 'precision',
+    decimal_places: 'scale',
+    db_column: 'column',
+    help_text: 'helpText',
+    verbose_name: 'verboseName',
+    editable: 'editable'
+};
+
+const CHOICES_BASES = ['TextChoices', 'IntegerChoices', 'Choices'];
+
+class DjangoModelAnalyzer {
+    constructor() {
+        this.moduleAnalyzer = new PythonModuleAnalyzer();
+    }
+
+    /**
+     * Returns `{ module, file, classes, choices }`: every class of the module
+     * described as a model candidate, and the choices enumerations it defines.
+     */
+    analyze(content, module, file = null) {
+        const description = this.moduleAnalyzer.analyze(content, module, file);
+        const classes = [];
+        const choices = {};
+
+        const collect = (entries) => {
+            for (const entry of entries) {
+                if (this.isChoices(entry)) {
+                    choices[entry.class] = this.describeChoices(entry);
+                } else {
+                    classes.push(this.describeClass(entry, file));
+                }
+                // Choices are often nested in the model that uses them
+                for (const nested of entry.classes) {
+                    if (this.isChoices(nested)) choices[nested.class] = this.describeChoices(nested);
+                }
+            }
+        };
+        collect(description.classes);
+
+        return { module, file, classes, choices };
+    }
+
+    isChoices(entry) {
+        return entry.bases.some(base => CHOICES_BASES.includes(base.split('.').pop()));
+    }
+
+    // class Status(models.TextChoices): DRAFT = "draft", _("Draft")
+    describeChoices(entry) {
+        const values = {};
+        for (const attribute of entry.attributes) {
+            // DRAFT = "draft", _("Draft") is a (value, label) tuple
+            const value = parseValue(`(${attribute.value})`);
+            values[attribute.name] = Array.isArray(value) ? value[0] : value;
+        }
+        return { class: entry.class, type: entry.bases[0].split('.').pop(), values };
+    }
+
+    describeClass(entry, file) {
+        const meta = entry.classes.find(nested => nested.name === 'Meta');
+        const model = {
+            class: entry.class,
+            name: entry.name,
+            file,
+            bases: entry.bases,
+            summary: entry.summary,
+            meta: meta ? this.describeMeta(meta) : {},
+            fields: {},
+            relationships: [],
+            managers: [],
+            methods: entry.methods.filter(method => !method.property).map(method => method.name),
+            properties: entry.methods.filter(method => method.property).map(method => method.name),
+            line: entry.line
+        };
+
+        for (const attribute of entry.attributes) {
+            const call = parseCall(attribute.value);
+            if (!call) continue;
+            const type = call.name.split('.').pop();
+
+            if (RELATION_FIELDS.includes(type) || GENERIC_FIELDS.includes(type)) {
+                const relation = this.describeRelation(attribute.name, type, call);
+                model.relationships.push(relation);
+                // Many-to-many and generic relations have no column of their own
+                if (relation.type !== 'belongsTo') continue;
+            }
+            if (/Field$|^ForeignKey$|^ParentalKey$/.test(type)) {
+                model.fields[attribute.name] = this.describeField(attribute.name, type, call);
+            } else if (/Manager$/.test(type) || /\.(?:from_queryset|as_manager)\b/.test(attribute.value)) {
+                model.managers.push({ name: attribute.name, class: this.moduleAnalyzer.resolve(call.name.replace(/\.(?:from_queryset|as_manager)$/, '')) });
+            }
+        }
+
+        return model;
+    }
+
+    // class Meta: db_table = "posts"; ordering = ["-created_at"]
+    describeMeta(meta) {
+        const options = {};
+        for (const attribute of meta.attributes) {
+            if (['indexes', 'constraints'].includes(attribute.name)) {
+                options[attribute.name] = this.describeIndexes(attribute.value);
+            } else {
+                options[attribute.name] = parseValue(attribute.value);
+            }
+        }
+        return options;
+    }
+
+    // [models.Index(fields=["slug"], name="post_slug_idx"), models.UniqueConstraint(...)]
+    describeIndexes(source) {
+        const list = parseValue(source);
+        if (!Array.isArray(list)) return [{ expression: source }];
+        return list.map(entry => {
+            const call = entry && entry.expression ? parseCall(entry.expression) : null;
+            if (!call) return entry;
+            const described = { type: call.name.split('.').pop() };
+            for (const [key, value] of Object.entries(call.args.options)) {
+                described[key] = parseValue(value);
+            }
+            if (call.args.positional.length > 0) described.expressions = call.args.positional.map(parseValue);
+            return described;
+        });
+    }
+
+    describeField(name, type, call) {
+        const field = { name, type, column: name, nullable: false, blank: false, unique: false, primaryKey: false, index: false };
+        const positional = call.args.positional.map(parseValue);
+        const options = {};
+
+        if (RELATION_FIELDS.includes(type)) {
+            // The related model is the first argument; the column holds its key
+            field.column = `${name}_id`;
+            field.index = true;
+        } else if (typeof positional[0] === 'string') {
+            field.verboseName = positional[0];
+        }
+        if (type === 'OneToOneField') field.unique = true;
+        if (type === 'SlugField') field.index = true;
+
+        for (const [key, raw] of Object.entries(call.args.options)) {
+            const value = parseValue(raw);
+            if (FIELD_KEYS[key]) {
+                field[FIELD_KEYS[key]] = value;
+            } else if (key === 'default') {
+                field.default = value;
+            } else if (key === 'choices') {
+                field.choices = value && value.expression ? this.moduleAnalyzer.resolve(value.expression.replace(/\.choices$/, '')) : value;
+            } else if (!['to', 'on_delete', 'related_name', 'related_query_name', 'through', 'through_fields', 'to_field', 'db_table', 'symmetrical', 'limit_choices_to', 'db_constraint'].includes(key)) {
+                options[key] = value;
+            }
+        }
+        if (field.primaryKey) field.unique = true;
+        if (Object.keys(options).length > 0) field.options = options;
+        return field;
+    }
+
+    /**
+     * `author = models.ForeignKey(User, on_delete=models.CASCADE)` becomes
+     * `{ name: 'author', type: 'belongsTo', related: 'blog.models.User' }`
+     * (the target as written or resolved through the imports; the registry
+     * resolves `"app.Model"` strings and `settings.AUTH_USER_MODEL`).
+     */
+    describeRelation(name, type, call) {
+        const options = Object.fromEntries(Object.entries(call.args.options).map(([key, value]) => [key, parseValue(value)]));
+        const target = call.args.positional[0] !== undefined ? call.args.positional[0] : call.args.options.to;
+        const related = this.relatedTarget(target);
+        const relation = { name, field: type };
+
+        switch (type) {
+            case 'ForeignKey':
+            case 'ParentalKey':
+            case 'OneToOneField':
+                Object.assign(relation, {
+                    type: 'belongsTo',
+                    related,
+                    foreignKey: typeof options.db_column === 'string' ? options.db_column : `${name}_id`,
+                    ownerKey: typeof options.to_field === 'string' ? options.to_field : null
+                });
+                if (options.on_delete) relation.onDelete = this.constantName(options.on_delete);
+                if (type === 'OneToOneField') relation.unique = true;
+                break;
+            case 'ManyToManyField':
+            case 'ParentalManyToManyField':
+                Object.assign(relation, { type: 'belongsToMany', related });
+                if (typeof options.db_table === 'string') relation.table = options.db_table;
+                if (options.through !== undefined) relation.through = this.relatedTarget(call.args.options.through);
+                if (Array.isArray(options.through_fields)) relation.throughFields = options.through_fields;
+                break;
+            case 'GenericForeignKey': {
+                // GenericForeignKey("content_type", "object_id")
+                const [typeField, idField] = call.args.positional.map(parseValue);
+                Object.assign(relation, {
+                    type: 'morphTo',
+                    related: null,
+                    morphName: name,
+                    morphType: `${options.ct_field || typeField || 'content_type'}_id`,
+                    foreignKey: options.fk_field || idField || 'object_id'
+                });
+                break;
+            }
+            case 'GenericRelation':
+                Object.assign(relation, {
+                    type: 'morphMany',
+                    related,
+                    morphName: name,
+                    morphType: `${options.content_type_field || 'content_type'}_id`,
+                    foreignKey: options.object_id_field || 'object_id'
+                });
+                break;
+        }
+
+        if (typeof options.related_name === 'string') relation.relatedName = options.related_name;
+        return relation;
+    }
+
+    // "blog.Post" and "self" stay strings; Post and auth_models.User resolve through the imports
+    relatedTarget(source) {
+        if (source === undefined) return null;
+        const value = parseValue(source);
+        if (typeof value === 'string') return value;
+        const expression = value.expression;
+        if (/^(?:settings\.AUTH_USER_MODEL|get_user_model\(\))$/.test(expression)) return 'settings.AUTH_USER_MODEL';
+        return /^[\w.]+$/.test(expression) ? this.moduleAnalyzer.resolve(expression) : expression;
+    }
+
+    constantName(value) {
+        return value && value.expression ? value.expression.split('.').pop() : value;
+    }
+}
+
+export { DjangoModelAnalyzer };
@@ -0,0 +1,508 @@
+/**
+ * Django Model Registry
+ *
+ * Links the model candidates of every analyzed module the way Django's app
+ * registry does: keeps the classes that derive from `models.Model`, assigns
+ * them to their installed app, applies abstract and multi-table inheritance,
+ * resolves relation targets (`"app.Model"`, `"self"`, imported classes,
+ * `settings.AUTH_USER_MODEL`), and derives the database tables, including
+ * the implicit join tables of many-to-many fields.
+ */
+
+const MODEL_BASE = 'django.db.models.Model';
+
+// Fields contributed by the abstract models of django.contrib.auth
+const BASE_USER_FIELDS = {
+    password: { type: 'CharField', maxLength: 128 },
+    last_login: { type: 'DateTimeField', nullable: true, blank: true }
+};
+const PERMISSIONS_FIELDS = {
+    is_superuser: { type: 'BooleanField', default: false }
+};
+const ABSTRACT_USER_FIELDS = {
+    ...BASE_USER_FIELDS,
+    ...PERMISSIONS_FIELDS,
+    username: { type: 'CharField', maxLength: 150, unique: true },
+    first_name: { type: 'CharField', maxLength: 150, blank: true },
+    last_name: { type: 'CharField', maxLength: 150, blank: true },
+    email: { type: 'EmailField', maxLength: 254, blank: true },
+    is_staff: { type: 'BooleanField', default: false },
+    is_active: { type: 'BooleanField', default: true },
+    date_joined: { type: 'DateTimeField' }
+};
+const PERMISSIONS_RELATIONS = [
+    { name: 'groups', field: 'ManyToManyField', type: 'belongsToMany', related: 'auth.Group', relatedName: 'user_set' },
+    { name: 'user_permissions', field: 'ManyToManyField', type: 'belongsToMany', related: 'auth.Permission', relatedName: 'user_set' }
+];
+
+const ABSTRACT_BASES = {
+    'django.contrib.auth.models.AbstractBaseUser': { fields: BASE_USER_FIELDS, relationships: [] },
+    'django.contrib.auth.base_user.AbstractBaseUser': { fields: BASE_USER_FIELDS, relationships: [] },
+    'django.contrib.auth.models.PermissionsMixin': { fields: PERMISSIONS_FIELDS, relationships: PERMISSIONS_RELATIONS },
+    'django.contrib.auth.models.AbstractUser': { fields: ABSTRACT_USER_FIELDS, relationships: PERMISSIONS_RELATIONS }
+};
+
+// Models of django.contrib apps that project models commonly point at
+const CONTRIB_MODELS = {
+    'auth.User': { class: 'django.contrib.auth.models.User', table: 'auth_user' },
+    'auth.Group': { class: 'django.contrib.auth.models.Group', table: 'auth_group' },
+    'auth.Permission': { class: 'django.contrib.auth.models.Permission', table: 'auth_permission' },
+    'contenttypes.ContentType': { class: 'django.contrib.contenttypes.models.ContentType', table: 'django_content_type' },
+    'sites.Site': { class: 'django.contrib.sites.models.Site', table: 'django_site' }
+};
+
+// Key columns take the integer type of the auto field they reference
+const AUTO_FIELD_COLUMNS = { AutoField: 'IntegerField', BigAutoField: 'BigIntegerField', SmallAutoField: 'SmallIntegerField' };
+
+const ON_DELETE_ACTIONS = {
+    CASCADE: 'cascade',
+    SET_NULL: 'set null',
+    SET_DEFAULT: 'set default',
+    PROTECT: 'restrict',
+    RESTRICT: 'restrict',
+    DO_NOTHING: 'no action'
+};
+
+class DjangoModelRegistry {
+    /**
+     * @param {Object} options
+     * @param {Array} options.apps - installed apps as `{ name, label, defaultAutoField? }`
+     * @param {string} options.defaultAutoField - `DEFAULT_AUTO_FIELD` from settings
+     * @param {string} options.authUserModel - `AUTH_USER_MODEL` from settings
+     */
+    constructor({ apps = [], defaultAutoField = 'django.db.models.AutoField', authUserModel = 'auth.User' } = {}) {
+        // Longest module prefix first, so apps.blog.api wins over apps.blog
+        this.apps = [...apps].sort((a, b) => b.name.length - a.name.length);
+        this.defaultAutoField = defaultAutoField.split('.').pop();
+        this.authUserModel = authUserModel;
+    }
+
+    /**
+     * Returns the models keyed by their `app_label.ModelName` label, given
+     * the results of DjangoModelAnalyzer for every models module.
+     */
+    link(modules) {
+        this.candidates = {};
+        this.choices = {};
+        for (const module of modules) {
+            for (const candidate of module.classes) this.candidates[candidate.class] = { ...candidate, module: module.module };
+            Object.assign(this.choices, module.choices);
+        }
+
+        this.models = {};
+        this.byClass = {};
+        this.autoFields = {};
+        this.settled = new Set();
+        for (const candidate of Object.values(this.candidates)) {
+            if (!this.isModel(candidate.class, new Set())) continue;
+            const model = this.describeModel(candidate);
+            this.models[model.label] = model;
+            this.byClass[model.class] = model;
+        }
+
+        // Tables and keys depend on parents, so they are settled parents first
+        for (const model of Object.values(this.models)) this.settle(model, new Set());
+        for (const model of Object.values(this.models)) {
+            for (const relationship of model.relationships) this.resolveRelationship(model, relationship);
+        }
+
+        return this.models;
+    }
+
+    isModel(className, seen) {
+        if (className === MODEL_BASE || className === 'django.db.models.base.Model' || ABSTRACT_BASES[className]) return true;
+        const candidate = this.candidates[className];
+        if (!candidate || seen.has(className)) return false;
+        seen.add(className);
+        return candidate.bases.some(base => this.isModel(base, seen));
+    }
+
+    describeModel(candidate) {
+        const app = this.appFor(candidate);
+        const meta = candidate.meta || {};
+        this.autoFields[candidate.class] = (app.defaultAutoField || this.defaultAutoField).split('.').pop();
+        return {
+            class: candidate.class,
+            name: candidate.name,
+            app: app.label,
+            label: `${app.label}.${candidate.name}`,
+            file: candidate.file,
+            summary: candidate.summary,
+            abstract: meta.abstract === true,
+            proxy: meta.proxy === true,
+            managed: meta.managed !== false,
+            table: null,
+            primaryKey: null,
+            parents: [],
+            fields: {},
+            relationships: [],
+            meta,
+            managers: candidate.managers,
+            methods: candidate.methods,
+            properties: candidate.properties
+        };
+    }
+
+    // Meta.app_label, else the installed app whose module contains the model
+    appFor(candidate) {
+        if (candidate.meta && typeof candidate.meta.app_label === 'string') {
+            return this.apps.find(app => app.label === candidate.meta.app_label) || { name: candidate.meta.app_label, label: candidate.meta.app_label };
+        }
+        const app = this.apps.find(app => candidate.module === app.name || candidate.module.startsWith(`${app.name}.`));
+        if (app) return app;
+        // Not installed: Django would refuse it, but the module's package is the best guess
+        const label = candidate.module.replace(/\.models(?:\..*)?$/, '').split('.').pop();
+        return { name: label, label };
+    }
+
+    /**
+     * Copies fields and relations from abstract parents, adds the parent
+     * link of multi-table inheritance, and works out table and primary key.
+     */
+    settle(model, seen) {
+        if (this.settled.has(model.class) || seen.has(model.class)) return model;
+        seen.add(model.class);
+
+        const candidate = this.candidates[model.class];
+        const fields = {};
+        const relationships = [];
+        const inheritedMeta = {};
+        let concreteParent = null;
+
+        for (const base of candidate.bases) {
+            if (ABSTRACT_BASES[base]) {
+                for (const [name, field] of Object.entries(ABSTRACT_BASES[base].fields)) {
+                    fields[name] = this.builtinField(name, field);
+                }
+                relationships.push(...ABSTRACT_BASES[base].relationships.map(relationship => ({ ...relationship })));
+                continue;
+            }
+            const parent = this.byClass[base];
+            if (!parent) continue;
+            this.settle(parent, seen);
+
+            if (parent.abstract) {
+                Object.assign(fields, structuredClone(parent.fields));
+                relationships.push(...structuredClone(parent.relationships));
+                // Children of abstract models inherit Meta, except `abstract` itself
+                const { abstract, ...meta } = parent.meta;
+                Object.assign(inheritedMeta, meta);
+            } else if (!concreteParent) {
+                concreteParent = parent;
+            }
+        }
+
+        model.meta = { ...inheritedMeta, ...model.meta };
+        Object.assign(fields, structuredClone(candidate.fields));
+        relationships.push(...structuredClone(candidate.relationships));
+        for (const relationship of relationships) relationship.declaredIn = relationship.declaredIn || model.label;
+
+        if (concreteParent) {
+            model.parents = [concreteParent.label, ...concreteParent.parents];
+            if (model.proxy) {
+                model.table = concreteParent.table;
+                model.primaryKey = concreteParent.primaryKey;
+            } else {
+                // Multi-table inheritance links the child row to its parent row
+                const link = `${concreteParent.name.toLowerCase()}_ptr`;
+                if (!Object.values(fields).some(field => field.primaryKey)) {
+                    const parentField = {
+                        name: link, type: 'OneToOneField', column: `${link}_id`, nullable: false, blank: false,
+                        unique: true, primaryKey: true, index: true, parentLink: true
+                    };
+                    // The parent link comes first, where the implicit `id` would be
+                    const declared = { ...fields };
+                    for (const name of Object.keys(fields)) delete fields[name];
+                    Object.assign(fields, { [link]: parentField }, declared);
+                    relationships.unshift({ name: link, field: 'OneToOneField', type: 'belongsTo', related: concreteParent.class, foreignKey: `${link}_id`, ownerKey: null, onDelete: 'CASCADE', unique: true, parentLink: true, declaredIn: model.label });
+                }
+            }
+        }
+
+        if (!model.abstract && !model.proxy) {
+            const primary = Object.values(fields).find(field => field.primaryKey);
+            if (!primary) {
+                const id = { name: 'id', type: this.autoFields[model.class], column: 'id', nullable: false, blank: true, unique: true, primaryKey: true, index: false, autoCreated: true };
+                model.fields = { id, ...fields };
+            } else {
+                model.fields = fields;
+            }
+            model.primaryKey = Object.values(model.fields).find(field => field.primaryKey).column;
+            model.table = typeof model.meta.db_table === 'string' ? model.meta.db_table : `${model.app}_${model.name.toLowerCase()}`;
+        } else {
+            model.fields = fields;
+        }
+
+        model.relationships = relationships;
+        this.settled.add(model.class);
+        return model;
+    }
+
+    builtinField(name, field) {
+        return { name, column: name, nullable: false, blank: false, unique: false, primaryKey: false, index: false, ...field };
+    }
+
+    /**
+     * Resolves `related` to a model class and fills in the keys the
+     * relationship graph needs: the referenced key of a foreign key and the
+     * join table and columns of a many-to-many field.
+     */
+    resolveRelationship(model, relationship) {
+        const target = this.findModel(relationship.related, model);
+        if (target) {
+            relationship.related = target.class;
+            relationship.relatedLabel = target.label;
+            relationship.relatedTable = target.table;
+        }
+        const targetKey = (target && target.primaryKey) || 'id';
+
+        if (relationship.type === 'belongsTo' && !relationship.ownerKey) {
+            relationship.ownerKey = targetKey;
+        }
+
+        if (relationship.type === 'belongsToMany' && !model.abstract) {
+            const through = relationship.through && this.findModel(relationship.through, model);
+            if (through) {
+                relationship.through = through.class;
+                relationship.table = through.table;
+                const keys = this.throughKeys(relationship, through, model, target);
+                relationship.foreignPivotKey = keys.source;
+                relationship.relatedPivotKey = keys.target;
+            } else {
+                // Django names the join table after the model table and the field
+                const self = target && target.class === model.class;
+                const source = model.name.toLowerCase();
+                const related = target ? target.name.toLowerCase() : String(relationship.related || '').split('.').pop().toLowerCase();
+                relationship.table = relationship.table || `${model.table}_${relationship.name}`;
+                relationship.foreignPivotKey = `${self ? 'from_' : ''}${source}_id`;
+                relationship.relatedPivotKey = `${self ? 'to_' : ''}${related}_id`;
+                relationship.autoCreated = true;
+            }
+        }
+    }
+
+    // The foreign keys of an explicit `through` model pointing at each side
+    throughKeys(relationship, through, model, target) {
+        if (relationship.throughFields) {
+            const [source, related] = relationship.throughFields.map(name => {
+                const field = through.fields[name];
+                return field ? field.column : `${name}_id`;
+            });
+            return { source, target: related };
+        }
+        const pointing = (className) => {
+            const link = through.relationships.find(candidate => candidate.type === 'belongsTo' &&
+                this.findModel(candidate.related, through) && this.findModel(candidate.related, through).class === className);
+            return link ? link.foreignKey : null;
+        };
+        return {
+            source: pointing(model.class) || `${model.name.toLowerCase()}_id`,
+            target: (target && pointing(target.class)) || `${String(relationship.related).split('.').pop().toLowerCase()}_id`
+        };
+    }
+
+    /**
+     * Finds the model a relation points at: `"self"`, `"app_label.Model"`,
+     * a bare `"Model"` of the same app, a dotted class path, or the user model.
+     */
+    findModel(reference, model) {
+        if (!reference || typeof reference !== 'string') return null;
+        if (reference === 'self') return model;
+        if (reference === 'settings.AUTH_USER_MODEL') return this.findModel(this.authUserModel, model);
+        if (this.byClass[reference]) return this.byClass[reference];
+        if (this.models[reference]) return this.models[reference];
+        if (!reference.includes('.')) return this.models[`${model.app}.${reference}`] || null;
+
+        // A class imported from a models package (blog.models.Post defined in blog/models/post.py)
+        const name = reference.split('.').pop();
+        const module = reference.split('.').slice(0, -1).join('.');
+        const packaged = Object.values(this.models).find(candidate => candidate.name === name && candidate.class.startsWith(`${module}.`));
+        if (packaged) return packaged;
+
+        const contrib = Object.entries(CONTRIB_MODELS).find(([label, entry]) => label === reference || entry.class === reference);
+        return contrib ? { ...contrib[1], label: contrib[0], name: contrib[0].split('.').pop(), primaryKey: 'id' } : null;
+    }
+
+    /**
+     * The database tables of the concrete, non-proxy models, shaped like the
+     * migration replay engine's, plus the join tables Django creates for
+     * many-to-many fields without a `through` model.
+     */
+    tables() {
+        const tables = {};
+        for (const model of Object.values(this.models)) {
+            if (model.abstract || model.proxy) continue;
+            const table = this.createTable(model.table, model.file, model.label);
+            if (!model.managed) table.managed = false;
+
+            for (const field of Object.values(model.fields)) {
+                this.addColumn(table, field, model);
+            }
+            table.indexes.unshift({ name: `${model.table}_pkey`, type: 'primary', columns: [model.primaryKey] });
+            this.addMetaIndexes(table, model);
+            tables[model.table] = table;
+        }
+
+        for (const model of Object.values(this.models)) {
+            if (model.abstract || model.proxy) continue;
+            for (const relationship of model.relationships) {
+                if (relationship.type !== 'belongsToMany' || !relationship.autoCreated || tables[relationship.table]) continue;
+                tables[relationship.table] = this.joinTable(model, relationship);
+            }
+        }
+
+        return tables;
+    }
+
+    createTable(name, file, label) {
+        return { name, model: label, createdIn: file, modifiedIn: [], columns: {}, foreignKeys: [], indexes: [], checks: [] };
+    }
+
+    addColumn(table, field, model) {
+        const relationship = model.relationships.find(candidate => candidate.type === 'belongsTo' && candidate.name === field.name);
+        const target = relationship && this.findModel(relationship.related, model);
+
+        const column = {
+            name: field.column,
+            type: relationship ? this.keyColumnType(target) : field.type,
+            nullable: field.nullable === true,
+            default: field.default !== undefined ? this.defaultValue(field, model) : null,
+            unique: field.unique === true,
+            index: field.index === true && !field.primaryKey
+        };
+        if (field.primaryKey) {
+            column.primary = true;
+            column.autoIncrement = Boolean(AUTO_FIELD_COLUMNS[field.type]);
+        }
+        if (field.maxLength !== undefined) column.length = field.maxLength;
+        if (field.precision !== undefined) column.precision = field.precision;
+        if (field.scale !== undefined) column.scale = field.scale;
+        if (typeof field.helpText === 'string') column.comment = field.helpText;
+        const options = this.choiceValues(field.choices, model);
+        if (options) column.options = options;
+        column.provenance = [{ model: model.label, action: field.autoCreated ? 'auto_created' : 'declared' }];
+        table.columns[field.column] = column;
+
+        if (relationship && relationship.relatedTable && (!field.options || field.options.db_constraint !== false)) {
+            table.foreignKeys.push({
+                column: field.column,
+                on: relationship.relatedTable,
+                references: relationship.ownerKey || 'id',
+                onDelete: ON_DELETE_ACTIONS[relationship.onDelete] || null,
+                onUpdate: null,
+                migration: model.file
+            });
+        }
+        if (column.unique && !field.primaryKey) {
+            table.indexes.push({ name: `${table.name}_${field.column}_key`, type: 'unique', columns: [field.column] });
+        } else if (column.index) {
+            table.indexes.push({ name: `${table.name}_${field.column}_idx`, type: 'index', columns: [field.column] });
+        }
+    }
+
+    // A key column takes the type of the primary key it references
+    keyColumnType(target) {
+        const key = target && target.fields && Object.values(target.fields).find(field => field.primaryKey);
+        // django.contrib models keep the AutoField ids they were created with
+        if (!key) return target && !target.fields ? 'IntegerField' : AUTO_FIELD_COLUMNS[this.defaultAutoField] || 'IntegerField';
+        return AUTO_FIELD_COLUMNS[key.type] || key.type;
+    }
+
+    // choices=Status.choices, or choices=[("d", "Draft"), ...]
+    choiceValues(choices, model) {
+        if (!choices) return null;
+        if (typeof choices === 'string') {
+            const enumeration = this.findChoices(choices, model);
+            return enumeration ? Object.values(enumeration.values) : null;
+        }
+        if (Array.isArray(choices)) {
+            return choices.map(choice => Array.isArray(choice) ? choice[0] : choice)
+                .filter(value => typeof value === 'string' || typeof value === 'number');
+        }
+        return null;
+    }
+
+    // Status.choices inside the model names its nested Status class
+    findChoices(className, model) {
+        return this.choices[className] || this.choices[`${model.class}.${className.split('.').pop()}`] || null;
+    }
+
+    // default=Status.DRAFT is the value of that choice
+    defaultValue(field, model) {
+        const member = field.default && field.default.expression && field.default.expression.match(/^([\w.]+)\.([A-Z_][A-Z0-9_]*)$/);
+        const enumeration = member && typeof field.choices === 'string' && this.findChoices(field.choices, model);
+        if (enumeration && enumeration.values[member[2]] !== undefined) return enumeration.values[member[2]];
+        return field.default;
+    }
+
+    // Meta.indexes, Meta.constraints, unique_together and index_together
+    addMetaIndexes(table, model) {
+        const meta = model.meta;
+        const columnsOf = fields => fields.map(name => {
+            const field = model.fields[String(name).replace(/^-/, '')];
+            return field ? field.column : String(name).replace(/^-/, '');
+        });
+        const together = value => Array.isArray(value) && value.length > 0
+            ? (Array.isArray(value[0]) ? value : [value])
+            : [];
+
+        for (const fields of together(meta.unique_together)) {
+            table.indexes.push({ name: `${table.name}_${columnsOf(fields).join('_')}_uniq`, type: 'unique', columns: columnsOf(fields) });
+        }
+        for (const fields of together(meta.index_together)) {
+            table.indexes.push({ name: `${table.name}_${columnsOf(fields).join('_')}_idx`, type: 'index', columns: columnsOf(fields) });
+        }
+
+        for (const index of Array.isArray(meta.indexes) ? meta.indexes : []) {
+            if (!Array.isArray(index.fields)) continue;
+            table.indexes.push({
+                name: index.name || `${table.name}_${columnsOf(index.fields).join('_')}_idx`,
+                type: index.type === 'Index' ? 'index' : index.type,
+                columns: columnsOf(index.fields)
+            });
+        }
+
+        for (const constraint of Array.isArray(meta.constraints) ? meta.constraints : []) {
+            if (constraint.type === 'UniqueConstraint' && Array.isArray(constraint.fields)) {
+                const entry = { name: constraint.name || null, type: 'unique', columns: columnsOf(constraint.fields) };
+                if (constraint.condition) entry.where = constraint.condition.expression || constraint.condition;
+                table.indexes.push(entry);
+            } else if (constraint.type === 'CheckConstraint') {
+                const check = constraint.condition || constraint.check;
+                table.checks.push({ name: constraint.name || null, expression: check && check.expression ? check.expression : check });
+            }
+        }
+    }
+
+    // The table Django creates for a many-to-many field without `through`
+    joinTable(model, relationship) {
+        const target = this.findModel(relationship.related, model);
+        const table = this.createTable(relationship.table, model.file, null);
+        table.autoCreated = true;
+        table.columns.id = { name: 'id', type: this.autoFields[model.class], nullable: false, default: null, unique: true, index: false, primary: true, autoIncrement: true, provenance: [{ model: model.label, action: 'auto_created' }] };
+        table.indexes.push({ name: `${table.name}_pkey`, type: 'primary', columns: ['id'] });
+
+        for (const [column, side] of [[relationship.foreignPivotKey, model], [relationship.relatedPivotKey, target]]) {
+            table.columns[column] = {
+                name: column,
+                type: this.keyColumnType(side),
+                nullable: false,
+                default: null,
+                unique: false,
+                index: true,
+                provenance: [{ model: model.label, action: 'auto_created' }]
+            };
+            if (side && side.table) {
+                table.foreignKeys.push({ column, on: side.table, references: side.primaryKey || 'id', onDelete: 'cascade', onUpdate: null, migration: model.file });
+            }
+        }
+        table.indexes.push({
+            name: `${table.name}_${relationship.foreignPivotKey}_${relationship.relatedPivotKey}_uniq`,
+            type: 'unique',
+            columns: [relationship.foreignPivotKey, relationship.relatedPivotKey]
+        });
+        return table;
+    }
+}
+
+export { DjangoModelRegistry };
@@ -0,0 +1,200 @@
+/**
+ * Django Settings Parser
+ *
+ * Reads a Django settings module without importing it: top-level setting
+ * assignments (including `+=`, `.append()` and list concatenation), the
+ * modules it star-imports (`from .base import *`), and environment lookups
+ * through `os.environ`, django-environ and python-decouple, resolved against
+ * `.env.example`. Credentials are redacted the way the PHP config parser
+ * redacts them.
+ */
+
+import { parseBlocks, parseImports, parseCall, parseValue, splitTopLevel } from './python-source.mjs';
+import { REDACTED, isSensitiveKey, isSensitiveEnv, redactSecret, redactValue, parseDotenv } from './config-redaction.mjs';
+
+// env.bool("DEBUG"), config("DEBUG", cast=bool), int(os.environ.get("PORT"))
+const CONVERSIONS = {
+    bool: value => typeof value === 'boolean' ? value : /^(?:true|1|yes|on|y|t)$/i.test(String(value).trim()),
+    int: value => Number.parseInt(value, 10),
+    float: value => Number.parseFloat(value),
+    str: value => String(value),
+    list: value => Array.isArray(value) ? value : String(value).split(',').map(entry => entry.trim()).filter(Boolean),
+    tuple: value => Array.isArray(value) ? value : String(value).split(',').map(entry => entry.trim()).filter(Boolean)
+};
+
+// os.getenv, django-environ's `env = environ.Env()` and decouple's `config`
+const ENV_FUNCTIONS = /^(?:env|config|os\.getenv|os\.environ\.get)(?:\.(\w+))?$/;
+
+class DjangoSettingsParser {
+    /**
+     * `envExample` is the content of `.env.example`; environment lookups
+     * resolve against it. The real `.env` is deliberately never read.
+     */
+    constructor(envExample = '') {
+        this.env = parseDotenv(envExample);
+    }
+
+    /**
+     * Parses the settings module `module` into `{ values, env, files }`:
+     * setting values (uppercase names only), each environment lookup with its
+     * setting path, and the files read. `readModule(dotted)` returns
+     * `{ content, file }` for a project module, or null.
+     */
+    parse(content, module, readModule = () => null, file = null) {
+        this.readModule = readModule;
+        const state = { values: {}, env: [], files: [] };
+        this.parseModule(content, module, file, state, new Set());
+        return state;
+    }
+
+    parseModule(content, module, file, state, seen) {
+        if (seen.has(module)) return;
+        seen.add(module);
+        if (file) state.files.push(file);
+
+        const nodes = parseBlocks(content);
+        const isPackage = /(?:^|\/)__init__\.py$/.test(file || '');
+
+        for (const node of nodes) {
+            // from .base import * brings in the base settings first
+            if (/^from\s+\S+\s+import\s+\*$/.test(node.text)) {
+                const [target] = parseImports([node], module, isPackage).stars;
+                const source = target && this.readModule(target);
+                if (source) this.parseModule(source.content, target, source.file, state, seen);
+                continue;
+            }
+            this.parseStatement(node, state);
+        }
+    }
+
+    parseStatement(node, state) {
+        const assignment = node.text.match(/^([A-Z][A-Z0-9_]*)\s*(?::\s*[^=]+?)?\s*(\+?=)(?!=)\s*([\s\S]+)$/);
+        if (assignment) {
+            const [, name, operator, expression] = assignment;
+            const value = this.evaluate(expression, [name], state);
+            state.values[name] = operator === '+=' ? this.concatenate(state.values[name], value) : value;
+            return;
+        }
+
+        // INSTALLED_APPS.append("debug_toolbar"), MIDDLEWARE.insert(0, "...")
+        const mutation = node.text.match(/^([A-Z][A-Z0-9_]*)\.(append|extend|insert)\s*\(/);
+        if (mutation && Array.isArray(state.values[mutation[1]])) {
+            const call = parseCall(node.text.slice(mutation[1].length + 1));
+            if (!call) return;
+            const list = state.values[mutation[1]];
+            const args = call.args.positional.map(argument => this.evaluate(argument, [mutation[1]], state));
+            if (mutation[2] === 'append') list.push(args[0]);
+            else if (mutation[2] === 'extend') list.push(...[].concat(args[0]));
+            else if (typeof args[0] === 'number') list.splice(args[0], 0, args[1]);
+        }
+    }
+
+    concatenate(current, value) {
+        if (Array.isArray(current) && Array.isArray(value)) return [...current, ...value];
+        if (current && typeof current === 'object' && !current.expression && value && typeof value === 'object' && !value.expression) {
+            return { ...current, ...value };
+        }
+        return value;
+    }
+
+    /**
+     * Evaluates a setting expression: literals, references to settings
+     * assigned earlier, list concatenation and environment lookups. Anything
+     * else is kept as `{ expression }`.
+     */
+    evaluate(expression, keyPath, state) {
+        const text = expression.trim();
+        const sensitive = isSensitiveKey(keyPath[keyPath.length - 1]);
+
+        const terms = splitTopLevel(text, '+');
+        if (terms.length > 1 && !/^[-+]?\d/.test(text)) {
+            const values = terms.map(term => this.evaluate(term, keyPath, state));
+            if (values.every(Array.isArray)) return values.flat();
+            if (values.every(value => typeof value === 'string')) return values.join('');
+        }
+
+        const reference = this.parseEnvReference(text, keyPath, state, sensitive);
+        if (reference) return reference;
+
+        if (/^[A-Z][A-Z0-9_]*$/.test(text) && state.values[text] !== undefined) {
+            return structuredClone(state.values[text]);
+        }
+
+        const value = parseValue(text);
+        if (Array.isArray(value)) {
+            return value.map((entry, index) => this.resolveLeaf(entry, [...keyPath, String(index)], state));
+        }
+        if (value && typeof value === 'object' && !value.expression) {
+            return Object.fromEntries(Object.entries(value)
+                .map(([key, entry]) => [key, this.resolveLeaf(entry, [...keyPath, key], state)]));
+        }
+        if (value && value.expression) return { expression: sensitive ? REDACTED : value.expression };
+        return sensitive && value !== '' && value !== null ? REDACTED : redactValue(value);
+    }
+
+    resolveLeaf(value, keyPath, state) {
+        const sensitive = isSensitiveKey(keyPath[keyPath.length - 1]);
+        if (value && value.expression) return this.evaluate(value.expression, keyPath, state);
+        if (Array.isArray(value)) return value.map((entry, index) => this.resolveLeaf(entry, [...keyPath, String(index)], state));
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, this.resolveLeaf(entry, [...keyPath, key], state)]));
+        }
+        return sensitive && value !== '' && value !== null ? REDACTED : redactValue(value);
+    }
+
+    /**
+     * `os.environ["X"]`, `os.environ.get("X", "d")`, `os.getenv("X")`,
+     * `env("X", default=...)`, `env.bool("X")`, `config("X", cast=int)`,
+     * optionally wrapped in `int(...)`/`bool(...)`, as
+     * `{ env, default?, value }`.
+     */
+    parseEnvReference(text, keyPath, state, sensitive) {
+        let conversion = null;
+        let inner = text;
+        const wrapped = text.match(/^(int|float|bool|str)\s*\(([\s\S]+)\)$/);
+        if (wrapped) {
+            conversion = wrapped[1];
+            inner = wrapped[2].trim();
+        }
+
+        let key = null;
+        let defaultExpression;
+        const subscript = inner.match(/^os\.environ\s*\[\s*(['"])(\w+)\1\s*\]$/);
+        if (subscript) {
+            key = subscript[2];
+        } else {
+            const call = parseCall(inner);
+            const match = call && !call.trailer && call.name.match(ENV_FUNCTIONS);
+            if (!match) return null;
+            const [first, second] = call.args.positional;
+            key = parseValue(first);
+            if (typeof key !== 'string') return null;
+            defaultExpression = call.args.options.default !== undefined ? call.args.options.default : second;
+
+            const cast = call.args.options.cast;
+            if (match[1] && CONVERSIONS[match[1]]) conversion = conversion || match[1];
+            if (cast && CONVERSIONS[cast.trim()]) conversion = conversion || cast.trim();
+            if (match[1] && ['db', 'db_url', 'cache', 'cache_url', 'url', 'email_url'].includes(match[1])) conversion = null;
+        }
+
+        const convert = conversion ? CONVERSIONS[conversion] : value => value;
+        const redact = sensitive || isSensitiveEnv(key);
+        const reference = { env: key };
+        if (defaultExpression !== undefined) {
+            const parsed = parseValue(defaultExpression);
+            const defaultValue = parsed && typeof parsed === 'object' && parsed.expression ? { expression: defaultExpression.trim() } : convert(parsed);
+            reference.default = redact ? redactSecret(defaultValue) : redactValue(defaultValue);
+        }
+        if (Object.prototype.hasOwnProperty.call(this.env, key)) {
+            const value = convert(this.env[key]);
+            reference.value = redact ? redactSecret(value) : redactValue(value);
+        } else {
+            reference.value = reference.default !== undefined ? reference.default : null;
+        }
+
+        state.env.push({ path: keyPath.join('.'), ...reference });
+        return reference;
+    }
+}
+
+export { DjangoSettingsParser };
@@ -0,0 +1,499 @@
+/**
+ * Django URL Parser
+ *
+ * Statically walks a project's URLconf, starting at `ROOT_URLCONF`, into the
+ * same flat route table the Laravel and Rails parsers produce: `path()`
+ * converters and `re_path()` named groups become `{param}` placeholders with
+ * their patterns, `include()` prefixes and application namespaces are
+ * inherited (route names read `blog:post-detail`), and Django REST framework
+ * routers are expanded into the list, detail and `@action` routes of each
+ * registered viewset.
+ */
+
+import { VIEWSET_ACTIONS } from './django-view-analyzer.mjs';
+import { parseBlocks, parseImports, parseCall, parseValue, splitTopLevel, resolveName, findClosingBracket } from './python-source.mjs';
+
+const ALL_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Django's built-in path converters
+const CONVERTERS = {
+    int: '[0-9]+',
+    slug: '[-a-zA-Z0-9_]+',
+    uuid: '[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}',
+    path: '.+'
+};
+
+// What DRF's SimpleRouter generates for a viewset, in its order
+const ROUTER_ROUTES = [
+    { detail: false, mapping: { GET: 'list', POST: 'create' }, name: 'list' },
+    { detail: false, dynamic: true },
+    { detail: true, mapping: { GET: 'retrieve', PUT: 'update', PATCH: 'partial_update', DELETE: 'destroy' }, name: 'detail' },
+    { detail: true, dynamic: true }
+];
+
+class DjangoUrlParser {
+    /**
+     * @param {Object} options
+     * @param {Function} options.readModule - `(dotted) => ({ content, file })`
+     *   for a project module, or null
+     * @param {Function} options.describeView - `(dotted) => view` for a
+     *   project view class or function, or null; views carry `kind`
+     *   (`function`, `api_view`, `view`, `viewset`), `methods` or `handlers`,
+     *   `actions` and `extraActions`, and lookup settings
+     */
+    constructor({ readModule = () => null, describeView = () => null } = {}) {
+        this.readModule = readModule;
+        this.describeView = describeView;
+        this.modules = {};
+        this.names = new Set();
+    }
+
+    parse(rootModule) {
+        const routes = [];
+        this.includeModule(rootModule, { prefix: '', where: {}, namespaces: [] }, routes, new Set());
+        return routes;
+    }
+
+    /**
+     * Reads a URLconf module once: its imports, `app_name`, routers with
+     * their registrations, module-level pattern lists and the
+     * `urlpatterns` entries (through `=`, `+=`, `append`, `extend` and
+     * `if settings.DEBUG:` blocks).
+     */
+    loadModule(module) {
+        if (this.modules[module] !== undefined) return this.modules[module];
+        const source = this.readModule(module);
+        if (!source) return (this.modules[module] = null);
+
+        const nodes = parseBlocks(source.content);
+        const loaded = {
+            module,
+            file: source.file,
+            imports: parseImports(nodes, module, /(?:^|\/)__init__\.py$/.test(source.file || '')),
+            appName: null,
+            routers: {},
+            lists: {},
+            patterns: []
+        };
+
+        const visit = (statements) => {
+            for (const node of statements) {
+                if (node.body) {
+                    if (/^(?:if|elif|else|try|except|finally|with)\b/.test(node.text)) visit(node.body);
+                    continue;
+                }
+                this.readStatement(node.text, loaded);
+            }
+        };
+        visit(nodes);
+
+        this.modules[module] = loaded;
+        return loaded;
+    }
+
+    readStatement(text, loaded) {
+        let match;
+        if ((match = text.match(/^app_name\s*=\s*([\s\S]+)$/))) {
+            const value = parseValue(match[1]);
+            if (typeof value === 'string') loaded.appName = value;
+        } else if ((match = text.match(/^([A-Za-z_]\w*)\s*=\s*([\w.]*Router)\s*\(/))) {
+            const call = parseCall(text.slice(text.indexOf('=') + 1));
+            loaded.routers[match[1]] = {
+                type: match[2].split('.').pop(),
+                trailingSlash: parseValue(call.args.options.trailing_slash) !== false,
+                registrations: []
+            };
+        } else if ((match = text.match(/^([A-Za-z_]\w*)\.register\s*\(/)) && loaded.routers[match[1]]) {
+            const call = parseCall(text.slice(match[1].length + 1));
+            const [prefix, viewset, basename] = call.args.positional;
+            loaded.routers[match[1]].registrations.push({
+                prefix: parseValue(prefix),
+                viewset: (viewset || call.args.options.viewset || '').trim(),
+                basename: parseValue(call.args.options.basename || call.args.options.base_name || basename)
+            });
+        } else if ((match = text.match(/^urlpatterns\s*(\+?=)\s*([\s\S]+)$/))) {
+            const entries = this.entriesOf(match[2], loaded);
+            loaded.patterns = match[1] === '+=' ? [...loaded.patterns, ...entries] : entries;
+        } else if ((match = text.match(/^urlpatterns\.(append|extend|insert)\s*\(/))) {
+            const call = parseCall(text.slice('urlpatterns.'.length));
+            const args = call.args.positional;
+            if (match[1] === 'append') loaded.patterns.push(args[0]);
+            else if (match[1] === 'extend') loaded.patterns.push(...this.entriesOf(args[0], loaded));
+            else loaded.patterns.splice(Number(parseValue(args[0])) || 0, 0, args[1]);
+        } else if ((match = text.match(/^([a-z_]\w*)\s*=\s*([[(][\s\S]*)$/))) {
+            // api_patterns = [...] used later as include(api_patterns) or urlpatterns + api_patterns
+            loaded.lists[match[1]] = this.entriesOf(match[2], loaded);
+        }
+    }
+
+    /**
+     * The pattern expressions of a list expression: `[...]`, `(...)`,
+     * concatenations, other module-level lists, and the arguments of
+     * `format_suffix_patterns()`/`i18n_patterns()`. `static()` and other
+     * calls contribute nothing.
+     */
+    entriesOf(expression, loaded) {
+        const entries = [];
+        for (const term of splitTopLevel(String(expression || '').trim(), '+')) {
+            const text = term.trim().replace(/^\*/, '');
+            const first = text[0];
+            if ((first === '[' || first === '(') && findClosingBracket(text, 0) === text.length - 1) {
+                entries.push(...splitTopLevel(text.slice(1, -1)).map(entry => entry.trim().replace(/^\*(?!\*)/, '')));
+                continue;
+            }
+            const call = parseCall(text);
+            const name = call && !call.trailer ? call.name.split('.').pop() : null;
+            if (name === 'format_suffix_patterns') entries.push(...this.entriesOf(call.args.positional[0], loaded));
+            else if (name === 'i18n_patterns') entries.push(...call.args.positional.map(entry => entry.trim()));
+            else if (loaded.lists[text]) entries.push(...loaded.lists[text]);
+            else if (!call) entries.push(text);
+        }
+        return entries;
+    }
+
+    includeModule(module, context, routes, seen) {
+        if (seen.has(module)) return;
+        const loaded = this.loadModule(module);
+        if (!loaded) return;
+        seen.add(module);
+        this.addEntries(loaded.patterns, loaded, context, routes, seen);
+        seen.delete(module);
+    }
+
+    addEntries(entries, loaded, context, routes, seen) {
+        for (const entry of entries) {
+            const text = String(entry || '').trim();
+            const router = text.match(/^(\w+)\.urls$/);
+            if (router) {
+                this.expandRouter(this.findRouter(router[1], loaded), context, routes);
+                continue;
+            }
+            if (loaded.lists[text]) {
+                this.addEntries(loaded.lists[text], loaded, context, routes, seen);
+                continue;
+            }
+
+            const call = parseCall(text);
+            if (!call || !['path', 're_path', 'url'].includes(call.name.split('.').pop())) continue;
+            const [pattern, view, kwargs, name] = call.args.positional;
+            const route = call.name.split('.').pop() === 'path'
+                ? this.convertPath(parseValue(pattern))
+                : this.convertRegex(parseValue(pattern));
+            if (!route) continue;
+
+            const nested = {
+                prefix: this.joinUri(context.prefix, route.uri),
+                where: { ...context.where, ...route.where },
+                namespaces: context.namespaces
+            };
+            const target = (view || call.args.options.view || '').trim();
+            const include = parseCall(target);
+            if (include && include.name.split('.').pop() === 'include') {
+                this.addInclude(include, loaded, nested, routes, seen);
+                continue;
+            }
+            // path("admin/", admin.site.urls) mounts an application's own URLconf
+            const mounted = target.match(/^([\w.]+)\.urls$/);
+            if (mounted && this.findRouter(mounted[1], loaded)) {
+                this.expandRouter(this.findRouter(mounted[1], loaded), nested, routes);
+                continue;
+            }
+            if (mounted) {
+                const route = { methods: ALL_METHODS, uri: nested.prefix, name: null, action: { type: 'mount', app: resolveName(mounted[1], loaded.imports, loaded.module) }, middleware: [] };
+                routes.push(this.finalizeRoute(route, { name: null, namespaces: context.namespaces, where: nested.where, file: loaded.file }));
+                continue;
+            }
+
+            const routeName = parseValue(call.args.options.name || name);
+            const defaults = parseValue(call.args.options.kwargs || kwargs);
+            for (const entryRoute of this.viewRoutes(target, loaded, nested)) {
+                this.finalizeRoute(entryRoute, {
+                    name: typeof routeName === 'string' ? routeName : null,
+                    namespaces: context.namespaces,
+                    defaults: defaults && typeof defaults === 'object' && !Array.isArray(defaults) && !defaults.expression ? defaults : null,
+                    regex: route.regex,
+                    file: loaded.file
+                });
+                routes.push(entryRoute);
+            }
+        }
+    }
+
+    /**
+     * `include('blog.urls')`, `include(('blog.urls', 'blog'), namespace=...)`,
+     * `include(router.urls)`, `include([path(...), ...])` and
+     * `include(blog_urls)` for an imported URLconf module.
+     */
+    addInclude(call, loaded, context, routes, seen) {
+        let [target, appName] = [call.args.positional[0], null];
+        const tuple = parseValue(target);
+        if (Array.isArray(tuple) && /^\(/.test(String(target).trim()) && tuple.length === 2) {
+            [target, appName] = splitTopLevel(String(target).trim().slice(1, -1));
+            appName = parseValue(appName);
+        }
+        const namespace = parseValue(call.args.options.namespace);
+        const text = String(target || '').trim();
+        const value = parseValue(text);
+
+        const withNamespace = (ownAppName) => {
+            const instance = typeof namespace === 'string' ? namespace : (typeof appName === 'string' ? appName : ownAppName);
+            return instance ? { ...context, namespaces: [...context.namespaces, instance] } : context;
+        };
+
+        if (typeof value === 'string') {
+            const included = this.loadModule(value);
+            this.includeModule(value, withNamespace(included && included.appName), routes, seen);
+        } else if (/^[[(]/.test(text) || /^\w+\.urls$/.test(text) || loaded.lists[text]) {
+            this.addEntries(this.entriesOf(text, loaded), loaded, withNamespace(null), routes, seen);
+        } else if (/^[A-Za-z_][\w.]*$/.test(text)) {
+            // An imported URLconf module, or `module.urlpatterns`
+            const module = resolveName(text.replace(/\.urlpatterns$/, ''), loaded.imports, loaded.module);
+            const included = this.loadModule(module);
+            this.includeModule(module, withNamespace(included && included.appName), routes, seen);
+        }
+    }
+
+    // A router of this module, or one imported from another URLconf
+    findRouter(name, loaded) {
+        if (loaded.routers[name]) return { router: loaded.routers[name], loaded };
+        const imported = loaded.imports.names[name];
+        if (!imported) return null;
+        const module = imported.split('.').slice(0, -1).join('.');
+        const source = this.loadModule(module);
+        const router = source && source.routers[imported.split('.').pop()];
+        return router ? { router, loaded: source } : null;
+    }
+
+    /**
+     * The routes a DRF router generates: for every registration the list
+     * and detail routes of the viewset's actions and its `@action`s, plus
+     * the API root view of a `DefaultRouter`.
+     */
+    expandRouter(found, context, routes) {
+        if (!found) return;
+        const { router } = found;
+
+        for (const registration of router.registrations) {
+            const viewsetClass = resolveName(registration.viewset, found.loaded.imports, found.loaded.module);
+            const viewset = this.describeView(viewsetClass);
+            // A viewset outside the project is taken to provide the standard actions
+            const actions = viewset ? viewset.actions || [] : VIEWSET_ACTIONS;
+            const extraActions = viewset ? viewset.extraActions || [] : [];
+            const basename = typeof registration.basename === 'string'
+                ? registration.basename
+                : (viewset && viewset.model ? viewset.model.split('.').pop().toLowerCase() : String(registration.prefix));
+            const lookup = (viewset && (viewset.lookupUrlKwarg || viewset.lookupField)) || 'pk';
+            const where = { ...context.where, [lookup]: (viewset && viewset.lookupValueRegex) || '[^/.]+' };
+
+            for (const definition of ROUTER_ROUTES) {
+                const base = definition.detail ? `${registration.prefix}/{${lookup}}` : String(registration.prefix);
+                const entries = definition.dynamic
+                    ? extraActions.filter(extra => extra.detail === definition.detail).map(extra => ({
+                        uri: this.joinUri(base, extra.urlPath),
+                        name: `${basename}-${extra.urlName}`,
+                        handlers: extra.methods.map(method => [method, extra.name])
+                    }))
+                    : [{
+                        uri: base,
+                        name: `${basename}-${definition.name}`,
+                        handlers: Object.entries(definition.mapping).filter(([, action]) => actions.includes(action))
+                    }];
+
+                for (const entry of entries) {
+                    for (const [handler, methods] of this.groupHandlers(entry.handlers)) {
+                        const route = this.controllerRoute(methods, this.joinUri(context.prefix, entry.uri), viewsetClass, handler);
+                        route.resource = { name: basename, action: handler };
+                        this.finalizeRoute(route, { name: entry.name, namespaces: context.namespaces, where, file: found.loaded.file });
+                        routes.push(route);
+                    }
+                }
+            }
+        }
+
+        if (router.type === 'DefaultRouter') {
+            const route = this.controllerRoute(['GET'], this.joinUri(context.prefix, ''), 'rest_framework.routers.APIRootView', 'get');
+            this.finalizeRoute(route, { name: 'api-root', namespaces: context.namespaces, where: context.where, file: found.loaded.file });
+            routes.push(route);
+        }
+    }
+
+    /**
+     * The routes of one `path()` target: a class-based view's `as_view()`
+     * (one route per handler, or the method mapping a viewset is given), a
+     * function view, or Django's `RedirectView`/`TemplateView` configured
+     * inline.
+     */
+    viewRoutes(target, loaded, context) {
+        const call = parseCall(target);
+        const uri = context.prefix;
+        const build = (methods, action) => ({ methods, uri, name: null, action, middleware: [], where: context.where });
+
+        if (call && /\.as_view$/.test(call.name)) {
+            const viewClass = resolveName(call.name.replace(/\.as_view$/, ''), loaded.imports, loaded.module);
+            const view = this.describeView(viewClass);
+            const initkwargs = Object.fromEntries(Object.entries(call.args.options).map(([key, value]) => [key, parseValue(value)]));
+            const short = viewClass.split('.').pop();
+
+            if (!view && short === 'RedirectView') {
+                const to = initkwargs.url !== undefined ? initkwargs.url : initkwargs.pattern_name;
+                return [build(ALL_METHODS, { type: 'redirect', to: typeof to === 'string' ? to : null, status: initkwargs.permanent === true ? 301 : 302 })];
+            }
+            if (!view && short === 'TemplateView') {
+                return [build(['GET'], { type: 'view', view: typeof initkwargs.template_name === 'string' ? initkwargs.template_name : null })];
+            }
+
+            // PostViewSet.as_view({"get": "list", "post": "create"})
+            const mapping = parseValue(call.args.positional[0]);
+            const handlers = mapping && typeof mapping === 'object' && !Array.isArray(mapping) && !mapping.expression
+                ? Object.entries(mapping).map(([method, action]) => [method.toUpperCase(), action])
+                : Object.entries(view && view.handlers ? view.handlers : {});
+            const grouped = this.groupHandlers(handlers.filter(([method]) => ALL_METHODS.includes(method)));
+            if (grouped.length === 0) return [{ ...this.controllerRoute(ALL_METHODS, uri, viewClass, 'dispatch'), where: context.where }];
+            return grouped.map(([handler, methods]) => ({ ...this.controllerRoute(methods, uri, viewClass, handler), where: context.where }));
+        }
+
+        // views.post_detail, or the dotted string of old-style url() patterns
+        const value = parseValue(target);
+        const dotted = typeof value === 'string'
+            ? value
+            : (/^[A-Za-z_][\w.]*$/.test(target) ? resolveName(target, loaded.imports, loaded.module) : null);
+        if (!dotted) return [build(ALL_METHODS, { type: 'unknown', expression: target })];
+
+        const view = this.describeView(dotted);
+        const module = dotted.split('.').slice(0, -1).join('.');
+        const route = this.controllerRoute(view && view.methods ? view.methods : ALL_METHODS, uri, module, dotted.split('.').pop());
+        return [{ ...route, where: context.where }];
+    }
+
+    // [['GET', 'list'], ['POST', 'create'], ['PUT', 'update']] -> handler with its methods, in order
+    groupHandlers(handlers) {
+        const grouped = new Map();
+        for (const [method, handler] of handlers) {
+            if (!grouped.has(handler)) grouped.set(handler, []);
+            grouped.get(handler).push(method);
+        }
+        return [...grouped.entries()];
+    }
+
+    controllerRoute(methods, uri, controller, method) {
+        return {
+            methods,
+            uri,
+            name: null,
+            action: { type: 'controller', controller, method, uses: `${controller}.${method}` },
+            middleware: []
+        };
+    }
+
+    // Names are namespaced (`blog:post-detail`) and belong to the first route defining them
+    finalizeRoute(route, { name, namespaces, defaults = null, regex = null, where = route.where || {}, file }) {
+        const qualified = name ? [...namespaces, name].join(':') : null;
+        route.name = qualified && !this.names.has(qualified) ? qualified : null;
+        if (route.name) this.names.add(route.name);
+
+        const segments = (route.uri.match(/\{(\w+)\}/g) || []).map(segment => segment.slice(1, -1));
+        const constrained = Object.fromEntries(Object.entries(where).filter(([key]) => segments.includes(key)));
+        delete route.where;
+        if (Object.keys(constrained).length > 0) route.where = constrained;
+        if (defaults) route.defaults = defaults;
+        if (regex) route.regex = regex;
+        route.parameters = this.extractParameters(route.uri, constrained);
+        route.file = file;
+        return route;
+    }
+
+    /**
+     * `posts/<int:pk>/<slug>/` -> `posts/{pk}/{slug}` with `{ pk: '[0-9]+' }`;
+     * `str` (the default converter) adds no pattern, custom converters
+     * are kept by name.
+     */
+    convertPath(pattern) {
+        if (typeof pattern !== 'string') return null;
+        const where = {};
+        const uri = pattern.replace(/<(?:(\w+):)?(\w+)>/g, (_, converter, name) => {
+            if (converter && converter !== 'str') where[name] = CONVERTERS[converter] || converter;
+            return `{${name}}`;
+        });
+        return { uri: this.joinUri(uri, ''), where };
+    }
+
+    /**
+     * `^posts/(?P<pk>\d+)/$` -> `posts/{pk}` with `{ pk: '\d+' }`; the
+     * original expression is kept as `regex`.
+     */
+    convertRegex(pattern) {
+        if (typeof pattern !== 'string') return null;
+        const where = {};
+        let uri = '';
+        let index = 0;
+        let position = 0;
+        while (index < pattern.length) {
+            const char = pattern[index];
+            if (char === '\\') {
+                uri += /[./\-_]/.test(pattern[index + 1]) ? pattern[index + 1] : pattern.slice(index, index + 2);
+                index += 2;
+                continue;
+            }
+            if (char === '(') {
+                const end = this.groupEnd(pattern, index);
+                const group = pattern.slice(index + 1, end);
+                const named = group.match(/^\?P<(\w+)>([\s\S]*)$/);
+                if (named) {
+                    where[named[1]] = named[2];
+                    uri += `{${named[1]}}`;
+                } else if (!/^\?/.test(group)) {
+                    // Unnamed groups are passed positionally
+                    position += 1;
+                    where[`arg${position}`] = group;
+                    uri += `{arg${position}}`;
+                }
+                index = end + 1;
+                continue;
+            }
+            if (!(char === '^' && index === 0) && !(char === '$' && index === pattern.length - 1)) uri += char;
+            index += 1;
+        }
+        return { uri: this.joinUri(uri.replace(/\/\?$/, ''), ''), where, regex: pattern };
+    }
+
+    groupEnd(pattern, open) {
+        let depth = 0;
+        let inClass = false;
+        for (let index = open; index < pattern.length; index++) {
+            const char = pattern[index];
+            if (char === '\\') {
+                index += 1;
+            } else if (inClass) {
+                if (char === ']') inClass = false;
+            } else if (char === '[') {
+                inClass = true;
+            } else if (char === '(') {
+                depth += 1;
+            } else if (char === ')') {
+                depth -= 1;
+                if (depth === 0) return index;
+            }
+        }
+        return pattern.length - 1;
+    }
+
+    // Mirrors the Laravel parser's URI normalization: no leading/trailing slashes, "/" for the root
+    joinUri(prefix, uri) {
+        const joined = [prefix, uri].map(part => String(part).replace(/^\/+|\/+$/g, '')).filter(part => part && part !== '/').join('/');
+        return joined || '/';
+    }
+
+    extractParameters(uri, where = {}) {
+        const parameters = [];
+        const pattern = /\{(\w+)\}/g;
+        let match;
+        while ((match = pattern.exec(uri)) !== null) {
+            const parameter = { name: match[1], optional: false };
+            if (where[match[1]]) parameter.pattern = where[match[1]];
+            parameters.push(parameter);
+        }
+        return parameters;
+    }
+}
+
+export { DjangoUrlParser };
@@ -0,0 +1,310 @@
+/**
+ * Django View Analyzer
+ *
+ * Describes the views of a Django project: function views with the HTTP
+ * methods their decorators allow, class-based views with the handler each
+ * method dispatches to (including Django's generic views and Django REST
+ * framework's generic API views), and DRF viewsets with their router
+ * actions and `@action` extra actions. Inheritance between project classes
+ * is followed once every module has been read.
+ */
+
+import { PythonModuleAnalyzer } from './python-module-analyzer.mjs';
+import { parseValue } from './python-source.mjs';
+
+const HTTP_HANDLERS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+
+const VIEWSET_ACTIONS = ['list', 'create', 'retrieve', 'update', 'partial_update', 'destroy'];
+
+// Actions the DRF viewset classes and mixins provide
+const BASE_ACTIONS = {
+    ModelViewSet: VIEWSET_ACTIONS,
+    ReadOnlyModelViewSet: ['list', 'retrieve'],
+    GenericViewSet: [],
+    ViewSet: [],
+    ViewSetMixin: [],
+    ListModelMixin: ['list'],
+    CreateModelMixin: ['create'],
+    RetrieveModelMixin: ['retrieve'],
+    UpdateModelMixin: ['update', 'partial_update'],
+    DestroyModelMixin: ['destroy']
+};
+
+// HTTP method -> handler of Django's generic views and DRF's generic API views
+const BASE_HANDLERS = {
+    View: {},
+    APIView: {},
+    GenericAPIView: {},
+    ListAPIView: { GET: 'list' },
+    CreateAPIView: { POST: 'create' },
+    RetrieveAPIView: { GET: 'retrieve' },
+    UpdateAPIView: { PUT: 'update', PATCH: 'partial_update' },
+    DestroyAPIView: { DELETE: 'destroy' },
+    ListCreateAPIView: { GET: 'list', POST: 'create' },
+    RetrieveUpdateAPIView: { GET: 'retrieve', PUT: 'update', PATCH: 'partial_update' },
+    RetrieveDestroyAPIView: { GET: 'retrieve', DELETE: 'destroy' },
+    RetrieveUpdateDestroyAPIView: { GET: 'retrieve', PUT: 'update', PATCH: 'partial_update', DELETE: 'destroy' },
+    TemplateView: { GET: 'get' },
+    RedirectView: { GET: 'get', POST: 'post', PUT: 'put', PATCH: 'patch', DELETE: 'delete' },
+    ListView: { GET: 'get' },
+    DetailView: { GET: 'get' },
+    ArchiveIndexView: { GET: 'get' },
+    FormView: { GET: 'get', POST: 'post', PUT: 'put' },
+    CreateView: { GET: 'get', POST: 'post', PUT: 'put' },
+    UpdateView: { GET: 'get', POST: 'post', PUT: 'put' },
+    DeleteView: { GET: 'get', POST: 'post', DELETE: 'delete' },
+    LoginView: { GET: 'get', POST: 'post', PUT: 'put' },
+    LogoutView: { POST: 'post' }
+};
+
+// Decorators that restrict the methods a function view accepts
+const METHOD_DECORATORS = {
+    require_GET: ['GET'],
+    require_POST: ['POST'],
+    require_safe: ['GET', 'HEAD']
+};
+
+const ALL_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Placeholder for "the view's serializer_class" until inheritance is resolved
+const SERIALIZER_CLASS = 'serializer_class';
+
+// Class attributes copied onto the description, keyed by their Python name
+const VIEW_ATTRIBUTES = {
+    serializer_class: 'serializer',
+    permission_classes: 'permissions',
+    authentication_classes: 'authentication',
+    throttle_classes: 'throttles',
+    pagination_class: 'pagination',
+    filter_backends: 'filterBackends',
+    filterset_class: 'filterset',
+    filterset_fields: 'filtersetFields',
+    search_fields: 'searchFields',
+    ordering_fields: 'orderingFields',
+    lookup_field: 'lookupField',
+    lookup_url_kwarg: 'lookupUrlKwarg',
+    lookup_value_regex: 'lookupValueRegex',
+    template_name: 'template',
+    form_class: 'form',
+    http_method_names: 'httpMethodNames'
+};
+
+class DjangoViewAnalyzer {
+    constructor() {
+        this.moduleAnalyzer = new PythonModuleAnalyzer({ methodBodies: true });
+        this.classes = {};
+    }
+
+    /**
+     * Returns `{ module, file, summary, imports, classes, functions }` for
+     * one module and remembers its classes so `resolve()` can follow
+     * inheritance.
+     */
+    analyze(content, module, file = null) {
+        const description = this.moduleAnalyzer.analyze(content, module, file);
+        const classes = description.classes.map(entry => this.describeClass(entry, file));
+        for (const view of classes) this.classes[view.class] = view;
+
+        return {
+            module,
+            file,
+            summary: description.summary,
+            imports: description.imports,
+            classes,
+            functions: description.functions
+                .filter(entry => this.isFunctionView(entry))
+                .map(entry => this.describeFunction(entry, file))
+        };
+    }
+
+    describeClass(entry, file) {
+        const view = {
+            class: entry.class,
+            name: entry.name,
+            file,
+            summary: entry.summary,
+            bases: entry.bases,
+            kind: null,
+            handlers: {},
+            actions: [],
+            extraActions: [],
+            methods: entry.methods.map(({ body, ...method }) => this.describeMethod(method, body || ''))
+        };
+
+        for (const attribute of entry.attributes) {
+            if (VIEW_ATTRIBUTES[attribute.name]) {
+                view[VIEW_ATTRIBUTES[attribute.name]] = this.attributeValue(attribute.value);
+            } else if (attribute.name === 'queryset' || attribute.name === 'model') {
+                // queryset = Post.objects.filter(...) names the model it serves
+                const model = attribute.value.match(/^([A-Za-z_][\w.]*?)(?:\.objects\b|\._default_manager\b|$)/);
+                if (model) view.model = this.moduleAnalyzer.resolve(model[1]);
+                if (attribute.name === 'queryset') view.queryset = attribute.value;
+            }
+        }
+
+        for (const method of entry.methods) {
+            const action = (method.decorators || []).find(decorator => ['action', 'detail_route', 'list_route'].includes(decorator.name.split('.').pop()));
+            if (!action) continue;
+            const options = action.options || {};
+            view.extraActions.push({
+                name: method.name,
+                detail: action.name.endsWith('detail_route') || options.detail === true,
+                methods: (Array.isArray(options.methods) ? options.methods : ['get']).map(verb => String(verb).toUpperCase()),
+                urlPath: typeof options.url_path === 'string' ? options.url_path : method.name,
+                urlName: typeof options.url_name === 'string' ? options.url_name : method.name.replace(/_/g, '-')
+            });
+        }
+
+        return view;
+    }
+
+    // A string, a name resolved through the imports, or a list of either
+    attributeValue(source) {
+        const value = parseValue(source);
+        const resolve = entry => entry && entry.expression && /^[A-Za-z_][\w.]*$/.test(entry.expression)
+            ? this.moduleAnalyzer.resolve(entry.expression)
+            : entry && entry.expression ? entry.expression : entry;
+        return Array.isArray(value) ? value.map(resolve) : resolve(value);
+    }
+
+    describeMethod(method, body) {
+        const described = { ...method };
+        const serializer = this.findSerializer(body);
+        if (serializer) described.serializer = serializer;
+        return described;
+    }
+
+    /**
+     * The serializer a view body validates request data with:
+     * `PostSerializer(data=request.data)` names it, while
+     * `self.get_serializer(data=...)` uses the view's `serializer_class`,
+     * settled by `resolve()`. Serializers only used for output don't count.
+     */
+    findSerializer(body) {
+        const explicit = body.match(/\b([A-Z]\w*Serializer)\s*\((?:[^()]|\([^()]*\))*?\bdata\s*=/);
+        if (explicit) return this.moduleAnalyzer.resolve(explicit[1]);
+        return /\bget_serializer\s*\((?:[^()]|\([^()]*\))*?\bdata\s*=/.test(body) ? SERIALIZER_CLASS : null;
+    }
+
+    // Function views take the request first, or carry a view decorator
+    isFunctionView(entry) {
+        const decorators = entry.decorators.map(decorator => decorator.name.split('.').pop());
+        if (decorators.some(name => name === 'api_view' || name === 'require_http_methods' || METHOD_DECORATORS[name])) return true;
+        return entry.parameters.length > 0 && ['request', 'req'].includes(entry.parameters[0].name);
+    }
+
+    describeFunction(entry, file) {
+        let methods = ALL_METHODS;
+        let api = false;
+        for (const decorator of entry.decorators) {
+            const name = decorator.name.split('.').pop();
+            if (name === 'api_view') {
+                api = true;
+                methods = Array.isArray(decorator.arguments && decorator.arguments[0]) ? decorator.arguments[0].map(verb => String(verb).toUpperCase()) : ['GET'];
+            } else if (name === 'require_http_methods' && Array.isArray(decorator.arguments && decorator.arguments[0])) {
+                methods = decorator.arguments[0].map(verb => String(verb).toUpperCase());
+            } else if (METHOD_DECORATORS[name]) {
+                methods = METHOD_DECORATORS[name];
+            }
+        }
+
+        const view = {
+            name: entry.name,
+            function: entry.qualifiedName,
+            file,
+            summary: entry.summary,
+            kind: api ? 'api_view' : 'function',
+            methods,
+            decorators: entry.decorators.map(decorator => decorator.name),
+            parameters: entry.parameters.slice(1)
+        };
+        const permissions = entry.decorators.find(decorator => decorator.name.split('.').pop() === 'permission_classes');
+        if (permissions && Array.isArray(permissions.arguments[0])) {
+            view.permissions = permissions.arguments[0].map(value => value && value.expression ? this.moduleAnalyzer.resolve(value.expression) : value);
+        }
+        const serializer = this.findSerializer(entry.body || '');
+        if (serializer) view.serializer = serializer;
+        return view;
+    }
+
+    /**
+     * Works out, for every class read so far, its kind (`viewset`,
+     * `api_view`, `view`), the handler of each HTTP method and the router
+     * actions of viewsets, following project base classes.
+     */
+    resolve() {
+        for (const view of Object.values(this.classes)) {
+            const inherited = this.inherited(view.class, new Set());
+            if (!inherited) continue;
+
+            view.kind = inherited.kind;
+            const own = view.methods.map(method => method.name);
+            if (view.kind === 'viewset') {
+                view.actions = [...new Set([...inherited.actions, ...own.filter(name => VIEWSET_ACTIONS.includes(name))])]
+                    .sort((a, b) => VIEWSET_ACTIONS.indexOf(a) - VIEWSET_ACTIONS.indexOf(b));
+                view.extraActions = [...inherited.extraActions.filter(extra => !view.extraActions.some(candidate => candidate.name === extra.name)), ...view.extraActions];
+            } else {
+                view.handlers = { ...inherited.handlers };
+                for (const name of own.filter(name => HTTP_HANDLERS.includes(name))) view.handlers[name.toUpperCase()] = name;
+            }
+            for (const key of Object.values(VIEW_ATTRIBUTES).concat(['model', 'queryset'])) {
+                if (view[key] === undefined && inherited.attributes[key] !== undefined) view[key] = inherited.attributes[key];
+            }
+        }
+        for (const view of Object.values(this.classes)) {
+            for (const method of view.methods.filter(candidate => candidate.serializer === SERIALIZER_CLASS)) {
+                if (typeof view.serializer === 'string') method.serializer = view.serializer;
+            }
+        }
+        return this.classes;
+    }
+
+    /**
+     * What a class gets from its bases: `{ kind, handlers, actions,
+     * extraActions, attributes }`, or null when none of them is a view.
+     */
+    inherited(className, seen) {
+        if (seen.has(className)) return null;
+        seen.add(className);
+        const view = this.classes[className];
+        if (!view) return null;
+
+        const result = { kind: null, handlers: {}, actions: [], extraActions: [], attributes: {} };
+        for (const base of [...view.bases].reverse()) {
+            const name = base.split('.').pop();
+            const project = this.classes[base];
+            if (project) {
+                const parent = this.inherited(base, seen);
+                if (!parent) continue;
+                result.kind = this.strongerKind(result.kind, parent.kind);
+                Object.assign(result.handlers, parent.handlers);
+                for (const method of project.methods) {
+                    if (HTTP_HANDLERS.includes(method.name)) result.handlers[method.name.toUpperCase()] = method.name;
+                    if (VIEWSET_ACTIONS.includes(method.name)) parent.actions.push(method.name);
+                }
+                result.actions.push(...parent.actions);
+                result.extraActions.push(...parent.extraActions, ...project.extraActions);
+                for (const key of Object.values(VIEW_ATTRIBUTES).concat(['model', 'queryset'])) {
+                    const value = project[key] !== undefined ? project[key] : parent.attributes[key];
+                    if (value !== undefined) result.attributes[key] = value;
+                }
+            } else if (BASE_ACTIONS[name]) {
+                result.kind = this.strongerKind(result.kind, /ViewSet/.test(name) ? 'viewset' : null);
+                result.actions.push(...BASE_ACTIONS[name]);
+            } else if (BASE_HANDLERS[name]) {
+                const kind = /APIView$/.test(name) ? 'api_view' : 'view';
+                result.kind = this.strongerKind(result.kind, kind);
+                Object.assign(result.handlers, BASE_HANDLERS[name]);
+            }
+        }
+        if (!result.kind && result.actions.length > 0) result.kind = 'viewset';
+        return result.kind ? result : null;
+    }
+
+    strongerKind(current, candidate) {
+        const order = [null, 'view', 'api_view', 'viewset'];
+        return order.indexOf(candidate) > order.indexOf(current) ? candidate : current;
+    }
+}
+
+export { DjangoViewAnalyzer, VIEWSET_ACTIONS };
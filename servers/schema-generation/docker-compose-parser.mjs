@@ -0,0 +1,144 @@
+/**
+ * Docker Compose Parser
+ *
+ * Reads Compose files (`compose.yaml`, `docker-compose.yml` and their
+ * overrides) into the services a project runs: image or build context,
+ * published ports, dependencies, environment with credentials redacted,
+ * env files, volumes, networks and healthchecks. Files are merged in the
+ * order Compose applies them, so `docker-compose.override.yml` refines the
+ * services of the base file. Services running a well-known database image
+ * are tagged with their engine.
+ */
+
+import yaml from 'js-yaml';
+import { isSensitiveEnv, redactSecret, redactValue } from './config-redaction.mjs';
+
+// Image names (without registry or tag) of the databases and stores Compose projects commonly run
+const DATABASE_IMAGES = {
+    postgres: 'postgresql', postgis: 'postgresql', timescaledb: 'postgresql',
+    mysql: 'mysql', mariadb: 'mariadb', percona: 'mysql',
+    mongo: 'mongodb', redis: 'redis', valkey: 'redis', memcached: 'memcached',
+    'mssql-server': 'sqlserver', cassandra: 'cassandra', elasticsearch: 'elasticsearch', opensearch: 'opensearch',
+    rabbitmq: 'rabbitmq', kafka: 'kafka', clickhouse: 'clickhouse', 'clickhouse-server': 'clickhouse'
+};
+
+class DockerComposeParser {
+    /**
+     * Merges `{ file: content }` in the order given into `{ files, name,
+     * services, networks, volumes }`. A file that is not valid YAML is
+     * reported under `errors` and skipped.
+     */
+    parse(files) {
+        const result = { files: [], name: null, services: {}, networks: [], volumes: [] };
+
+        for (const [file, content] of Object.entries(files)) {
+            let document;
+            try {
+                document = yaml.load(content) || {};
+            } catch (error) {
+                result.errors = [...(result.errors || []), { file, error: error.message }];
+                continue;
+            }
+            if (!document || typeof document !== 'object') continue;
+            result.files.push(file);
+            if (typeof document.name === 'string') result.name = document.name;
+
+            for (const [name, definition] of Object.entries(document.services || {})) {
+                const service = this.parseService(name, definition || {}, file);
+                result.services[name] = result.services[name] ? this.mergeService(result.services[name], service) : service;
+            }
+            result.networks = [...new Set([...result.networks, ...Object.keys(document.networks || {})])];
+            result.volumes = [...new Set([...result.volumes, ...Object.keys(document.volumes || {})])];
+        }
+
+        return result;
+    }
+
+    parseService(name, definition, file) {
+        const service = { name, files: [file] };
+        if (typeof definition.image === 'string') {
+            service.image = definition.image;
+            const engine = this.imageEngine(definition.image);
+            if (engine) service.engine = engine;
+        }
+        if (definition.build !== undefined) {
+            service.build = typeof definition.build === 'string'
+                ? { context: definition.build }
+                : { context: definition.build.context || '.', ...(definition.build.dockerfile ? { dockerfile: definition.build.dockerfile } : {}), ...(definition.build.target ? { target: definition.build.target } : {}) };
+        }
+        if (definition.command !== undefined) service.command = definition.command;
+        if (Array.isArray(definition.ports)) service.ports = definition.ports.map(port => this.parsePort(port));
+        if (Array.isArray(definition.expose)) service.expose = definition.expose.map(String);
+
+        // depends_on: [db] or { db: { condition: service_healthy } }
+        if (Array.isArray(definition.depends_on)) {
+            service.dependsOn = definition.depends_on.map(dependency => ({ service: dependency }));
+        } else if (definition.depends_on && typeof definition.depends_on === 'object') {
+            service.dependsOn = Object.entries(definition.depends_on).map(([dependency, options]) => ({
+                service: dependency,
+                ...(options && options.condition ? { condition: options.condition } : {})
+            }));
+        }
+
+        if (definition.environment !== undefined) service.environment = this.parseEnvironment(definition.environment);
+        if (definition.env_file !== undefined) {
+            service.envFiles = [].concat(definition.env_file).map(entry => (entry && typeof entry === 'object' ? entry.path : entry));
+        }
+        if (Array.isArray(definition.volumes)) {
+            service.volumes = definition.volumes.map(volume => (typeof volume === 'string' ? volume : `${volume.source || ''}:${volume.target || ''}`));
+        }
+        if (definition.networks !== undefined) {
+            service.networks = Array.isArray(definition.networks) ? definition.networks : Object.keys(definition.networks || {});
+        }
+        if (Array.isArray(definition.profiles)) service.profiles = definition.profiles;
+        if (definition.healthcheck && typeof definition.healthcheck === 'object' && !definition.healthcheck.disable) {
+            service.healthcheck = definition.healthcheck.test;
+        }
+        return service;
+    }
+
+    // An override's keys replace the base service's; its list entries are added
+    mergeService(base, override) {
+        const merged = { ...base, ...override, files: [...base.files, ...override.files] };
+        for (const key of ['ports', 'expose', 'volumes', 'envFiles', 'dependsOn']) {
+            if (base[key] && override[key]) merged[key] = [...base[key], ...override[key]];
+        }
+        if (base.environment && override.environment) merged.environment = { ...base.environment, ...override.environment };
+        return merged;
+    }
+
+    // "8080:80", "127.0.0.1:5432:5432/tcp" or the long syntax as `{ published, target, protocol? }`
+    parsePort(port) {
+        if (port && typeof port === 'object') {
+            return { published: port.published !== undefined ? String(port.published) : null, target: String(port.target), ...(port.protocol ? { protocol: port.protocol } : {}) };
+        }
+        const [mapping, protocol] = String(port).split('/');
+        const parts = mapping.split(':');
+        const target = parts.pop();
+        const published = parts.length > 0 ? parts.pop() : null;
+        return { published, target, ...(protocol ? { protocol } : {}) };
+    }
+
+    // environment: [KEY=value] or { KEY: value }; values that only name a variable stay null
+    parseEnvironment(environment) {
+        const entries = Array.isArray(environment)
+            ? environment.map(entry => {
+                const separator = String(entry).indexOf('=');
+                return separator === -1 ? [String(entry), null] : [String(entry).slice(0, separator), String(entry).slice(separator + 1)];
+            })
+            : Object.entries(environment || {});
+
+        return Object.fromEntries(entries.map(([key, value]) => {
+            if (value === null || value === undefined) return [key, null];
+            return [key, isSensitiveEnv(key) ? redactSecret(String(value)) : redactValue(String(value))];
+        }));
+    }
+
+    // postgres:16-alpine, docker.io/library/mysql:8, bitnami/redis -> engine
+    imageEngine(image) {
+        const name = image.split('@')[0].replace(/:[^/:]+$/, '').split('/').pop();
+        return DATABASE_IMAGES[name] || null;
+    }
+}
+
+export { DockerComposeParser };
@@ -0,0 +1,754 @@
+/**
+ * Doctrine Entity Analyzer
+ *
+ * Maps Doctrine ORM entities to tables the way Doctrine's schema tool does,
+ * from the class descriptions PhpClassAnalyzer produces. Mappings may be
+ * PHP attributes (`#[ORM\Column(length: 180)]`) or docblock annotations
+ * (`@ORM\Column(length=180)`): fields and their types (inferred from the
+ * property type when the mapping names none), identifiers and their
+ * generation, the four association kinds with their join columns and join
+ * tables, embeddables, mapped superclasses, traits, single table and
+ * joined inheritance, indexes, unique constraints and lifecycle callbacks.
+ * Table and column names follow the configured naming strategy, and the
+ * index and foreign key names Doctrine generates (`IDX_5A8A6C8DF675F31B`)
+ * are reproduced. Like the Django model registry, `resolve()` links the
+ * classes of every file once all of them have been added.
+ */
+
+import { parseAttributeArguments } from './php-source.mjs';
+
+const MAPPING_NAMESPACE = 'Doctrine\\ORM\\Mapping\\';
+
+// Constructor parameter order of the mapping attributes that are used positionally
+const POSITIONAL = {
+    Entity: ['repositoryClass', 'readOnly'],
+    MappedSuperclass: ['repositoryClass'],
+    Table: ['name', 'schema', 'indexes', 'uniqueConstraints', 'options'],
+    Column: ['name', 'type', 'length', 'precision', 'scale', 'unique', 'nullable', 'insertable', 'updatable', 'enumType', 'options', 'columnDefinition'],
+    GeneratedValue: ['strategy'],
+    ManyToOne: ['targetEntity', 'cascade', 'fetch', 'inversedBy'],
+    OneToOne: ['targetEntity', 'mappedBy', 'inversedBy', 'cascade', 'fetch', 'orphanRemoval'],
+    OneToMany: ['mappedBy', 'targetEntity', 'cascade', 'fetch', 'orphanRemoval', 'indexBy'],
+    ManyToMany: ['targetEntity', 'mappedBy', 'inversedBy', 'cascade', 'fetch', 'orphanRemoval', 'indexBy'],
+    JoinColumn: ['name', 'referencedColumnName', 'unique', 'nullable', 'onDelete', 'columnDefinition'],
+    InverseJoinColumn: ['name', 'referencedColumnName', 'unique', 'nullable', 'onDelete', 'columnDefinition'],
+    JoinColumns: ['value'],
+    JoinTable: ['name', 'schema', 'joinColumns', 'inverseJoinColumns'],
+    Embedded: ['class', 'columnPrefix'],
+    InheritanceType: ['value'],
+    DiscriminatorColumn: ['name', 'type', 'length', 'columnDefinition'],
+    DiscriminatorMap: ['value'],
+    OrderBy: ['value']
+};
+
+const ASSOCIATIONS = ['ManyToOne', 'OneToOne', 'OneToMany', 'ManyToMany'];
+
+const LIFECYCLE_EVENTS = ['PrePersist', 'PostPersist', 'PreUpdate', 'PostUpdate', 'PreRemove', 'PostRemove', 'PostLoad', 'PreFlush'];
+
+// The type Doctrine infers for a typed property that names none (ORM 2.9+)
+const PROPERTY_TYPES = {
+    int: 'integer',
+    float: 'float',
+    string: 'string',
+    bool: 'boolean',
+    array: 'json',
+    DateTime: 'datetime',
+    DateTimeInterface: 'datetime',
+    DateTimeImmutable: 'datetime_immutable',
+    DateInterval: 'dateinterval'
+};
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(text) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of Buffer.from(text, 'utf8')) crc = CRC32_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * DBAL's AbstractAsset::_generateIdentifierName(): the prefix and the crc32
+ * of the table and each column in hex, upper-cased.
+ */
+function identifierName(table, columns, prefix) {
+    const hash = [table, ...columns].map(name => crc32(name).toString(16)).join('');
+    return `${prefix}_${hash}`.toUpperCase().slice(0, 63);
+}
+
+class DoctrineEntityAnalyzer {
+    /**
+     * `namingStrategy` is the `doctrine.orm.naming_strategy` service id or its
+     * last segment: `default`, `underscore` or `underscore_number_aware`.
+     */
+    constructor({ namingStrategy = 'default' } = {}) {
+        const strategy = String(namingStrategy || 'default').split('.').pop();
+        this.namingStrategy = ['underscore', 'underscore_number_aware'].includes(strategy) ? strategy : 'default';
+        this.classes = {};
+    }
+
+    // Registers a class description; entities, superclasses, traits, embeddables and enums may all matter
+    add(description, file = null) {
+        if (!description || !description.class) return;
+        const fqcn = description.namespace ? `${description.namespace}\\${description.class}` : description.class;
+        this.classes[fqcn] = { ...description, fqcn, file };
+    }
+
+    // The Doctrine mappings among attributes and annotations, by short name with their arguments read
+    mappings(entries, description) {
+        const scope = { imports: description.imports || {}, namespace: description.namespace };
+        return (entries || [])
+            .filter(entry => entry.name.startsWith(MAPPING_NAMESPACE))
+            .map(entry => {
+                const name = entry.name.slice(MAPPING_NAMESPACE.length);
+                return { name, args: parseAttributeArguments(entry.arguments, scope, POSITIONAL[name] || []) };
+            });
+    }
+
+    memberMappings(member, description) {
+        return this.mappings([...(member.attributes || []), ...(member.annotations || [])], description);
+    }
+
+    // `new \Doctrine\ORM\Mapping\JoinColumn(...)` values nested in another mapping
+    nestedMappings(value, description) {
+        const scope = { imports: description.imports || {}, namespace: description.namespace };
+        return [].concat(value || [])
+            .filter(entry => entry && entry.class && entry.arguments)
+            .map(entry => {
+                const name = entry.class.startsWith(MAPPING_NAMESPACE) ? entry.class.slice(MAPPING_NAMESPACE.length) : entry.class;
+                return { name, args: parseAttributeArguments(entry.arguments, scope, POSITIONAL[name] || []) };
+            });
+    }
+
+    // Annotations name target entities relative to the entity's namespace
+    resolveClass(value, description) {
+        if (typeof value !== 'string' || value === '') return null;
+        if (value.startsWith('\\') || value.includes('\\')) return value.replace(/^\\/, '');
+        return description.namespace ? `${description.namespace}\\${value}` : value;
+    }
+
+    // A table or column name as declared; Doctrine quotes the ones written in backticks (`user`)
+    identifier(value) {
+        return typeof value === 'string' && value !== '' ? value.replace(/^`(.*)`$/, '$1') : null;
+    }
+
+    underscore(name) {
+        const pattern = this.namingStrategy === 'underscore_number_aware' ? /(?<=[a-z0-9])([A-Z])/g : /(?<=[a-z])([A-Z])/g;
+        return name.replace(pattern, '_$1').toLowerCase();
+    }
+
+    classToTableName(shortName) {
+        return this.namingStrategy === 'default' ? shortName : this.underscore(shortName);
+    }
+
+    propertyToColumnName(property) {
+        return this.namingStrategy === 'default' ? property : this.underscore(property);
+    }
+
+    embeddedFieldToColumnName(property, column) {
+        return `${this.propertyToColumnName(property)}_${column}`;
+    }
+
+    joinColumnName(property) {
+        return `${this.propertyToColumnName(property)}_id`;
+    }
+
+    joinTableName(source, target) {
+        const name = `${this.classToTableName(source.split('\\').pop())}_${this.classToTableName(target.split('\\').pop())}`;
+        return this.namingStrategy === 'default' ? name.toLowerCase() : name;
+    }
+
+    joinKeyColumnName(entity, referencedColumn = null) {
+        const name = `${this.classToTableName(entity.split('\\').pop())}_${referencedColumn || 'id'}`;
+        return this.namingStrategy === 'default' ? name.toLowerCase() : name;
+    }
+
+    /**
+     * The mapping of one class: its kind, table options and the fields,
+     * associations and embeddables its own properties and traits declare.
+     */
+    describeClass(fqcn, seen = new Set()) {
+        const description = this.classes[fqcn];
+        if (!description || seen.has(fqcn)) return null;
+        seen.add(fqcn);
+
+        const classMappings = this.memberMappings(description, description);
+        const find = name => classMappings.find(mapping => mapping.name === name);
+        const kind = find('Entity') ? 'entity' : find('MappedSuperclass') ? 'mappedSuperclass' : find('Embeddable') ? 'embeddable' : null;
+
+        const metadata = {
+            fqcn,
+            description,
+            kind,
+            entity: (find('Entity') || find('MappedSuperclass') || { args: {} }).args,
+            table: (find('Table') || { args: {} }).args,
+            indexes: [],
+            uniqueConstraints: [],
+            inheritance: null,
+            fields: [],
+            associations: [],
+            embedded: [],
+            lifecycleCallbacks: {}
+        };
+
+        // Attribute mappings declare indexes on the class; annotations nest them in @Table
+        for (const mapping of [...classMappings, ...this.nestedMappings(metadata.table.indexes, description), ...this.nestedMappings(metadata.table.uniqueConstraints, description)]) {
+            if (mapping.name === 'Index') metadata.indexes.push(mapping.args);
+            if (mapping.name === 'UniqueConstraint') metadata.uniqueConstraints.push(mapping.args);
+        }
+
+        if (find('InheritanceType')) {
+            const discriminator = (find('DiscriminatorColumn') || { args: {} }).args;
+            const map = (find('DiscriminatorMap') || { args: {} }).args.value;
+            metadata.inheritance = {
+                type: String(find('InheritanceType').args.value || 'NONE').toUpperCase(),
+                discriminatorColumn: {
+                    name: discriminator.name || 'dtype',
+                    type: discriminator.type || 'string',
+                    length: discriminator.length || 255
+                },
+                discriminatorMap: Object.fromEntries(Object.entries(map && typeof map === 'object' ? map : {})
+                    .map(([key, value]) => [key, this.resolveClass(value, description)]))
+            };
+        }
+
+        // Trait properties are mapped as if the class declared them
+        for (const trait of description.traits || []) {
+            const traitMetadata = this.describeClass(trait, seen);
+            if (!traitMetadata) continue;
+            metadata.fields.push(...traitMetadata.fields);
+            metadata.associations.push(...traitMetadata.associations);
+            metadata.embedded.push(...traitMetadata.embedded);
+            Object.assign(metadata.lifecycleCallbacks, traitMetadata.lifecycleCallbacks);
+        }
+
+        for (const property of description.properties || []) {
+            if (property.static) continue;
+            const mappings = this.memberMappings(property, description);
+            const get = name => mappings.find(mapping => mapping.name === name);
+            const association = ASSOCIATIONS.find(name => get(name));
+
+            if (association) {
+                metadata.associations.push(this.describeAssociation(property, association, mappings, description));
+            } else if (get('Embedded')) {
+                const args = get('Embedded').args;
+                metadata.embedded.push({
+                    property: property.name,
+                    class: this.resolveClass(args.class, description) || this.propertyClass(property),
+                    columnPrefix: args.columnPrefix === undefined ? null : args.columnPrefix
+                });
+            } else if (get('Column') || get('Id')) {
+                metadata.fields.push(this.describeField(property, mappings, description));
+            }
+        }
+
+        for (const method of description.methods || []) {
+            for (const mapping of this.memberMappings(method, description)) {
+                if (!LIFECYCLE_EVENTS.includes(mapping.name)) continue;
+                const event = `${mapping.name.charAt(0).toLowerCase()}${mapping.name.slice(1)}`;
+                (metadata.lifecycleCallbacks[event] = metadata.lifecycleCallbacks[event] || []).push(method.name);
+            }
+        }
+
+        return metadata;
+    }
+
+    // The class of a typed property (`?User` -> App\Entity\User), null for builtins and unions
+    propertyClass(property) {
+        const type = (property.type || '').replace(/^\?/, '');
+        if (!type || /[|&]/.test(type) || /^[a-z]+$/.test(type)) return null;
+        return type;
+    }
+
+    describeField(property, mappings, description) {
+        const column = (mappings.find(mapping => mapping.name === 'Column') || { args: {} }).args;
+        const generated = mappings.find(mapping => mapping.name === 'GeneratedValue');
+        const options = column.options && typeof column.options === 'object' ? column.options : {};
+        const enumType = this.resolveClass(column.enumType, description);
+
+        const field = {
+            property: property.name,
+            column: this.identifier(column.name),
+            type: this.fieldType(column.type, property, enumType),
+            nullable: column.nullable === true,
+            unique: column.unique === true,
+            id: mappings.some(mapping => mapping.name === 'Id'),
+            version: mappings.some(mapping => mapping.name === 'Version')
+        };
+        if (generated) field.generated = String(generated.args.strategy || 'AUTO').toUpperCase();
+        for (const key of ['length', 'precision', 'scale']) {
+            if (typeof column[key] === 'number') field[key] = column[key];
+        }
+        if (options.default !== undefined) field.default = options.default;
+        if (options.unsigned === true) field.unsigned = true;
+        if (typeof options.comment === 'string') field.comment = options.comment;
+        if (typeof column.columnDefinition === 'string') field.columnDefinition = column.columnDefinition;
+        if (enumType) field.enumType = enumType;
+        return field;
+    }
+
+    /**
+     * `type: 'string'`, `type: Types::DATETIME_IMMUTABLE` (datetime_immutable)
+     * or, without one, the type the property declares.
+     */
+    fieldType(type, property, enumType) {
+        if (typeof type === 'string') return type;
+        if (type && type.expression) {
+            const constant = type.expression.match(/::(\w+)$/);
+            if (constant) return constant[1].toLowerCase().replace(/_mutable$/, '');
+        }
+        if (enumType) {
+            const enumeration = this.classes[enumType];
+            return enumeration && enumeration.backingType === 'int' ? 'integer' : 'string';
+        }
+
+        const declared = (property.type || '').replace(/^\?/, '');
+        if (PROPERTY_TYPES[declared]) return PROPERTY_TYPES[declared];
+        // Symfony's Uid component and ramsey/uuid register their own types
+        if (/\\Uid\\Uuid$|^Ramsey\\Uuid\\UuidInterface$/.test(declared)) return 'uuid';
+        if (/\\Uid\\Ulid$/.test(declared)) return 'ulid';
+        const enumeration = this.classes[declared];
+        if (enumeration && enumeration.kind === 'enum') return enumeration.backingType === 'int' ? 'integer' : 'string';
+        return 'string';
+    }
+
+    describeAssociation(property, kind, mappings, description) {
+        const args = mappings.find(mapping => mapping.name === kind).args;
+        const joinColumns = [
+            ...mappings.filter(mapping => mapping.name === 'JoinColumn').map(mapping => mapping.args),
+            ...mappings.filter(mapping => mapping.name === 'JoinColumns').flatMap(mapping => this.nestedMappings(mapping.args.value, description).map(nested => nested.args))
+        ];
+        const joinTable = mappings.find(mapping => mapping.name === 'JoinTable');
+        const inverseJoinColumns = mappings.filter(mapping => mapping.name === 'InverseJoinColumn').map(mapping => mapping.args);
+
+        const association = {
+            property: property.name,
+            kind,
+            targetEntity: this.resolveClass(args.targetEntity, description) || this.propertyClass(property),
+            mappedBy: typeof args.mappedBy === 'string' ? args.mappedBy : null,
+            inversedBy: typeof args.inversedBy === 'string' ? args.inversedBy : null,
+            joinColumns,
+            joinTable: null
+        };
+        if (args.orphanRemoval === true) association.orphanRemoval = true;
+        if (Array.isArray(args.cascade)) association.cascade = args.cascade;
+        if (typeof args.fetch === 'string') association.fetch = args.fetch;
+
+        if (joinTable || inverseJoinColumns.length > 0) {
+            const tableArgs = joinTable ? joinTable.args : {};
+            association.joinTable = {
+                name: this.identifier(tableArgs.name),
+                joinColumns: this.nestedMappings(tableArgs.joinColumns, description).map(nested => nested.args),
+                inverseJoinColumns: [...this.nestedMappings(tableArgs.inverseJoinColumns, description).map(nested => nested.args), ...inverseJoinColumns]
+            };
+        }
+        return association;
+    }
+
+    /**
+     * Metadata with inherited mappings applied: mapped superclasses contribute
+     * their fields, entity parents make this a child in their hierarchy.
+     */
+    inheritedMetadata(fqcn, cache) {
+        if (cache.has(fqcn)) return cache.get(fqcn);
+        const metadata = this.describeClass(fqcn);
+        if (!metadata) return null;
+        cache.set(fqcn, metadata);
+
+        metadata.inherited = { fields: [], associations: [], embedded: [] };
+        const parent = metadata.description.extends ? this.inheritedMetadata(metadata.description.extends, cache) : null;
+        if (parent && parent.kind === 'mappedSuperclass') {
+            for (const key of ['fields', 'associations', 'embedded']) {
+                metadata[key] = [...parent.inherited[key], ...parent[key], ...metadata[key]];
+            }
+            metadata.lifecycleCallbacks = { ...parent.lifecycleCallbacks, ...metadata.lifecycleCallbacks };
+            if (parent.parentEntity) metadata.parentEntity = parent.parentEntity;
+        } else if (parent && parent.kind === 'entity') {
+            metadata.parentEntity = parent.fqcn;
+        }
+        return metadata;
+    }
+
+    rootEntity(metadata, cache) {
+        let root = metadata;
+        while (root.parentEntity && cache.get(root.parentEntity)) root = cache.get(root.parentEntity);
+        return root;
+    }
+
+    /**
+     * Returns `{ models, tables }`: one model per entity, keyed by its fully
+     * qualified class name, with Eloquent-style relationships, and the tables
+     * Doctrine's schema tool would create for them (join tables included).
+     */
+    resolve() {
+        const cache = new Map();
+        const entities = Object.keys(this.classes)
+            .map(fqcn => this.inheritedMetadata(fqcn, cache))
+            .filter(metadata => metadata && metadata.kind === 'entity');
+
+        const models = {};
+        const tables = {};
+
+        // Roots first so children of single table hierarchies find their table
+        const depth = metadata => {
+            let count = 0;
+            for (let current = metadata; current.parentEntity && cache.get(current.parentEntity); current = cache.get(current.parentEntity)) count++;
+            return count;
+        };
+        entities.sort((a, b) => depth(a) - depth(b));
+
+        for (const metadata of entities) {
+            const root = this.rootEntity(metadata, cache);
+            const inheritance = root.inheritance;
+            const singleTable = metadata !== root && inheritance && inheritance.type === 'SINGLE_TABLE';
+            const parent = metadata.parentEntity ? models[metadata.parentEntity] : null;
+            const tableName = singleTable
+                ? models[root.fqcn].table
+                : (this.identifier(metadata.table.name) || this.classToTableName(metadata.description.class));
+
+            const model = {
+                class: metadata.description.class,
+                namespace: metadata.description.namespace,
+                file: metadata.description.file || metadata.description.path || null,
+                summary: metadata.description.summary || null,
+                table: tableName,
+                primaryKey: null,
+                identifier: [],
+                repository: typeof metadata.entity.repositoryClass === 'string' ? metadata.entity.repositoryClass : null,
+                fields: {},
+                embedded: {},
+                relationships: [],
+                lifecycleCallbacks: metadata.lifecycleCallbacks
+            };
+            if (metadata.entity.readOnly === true) model.readOnly = true;
+            if (metadata.parentEntity) model.parent = metadata.parentEntity;
+            if (metadata === root && inheritance) model.inheritance = inheritance;
+
+            const table = tables[tableName] || (tables[tableName] = {
+                name: tableName,
+                model: metadata.fqcn,
+                createdIn: model.file,
+                modifiedIn: [],
+                columns: {},
+                foreignKeys: [],
+                indexes: [],
+                checks: []
+            });
+
+            // Children inherit the identifier; joined children repeat it as a key to the parent row
+            if (parent) {
+                model.identifier = [...parent.identifier];
+                model.primaryKey = parent.primaryKey;
+                Object.assign(model.fields, parent.fields);
+                if (!singleTable) {
+                    const parentTable = tables[parent.table];
+                    for (const column of model.identifier) {
+                        const { autoIncrement, ...parentColumn } = parentTable.columns[column] || { type: 'integer' };
+                        table.columns[column] = { ...parentColumn, name: column, provenance: [{ model: model.class, action: 'inherited' }] };
+                    }
+                    this.addIndex(table, { name: 'primary', type: 'primary', columns: [...model.identifier] });
+                    this.addForeignKey(table, model.identifier, parent.table, model.identifier, 'cascade');
+                }
+            }
+
+            const ownFields = parent ? metadata.fields.filter(field => !parent.fields[field.property]) : metadata.fields;
+            for (const field of ownFields) this.addField(model, table, field, { nullable: singleTable });
+            for (const embedded of metadata.embedded) this.addEmbedded(model, table, embedded, { nullable: singleTable });
+
+            if (!parent) {
+                const identifier = ownFields.filter(field => field.id).map(field => model.fields[field.property].column);
+                model.identifier = identifier;
+                model.primaryKey = identifier.length === 1 ? identifier[0] : identifier.length > 1 ? identifier : null;
+                if (identifier.length > 0) this.addIndex(table, { name: 'primary', type: 'primary', columns: identifier });
+            }
+
+            if (metadata === root && inheritance && inheritance.type !== 'NONE') {
+                const discriminator = inheritance.discriminatorColumn;
+                table.columns[discriminator.name] = {
+                    name: discriminator.name,
+                    type: discriminator.type,
+                    length: discriminator.length,
+                    nullable: false,
+                    default: null,
+                    unique: false,
+                    index: false,
+                    discriminator: true,
+                    options: Object.keys(inheritance.discriminatorMap),
+                    provenance: [{ model: model.class, action: 'auto_created' }]
+                };
+            }
+
+            for (const index of metadata.indexes) this.addDeclaredIndex(table, index, model, 'index');
+            for (const constraint of metadata.uniqueConstraints) this.addDeclaredIndex(table, constraint, model, 'unique');
+
+            model.associations = metadata.associations;
+            models[metadata.fqcn] = model;
+        }
+
+        // Associations need every entity's table and identifier; inverse sides read the owning side's keys
+        for (const inverse of [false, true]) {
+            for (const [fqcn, model] of Object.entries(models)) {
+                const singleTable = Boolean(model.parent && models[model.parent] && models[model.parent].table === model.table);
+                for (const association of model.associations.filter(candidate => Boolean(candidate.mappedBy) === inverse)) {
+                    this.addAssociation(fqcn, model, tables[model.table], association, models, tables, singleTable);
+                }
+            }
+        }
+        for (const model of Object.values(models)) delete model.associations;
+
+        for (const table of Object.values(tables)) {
+            for (const index of table.indexes) {
+                if (index.type !== 'primary') continue;
+                for (const column of index.columns) {
+                    if (table.columns[column]) table.columns[column].primary = true;
+                }
+            }
+        }
+
+        return { models, tables };
+    }
+
+    addField(model, table, field, { nullable = false, prefix = '', property = field.property } = {}) {
+        const name = prefix + (field.column || this.propertyToColumnName(field.property));
+        const column = {
+            name,
+            type: field.type,
+            nullable: !field.id && (field.nullable || nullable),
+            default: field.default === undefined ? null : field.default,
+            unique: field.unique,
+            index: false
+        };
+        for (const key of ['length', 'precision', 'scale', 'unsigned', 'comment', 'columnDefinition']) {
+            if (field[key] !== undefined) column[key] = field[key];
+        }
+        // DBAL gives string columns without a length VARCHAR(255)
+        if (['string', 'ascii_string'].includes(field.type) && column.length === undefined) column.length = 255;
+        if (field.id && field.generated && ['AUTO', 'IDENTITY', 'SEQUENCE'].includes(field.generated) && /int/.test(field.type)) {
+            column.autoIncrement = true;
+        }
+        if (field.enumType) {
+            const enumeration = this.classes[field.enumType];
+            column.enumType = field.enumType;
+            if (enumeration && enumeration.cases) column.options = enumeration.cases.map(entry => entry.value).filter(value => value !== null);
+        }
+        column.provenance = [{ model: model.class, action: 'declared' }];
+        table.columns[name] = column;
+
+        model.fields[property] = { column: name, type: field.type, nullable: column.nullable };
+        if (field.id) model.fields[property].id = true;
+        if (field.generated) model.fields[property].generated = field.generated;
+        if (field.version) model.fields[property].version = true;
+        if (field.enumType) model.fields[property].enumType = field.enumType;
+
+        if (field.unique) this.addIndex(table, { name: identifierName(table.name, [name], 'uniq'), type: 'unique', columns: [name] });
+    }
+
+    // Embeddable fields become columns named `{prefix}{column}`, `address_street` by default
+    addEmbedded(model, table, embedded, options) {
+        const metadata = this.describeClass(embedded.class);
+        model.embedded[embedded.property] = { class: embedded.class, columnPrefix: embedded.columnPrefix };
+        if (!metadata) return;
+
+        for (const field of metadata.fields) {
+            const column = field.column || this.propertyToColumnName(field.property);
+            const name = embedded.columnPrefix === false
+                ? column
+                : typeof embedded.columnPrefix === 'string' ? `${embedded.columnPrefix}${column}` : this.embeddedFieldToColumnName(embedded.property, column);
+            this.addField(model, table, { ...field, column: name }, { ...options, property: `${embedded.property}.${field.property}` });
+        }
+    }
+
+    addDeclaredIndex(table, index, model, type) {
+        const columns = Array.isArray(index.columns)
+            ? index.columns
+            : Array.isArray(index.fields) ? index.fields.map(property => (model.fields[property] ? model.fields[property].column : this.propertyToColumnName(property))) : [];
+        if (columns.length === 0) return;
+        const entry = {
+            name: typeof index.name === 'string' ? index.name : identifierName(table.name, columns, type === 'unique' ? 'uniq' : 'idx'),
+            type,
+            columns
+        };
+        if (Array.isArray(index.flags) && index.flags.includes('fulltext')) entry.type = 'fullText';
+        if (Array.isArray(index.flags) && index.flags.includes('spatial')) entry.type = 'spatialIndex';
+        this.addIndex(table, entry);
+    }
+
+    addIndex(table, index) {
+        table.indexes = table.indexes.filter(existing => existing.name !== index.name && !(index.type === 'primary' && existing.type === 'primary'));
+        table.indexes.push(index);
+    }
+
+    addForeignKey(table, columns, referencedTable, referencedColumns, onDelete = null) {
+        const name = identifierName(table.name, columns, 'fk');
+        columns.forEach((column, position) => {
+            table.foreignKeys.push({
+                column,
+                references: referencedColumns[position] || referencedColumns[0],
+                on: referencedTable,
+                onDelete,
+                onUpdate: null,
+                name
+            });
+        });
+        // Doctrine indexes the key columns unless an index on exactly those columns exists
+        const covered = table.indexes.some(index => index.columns.length === columns.length &&
+            columns.every((column, position) => index.columns[position] === column));
+        if (!covered) this.addIndex(table, { name: identifierName(table.name, columns, 'idx'), type: 'index', columns: [...columns] });
+        for (const column of columns) {
+            if (table.columns[column]) table.columns[column].index = true;
+        }
+    }
+
+    // The owning side's mapping of an inverse association (`mappedBy: 'author'`)
+    owningSide(association, models) {
+        const target = models[association.targetEntity];
+        if (!target || !association.mappedBy) return null;
+        for (let current = target; current; current = current.parent ? models[current.parent] : null) {
+            const owning = (current.associations || []).find(candidate => candidate.property === association.mappedBy);
+            if (owning) return owning;
+        }
+        return null;
+    }
+
+    defaultJoinColumns(association) {
+        return association.joinColumns.length > 0
+            ? association.joinColumns.map(joinColumn => ({ ...joinColumn }))
+            : [{}];
+    }
+
+    addAssociation(fqcn, model, table, association, models, tables, singleTable) {
+        const target = models[association.targetEntity];
+        const relatedTable = target ? target.table : this.classToTableName((association.targetEntity || '').split('\\').pop());
+        const relationship = {
+            name: association.property,
+            mapping: association.kind,
+            related: association.targetEntity,
+            relatedTable
+        };
+
+        if (association.kind === 'ManyToOne' || (association.kind === 'OneToOne' && !association.mappedBy)) {
+            const joinColumns = this.defaultJoinColumns(association).map(joinColumn => ({
+                name: this.identifier(joinColumn.name) || this.joinColumnName(association.property),
+                referencedColumnName: typeof joinColumn.referencedColumnName === 'string' ? joinColumn.referencedColumnName : 'id',
+                nullable: joinColumn.nullable !== false,
+                // A one-to-one key is unique unless its join column says otherwise
+                unique: joinColumn.unique === true || (association.kind === 'OneToOne' && joinColumn.unique !== false),
+                onDelete: typeof joinColumn.onDelete === 'string' ? joinColumn.onDelete.toLowerCase() : null
+            }));
+            association.resolvedJoinColumns = joinColumns;
+
+            for (const joinColumn of joinColumns) {
+                const referenced = target && tables[target.table] && tables[target.table].columns[joinColumn.referencedColumnName];
+                table.columns[joinColumn.name] = {
+                    name: joinColumn.name,
+                    type: referenced ? referenced.type : 'integer',
+                    nullable: joinColumn.nullable || Boolean(singleTable),
+                    default: null,
+                    unique: joinColumn.unique,
+                    index: true,
+                    provenance: [{ model: model.class, action: 'declared' }]
+                };
+                if (joinColumn.unique) this.addIndex(table, { name: identifierName(table.name, [joinColumn.name], 'uniq'), type: 'unique', columns: [joinColumn.name] });
+            }
+            const columns = joinColumns.map(joinColumn => joinColumn.name);
+            this.addForeignKey(table, columns, relatedTable, joinColumns.map(joinColumn => joinColumn.referencedColumnName), joinColumns[0].onDelete);
+
+            model.relationships.push({
+                ...relationship,
+                type: 'belongsTo',
+                foreignKey: columns.length === 1 ? columns[0] : columns,
+                ownerKey: joinColumns[0].referencedColumnName
+            });
+            return;
+        }
+
+        if (association.kind === 'OneToMany' || association.kind === 'OneToOne') {
+            // The inverse side: the key lives on the target's table
+            const owning = this.owningSide(association, models);
+            const joinColumn = owning && owning.resolvedJoinColumns ? owning.resolvedJoinColumns[0]
+                : { name: this.joinColumnName(association.mappedBy || ''), referencedColumnName: 'id' };
+            model.relationships.push({
+                ...relationship,
+                type: association.kind === 'OneToMany' ? 'hasMany' : 'hasOne',
+                foreignKey: joinColumn.name,
+                localKey: joinColumn.referencedColumnName,
+                mappedBy: association.mappedBy
+            });
+            if (association.orphanRemoval) model.relationships[model.relationships.length - 1].orphanRemoval = true;
+            return;
+        }
+
+        // ManyToMany: the owning side declares the join table
+        if (association.mappedBy) {
+            const owning = this.owningSide(association, models);
+            const joinTable = owning && owning.resolvedJoinTable;
+            model.relationships.push({
+                ...relationship,
+                type: 'belongsToMany',
+                table: joinTable ? joinTable.name : this.joinTableName(association.targetEntity, fqcn),
+                foreignPivotKey: joinTable ? joinTable.inverseJoinColumns[0].name : this.joinKeyColumnName(fqcn),
+                relatedPivotKey: joinTable ? joinTable.joinColumns[0].name : this.joinKeyColumnName(association.targetEntity),
+                mappedBy: association.mappedBy
+            });
+            return;
+        }
+
+        const declared = association.joinTable || { name: null, joinColumns: [], inverseJoinColumns: [] };
+        const keyColumns = (declared, entity) => (declared.length > 0 ? declared : [{}]).map(joinColumn => ({
+            name: this.identifier(joinColumn.name) || this.joinKeyColumnName(entity, joinColumn.referencedColumnName),
+            referencedColumnName: typeof joinColumn.referencedColumnName === 'string' ? joinColumn.referencedColumnName : 'id',
+            onDelete: typeof joinColumn.onDelete === 'string' ? joinColumn.onDelete.toLowerCase() : 'cascade'
+        }));
+        const joinTable = {
+            name: declared.name || this.joinTableName(fqcn, association.targetEntity),
+            joinColumns: keyColumns(declared.joinColumns, fqcn),
+            inverseJoinColumns: keyColumns(declared.inverseJoinColumns, association.targetEntity)
+        };
+        association.resolvedJoinTable = joinTable;
+
+        const pivot = tables[joinTable.name] || (tables[joinTable.name] = {
+            name: joinTable.name,
+            model: null,
+            joinTable: true,
+            createdIn: model.file,
+            modifiedIn: [],
+            columns: {},
+            foreignKeys: [],
+            indexes: [],
+            checks: []
+        });
+        const sides = [[joinTable.joinColumns, model.table], [joinTable.inverseJoinColumns, relatedTable]];
+        for (const [joinColumns, referencedTable] of sides) {
+            for (const joinColumn of joinColumns) {
+                const referenced = tables[referencedTable] && tables[referencedTable].columns[joinColumn.referencedColumnName];
+                pivot.columns[joinColumn.name] = {
+                    name: joinColumn.name,
+                    type: referenced ? referenced.type : 'integer',
+                    nullable: false,
+                    default: null,
+                    unique: false,
+                    index: true,
+                    provenance: [{ model: model.class, action: 'auto_created' }]
+                };
+            }
+        }
+        this.addIndex(pivot, { name: 'primary', type: 'primary', columns: [...joinTable.joinColumns, ...joinTable.inverseJoinColumns].map(joinColumn => joinColumn.name) });
+        for (const [joinColumns, referencedTable] of sides) {
+            const columns = joinColumns.map(joinColumn => joinColumn.name);
+            this.addForeignKey(pivot, columns, referencedTable, joinColumns.map(joinColumn => joinColumn.referencedColumnName), joinColumns[0].onDelete);
+        }
+
+        model.relationships.push({
+            ...relationship,
+            type: 'belongsToMany',
+            table: joinTable.name,
+            foreignPivotKey: joinTable.joinColumns[0].name,
+            relatedPivotKey: joinTable.inverseJoinColumns[0].name
+        });
+    }
+}
+
+export { DoctrineEntityAnalyzer, identifierName };
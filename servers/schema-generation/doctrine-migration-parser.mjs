@@ -0,0 +1,74 @@
+/**
+ * Doctrine Migration Parser
+ *
+ * Turns a Doctrine migration (`migrations/Version20240101120000.php`) into
+ * the operations the migration replay engine applies. Doctrine migrations
+ * are the SQL `doctrine:migrations:diff` wrote, passed to `$this->addSql()`
+ * in `up()`, so the statements are read as a SQL migration, with the
+ * Doctrine type hints of column comments kept apart. Migrations must be
+ * parsed in order with one parser.
+ */
+
+import { SqlMigrationParser } from './sql-migration-parser.mjs';
+import { extractMethodBody, findClosingBracket, splitTopLevel, parseStringLiteral } from './php-source.mjs';
+
+class DoctrineMigrationParser extends SqlMigrationParser {
+    /**
+     * The `addSql()` statements of `up()` in order. Only string literals can
+     * be read; statements built at runtime are counted under `skipped`.
+     */
+    extractStatements(content) {
+        const body = extractMethodBody(content, 'up') || '';
+        const statements = [];
+        let skipped = 0;
+        const pattern = /\$this\s*->\s*addSql\s*\(/g;
+        let match;
+        while ((match = pattern.exec(body)) !== null) {
+            const open = match.index + match[0].length - 1;
+            const close = findClosingBracket(body, open);
+            if (close === -1) break;
+            const [sql] = splitTopLevel(body.slice(open + 1, close));
+            const literal = this.stringValue(sql);
+            if (literal === null) skipped++;
+            else statements.push(literal);
+            pattern.lastIndex = close + 1;
+        }
+        return { statements, skipped };
+    }
+
+    // 'single', "double" and <<<'SQL' nowdoc/heredoc strings
+    stringValue(expression) {
+        const text = (expression || '').trim();
+        const heredoc = text.match(/^<<<\s*(['"]?)(\w+)\1\r?\n([\s\S]*?)\r?\n[ \t]*\2$/);
+        if (heredoc) return heredoc[3];
+        return parseStringLiteral(text);
+    }
+
+    /**
+     * Returns `{ filename, operations }` for the migration's `up()`, plus
+     * `skipped` when some statements could not be read.
+     */
+    parse(content, filename) {
+        const { statements, skipped } = this.extractStatements(content);
+        const migration = this.parseStatements(statements, filename);
+        if (skipped > 0) migration.skipped = skipped;
+        return migration;
+    }
+
+    normalizeColumn(column) {
+        return this.withDoctrineType(column);
+    }
+
+    // Doctrine marks the types a column cannot tell apart in its comment: '(DC2Type:datetime_immutable)'
+    withDoctrineType(column) {
+        const hint = typeof column.comment === 'string' && column.comment.match(/\(DC2Type:(\w+)\)/);
+        if (!hint) return column;
+        const typed = { ...column, doctrineType: hint[1] };
+        const comment = column.comment.replace(hint[0], '').trim();
+        if (comment) typed.comment = comment;
+        else delete typed.comment;
+        return typed;
+    }
+}
+
+export { DoctrineMigrationParser };
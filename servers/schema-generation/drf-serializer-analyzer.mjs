@@ -0,0 +1,245 @@
+/**
+ * DRF Serializer Analyzer
+ *
+ * Reads Django REST framework serializers the way the FormRequest analyzer
+ * reads Laravel form requests: the model a `ModelSerializer` is bound to,
+ * its `Meta.fields`/`exclude`/`read_only_fields`/`extra_kwargs`, the fields
+ * declared on the class with their options, and the `validate_<field>` and
+ * `validate` hooks. Serializers inheriting from project serializers are
+ * completed by `resolve()` once every module has been read.
+ */
+
+import { PythonModuleAnalyzer } from './python-module-analyzer.mjs';
+import { parseCall, parseValue } from './python-source.mjs';
+
+const SERIALIZER_BASES = ['Serializer', 'ModelSerializer', 'HyperlinkedModelSerializer', 'ListSerializer', 'GeoFeatureModelSerializer'];
+
+// Declared field options that become validation rules
+const RULE_OPTIONS = ['required', 'allow_null', 'allow_blank', 'max_length', 'min_length', 'max_value', 'min_value', 'max_digits', 'decimal_places', 'choices', 'read_only', 'write_only', 'many', 'source', 'default'];
+
+// Field types in the FormRequest rule vocabulary, so validation reads the same for every framework
+const TYPE_RULES = {
+    '^EmailField$': ['string', 'email'],
+    '^(?:URL|HyperlinkedRelated|HyperlinkedIdentity)Field$': ['string', 'url'],
+    '^UUIDField$': ['string', 'uuid'],
+    '^(?:Generic)?IPAddressField$': ['string', 'ip'],
+    '^(?:ForeignKey|ParentalKey|OneToOneField|PrimaryKeyRelatedField|\\w*IntegerField)$': ['integer'],
+    '^(?:Decimal|Float)Field$': ['numeric'],
+    '^(?:Null)?BooleanField$': ['boolean'],
+    '^DateTimeField$': ['date_format:Y-m-d\\TH:i:s'],
+    '^DateField$': ['date'],
+    '^ImageField$': ['image'],
+    '^(?:File|FilePath)Field$': ['file'],
+    '^(?:List|MultipleChoice|ManyToMany|Array)Field$|^ListSerializer$': ['array'],
+    '^(?:JSON|Dict|HStore)Field$|Serializer$': ['array']
+};
+
+class DrfSerializerAnalyzer {
+    constructor() {
+        this.moduleAnalyzer = new PythonModuleAnalyzer();
+        this.candidates = {};
+    }
+
+    /**
+     * Returns the serializer candidates of one module; whether a class is a
+     * serializer is settled by `resolve()`.
+     */
+    analyze(content, module, file = null) {
+        const description = this.moduleAnalyzer.analyze(content, module, file);
+        const serializers = description.classes.map(entry => this.describeClass(entry, file));
+        for (const serializer of serializers) this.candidates[serializer.class] = serializer;
+        return serializers;
+    }
+
+    describeClass(entry, file) {
+        const serializer = {
+            class: entry.class,
+            name: entry.name,
+            file,
+            summary: entry.summary,
+            bases: entry.bases,
+            model: null,
+            fields: null,
+            exclude: null,
+            readOnlyFields: [],
+            extraKwargs: {},
+            declaredFields: {},
+            methodFields: [],
+            validators: []
+        };
+
+        const meta = entry.classes.find(nested => nested.name === 'Meta');
+        for (const attribute of meta ? meta.attributes : []) {
+            const value = parseValue(attribute.value);
+            switch (attribute.name) {
+                case 'model':
+                    serializer.model = this.moduleAnalyzer.resolve(attribute.value);
+                    break;
+                case 'fields':
+                    serializer.fields = value;
+                    break;
+                case 'exclude':
+                    serializer.exclude = value;
+                    break;
+                case 'read_only_fields':
+                    serializer.readOnlyFields = Array.isArray(value) ? value : [];
+                    break;
+                case 'extra_kwargs':
+                    serializer.extraKwargs = value && !value.expression ? value : {};
+                    break;
+                case 'depth':
+                    serializer.depth = value;
+                    break;
+            }
+        }
+
+        for (const attribute of entry.attributes) {
+            const call = parseCall(attribute.value);
+            if (!call) continue;
+            const type = call.name.split('.').pop();
+            if (!/(?:Field|Serializer|RelatedField)$/.test(type)) continue;
+
+            const field = { type };
+            for (const [key, raw] of Object.entries(call.args.options)) {
+                if (RULE_OPTIONS.includes(key)) field[key] = parseValue(raw);
+            }
+            // A nested serializer names its class; SerializerMethodField its getter
+            if (/Serializer$/.test(type)) field.serializer = this.moduleAnalyzer.resolve(call.name);
+            if (type === 'SerializerMethodField') {
+                const method = parseValue(call.args.options.method_name || call.args.positional[0] || 'None');
+                serializer.methodFields.push(attribute.name);
+                field.method = typeof method === 'string' ? method : `get_${attribute.name}`;
+            }
+            serializer.declaredFields[attribute.name] = field;
+        }
+
+        for (const method of entry.methods) {
+            const match = method.name.match(/^validate(?:_(\w+))?$/);
+            if (match) serializer.validators.push({ field: match[1] || null, method: method.name, summary: method.summary });
+        }
+
+        return serializer;
+    }
+
+    /**
+     * Returns the serializers keyed by class: candidates deriving from a DRF
+     * serializer, with `Meta` and declared fields inherited from project bases.
+     */
+    resolve() {
+        const resolved = {};
+        for (const serializer of Object.values(this.candidates)) {
+            const chain = this.chain(serializer.class, new Set());
+            if (!chain) continue;
+
+            const merged = { ...serializer, declaredFields: {}, validators: [], methodFields: [] };
+            // Base classes first so subclasses override what they redeclare
+            for (const entry of chain.reverse()) {
+                Object.assign(merged.declaredFields, entry.declaredFields);
+                merged.validators = [...merged.validators.filter(validator => !entry.validators.some(own => own.method === validator.method)), ...entry.validators];
+                merged.methodFields = [...new Set([...merged.methodFields, ...entry.methodFields])];
+                for (const key of ['model', 'fields', 'exclude']) {
+                    if (entry[key] !== null) merged[key] = entry[key];
+                }
+                if (entry.readOnlyFields.length > 0) merged.readOnlyFields = entry.readOnlyFields;
+                if (Object.keys(entry.extraKwargs).length > 0) merged.extraKwargs = entry.extraKwargs;
+            }
+            merged.kind = chain.some(entry => entry.modelSerializer) || merged.model ? 'model' : 'plain';
+            delete merged.modelSerializer;
+            resolved[serializer.class] = merged;
+        }
+        return resolved;
+    }
+
+    // The serializer and its project ancestors, nearest first; null when not a serializer
+    chain(className, seen) {
+        if (seen.has(className)) return null;
+        seen.add(className);
+        const serializer = this.candidates[className];
+        if (!serializer) return null;
+
+        const chain = [serializer];
+        let isSerializer = false;
+        for (const base of serializer.bases) {
+            if (this.candidates[base]) {
+                const parent = this.chain(base, seen);
+                if (parent) {
+                    chain.push(...parent);
+                    isSerializer = true;
+                }
+            } else if (SERIALIZER_BASES.includes(base.split('.').pop())) {
+                isSerializer = true;
+                if (/Model/.test(base)) serializer.modelSerializer = true;
+            }
+        }
+        return isSerializer ? chain : null;
+    }
+
+    /**
+     * The input fields a serializer accepts: writable model fields listed in
+     * `Meta.fields` (all of them for `'__all__'`, minus `exclude`) and the
+     * writable declared fields, as `{ field: { rules, source } }`.
+     * `choicesOf(field)` returns the values of a model field's choices.
+     */
+    inputFields(serializer, modelFields = {}, choicesOf = () => null) {
+        const fields = {};
+        const readOnly = new Set(serializer.readOnlyFields);
+        const listed = serializer.fields === '__all__' || serializer.fields === null
+            ? Object.keys(modelFields).filter(name => !(serializer.exclude || []).includes(name))
+            : Array.isArray(serializer.fields) ? serializer.fields : [];
+
+        for (const name of listed) {
+            const declared = serializer.declaredFields[name];
+            const extra = serializer.extraKwargs[name] || {};
+            if (readOnly.has(name) || extra.read_only === true) continue;
+            if (declared) {
+                if (declared.read_only === true || ['SerializerMethodField', 'ReadOnlyField', 'HiddenField'].includes(declared.type)) continue;
+                fields[name] = { source: 'declared', rules: this.declaredRules(declared, extra) };
+            } else if (modelFields[name]) {
+                const rules = this.modelRules(modelFields[name], extra, choicesOf(modelFields[name]));
+                if (rules) fields[name] = { source: 'model', rules };
+            }
+        }
+
+        // Declared fields are included even when Meta.fields does not list them (plain serializers)
+        for (const [name, declared] of Object.entries(serializer.declaredFields)) {
+            if (fields[name] || listed.includes(name)) continue;
+            if (declared.read_only === true || ['SerializerMethodField', 'ReadOnlyField', 'HiddenField'].includes(declared.type)) continue;
+            fields[name] = { source: 'declared', rules: this.declaredRules(declared, serializer.extraKwargs[name] || {}) };
+        }
+        return fields;
+    }
+
+    declaredRules(declared, extra) {
+        const options = { ...declared, ...extra };
+        const optional = options.required === false || options.default !== undefined;
+        const rules = [optional ? 'sometimes' : 'required', ...(options.many === true ? ['array'] : this.typeRules(options.type))];
+        if (options.allow_null === true) rules.push('nullable');
+        for (const [key, rule] of [['max_length', 'max'], ['min_length', 'min'], ['max_value', 'max'], ['min_value', 'min']]) {
+            if (options[key] !== undefined && options[key] !== null && !options[key].expression) rules.push(`${rule}:${options[key]}`);
+        }
+        if (Array.isArray(options.choices)) rules.push(`in:${options.choices.map(choice => Array.isArray(choice) ? choice[0] : choice).join(',')}`);
+        return rules;
+    }
+
+    // What a ModelSerializer derives from the model field; null for fields it makes read-only
+    modelRules(field, extra, choices) {
+        if (field.primaryKey || field.editable === false || /AutoField$/.test(field.type)) return null;
+        if (field.options && (field.options.auto_now === true || field.options.auto_now_add === true)) return null;
+
+        const optional = field.nullable || field.blank || field.default !== undefined;
+        const rules = [(optional || extra.required === false) && extra.required !== true ? 'sometimes' : 'required', ...this.typeRules(field.type)];
+        if (field.nullable) rules.push('nullable');
+        if (typeof field.maxLength === 'number') rules.push(`max:${field.maxLength}`);
+        if (field.unique) rules.push('unique');
+        if (Array.isArray(choices)) rules.push(`in:${choices.join(',')}`);
+        return rules;
+    }
+
+    // Django and DRF field types in the rule vocabulary the OpenAPI builder reads
+    typeRules(type) {
+        const rules = Object.entries(TYPE_RULES).find(([pattern]) => new RegExp(pattern).test(type || ''));
+        return rules ? rules[1] : ['string'];
+    }
+}
+
+export { DrfSerializerAnalyzer };
@@ -0,0 +1,237 @@
+/**
+ * Eloquent Model Analyzer
+ *
+ * Reduces an Eloquent model class to structured data: table and key
+ * configuration, mass-assignment and serialization lists, casts, traits,
+ * relationships (with Laravel's default key naming applied), local scopes,
+ * and legacy or Attribute-based accessors and mutators.
+ */
+
+import {
+    stripComments,
+    parseCallChain,
+    parseStringLiteral,
+    parseStringList,
+    parseArrayEntries,
+    extractPropertyValue,
+    extractClassBody,
+    extractMethods,
+    resolveClassName,
+    parseClassReference
+} from './php-source.mjs';
+import { PhpClassAnalyzer } from './php-class-analyzer.mjs';
+import { snakeCase, pluralize, lcfirst, modelTableName } from './laravel-naming.mjs';
+
+const RELATION_TYPES = [
+    'hasOne', 'hasMany', 'belongsTo', 'belongsToMany',
+    'hasOneThrough', 'hasManyThrough',
+    'morphTo', 'morphOne', 'morphMany', 'morphToMany', 'morphedByMany'
+];
+
+class EloquentModelAnalyzer {
+    constructor() {
+        this.classAnalyzer = new PhpClassAnalyzer();
+    }
+
+    analyze(content, file = 'model.php') {
+        const description = this.classAnalyzer.analyze(content, file);
+        const className = description.class;
+        const namespace = description.namespace;
+        const classBody = extractClassBody(stripComments(content));
+        // Names used in the class resolve through its imports, then its namespace
+        const scope = { imports: description.imports, namespace };
+        const traits = description.traits || [];
+        const traitNames = traits.map(trait => trait.split('\\').pop());
+        const methods = extractMethods(classBody);
+
+        const usesUuids = traitNames.includes('HasUuids') || traitNames.includes('HasUlids');
+        const primaryKey = parseStringLiteral(extractPropertyValue(classBody, 'primaryKey')) || 'id';
+        const keyType = parseStringLiteral(extractPropertyValue(classBody, 'keyType')) || (usesUuids ? 'string' : 'int');
+        const incrementing = extractPropertyValue(classBody, 'incrementing');
+        const guarded = extractPropertyValue(classBody, 'guarded');
+
+        const model = {
+            class: className,
+            namespace,
+            extends: description.extends || null,
+            table: parseStringLiteral(extractPropertyValue(classBody, 'table')) || (className ? modelTableName(className) : null),
+            primaryKey,
+            keyType,
+            incrementing: incrementing ? incrementing.trim().toLowerCase() === 'true' : !usesUuids,
+            timestamps: (extractPropertyValue(classBody, 'timestamps') || 'true').trim().toLowerCase() !== 'false',
+            fillable: parseStringList(extractPropertyValue(classBody, 'fillable')),
+            // Model::$guarded defaults to ['*']: nothing is mass assignable until $fillable or $guarded say so
+            guarded: guarded === null ? ['*'] : parseStringList(guarded),
+            hidden: parseStringList(extractPropertyValue(classBody, 'hidden')),
+            visible: parseStringList(extractPropertyValue(classBody, 'visible')),
+            appends: parseStringList(extractPropertyValue(classBody, 'appends')),
+            casts: this.extractCasts(classBody, methods, scope),
+            traits,
+            softDeletes: traitNames.includes('SoftDeletes'),
+            uuids: usesUuids,
+            relationships: [],
+            scopes: [],
+            accessors: [],
+            mutators: [],
+            attributes: []
+        };
+
+        for (const method of methods) {
+            if (!method.body) continue;
+
+            const relationship = this.extractRelationship(method, model, scope);
+            if (relationship) {
+                model.relationships.push(relationship);
+                continue;
+            }
+
+            const scopeMatch = method.name.match(/^scope([A-Z]\w*)$/);
+            if (scopeMatch) {
+                model.scopes.push({ name: lcfirst(scopeMatch[1]), method: method.name, parameters: this.scopeParameters(method.params) });
+                continue;
+            }
+
+            // Laravel 12 #[Scope] attribute on a plain protected method
+            const attributeWindow = classBody.slice(Math.max(0, method.offset - 200), method.offset);
+            if (/#\[\s*(?:\\?[\w\\]*\\)?Scope\s*\]\s*$/.test(attributeWindow)) {
+                model.scopes.push({ name: method.name, method: method.name, parameters: this.scopeParameters(method.params) });
+                continue;
+            }
+
+            const accessorMatch = method.name.match(/^(get|set)([A-Z]\w*)Attribute$/);
+            if (accessorMatch) {
+                const attribute = snakeCase(accessorMatch[2]);
+                (accessorMatch[1] === 'get' ? model.accessors : model.mutators).push({ attribute, method: method.name });
+                continue;
+            }
+
+            if (method.returnType && /(^|\\)Attribute$/.test(method.returnType)) {
+                model.attributes.push({
+                    attribute: snakeCase(method.name),
+                    method: method.name,
+                    get: /\bget\s*:/.test(method.body) || /Attribute::get\s*\(/.test(method.body),
+                    set: /\bset\s*:/.test(method.body) || /Attribute::set\s*\(/.test(method.body)
+                });
+            }
+        }
+
+        return model;
+    }
+
+    /**
+     * Merges the `$casts` property with the Laravel 11 `casts()` method.
+     * Class-based casts (enums, AsCollection, custom casters) keep their class name.
+     */
+    extractCasts(classBody, methods, scope) {
+        const casts = {};
+        const sources = [extractPropertyValue(classBody, 'casts')];
+
+        const castsMethod = methods.find(method => method.name === 'casts' && method.body);
+        if (castsMethod) {
+            const returnMatch = castsMethod.body.match(/return\s+([\s\S]*?);\s*$/);
+            if (returnMatch) sources.push(returnMatch[1]);
+        }
+
+        for (const entries of sources.map(parseArrayEntries).filter(Boolean)) {
+            for (const { key, value } of entries) {
+                const attribute = parseStringLiteral(key);
+                if (!attribute) continue;
+
+                const literal = parseStringLiteral(value);
+                if (literal !== null) {
+                    casts[attribute] = literal;
+                } else {
+                    // AsEnumCollection::of(Status::class), Money::class, ...
+                    const classMatch = value.match(/^(\\?[\w\\]+)::(?:class|\w+\s*\(([\s\S]*)\))$/);
+                    casts[attribute] = classMatch
+                        ? { class: resolveClassName(classMatch[1], scope), ...(classMatch[2] ? { arguments: classMatch[2].trim() } : {}) }
+                        : value.trim();
+                }
+            }
+        }
+
+        return casts;
+    }
+
+    extractRelationship(method, model, scope) {
+        const relationPattern = new RegExp(`\\$this\\s*->\\s*(${RELATION_TYPES.join('|')})\\s*\\(`);
+        const relationMatch = method.body.match(relationPattern);
+        if (!relationMatch) return null;
+
+        const [call, ...chain] = parseCallChain(method.body.slice(relationMatch.index));
+        const args = call.args;
+        const relatedClass = parseClassReference(args[0], scope);
+        const related = relatedClass ? relatedClass.split('\\').pop() : null;
+        const parentSnake = snakeCase(model.class || '');
+        const relationship = {
+            name: method.name,
+            type: call.method,
+            related: relatedClass
+        };
+
+        switch (call.method) {
+            case 'hasOne':
+            case 'hasMany':
+                relationship.foreignKey = parseStringLiteral(args[1]) || `${parentSnake}_${model.primaryKey}`;
+                relationship.localKey = parseStringLiteral(args[2]) || model.primaryKey;
+                break;
+            case 'belongsTo':
+                relationship.foreignKey = parseStringLiteral(args[1]) || `${snakeCase(method.name)}_id`;
+                relationship.ownerKey = parseStringLiteral(args[2]) || 'id';
+                break;
+            case 'belongsToMany': {
+                const relatedSnake = snakeCase(related || '');
+                relationship.table = parseClassReference(args[1], scope) || [parentSnake, relatedSnake].sort().join('_');
+                relationship.foreignPivotKey = parseStringLiteral(args[2]) || `${parentSnake}_id`;
+                relationship.relatedPivotKey = parseStringLiteral(args[3]) || `${relatedSnake}_id`;
+                break;
+            }
+            case 'hasOneThrough':
+            case 'hasManyThrough': {
+                const through = parseClassReference(args[1], scope);
+                relationship.through = through;
+                relationship.firstKey = parseStringLiteral(args[2]) || `${parentSnake}_id`;
+                relationship.secondKey = parseStringLiteral(args[3]) || `${snakeCase((through || '').split('\\').pop())}_id`;
+                break;
+            }
+            case 'morphTo': {
+                const name = parseStringLiteral(args[0]) || snakeCase(method.name);
+                relationship.related = null;
+                relationship.morphName = name;
+                relationship.morphType = parseStringLiteral(args[1]) || `${name}_type`;
+                relationship.foreignKey = parseStringLiteral(args[2]) || `${name}_id`;
+                break;
+            }
+            case 'morphOne':
+            case 'morphMany': {
+                const name = parseStringLiteral(args[1]);
+                relationship.morphName = name;
+                relationship.morphType = parseStringLiteral(args[2]) || `${name}_type`;
+                relationship.foreignKey = parseStringLiteral(args[3]) || `${name}_id`;
+                break;
+            }
+            case 'morphToMany':
+            case 'morphedByMany': {
+                const name = parseStringLiteral(args[1]);
+                relationship.morphName = name;
+                relationship.table = parseStringLiteral(args[2]) || pluralize(name || '');
+                break;
+            }
+        }
+
+        const pivotColumns = chain.filter(link => link.method === 'withPivot').flatMap(link => link.args.map(parseStringLiteral)).filter(Boolean);
+        if (pivotColumns.length > 0) relationship.pivotColumns = pivotColumns;
+        if (chain.some(link => link.method === 'withTimestamps')) relationship.pivotTimestamps = true;
+
+        return relationship;
+    }
+
+    // Drops the leading $query parameter every local scope receives
+    scopeParameters(params) {
+        return params.split(',').map(param => param.trim()).filter(Boolean).slice(1)
+            .map(param => (param.match(/\$(\w+)/) || [])[1])
+            .filter(Boolean);
+    }
+}
+
+export { EloquentModelAnalyzer };
@@ -0,0 +1,556 @@
+/**
+ * Express Route Parser
+ *
+ * Statically walks an Express application into the flat route table the
+ * Laravel, Rails and Django parsers produce. Starting at every `express()`
+ * application it follows `app.METHOD()`, `app.all()` and `app.route()`
+ * chains, routers mounted with `use()` (local `express.Router()` instances,
+ * imported router modules and `require('./routes')(app)` style
+ * registration functions) with their path prefixes, and the middleware
+ * chain in front of each route: application and router `use()` calls made
+ * before it, then the route's own inline middleware.
+ */
+
+import { maskJs, findClosingBracket, splitTopLevel, expressionEnd, parseValue, parseImports, parseExports, resolveModulePath } from './js-source.mjs';
+
+const ROUTE_METHODS = {
+    get: ['GET', 'HEAD'],
+    post: ['POST'],
+    put: ['PUT'],
+    patch: ['PATCH'],
+    delete: ['DELETE'],
+    del: ['DELETE'],
+    options: ['OPTIONS'],
+    head: ['HEAD'],
+    all: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS']
+};
+
+const SETTING_METHODS = ['set', 'enable', 'disable'];
+
+const FUNCTION_EXPRESSION = /^(?:async\s+)?(?:function\b|\([^)]*\)\s*(?::[^=]+)?=>|[\w$]+\s*=>)/;
+
+class ExpressRouteParser {
+    /**
+     * @param {Object} options
+     * @param {Set<string>} options.files - project-relative paths of the
+     *   project's JavaScript and TypeScript modules
+     * @param {Function} options.readFile - `(file) => content`, or null
+     */
+    constructor({ files = new Set(), readFile = () => null } = {}) {
+        this.files = files;
+        this.readFile = readFile;
+        this.modules = {};
+        this.applications = [];
+    }
+
+    /**
+     * Returns the routes of every application created in the project.
+     * The applications themselves, with their settings, global middleware
+     * and mounted routers, are left in `this.applications`.
+     */
+    parse() {
+        const routes = [];
+        for (const file of [...this.files].sort()) {
+            const loaded = this.loadModule(file);
+            if (!loaded) continue;
+            for (const [variable, kind] of Object.entries(loaded.routers)) {
+                if (kind !== 'app') continue;
+                const application = { file, variable, settings: {}, middleware: [], routers: [] };
+                this.applications.push(application);
+                this.walkRouter(file, variable, { prefix: '', middleware: [], application }, routes, new Set());
+            }
+        }
+        return routes;
+    }
+
+    /**
+     * Reads a module once: its imports and exports, the applications and
+     * routers it creates, its local bindings, and in source order every
+     * routing call (`X.get()`, `X.use()`, `X.route()`, `X.set()`) and every
+     * call passing a bare identifier, which may hand a router to a
+     * registration function.
+     */
+    loadModule(file) {
+        if (this.modules[file] !== undefined) return this.modules[file];
+        const content = this.readFile(file);
+        if (typeof content !== 'string') return (this.modules[file] = null);
+
+        const { code, mask } = maskJs(content);
+        const loaded = {
+            file,
+            code,
+            mask,
+            imports: parseImports(content),
+            exports: parseExports(content),
+            routers: {},
+            locals: {},
+            functions: {},
+            events: []
+        };
+
+        for (const match of mask.matchAll(/(?<![\w$.])(?:const|let|var)\s+([\w$]+)\s*(?::[^=]+)?=(?!=)\s*/g)) {
+            const start = match.index + match[0].length;
+            const value = code.slice(start, expressionEnd(mask, start)).trim();
+            const kind = this.routerKind(value, loaded.imports);
+            if (kind) loaded.routers[match[1]] = kind;
+            else loaded.locals[match[1]] = value;
+        }
+        for (const match of mask.matchAll(/(?<![\w$.])(?:async\s+)?function\s*\*?\s*([\w$]+)\s*\(/g)) {
+            const open = match.index + match[0].length - 1;
+            const close = findClosingBracket(code, open, mask);
+            loaded.functions[match[1]] = { parameters: this.parameters(code.slice(open + 1, close)), start: match.index };
+        }
+
+        const methods = [...Object.keys(ROUTE_METHODS), 'use', 'route', ...SETTING_METHODS].join('|');
+        for (const match of mask.matchAll(new RegExp(`(?<![\\w$.])([A-Za-z_$][\\w$]*)\\s*\\.\\s*(?:${methods})\\s*\\(`, 'g'))) {
+            const calls = this.readChain(loaded, match.index + match[1].length);
+            const event = this.describeCalls(calls);
+            if (event) loaded.events.push({ ...event, target: match[1], index: match.index });
+        }
+
+        // routes(app), require('./routes')(app, db), registerRoutes(router)
+        for (const match of mask.matchAll(/(?<![\w$.])(require\s*\(\s*['"][^'"\n]*['"]\s*\)|[A-Za-z_$][\w$]*)\s*\(/g)) {
+            if (/^(?:if|for|while|switch|catch|function|return|require)$/.test(match[1])) continue;
+            const open = match.index + match[0].length - 1;
+            const close = findClosingBracket(code, open, mask);
+            if (close === -1) continue;
+            const args = splitTopLevel(code.slice(open + 1, close));
+            if (!args.some(arg => /^[A-Za-z_$][\w$]*$/.test(arg))) continue;
+            loaded.events.push({ type: 'invoke', callee: code.slice(match.index, match.index + match[1].length), args, index: match.index });
+        }
+
+        loaded.events.sort((a, b) => a.index - b.index);
+        return (this.modules[file] = loaded);
+    }
+
+    // `express()` is an application; `express.Router()` and `Router()` are routers
+    routerKind(value, imports) {
+        const text = value.replace(/^await\s+/, '').replace(/^new\s+/, '');
+        const express = Object.entries(imports)
+            .filter(([, binding]) => binding.source === 'express')
+            .map(([local, binding]) => ({ local, name: binding.name }));
+        const isExpress = name => name === "require('express')" || name === 'require("express")' ||
+            express.some(binding => binding.local === name && ['default', '*'].includes(binding.name));
+
+        const call = text.match(/^(require\s*\(\s*['"]express['"]\s*\)|[\w$]+)\s*(?:\.\s*(Router)\s*)?\(/);
+        if (!call) return null;
+        if (call[2]) return isExpress(call[1].replace(/\s+/g, '')) ? 'router' : null;
+        if (isExpress(call[1].replace(/\s+/g, ''))) return 'app';
+        return express.some(binding => binding.local === call[1] && binding.name === 'Router') ? 'router' : null;
+    }
+
+    /**
+     * Reads the call chain starting at the `.method(` after `index`:
+     * `router.route('/x').get(a).post(b)` yields three calls.
+     */
+    readChain(loaded, index) {
+        const calls = [];
+        const pattern = /\s*\.\s*([\w$]+)\s*\(/y;
+        let position = index;
+        for (;;) {
+            pattern.lastIndex = position;
+            const next = pattern.exec(loaded.mask);
+            if (!next) break;
+            const open = position + next[0].length - 1;
+            const close = findClosingBracket(loaded.code, open, loaded.mask);
+            if (close === -1) break;
+            calls.push({ method: next[1], args: splitTopLevel(loaded.code.slice(open + 1, close)) });
+            position = close + 1;
+        }
+        return calls;
+    }
+
+    describeCalls(calls) {
+        const [first, ...rest] = calls;
+        if (!first) return null;
+
+        if (first.method === 'route') {
+            const routes = rest.filter(call => ROUTE_METHODS[call.method])
+                .map(call => ({ methods: ROUTE_METHODS[call.method], handlers: call.args }));
+            return routes.length > 0 ? { type: 'chain', path: first.args[0], routes } : null;
+        }
+        if (first.method === 'use') return { type: 'use', args: first.args };
+        if (SETTING_METHODS.includes(first.method)) {
+            const key = parseValue(first.args[0]);
+            if (typeof key !== 'string') return null;
+            return { type: 'setting', key, value: first.method === 'set' ? parseValue(first.args[1]) : first.method === 'enable' };
+        }
+        // app.get('env') reads a setting; routes need a path and a handler
+        const routes = calls.filter(call => ROUTE_METHODS[call.method] && call.args.length >= 2)
+            .map(call => ({ methods: ROUTE_METHODS[call.method], path: call.args[0], handlers: call.args.slice(1) }));
+        return routes.length > 0 ? { type: 'routes', routes } : null;
+    }
+
+    /**
+     * Adds the routes of the router `variable` of `file`, mounted at
+     * `context.prefix` behind `context.middleware`.
+     */
+    walkRouter(file, variable, context, routes, seen) {
+        // `seen` holds the routers being walked, so a router mounted twice is walked twice but never recursively
+        const key = `${file}#${variable}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+
+        const loaded = this.loadModule(file);
+        if (!loaded) return;
+        // Path-scoped middleware registered on this router so far
+        const stack = [];
+        const applicable = path => stack.filter(entry => this.coversPath(entry.path, path)).map(entry => entry.name);
+
+        for (const event of loaded.events) {
+            if (event.type === 'invoke') {
+                this.invoke(loaded, variable, event, { ...context, middleware: [...context.middleware, ...applicable('/')] }, routes, seen);
+                continue;
+            }
+            if (event.target !== variable) continue;
+
+            switch (event.type) {
+                case 'setting':
+                    if (context.application && context.application.variable === variable && context.application.file === file) {
+                        context.application.settings[event.key] = event.value;
+                    }
+                    break;
+                case 'use':
+                    this.use(loaded, event, context, stack, routes, seen);
+                    break;
+                case 'chain':
+                    for (const route of event.routes) {
+                        this.addRoutes(loaded, { ...route, path: event.path }, context, applicable, routes);
+                    }
+                    break;
+                case 'routes':
+                    for (const route of event.routes) {
+                        this.addRoutes(loaded, route, context, applicable, routes);
+                    }
+                    break;
+            }
+        }
+        seen.delete(key);
+    }
+
+    /**
+     * `use([path,] ...handlers)`: routers among the handlers are walked at
+     * the joined prefix; everything else is middleware for the routes
+     * registered after it.
+     */
+    use(loaded, event, context, stack, routes, seen) {
+        const [first, ...rest] = event.args;
+        const paths = this.paths(first);
+        const mountPath = paths ? paths[0] : '/';
+        const handlers = (paths ? rest : event.args).flatMap(handler => this.flatten(handler));
+        const scoped = stack.filter(entry => this.coversPath(entry.path, mountPath)).map(entry => entry.name);
+        const inline = [];
+
+        for (const handler of handlers) {
+            const mount = this.resolveRouter(loaded, handler);
+            if (mount) {
+                const middleware = [...context.middleware, ...scoped, ...inline];
+                const prefix = this.joinUri(context.prefix, mountPath);
+                if (context.application) context.application.routers.push({ path: prefix === '/' ? '/' : `/${prefix}`, file: mount.file, variable: mount.variable });
+                this.walkRouter(mount.file, mount.variable, { ...context, prefix, middleware }, routes, seen);
+                continue;
+            }
+
+            const name = this.middlewareName(handler);
+            inline.push(name);
+            stack.push({ path: mountPath, name });
+            if (context.application && context.prefix === '' && context.middleware.length === 0 && loaded.file === context.application.file) {
+                context.application.middleware.push(mountPath === '/' ? { name } : { name, path: mountPath });
+            }
+        }
+    }
+
+    // A registration function handed the router: routes(app) or require('./routes')(router)
+    invoke(loaded, variable, event, context, routes, seen) {
+        const position = event.args.indexOf(variable);
+        if (position === -1) return;
+
+        const target = this.resolveFunction(loaded, event.callee);
+        if (!target) return;
+        const parameter = target.parameters[position];
+        if (parameter) this.walkRouter(target.file, parameter, context, routes, seen);
+    }
+
+    addRoutes(loaded, route, context, applicable, routes) {
+        const handlers = route.handlers.flatMap(handler => this.flatten(handler));
+        const last = handlers[handlers.length - 1];
+        if (!last) return;
+
+        for (const path of this.paths(route.path) || [route.path]) {
+            const converted = this.convertPath(path);
+            const uri = this.joinUri(context.prefix, converted.uri);
+            const entry = {
+                methods: route.methods,
+                uri,
+                name: null,
+                action: this.resolveHandler(loaded, last),
+                middleware: [...context.middleware, ...applicable(path), ...handlers.slice(0, -1).map(handler => this.middlewareName(handler))],
+                parameters: this.extractParameters(uri, converted.where),
+                file: loaded.file
+            };
+            if (Object.keys(converted.where).length > 0) entry.where = converted.where;
+            if (converted.regex) entry.regex = converted.regex;
+            routes.push(entry);
+        }
+    }
+
+    // '/users', ['/a', '/b'] and /regex/ are paths; anything else is a handler
+    paths(expression) {
+        if (!expression) return null;
+        const value = parseValue(expression);
+        if (typeof value === 'string') return [value];
+        if (Array.isArray(value) && value.length > 0 && value.every(entry => typeof entry === 'string')) return value;
+        if (/^\/.*\/[a-z]*$/.test(expression.trim())) return [expression.trim()];
+        return null;
+    }
+
+    // [auth, validate] spreads into its handlers
+    flatten(expression) {
+        const text = expression.trim();
+        if (text.startsWith('[') && findClosingBracket(text, 0) === text.length - 1) {
+            return splitTopLevel(text.slice(1, -1)).flatMap(entry => this.flatten(entry));
+        }
+        return [text.replace(/^\.\.\./, '')];
+    }
+
+    middlewareName(expression) {
+        if (FUNCTION_EXPRESSION.test(expression)) return 'Closure';
+        return expression.replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Resolves a mounted handler to the router it names: a local router, an
+     * imported module exporting one, an inline `require()`, or a function
+     * creating and returning one (`require('./api')(db)`).
+     */
+    resolveRouter(loaded, expression, depth = 0) {
+        if (depth > 8) return null;
+        const text = expression.trim();
+
+        const required = text.match(/^require\s*\(\s*(['"])([^'"]+)\1\s*\)(\s*\([\s\S]*\))?$/);
+        if (required) {
+            const target = resolveModulePath(loaded.file, required[2], this.files);
+            return target ? this.exportedRouter(target, required[3] ? 'call' : 'value', depth) : null;
+        }
+
+        const call = text.match(/^([\w$]+)\s*\([\s\S]*\)$/);
+        const name = call ? call[1] : text;
+        if (!/^[\w$]+$/.test(name)) return null;
+
+        if (!call && loaded.routers[name] === 'router') return { file: loaded.file, variable: name };
+        if (call && loaded.functions[name]) return this.returnedRouter(loaded, loaded.functions[name].start);
+
+        const binding = loaded.imports[name];
+        if (binding) {
+            const target = resolveModulePath(loaded.file, binding.source, this.files);
+            if (!target) return null;
+            return this.exportedRouter(target, call ? 'call' : 'value', depth, binding.name);
+        }
+        if (!call && loaded.locals[name]) return this.resolveRouter(loaded, loaded.locals[name], depth + 1);
+        return null;
+    }
+
+    // The router a module exports (or returns from its exported function when called)
+    exportedRouter(file, usage, depth, name = '*') {
+        const loaded = this.loadModule(file);
+        if (!loaded) return null;
+        const exported = ['*', 'default'].includes(name) ? loaded.exports.value : loaded.exports.names[name];
+        if (!exported) {
+            const reexport = loaded.exports.reexports.find(entry => entry.name === name);
+            const target = reexport && resolveModulePath(file, reexport.source, this.files);
+            return target ? this.exportedRouter(target, usage, depth + 1, reexport.imported) : null;
+        }
+
+        if (usage === 'call') {
+            if (loaded.functions[exported]) return this.returnedRouter(loaded, loaded.functions[exported].start);
+            const start = loaded.code.indexOf(exported);
+            return FUNCTION_EXPRESSION.test(exported) && start !== -1 ? this.returnedRouter(loaded, start) : null;
+        }
+        return this.resolveRouter(loaded, exported, depth + 1);
+    }
+
+    // The first router a function starting at `start` returns
+    returnedRouter(loaded, start) {
+        const open = loaded.mask.indexOf('{', start);
+        const close = open === -1 ? -1 : findClosingBracket(loaded.code, open, loaded.mask);
+        const body = loaded.mask.slice(open, close === -1 ? undefined : close);
+        for (const match of body.matchAll(/\breturn\s+([\w$]+)/g)) {
+            if (loaded.routers[match[1]] === 'router') return { file: loaded.file, variable: match[1] };
+        }
+        return null;
+    }
+
+    // The file and parameters of a registration function called as `callee`
+    resolveFunction(loaded, callee) {
+        const required = callee.match(/^require\s*\(\s*(['"])([^'"]+)\1\s*\)$/);
+        let file = loaded.file;
+        let name = callee;
+        if (required || loaded.imports[callee]) {
+            file = resolveModulePath(loaded.file, required ? required[2] : loaded.imports[callee].source, this.files);
+            const target = file && this.loadModule(file);
+            if (!target) return null;
+            const importedName = required ? '*' : loaded.imports[callee].name;
+            name = ['*', 'default'].includes(importedName) ? target.exports.value : target.exports.names[importedName];
+            if (!name) return null;
+        }
+
+        const target = this.loadModule(file);
+        if (target.functions[name]) return { file, parameters: target.functions[name].parameters };
+        const inline = (target.locals[name] || name).match(/^(?:async\s+)?(?:function\s*[\w$]*\s*\(([^)]*)\)|\(([^)]*)\)\s*=>|([\w$]+)\s*=>)/);
+        return inline ? { file, parameters: this.parameters(inline[1] ?? inline[2] ?? inline[3]) } : null;
+    }
+
+    /**
+     * The route action for a final handler: `users.list` or an imported
+     * `list` is a controller action of the module defining it, an inline
+     * function a closure. Wrappers such as `asyncHandler(users.list)` and
+     * `.bind()` calls are looked through.
+     */
+    resolveHandler(loaded, expression) {
+        let text = expression.trim().replace(/\.bind\s*\([^()]*\)$/, '');
+        for (;;) {
+            if (FUNCTION_EXPRESSION.test(text)) return { type: 'closure' };
+            const wrapper = text.match(/^[\w$.]+\s*\(([\s\S]*)\)$/);
+            const args = wrapper ? splitTopLevel(wrapper[1]) : [];
+            if (!wrapper || args.length !== 1 || typeof parseValue(args[0]) !== 'object' || Array.isArray(parseValue(args[0]))) break;
+            text = args[0].replace(/\.bind\s*\([^()]*\)$/, '');
+        }
+
+        const member = text.match(/^([\w$]+)((?:\.[\w$]+)*)\.([\w$]+)$/);
+        if (member) {
+            const owner = this.ownerModule(loaded, member[1]);
+            return {
+                type: 'controller',
+                controller: owner ? this.moduleName(owner) : `${member[1]}${member[2]}`,
+                method: member[3],
+                uses: text
+            };
+        }
+
+        if (/^[\w$]+$/.test(text)) {
+            const binding = loaded.imports[text];
+            const target = binding && resolveModulePath(loaded.file, binding.source, this.files);
+            if (target) {
+                const exported = binding.name === 'default' || binding.name === '*' ? this.loadModule(target)?.exports.value : null;
+                return {
+                    type: 'controller',
+                    controller: this.moduleName(target),
+                    method: ['default', '*'].includes(binding.name) ? (exported && /^[\w$]+$/.test(exported) ? exported : 'default') : binding.name,
+                    uses: text
+                };
+            }
+            if (!binding && (loaded.functions[text] || loaded.locals[text])) {
+                return { type: 'controller', controller: this.moduleName(loaded.file), method: text, uses: text };
+            }
+        }
+
+        return { type: 'unknown', expression: text.replace(/\s+/g, ' ') };
+    }
+
+    // The project module an object comes from: `users` imported, or `new UsersController()`
+    ownerModule(loaded, name) {
+        const binding = loaded.imports[name];
+        if (binding) return resolveModulePath(loaded.file, binding.source, this.files);
+
+        const local = loaded.locals[name];
+        const instance = local && local.match(/^new\s+([\w$]+)/);
+        if (instance) return this.ownerModule(loaded, instance[1]) || loaded.file;
+        return local !== undefined ? loaded.file : null;
+    }
+
+    // src/controllers/users.js -> src/controllers/users
+    moduleName(file) {
+        return file.replace(/\.[cm]?[jt]sx?$/, '');
+    }
+
+    /**
+     * `/users/:id(\d+)` -> `users/{id}` with `{ id: '\d+' }`; `:id?` and
+     * Express 5 `{/:id}` groups are optional, `*` and `*splat` wildcards.
+     * Regular expression paths are kept as `regex`.
+     */
+    convertPath(path) {
+        const where = {};
+        if (/^\/.*\/[a-z]*$/.test(path) && !path.startsWith('//') && /[\\^$|()[\]]/.test(path)) {
+            return { ...this.convertRegex(path.slice(1, path.lastIndexOf('/'))), regex: path };
+        }
+
+        let uri = path.replace(/\{([^{}]*)\}/g, (_, group) => group.replace(/:(\w+)/g, ':$1?'));
+        uri = uri.replace(/:(\w+)(?:\(((?:[^()\\]|\\.|\([^()]*\))*)\))?(\?)?/g, (_, name, pattern, optional) => {
+            if (pattern) where[name] = pattern;
+            return `{${name}${optional ? '?' : ''}}`;
+        });
+        let wildcards = 0;
+        uri = uri.replace(/\*(\w+)?/g, (_, name) => {
+            const parameter = name || (wildcards++ === 0 ? 'wildcard' : `wildcard${wildcards}`);
+            where[parameter] = '.*';
+            return `{${parameter}}`;
+        });
+        return { uri, where };
+    }
+
+    /**
+     * `^\/archive\/(\d{4})$` -> `archive/{0}` with `{ 0: '\d{4}' }`: Express
+     * numbers unnamed groups in `req.params`; named groups keep their name.
+     */
+    convertRegex(source) {
+        const where = {};
+        let uri = '';
+        let position = 0;
+        let index = 0;
+        for (let i = 0; i < source.length; i++) {
+            if (source[i] === '\\') {
+                i++;
+                continue;
+            }
+            if (source[i] !== '(' || source[i + 1] === '?' && source[i + 2] !== '<') continue;
+
+            let depth = 0;
+            let end = i;
+            for (; end < source.length; end++) {
+                if (source[end] === '\\') end++;
+                else if (source[end] === '(') depth++;
+                else if (source[end] === ')' && --depth === 0) break;
+            }
+            const group = source.slice(i + 1, end);
+            const named = group.match(/^\?<(\w+)>([\s\S]*)$/);
+            const name = named ? named[1] : String(index++);
+            where[name] = named ? named[2] : group;
+            uri += `${source.slice(position, i)}{${name}}`;
+            position = end + 1;
+            i = end;
+        }
+        uri += source.slice(position);
+        return { uri: uri.replace(/^\^|\$$/g, '').replace(/\\\//g, '/'), where };
+    }
+
+    joinUri(prefix, uri) {
+        const joined = [prefix, uri].map(part => String(part).replace(/^\/+|\/+$/g, '')).filter(part => part && part !== '/').join('/');
+        return joined || '/';
+    }
+
+    extractParameters(uri, where = {}) {
+        const parameters = [];
+        for (const match of uri.matchAll(/\{(\w+)(\?)?\}/g)) {
+            const parameter = { name: match[1], optional: Boolean(match[2]) };
+            if (where[match[1]]) parameter.pattern = where[match[1]];
+            parameters.push(parameter);
+        }
+        return parameters;
+    }
+
+    // A path prefix registered with use() covers the routes below it
+    coversPath(prefix, path) {
+        const base = prefix.replace(/\/+$/, '');
+        return base === '' || path === base || path.startsWith(`${base}/`);
+    }
+
+    // `app, { db } = {}` -> ['app', null]
+    parameters(list) {
+        return splitTopLevel(list || '').map(parameter => {
+            const name = parameter.replace(/^\.\.\./, '').split(/[=:]/)[0].trim();
+            return /^[\w$]+$/.test(name) ? name : null;
+        });
+    }
+}
+
+export { ExpressRouteParser };
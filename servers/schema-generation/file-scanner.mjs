@@ -0,0 +1,180 @@
+/**
+ * File Scanner
+ *
+ * Walks and reads project files for the schema generator with a bounded
+ * number of filesystem operations in flight, so large projects are scanned
+ * in parallel without running out of file descriptors. Paths matched by the
+ * project's root `.gitignore` or by `.taskmaster/schemaignore` (same syntax)
+ * are left out, and a budget caps how many distinct files one generation
+ * run takes in; files past it are counted as skipped.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const DEFAULT_CONCURRENCY = 16;
+const DEFAULT_MAX_FILES = 20000;
+const IGNORE_FILES = ['.gitignore', path.join('.taskmaster', 'schemaignore')];
+
+class FileScanner {
+    /**
+     * @param {string} projectRoot - absolute project root walked paths are relative to
+     * @param {Object} options - `concurrency` (operations in flight), `maxFiles`
+     *   (distinct files one run takes in) and `ignore` (extra gitignore-style patterns)
+     */
+    constructor(projectRoot, { concurrency = DEFAULT_CONCURRENCY, maxFiles = DEFAULT_MAX_FILES, ignore = [] } = {}) {
+        this.projectRoot = projectRoot;
+        this.concurrency = Math.max(1, concurrency);
+        this.maxFiles = maxFiles;
+        this.rules = ignore.map(pattern => this.parseRule(pattern)).filter(Boolean);
+        this.admitted = new Set();
+        this.skipped = new Set();
+        this.scanned = 0;
+        this.active = 0;
+        this.queue = [];
+    }
+
+    async loadIgnoreFiles() {
+        for (const file of IGNORE_FILES) {
+            let content;
+            try {
+                content = await fs.readFile(path.join(this.projectRoot, file), 'utf8');
+            } catch {
+                continue;
+            }
+            this.rules.push(...content.split(/\r?\n/).map(line => this.parseRule(line)).filter(Boolean));
+        }
+    }
+
+    /**
+     * Runs `task` once fewer than `concurrency` tasks are in flight. A task
+     * must not wait on other pool tasks, or a full pool waits on itself.
+     */
+    run(task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ task, resolve, reject });
+            this.next();
+        });
+    }
+
+    next() {
+        while (this.active < this.concurrency && this.queue.length > 0) {
+            const { task, resolve, reject } = this.queue.shift();
+            this.active++;
+            Promise.resolve()
+                .then(task)
+                .then(resolve, reject)
+                .finally(() => {
+                    this.active--;
+                    this.next();
+                });
+        }
+    }
+
+    // Runs `worker` over every item through the pool; results keep the items' order
+    map(items, worker) {
+        return Promise.all(items.map((item, index) => this.run(() => worker(item, index))));
+    }
+
+    /**
+     * Project-relative paths of the files under dirPath, each directory's
+     * entries in name order. `skipDirectory(name, path)` prunes directories,
+     * `skipContents(entries, path)` drops a directory's files and
+     * subdirectories, and `accept(name, path)` picks files. Ignored paths
+     * and files past the budget are left out.
+     */
+    async walk(dirPath, options = {}) {
+        // dirPath itself is ignored when it or a directory above it is
+        const parts = path.relative('.', dirPath).split(path.sep).filter(part => part !== '' && part !== '.');
+        if (parts.some((part, index) => this.ignores(parts.slice(0, index + 1).join(path.sep), true))) return [];
+
+        const files = (await this.collect(dirPath, options)).filter(file => this.admit(file));
+        this.scanned += files.length;
+        return files;
+    }
+
+    async collect(dirPath, { skipDirectory = () => false, skipContents = () => false, accept = () => true } = {}) {
+        let entries;
+        try {
+            entries = await this.run(() => fs.readdir(path.join(this.projectRoot, dirPath), { withFileTypes: true }));
+        } catch {
+            return [];
+        }
+        if (skipContents(entries, dirPath)) return [];
+
+        const lists = await Promise.all(entries.sort((a, b) => a.name.localeCompare(b.name)).map(entry => {
+            const entryPath = path.join(dirPath, entry.name);
+            if (entry.isDirectory()) {
+                if (skipDirectory(entry.name, entryPath) || this.ignores(entryPath, true)) return [];
+                return this.collect(entryPath, { skipDirectory, skipContents, accept });
+            }
+            return entry.isFile() && accept(entry.name, entryPath) && !this.ignores(entryPath, false) ? [entryPath] : [];
+        }));
+        return lists.flat();
+    }
+
+    // Files already taken in stay in; new ones are refused once the budget is spent
+    admit(file) {
+        if (this.admitted.has(file)) return true;
+        if (this.admitted.size >= this.maxFiles) {
+            this.skipped.add(file);
+            return false;
+        }
+        this.admitted.add(file);
+        return true;
+    }
+
+    // The last matching rule decides, so `!pattern` re-includes what an earlier rule ignored
+    ignores(entryPath, isDirectory) {
+        const relative = path.relative('.', entryPath).split(path.sep).join('/');
+        let ignored = false;
+        for (const rule of this.rules) {
+            if ((!rule.directoryOnly || isDirectory) && rule.pattern.test(relative)) ignored = !rule.negated;
+        }
+        return ignored;
+    }
+
+    /**
+     * A .gitignore line as `{ pattern, negated, directoryOnly }`. Patterns
+     * with a slash other than a trailing one are anchored to the project
+     * root; others match a name at any depth.
+     */
+    parseRule(line) {
+        let pattern = line.replace(/(?<!\\)\s+$/, '');
+        if (pattern === '' || pattern.startsWith('#')) return null;
+
+        const negated = pattern.startsWith('!');
+        if (negated) pattern = pattern.slice(1);
+        pattern = pattern.replace(/^\\(?=[#!])/, '');
+        const directoryOnly = pattern.endsWith('/');
+        pattern = pattern.replace(/\/+$/, '');
+        const anchored = pattern.includes('/');
+        pattern = pattern.replace(/^\//, '');
+        if (pattern === '') return null;
+
+        const source = pattern
+            .split(/(\*\*\/|\/\*\*$|\*\*|\*|\?)/)
+            .map(part => {
+                if (part === '**/') return '(?:.*/)?';
+                if (part === '/**') return '/.*';
+                if (part === '**') return '.*';
+                if (part === '*') return '[^/]*';
+                if (part === '?') return '[^/]';
+                return part.replace(/\\(.)/g, '$1').replace(/[.+^${}()|[\]\\]/g, '\\$&');
+            })
+            .join('');
+        return { pattern: new RegExp(`${anchored ? '^' : '(?:^|/)'}${source}$`), negated, directoryOnly };
+    }
+
+    // `{ concurrency, budget, scanned, skipped }`: scanned counts every file a walk returned
+    report() {
+        return {
+            concurrency: this.concurrency,
+            budget: this.maxFiles,
+            scanned: this.scanned,
+            skipped: this.skipped.size
+        };
+    }
+}
+
+export { FileScanner };
@@ -0,0 +1,216 @@
+/**
+ * FormRequest Analyzer
+ *
+ * Extracts what a Laravel FormRequest validates: the rules returned by
+ * `rules()` (pipe strings, array syntax, `Rule::` builders and rule objects),
+ * how `authorize()` decides, and the custom `messages()` and `attributes()`.
+ * Rules are normalized to Laravel's string syntax (`in:a,b`) wherever one
+ * exists; class-based and conditional rules become `{ rule, ... }` objects.
+ */
+
+import {
+    stripComments,
+    splitTopLevel,
+    parseCallChain,
+    parseStringLiteral,
+    parseStringList,
+    parseArrayEntries,
+    extractClassBody,
+    extractMethods,
+    resolveClassName,
+    parseClassReference
+} from './php-source.mjs';
+import { PhpClassAnalyzer } from './php-class-analyzer.mjs';
+import { snakeCase, lcfirst } from './laravel-naming.mjs';
+
+class FormRequestAnalyzer {
+    constructor() {
+        this.classAnalyzer = new PhpClassAnalyzer();
+    }
+
+    analyze(content, file = 'request.php') {
+        const description = this.classAnalyzer.analyze(content, file);
+        const scope = { imports: description.imports, namespace: description.namespace };
+        const methods = extractMethods(extractClassBody(stripComments(content)));
+        const findMethod = name => methods.find(method => method.name === name && method.body);
+
+        return {
+            class: description.class,
+            namespace: description.namespace,
+            extends: description.extends || null,
+            authorize: this.describeAuthorize(findMethod('authorize')),
+            rules: this.extractRules(findMethod('rules'), scope),
+            messages: this.extractStringMap(findMethod('messages')),
+            attributes: this.extractStringMap(findMethod('attributes'))
+        };
+    }
+
+    /**
+     * 'always' / 'never' for a constant `return true|false;`, 'conditional' for
+     * anything else, and null when the request does not define authorize().
+     */
+    describeAuthorize(method) {
+        if (!method) return null;
+        const body = method.body.trim();
+        if (/^return\s+true\s*;$/i.test(body)) return 'always';
+        if (/^return\s+false\s*;$/i.test(body)) return 'never';
+        return 'conditional';
+    }
+
+    returnedArray(method) {
+        if (!method) return null;
+        const returnMatch = method.body.match(/return\s+([\s\S]*?);\s*$/);
+        return returnMatch ? parseArrayEntries(returnMatch[1]) : null;
+    }
+
+    extractStringMap(method) {
+        const map = {};
+        for (const { key, value } of this.returnedArray(method) || []) {
+            const name = parseStringLiteral(key);
+            const text = parseStringLiteral(value);
+            if (name) map[name] = text !== null ? text : value.trim();
+        }
+        return map;
+    }
+
+    /**
+     * Reads the array returned by `rules()`, keyed by field. Nested fields
+     * keep Laravel's dotted notation (`items.*.price`).
+     */
+    extractRules(method, scope) {
+        const rules = {};
+        for (const { key, value } of this.returnedArray(method) || []) {
+            const field = parseStringLiteral(key);
+            if (field) rules[field] = this.parseRuleList(value.trim(), scope);
+        }
+        return rules;
+    }
+
+    parseRuleList(expression, scope) {
+        const entries = parseArrayEntries(expression);
+        if (entries) return entries.flatMap(({ value }) => this.parseRule(value.trim(), scope));
+
+        // 'required|' . Rule::in([...])
+        const parts = splitTopLevel(expression, '.');
+        if (parts.length > 1) return parts.flatMap(part => this.parseRule(part, scope));
+
+        return this.parseRule(expression, scope);
+    }
+
+    // Returns the rules a single array element (or pipe string) stands for
+    parseRule(expression, scope) {
+        const literal = parseStringLiteral(expression);
+        if (literal !== null) return literal.split('|').map(rule => rule.trim()).filter(Boolean);
+
+        if (/^(?:static\s+)?(?:function|fn)\b/.test(expression)) return [{ rule: 'closure' }];
+
+        const builder = expression.match(/^\\?(?:[\w\\]*\\)?(Rule|Password|File|Email)::\w+\s*\(/);
+        if (builder) {
+            const calls = parseCallChain(expression);
+            return [builder[1] === 'Rule'
+                ? this.parseRuleBuilder(calls, expression, scope)
+                : this.parseFluentRule(builder[1].toLowerCase(), calls)];
+        }
+
+        const instance = expression.match(/^new\s+(\\?[\w\\]+)/);
+        if (instance) {
+            const ruleClass = resolveClassName(instance[1], scope);
+            const short = ruleClass.split('\\').pop();
+            if (ruleClass.startsWith('Illuminate\\Validation\\Rules\\')) {
+                // `new Enum(Status::class)` is `Rule::enum(Status::class)`
+                const chain = parseCallChain(expression.replace(/^new\s+\\?[\w\\]+\s*/, `->${lcfirst(short)}`));
+                const calls = chain.length > 0 ? chain : [{ method: lcfirst(short), args: [] }];
+                return [['Password', 'File'].includes(short)
+                    ? this.parseFluentRule(short.toLowerCase(), calls)
+                    : this.parseRuleBuilder(calls, expression, scope)];
+            }
+            return [{ rule: 'custom', class: ruleClass }];
+        }
+
+        return [{ rule: 'expression', expression }];
+    }
+
+    parseRuleBuilder(calls, expression, scope) {
+        const [call, ...chain] = calls;
+        const args = call.args;
+
+        switch (call.method) {
+            case 'in':
+            case 'notIn': {
+                const listEntries = args.length === 1 ? parseArrayEntries(args[0]) : null;
+                const values = listEntries ? listEntries.map(entry => entry.value) : args;
+                return `${snakeCase(call.method)}:${values.map(value => this.scalarValue(value)).join(',')}`;
+            }
+            case 'unique':
+            case 'exists': {
+                const table = parseClassReference(args[0], scope);
+                const column = parseStringLiteral(args[1]);
+                // ->ignore($id) / ->where(...) narrow the query at runtime
+                if (chain.length > 0) {
+                    return { rule: call.method, table, ...(column ? { column } : {}), constraints: chain.map(link => link.method) };
+                }
+                return `${call.method}:${[table, column].filter(Boolean).join(',')}`;
+            }
+            case 'enum':
+                return { rule: 'enum', class: parseClassReference(args[0], scope) };
+            case 'dimensions': {
+                const constraints = (parseArrayEntries(args[0]) || [])
+                    .map(({ key, value }) => `${parseStringLiteral(key)}=${this.scalarValue(value)}`);
+                return `dimensions:${constraints.join(',')}`;
+            }
+            case 'password':
+            case 'file':
+            case 'imageFile':
+            case 'email':
+                return this.parseFluentRule(call.method === 'imageFile' ? 'file' : call.method, calls);
+            default:
+                // requiredIf(...), prohibitedIf(...), when(...) depend on runtime state
+                return { rule: snakeCase(call.method), expression };
+        }
+    }
+
+    /**
+     * Password::min(8)->mixedCase(), File::image()->max(1024), Email::default()
+     * become `{ rule, min?, max?, types?, image?, requirements? }`.
+     */
+    parseFluentRule(rule, calls) {
+        const result = { rule };
+        const requirements = [];
+
+        calls.forEach((call, index) => {
+            const number = Number(call.args[0]);
+            switch (call.method) {
+                case 'min':
+                case 'max':
+                    if (!Number.isNaN(number)) result[call.method] = number;
+                    break;
+                case 'types':
+                    result.types = parseStringList(call.args[0]).concat(call.args.map(parseStringLiteral).filter(Boolean));
+                    break;
+                case 'image':
+                case 'imageFile':
+                    result.image = true;
+                    break;
+                default:
+                    // The entry call itself (`new Password(8)`, `Rule::password()`) may carry the minimum
+                    if (index === 0) {
+                        if (call.args[0] && !Number.isNaN(number)) result.min = number;
+                    } else {
+                        requirements.push(call.method);
+                    }
+            }
+        });
+
+        if (requirements.length > 0) result.requirements = requirements;
+        return result;
+    }
+
+    scalarValue(expression) {
+        const literal = parseStringLiteral(expression);
+        if (literal === null) return expression.trim();
+        // Values containing commas must be quoted in the string rule syntax
+        return literal.includes(',') ? `"${literal.replace(/"/g, '""')}"` : literal;
+    }
+}
+
+export { FormRequestAnalyzer };
@@ -34,6 +34,21 @@ print_error() {
 # Default values
 PROJECT_ROOT="."
 FORCE=false
+NO_CACHE=false
+CONCURRENCY=""
+MAX_FILES=""
+INCLUDE_CONTENT=false
+FORMAT=""
+TASK_ID=""
+FILES=""
+BUDGET=""
+SCHEMA=""
+DIFF_FROM=""
+DIFF_TO=""
+VERSION_ID=""
+TRIGGER=""
+LINT_ALL=false
+STRICT=false
 QUIET=false
 COMMAND="generate"
 
@@ -48,19 +63,47 @@ USAGE:
 COMMANDS:
     generate    Generate comprehensive project schemas (default)
     info        Show current schema information  
+    context-pack  Print a token-budgeted digest of the schemas for a task or files
+    show [version]      List saved schema versions, or print one version's schemas
+    restore <version>   Roll current schemas back to a saved version
+    diff        List structural schema changes, flagging breaking ones
+    lint-migrations  Flag risky changes in new Laravel migrations; exits 1 when they fail
+    log         Show which commit and task produced each schema change
     help        Show this help message
 
 OPTIONS:
     --project-root <path>    Set project root directory (default: current directory)
     --force                  Force regeneration even if recent schemas exist
+    --no-cache               Reparse every source file instead of reusing unchanged files' results
+    --concurrency <n>        Files read and parsed at once (default: 16)
+    --max-files <n>          Most source files one run takes in (default: 20000)
+    --include-content        Keep the first 5KB of each file listed under a schema's structure
+    --format <list>          Comma-separated output formats: yaml, json, markdown (default: yaml)
+    --task <id>              Task Master task (or subtask, e.g. 3.2) a context pack is ranked for,
+                             a generation is recorded for, or log entries are filtered by
+    --trigger <context>      What started a generation: manual (default), task-completion, build, parse-prd
+    --files <list>           Comma-separated files a context pack ranks first, or migrations to lint
+    --budget <tokens>        Most tokens a context pack takes (default: 4000)
+    --schema <name>          Schema show prints (database, api, businessLogic, componentArchitecture, metadata)
+    --from <schemas>         Diff from current (default), project or a saved version
+    --to <schemas>           Diff to project (default), current or a saved version
+    --all                    Lint every migration, not only those added since the last generate
+    --strict                 Fail the migration lint on warnings as well as errors
     --quiet                  Suppress non-essential output
-    --framework <type>       Force framework detection (laravel, rails, django, express)
+    --framework <type>       Force framework detection (laravel, symfony, rails, django, express)
 
 EXAMPLES:
     ./generate-schemas.sh generate
     ./generate-schemas.sh generate --project-root /path/to/project --force
     ./generate-schemas.sh info --quiet
     ./generate-schemas.sh generate --framework laravel
+    ./generate-schemas.sh context-pack --task 12 --budget 2000
+    ./generate-schemas.sh show
+    ./generate-schemas.sh restore latest
+    ./generate-schemas.sh diff --from v2026-10-01 --to current
+    ./generate-schemas.sh lint-migrations --strict
+    ./generate-schemas.sh generate --task 12 --trigger task-completion
+    ./generate-schemas.sh log --task 12
 
 INTEGRATION:
     This script is designed to be called from Task Master AI workflows:
@@ -74,10 +117,18 @@ EOF
 # Parse command line arguments
 while [[ $# -gt 0 ]]; do
     case $1 in
-        generate|info|help)
+        generate|info|context-pack|diff|lint-migrations|log|help)
             COMMAND="$1"
             shift
             ;;
+        show|restore)
+            COMMAND="$1"
+            shift
+            if [[ $# -gt 0 && "$1" != -* ]]; then
+                VERSION_ID="$1"
+                shift
+            fi
+            ;;
         --project-root)
             PROJECT_ROOT="$2"
             shift 2
@@ -86,6 +137,62 @@ while [[ $# -gt 0 ]]; do
             FORCE=true
             shift
             ;;
+        --no-cache)
+            NO_CACHE=true
+            shift
+            ;;
+        --concurrency)
+            CONCURRENCY="$2"
+            shift 2
+            ;;
+        --max-files)
+            MAX_FILES="$2"
+            shift 2
+            ;;
+        --include-content)
+            INCLUDE_CONTENT=true
+            shift
+            ;;
+        --format)
+            FORMAT="$2"
+            shift 2
+            ;;
+        --task)
+            TASK_ID="$2"
+            shift 2
+            ;;
+        --files)
+            FILES="$2"
+            shift 2
+            ;;
+        --budget)
+            BUDGET="$2"
+            shift 2
+            ;;
+        --schema)
+            SCHEMA="$2"
+            shift 2
+            ;;
+        --from)
+            DIFF_FROM="$2"
+            shift 2
+            ;;
+        --to)
+            DIFF_TO="$2"
+            shift 2
+            ;;
+        --trigger)
+            TRIGGER="$2"
+            shift 2
+            ;;
+        --all)
+            LINT_ALL=true
+            shift
+            ;;
+        --strict)
+            STRICT=true
+            shift
+            ;;
         --quiet)
             QUIET=true
             shift
@@ -130,6 +237,10 @@ fi
 # Build command arguments
 ARGS=("$COMMAND")
 
+if [[ -n "$VERSION_ID" ]]; then
+    ARGS+=("$VERSION_ID")
+fi
+
 if [[ "$PROJECT_ROOT" != "." ]]; then
     ARGS+=("--project" "$PROJECT_ROOT")
 fi
@@ -142,6 +253,68 @@ if [[ "$FORCE" == true ]]; then
     ARGS+=("--force")
 fi
 
+if [[ "$NO_CACHE" == true ]]; then
+    ARGS+=("--no-cache")
+fi
+
+if [[ -n "$CONCURRENCY" ]]; then
+    ARGS+=("--concurrency" "$CONCURRENCY")
+fi
+
+if [[ -n "$MAX_FILES" ]]; then
+    ARGS+=("--max-files" "$MAX_FILES")
+fi
+
+if [[ "$INCLUDE_CONTENT" == true ]]; then
+    ARGS+=("--include-content")
+fi
+
+if [[ -n "$FORMAT" ]]; then
+    ARGS+=("--format" "$FORMAT")
+fi
+
+if [[ -n "$TASK_ID" ]]; then
+    ARGS+=("--task" "$TASK_ID")
+fi
+
+if [[ -n "$FILES" ]]; then
+    ARGS+=("--files" "$FILES")
+fi
+
+if [[ -n "$BUDGET" ]]; then
+    ARGS+=("--budget" "$BUDGET")
+fi
+
+if [[ -n "$SCHEMA" ]]; then
+    ARGS+=("--schema" "$SCHEMA")
+fi
+
+if [[ -n "$DIFF_FROM" ]]; then
+    ARGS+=("--from" "$DIFF_FROM")
+fi
+
+if [[ -n "$DIFF_TO" ]]; then
+    ARGS+=("--to" "$DIFF_TO")
+fi
+
+if [[ -n "$TRIGGER" ]]; then
+    ARGS+=("--trigger" "$TRIGGER")
+fi
+
+if [[ "$LINT_ALL" == true ]]; then
+    ARGS+=("--all")
+fi
+
+if [[ "$STRICT" == true ]]; then
+    ARGS+=("--strict")
+fi
+
+# A context pack, a shown version, a diff, a migration lint or the log is printed as it is,
+# so it can be piped on; the lint's exit status is what a task-completion hook checks
+if [[ "$COMMAND" == "context-pack" || "$COMMAND" == "show" || "$COMMAND" == "diff" || "$COMMAND" == "lint-migrations" || "$COMMAND" == "log" ]]; then
+    exec node "$SCHEMA_GENERATOR" "${ARGS[@]}"
+fi
+
 # Execute schema generation
 if [[ "$QUIET" == false ]]; then
     print_status "Running schema generation..."
@@ -182,6 +355,9 @@ if OUTPUT=$(node "$SCHEMA_GENERATOR" "${ARGS[@]}" 2>&1); then
         else
             print_warning "No schema information available"
         fi
+    elif [[ "$COMMAND" == "restore" ]]; then
+        RESTORED=$(echo "$OUTPUT" | grep "⏪ Restored" | sed 's/.*⏪ Restored //')
+        print_success "Restored schema version $RESTORED"
     fi
 else
     print_error "Schema generation failed"
@@ -0,0 +1,408 @@
+/**
+ * GraphQL SDL Parser
+ *
+ * Reads GraphQL schema definition files (`*.graphql`, `*.graphqls`,
+ * `*.gql`): the `schema { query: ... }` block, object, interface, input,
+ * enum, union and scalar types with their descriptions, field arguments,
+ * defaults and `@deprecated` reasons, custom directive definitions, and
+ * the `extend` forms that add to a type from another file. The fields of
+ * the root types become the API's queries, mutations and subscriptions.
+ * Executable documents (client queries and fragments kept next to the
+ * schema) are skipped.
+ */
+
+const PUNCTUATORS = '!$&()[]{}:=@|';
+
+const TYPE_KINDS = { type: 'object', interface: 'interface', input: 'input', enum: 'enum', union: 'union', scalar: 'scalar' };
+
+const EXECUTABLE_KEYWORDS = ['query', 'mutation', 'subscription', 'fragment'];
+
+const DEFAULT_ROOTS = { query: 'Query', mutation: 'Mutation', subscription: 'Subscription' };
+
+class GraphqlSdlParser {
+    /**
+     * Parses `{ file: content }` together, since a schema is often split
+     * across files that extend each other's types. Returns `{ files, roots,
+     * operations, types, directives, documents }`: `operations` holds the
+     * root fields by operation type, `types` every other named type, and
+     * `documents` counts the skipped executable definitions.
+     */
+    parse(files) {
+        this.types = {};
+        this.directives = {};
+        this.roots = {};
+        this.documents = 0;
+        this.definedTypes = new Set();
+        this.extensionOnly = new Set();
+
+        for (const [file, content] of Object.entries(files)) {
+            this.file = file;
+            this.tokens = this.tokenize(content);
+            this.position = 0;
+            this.parseDocument();
+        }
+
+        const roots = { ...DEFAULT_ROOTS, ...this.roots };
+        const operations = {};
+        for (const [operation, typeName] of Object.entries(roots)) {
+            const root = this.types[typeName];
+            if (root && root.fields) operations[operation] = Object.values(root.fields);
+        }
+        const rootNames = Object.values(roots);
+
+        return {
+            files: Object.keys(files),
+            roots: Object.fromEntries(Object.entries(roots).filter(([, typeName]) => this.types[typeName])),
+            operations,
+            types: Object.fromEntries(Object.entries(this.types).filter(([name]) => !rootNames.includes(name))),
+            directives: this.directives,
+            documents: this.documents
+        };
+    }
+
+    tokenize(content) {
+        const tokens = [];
+        let i = 0;
+        while (i < content.length) {
+            const char = content[i];
+            if (/[\s,\uFEFF]/.test(char)) {
+                i++;
+            } else if (char === '#') {
+                while (i < content.length && content[i] !== '\n') i++;
+            } else if (content.startsWith('"""', i)) {
+                let end = i + 3;
+                while (end < content.length && !(content.startsWith('"""', end) && content[end - 1] !== '\\')) end++;
+                tokens.push({ kind: 'string', value: this.blockString(content.slice(i + 3, end).replace(/\\"""/g, '"""')) });
+                i = end + 3;
+            } else if (char === '"') {
+                let end = i + 1;
+                while (end < content.length && content[end] !== '"' && content[end] !== '\n') end += content[end] === '\\' ? 2 : 1;
+                let value = content.slice(i + 1, end);
+                try {
+                    value = JSON.parse(`"${value}"`);
+                } catch {
+                    // An escape JSON does not know stays as written
+                }
+                tokens.push({ kind: 'string', value });
+                i = end + 1;
+            } else if (content.startsWith('...', i)) {
+                tokens.push({ kind: 'punct', value: '...' });
+                i += 3;
+            } else if (PUNCTUATORS.includes(char)) {
+                tokens.push({ kind: 'punct', value: char });
+                i++;
+            } else {
+                const word = content.slice(i).match(/^(?:[_A-Za-z][_0-9A-Za-z]*|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)/);
+                if (word) {
+                    tokens.push({ kind: /^[_A-Za-z]/.test(word[0]) ? 'name' : 'number', value: word[0] });
+                    i += word[0].length;
+                } else {
+                    i++;
+                }
+            }
+        }
+        return tokens;
+    }
+
+    // Block strings lose their common indentation and blank first and last lines
+    blockString(raw) {
+        const lines = raw.split(/\r\n|\n|\r/);
+        const indents = lines.slice(1).filter(line => line.trim()).map(line => line.match(/^[ \t]*/)[0].length);
+        const indent = indents.length > 0 ? Math.min(...indents) : 0;
+        const dedented = lines.map((line, index) => (index === 0 ? line : line.slice(indent)));
+        while (dedented.length > 0 && !dedented[0].trim()) dedented.shift();
+        while (dedented.length > 0 && !dedented[dedented.length - 1].trim()) dedented.pop();
+        return dedented.join('\n');
+    }
+
+    peek(offset = 0) {
+        return this.tokens[this.position + offset] || null;
+    }
+
+    next() {
+        return this.tokens[this.position++] || null;
+    }
+
+    isPunct(value, offset = 0) {
+        const token = this.peek(offset);
+        return Boolean(token && token.kind === 'punct' && token.value === value);
+    }
+
+    // Consumes the punctuator when it comes next
+    accept(value) {
+        if (!this.isPunct(value)) return false;
+        this.position++;
+        return true;
+    }
+
+    parseDocument() {
+        while (this.position < this.tokens.length) {
+            const description = this.parseDescription();
+            const token = this.peek();
+            if (!token) break;
+
+            if (this.isPunct('{') || (token.kind === 'name' && EXECUTABLE_KEYWORDS.includes(token.value))) {
+                this.skipExecutable();
+            } else if (token.kind === 'name' && token.value === 'extend') {
+                this.next();
+                this.parseDefinition(null, true);
+            } else if (token.kind === 'name') {
+                this.parseDefinition(description, false);
+            } else {
+                this.next();
+            }
+        }
+    }
+
+    parseDescription() {
+        const token = this.peek();
+        if (token && token.kind === 'string') {
+            this.next();
+            return token.value;
+        }
+        return null;
+    }
+
+    parseDefinition(description, extension) {
+        const keyword = this.next().value;
+        if (keyword === 'schema') {
+            this.parseDirectives();
+            this.parseSchema();
+        } else if (keyword === 'directive') {
+            this.parseDirectiveDefinition(description);
+        } else if (TYPE_KINDS[keyword]) {
+            this.parseType(TYPE_KINDS[keyword], description, extension);
+        }
+    }
+
+    // schema { query: RootQuery mutation: RootMutation }
+    parseSchema() {
+        if (!this.accept('{')) return;
+        while (this.peek() && !this.accept('}')) {
+            const operation = this.next();
+            if (this.accept(':') && this.peek()) this.roots[operation.value] = this.next().value;
+        }
+    }
+
+    // Skips `query Name($id: ID = 1) { ... }` and `fragment F on T { ... }` up to the end of their selection set
+    skipExecutable() {
+        let depth = 0;
+        while (this.position < this.tokens.length && !(depth === 0 && this.isPunct('{'))) {
+            if (this.isPunct('(')) depth++;
+            if (this.isPunct(')')) depth--;
+            this.next();
+        }
+        this.skipBlock('{', '}');
+        this.documents++;
+    }
+
+    skipBlock(open, close) {
+        if (!this.accept(open)) return;
+        let depth = 1;
+        while (this.position < this.tokens.length && depth > 0) {
+            if (this.isPunct(open)) depth++;
+            if (this.isPunct(close)) depth--;
+            this.next();
+        }
+    }
+
+    parseType(kind, description, extension) {
+        const nameToken = this.next();
+        if (!nameToken || nameToken.kind !== 'name') return;
+        const name = nameToken.value;
+        const type = this.types[name] || (this.types[name] = { kind, name, file: this.file });
+        // The definition's own fields and values go before those of extensions read ahead of it
+        const extended = !extension && this.extensionOnly.has(name);
+        if (description) type.description = description;
+        if (extension) {
+            type.extendedIn = [...new Set([...(type.extendedIn || []), this.file])];
+            if (!this.definedTypes.has(name)) this.extensionOnly.add(name);
+        } else {
+            this.definedTypes.add(name);
+            this.extensionOnly.delete(name);
+            if (extended) type.file = this.file;
+        }
+
+        if (this.peek() && this.peek().kind === 'name' && this.peek().value === 'implements') {
+            this.next();
+            const interfaces = [];
+            this.accept('&');
+            while (this.peek() && this.peek().kind === 'name' && !this.isPunct('@')) {
+                interfaces.push(this.next().value);
+                if (!this.accept('&')) break;
+            }
+            type.interfaces = [...new Set([...(type.interfaces || []), ...interfaces])];
+        }
+
+        const directives = this.parseDirectives();
+        if (directives.length > 0) type.directives = [...(type.directives || []), ...directives];
+
+        if (kind === 'union') {
+            if (this.accept('=')) {
+                const members = [];
+                this.accept('|');
+                while (this.peek() && this.peek().kind === 'name') {
+                    members.push(this.next().value);
+                    if (!this.accept('|')) break;
+                }
+                type.types = [...new Set(extended ? [...members, ...(type.types || [])] : [...(type.types || []), ...members])];
+            }
+        } else if (kind === 'enum') {
+            if (!this.isPunct('{')) return;
+            const values = this.parseEnumValues();
+            type.values = extended ? [...values, ...(type.values || [])] : [...(type.values || []), ...values];
+        } else if (kind !== 'scalar' && this.isPunct('{')) {
+            const fields = this.parseFields(kind === 'input');
+            type.fields = extended ? { ...fields, ...(type.fields || {}) } : { ...(type.fields || {}), ...fields };
+        }
+    }
+
+    parseEnumValues() {
+        const values = [];
+        this.next();
+        while (this.peek() && !this.accept('}')) {
+            const description = this.parseDescription();
+            const token = this.next();
+            if (!token || token.kind !== 'name') continue;
+            const value = { name: token.value };
+            if (description) value.description = description;
+            this.applyDirectives(value, this.parseDirectives());
+            values.push(value);
+        }
+        return values;
+    }
+
+    // Fields of object and interface types, or the input values of an input type
+    parseFields(input) {
+        const fields = {};
+        this.next();
+        while (this.peek() && !this.accept('}')) {
+            const description = this.parseDescription();
+            const token = this.next();
+            if (!token || token.kind !== 'name') continue;
+
+            const field = { name: token.value };
+            if (description) field.description = description;
+            if (!input && this.isPunct('(')) field.arguments = this.parseArguments();
+            if (!this.accept(':')) continue;
+            field.type = this.parseTypeReference();
+            if (input && this.accept('=')) field.default = this.parseValue();
+            this.applyDirectives(field, this.parseDirectives());
+            fields[field.name] = field;
+        }
+        return fields;
+    }
+
+    // (id: ID!, first: Int = 10) as `{ id: { type: 'ID!' }, first: { type: 'Int', default: 10 } }`
+    parseArguments() {
+        const args = {};
+        this.next();
+        while (this.peek() && !this.accept(')')) {
+            const description = this.parseDescription();
+            const token = this.next();
+            if (!token || token.kind !== 'name' || !this.accept(':')) continue;
+            const argument = { type: this.parseTypeReference() };
+            if (this.accept('=')) argument.default = this.parseValue();
+            if (description) argument.description = description;
+            this.applyDirectives(argument, this.parseDirectives());
+            args[token.value] = argument;
+        }
+        return args;
+    }
+
+    // [Post!]! as written
+    parseTypeReference() {
+        let reference;
+        if (this.accept('[')) {
+            reference = `[${this.parseTypeReference()}]`;
+            this.accept(']');
+        } else {
+            const token = this.next();
+            reference = token ? token.value : 'Unknown';
+        }
+        return this.accept('!') ? `${reference}!` : reference;
+    }
+
+    parseValue() {
+        const token = this.next();
+        if (!token) return null;
+        if (token.kind === 'string') return token.value;
+        if (token.kind === 'number') return Number(token.value);
+        if (token.kind === 'name') {
+            if (token.value === 'true') return true;
+            if (token.value === 'false') return false;
+            if (token.value === 'null') return null;
+            // Enum values
+            return token.value;
+        }
+        if (token.value === '$') {
+            const variable = this.next();
+            return { variable: variable ? variable.value : null };
+        }
+        if (token.value === '[') {
+            const list = [];
+            while (this.peek() && !this.accept(']')) list.push(this.parseValue());
+            return list;
+        }
+        if (token.value === '{') {
+            const object = {};
+            while (this.peek() && !this.accept('}')) {
+                const key = this.next();
+                if (key && key.kind === 'name' && this.accept(':')) object[key.value] = this.parseValue();
+            }
+            return object;
+        }
+        return null;
+    }
+
+    // @key(fields: "id") @deprecated(reason: "Use slug")
+    parseDirectives() {
+        const directives = [];
+        while (this.isPunct('@') && this.peek(1) && this.peek(1).kind === 'name') {
+            this.next();
+            const directive = { name: this.next().value };
+            if (this.accept('(')) {
+                directive.arguments = {};
+                while (this.peek() && !this.accept(')')) {
+                    const key = this.next();
+                    if (key && key.kind === 'name' && this.accept(':')) directive.arguments[key.value] = this.parseValue();
+                }
+            }
+            directives.push(directive);
+        }
+        return directives;
+    }
+
+    // `@deprecated` becomes `deprecated: reason` (or true); other directives are listed as written
+    applyDirectives(target, directives) {
+        const deprecated = directives.find(directive => directive.name === 'deprecated');
+        if (deprecated) target.deprecated = (deprecated.arguments && deprecated.arguments.reason) || true;
+        const others = directives.filter(directive => directive.name !== 'deprecated');
+        if (others.length > 0) target.directives = others;
+    }
+
+    // directive @auth(requires: Role = ADMIN) repeatable on OBJECT | FIELD_DEFINITION
+    parseDirectiveDefinition(description) {
+        if (!this.accept('@') || !this.peek()) return;
+        const name = this.next().value;
+        const directive = { name, file: this.file };
+        if (description) directive.description = description;
+        if (this.isPunct('(')) directive.arguments = this.parseArguments();
+        if (this.peek() && this.peek().value === 'repeatable') {
+            this.next();
+            directive.repeatable = true;
+        }
+        directive.locations = [];
+        if (this.peek() && this.peek().value === 'on') {
+            this.next();
+            this.accept('|');
+            while (this.peek() && this.peek().kind === 'name' && /^[A-Z_]+$/.test(this.peek().value)) {
+                directive.locations.push(this.next().value);
+                if (!this.accept('|')) break;
+            }
+        }
+        this.directives[name] = directive;
+    }
+}
+
+export { GraphqlSdlParser };
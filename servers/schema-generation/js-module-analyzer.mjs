@@ -0,0 +1,149 @@
+/**
+ * JavaScript Module Analyzer
+ *
+ * Describes an Express project module the way the Python module analyzer
+ * describes a Django one: its imports and exports, module-level functions
+ * (declarations, arrow functions and `exports.x = function` assignments),
+ * classes with their methods, and the methods of exported object literals
+ * (`module.exports = { list, show() {} }`), each with its JSDoc summary.
+ */
+
+import { maskJs, findClosingBracket, splitTopLevel, parseImports, parseExports, parseObjectEntries, docComment, braceDepths } from './js-source.mjs';
+
+const FUNCTION_VALUE = /^(async\s+)?(?:function\b\s*\*?\s*[\w$]*\s*\(([^)]*)\)|\(([^)]*)\)\s*(?::[^=]+)?=>|([\w$]+)\s*=>)/;
+
+class JsModuleAnalyzer {
+    /**
+     * Returns `{ file, summary, imports, exports, functions, classes }`.
+     * `functions` lists module-level and exported-object functions as
+     * `{ name, summary, parameters, async, exported }`.
+     */
+    analyze(content, file = null) {
+        const { code, mask } = maskJs(content);
+        const depths = braceDepths(mask);
+        const exports = parseExports(content);
+        const exportedNames = new Set(Object.keys(exports.names));
+        const exportedLocals = new Set(Object.values(exports.names));
+        if (exports.value && /^[\w$]+$/.test(exports.value)) exportedLocals.add(exports.value);
+
+        const description = {
+            file,
+            summary: this.moduleSummary(content),
+            imports: parseImports(content),
+            exports,
+            functions: [],
+            classes: []
+        };
+        const addFunction = (name, index, value) => {
+            if (description.functions.some(fn => fn.name === name)) return;
+            const signature = value.match(FUNCTION_VALUE);
+            if (!signature) return;
+            description.functions.push({
+                name,
+                summary: docComment(content, index),
+                parameters: this.parameters(signature[2] ?? signature[3] ?? signature[4]),
+                async: Boolean(signature[1]),
+                exported: exportedNames.has(name) || exportedLocals.has(name)
+            });
+        };
+
+        for (const match of mask.matchAll(/(?:^|[^\w$.])((?:export\s+(?:default\s+)?)?(async\s+)?function\s*\*?\s*([\w$]+)\s*\()/g)) {
+            const start = match.index + match[0].length - match[1].length;
+            if (depths[start] !== 0) continue;
+            addFunction(match[3], start, code.slice(start).replace(/^export\s+(?:default\s+)?/, ''));
+        }
+
+        for (const match of mask.matchAll(/(?:^|[^\w$.])((?:export\s+)?(?:const|let|var)\s+([\w$]+)\s*(?::[^=]+)?=\s*)/g)) {
+            const start = match.index + match[0].length - match[1].length;
+            if (depths[start] !== 0) continue;
+            const valueStart = match.index + match[0].length;
+            const value = code.slice(valueStart);
+            if (FUNCTION_VALUE.test(value)) {
+                addFunction(match[2], start, value);
+            } else if (mask[valueStart] === '{' && exportedLocals.has(match[2])) {
+                // const controller = { list() {}, ... }; module.exports = controller
+                this.objectFunctions(code, mask, valueStart, content, addFunction);
+            }
+        }
+
+        for (const match of mask.matchAll(/(?:^|[^\w$.])((?:module\.)?exports\.([\w$]+)\s*=(?!=)\s*)/g)) {
+            const start = match.index + match[0].length - match[1].length;
+            if (depths[start] !== 0) continue;
+            addFunction(match[2], start, code.slice(match.index + match[0].length));
+        }
+
+        const exportObject = mask.match(/(?:^|[^\w$.])(?:module\.exports\s*=(?!=)|export\s+default)\s*\{/);
+        if (exportObject) this.objectFunctions(code, mask, exportObject.index + exportObject[0].length - 1, content, addFunction);
+
+        for (const match of mask.matchAll(/(?:^|[^\w$.])((?:export\s+(?:default\s+)?)?class\s+([\w$]+)(?:\s+extends\s+([\w$.]+))?[^{]*\{)/g)) {
+            const start = match.index + match[0].length - match[1].length;
+            if (depths[start] !== 0) continue;
+            const open = match.index + match[0].length - 1;
+            const close = findClosingBracket(code, open, mask);
+            description.classes.push({
+                name: match[2],
+                extends: match[3] || null,
+                summary: docComment(content, start),
+                exported: /^export/.test(match[1]) || exportedLocals.has(match[2]) || new RegExp(`new\\s+${match[2]}\\b`).test(exports.value || ''),
+                methods: this.classMethods(content, mask, open, close === -1 ? mask.length : close)
+            });
+        }
+
+        return description;
+    }
+
+    // Entries of the object literal opening at `open` whose values are functions
+    objectFunctions(code, mask, open, content, addFunction) {
+        const close = findClosingBracket(code, open, mask);
+        if (close === -1) return;
+        let offset = open + 1;
+        for (const [name, value] of parseObjectEntries(code.slice(open + 1, close))) {
+            const index = code.indexOf(name, offset);
+            if (index !== -1) offset = index;
+            // A shorthand entry exports a function declared elsewhere in the module
+            if (value === name) continue;
+            addFunction(name, index === -1 ? open : index, /^(?:async\s+)?[\w$]+\s*\(/.test(value) && !FUNCTION_VALUE.test(value)
+                ? value.replace(/^(async\s+)?[\w$]+\s*\(/, '$1function (')
+                : value);
+        }
+    }
+
+    // Methods and function-valued fields of the class body between `open` and `close`
+    classMethods(content, mask, open, close) {
+        const methods = [];
+        const body = mask.slice(open + 1, close);
+        const depths = braceDepths(body);
+        const pattern = /(?:^|(?<=[;}\n]))\s*((?:(?:public|private|protected|static|async|get|set|readonly)\s+)*)(#?[\w$]+)\s*(?:\(([^)]*)\)\s*(?::[^{]+)?\{|=\s*(async\s+)?(?:\(([^)]*)\)|([\w$]+))\s*(?::[^=]+)?=>)/g;
+
+        for (const match of body.matchAll(pattern)) {
+            const start = match.index + match[0].length - match[0].trimStart().length;
+            if (depths[start] !== 0 || ['if', 'for', 'while', 'switch', 'catch', 'constructor', 'return', 'function'].includes(match[2])) continue;
+            methods.push({
+                name: match[2],
+                summary: docComment(content, open + 1 + start),
+                parameters: this.parameters(match[3] ?? match[5] ?? match[6]),
+                async: /\basync\b/.test(match[1]) || Boolean(match[4]),
+                static: /\bstatic\b/.test(match[1])
+            });
+        }
+        return methods;
+    }
+
+    // `req, res, next = null` -> ['req', 'res', 'next']
+    parameters(list) {
+        return splitTopLevel(list || '')
+            .map(parameter => parameter.replace(/^\.\.\./, '').split(/[=:]/)[0].trim())
+            .filter(parameter => /^[\w$]+$/.test(parameter));
+    }
+
+    // The JSDoc block opening the file, when it is not a function's
+    moduleSummary(content) {
+        const match = content.match(/^(?:#!.*\n)?\s*(?:(['"])use strict\1;?\s*)?\/\*\*([\s\S]*?)\*\//);
+        if (!match) return null;
+        const rest = content.slice(match[0].length);
+        if (/^\s*(?:export\s+)?(?:async\s+)?(?:function|class)\b/.test(rest)) return null;
+        return docComment(match[0], match[0].length);
+    }
+}
+
+export { JsModuleAnalyzer };
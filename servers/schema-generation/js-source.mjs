@@ -0,0 +1,516 @@
+/**
+ * JavaScript Source Helpers
+ *
+ * Lexical helpers for reading Express projects without a JavaScript parser:
+ * masking of comments, string and template literals and regular
+ * expressions, bracket matching, member call chains, conversion of literals
+ * (strings, numbers, arrays, objects) to JS values, CommonJS and ES module
+ * imports and exports, relative module resolution and JSDoc summaries.
+ */
+
+import path from 'path';
+
+const OPENERS = { '(': ')', '[': ']', '{': '}' };
+const CLOSERS = new Set([')', ']', '}']);
+
+// A `/` after one of these starts a regular expression rather than a division
+const REGEX_PRECEDERS = new Set(['', '(', ',', '=', ':', '[', '!', '&', '|', '?', '{', '}', ';', '+', '-', '*', '%', '<', '>', '~', '^']);
+const REGEX_KEYWORDS = /(?:^|[^\w$])(?:return|typeof|case|do|else|in|of|new|delete|void|throw|yield|await)$/;
+
+// Extensions tried, in order, for an import without one
+const MODULE_EXTENSIONS = ['.js', '.mjs', '.cjs', '.ts', '.mts', '.cts', '.jsx', '.tsx'];
+
+function blank(text) {
+    return text.replace(/[^\n]/g, ' ');
+}
+
+/**
+ * Returns `{ code, mask }`, both as long as `source`: `code` has comments
+ * blanked out; `mask` additionally blanks the contents of string, template
+ * and regular expression literals (keeping their delimiters), so structure
+ * can be read from `mask` and values from `code` at the same offsets.
+ */
+function maskJs(source) {
+    let code = '';
+    let mask = '';
+    let i = 0;
+
+    const emit = (text, masked = text) => {
+        code += text;
+        mask += masked;
+    };
+    // The masked text up to the last non-blank character, enough of it to read a keyword
+    const previousSignificant = () => {
+        let end = mask.length;
+        while (end > 0 && /\s/.test(mask[end - 1])) end--;
+        return mask.slice(Math.max(0, end - 12), end);
+    };
+
+    while (i < source.length) {
+        const char = source[i];
+        const next = source[i + 1];
+
+        if (char === '/' && next === '/') {
+            const end = source.indexOf('\n', i);
+            const stop = end === -1 ? source.length : end;
+            emit(blank(source.slice(i, stop)));
+            i = stop;
+            continue;
+        }
+        if (char === '/' && next === '*') {
+            const end = source.indexOf('*/', i + 2);
+            const stop = end === -1 ? source.length : end + 2;
+            emit(blank(source.slice(i, stop)));
+            i = stop;
+            continue;
+        }
+
+        if (char === '\'' || char === '"' || char === '`') {
+            const end = char === '`' ? skipTemplate(source, i + 1) : skipString(source, i + 1, char);
+            const text = source.slice(i, end);
+            const closing = text.length > 1 && text.endsWith(char) ? char : '';
+            emit(text, char + blank(text.slice(1, text.length - closing.length)) + closing);
+            i = end;
+            continue;
+        }
+
+        if (char === '/') {
+            const before = previousSignificant();
+            if (REGEX_PRECEDERS.has(before.slice(-1)) || REGEX_KEYWORDS.test(before)) {
+                const end = skipRegex(source, i + 1);
+                const text = source.slice(i, end);
+                const flags = text.match(/[a-z]*$/)[0];
+                emit(text, '/' + blank(text.slice(1, text.length - flags.length - 1)) + '/' + flags);
+                i = end;
+                continue;
+            }
+        }
+
+        emit(char);
+        i++;
+    }
+
+    return { code, mask };
+}
+
+// Index just past the quoted string whose contents start at `index`
+function skipString(source, index, quote) {
+    let i = index;
+    while (i < source.length) {
+        if (source[i] === '\\') {
+            i += 2;
+            continue;
+        }
+        if (source[i] === quote) return i + 1;
+        if (source[i] === '\n') return i;
+        i++;
+    }
+    return source.length;
+}
+
+// Index just past the template literal whose contents start at `index`, `${...}` included
+function skipTemplate(source, index) {
+    let i = index;
+    while (i < source.length) {
+        if (source[i] === '\\') {
+            i += 2;
+            continue;
+        }
+        if (source[i] === '`') return i + 1;
+        if (source[i] === '$' && source[i + 1] === '{') {
+            let depth = 1;
+            i += 2;
+            while (i < source.length && depth > 0) {
+                const char = source[i];
+                if (char === '\'' || char === '"') i = skipString(source, i + 1, char);
+                else if (char === '`') i = skipTemplate(source, i + 1);
+                else {
+                    if (char === '{') depth++;
+                    else if (char === '}') depth--;
+                    i++;
+                }
+            }
+            continue;
+        }
+        i++;
+    }
+    return source.length;
+}
+
+// Index just past the flags of the regular expression whose body starts at `index`
+function skipRegex(source, index) {
+    let i = index;
+    let inClass = false;
+    while (i < source.length && source[i] !== '\n') {
+        const char = source[i];
+        if (char === '\\') {
+            i += 2;
+            continue;
+        }
+        if (char === '[') inClass = true;
+        else if (char === ']') inClass = false;
+        else if (char === '/' && !inClass) {
+            i++;
+            while (/[a-z]/.test(source[i] || '')) i++;
+            return i;
+        }
+        i++;
+    }
+    return i;
+}
+
+/**
+ * Finds the bracket closing the one at `openIndex`, reading structure from
+ * the mask of `source`. Returns -1 when unbalanced.
+ */
+function findClosingBracket(source, openIndex, mask = maskJs(source).mask) {
+    const stack = [];
+    for (let i = openIndex; i < mask.length; i++) {
+        const char = mask[i];
+        if (OPENERS[char]) {
+            stack.push(OPENERS[char]);
+        } else if (CLOSERS.has(char)) {
+            if (stack.pop() !== char) return -1;
+            if (stack.length === 0) return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Splits `source` on `separator` outside brackets, literals and comments.
+ * Empty segments are dropped.
+ */
+function splitTopLevel(source, separator = ',') {
+    const { code, mask } = maskJs(source);
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+
+    for (let i = 0; i < mask.length; i++) {
+        const char = mask[i];
+        if (OPENERS[char]) {
+            depth++;
+        } else if (CLOSERS.has(char)) {
+            depth--;
+        } else if (depth === 0 && mask.startsWith(separator, i)) {
+            parts.push(code.slice(start, i));
+            start = i + separator.length;
+            i = start - 1;
+        }
+    }
+
+    parts.push(code.slice(start));
+    return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * The index where the expression starting at `start` ends: a `;`, a
+ * closing bracket or a `,` outside brackets, or a line break that does not
+ * continue the expression (the next line starting with `.`, `?` or an
+ * operator, or the line ending with one).
+ */
+function expressionEnd(mask, start) {
+    let depth = 0;
+    for (let i = start; i < mask.length; i++) {
+        const char = mask[i];
+        if (OPENERS[char]) {
+            depth++;
+        } else if (CLOSERS.has(char)) {
+            if (depth === 0) return i;
+            depth--;
+        } else if (depth === 0 && (char === ';' || char === ',')) {
+            return i;
+        } else if (depth === 0 && char === '\n') {
+            const before = mask.slice(start, i).replace(/\s+$/, '');
+            const after = mask.slice(i + 1).replace(/^\s+/, '');
+            if (before === '' || /[=+\-*/%&|^!?:,.(<>]$/.test(before) || /^(?:[.?:+\-*/%&|^=<>,]|\)|=>)/.test(after)) continue;
+            return i;
+        }
+    }
+    return mask.length;
+}
+
+/**
+ * Parses a call expression: `router.get('/users', auth, list)` becomes
+ * `{ name: 'router.get', args: ["'/users'", 'auth', 'list'], trailer: '' }`,
+ * where `trailer` is whatever follows the closing parenthesis. A leading
+ * `new` and `await` are skipped. Returns null when `text` is not a call.
+ */
+function parseCall(text) {
+    const source = text.trim().replace(/^(?:await|new)\s+/, '');
+    const { mask } = maskJs(source);
+    const head = mask.match(/^([A-Za-z_$][\w$]*(?:\s*\??\.\s*[A-Za-z_$][\w$]*)*)\s*\(/);
+    if (!head) return null;
+
+    const open = head[0].length - 1;
+    const close = findClosingBracket(source, open, mask);
+    if (close === -1) return null;
+
+    return {
+        name: head[1].replace(/\s+|\?/g, ''),
+        args: splitTopLevel(source.slice(open + 1, close)),
+        trailer: source.slice(close + 1).trim()
+    };
+}
+
+/**
+ * Parses a member call chain: `table.string('email').notNullable().unique()`
+ * becomes `{ target: 'table', calls: [{ method: 'string', args }, ...] }`.
+ * Property accesses between calls (`knex.schema.createTable(...)`) are part
+ * of the target or of the following method (`schema.createTable`). Returns
+ * null when `text` does not start with a call.
+ */
+function parseCallChain(text) {
+    const first = parseCall(text);
+    if (!first) return null;
+
+    const segments = first.name.split('.');
+    const chain = {
+        target: segments.length > 1 ? segments.slice(0, -1).join('.') : null,
+        calls: [{ method: segments[segments.length - 1], args: first.args }]
+    };
+
+    let trailer = first.trailer;
+    while (trailer.startsWith('.') || trailer.startsWith('?.')) {
+        const call = parseCall(trailer.replace(/^\??\.\s*/, ''));
+        if (!call) break;
+        chain.calls.push({ method: call.name, args: call.args });
+        trailer = call.trailer;
+    }
+    chain.trailer = trailer;
+    return chain;
+}
+
+/**
+ * The entries of an object literal body as `[key, rawValue]` pairs.
+ * Shorthand properties map to their own name, methods to their source;
+ * spread and computed entries are skipped.
+ */
+function parseObjectEntries(text) {
+    const entries = [];
+    for (const part of splitTopLevel(text)) {
+        if (part.startsWith('...') || part.startsWith('[')) continue;
+        const { mask } = maskJs(part);
+
+        const method = mask.match(/^(?:async\s+|get\s+|set\s+|static\s+)*\*?\s*([A-Za-z_$][\w$]*)\s*\(/);
+        const keyed = mask.match(/^(?:([A-Za-z_$][\w$]*)|(['"])[\s\S]*?\2|(\d+))\s*:/);
+        if (keyed) {
+            const key = keyed[1] || keyed[3] || parseString(part.slice(0, keyed[0].length - 1).trim());
+            entries.push([key, part.slice(keyed[0].length).trim()]);
+        } else if (method && mask[method[0].length - 1] === '(') {
+            entries.push([method[1], part]);
+        } else if (/^[A-Za-z_$][\w$]*$/.test(part)) {
+            entries.push([part, part]);
+        }
+    }
+    return entries;
+}
+
+/**
+ * Converts a JavaScript literal to its value: strings (templates without
+ * substitutions included), numbers, booleans, null/undefined, arrays and
+ * object literals. Any other expression becomes `{ expression }`.
+ */
+function parseValue(expression) {
+    if (expression === undefined || expression === null) return null;
+    const text = String(expression).trim().replace(/\s+as\s+const$/, '');
+
+    const string = parseString(text);
+    if (string !== null) return string;
+
+    if (/^-?(?:\d[\d_]*)?\.?\d[\d_]*(?:e[+-]?\d+)?$/i.test(text)) return Number(text.replace(/_/g, ''));
+    if (/^0x[\da-f_]+$/i.test(text)) return Number.parseInt(text.replace(/_/g, '').slice(2), 16);
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    if (text === 'null' || text === 'undefined') return null;
+
+    const first = text[0];
+    if ((first === '[' || first === '{') && findClosingBracket(text, 0) === text.length - 1) {
+        const inner = text.slice(1, -1);
+        if (first === '[') return splitTopLevel(inner).map(parseValue);
+        return Object.fromEntries(parseObjectEntries(inner).map(([key, value]) => [key, parseValue(value)]));
+    }
+    if (first === '(' && findClosingBracket(text, 0) === text.length - 1) return parseValue(text.slice(1, -1));
+
+    return { expression: text.replace(/\s+/g, ' ') };
+}
+
+// Value of a string literal, or null
+function parseString(text) {
+    const match = text.match(/^(['"])([\s\S]*)\1$/) || text.match(/^(`)((?:[^`\\$]|\\[\s\S]|\$(?!\{))*)`$/);
+    if (!match || findStringEnd(text) !== text.length) return null;
+    return unescape(match[2]);
+}
+
+function findStringEnd(text) {
+    const quote = text[0];
+    return quote === '`' ? skipTemplate(text, 1) : skipString(text, 1, quote);
+}
+
+function unescape(value) {
+    return value.replace(/\\(n|t|r|\\|'|"|`|\/|\n)/g, (_, char) => ({ n: '\n', t: '\t', r: '\r', '\n': '' })[char] ?? char);
+}
+
+/**
+ * The bindings a module's imports and `require()` calls create, as
+ * `{ local: { source, name } }` where `name` is `'default'`, an exported
+ * name, or `'*'` for the whole module (`import * as x`, `const x = require()`).
+ */
+function parseImports(source) {
+    const { code, mask } = maskJs(source);
+    const imports = {};
+    const literal = (start, end) => parseString(code.slice(start, end).trim());
+
+    for (const match of mask.matchAll(/\bimport\s+(?:type\s+)?([\w$*{}\s,]+?)\s+from\s+(['"])/g)) {
+        const quoteAt = match.index + match[0].length - 1;
+        const specifier = literal(quoteAt, skipString(code, quoteAt + 1, match[2]));
+        if (!specifier) continue;
+
+        const clause = match[1].trim();
+        const namespace = clause.match(/\*\s*as\s+([\w$]+)/);
+        if (namespace) imports[namespace[1]] = { source: specifier, name: '*' };
+        const defaultName = clause.match(/^([\w$]+)\s*(?:,|$)/);
+        if (defaultName) imports[defaultName[1]] = { source: specifier, name: 'default' };
+        const named = clause.match(/\{([^}]*)\}/);
+        for (const part of named ? named[1].split(',') : []) {
+            const [name, alias] = part.trim().replace(/^type\s+/, '').split(/\s+as\s+/);
+            if (name) imports[alias || name] = { source: specifier, name };
+        }
+    }
+
+    // const x = require('x'), const { a, b: c } = require('x'), const x = require('x').y
+    for (const match of mask.matchAll(/\b(?:const|let|var)\s+(\{[^}]*\}|[\w$]+)\s*=\s*require\s*\(\s*(['"])/g)) {
+        const quoteAt = match.index + match[0].length - 1;
+        const end = skipString(code, quoteAt + 1, match[2]);
+        const specifier = literal(quoteAt, end);
+        if (!specifier) continue;
+
+        const member = mask.slice(end).match(/^\s*\)\s*\.\s*([\w$]+)/);
+        if (match[1].startsWith('{')) {
+            for (const part of match[1].slice(1, -1).split(',')) {
+                const [name, alias] = part.trim().split(/\s*:\s*/);
+                if (name) imports[alias || name] = { source: specifier, name };
+            }
+        } else {
+            imports[match[1]] = { source: specifier, name: member ? member[1] : '*' };
+        }
+    }
+
+    return imports;
+}
+
+/**
+ * What a module exports, as `{ value, names, reexports }`: `value` is the
+ * `module.exports =` or `export default` expression, `names` maps exported
+ * names to the local expression they export, and `reexports` lists
+ * `export { a as b } from './x'` entries.
+ */
+function parseExports(source) {
+    const { code, mask } = maskJs(source);
+    const exports = { value: null, names: {}, reexports: [] };
+    const expressionAt = (start) => code.slice(start, expressionEnd(mask, start)).trim();
+
+    for (const match of mask.matchAll(/(?:^|[^\w$.])module\.exports\s*=(?!=)\s*/g)) {
+        exports.value = expressionAt(match.index + match[0].length);
+    }
+    for (const match of mask.matchAll(/(?:^|[^\w$.])(?:module\.)?exports\.([\w$]+)\s*=(?!=)\s*/g)) {
+        exports.names[match[1]] = expressionAt(match.index + match[0].length);
+    }
+
+    for (const match of mask.matchAll(/(?:^|[^\w$.])export\s+default\s+(?:(?:async\s+)?function\s*\*?\s*([\w$]+)|class\s+([\w$]+))?/g)) {
+        exports.value = match[1] || match[2] || expressionAt(match.index + match[0].length);
+    }
+    for (const match of mask.matchAll(/(?:^|[^\w$.])export\s+(?:declare\s+)?(?:async\s+)?(?:function\s*\*?|class|const|let|var)\s+([\w$]+)/g)) {
+        exports.names[match[1]] = match[1];
+    }
+    for (const match of mask.matchAll(/(?:^|[^\w$.])export\s+(?:type\s+)?\{([^}]*)\}(\s*from\s*(['"]))?/g)) {
+        let specifier = null;
+        if (match[2]) {
+            const quoteAt = match.index + match[0].length - 1;
+            specifier = parseString(code.slice(quoteAt, skipString(code, quoteAt + 1, match[3])));
+        }
+        for (const part of match[1].split(',')) {
+            const [name, alias] = part.trim().split(/\s+as\s+/);
+            if (!name) continue;
+            if (specifier) exports.reexports.push({ name: alias || name, source: specifier, imported: name });
+            else if ((alias || name) === 'default') exports.value = name;
+            else exports.names[alias || name] = name;
+        }
+    }
+
+    // module.exports = { a, b: c } exports names too
+    if (exports.value && exports.value.startsWith('{')) {
+        for (const [key, value] of parseObjectEntries(exports.value.slice(1, -1))) {
+            if (!(key in exports.names)) exports.names[key] = value;
+        }
+    }
+    return exports;
+}
+
+/**
+ * Resolves a relative import of `fromFile` against the project files
+ * (a Set of project-relative paths), trying the module extensions and
+ * `index` files. Returns null for packages and unresolved paths.
+ */
+function resolveModulePath(fromFile, specifier, files) {
+    if (!specifier || !/^\.{1,2}(?:\/|$)/.test(specifier)) return null;
+    const base = path.normalize(path.join(path.dirname(fromFile), specifier));
+    // TypeScript ESM imports name the compiled .js file
+    const stem = base.replace(/\.(?:js|mjs|cjs)$/, '');
+    const candidates = [
+        base,
+        ...MODULE_EXTENSIONS.map(extension => stem + extension),
+        ...MODULE_EXTENSIONS.map(extension => path.join(base, `index${extension}`))
+    ];
+    return candidates.find(candidate => files.has(candidate)) || null;
+}
+
+/**
+ * The summary of the JSDoc block ending right before `index` (decorators
+ * and `export`/`async` keywords aside): its first paragraph without tags,
+ * or null.
+ */
+function docComment(source, index) {
+    const before = source.slice(0, index).replace(/(?:\s|export|default|async|static|public|private|protected)*$/, '');
+    if (!before.endsWith('*/')) return null;
+    const start = before.lastIndexOf('/**');
+    if (start === -1) return null;
+
+    const lines = before.slice(start + 3, -2).split('\n').map(line => line.replace(/^\s*\*?\s?/, '').trimEnd());
+    const text = lines.join('\n').split(/\n\s*@|^@/)[0].trim();
+    const paragraph = text.split(/\n\s*\n/)[0];
+    return paragraph ? paragraph.split('\n').map(line => line.trim()).join(' ') : null;
+}
+
+/**
+ * Brace depth at every offset of `mask`, so callers can tell module-level
+ * statements (depth 0) from nested ones.
+ */
+function braceDepths(mask) {
+    const depths = new Array(mask.length);
+    let depth = 0;
+    for (let i = 0; i < mask.length; i++) {
+        depths[i] = depth;
+        if (OPENERS[mask[i]]) depth++;
+        else if (CLOSERS.has(mask[i])) depth = Math.max(0, depth - 1);
+    }
+    return depths;
+}
+
+export {
+    maskJs,
+    findClosingBracket,
+    splitTopLevel,
+    expressionEnd,
+    parseCall,
+    parseCallChain,
+    parseObjectEntries,
+    parseValue,
+    parseString,
+    parseImports,
+    parseExports,
+    resolveModulePath,
+    docComment,
+    braceDepths
+};
@@ -0,0 +1,142 @@
+/**
+ * JsonResource Analyzer
+ *
+ * Describes the payload an API resource (or resource collection) renders: the
+ * keys returned by `toArray()`, which model attribute or nested resource each
+ * key comes from, whether it is conditional, and the response wrapper.
+ */
+
+import {
+    stripComments,
+    parseCallChain,
+    parseStringLiteral,
+    parseArrayEntries,
+    extractPropertyValue,
+    extractClassBody,
+    extractMethods,
+    resolveClassName,
+    parseClassReference
+} from './php-source.mjs';
+import { PhpClassAnalyzer } from './php-class-analyzer.mjs';
+
+// Conditional helpers whose first argument names a relation or attribute
+const CONDITIONAL_RELATION_HELPERS = ['whenLoaded', 'whenHas', 'whenCounted', 'whenAggregated', 'whenPivotLoaded'];
+
+class JsonResourceAnalyzer {
+    constructor() {
+        this.classAnalyzer = new PhpClassAnalyzer();
+    }
+
+    analyze(content, file = 'resource.php') {
+        const description = this.classAnalyzer.analyze(content, file);
+        const className = description.class;
+        const namespace = description.namespace;
+        const scope = { imports: description.imports, namespace };
+        const classBody = extractClassBody(stripComments(content));
+        const parent = description.extends || null;
+        const collection = Boolean(parent && /ResourceCollection$/.test(parent));
+
+        const resource = {
+            class: className,
+            namespace,
+            extends: parent,
+            collection,
+            wrap: this.extractWrap(classBody),
+            fields: this.extractFields(classBody, scope)
+        };
+
+        if (collection) {
+            // UserCollection collects UserResource unless $collects says otherwise
+            resource.collects = parseClassReference(extractPropertyValue(classBody, 'collects'), scope) ||
+                (className ? resolveClassName(className.replace(/Collection$/, 'Resource'), scope) : null);
+        }
+
+        return resource;
+    }
+
+    // `public static $wrap = null;` disables the "data" envelope
+    extractWrap(classBody) {
+        const wrap = extractPropertyValue(classBody, 'wrap');
+        if (wrap === null) return 'data';
+        if (wrap.trim().toLowerCase() === 'null') return null;
+        return parseStringLiteral(wrap) || 'data';
+    }
+
+    /**
+     * Returns the keys of the array returned by `toArray()`, or null when the
+     * resource defers to `parent::toArray()` and renders every model attribute.
+     */
+    extractFields(classBody, scope) {
+        const toArray = extractMethods(classBody).find(method => method.name === 'toArray' && method.body);
+        if (!toArray) return null;
+
+        const returnMatch = toArray.body.match(/return\s+([\s\S]*?);\s*$/);
+        const entries = returnMatch && parseArrayEntries(returnMatch[1]);
+        if (!entries) return null;
+
+        return this.describeEntries(entries, scope);
+    }
+
+    describeEntries(entries, scope) {
+        const fields = {};
+        for (const { key, value } of entries) {
+            const name = parseStringLiteral(key);
+            // Unkeyed entries are $this->merge(...) / mergeWhen(...) calls
+            if (name) fields[name] = this.describeValue(value.trim(), scope);
+        }
+        return fields;
+    }
+
+    describeValue(expression, scope) {
+        const nested = parseArrayEntries(expression);
+        if (nested) return { fields: this.describeEntries(nested, scope) };
+
+        if (/^(?:true|false)$/i.test(expression)) return { type: 'boolean' };
+        if (/^-?\d+$/.test(expression)) return { type: 'integer' };
+        if (/^-?\d*\.\d+$/.test(expression)) return { type: 'number' };
+        if (parseStringLiteral(expression) !== null) return { type: 'string' };
+
+        // UserResource::collection(...), UserResource::make(...), new UserResource(...)
+        const resourceMatch = expression.match(/^(?:new\s+(\\?[\w\\]+)\s*\(|(\\?[\w\\]+)::(collection|make)\s*\()/);
+        if (resourceMatch) {
+            const [call] = parseCallChain(expression.replace(/^new\s+[\w\\]+/, '->__construct'));
+            const inner = call && call.args[0] ? this.describeValue(call.args[0].trim(), scope) : {};
+            const resourceClass = resolveClassName(resourceMatch[1] || resourceMatch[2], scope);
+            const field = {
+                resource: resourceClass,
+                collection: resourceMatch[3] === 'collection' || /Collection$/.test(resourceClass)
+            };
+            if (inner.relation) field.relation = inner.relation;
+            if (inner.attribute) field.relation = inner.attribute;
+            if (inner.conditional) field.conditional = true;
+            return field;
+        }
+
+        const helperMatch = expression.match(/^\$this\s*->\s*(\w+)\s*\(/);
+        if (helperMatch) {
+            const [call] = parseCallChain(expression.slice('$this'.length));
+            const name = parseStringLiteral(call.args[0]);
+
+            if (call.method === 'whenCounted') return { relation: name, type: 'integer', conditional: true };
+            if (CONDITIONAL_RELATION_HELPERS.includes(call.method)) {
+                return call.method === 'whenHas' ? { attribute: name, conditional: true } : { relation: name, conditional: true };
+            }
+            if (call.method === 'when' || call.method === 'whenNotNull') {
+                const valueArg = call.method === 'when' ? call.args[1] : call.args[0];
+                return { ...(valueArg ? this.describeValue(valueArg.trim(), scope) : {}), conditional: true };
+            }
+        }
+
+        // $this->name, $this->created_at?->toIso8601String()
+        const attributeMatch = expression.match(/^\$this\s*(?:\?->|->)\s*(\w+)(?![\w(])([\s\S]*)$/);
+        if (attributeMatch) {
+            const field = { attribute: attributeMatch[1] };
+            if (attributeMatch[2].trim()) field.expression = expression;
+            return field;
+        }
+
+        return { expression };
+    }
+}
+
+export { JsonResourceAnalyzer };
@@ -0,0 +1,264 @@
+/**
+ * JSON Schemas
+ *
+ * The JSON Schema (draft 2020-12) of every generated schema type, written
+ * to `.taskmaster/schemas/json-schema/` next to JSON output so consumers
+ * can validate what they read. The parts every framework shares (tables,
+ * columns, routes, relationship edges) are described in full; framework
+ * specific sections stay open, as each framework adds its own keys.
+ */
+
+const DRAFT = 'https://json-schema.org/draft/2020-12/schema';
+
+// Directory, relative to the schema directory, the JSON Schemas are written to
+const JSON_SCHEMA_DIRECTORY = 'json-schema';
+
+const string = { type: 'string' };
+const nullableString = { type: ['string', 'null'] };
+const boolean = { type: 'boolean' };
+const stringList = { type: 'array', items: string };
+const objectList = { type: 'array', items: { type: 'object' } };
+
+// A map of named descriptions, such as models keyed by class name
+const namedDescriptions = {
+    type: 'object',
+    additionalProperties: {
+        type: 'object',
+        properties: {
+            path: string,
+            error: string
+        }
+    }
+};
+
+const column = {
+    type: 'object',
+    required: ['name', 'type', 'nullable'],
+    properties: {
+        name: string,
+        type: string,
+        sqlType: string,
+        nullable: boolean,
+        default: {},
+        unique: boolean,
+        index: boolean,
+        primary: boolean,
+        autoIncrement: boolean,
+        unsigned: boolean,
+        length: { type: 'number' },
+        precision: { type: 'number' },
+        scale: { type: 'number' },
+        comment: string,
+        provenance: objectList
+    }
+};
+
+const foreignKey = {
+    type: 'object',
+    required: ['column', 'references', 'on'],
+    properties: {
+        name: string,
+        column: string,
+        references: string,
+        on: string,
+        onDelete: nullableString,
+        onUpdate: nullableString,
+        migration: string
+    }
+};
+
+const index = {
+    type: 'object',
+    required: ['type', 'columns'],
+    properties: {
+        table: string,
+        type: string,
+        name: string,
+        columns: stringList,
+        migration: string
+    }
+};
+
+const table = {
+    type: 'object',
+    required: ['name', 'columns'],
+    properties: {
+        name: string,
+        model: nullableString,
+        createdIn: string,
+        modifiedIn: stringList,
+        renamedFrom: {
+            type: 'array',
+            items: { type: 'object', required: ['table'], properties: { table: string, migration: string } }
+        },
+        columns: { type: 'object', additionalProperties: { $ref: '#/$defs/column' } },
+        foreignKeys: { type: 'array', items: { $ref: '#/$defs/foreignKey' } },
+        indexes: { type: 'array', items: { $ref: '#/$defs/index' } },
+        checks: objectList,
+        primaryKey: nullableString,
+        timestamps: boolean
+    }
+};
+
+const relationship = {
+    type: 'object',
+    required: ['table', 'column', 'referencedTable', 'type', 'cardinality'],
+    properties: {
+        table: string,
+        column: string,
+        referencedTable: string,
+        referencedColumn: string,
+        type: string,
+        cardinality: { enum: ['one-to-one', 'one-to-many', 'many-to-one', 'many-to-many'] },
+        relations: stringList,
+        pivot: boolean,
+        polymorphic: boolean,
+        morphType: string
+    }
+};
+
+const route = {
+    type: 'object',
+    required: ['methods', 'uri'],
+    properties: {
+        methods: stringList,
+        uri: string,
+        name: nullableString,
+        action: {
+            type: 'object',
+            required: ['type'],
+            properties: {
+                type: string,
+                controller: string,
+                method: string,
+                uses: string
+            }
+        },
+        middleware: stringList,
+        parameters: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                    name: string,
+                    optional: boolean,
+                    type: string,
+                    pattern: string
+                }
+            }
+        },
+        responses: stringList,
+        deprecated: boolean,
+        file: string
+    }
+};
+
+// Properties every schema type has: its type, the framework it was read from and, when reading failed, why
+function schemaProperties(type) {
+    return {
+        $schema: string,
+        type: { const: type },
+        framework: string,
+        error: string
+    };
+}
+
+const JSON_SCHEMAS = {
+    database: {
+        $schema: DRAFT,
+        title: 'Database schema',
+        description: 'Tables with their columns, keys and indexes, and the relationships between them',
+        type: 'object',
+        required: ['type', 'framework', 'tables'],
+        properties: {
+            ...schemaProperties('database'),
+            tables: { type: 'object', additionalProperties: { $ref: '#/$defs/table' } },
+            relationships: { type: 'array', items: { $ref: '#/$defs/relationship' } },
+            constraints: objectList,
+            indexes: { type: 'array', items: { $ref: '#/$defs/index' } },
+            droppedTables: {
+                type: 'array',
+                items: { type: 'object', required: ['table'], properties: { table: string, migration: string } }
+            },
+            migrations: stringList
+        },
+        $defs: { table, column, foreignKey, index, relationship }
+    },
+    api: {
+        $schema: DRAFT,
+        title: 'API schema',
+        description: 'Routes with their actions, middleware and parameters, and the controllers, validation and resources behind them',
+        type: 'object',
+        required: ['type', 'framework'],
+        properties: {
+            ...schemaProperties('api'),
+            routes: { type: 'array', items: { $ref: '#/$defs/route' } },
+            middleware: { type: 'object' },
+            controllers: namedDescriptions,
+            validation: namedDescriptions,
+            resources: namedDescriptions
+        },
+        $defs: { route }
+    },
+    businessLogic: {
+        $schema: DRAFT,
+        title: 'Business logic schema',
+        description: 'Models, services and the other classes a framework gives a role, keyed by name',
+        type: 'object',
+        required: ['type', 'framework'],
+        properties: {
+            ...schemaProperties('business_logic'),
+            orm: string,
+            models: namedDescriptions,
+            services: namedDescriptions,
+            note: string
+        }
+    },
+    componentArchitecture: {
+        $schema: DRAFT,
+        title: 'Component architecture schema',
+        description: 'The project layout, application settings, dependencies and configuration',
+        type: 'object',
+        required: ['type', 'framework'],
+        properties: {
+            ...schemaProperties('component_architecture'),
+            structure: { type: 'object' },
+            application: { type: 'object' },
+            dependencies: { type: 'object' },
+            configuration: { type: 'object' }
+        }
+    },
+    metadata: {
+        $schema: DRAFT,
+        title: 'Schema generation metadata',
+        description: 'When, for which framework, at which git commit and for what trigger the schemas were generated, and the version they were restored from',
+        type: 'object',
+        required: ['framework', 'generatedAt'],
+        properties: {
+            $schema: string,
+            framework: {
+                type: 'object',
+                required: ['type'],
+                properties: { type: string, version: nullableString }
+            },
+            generatedAt: string,
+            version: string,
+            projectRoot: string,
+            git: {
+                type: 'object',
+                required: ['commit', 'dirty'],
+                properties: { commit: string, branch: nullableString, dirty: { type: 'boolean' } }
+            },
+            trigger: {
+                type: 'object',
+                required: ['context'],
+                properties: { context: string, taskId: string }
+            },
+            restoredFrom: string,
+            restoredAt: string
+        }
+    }
+};
+
+export { JSON_SCHEMAS, JSON_SCHEMA_DIRECTORY };
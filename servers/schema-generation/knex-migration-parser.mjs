@@ -0,0 +1,335 @@
+/**
+ * Knex Migration Parser
+ *
+ * Turns a Knex migration's `up` function into the operations the migration
+ * replay engine applies: `knex.schema.createTable()`/`table()`/`alterTable()`
+ * builders with their column chains (`table.string('email', 191)
+ * .notNullable().unique()`), table-level `primary`/`unique`/`index`/
+ * `foreign` calls and the drop and rename helpers. Column types keep the
+ * builder method name, the way Laravel migrations keep Blueprint's, and
+ * index names follow Knex's `users_email_unique` convention.
+ */
+
+import { maskJs, expressionEnd, parseCallChain, parseValue } from './js-source.mjs';
+
+const COLUMN_TYPES = new Set([
+    'increments', 'bigIncrements', 'integer', 'bigInteger', 'bigint', 'tinyint', 'smallint', 'mediumint',
+    'text', 'string', 'float', 'double', 'decimal', 'boolean', 'date', 'datetime', 'dateTime', 'time',
+    'timestamp', 'binary', 'enum', 'enu', 'json', 'jsonb', 'uuid', 'specificType', 'geometry', 'geography', 'point'
+]);
+
+const SCHEMA_METHODS = new Set(['createTable', 'createTableIfNotExists', 'table', 'alterTable', 'dropTable', 'dropTableIfExists', 'renameTable']);
+
+class KnexMigrationParser {
+    /**
+     * Returns `{ filename, operations }` for the migration's `up` function.
+     */
+    parse(content, filename) {
+        const { code, mask } = maskJs(content);
+        const [start, end] = this.upRange(mask);
+        const operations = [];
+
+        // knex.schema.createTable(...).createTable(...), trx.schema.withSchema('app').table(...)
+        const pattern = /(?<![\w$.])[\w$]+\s*\.\s*schema\s*\./g;
+        pattern.lastIndex = start;
+        let match;
+        while ((match = pattern.exec(mask)) !== null && match.index < end) {
+            const stop = expressionEnd(mask, match.index);
+            const chain = parseCallChain(code.slice(match.index, stop));
+            pattern.lastIndex = Math.max(stop, match.index + match[0].length);
+            if (!chain) continue;
+
+            for (const call of chain.calls) {
+                if (!SCHEMA_METHODS.has(call.method)) continue;
+                const operation = this.schemaOperation(call);
+                if (operation) operations.push(operation);
+            }
+        }
+
+        return { filename, operations };
+    }
+
+    /**
+     * The offsets of the `up` function: from its declaration to the `down`
+     * declaration that follows, or to the end of the file. Only `up`
+     * describes the forward schema.
+     */
+    upRange(mask) {
+        const declaration = name => new RegExp(`(?:exports\\.${name}\\s*=|function\\s+${name}\\s*\\(|(?<![\\w$.])${name}\\s*(?::|\\())`, 'g');
+        const up = declaration('up').exec(mask);
+        if (!up) return [0, mask.length];
+        const downPattern = declaration('down');
+        downPattern.lastIndex = up.index + up[0].length;
+        const down = downPattern.exec(mask);
+        return [up.index, down ? down.index : mask.length];
+    }
+
+    schemaOperation(call) {
+        const table = parseValue(call.args[0]);
+        if (typeof table !== 'string') return null;
+
+        switch (call.method) {
+            case 'createTable':
+            case 'createTableIfNotExists':
+            case 'table':
+            case 'alterTable':
+                return {
+                    type: call.method.startsWith('create') ? 'create' : 'modify',
+                    table,
+                    statements: this.parseBuilder(call.args[1] || '', table)
+                };
+            case 'dropTable':
+            case 'dropTableIfExists':
+                return { type: 'drop', table };
+            case 'renameTable': {
+                const to = parseValue(call.args[1]);
+                return typeof to === 'string' ? { type: 'rename', table, to } : null;
+            }
+        }
+        return null;
+    }
+
+    // `(table) => { table.increments(); ... }` -> engine statements
+    parseBuilder(callback, table) {
+        const { code, mask } = maskJs(callback);
+        const parameter = mask.match(/^\s*(?:async\s+)?(?:function\s*[\w$]*\s*)?\(?\s*([\w$]+)/);
+        if (!parameter) return [];
+
+        const statements = [];
+        const pattern = new RegExp(`(?<![\\w$.])${parameter[1].replace(/\$/g, '\\$')}\\s*\\.`, 'g');
+        let match;
+        while ((match = pattern.exec(mask)) !== null) {
+            if (match.index < parameter.index + parameter[0].length) continue;
+            const stop = expressionEnd(mask, match.index);
+            const chain = parseCallChain(code.slice(match.index, stop));
+            pattern.lastIndex = Math.max(stop, match.index + match[0].length);
+            if (chain) statements.push(...this.parseStatement(chain.calls, table));
+        }
+        return statements;
+    }
+
+    parseStatement(calls, table) {
+        const [call, ...modifiers] = calls;
+        const first = parseValue(call.args[0]);
+
+        if (COLUMN_TYPES.has(call.method)) return this.columnStatements(call, modifiers, table);
+
+        switch (call.method) {
+            case 'timestamps': {
+                // timestamps(useTimestamps, defaultToNow, useCamelCase)
+                const [useTimestamps, defaultToNow, camelCase] = call.args.map(arg => parseValue(arg));
+                const names = camelCase === true ? ['createdAt', 'updatedAt'] : ['created_at', 'updated_at'];
+                return names.map(name => ({
+                    action: 'add',
+                    column: {
+                        name,
+                        type: useTimestamps === false ? 'datetime' : 'timestamp',
+                        nullable: defaultToNow !== true,
+                        default: defaultToNow === true ? 'CURRENT_TIMESTAMP' : null,
+                        unique: false,
+                        index: false
+                    }
+                }));
+            }
+            case 'primary':
+            case 'unique':
+            case 'index': {
+                const columns = this.columnList(call.args[0]);
+                if (columns.length === 0) return [];
+                const index = { type: call.method, columns };
+                const name = this.indexName(call.args[1], call.method === 'primary' ? 'constraintName' : 'indexName');
+                if (name) index.name = name;
+                else if (call.method === 'primary') index.name = `${table}_pkey`;
+                return [{ action: 'index', index }];
+            }
+            case 'foreign': {
+                const columns = this.columnList(call.args[0]);
+                const foreignKey = this.foreignKey(columns[0], modifiers, table, parseValue(call.args[1]));
+                return foreignKey ? [{ action: 'foreign', foreignKey }] : [];
+            }
+            case 'dropColumn':
+            case 'dropColumns':
+                return [{ action: 'dropColumn', columns: call.args.flatMap(arg => this.columnList(arg)) }];
+            case 'dropTimestamps': {
+                const camelCase = parseValue(call.args[0]) === true;
+                return [{ action: 'dropColumn', columns: camelCase ? ['createdAt', 'updatedAt'] : ['created_at', 'updated_at'] }];
+            }
+            case 'renameColumn': {
+                const to = parseValue(call.args[1]);
+                return typeof first === 'string' && typeof to === 'string' ? [{ action: 'renameColumn', from: first, to }] : [];
+            }
+            case 'dropForeign':
+                return [{ action: 'dropForeign', columns: this.columnList(call.args[0]) }];
+            case 'dropPrimary':
+                return [{ action: 'dropIndex', type: 'primary', name: typeof first === 'string' ? first : `${table}_pkey` }];
+            case 'dropUnique':
+            case 'dropIndex': {
+                const type = call.method === 'dropUnique' ? 'unique' : 'index';
+                const name = parseValue(call.args[1]);
+                return [{
+                    action: 'dropIndex',
+                    type,
+                    ...(typeof name === 'string' ? { name } : { columns: this.columnList(call.args[0]) })
+                }];
+            }
+            case 'setNullable':
+            case 'dropNullable':
+                return typeof first === 'string'
+                    ? [{ action: 'change', column: { name: first, nullable: call.method === 'setNullable' } }]
+                    : [];
+            case 'check': {
+                const name = parseValue(call.args[2]);
+                return typeof first === 'string'
+                    ? [{ action: 'check', check: { name: typeof name === 'string' ? name : `${table}_check`, expression: first } }]
+                    : [];
+            }
+            case 'dropChecks':
+                return this.columnList(call.args[0]).map(name => ({ action: 'dropCheck', name }));
+        }
+        return [];
+    }
+
+    /**
+     * The add (or, with `.alter()`, change) statement for a column builder
+     * plus the indexes and foreign key its modifiers declare.
+     */
+    columnStatements(call, modifiers, table) {
+        const incrementing = call.method === 'increments' || call.method === 'bigIncrements';
+        const name = parseValue(call.args[0]);
+        const column = {
+            name: typeof name === 'string' ? name : incrementing ? 'id' : null,
+            type: call.method === 'enu' ? 'enum' : call.method,
+            // Knex columns accept NULL unless marked notNullable()
+            nullable: !incrementing,
+            default: null,
+            unique: false,
+            index: false
+        };
+        if (!column.name) return [];
+
+        const args = call.args.slice(1).map(arg => parseValue(arg));
+        switch (call.method) {
+            case 'string':
+                column.length = typeof args[0] === 'number' ? args[0] : 255;
+                break;
+            case 'decimal':
+            case 'float':
+            case 'double':
+                if (typeof args[0] === 'number') column.precision = args[0];
+                if (typeof args[1] === 'number') column.scale = args[1];
+                break;
+            case 'enum':
+            case 'enu':
+                if (Array.isArray(args[0])) column.options = args[0].filter(value => typeof value === 'string');
+                break;
+            case 'specificType':
+                if (typeof args[0] === 'string') column.type = args[0];
+                break;
+        }
+        if (incrementing) {
+            column.autoIncrement = true;
+            column.unsigned = true;
+            column.primary = !(args[0] && args[0].primaryKey === false);
+        }
+
+        const statements = [];
+        const indexes = [];
+        for (const modifier of modifiers) {
+            const value = parseValue(modifier.args[0]);
+            switch (modifier.method) {
+                case 'notNullable':
+                    column.nullable = false;
+                    break;
+                case 'nullable':
+                    column.nullable = true;
+                    break;
+                case 'defaultTo':
+                    column.default = this.defaultValue(modifier.args[0]);
+                    break;
+                case 'unsigned':
+                    column.unsigned = true;
+                    break;
+                case 'comment':
+                    if (typeof value === 'string') column.comment = value;
+                    break;
+                case 'primary':
+                case 'unique':
+                case 'index': {
+                    if (modifier.method === 'primary') column.primary = true;
+                    else column[modifier.method] = true;
+                    const index = { type: modifier.method, columns: [column.name] };
+                    const indexName = this.indexName(modifier.args[0], modifier.method === 'primary' ? 'constraintName' : 'indexName');
+                    if (indexName) index.name = indexName;
+                    else if (modifier.method === 'primary') index.name = `${table}_pkey`;
+                    indexes.push({ action: 'index', index });
+                    break;
+                }
+            }
+        }
+        if (column.primary && !indexes.some(statement => statement.index.type === 'primary')) {
+            indexes.push({ action: 'index', index: { type: 'primary', columns: [column.name], name: `${table}_pkey` } });
+        }
+
+        const alter = modifiers.some(modifier => modifier.method === 'alter');
+        statements.push({ action: alter ? 'change' : 'add', column }, ...indexes);
+        const foreignKey = this.foreignKey(column.name, modifiers, table);
+        if (foreignKey) statements.push({ action: 'foreign', foreignKey });
+        return statements;
+    }
+
+    /**
+     * The foreign key of `.references('id').inTable('users')` or
+     * `.references('users.id')`, with its referential actions.
+     */
+    foreignKey(column, modifiers, table, name = null) {
+        const find = method => modifiers.find(modifier => modifier.method === method);
+        const references = find('references');
+        if (!column || !references) return null;
+
+        const target = parseValue(references.args[0]);
+        if (typeof target !== 'string') return null;
+        const inTable = find('inTable');
+        const tableName = inTable ? parseValue(inTable.args[0]) : null;
+        const [on, referenced] = typeof tableName === 'string' ? [tableName, target] : target.includes('.') ? target.split('.') : [null, target];
+        if (!on) return null;
+
+        const action = method => {
+            const call = find(method);
+            const value = call ? parseValue(call.args[0]) : null;
+            return typeof value === 'string' ? value.toLowerCase() : null;
+        };
+        return {
+            column,
+            references: referenced,
+            on,
+            onDelete: action('onDelete'),
+            onUpdate: action('onUpdate'),
+            name: typeof name === 'string' ? name : `${table}_${column}_foreign`
+        };
+    }
+
+    // 'email' or ['first', 'last'] -> column names
+    columnList(expression) {
+        const value = parseValue(expression);
+        if (typeof value === 'string') return [value];
+        return Array.isArray(value) ? value.filter(item => typeof item === 'string') : [];
+    }
+
+    // 'users_email_idx' or { indexName: 'users_email_idx' }
+    indexName(expression, key) {
+        const value = parseValue(expression);
+        if (typeof value === 'string') return value;
+        return value && typeof value[key] === 'string' ? value[key] : null;
+    }
+
+    // knex.fn.now() and knex.raw('...') are database expressions
+    defaultValue(expression) {
+        const value = parseValue(expression);
+        if (!value || !value.expression) return value;
+        if (/\.fn\.now\(\)$/.test(value.expression)) return 'CURRENT_TIMESTAMP';
+        const raw = value.expression.match(/\.raw\(\s*(['"`])([\s\S]*)\1\s*\)$/);
+        return raw ? raw[2] : value.expression;
+    }
+}
+
+export { KnexMigrationParser };
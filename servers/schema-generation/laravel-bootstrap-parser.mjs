@@ -0,0 +1,404 @@
+/**
+ * Laravel Bootstrap Parser
+ *
+ * Reads the Laravel 11+ application layout, where `bootstrap/app.php`
+ * replaces the HTTP and console kernels: route registration (`withRouting`),
+ * middleware aliases, groups and global stack (`withMiddleware`), exception
+ * handling (`withExceptions`), plus `bootstrap/providers.php` and the
+ * closure commands and schedule in `routes/console.php`.
+ */
+
+import path from 'path';
+import {
+    findClosingBracket,
+    splitTopLevel,
+    stripComments,
+    parseCallChain,
+    parseStringLiteral,
+    parseStringList,
+    parseArrayEntries,
+    extractImports,
+    parseClassReference
+} from './php-source.mjs';
+
+// Framework defaults applied before withMiddleware() customizations
+const DEFAULT_MIDDLEWARE = {
+    global: [
+        'Illuminate\\Foundation\\Http\\Middleware\\InvokeDeferredCallbacks',
+        'Illuminate\\Http\\Middleware\\TrustProxies',
+        'Illuminate\\Http\\Middleware\\HandleCors',
+        'Illuminate\\Foundation\\Http\\Middleware\\PreventRequestsDuringMaintenance',
+        'Illuminate\\Http\\Middleware\\ValidatePostSize',
+        'Illuminate\\Foundation\\Http\\Middleware\\TrimStrings',
+        'Illuminate\\Foundation\\Http\\Middleware\\ConvertEmptyStringsToNull'
+    ],
+    groups: {
+        web: [
+            'Illuminate\\Cookie\\Middleware\\EncryptCookies',
+            'Illuminate\\Cookie\\Middleware\\AddQueuedCookiesToResponse',
+            'Illuminate\\Session\\Middleware\\StartSession',
+            'Illuminate\\View\\Middleware\\ShareErrorsFromSession',
+            'Illuminate\\Foundation\\Http\\Middleware\\ValidateCsrfToken',
+            'Illuminate\\Routing\\Middleware\\SubstituteBindings'
+        ],
+        api: [
+            'Illuminate\\Routing\\Middleware\\SubstituteBindings'
+        ]
+    },
+    aliases: {
+        auth: 'Illuminate\\Auth\\Middleware\\Authenticate',
+        'auth.basic': 'Illuminate\\Auth\\Middleware\\AuthenticateWithBasicAuth',
+        'auth.session': 'Illuminate\\Session\\Middleware\\AuthenticateSession',
+        'cache.headers': 'Illuminate\\Http\\Middleware\\SetCacheHeaders',
+        can: 'Illuminate\\Auth\\Middleware\\Authorize',
+        guest: 'Illuminate\\Auth\\Middleware\\RedirectIfAuthenticated',
+        'password.confirm': 'Illuminate\\Auth\\Middleware\\RequirePassword',
+        precognitive: 'Illuminate\\Foundation\\Http\\Middleware\\HandlePrecognitiveRequests',
+        signed: 'Illuminate\\Routing\\Middleware\\ValidateSignature',
+        throttle: 'Illuminate\\Routing\\Middleware\\ThrottleRequests',
+        verified: 'Illuminate\\Auth\\Middleware\\EnsureEmailIsVerified'
+    }
+};
+
+const SCHEDULE_ENTRY_POINTS = ['command', 'job', 'call', 'exec'];
+
+class LaravelBootstrapParser {
+    /**
+     * Parses `bootstrap/app.php` into `{ routing, middleware, exceptions, providers, commands }`.
+     * routing and exceptions are null when their `with*()` call is absent;
+     * middleware always starts from the framework defaults.
+     */
+    parseApp(content) {
+        const source = stripComments(content);
+        this.scope = { imports: extractImports(source), namespace: null };
+
+        const calls = this.applicationCalls(source);
+        const find = name => calls.find(call => call.method === name);
+
+        return {
+            routing: find('withRouting') ? this.parseRouting(find('withRouting').args) : null,
+            middleware: this.parseMiddleware(find('withMiddleware')),
+            exceptions: find('withExceptions') ? this.parseExceptions(find('withExceptions')) : null,
+            providers: find('withProviders') ? this.classList(find('withProviders').args[0]) : [],
+            commands: find('withCommands') ? (parseArrayEntries(find('withCommands').args[0]) || []).map(entry => this.describeCommandPath(entry.value)) : []
+        };
+    }
+
+    // The fluent chain starting at Application::configure(...)
+    applicationCalls(source) {
+        const start = source.search(/Application::configure\s*\(/);
+        if (start === -1) return [];
+        return parseCallChain(source.slice(start));
+    }
+
+    /**
+     * withRouting(web: ..., api: ..., commands: ..., health: '/up', apiPrefix: ...)
+     * Paths are returned project-relative, e.g. "routes/web.php".
+     */
+    parseRouting(args) {
+        const named = this.namedArguments(args);
+        const routing = {};
+
+        for (const key of ['web', 'api', 'commands', 'channels', 'pages']) {
+            if (named[key]) routing[key] = this.resolveBootstrapPaths(named[key]);
+        }
+        for (const key of ['health', 'apiPrefix']) {
+            const value = parseStringLiteral(named[key]);
+            if (value !== null) routing[key] = value;
+        }
+        if (named.then) routing.then = this.closureBody(named.then);
+        if (named.using) routing.using = this.closureBody(named.using);
+
+        return routing;
+    }
+
+    // `__DIR__.'/../routes/web.php'` or an array of such paths, relative to bootstrap/
+    resolveBootstrapPaths(expression) {
+        const entries = parseArrayEntries(expression);
+        const paths = (entries ? entries.map(entry => entry.value) : [expression])
+            .map(value => this.resolveBootstrapPath(value))
+            .filter(Boolean);
+        return entries ? paths : paths[0] || null;
+    }
+
+    resolveBootstrapPath(expression) {
+        const relative = expression.match(/__DIR__\s*\.\s*(['"])([^'"]+)\1/);
+        if (relative) return path.posix.normalize(`bootstrap/${relative[2]}`);
+
+        const basePath = expression.match(/base_path\(\s*(['"])([^'"]+)\1\s*\)/);
+        if (basePath) return path.posix.normalize(basePath[2]);
+
+        return parseStringLiteral(expression);
+    }
+
+    describeCommandPath(expression) {
+        return this.resolveBootstrapPath(expression) || expression.trim();
+    }
+
+    /**
+     * Starts from the framework's default stack and applies every
+     * `$middleware->...` call in the withMiddleware() closure.
+     */
+    parseMiddleware(withMiddleware) {
+        const middleware = {
+            global: [...DEFAULT_MIDDLEWARE.global],
+            groups: Object.fromEntries(Object.entries(DEFAULT_MIDDLEWARE.groups).map(([name, stack]) => [name, [...stack]])),
+            aliases: { ...DEFAULT_MIDDLEWARE.aliases },
+            priority: [],
+            options: {}
+        };
+        if (!withMiddleware) return middleware;
+
+        const closure = withMiddleware.args[0] || '';
+        const variable = (closure.match(/\(\s*(?:[\w\\]+\s+)?\$(\w+)/) || [])[1] || 'middleware';
+
+        for (const statement of splitTopLevel(this.closureBody(closure), ';')) {
+            const start = statement.indexOf(`$${variable}`);
+            if (start === -1) continue;
+            for (const call of parseCallChain(statement.slice(start))) {
+                this.applyMiddlewareCall(middleware, call);
+            }
+        }
+
+        return middleware;
+    }
+
+    applyMiddlewareCall(middleware, call) {
+        const named = this.namedArguments(call.args);
+        const positional = call.args.filter(arg => !/^\w+\s*:(?!:)/.test(arg));
+
+        switch (call.method) {
+            case 'alias':
+                for (const { key, value } of parseArrayEntries(positional[0]) || []) {
+                    const name = parseStringLiteral(key);
+                    if (name) middleware.aliases[name] = this.classReference(value);
+                }
+                break;
+            case 'append':
+            case 'prepend': {
+                const classes = this.classList(positional[0]);
+                middleware.global = call.method === 'append' ? [...middleware.global, ...classes] : [...classes, ...middleware.global];
+                break;
+            }
+            case 'remove':
+                middleware.global = middleware.global.filter(entry => !this.classList(positional[0]).includes(entry));
+                break;
+            case 'use':
+                middleware.global = this.classList(positional[0]);
+                break;
+            case 'group':
+                middleware.groups[parseStringLiteral(positional[0])] = this.classList(positional[1]);
+                break;
+            case 'appendToGroup':
+            case 'prependToGroup': {
+                const group = parseStringLiteral(positional[0]);
+                const classes = this.classList(positional[1]);
+                const stack = middleware.groups[group] || [];
+                middleware.groups[group] = call.method === 'appendToGroup' ? [...stack, ...classes] : [...classes, ...stack];
+                break;
+            }
+            case 'web':
+            case 'api':
+                this.modifyGroup(middleware, call.method, named);
+                break;
+            case 'statefulApi':
+                middleware.groups.api.unshift('Laravel\\Sanctum\\Http\\Middleware\\EnsureFrontendRequestsAreStateful');
+                middleware.options.statefulApi = true;
+                break;
+            case 'throttleApi':
+                middleware.groups.api.splice(middleware.groups.api.length - 1, 0,
+                    `throttle:${parseStringLiteral(positional[0]) || 'api'}`);
+                break;
+            case 'priority':
+                middleware.priority = this.classList(positional[0]);
+                break;
+            default:
+                // validateCsrfTokens(except: [...]), redirectGuestsTo('/login'), trustProxies(at: '*'), ...
+                middleware.options[call.method] = this.optionValue(positional, named);
+        }
+    }
+
+    // $middleware->web(append: [...], prepend: [...], remove: [...], replace: [Old::class => New::class])
+    modifyGroup(middleware, group, named) {
+        let stack = middleware.groups[group] || [];
+        if (named.remove) {
+            const removed = this.classList(named.remove);
+            stack = stack.filter(entry => !removed.includes(entry));
+        }
+        for (const { key, value } of (named.replace && parseArrayEntries(named.replace)) || []) {
+            const from = this.classReference(key);
+            stack = stack.map(entry => (entry === from ? this.classReference(value) : entry));
+        }
+        if (named.prepend) stack = [...this.classList(named.prepend), ...stack];
+        if (named.append) stack = [...stack, ...this.classList(named.append)];
+        middleware.groups[group] = stack;
+    }
+
+    /**
+     * Summarizes withExceptions(): classes never reported, report and render
+     * callbacks keyed by the exception they type-hint, and reporting levels.
+     */
+    parseExceptions(withExceptions) {
+        const exceptions = { dontReport: [], report: [], render: [], dontFlash: [], levels: {}, options: {} };
+        const closure = withExceptions.args[0] || '';
+        const variable = (closure.match(/\(\s*(?:[\w\\]+\s+)?\$(\w+)/) || [])[1] || 'exceptions';
+
+        for (const statement of splitTopLevel(this.closureBody(closure), ';')) {
+            const start = statement.indexOf(`$${variable}`);
+            if (start === -1) continue;
+
+            for (const call of parseCallChain(statement.slice(start))) {
+                switch (call.method) {
+                    case 'dontReport':
+                    case 'dontReportDuplicates':
+                        exceptions.dontReport.push(...call.args.flatMap(arg => this.classList(arg)));
+                        break;
+                    case 'report':
+                    case 'reportable':
+                    case 'render':
+                    case 'renderable':
+                        exceptions[call.method.replace(/able$/, '')].push(this.callbackException(call.args[0]));
+                        break;
+                    case 'dontFlash':
+                        exceptions.dontFlash.push(...parseStringList(call.args[0]), ...call.args.map(parseStringLiteral).filter(Boolean));
+                        break;
+                    case 'level':
+                        exceptions.levels[this.classReference(call.args[0])] = (call.args[1] || '').replace(/^LogLevel::/, '').toLowerCase();
+                        break;
+                    default:
+                        exceptions.options[call.method] = this.optionValue(
+                            call.args.filter(arg => !/^\w+\s*:(?!:)/.test(arg)),
+                            this.namedArguments(call.args)
+                        );
+                }
+            }
+        }
+
+        return exceptions;
+    }
+
+    // The exception class a report/render callback type-hints, or "Throwable"
+    callbackException(closure) {
+        const match = (closure || '').match(/^(?:static\s+)?(?:function|fn)\s*\(\s*(\\?[\w\\]+)\s+\$/);
+        return match ? this.classReference(`${match[1]}::class`) : 'Throwable';
+    }
+
+    /**
+     * Parses `bootstrap/providers.php` (`return [AppServiceProvider::class, ...]`).
+     */
+    parseProviders(content) {
+        const source = stripComments(content);
+        this.scope = { imports: extractImports(source), namespace: null };
+        const returnMatch = source.match(/return\s+([\s\S]*?);\s*$/);
+        return returnMatch ? this.classList(returnMatch[1]) : [];
+    }
+
+    /**
+     * Parses `routes/console.php`: closure commands registered with
+     * Artisan::command() and the task schedule defined with Schedule::*.
+     */
+    parseConsole(content) {
+        const source = stripComments(content);
+        this.scope = { imports: extractImports(source), namespace: null };
+        const console = { commands: [], schedule: [] };
+
+        for (const statement of splitTopLevel(source.replace(/^<\?php/, ''), ';')) {
+            const artisan = statement.search(/\bArtisan::command\s*\(/);
+            if (artisan !== -1) {
+                const [command, ...chain] = parseCallChain(statement.slice(artisan));
+                const signature = parseStringLiteral(command.args[0]) || '';
+                const purpose = chain.find(call => call.method === 'purpose' || call.method === 'describe');
+                console.commands.push({
+                    name: signature.split(/\s/)[0],
+                    signature,
+                    description: purpose ? parseStringLiteral(purpose.args[0]) : null
+                });
+                continue;
+            }
+
+            const schedule = statement.search(new RegExp(`\\bSchedule::(?:${SCHEDULE_ENTRY_POINTS.join('|')})\\s*\\(`));
+            if (schedule !== -1) {
+                console.schedule.push(this.describeScheduledTask(parseCallChain(statement.slice(schedule))));
+            }
+        }
+
+        return console;
+    }
+
+    describeScheduledTask(calls) {
+        const [entry, ...chain] = calls;
+        const task = { type: entry.method };
+        const target = entry.args[0] || '';
+
+        if (entry.method === 'command') {
+            task.command = parseStringLiteral(target) || this.classReference(target);
+        } else if (entry.method === 'job') {
+            const jobClass = target.match(/^new\s+(\\?[\w\\]+)/);
+            task.job = jobClass ? this.classReference(`${jobClass[1]}::class`) : this.classReference(target);
+        } else if (entry.method === 'exec') {
+            task.command = parseStringLiteral(target);
+        }
+
+        const frequency = chain.filter(call => !['name', 'description', 'withoutOverlapping', 'onOneServer', 'runInBackground', 'evenInMaintenanceMode'].includes(call.method));
+        task.frequency = frequency.map(call => (call.args.length > 0 ? `${call.method}(${call.args.join(', ')})` : call.method));
+
+        const options = chain.filter(call => ['withoutOverlapping', 'onOneServer', 'runInBackground', 'evenInMaintenanceMode'].includes(call.method));
+        if (options.length > 0) task.options = options.map(call => call.method);
+
+        const name = chain.find(call => call.method === 'name' || call.method === 'description');
+        if (name) task.name = parseStringLiteral(name.args[0]);
+
+        return task;
+    }
+
+    // PHP 8 named arguments: `web: __DIR__.'/../routes/web.php'`
+    namedArguments(args) {
+        const named = {};
+        for (const arg of args) {
+            const match = arg.match(/^(\w+)\s*:(?!:)\s*([\s\S]*)$/);
+            if (match) named[match[1]] = match[2].trim();
+        }
+        return named;
+    }
+
+    closureBody(expression) {
+        const arrow = expression.match(/^(?:static\s+)?fn\s*\([^)]*\)\s*=>/);
+        if (arrow) return expression.slice(arrow[0].length);
+
+        const open = expression.indexOf('{');
+        if (open === -1) return '';
+        const close = findClosingBracket(expression, open);
+        return expression.slice(open + 1, close === -1 ? expression.length : close);
+    }
+
+    classReference(expression) {
+        return parseClassReference(expression, this.scope) || (expression || '').trim();
+    }
+
+    // A class reference or an array of them
+    classList(expression) {
+        if (!expression) return [];
+        const entries = parseArrayEntries(expression);
+        return (entries ? entries.map(entry => entry.value) : [expression]).map(value => this.classReference(value));
+    }
+
+    // true for a bare call, the single argument, or an object of named arguments
+    optionValue(positional, named) {
+        if (Object.keys(named).length > 0) {
+            return Object.fromEntries(Object.entries(named).map(([key, value]) => [key, this.literalOrList(value)]));
+        }
+        if (positional.length === 0) return true;
+        return positional.length === 1 ? this.literalOrList(positional[0]) : positional.map(arg => this.literalOrList(arg));
+    }
+
+    literalOrList(expression) {
+        const list = parseStringList(expression);
+        if (list.length > 0 || parseArrayEntries(expression)) return list;
+        const literal = parseStringLiteral(expression);
+        if (literal !== null) return literal;
+        if (/^(?:true|false)$/i.test(expression)) return expression.toLowerCase() === 'true';
+        return expression.trim();
+    }
+}
+
+export { LaravelBootstrapParser };
@@ -0,0 +1,38 @@
+/**
+ * Laravel Naming Conventions
+ *
+ * The string helpers Laravel uses to derive implicit names (table names from
+ * model classes, foreign keys from relation names), reduced to the cases the
+ * schema generator needs.
+ */
+
+// PostComment -> post_comment
+function snakeCase(value) {
+    return value.replace(/([a-z\d])([A-Z])/g, '$1_$2').toLowerCase();
+}
+
+// category -> categories, address -> addresses, user -> users
+function pluralize(word) {
+    if (/[^aeiou]y$/.test(word)) return word.replace(/y$/, 'ies');
+    if (/(s|x|z|ch|sh)$/.test(word)) return `${word}es`;
+    return `${word}s`;
+}
+
+// categories -> category, addresses -> address, photos -> photo
+function singularize(word) {
+    if (/ies$/.test(word)) return word.replace(/ies$/, 'y');
+    if (/(s|x|z|ch|sh)es$/.test(word)) return word.replace(/es$/, '');
+    if (/[^s]s$/.test(word)) return word.slice(0, -1);
+    return word;
+}
+
+function lcfirst(value) {
+    return value.charAt(0).toLowerCase() + value.slice(1);
+}
+
+// Eloquent's default table for a model class: PostComment -> post_comments
+function modelTableName(className) {
+    return pluralize(snakeCase(className));
+}
+
+export { snakeCase, pluralize, singularize, lcfirst, modelTableName };
@@ -0,0 +1,528 @@
+/**
+ * Laravel Route Parser
+ *
+ * Statically walks route files and produces a flat, fully resolved route
+ * table: group prefixes, name prefixes, middleware, controllers and `where`
+ * constraints are inherited through nested groups, and resource routes are
+ * expanded into their individual actions.
+ */
+
+import {
+    findClosingBracket,
+    splitTopLevel,
+    stripComments,
+    parseCallChain,
+    parseStringLiteral,
+    parseStringList,
+    parseArrayEntries,
+    extractImports
+} from './php-source.mjs';
+import { singularize } from './laravel-naming.mjs';
+
+const VERBS = ['get', 'post', 'put', 'patch', 'delete', 'options', 'any', 'match'];
+
+const RESOURCE_ACTIONS = [
+    { action: 'index', methods: ['GET', 'HEAD'], suffix: '' },
+    { action: 'create', methods: ['GET', 'HEAD'], suffix: '/create' },
+    { action: 'store', methods: ['POST'], suffix: '' },
+    { action: 'show', methods: ['GET', 'HEAD'], suffix: '/{param}' },
+    { action: 'edit', methods: ['GET', 'HEAD'], suffix: '/{param}/edit' },
+    { action: 'update', methods: ['PUT', 'PATCH'], suffix: '/{param}' },
+    { action: 'destroy', methods: ['DELETE'], suffix: '/{param}' }
+];
+
+const WHERE_SHORTHANDS = {
+    whereNumber: '[0-9]+',
+    whereAlpha: '[a-zA-Z]+',
+    whereAlphaNumeric: '[a-zA-Z0-9]+',
+    whereUuid: '[\\da-fA-F]{8}-[\\da-fA-F]{4}-[\\da-fA-F]{4}-[\\da-fA-F]{4}-[\\da-fA-F]{12}',
+    whereUlid: '[0-7][0-9a-hjkmnp-tv-zA-HJKMNP-TV-Z]{25}'
+};
+
+const ROUTE_SHORTCUTS = ['view', 'redirect', 'permanentRedirect', 'fallback'];
+
+// Registrar methods that only set attributes for the route or group they precede
+const GROUP_ATTRIBUTES = ['prefix', 'name', 'as', 'middleware', 'withoutMiddleware', 'controller', 'namespace', 'domain', 'where', 'whereIn', 'scopeBindings', 'withoutScopedBindings', ...Object.keys(WHERE_SHORTHANDS)];
+
+class LaravelRouteParser {
+    /**
+     * @param {Function} readFile - synchronous lookup of a project-relative route
+     *   file, used for `->group(base_path('routes/admin.php'))` includes
+     */
+    constructor(readFile = () => null) {
+        this.readFile = readFile;
+        this.includedFiles = new Set();
+    }
+
+    /**
+     * Parses a route file (or any PHP code registering routes) with the given
+     * inherited group context and returns its flat route list. `importSource`
+     * supplies the `use` statements when `content` is a fragment of a larger
+     * file, such as the `then:` closure of bootstrap/app.php.
+     */
+    parse(content, file, context = {}, importSource = content) {
+        const source = stripComments(content);
+        this.scope = { imports: extractImports(stripComments(importSource)) };
+        const routes = [];
+        this.parseStatements(source.replace(/^<\?php/, ''), this.createContext({ ...context, file }), routes);
+        return routes;
+    }
+
+    createContext(overrides = {}) {
+        return {
+            file: null,
+            prefix: '',
+            namePrefix: '',
+            middleware: [],
+            excludedMiddleware: [],
+            controller: null,
+            namespace: null,
+            domain: null,
+            where: {},
+            ...overrides
+        };
+    }
+
+    parseStatements(body, context, routes) {
+        for (const statement of splitTopLevel(body, ';')) {
+            // require __DIR__.'/auth.php'; registers the file's routes in the current group
+            const include = statement.match(/^(?:require|include)(?:_once)?\b\s*([\s\S]+)$/);
+            if (include) {
+                this.parseGroupRoutes(include[1].replace(/^\(([\s\S]*)\)$/, '$1').trim(), context, routes);
+                continue;
+            }
+
+            const routeIndex = statement.search(/\bRoute::/);
+            if (routeIndex === -1) continue;
+
+            // Block statements, e.g. `if (...) { Route::get(...); }`, which also absorb
+            // the statement following the block since it has no top-level `;`
+            const braceIndex = statement.indexOf('{');
+            if (braceIndex !== -1 && braceIndex < routeIndex) {
+                const close = findClosingBracket(statement, braceIndex);
+                if (close === -1) continue;
+                this.parseStatements(statement.slice(braceIndex + 1, close), context, routes);
+                this.parseStatements(statement.slice(close + 1), context, routes);
+                continue;
+            }
+
+            const calls = parseCallChain(statement.slice(routeIndex));
+            if (calls.length > 0) {
+                this.parseChain(calls, context, routes);
+            }
+        }
+    }
+
+    /**
+     * Route registrar attributes (`Route::prefix('admin')->middleware('auth')`)
+     * apply to whatever they are chained onto: a group or a single route.
+     */
+    parseChain(calls, context, routes) {
+        let chainContext = context;
+
+        for (let i = 0; i < calls.length; i++) {
+            const call = calls[i];
+            const modifiers = calls.slice(i + 1);
+
+            if (VERBS.includes(call.method) || ROUTE_SHORTCUTS.includes(call.method)) {
+                routes.push(...this.buildRoutes(call, modifiers, chainContext));
+                return;
+            }
+
+            if (['resource', 'apiResource'].includes(call.method)) {
+                routes.push(...this.buildResourceRoutes(call, modifiers, chainContext));
+                return;
+            }
+
+            if (['resources', 'apiResources'].includes(call.method)) {
+                const single = call.method === 'resources' ? 'resource' : 'apiResource';
+                for (const { key, value } of parseArrayEntries(call.args[0]) || []) {
+                    routes.push(...this.buildResourceRoutes({ method: single, args: [key, value] }, modifiers, chainContext));
+                }
+                return;
+            }
+
+            if (call.method === 'group') {
+                // Route::group([...attributes], $routes) carries its attributes as an array
+                if (call.args.length > 1) chainContext = this.applyGroupArray(chainContext, call.args[0]);
+                this.parseGroupRoutes(call.args[call.args.length - 1], chainContext, routes);
+                return;
+            }
+
+            if (!GROUP_ATTRIBUTES.includes(call.method)) return;
+            chainContext = this.applyAttribute(chainContext, call);
+        }
+    }
+
+    parseGroupRoutes(routesArg, context, routes) {
+        if (!routesArg) return;
+
+        const arrowFunction = routesArg.match(/^(?:static\s+)?fn\s*\([^)]*\)\s*=>/);
+        if (arrowFunction) {
+            this.parseStatements(routesArg.slice(arrowFunction[0].length), context, routes);
+            return;
+        }
+
+        const closureOpen = routesArg.search(/(?:function\s*\([^)]*\)\s*(?:use\s*\([^)]*\)\s*)?\{)/);
+        if (closureOpen !== -1) {
+            const bodyOpen = routesArg.indexOf('{', closureOpen);
+            const bodyClose = findClosingBracket(routesArg, bodyOpen);
+            this.parseStatements(routesArg.slice(bodyOpen + 1, bodyClose === -1 ? routesArg.length : bodyClose), context, routes);
+            return;
+        }
+
+        const file = this.resolveIncludePath(routesArg, context.file);
+        if (!file || this.includedFiles.has(file)) return;
+
+        const content = this.readFile(file);
+        if (content === null || content === undefined) return;
+
+        this.includedFiles.add(file);
+        const parser = new LaravelRouteParser(this.readFile);
+        parser.includedFiles = this.includedFiles;
+        routes.push(...parser.parse(content, file, { ...context, file }));
+    }
+
+    // base_path('routes/admin.php'), __DIR__.'/admin.php', 'routes/admin.php'
+    resolveIncludePath(expression, currentFile) {
+        const basePath = expression.match(/base_path\(\s*(['"])([^'"]+)\1\s*\)/);
+        if (basePath) return basePath[2].replace(/^\//, '');
+
+        const relative = expression.match(/__DIR__\s*\.\s*(['"])([^'"]+)\1/);
+        if (relative && currentFile) {
+            const dir = currentFile.split('/').slice(0, -1).join('/');
+            return `${dir}${relative[2].startsWith('/') ? '' : '/'}${relative[2]}`.replace(/^\//, '');
+        }
+
+        return parseStringLiteral(expression);
+    }
+
+    applyAttribute(context, call) {
+        const arg = call.args[0];
+        const next = { ...context, where: { ...context.where } };
+
+        switch (call.method) {
+            case 'prefix':
+                next.prefix = this.joinUri(context.prefix, parseStringLiteral(arg) || '');
+                break;
+            case 'name':
+            case 'as':
+                next.namePrefix = `${context.namePrefix}${parseStringLiteral(arg) || ''}`;
+                break;
+            case 'middleware':
+                next.middleware = [...context.middleware, ...this.parseMiddlewareList(call.args)];
+                break;
+            case 'withoutMiddleware':
+                next.excludedMiddleware = [...context.excludedMiddleware, ...this.parseMiddlewareList(call.args)];
+                break;
+            case 'controller':
+                next.controller = this.resolveClass(arg, context.namespace);
+                break;
+            case 'namespace':
+                next.namespace = this.joinNamespace(context.namespace, parseStringLiteral(arg));
+                break;
+            case 'domain':
+                next.domain = parseStringLiteral(arg);
+                break;
+            default:
+                Object.assign(next.where, this.parseWhere(call));
+        }
+
+        return next;
+    }
+
+    // Route::group(['prefix' => 'admin', 'middleware' => ['auth'], 'as' => 'admin.'], ...)
+    applyGroupArray(context, arrayExpression) {
+        let next = context;
+        for (const { key, value } of parseArrayEntries(arrayExpression) || []) {
+            const attribute = parseStringLiteral(key);
+            if (attribute) {
+                next = this.applyAttribute(next, { method: attribute, args: [value] });
+            }
+        }
+        return next;
+    }
+
+    parseMiddlewareList(args) {
+        return args.flatMap(arg => {
+            const list = parseStringList(arg);
+            if (list.length > 0) return list;
+            const single = parseStringLiteral(arg);
+            if (single) return [single];
+            // Middleware class references: EnsureTokenIsValid::class
+            const classMatch = arg.match(/^\\?([\w\\]+)::class$/);
+            return classMatch ? [this.resolveClass(arg)] : [];
+        });
+    }
+
+    parseWhere(call) {
+        const name = parseStringLiteral(call.args[0]);
+
+        if (call.method === 'where') {
+            const entries = parseArrayEntries(call.args[0]);
+            if (entries) {
+                return Object.fromEntries(entries
+                    .map(({ key, value }) => [parseStringLiteral(key), parseStringLiteral(value)])
+                    .filter(([key, value]) => key && value));
+            }
+            const pattern = parseStringLiteral(call.args[1]);
+            return name && pattern ? { [name]: pattern } : {};
+        }
+
+        if (call.method === 'whereIn') {
+            const values = parseStringList(call.args[1]);
+            return name ? { [name]: values.join('|') } : {};
+        }
+
+        if (WHERE_SHORTHANDS[call.method]) {
+            const names = name ? [name] : parseStringList(call.args[0]);
+            return Object.fromEntries(names.map(parameter => [parameter, WHERE_SHORTHANDS[call.method]]));
+        }
+
+        return {};
+    }
+
+    buildRoutes(first, modifiers, context) {
+        let methods;
+        let uriArg = first.args[0];
+        let actionArg = first.args[1];
+
+        switch (first.method) {
+            case 'match':
+                methods = parseStringList(first.args[0]).map(method => method.toUpperCase());
+                uriArg = first.args[1];
+                actionArg = first.args[2];
+                break;
+            case 'any':
+                methods = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+                break;
+            case 'view':
+            case 'redirect':
+            case 'permanentRedirect':
+                methods = first.method === 'view' ? ['GET', 'HEAD'] : ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+                break;
+            case 'fallback':
+                methods = ['GET', 'HEAD'];
+                uriArg = '\'{fallbackPlaceholder}\'';
+                actionArg = first.args[0];
+                break;
+            default:
+                methods = first.method === 'get' ? ['GET', 'HEAD'] : [first.method.toUpperCase()];
+        }
+
+        const uri = this.joinUri(context.prefix, parseStringLiteral(uriArg) || '');
+        let action;
+        if (first.method === 'view') {
+            action = { type: 'view', view: parseStringLiteral(first.args[1]) };
+        } else if (first.method === 'redirect' || first.method === 'permanentRedirect') {
+            action = { type: 'redirect', to: parseStringLiteral(first.args[1]), status: first.method === 'permanentRedirect' ? 301 : Number(first.args[2] || 302) };
+        } else {
+            action = this.parseAction(actionArg, context);
+        }
+
+        const route = this.finalizeRoute({
+            methods,
+            uri,
+            name: null,
+            action,
+            middleware: [...context.middleware],
+            where: first.method === 'fallback' ? { ...context.where, fallbackPlaceholder: '.*' } : { ...context.where }
+        }, modifiers, context);
+
+        if (first.method === 'fallback') route.fallback = true;
+        return [route];
+    }
+
+    buildResourceRoutes(first, modifiers, context) {
+        const resourceName = parseStringLiteral(first.args[0]);
+        if (!resourceName) return [];
+
+        const controller = this.resolveClass(first.args[1], context.namespace);
+        let actions = RESOURCE_ACTIONS.filter(definition => first.method === 'resource' || !['create', 'edit'].includes(definition.action));
+
+        const only = modifiers.find(call => call.method === 'only');
+        if (only) {
+            const allowed = parseStringList(only.args[0]).concat(only.args.map(parseStringLiteral).filter(Boolean));
+            actions = actions.filter(definition => allowed.includes(definition.action));
+        }
+        const except = modifiers.find(call => call.method === 'except');
+        if (except) {
+            const excluded = parseStringList(except.args[0]).concat(except.args.map(parseStringLiteral).filter(Boolean));
+            actions = actions.filter(definition => !excluded.includes(definition.action));
+        }
+
+        const parameterOverrides = {};
+        const parametersCall = modifiers.find(call => call.method === 'parameters');
+        for (const { key, value } of (parametersCall && parseArrayEntries(parametersCall.args[0])) || []) {
+            parameterOverrides[parseStringLiteral(key)] = parseStringLiteral(value);
+        }
+
+        const nameOverrides = {};
+        const namesCall = modifiers.find(call => call.method === 'names');
+        const namesPrefix = namesCall && parseStringLiteral(namesCall.args[0]);
+        for (const { key, value } of (namesCall && parseArrayEntries(namesCall.args[0])) || []) {
+            nameOverrides[parseStringLiteral(key)] = parseStringLiteral(value);
+        }
+
+        const shallow = modifiers.some(call => call.method === 'shallow');
+        const segments = resourceName.split('.');
+        const parameterFor = segment => parameterOverrides[segment] || singularize(segment).replace(/-/g, '_');
+        const last = segments[segments.length - 1];
+
+        // photos.comments -> photos/{photo}/comments
+        const parentPath = segments.slice(0, -1).map(segment => `${segment}/{${parameterFor(segment)}}`).join('/');
+        const basePath = parentPath ? `${parentPath}/${last}` : last;
+        const routeModifiers = modifiers.filter(call => !['only', 'except', 'parameters', 'names', 'shallow'].includes(call.method));
+
+        return actions.map(definition => {
+            const isMemberRoute = definition.suffix.includes('{param}');
+            const path = shallow && isMemberRoute ? last : basePath;
+            const suffix = definition.suffix.replace('{param}', `{${parameterFor(last)}}`);
+            // Like ResourceRegistrar: shallow member routes are named after the child alone, and the group's
+            // name prefix applies to ->names() overrides as well
+            const name = `${context.namePrefix}${nameOverrides[definition.action] ||
+                `${namesPrefix || (shallow && isMemberRoute ? last : resourceName)}.${definition.action}`}`;
+
+            const route = this.finalizeRoute({
+                methods: definition.methods,
+                uri: this.joinUri(context.prefix, `${path}${suffix}`),
+                name: null,
+                action: controller ? this.controllerAction(controller, definition.action) : { type: 'unknown' },
+                middleware: [...context.middleware],
+                where: { ...context.where },
+                resource: { name: resourceName, action: definition.action, api: first.method === 'apiResource' }
+            }, routeModifiers, { ...context, namePrefix: '' });
+
+            route.name = route.name || name;
+            return route;
+        });
+    }
+
+    /**
+     * Applies chained route modifiers (->name(), ->middleware(), ->where(), ...)
+     * and derives the final middleware stack and parameter list.
+     */
+    finalizeRoute(route, modifiers, context) {
+        let excluded = [...context.excludedMiddleware];
+
+        for (const call of modifiers) {
+            switch (call.method) {
+                case 'name':
+                    route.name = `${context.namePrefix}${parseStringLiteral(call.args[0]) || ''}`;
+                    break;
+                case 'middleware':
+                    route.middleware.push(...this.parseMiddlewareList(call.args));
+                    break;
+                case 'withoutMiddleware':
+                    excluded = excluded.concat(this.parseMiddlewareList(call.args));
+                    break;
+                case 'can': {
+                    const ability = call.args.map(arg => parseStringLiteral(arg) || this.resolveClass(arg) || arg).join(',');
+                    route.middleware.push(`can:${ability}`);
+                    break;
+                }
+                case 'domain':
+                    route.domain = parseStringLiteral(call.args[0]);
+                    break;
+                case 'withTrashed':
+                    route.withTrashed = true;
+                    break;
+                case 'scopeBindings':
+                    route.scopeBindings = true;
+                    break;
+                default:
+                    Object.assign(route.where, this.parseWhere(call));
+            }
+        }
+
+        route.middleware = [...new Set(route.middleware)].filter(middleware => !excluded.includes(middleware));
+        route.parameters = this.extractParameters(route.uri, route.where);
+        if (!route.domain && context.domain) route.domain = context.domain;
+        route.file = context.file;
+
+        if (Object.keys(route.where).length === 0) delete route.where;
+        return route;
+    }
+
+    parseAction(actionArg, context) {
+        if (!actionArg) return { type: 'unknown' };
+
+        const expression = actionArg.trim();
+
+        if (/^(?:static\s+)?(?:function|fn)\b/.test(expression)) {
+            return { type: 'closure' };
+        }
+
+        // [UserController::class, 'index']
+        const tuple = parseArrayEntries(expression);
+        if (tuple && tuple.length === 2 && tuple.every(entry => entry.key === null)) {
+            const controller = this.resolveClass(tuple[0].value, context.namespace);
+            const method = parseStringLiteral(tuple[1].value);
+            if (controller && method) return this.controllerAction(controller, method);
+        }
+
+        // ['uses' => 'UserController@index', 'as' => 'users.index']
+        if (tuple && tuple.some(entry => parseStringLiteral(entry.key) === 'uses')) {
+            const uses = tuple.find(entry => parseStringLiteral(entry.key) === 'uses');
+            return this.parseAction(uses.value, context);
+        }
+
+        const literal = parseStringLiteral(expression);
+        if (literal !== null) {
+            // Route::controller(...)->group() lets actions name just the method
+            if (context.controller && !literal.includes('@')) {
+                return this.controllerAction(context.controller, literal);
+            }
+            const [controller, method] = literal.split('@');
+            return this.controllerAction(this.joinNamespace(context.namespace, controller), method || '__invoke');
+        }
+
+        // Invokable controller: SendWelcomeEmail::class
+        const controller = this.resolveClass(expression, context.namespace);
+        return controller ? this.controllerAction(controller, '__invoke') : { type: 'unknown', expression };
+    }
+
+    controllerAction(controller, method) {
+        return { type: 'controller', controller, method, uses: `${controller}@${method}` };
+    }
+
+    resolveClass(expression, namespace = null) {
+        const match = (expression || '').trim().match(/^(\\?)([\w\\]+)::class$/);
+        if (!match) {
+            const literal = parseStringLiteral(expression);
+            return literal ? this.joinNamespace(namespace, literal) : null;
+        }
+
+        if (match[1]) return match[2];
+        const [first, ...rest] = match[2].split('\\');
+        if (this.scope.imports[first]) return [this.scope.imports[first], ...rest].join('\\');
+        return this.joinNamespace(namespace, match[2]);
+    }
+
+    joinNamespace(namespace, name) {
+        if (!name) return namespace;
+        if (!namespace || name.startsWith('\\')) return name.replace(/^\\/, '');
+        return `${namespace.replace(/\\$/, '')}\\${name}`;
+    }
+
+    // Mirrors Laravel's URI normalization: no leading/trailing slashes, "/" for the root
+    joinUri(prefix, uri) {
+        const joined = [prefix, uri].map(part => part.replace(/^\/+|\/+$/g, '')).filter(Boolean).join('/');
+        return joined || '/';
+    }
+
+    extractParameters(uri, where = {}) {
+        const parameters = [];
+        const pattern = /\{(\w+)(\?)?(?::(\w+))?\}/g;
+        let match;
+        while ((match = pattern.exec(uri)) !== null) {
+            const parameter = { name: match[1], optional: Boolean(match[2]) };
+            if (match[3]) parameter.bindingField = match[3];
+            if (where[match[1]]) parameter.pattern = where[match[1]];
+            parameters.push(parameter);
+        }
+        return parameters;
+    }
+}
+
+export { LaravelRouteParser };
@@ -8,7 +8,8 @@
  * up-to-date project documentation for AI agents.
  * 
  * Features:
- * - Auto-detects framework (Laravel, Rails, Django, Express)
+ * - Auto-detects framework (Laravel, Symfony, Rails, Django, Express), falling back to
+ *   SQL migrations, OpenAPI documents, GraphQL SDL and docker-compose files
  * - Generates 4 comprehensive schema types (Database, API, Business Logic, Architecture)
  * - Version control and change tracking
  * - Integration hooks for Task Master AI workflows
@@ -54,14 +55,43 @@ class TaskMasterSchemaMCPServer {
                                 },
                                 framework: {
                                     type: 'string',
-                                    description: 'Force specific framework detection (laravel, rails, django, express). If not provided, auto-detects.',
-                                    enum: ['laravel', 'rails', 'django', 'express']
+                                    description: 'Force specific framework detection (laravel, symfony, rails, django, express). If not provided, auto-detects.',
+                                    enum: ['laravel', 'symfony', 'rails', 'django', 'express']
                                 },
                                 force: {
                                     type: 'boolean',
                                     description: 'Force regeneration even if recent schemas exist (bypasses cooldown protection)',
                                     default: false
                                 },
+                                useCache: {
+                                    type: 'boolean',
+                                    description: 'Reuse parse results of source files unchanged since the last generation. Set to false to reparse every file.',
+                                    default: true
+                                },
+                                concurrency: {
+                                    type: 'integer',
+                                    description: 'Number of source files read and parsed at once',
+                                    default: 16
+                                },
+                                maxFiles: {
+                                    type: 'integer',
+                                    description: 'Most source files one generation takes in; further files are skipped and counted in the metrics',
+                                    default: 20000
+                                },
+                                includeContent: {
+                                    type: 'boolean',
+                                    description: 'Keep the first 5KB of each file listed under a schema\'s structure. Off by default, since the analyzed schemas already describe those files.',
+                                    default: false
+                                },
+                                formats: {
+                                    type: 'array',
+                                    description: 'Files written per schema: YAML, JSON validated by the JSON Schemas in .taskmaster/schemas/json-schema, and readable Markdown',
+                                    items: {
+                                        type: 'string',
+                                        enum: ['yaml', 'json', 'markdown']
+                                    },
+                                    default: ['yaml']
+                                },
                                 triggerContext: {
                                     type: 'string',
                                     description: 'Context that triggered schema generation (task-completion, build, manual, parse-prd)',
@@ -70,7 +100,7 @@ class TaskMasterSchemaMCPServer {
                                 },
                                 taskId: {
                                     type: 'string',
-                                    description: 'Task ID that triggered this schema update (for tracking purposes)'
+                                    description: 'Task ID that triggered this schema update, recorded with the version and in the schema history'
                                 }
                             }
                         }
@@ -145,7 +175,116 @@ class TaskMasterSchemaMCPServer {
                     },
                     {
                         name: 'schema_diff',
-                        description: 'Compare current project state with last generated schemas to detect changes',
+                        description: 'Compare current project state with last generated schemas, or any two saved versions: added, removed and changed tables, columns, indexes, foreign keys, routes, controllers and models, each classified as breaking or non-breaking',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                projectRoot: {
+                                    type: 'string',
+                                    description: 'Project root directory path. Defaults to current directory.',
+                                    default: '.'
+                                },
+                                from: {
+                                    type: 'string',
+                                    description: 'Schemas to diff from: "current" (last generated or restored), "project" (read now, not saved) or a saved version',
+                                    default: 'current'
+                                },
+                                to: {
+                                    type: 'string',
+                                    description: 'Schemas to diff to: "project", "current" or a saved version',
+                                    default: 'project'
+                                },
+                                breakingOnly: {
+                                    type: 'boolean',
+                                    description: 'List only the breaking changes; the summary still counts every change',
+                                    default: false
+                                }
+                            }
+                        }
+                    },
+                    {
+                        name: 'build_context_pack',
+                        description: 'Build a compact digest of the tables, routes, models and services relevant to a task or files, trimmed to a token budget, to load instead of the full schema files',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                projectRoot: {
+                                    type: 'string',
+                                    description: 'Project root directory path. Defaults to current directory.',
+                                    default: '.'
+                                },
+                                taskId: {
+                                    type: 'string',
+                                    description: 'Task Master task or subtask ID (e.g. "12" or "12.3") whose title, description and details rank the entries'
+                                },
+                                files: {
+                                    type: 'array',
+                                    description: 'Project files the task touches; entries defined in them rank first',
+                                    items: {
+                                        type: 'string'
+                                    }
+                                },
+                                tokenBudget: {
+                                    type: 'integer',
+                                    description: 'Most tokens the pack may take; the least relevant entries are left out',
+                                    default: 4000
+                                }
+                            }
+                        }
+                    },
+                    {
+                        name: 'show_schema_version',
+                        description: 'List saved schema versions, or return the YAML of one version\'s schemas',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                projectRoot: {
+                                    type: 'string',
+                                    description: 'Project root directory path. Defaults to current directory.',
+                                    default: '.'
+                                },
+                                version: {
+                                    type: 'string',
+                                    description: 'Version to show: its name, a prefix only it starts with (such as a date), or "latest". Lists the versions when omitted.'
+                                },
+                                schema: {
+                                    type: 'string',
+                                    description: 'Only this schema of the version',
+                                    enum: ['database', 'api', 'businessLogic', 'componentArchitecture', 'metadata']
+                                }
+                            }
+                        }
+                    },
+                    {
+                        name: 'restore_schema_version',
+                        description: 'Roll the current schemas back to a saved version, such as the last known-good snapshot',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                projectRoot: {
+                                    type: 'string',
+                                    description: 'Project root directory path. Defaults to current directory.',
+                                    default: '.'
+                                },
+                                version: {
+                                    type: 'string',
+                                    description: 'Version to restore: its name, a prefix only it starts with (such as a date), or "latest"'
+                                },
+                                formats: {
+                                    type: 'array',
+                                    description: 'Files written per schema. Defaults to the formats the current schemas are in.',
+                                    items: {
+                                        type: 'string',
+                                        enum: ['yaml', 'json', 'markdown']
+                                    }
+                                }
+                            },
+                            required: ['version']
+                        }
+                    },
+                    {
+                        name: 'lint_migrations',
+                        description: 'Flag risky changes in new Laravel migrations: dropped tables or columns, renames without a data copy, non-nullable columns added without a default, column type changes with ->change(), missing down() methods and foreign keys without an index. Reports an error result when the lint fails, so task completion can be blocked on it.',
                         inputSchema: {
                             type: 'object',
                             properties: {
@@ -153,6 +292,23 @@ class TaskMasterSchemaMCPServer {
                                     type: 'string',
                                     description: 'Project root directory path. Defaults to current directory.',
                                     default: '.'
+                                },
+                                files: {
+                                    type: 'array',
+                                    description: 'Migrations to lint, by path or filename. Defaults to those added since the schemas were last generated.',
+                                    items: {
+                                        type: 'string'
+                                    }
+                                },
+                                all: {
+                                    type: 'boolean',
+                                    description: 'Lint every migration',
+                                    default: false
+                                },
+                                strict: {
+                                    type: 'boolean',
+                                    description: 'Fail on warnings as well as errors',
+                                    default: false
                                 }
                             }
                         }
@@ -191,6 +347,14 @@ class TaskMasterSchemaMCPServer {
                         return await this.handleAutoUpdateCheck(args);
                     case 'schema_diff':
                         return await this.handleSchemaDiff(args);
+                    case 'build_context_pack':
+                        return await this.handleBuildContextPack(args);
+                    case 'show_schema_version':
+                        return await this.handleShowSchemaVersion(args);
+                    case 'restore_schema_version':
+                        return await this.handleRestoreSchemaVersion(args);
+                    case 'lint_migrations':
+                        return await this.handleLintMigrations(args);
                     case 'integration_status':
                         return await this.handleIntegrationStatus(args);
                     default:
@@ -213,6 +377,11 @@ class TaskMasterSchemaMCPServer {
             projectRoot = '.',
                 framework = null,
                 force = false,
+                useCache = true,
+                concurrency,
+                maxFiles,
+                includeContent = false,
+                formats,
                 triggerContext = 'manual',
                 taskId = null
         } = args;
@@ -238,7 +407,7 @@ class TaskMasterSchemaMCPServer {
             }
         }
 
-        const result = await generator.generateSchemas(framework ? { type: framework } : null);
+        const result = await generator.generateSchemas(framework ? { type: framework } : null, { cache: useCache, concurrency, maxFiles, includeContent, formats, triggerContext, taskId });
 
         // Log the generation event
         await this.logGenerationEvent(generator, {
@@ -256,6 +425,13 @@ class TaskMasterSchemaMCPServer {
                     schemas: result.schemas,
                     timestamp: result.timestamp,
                     location: result.location,
+                    formats: result.formats,
+                    version: result.version,
+                    retention: result.retention,
+                    git: result.git,
+                    changes: result.changes,
+                    cache: result.cache,
+                    metrics: result.metrics,
                     triggerContext,
                     taskId
                 }, null, 2)
@@ -334,26 +510,99 @@ class TaskMasterSchemaMCPServer {
     }
 
     async handleSchemaDiff(args) {
-        const { projectRoot = '.' } = args;
+        const { projectRoot = '.', from, to, breakingOnly = false } = args;
 
         const generator = new TaskMasterSchemaGenerator(projectRoot);
+        const diff = await generator.diffSchemas({ from, to });
+        if (breakingOnly) {
+            diff.changes = diff.changes.filter(change => change.breaking);
+        }
+        if (diff.hasChanges && (diff.to.name === 'project' || diff.from.name === 'project')) {
+            diff.recommendation = 'Run generate_schemas to bring the saved schemas up to date';
+        }
 
-        // This would implement actual diff logic
-        // For now, return a placeholder
-        const diff = {
-            hasChanges: false,
-            note: 'Schema diff functionality is planned for future implementation',
-            recommendation: 'Run generate_schemas to ensure schemas are up-to-date'
+        return {
+            content: [{
+                type: 'text',
+                text: JSON.stringify(diff, null, 2)
+            }]
         };
+    }
+
+    async handleBuildContextPack(args) {
+        const { projectRoot = '.', taskId = null, files = [], tokenBudget } = args;
+
+        const generator = new TaskMasterSchemaGenerator(projectRoot);
+        const { text, ...pack } = await generator.buildContextPack({ taskId, files, tokenBudget });
 
+        // The digest as written, so an agent reads it without unescaping, then what it holds
         return {
             content: [{
                 type: 'text',
-                text: JSON.stringify(diff, null, 2)
+                text
+            }, {
+                type: 'text',
+                text: JSON.stringify(pack, null, 2)
             }]
         };
     }
 
+    async handleShowSchemaVersion(args) {
+        const { projectRoot = '.', version = null, schema = null } = args;
+
+        const generator = new TaskMasterSchemaGenerator(projectRoot);
+        if (!version) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: JSON.stringify({ versions: await generator.versionStore.list() }, null, 2)
+                }]
+            };
+        }
+
+        // Each schema as its own YAML text, so it reads as written
+        const { documents, ...shown } = await generator.showSchemaVersion(version, schema);
+        return {
+            content: [{
+                type: 'text',
+                text: JSON.stringify(shown, null, 2)
+            }, ...Object.entries(documents).map(([name, document]) => ({
+                type: 'text',
+                text: `# ${name}\n${document}`
+            }))]
+        };
+    }
+
+    async handleRestoreSchemaVersion(args) {
+        const { projectRoot = '.', version, formats = null } = args;
+
+        const generator = new TaskMasterSchemaGenerator(projectRoot);
+        const result = await generator.restoreSchemaVersion(version, { formats });
+
+        return {
+            content: [{
+                type: 'text',
+                text: JSON.stringify(result, null, 2)
+            }]
+        };
+    }
+
+    async handleLintMigrations(args) {
+        const { projectRoot = '.', files = [], all = false, strict = false } = args;
+
+        const generator = new TaskMasterSchemaGenerator(projectRoot);
+        const lint = await generator.lintMigrations({ files, all, strict });
+
+        // A failed lint is an error result, as the CLI exits nonzero, so hooks can stop on it
+        return {
+            content: [{
+                type: 'text',
+                text: JSON.stringify(lint, null, 2)
+            }],
+            ...(lint.passed ? {} : { isError: true })
+        };
+    }
+
     async handleIntegrationStatus(args) {
         const { projectRoot = '.' } = args;
 
@@ -361,7 +610,7 @@ class TaskMasterSchemaMCPServer {
             mcpServer: {
                 running: true,
                 version: '1.0.0',
-                capabilities: ['generate_schemas', 'auto_update_check', 'schema_info']
+                capabilities: ['generate_schemas', 'auto_update_check', 'schema_info', 'build_context_pack', 'show_schema_version', 'restore_schema_version', 'schema_diff', 'lint_migrations']
             },
             taskMasterIntegration: {
                 available: true,
@@ -499,22 +748,31 @@ class TaskMasterSchemaMCPServer {
             const currentDir = generator.currentDir;
             const stats = {};
 
-            const schemaFiles = ['database-schema.yml', 'api-schema.yml', 'businessLogic-schema.yml', 'componentArchitecture-schema.yml'];
-
-            for (const file of schemaFiles) {
-                try {
-                    const filePath = path.join(currentDir, file);
-                    const stat = await fs.stat(filePath);
-                    const content = await fs.readFile(filePath, 'utf8');
-
-                    stats[file.replace('-schema.yml', '')] = {
-                        size: stat.size,
-                        lines: content.split('\n').length,
-                        lastModified: stat.mtime,
-                        exists: true
-                    };
-                } catch (error) {
-                    stats[file.replace('-schema.yml', '')] = {
+            const schemaNames = ['database', 'api', 'businessLogic', 'componentArchitecture'];
+
+            for (const name of schemaNames) {
+                // Statistics describe the YAML output, or the first other format written when YAML was not
+                const files = ['yml', 'json', 'md'].map(extension => path.join(currentDir, `${name}-schema.${extension}`));
+                let error = null;
+                for (const filePath of files) {
+                    try {
+                        const stat = await fs.stat(filePath);
+                        const content = await fs.readFile(filePath, 'utf8');
+
+                        stats[name] = {
+                            file: path.basename(filePath),
+                            size: stat.size,
+                            lines: content.split('\n').length,
+                            lastModified: stat.mtime,
+                            exists: true
+                        };
+                        break;
+                    } catch (readError) {
+                        error = error || readError;
+                    }
+                }
+                if (!stats[name]) {
+                    stats[name] = {
                         exists: false,
                         error: error.message
                     };
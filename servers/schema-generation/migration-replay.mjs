@@ -0,0 +1,256 @@
+/**
+ * Migration Replay Engine
+ *
+ * Applies parsed migration operations in chronological order to build the
+ * final state of every table, keeping a provenance trail that records which
+ * migration introduced, changed or renamed each column.
+ */
+
+class MigrationReplayEngine {
+    constructor(initialTables = {}) {
+        this.tables = {};
+        this.droppedTables = [];
+
+        for (const [name, table] of Object.entries(initialTables)) {
+            this.tables[name] = JSON.parse(JSON.stringify(table));
+        }
+    }
+
+    /**
+     * Applies every operation of a parsed migration
+     * (`{ filename, operations: [...] }`) to the current state.
+     */
+    applyMigration(migration) {
+        for (const operation of migration.operations) {
+            this.applyOperation(operation, migration.filename);
+        }
+    }
+
+    applyOperation(operation, filename) {
+        switch (operation.type) {
+            case 'create':
+                this.tables[operation.table] = {
+                    name: operation.table,
+                    createdIn: filename,
+                    modifiedIn: [],
+                    columns: {},
+                    foreignKeys: [],
+                    indexes: [],
+                    checks: []
+                };
+                this.applyStatements(operation.table, operation.statements, filename);
+                break;
+            case 'modify': {
+                const table = this.ensureTable(operation.table, filename);
+                // SQL migrations alter a table once per statement, often right after creating it
+                if (table.createdIn !== filename && !table.modifiedIn.includes(filename)) table.modifiedIn.push(filename);
+                this.applyStatements(operation.table, operation.statements, filename);
+                break;
+            }
+            case 'drop':
+                if (this.tables[operation.table]) {
+                    delete this.tables[operation.table];
+                    this.droppedTables.push({ table: operation.table, migration: filename });
+                }
+                break;
+            case 'rename':
+                this.renameTable(operation.table, operation.to, filename);
+                break;
+        }
+    }
+
+    /**
+     * Returns the table, creating a placeholder when a migration modifies a
+     * table whose creation was not seen (e.g. created outside migrations).
+     */
+    ensureTable(tableName, filename) {
+        if (!this.tables[tableName]) {
+            this.tables[tableName] = {
+                name: tableName,
+                createdIn: null,
+                modifiedIn: [],
+                columns: {},
+                foreignKeys: [],
+                indexes: [],
+                checks: [],
+                warnings: [`Modified in ${filename} before any create migration was found`]
+            };
+        }
+        return this.tables[tableName];
+    }
+
+    renameTable(from, to, filename) {
+        const table = this.ensureTable(from, filename);
+        delete this.tables[from];
+
+        // The real migration fails on an existing name; the replay keeps going but says which table it replaced
+        if (this.tables[to]) {
+            table.warnings = [...(table.warnings || []), `Renamed to ${to} in ${filename} while table ${to} already existed, replacing it`];
+        }
+
+        table.name = to;
+        table.renamedFrom = [...(table.renamedFrom || []), { table: from, migration: filename }];
+        if (table.createdIn !== filename && !table.modifiedIn.includes(filename)) table.modifiedIn.push(filename);
+        this.tables[to] = table;
+
+        // Keep foreign keys in other tables pointing at the new name
+        for (const other of Object.values(this.tables)) {
+            for (const fk of other.foreignKeys) {
+                if (fk.on === from) fk.on = to;
+            }
+        }
+    }
+
+    applyStatements(tableName, statements, filename) {
+        const table = this.tables[tableName];
+
+        for (const statement of statements) {
+            switch (statement.action) {
+                case 'add':
+                    table.columns[statement.column.name] = {
+                        ...statement.column,
+                        provenance: [{ migration: filename, action: 'added' }]
+                    };
+                    break;
+                case 'change': {
+                    const existing = table.columns[statement.column.name];
+                    table.columns[statement.column.name] = {
+                        ...(existing || {}),
+                        ...statement.column,
+                        provenance: [...((existing && existing.provenance) || []), { migration: filename, action: 'changed' }]
+                    };
+                    break;
+                }
+                case 'dropColumn':
+                    for (const column of statement.columns) {
+                        delete table.columns[column];
+                        table.foreignKeys = table.foreignKeys.filter(fk => fk.column !== column);
+                        table.indexes = table.indexes.filter(index => !index.columns.includes(column));
+                    }
+                    break;
+                case 'renameColumn':
+                    this.renameColumn(table, statement.from, statement.to, filename);
+                    break;
+                case 'foreign':
+                    table.foreignKeys = table.foreignKeys.filter(fk => fk.column !== statement.foreignKey.column);
+                    table.foreignKeys.push({ ...statement.foreignKey, migration: filename });
+                    break;
+                case 'dropForeign': {
+                    const columns = statement.name ? this.foreignKeyColumns(table, statement.name) : statement.columns;
+                    table.foreignKeys = table.foreignKeys.filter(fk => !columns.includes(fk.column));
+                    break;
+                }
+                case 'index': {
+                    const index = {
+                        ...statement.index,
+                        name: statement.index.name || this.defaultIndexName(table.name, statement.index),
+                        migration: filename
+                    };
+                    // A table has a single primary key, whatever it was named
+                    table.indexes = table.indexes.filter(existing => existing.name !== index.name &&
+                        !(index.type === 'primary' && existing.type === 'primary'));
+                    table.indexes.push(index);
+                    break;
+                }
+                case 'dropIndex': {
+                    const name = statement.name || this.defaultIndexName(table.name, statement);
+                    table.indexes = table.indexes.filter(index => statement.type === 'primary'
+                        ? index.type !== 'primary'
+                        : index.name !== name);
+                    break;
+                }
+                case 'renameIndex':
+                    for (const index of table.indexes) {
+                        if (index.name === statement.from) index.name = statement.to;
+                    }
+                    break;
+                case 'check': {
+                    const name = statement.check.name || this.defaultCheckName(table);
+                    table.checks = table.checks.filter(check => check.name !== name);
+                    table.checks.push({ ...statement.check, name, migration: filename });
+                    break;
+                }
+                case 'dropCheck':
+                    table.checks = table.checks.filter(check => check.name !== statement.name);
+                    break;
+                case 'tableOption':
+                    table.options = { ...(table.options || {}), [statement.option]: statement.value };
+                    break;
+            }
+        }
+    }
+
+    renameColumn(table, from, to, filename) {
+        const column = table.columns[from] || { name: from, type: 'unknown', provenance: [] };
+        delete table.columns[from];
+
+        table.columns[to] = {
+            ...column,
+            name: to,
+            provenance: [...column.provenance, { migration: filename, action: 'renamed', from }]
+        };
+
+        for (const fk of table.foreignKeys) {
+            if (fk.column === from) fk.column = to;
+        }
+        for (const index of table.indexes) {
+            index.columns = index.columns.map(column => (column === from ? to : column));
+        }
+        // The database rewrites the check's expression along with the column
+        for (const check of table.checks) {
+            check.expression = this.renameInExpression(check.expression, from, to);
+        }
+    }
+
+    /**
+     * The SQL expression with every reference to column `from` naming `to`
+     * instead. String literals and function calls of the same name are left
+     * alone; quoted references keep their quotes.
+     */
+    renameInExpression(expression, from, to) {
+        const name = from.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const reference = new RegExp(`"${name}"|\`${name}\`|\\[${name}\\]|(?<![\\w$])${name}(?![\\w$]|\\s*\\()`, 'gi');
+        return expression
+            .split(/('(?:[^']|'')*')/)
+            .map((part, index) => (index % 2 === 1 ? part : part.replace(reference, match => match.replace(new RegExp(name, 'i'), to))))
+            .join('');
+    }
+
+    /**
+     * The column of the foreign key Blueprint named `{table}_{column}_foreign`.
+     * A table renamed since keeps its keys' old names, so failing an exact
+     * match the longest column the name ends with wins.
+     */
+    foreignKeyColumns(table, name) {
+        const keyName = fk => this.defaultIndexName(table.name, { type: 'foreign', columns: [fk.column] });
+        const exact = table.foreignKeys.filter(fk => keyName(fk) === name);
+        if (exact.length > 0) return exact.map(fk => fk.column);
+
+        const suffixed = table.foreignKeys
+            .filter(fk => name.endsWith(`_${fk.column}_foreign`))
+            .sort((a, b) => b.column.length - a.column.length);
+        return suffixed.length > 0 ? [suffixed[0].column] : [];
+    }
+
+    // Mirrors Blueprint::createIndexName(): users_email_unique, posts_user_id_index, ...
+    defaultIndexName(tableName, index) {
+        return `${tableName}_${index.columns.join('_')}_${index.type.toLowerCase()}`.replace(/[-.]/g, '_').toLowerCase();
+    }
+
+    // PostgreSQL's names for unnamed table checks: products_check, products_check1, ...
+    defaultCheckName(table) {
+        const taken = new Set(table.checks.map(check => check.name));
+        let suffix = 0;
+        while (taken.has(`${table.name}_check${suffix || ''}`)) suffix++;
+        return `${table.name}_check${suffix || ''}`;
+    }
+
+    getState() {
+        return {
+            tables: this.tables,
+            droppedTables: this.droppedTables
+        };
+    }
+}
+
+export { MigrationReplayEngine };
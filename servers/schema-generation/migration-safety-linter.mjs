@@ -0,0 +1,242 @@
+/**
+ * Migration Safety Linter
+ *
+ * Flags the changes in Laravel migrations that can lose data or break the
+ * code still running while a deploy migrates: dropped tables and columns,
+ * renames without a data copy, required columns added to existing tables,
+ * `->change()` rewrites, missing `down()` methods and foreign keys without
+ * an index. Migrations are replayed in order, so each one is checked
+ * against the tables as they were just before it ran.
+ *
+ * A migration opts out of rules it breaks on purpose with a comment:
+ * `// migration-lint: allow drop-column, rename-column`.
+ */
+
+import { MigrationReplayEngine } from './migration-replay.mjs';
+import { extractMethodBody, stripComments } from './php-source.mjs';
+import { WIDENINGS } from './schema-differ.mjs';
+
+const RULES = {
+    'drop-table': 'error',
+    'drop-column': 'error',
+    'rename-table': 'error',
+    'rename-column': 'error',
+    'add-required-column': 'error',
+    'change-column': 'warning',
+    'missing-down': 'warning',
+    'foreign-key-without-index': 'warning'
+};
+
+// Statements that move data between columns or tables, making a rename part of a copy
+const DATA_COPY_PATTERNS = [
+    /DB::table\s*\([\s\S]*?->\s*(?:update|insert|insertUsing|upsert)\s*\(/,
+    /DB::(?:update|insert)\s*\(/,
+    /DB::(?:statement|unprepared)\s*\(\s*['"]\s*(?:UPDATE|INSERT)\b/i,
+    /::query\s*\(\s*\)[\s\S]*?->\s*(?:update|chunkById|each|lazyById)\s*\(/
+];
+
+const ALLOW_PATTERN = /migration-lint:\s*allow\s+([\w\s,-]+)/g;
+
+class MigrationSafetyLinter {
+    constructor(initialTables = {}) {
+        this.initialTables = initialTables;
+    }
+
+    /**
+     * Replays `migrations` (`{ filename, file, content, operations }`, in
+     * order) and checks the ones named in `targets`. `strict` makes
+     * warnings fail the lint as well as errors.
+     */
+    lint(migrations, { targets, strict = false } = {}) {
+        const engine = new MigrationReplayEngine(this.initialTables);
+        const findings = [];
+        const linted = [];
+        let suppressed = 0;
+
+        for (const migration of migrations) {
+            if (!targets.has(migration.filename)) {
+                engine.applyMigration(migration);
+                continue;
+            }
+
+            linted.push(migration.file);
+            const allowed = this.allowedRules(migration.content);
+            for (const finding of this.lintMigration(migration, engine)) {
+                if (allowed.has(finding.rule)) {
+                    suppressed++;
+                } else {
+                    findings.push({ severity: RULES[finding.rule], ...finding, migration: migration.file });
+                }
+            }
+        }
+
+        const errors = findings.filter(finding => finding.severity === 'error').length;
+        const warnings = findings.length - errors;
+        return {
+            passed: errors === 0 && (!strict || warnings === 0),
+            strict,
+            migrations: linted,
+            summary: { errors, warnings, suppressed },
+            findings
+        };
+    }
+
+    // Checks one migration against the engine's state, then applies it
+    lintMigration(migration, engine) {
+        const findings = [];
+        const up = stripComments(extractMethodBody(migration.content, 'up') || '');
+        const copiesData = DATA_COPY_PATTERNS.some(pattern => pattern.test(up));
+        const created = new Set();
+        const foreignKeys = [];
+
+        for (const operation of migration.operations) {
+            const table = engine.tables[operation.table];
+            const existing = !created.has(operation.table);
+
+            switch (operation.type) {
+                case 'create':
+                    created.add(operation.table);
+                    break;
+                case 'drop':
+                    if (existing) {
+                        findings.push({
+                            rule: 'drop-table',
+                            table: operation.table,
+                            message: `Drops table ${operation.table}${table ? ` and its ${Object.keys(table.columns).length} columns` : ''}; its data is lost and code still reading it fails`
+                        });
+                    }
+                    break;
+                case 'rename':
+                    if (!copiesData) {
+                        findings.push({
+                            rule: 'rename-table',
+                            table: operation.table,
+                            message: `Renames table ${operation.table} to ${operation.to} without copying data; code deployed before the migration still queries ${operation.table}`
+                        });
+                    }
+                    if (created.has(operation.table)) created.add(operation.to);
+                    break;
+                case 'modify':
+                    if (existing) findings.push(...this.lintStatements(operation, table, copiesData));
+                    break;
+            }
+
+            for (const statement of operation.statements || []) {
+                if (statement.action === 'foreign') foreignKeys.push({ table: operation.table, column: statement.foreignKey.column });
+            }
+            engine.applyOperation(operation, migration.filename);
+        }
+
+        // Indexes can follow the foreign key in the same migration, so check once it has run
+        for (const foreignKey of foreignKeys) {
+            const table = engine.tables[foreignKey.table];
+            if (table && !this.isIndexed(table, foreignKey.column)) {
+                findings.push({
+                    rule: 'foreign-key-without-index',
+                    table: foreignKey.table,
+                    column: foreignKey.column,
+                    message: `Foreign key ${foreignKey.table}.${foreignKey.column} has no index of its own; MySQL adds one implicitly, PostgreSQL and SQLite scan the table on every join and cascade`
+                });
+            }
+        }
+
+        const down = extractMethodBody(migration.content, 'down');
+        if (down === null || stripComments(down).trim() === '') {
+            findings.push({
+                rule: 'missing-down',
+                message: down === null ? 'Has no down() method, so it cannot be rolled back' : 'Has an empty down() method, so rolling back leaves its changes in place'
+            });
+        }
+
+        return findings;
+    }
+
+    // Findings for the Blueprint statements of a Schema::table() on a table that existed before the migration
+    lintStatements(operation, table, copiesData) {
+        const findings = [];
+        const columns = table ? table.columns : {};
+
+        for (const statement of operation.statements) {
+            switch (statement.action) {
+                case 'dropColumn':
+                    for (const column of statement.columns) {
+                        findings.push({
+                            rule: 'drop-column',
+                            table: operation.table,
+                            column,
+                            message: `Drops column ${operation.table}.${column}; its data is lost and code still reading it fails`
+                        });
+                    }
+                    break;
+                case 'renameColumn':
+                    if (!copiesData) {
+                        findings.push({
+                            rule: 'rename-column',
+                            table: operation.table,
+                            column: statement.from,
+                            message: `Renames column ${operation.table}.${statement.from} to ${statement.to} without copying data; code deployed before the migration still reads ${statement.from}`
+                        });
+                    }
+                    break;
+                case 'add': {
+                    const column = statement.column;
+                    if (!column.nullable && (column.default === null || column.default === undefined) && !column.autoIncrement) {
+                        findings.push({
+                            rule: 'add-required-column',
+                            table: operation.table,
+                            column: column.name,
+                            message: `Adds non-nullable column ${operation.table}.${column.name} without a default; existing rows have no value for it`
+                        });
+                    }
+                    break;
+                }
+                case 'change': {
+                    const column = statement.column;
+                    const before = columns[column.name];
+                    const retyped = before && before.type !== column.type;
+                    const widened = retyped && (WIDENINGS[before.type] || []).includes(column.type);
+                    const required = before && before.nullable && !column.nullable;
+                    let message = `Rewrites column ${operation.table}.${column.name} with ->change(); modifiers not repeated in the new definition are dropped`;
+                    if (retyped) {
+                        message = widened
+                            ? `Widens column ${operation.table}.${column.name} from ${before.type} to ${column.type}; the table is rewritten, locking it on large tables`
+                            : `Changes column ${operation.table}.${column.name} from ${before.type} to ${column.type}; values that do not convert are truncated or fail the migration`;
+                        if (required) message += ', and it becomes non-nullable, so rows holding null fail the migration';
+                    } else if (required) {
+                        message = `Makes column ${operation.table}.${column.name} non-nullable with ->change(); rows holding null fail the migration`;
+                    }
+                    findings.push({
+                        rule: 'change-column',
+                        table: operation.table,
+                        column: column.name,
+                        message,
+                        ...(retyped ? { from: before.type, to: column.type } : {}),
+                        ...((retyped && !widened) || required ? { severity: 'error' } : {})
+                    });
+                    break;
+                }
+            }
+        }
+
+        return findings;
+    }
+
+    // An index, unique or primary key that starts with the column serves its foreign key
+    isIndexed(table, columnName) {
+        const column = table.columns[columnName];
+        if (column && (column.primary || column.unique || column.index)) return true;
+        return table.indexes.some(index => index.columns[0] === columnName);
+    }
+
+    allowedRules(content) {
+        const allowed = new Set();
+        for (const match of content.matchAll(ALLOW_PATTERN)) {
+            for (const rule of match[1].split(/[\s,]+/)) {
+                if (RULES[rule]) allowed.add(rule);
+            }
+        }
+        return allowed;
+    }
+}
+
+export { MigrationSafetyLinter };
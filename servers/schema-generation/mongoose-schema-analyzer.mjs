@@ -0,0 +1,280 @@
+/**
+ * Mongoose Schema Analyzer
+ *
+ * Reads Mongoose schemas (`new Schema({...}, { timestamps, collection })`)
+ * and the models compiled from them (`mongoose.model('User', userSchema)`):
+ * paths with their types, `required`, `default`, `unique`, `index` and
+ * `enum` options, nested documents as dotted paths, `ref` paths as
+ * references to other models, `schema.index()` compound indexes and
+ * `schema.virtual()` populate relations. Collections are described in the
+ * same table shape as the SQL ORMs so the relationship graph and OpenAPI
+ * builder need no special case.
+ */
+
+import { maskJs, findClosingBracket, splitTopLevel, parseObjectEntries, parseValue, docComment } from './js-source.mjs';
+import { pluralize, lcfirst } from './laravel-naming.mjs';
+
+class MongooseSchemaAnalyzer {
+    constructor() {
+        this.schemas = [];
+        this.models = [];
+    }
+
+    /**
+     * Collects the schemas and `model()` calls of one module; `resolve()`
+     * turns them into models and collections.
+     */
+    analyze(content, file = null) {
+        const { code, mask } = maskJs(content);
+        const schemas = new Map();
+        const inline = [];
+
+        // const userSchema = new Schema({ ... }, { ... })
+        for (const match of mask.matchAll(/(?:(?:const|let|var)\s+([\w$]+)\s*=\s*)?new\s+(?:[\w$]+\.)?Schema\s*\(/g)) {
+            const open = match.index + match[0].length - 1;
+            const close = findClosingBracket(code, open, mask);
+            if (close === -1) continue;
+            const args = splitTopLevel(code.slice(open + 1, close));
+            const schema = {
+                variable: match[1] || null,
+                file,
+                summary: docComment(content, match.index),
+                paths: this.paths(args[0] || '{}'),
+                options: this.objectValue(args[1]),
+                indexes: [],
+                virtuals: []
+            };
+            if (schema.variable) schemas.set(schema.variable, schema);
+            else inline.push({ at: match.index, schema });
+            this.schemas.push(schema);
+        }
+
+        // userSchema.index({ email: 1, tenant: 1 }, { unique: true })
+        for (const match of mask.matchAll(/(?<![\w$.])([\w$]+)\s*\.\s*index\s*\(/g)) {
+            const schema = schemas.get(match[1]);
+            const call = this.callArgs(code, mask, match.index + match[0].length - 1);
+            if (!schema || !call) continue;
+            const fields = this.objectValue(call[0]);
+            const options = this.objectValue(call[1]);
+            schema.indexes.push({
+                columns: Object.keys(fields),
+                type: options.unique === true ? 'unique' : 'index',
+                name: typeof options.name === 'string' ? options.name : null,
+                order: fields
+            });
+        }
+
+        // userSchema.virtual('posts', { ref: 'Post', localField: '_id', foreignField: 'author' })
+        for (const match of mask.matchAll(/(?<![\w$.])([\w$]+)\s*\.\s*virtual\s*\(/g)) {
+            const schema = schemas.get(match[1]);
+            const call = this.callArgs(code, mask, match.index + match[0].length - 1);
+            if (!schema || !call || call.length < 2) continue;
+            const name = parseValue(call[0]);
+            const options = this.objectValue(call[1]);
+            if (typeof name === 'string' && typeof options.ref === 'string') schema.virtuals.push({ name, ...options });
+        }
+
+        // mongoose.model('User', userSchema, 'people')
+        for (const match of mask.matchAll(/(?<![\w$])(?:[\w$]+\s*\.\s*)?model\s*(?:<[^>]*>\s*)?\(/g)) {
+            const open = match.index + match[0].length - 1;
+            const close = findClosingBracket(code, open, mask);
+            if (close === -1) continue;
+            const call = splitTopLevel(code.slice(open + 1, close));
+            const name = parseValue(call[0]);
+            if (call.length < 2 || typeof name !== 'string') continue;
+            // model('User', new Schema({ ... })) declares the schema inline
+            const schema = schemas.get(call[1].trim()) || inline.find(candidate => candidate.at > open && candidate.at < close)?.schema;
+            if (!schema) continue;
+            const collection = parseValue(call[2]);
+            this.models.push({ name, schema, collection: typeof collection === 'string' ? collection : null, file });
+        }
+    }
+
+    // Arguments of the call opening at `open`
+    callArgs(code, mask, open) {
+        const close = findClosingBracket(code, open, mask);
+        return close === -1 ? null : splitTopLevel(code.slice(open + 1, close));
+    }
+
+    objectValue(text) {
+        const value = text ? parseValue(text) : null;
+        return value && typeof value === 'object' && !Array.isArray(value) && !value.expression ? value : {};
+    }
+
+    /**
+     * The schema definition as a flat list of paths: nested objects without
+     * a `type` become dotted paths, arrays keep their element description
+     * with `array: true`.
+     */
+    paths(text, prefix = '') {
+        const trimmed = text.trim();
+        if (!trimmed.startsWith('{')) return [];
+        const paths = [];
+        for (const [name, raw] of parseObjectEntries(trimmed.slice(1, -1))) {
+            const path = prefix ? `${prefix}.${name}` : name;
+            let value = raw.trim();
+            let array = false;
+            if (value.startsWith('[')) {
+                array = true;
+                value = splitTopLevel(value.slice(1, -1))[0] || 'Mixed';
+            }
+            if (value.startsWith('{') && !parseObjectEntries(value.slice(1, -1)).some(([key]) => key === 'type')) {
+                // A nested document or an array of subdocuments
+                const nested = this.paths(value, path);
+                if (array) paths.push({ path, type: 'Subdocument', array: true, options: {} });
+                paths.push(...nested);
+                continue;
+            }
+            paths.push(this.describePath(path, value, array));
+        }
+        return paths;
+    }
+
+    // `String`, `{ type: Schema.Types.ObjectId, ref: 'User', required: true }`
+    describePath(path, value, array) {
+        const options = value.startsWith('{') ? this.objectValue(value) : { type: { expression: value } };
+        let type = options.type;
+        let elementArray = false;
+        if (Array.isArray(type)) {
+            elementArray = true;
+            type = type[0];
+        }
+        const description = {
+            path,
+            type: this.typeName(type),
+            array: array || elementArray,
+            options: {}
+        };
+        for (const [key, option] of Object.entries(options)) {
+            if (key !== 'type') description.options[key] = option;
+        }
+        return description;
+    }
+
+    // Schema.Types.ObjectId -> ObjectId, String -> String, 'String' -> String
+    typeName(type) {
+        if (typeof type === 'string') return type;
+        if (!type || !type.expression) return 'Mixed';
+        const name = type.expression.split('.').pop();
+        return name === 'Object' ? 'Mixed' : name;
+    }
+
+    /**
+     * Returns `{ models, tables }` with one table per collection: an `_id`
+     * primary key unless the schema disables it, timestamps, and unique and
+     * indexed paths. MongoDB enforces no foreign keys, so `ref` paths are
+     * model relationships only.
+     */
+    resolve() {
+        const models = {};
+        const tables = {};
+
+        for (const registration of this.models) {
+            const { schema } = registration;
+            const options = schema.options;
+            const collection = registration.collection
+                || (typeof options.collection === 'string' ? options.collection : pluralize(registration.name.toLowerCase()));
+
+            const model = {
+                class: registration.name,
+                name: registration.name,
+                file: registration.file,
+                summary: schema.summary,
+                table: collection,
+                primaryKey: options._id === false ? null : '_id',
+                collection: true,
+                fields: {},
+                relationships: []
+            };
+            const table = { name: collection, model: registration.name, collection: true, createdIn: registration.file, modifiedIn: [], columns: {}, foreignKeys: [], indexes: [], checks: [] };
+
+            if (model.primaryKey) {
+                table.columns._id = { name: '_id', type: 'ObjectId', nullable: false, default: 'auto', unique: true, index: true, primary: true, provenance: [{ model: model.name, action: 'auto_created' }] };
+                table.indexes.push({ name: '_id_', type: 'primary', columns: ['_id'] });
+            }
+
+            for (const path of schema.paths) {
+                model.fields[path.path] = { type: path.type, array: path.array, options: path.options };
+                table.columns[path.path] = this.column(path, model.name);
+                if (path.options.unique === true || path.options.index === true || path.options.index === 1 || path.options.index === -1) {
+                    table.indexes.push({ name: `${path.path}_1`, type: path.options.unique === true ? 'unique' : 'index', columns: [path.path] });
+                }
+
+                const ref = typeof path.options.ref === 'string' ? path.options.ref : null;
+                if (!ref) continue;
+                model.relationships.push({
+                    name: path.path,
+                    type: path.array ? 'referencesMany' : 'belongsTo',
+                    related: ref,
+                    foreignKey: path.path,
+                    ownerKey: '_id'
+                });
+                table.columns[path.path].ref = ref;
+            }
+
+            for (const index of schema.indexes) {
+                const name = index.name || Object.entries(index.order).map(([field, order]) => `${field}_${typeof order === 'object' ? order.expression : order}`).join('_');
+                table.indexes.push({ name, type: index.type, columns: index.columns });
+            }
+
+            for (const key of this.timestampPaths(options.timestamps)) {
+                if (table.columns[key]) continue;
+                model.fields[key] = { type: 'Date', array: false, options: {} };
+                table.columns[key] = { name: key, type: 'Date', nullable: false, default: null, unique: false, index: false, provenance: [{ model: model.name, action: 'auto_created' }] };
+            }
+
+            for (const virtual of schema.virtuals) {
+                model.relationships.push({
+                    name: virtual.name,
+                    type: virtual.justOne === true ? 'hasOne' : 'hasMany',
+                    related: virtual.ref,
+                    foreignKey: typeof virtual.foreignField === 'string' ? virtual.foreignField : null,
+                    localKey: typeof virtual.localField === 'string' ? virtual.localField : '_id',
+                    virtual: true
+                });
+            }
+
+            models[model.name] = model;
+            tables[collection] = table;
+        }
+
+        // Point the references at collections now that every model is known
+        for (const model of Object.values(models)) {
+            for (const relationship of model.relationships) {
+                const related = models[relationship.related];
+                relationship.relatedTable = related ? related.table : pluralize(lcfirst(relationship.related).toLowerCase());
+            }
+        }
+
+        return { models, tables };
+    }
+
+    column(path, model) {
+        const options = path.options;
+        const column = {
+            name: path.path,
+            type: path.array ? `[${path.type}]` : path.type,
+            // Mongoose only enforces presence for `required` paths
+            nullable: options.required === undefined || options.required === false,
+            default: options.default === undefined ? null : options.default && options.default.expression ? options.default.expression : options.default,
+            unique: options.unique === true,
+            index: options.index === true || options.index === 1 || options.index === -1
+        };
+        const values = Array.isArray(options.enum) ? options.enum : options.enum && Array.isArray(options.enum.values) ? options.enum.values : null;
+        if (values) column.options = values.filter(value => typeof value === 'string');
+        if (typeof options.maxlength === 'number') column.length = options.maxlength;
+        column.provenance = [{ model, action: 'declared' }];
+        return column;
+    }
+
+    // `timestamps: true` or `{ createdAt: 'created', updatedAt: false }`
+    timestampPaths(timestamps) {
+        if (timestamps === true) return ['createdAt', 'updatedAt'];
+        if (!timestamps || typeof timestamps !== 'object' || timestamps.expression) return [];
+        return ['createdAt', 'updatedAt']
+            .filter(key => timestamps[key] !== false)
+            .map(key => (typeof timestamps[key] === 'string' ? timestamps[key] : key));
+    }
+}
+
+export { MongooseSchemaAnalyzer };
@@ -0,0 +1,551 @@
+/**
+ * OpenAPI Builder
+ *
+ * Turns a generated API schema into an OpenAPI 3.1 document: paths from the
+ * resolved route table, path parameters from route placeholders, request
+ * bodies from FormRequest rules, security from auth middleware and response
+ * bodies from the API resources controller actions return.
+ */
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+const BODY_METHODS = ['POST', 'PUT', 'PATCH'];
+
+// Guards that authenticate with a bearer token; anything else uses the session cookie
+const TOKEN_GUARDS = ['sanctum', 'api', 'passport', 'jwt'];
+
+const COLUMN_TYPES = {
+    integer: ['id', 'increments', 'integer', 'bigInteger', 'mediumInteger', 'smallInteger', 'tinyInteger',
+        'unsignedInteger', 'unsignedBigInteger', 'unsignedMediumInteger', 'unsignedSmallInteger', 'unsignedTinyInteger',
+        'bigIncrements', 'mediumIncrements', 'smallIncrements', 'tinyIncrements', 'foreignId', 'year'],
+    number: ['decimal', 'unsignedDecimal', 'float', 'double'],
+    boolean: ['boolean']
+};
+
+const COLUMN_FORMATS = {
+    date: 'date',
+    dateTime: 'date-time',
+    dateTimeTz: 'date-time',
+    timestamp: 'date-time',
+    timestampTz: 'date-time',
+    time: 'time',
+    timeTz: 'time',
+    uuid: 'uuid',
+    foreignUuid: 'uuid',
+    ipAddress: 'ipv4'
+};
+
+const CAST_TYPES = {
+    int: 'integer', integer: 'integer', real: 'number', float: 'number', double: 'number', decimal: 'number',
+    bool: 'boolean', boolean: 'boolean', array: 'array', json: 'object', object: 'object', collection: 'array',
+    date: 'string', datetime: 'string', immutable_date: 'string', immutable_datetime: 'string', timestamp: 'integer'
+};
+
+class OpenApiBuilder {
+    /**
+     * @param {Object} schemas - generated schemas; `api` is required, `database`
+     *   and `businessLogic` refine resource attribute types when present
+     * @param {Object} info - title, version and description, plus an optional `serverUrl`
+     */
+    build(schemas, info = {}) {
+        const api = schemas.api || {};
+        this.database = schemas.database || {};
+        this.models = Object.values((schemas.businessLogic && schemas.businessLogic.models) || {}).filter(model => model && model.class);
+        this.formRequests = this.indexByClass(api.validation);
+        this.resources = this.indexByClass(api.resources);
+        this.controllers = this.indexByClass(api.controllers);
+        // Symfony names its stateless firewalls and session cookie in the API schema
+        this.tokenGuards = [...TOKEN_GUARDS, ...(api.tokenGuards || [])];
+        this.sessionCookie = api.sessionCookie || 'laravel_session';
+        this.components = { schemas: {}, responses: {}, securitySchemes: {} };
+        this.schemaNames = new Map();
+        this.operationIds = new Set();
+
+        const document = {
+            openapi: '3.1.0',
+            info: {
+                title: info.title || 'API',
+                version: info.version || '1.0.0',
+                ...(info.description ? { description: info.description } : {})
+            },
+            paths: {}
+        };
+        if (info.serverUrl) document.servers = [{ url: info.serverUrl }];
+
+        for (const route of this.selectRoutes(api.routes || [])) {
+            const pathKey = `/${route.uri === '/' ? '' : route.uri}`.replace(/\{(\w+)\?\}/g, '{$1}').replace(/\{(\w+):\w+\}/g, '{$1}');
+            document.paths[pathKey] = document.paths[pathKey] || {};
+
+            for (const method of route.methods.filter(method => HTTP_METHODS.includes(method))) {
+                const verb = method.toLowerCase();
+                if (!document.paths[pathKey][verb]) {
+                    document.paths[pathKey][verb] = this.buildOperation(route, method);
+                }
+            }
+        }
+
+        for (const [key, value] of Object.entries(this.components)) {
+            if (Object.keys(value).length === 0) delete this.components[key];
+        }
+        if (Object.keys(this.components).length > 0) document.components = this.components;
+
+        return document;
+    }
+
+    indexByClass(entries) {
+        const index = {};
+        for (const entry of Object.values(entries || {})) {
+            if (entry && entry.class) {
+                index[entry.namespace ? `${entry.namespace}\\${entry.class}` : entry.class] = entry;
+            }
+        }
+        return index;
+    }
+
+    /**
+     * Routes carrying the `api` middleware group when there are any, otherwise
+     * every controller or closure route. View, redirect and fallback routes are
+     * never part of the API surface.
+     */
+    selectRoutes(routes) {
+        const candidates = routes.filter(route => route.action &&
+            ['controller', 'closure'].includes(route.action.type) && !route.fallback);
+        const apiRoutes = candidates.filter(route => (route.middleware || []).includes('api'));
+        return apiRoutes.length > 0 ? apiRoutes : candidates;
+    }
+
+    buildOperation(route, method) {
+        const action = route.action || {};
+        const controllerMethod = this.findControllerMethod(action);
+        const operation = {
+            operationId: this.operationId(route, method),
+            // The action's docblock summary when it has one
+            summary: (controllerMethod && controllerMethod.summary) ||
+                (action.type === 'controller' ? `${this.shortName(action.controller)}@${action.method}` : 'Closure route'),
+            tags: [this.tagFor(route)]
+        };
+
+        const parameters = (route.parameters || []).map(parameter => this.pathParameter(parameter));
+        const formRequest = this.findFormRequest(controllerMethod);
+        const request = formRequest ? this.rulesSchema(formRequest.rules || {}) : null;
+        const requestSchema = request && request.schema;
+
+        let requestBody = null;
+        if (requestSchema && BODY_METHODS.includes(method)) {
+            const contentType = request.binary ? 'multipart/form-data' : 'application/json';
+            requestBody = {
+                required: (requestSchema.required || []).length > 0,
+                content: { [contentType]: { schema: requestSchema } }
+            };
+        } else if (requestSchema) {
+            // GET requests validate the query string
+            const required = requestSchema.required || [];
+            for (const [name, schema] of Object.entries(requestSchema.properties || {})) {
+                parameters.push({ name, in: 'query', required: required.includes(name), schema });
+            }
+        }
+
+        if (parameters.length > 0) operation.parameters = parameters;
+        if (requestBody) operation.requestBody = requestBody;
+        operation.responses = this.buildResponses(route, method, controllerMethod, Boolean(formRequest));
+
+        const security = this.securityFor(route.middleware || []);
+        if (security) operation.security = security;
+
+        return operation;
+    }
+
+    operationId(route, method) {
+        const base = route.name ||
+            `${method.toLowerCase()}_${route.uri}`.replace(/[{}?]/g, '').replace(/[^\w]+/g, '_').replace(/_+$/, '');
+        let id = base;
+        // PUT|PATCH share one route name
+        if (this.operationIds.has(id)) id = `${base}.${method.toLowerCase()}`;
+        this.operationIds.add(id);
+        return id;
+    }
+
+    tagFor(route) {
+        if (route.action && route.action.type === 'controller') {
+            return this.shortName(route.action.controller).replace(/Controller$/, '') || route.action.controller;
+        }
+        const segments = route.uri.split('/').filter(segment => segment && !segment.startsWith('{'));
+        const prefixSkipped = segments[0] === 'api' && segments.length > 1 ? segments.slice(1) : segments;
+        // api/v1/posts is tagged posts
+        const versionSkipped = /^v\d+$/.test(prefixSkipped[0] || '') && prefixSkipped.length > 1 ? prefixSkipped.slice(1) : prefixSkipped;
+        return versionSkipped[0] || 'default';
+    }
+
+    // App\Http\Controllers\UserController and blog.views.PostViewSet end in the class,
+    // Express controller modules (src/controllers/users.controller) in the file name
+    shortName(controller) {
+        if (controller.includes('/')) return controller.split('/').pop().split('.')[0];
+        return controller.split(/[\\.]/).pop();
+    }
+
+    pathParameter(parameter) {
+        const schema = { type: 'string' };
+        if (parameter.pattern) {
+            if (/^\[0-9\]\+$|^\\d\+$/.test(parameter.pattern)) {
+                schema.type = 'integer';
+            } else {
+                schema.pattern = `^${parameter.pattern}$`;
+            }
+        }
+
+        const result = { name: parameter.name, in: 'path', required: true, schema };
+        // OpenAPI path parameters are always required; Laravel and Symfony allow trailing optional ones
+        if (parameter.optional) result.description = 'Optional in the route definition.';
+        return result;
+    }
+
+    findControllerMethod(action) {
+        if (!action || action.type !== 'controller') return null;
+        const controller = this.controllers[action.controller];
+        if (!controller || !Array.isArray(controller.methods)) return null;
+        return controller.methods.find(method => method.name === action.method) || null;
+    }
+
+    // The first injected parameter whose type is a known FormRequest
+    findFormRequest(controllerMethod) {
+        if (!controllerMethod) return null;
+        // Django handlers name the serializer validating their input
+        if (controllerMethod.validation && this.formRequests[controllerMethod.validation]) return this.formRequests[controllerMethod.validation];
+        for (const parameter of controllerMethod.parameters || []) {
+            const type = (parameter.type || '').replace(/^\?/, '');
+            if (this.formRequests[type]) return this.formRequests[type];
+        }
+        return null;
+    }
+
+    buildResponses(route, method, controllerMethod, validated) {
+        const responses = {};
+        const resource = controllerMethod && controllerMethod.resource;
+        const resourceAction = route.resource && route.resource.action;
+        const status = method === 'POST' && (['store', 'create'].includes(resourceAction) || !route.resource) ? '201' : '200';
+
+        if (resource) {
+            responses[status] = {
+                description: 'Successful response',
+                content: { 'application/json': { schema: this.resourceResponseSchema(resource.class, resource.collection) } }
+            };
+        } else if (method === 'DELETE') {
+            responses['204'] = { description: 'No content' };
+        } else {
+            responses[status] = { description: 'Successful response' };
+        }
+
+        const middleware = route.middleware || [];
+        if (validated) responses['422'] = this.sharedResponse('ValidationError');
+        if (middleware.some(name => name === 'auth' || name.startsWith('auth:'))) responses['401'] = this.sharedResponse('Unauthenticated');
+        if (middleware.some(name => name.startsWith('can:'))) responses['403'] = this.sharedResponse('Forbidden');
+        if ((route.parameters || []).length > 0) responses['404'] = this.sharedResponse('NotFound');
+        if (middleware.some(name => name === 'throttle' || name.startsWith('throttle:'))) responses['429'] = this.sharedResponse('TooManyRequests');
+
+        return responses;
+    }
+
+    sharedResponse(name) {
+        const definitions = {
+            ValidationError: {
+                description: 'The given data was invalid.',
+                content: {
+                    'application/json': {
+                        schema: {
+                            type: 'object',
+                            properties: {
+                                message: { type: 'string' },
+                                errors: { type: 'object', additionalProperties: { type: 'array', items: { type: 'string' } } }
+                            }
+                        }
+                    }
+                }
+            },
+            Unauthenticated: { description: 'Unauthenticated.' },
+            Forbidden: { description: 'This action is unauthorized.' },
+            NotFound: { description: 'Resource not found.' },
+            TooManyRequests: { description: 'Too many requests.' }
+        };
+
+        this.components.responses[name] = definitions[name];
+        return { $ref: `#/components/responses/${name}` };
+    }
+
+    securityFor(middleware) {
+        const guards = middleware.filter(name => name === 'auth' || name.startsWith('auth:'))
+            .flatMap(name => (name.split(':')[1] || 'web').split(','));
+        if (guards.length === 0) return null;
+
+        return [...new Set(guards.map(guard => {
+            if (this.tokenGuards.includes(guard)) {
+                this.components.securitySchemes.bearerAuth = { type: 'http', scheme: 'bearer' };
+                return 'bearerAuth';
+            }
+            this.components.securitySchemes.sessionAuth = { type: 'apiKey', in: 'cookie', name: this.sessionCookie };
+            return 'sessionAuth';
+        }))].map(scheme => ({ [scheme]: [] }));
+    }
+
+    /**
+     * Converts FormRequest rules into a JSON Schema object. Dotted keys become
+     * nested objects and `*` segments become array items. `binary` reports
+     * whether any field is a file upload.
+     */
+    rulesSchema(rules) {
+        const root = { type: 'object', properties: {} };
+        let hasFiles = false;
+        const fields = Object.keys(rules).sort((a, b) => a.split('.').length - b.split('.').length);
+
+        for (const field of fields) {
+            const list = this.normalizeRules(rules[field] || []);
+            const segments = field.split('.');
+            let node = root;
+
+            segments.forEach((segment, index) => {
+                let child;
+                if (segment === '*') {
+                    this.ensureType(node, 'array');
+                    node.items = node.items || {};
+                    child = node.items;
+                } else {
+                    this.ensureType(node, 'object');
+                    node.properties = node.properties || {};
+                    child = node.properties[segment] = node.properties[segment] || {};
+                }
+
+                if (index === segments.length - 1) {
+                    const { schema, required, binary, confirmed } = this.ruleSchema(list);
+                    Object.assign(child, schema, child.type ? { type: child.type } : {});
+                    if (binary) hasFiles = true;
+                    if (segment !== '*') {
+                        if (required) node.required = [...new Set([...(node.required || []), segment])];
+                        if (confirmed) node.properties[`${segment}_confirmation`] = { ...schema };
+                    }
+                }
+                node = child;
+            });
+        }
+
+        return { schema: root, binary: hasFiles };
+    }
+
+    // An `array` rule with named child keys describes an associative array, i.e. an object
+    ensureType(node, type) {
+        if (!node.type) {
+            node.type = type;
+        } else if (type === 'object' && node.type === 'array') {
+            node.type = 'object';
+            delete node.items;
+        }
+    }
+
+    // Rule objects (Password::min(8), File::types([...])) in string rule syntax
+    normalizeRules(rules) {
+        return rules.flatMap(rule => {
+            if (typeof rule === 'string') return [rule];
+            const equivalents = [rule.rule];
+            if (rule.image) equivalents.push('image');
+            if (rule.min !== undefined) equivalents.push(`min:${rule.min}`);
+            if (rule.max !== undefined) equivalents.push(`max:${rule.max}`);
+            return equivalents;
+        });
+    }
+
+    ruleSchema(rules) {
+        const names = rules.map(rule => rule.split(':')[0]);
+        const argument = name => {
+            const rule = rules.find(candidate => candidate.split(':')[0] === name);
+            return rule && rule.includes(':') ? rule.slice(rule.indexOf(':') + 1) : null;
+        };
+        const has = name => names.includes(name);
+
+        let type = 'string';
+        if (has('integer') || has('int')) type = 'integer';
+        else if (has('numeric') || has('decimal')) type = 'number';
+        else if (has('boolean') || has('bool') || has('accepted') || has('declined')) type = 'boolean';
+        else if (has('array') || has('list')) type = 'array';
+
+        const schema = { type: has('nullable') ? [type, 'null'] : type };
+        const binary = ['file', 'image', 'mimes', 'mimetypes', 'extensions'].some(has);
+        if (binary) schema.format = 'binary';
+
+        const formats = { email: 'email', url: 'uri', active_url: 'uri', uuid: 'uuid', ulid: 'ulid', ip: 'ip', ipv4: 'ipv4', ipv6: 'ipv6', date: 'date', date_format: 'date-time', json: 'json' };
+        for (const [rule, format] of Object.entries(formats)) {
+            if (type === 'string' && has(rule) && !binary) {
+                schema.format = format;
+                break;
+            }
+        }
+
+        const inValues = argument('in');
+        if (inValues) {
+            schema.enum = inValues.split(',').map(value => {
+                const trimmed = value.trim().replace(/^"(.*)"$/, '$1');
+                return type === 'integer' || type === 'number' ? Number(trimmed) : trimmed;
+            });
+        }
+
+        const bounds = {
+            string: ['minLength', 'maxLength'],
+            integer: ['minimum', 'maximum'],
+            number: ['minimum', 'maximum'],
+            array: ['minItems', 'maxItems']
+        }[type];
+        if (bounds && !binary) {
+            const min = argument('min');
+            const max = argument('max');
+            const between = argument('between');
+            const size = argument('size');
+            if (min !== null) schema[bounds[0]] = Number(min);
+            if (max !== null) schema[bounds[1]] = Number(max);
+            if (between !== null) [schema[bounds[0]], schema[bounds[1]]] = between.split(',').map(Number);
+            if (size !== null) schema[bounds[0]] = schema[bounds[1]] = Number(size);
+        }
+
+        const digits = argument('digits');
+        if (digits !== null) schema.pattern = `^\\d{${digits}}$`;
+
+        const regex = argument('regex');
+        if (regex !== null) {
+            const delimited = regex.match(/^(.)(.*)\1[a-z]*$/s);
+            schema.pattern = delimited ? delimited[2] : regex;
+        }
+
+        return {
+            schema,
+            required: has('required') || has('present') || has('accepted'),
+            binary,
+            confirmed: has('confirmed')
+        };
+    }
+
+    /**
+     * Response body for an action returning `resourceClass`, including the
+     * resource's `data` envelope.
+     */
+    resourceResponseSchema(resourceClass, collection) {
+        const resource = this.resources[resourceClass];
+        let payload = collection || (resource && resource.collection)
+            ? { type: 'array', items: this.resourceRef(resource && resource.collection ? resource.collects : resourceClass) }
+            : this.resourceRef(resourceClass);
+
+        const wrap = resource ? resource.wrap : 'data';
+        if (wrap) payload = { type: 'object', properties: { [wrap]: payload } };
+        return payload;
+    }
+
+    // A resource class the project does not define gets no component of its own
+    resourceRef(resourceClass) {
+        if (!resourceClass) return {};
+        if (!this.resources[resourceClass]) return { type: 'object' };
+        const name = this.componentName(resourceClass);
+
+        if (!this.components.schemas[name]) {
+            // Reserve the name first so self-referencing resources terminate
+            this.components.schemas[name] = {};
+            this.components.schemas[name] = this.resourceSchema(resourceClass);
+        }
+
+        return { $ref: `#/components/schemas/${name}` };
+    }
+
+    componentName(className) {
+        if (this.schemaNames.has(className)) return this.schemaNames.get(className);
+
+        const taken = new Set(this.schemaNames.values());
+        const short = className.split('\\').pop();
+        const name = taken.has(short) ? className.replace(/\\/g, '.') : short;
+        this.schemaNames.set(className, name);
+        return name;
+    }
+
+    resourceSchema(resourceClass) {
+        const resource = this.resources[resourceClass];
+        const model = this.modelForResource(resourceClass);
+
+        if (!resource.fields) {
+            return model ? this.modelSchema(model) : { type: 'object' };
+        }
+
+        return this.fieldsSchema(resource.fields, model);
+    }
+
+    fieldsSchema(fields, model) {
+        const schema = { type: 'object', properties: {} };
+        const required = [];
+
+        for (const [name, field] of Object.entries(fields)) {
+            schema.properties[name] = this.fieldSchema(field, model);
+            if (!field.conditional) required.push(name);
+        }
+
+        if (required.length > 0) schema.required = required;
+        return schema;
+    }
+
+    fieldSchema(field, model) {
+        if (field.fields) return this.fieldsSchema(field.fields, model);
+        if (field.resource) {
+            const ref = this.resourceRef(field.resource);
+            return field.collection ? { type: 'array', items: ref } : ref;
+        }
+        if (field.type) return { type: field.type };
+        if (field.attribute && !field.expression) return this.attributeSchema(model, field.attribute);
+        // $this->created_at?->toIso8601String(), $this->date->format('Y-m-d')
+        if (field.expression && /->\s*(?:to\w*String|format)\s*\(/.test(field.expression)) return { type: 'string' };
+        return {};
+    }
+
+    // UserResource describes the User model unless the resource says otherwise
+    modelForResource(resourceClass) {
+        const base = resourceClass.split('\\').pop().replace(/(Resource|Collection)$/, '');
+        return this.models.find(model => model.class === base) || null;
+    }
+
+    modelSchema(model) {
+        const table = this.database.tables && this.database.tables[model.table];
+        const hidden = model.hidden || [];
+        const schema = { type: 'object', properties: {} };
+
+        for (const column of Object.keys((table && table.columns) || {})) {
+            if (!hidden.includes(column)) schema.properties[column] = this.attributeSchema(model, column);
+        }
+        return schema;
+    }
+
+    attributeSchema(model, attribute) {
+        if (!model) return {};
+
+        const cast = model.casts && model.casts[attribute];
+        const table = this.database.tables && this.database.tables[model.table];
+        const column = table && table.columns && table.columns[attribute];
+        let schema = column ? this.columnSchema(column) : {};
+
+        if (typeof cast === 'string') {
+            const castName = cast.split(':')[0];
+            if (CAST_TYPES[castName]) {
+                schema = { type: CAST_TYPES[castName] };
+                if (/date/.test(castName)) schema.format = castName.includes('datetime') ? 'date-time' : 'date';
+            }
+        }
+
+        if (column && column.nullable && schema.type && !Array.isArray(schema.type)) {
+            schema.type = [schema.type, 'null'];
+        }
+        return schema;
+    }
+
+    columnSchema(column) {
+        const type = Object.keys(COLUMN_TYPES).find(key => COLUMN_TYPES[key].includes(column.type));
+        if (type) return { type };
+
+        if (['json', 'jsonb'].includes(column.type)) return {};
+
+        const schema = { type: 'string' };
+        if (COLUMN_FORMATS[column.type]) schema.format = COLUMN_FORMATS[column.type];
+        if (Array.isArray(column.options)) schema.enum = column.options;
+        if (column.length) schema.maxLength = column.length;
+        return schema;
+    }
+}
+
+export { OpenApiBuilder };
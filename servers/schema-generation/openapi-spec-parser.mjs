@@ -0,0 +1,105 @@
+/**
+ * OpenAPI Spec Parser
+ *
+ * Reads an OpenAPI 3.x or Swagger 2.0 document a project maintains
+ * (`openapi.yaml`, `swagger.json`) into routes shaped like the framework
+ * route parsers' output: one route per operation with its method, path,
+ * operationId, summary, tags, path parameters, response status codes and
+ * the security schemes it requires as `auth:<scheme>` middleware.
+ */
+
+import yaml from 'js-yaml';
+
+const OPERATION_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+class OpenApiSpecParser {
+    /**
+     * Returns `{ file, openapi, info, servers, routes, securitySchemes,
+     * schemas }`, or null when the file is not an OpenAPI or Swagger
+     * document. `schemas` lists the names of the reusable component schemas.
+     */
+    parse(content, file) {
+        const document = yaml.load(content);
+        if (!document || typeof document !== 'object' || !(document.openapi || document.swagger)) return null;
+
+        const swagger = Boolean(document.swagger);
+        const globalSecurity = Array.isArray(document.security) ? document.security : [];
+        const routes = [];
+
+        for (const [specPath, pathItem] of Object.entries(document.paths || {})) {
+            if (!pathItem || typeof pathItem !== 'object') continue;
+            for (const method of OPERATION_METHODS.filter(candidate => pathItem[candidate])) {
+                routes.push(this.operationRoute(specPath, method, pathItem[method], pathItem, globalSecurity, file));
+            }
+        }
+
+        const components = document.components || {};
+        const info = document.info || {};
+        return {
+            file,
+            openapi: String(document.openapi || document.swagger),
+            info: {
+                title: info.title || null,
+                version: info.version !== undefined ? String(info.version) : null,
+                ...(info.description ? { description: info.description } : {})
+            },
+            // Swagger 2.0 names one host and base path instead of server URLs
+            servers: swagger
+                ? (document.host || document.basePath ? [`${(document.schemes || ['https'])[0]}://${document.host || ''}${document.basePath || ''}`] : [])
+                : (document.servers || []).map(server => server.url).filter(Boolean),
+            routes,
+            securitySchemes: Object.fromEntries(Object.entries((swagger ? document.securityDefinitions : components.securitySchemes) || {})
+                .map(([name, scheme]) => [name, this.describeSecurityScheme(scheme || {})])),
+            schemas: Object.keys((swagger ? document.definitions : components.schemas) || {})
+        };
+    }
+
+    operationRoute(specPath, method, operation, pathItem, globalSecurity, file) {
+        const security = Array.isArray(operation.security) ? operation.security : globalSecurity;
+        // Declared parameters give placeholders their type; path-level ones apply to every operation
+        const declared = [...(pathItem.parameters || []), ...(operation.parameters || [])]
+            .filter(parameter => parameter && parameter.in === 'path');
+
+        const route = {
+            methods: [method.toUpperCase()],
+            uri: specPath.replace(/^\/+/, '') || '/',
+            name: operation.operationId || null,
+            action: {
+                type: 'operation',
+                operationId: operation.operationId || null,
+                summary: operation.summary || null,
+                tags: operation.tags || []
+            },
+            // An empty requirement ({}) makes authentication optional
+            middleware: security.some(requirement => requirement && Object.keys(requirement).length === 0)
+                ? []
+                : [...new Set(security.flatMap(requirement => Object.keys(requirement || {})))].map(name => `auth:${name}`),
+            parameters: [...specPath.matchAll(/\{([^}]+)\}/g)].map(match => {
+                const parameter = declared.find(candidate => candidate.name === match[1]);
+                const schema = parameter && (parameter.schema || parameter);
+                return {
+                    name: match[1],
+                    optional: false,
+                    ...(schema && schema.type ? { type: schema.type } : {}),
+                    ...(schema && schema.pattern ? { pattern: schema.pattern } : {})
+                };
+            }),
+            responses: Object.keys(operation.responses || {}),
+            file
+        };
+        if (operation.deprecated) route.deprecated = true;
+        return route;
+    }
+
+    describeSecurityScheme(scheme) {
+        const description = { type: scheme.type || null };
+        for (const key of ['scheme', 'bearerFormat', 'in', 'name', 'openIdConnectUrl']) {
+            if (scheme[key] !== undefined) description[key] = scheme[key];
+        }
+        if (scheme.flows) description.flows = Object.keys(scheme.flows);
+        if (scheme.flow) description.flows = [scheme.flow];
+        return description;
+    }
+}
+
+export { OpenApiSpecParser };
@@ -0,0 +1,362 @@
+/**
+ * PHP Class Analyzer
+ *
+ * Describes the class, interface, trait or enum a PHP file declares from a
+ * real syntax tree (php-parser) rather than regexes: inheritance, implemented
+ * interfaces, traits, PHP 8 attributes, constants, enum cases, properties
+ * (including promoted constructor parameters) and methods with their
+ * parameter and return types, all resolved to fully qualified names, plus the
+ * summary line of each docblock and the Doctrine-style annotations it holds.
+ */
+
+import { Engine } from 'php-parser';
+import { resolveClassName, findClosingBracket, splitTopLevel } from './php-source.mjs';
+
+const DECLARATION_KINDS = ['class', 'interface', 'trait', 'enum'];
+
+const BUILTIN_TYPES = ['int', 'float', 'string', 'bool', 'array', 'mixed', 'callable', 'iterable', 'object', 'void', 'null', 'never', 'false', 'true', 'static', 'self', 'parent'];
+
+// Bit flags php-parser sets on promoted constructor parameters
+const PROMOTED_VISIBILITY = { 1: 'public', 2: 'protected', 4: 'private' };
+
+class PhpClassAnalyzer {
+    /**
+     * With `methodBodies`, each method also carries the source of its body so
+     * callers can look for what it does (the resource a controller returns).
+     */
+    constructor({ methodBodies = false } = {}) {
+        this.methodBodies = methodBodies;
+        this.engine = new Engine({
+            parser: { php8: true, extractDoc: true, suppressErrors: true },
+            ast: { withPositions: true }
+        });
+    }
+
+    /**
+     * Returns the first declaration in the file (Laravel follows PSR-4, one
+     * class per file) with the file's namespace and imports (`{ alias: class }`),
+     * or `kind: null` when it declares none. Recoverable syntax errors are
+     * listed under `parseErrors`.
+     */
+    analyze(content, file = 'file.php') {
+        const ast = this.engine.parseCode(content, file);
+        const namespaceNode = ast.children.find(node => node.kind === 'namespace');
+        const statements = namespaceNode ? namespaceNode.children : ast.children;
+        const scope = {
+            imports: this.collectImports(statements),
+            namespace: namespaceNode && namespaceNode.name ? namespaceNode.name : null
+        };
+
+        const declaration = statements.find(node => DECLARATION_KINDS.includes(node.kind));
+        const description = declaration
+            ? this.describeDeclaration(declaration, content, scope)
+            : { kind: null, class: null };
+
+        const result = {
+            ...description,
+            namespace: scope.namespace,
+            imports: scope.imports
+        };
+        if (ast.errors && ast.errors.length > 0) {
+            result.parseErrors = ast.errors.map(error => error.message);
+        }
+        return result;
+    }
+
+    // Class imports only; `use function` / `use const` do not name types
+    collectImports(statements) {
+        const imports = {};
+        for (const node of statements) {
+            if (node.kind !== 'usegroup' || node.type) continue;
+            for (const item of node.items) {
+                if (item.type) continue;
+                const name = node.name ? `${node.name}\\${item.name}` : item.name;
+                imports[item.alias ? item.alias.name : name.split('\\').pop()] = name.replace(/^\\/, '');
+            }
+        }
+        return imports;
+    }
+
+    describeDeclaration(node, content, scope) {
+        const body = node.body || [];
+        const description = {
+            kind: node.kind,
+            class: this.nameOf(node),
+            summary: this.docSummary(node),
+            modifiers: [
+                node.isAbstract && 'abstract',
+                node.isFinal && 'final',
+                node.isReadonly && 'readonly'
+            ].filter(Boolean),
+            attributes: this.describeAttributes(node.attrGroups, content, scope),
+            annotations: this.describeAnnotations(this.docblock(node), scope)
+        };
+
+        if (node.kind === 'interface') {
+            // Interfaces extend any number of interfaces
+            description.extends = (node.extends || []).map(name => this.resolveName(name, scope));
+        } else {
+            if (node.kind !== 'enum') description.extends = node.extends ? this.resolveName(node.extends, scope) : null;
+            description.implements = (node.implements || []).map(name => this.resolveName(name, scope));
+        }
+
+        description.traits = body
+            .filter(member => member.kind === 'traituse')
+            .flatMap(member => member.traits.map(name => this.resolveName(name, scope)));
+
+        if (node.kind === 'enum') {
+            description.backingType = node.valueType ? node.valueType.name : null;
+            description.cases = body
+                .filter(member => member.kind === 'enumcase')
+                .map(member => ({
+                    name: this.nameOf(member),
+                    value: member.value ? this.literalValue(member.value, content) : null
+                }));
+        }
+
+        description.constants = body
+            .filter(member => member.kind === 'classconstant')
+            .flatMap(member => member.constants.map(constant => ({
+                name: this.nameOf(constant),
+                visibility: member.visibility || 'public',
+                value: this.literalValue(constant.value, content)
+            })));
+
+        const methods = body.filter(member => member.kind === 'method');
+        description.properties = [
+            ...body
+                .filter(member => member.kind === 'propertystatement')
+                .flatMap(member => member.properties.map(property => this.describeProperty(property, member, content, scope))),
+            ...this.promotedProperties(methods.find(method => this.nameOf(method) === '__construct'), content, scope)
+        ];
+        description.methods = methods.map(method => this.describeMethod(method, content, scope));
+
+        return description;
+    }
+
+    describeProperty(property, statement, content, scope) {
+        const description = {
+            name: this.nameOf(property),
+            visibility: statement.visibility || 'public',
+            static: Boolean(statement.isStatic),
+            readonly: Boolean(property.readonly),
+            type: this.describeType(property.type, property.nullable, scope),
+            attributes: this.describeAttributes(property.attrGroups, content, scope),
+            // The docblock belongs to the statement, or to the first attribute group after it
+            annotations: this.describeAnnotations(this.docblock(statement, property.attrGroups), scope)
+        };
+        if (property.value) description.default = this.literalValue(property.value, content);
+        return description;
+    }
+
+    promotedProperties(constructor, content, scope) {
+        if (!constructor) return [];
+        return constructor.arguments
+            .filter(parameter => PROMOTED_VISIBILITY[parameter.flags & 7])
+            .map(parameter => {
+                const description = {
+                    name: this.nameOf(parameter),
+                    visibility: PROMOTED_VISIBILITY[parameter.flags & 7],
+                    static: false,
+                    readonly: Boolean(parameter.readonly),
+                    type: this.describeType(parameter.type, parameter.nullable, scope),
+                    attributes: this.describeAttributes(parameter.attrGroups, content, scope),
+                    annotations: [],
+                    promoted: true
+                };
+                if (parameter.value) description.default = this.literalValue(parameter.value, content);
+                return description;
+            });
+    }
+
+    describeMethod(method, content, scope) {
+        const description = {
+            name: this.nameOf(method),
+            visibility: method.visibility || 'public',
+            static: Boolean(method.isStatic),
+            abstract: Boolean(method.isAbstract) || !method.body,
+            final: Boolean(method.isFinal),
+            summary: this.docSummary(method),
+            attributes: this.describeAttributes(method.attrGroups, content, scope),
+            annotations: this.describeAnnotations(this.docblock(method), scope),
+            parameters: method.arguments.map(parameter => this.describeParameter(parameter, content, scope)),
+            returnType: this.describeType(method.type, method.nullable, scope)
+        };
+        if (this.methodBodies) {
+            description.body = method.body ? this.source(method.body, content).replace(/^\{|\}$/g, '') : null;
+        }
+        return description;
+    }
+
+    describeParameter(parameter, content, scope) {
+        const description = {
+            name: this.nameOf(parameter),
+            type: this.describeType(parameter.type, parameter.nullable, scope)
+        };
+        if (parameter.value) description.default = this.literalValue(parameter.value, content);
+        if (parameter.variadic) description.variadic = true;
+        if (parameter.byref) description.byReference = true;
+        if (PROMOTED_VISIBILITY[parameter.flags & 7]) description.promoted = true;
+        const attributes = this.describeAttributes(parameter.attrGroups, content, scope);
+        if (attributes.length > 0) description.attributes = attributes;
+        return description;
+    }
+
+    // #[Route('/posts', methods: ['GET'])] -> { name, arguments: ["'/posts'", "methods: ['GET']"] }
+    describeAttributes(attrGroups, content, scope) {
+        return (attrGroups || []).flatMap(group => group.attrs.map(attribute => ({
+            name: resolveClassName(attribute.name, scope),
+            arguments: (attribute.args || []).map(argument => this.source(argument, content))
+        })));
+    }
+
+    /**
+     * Renders a type declaration with class names fully qualified:
+     * `?Post`, `int|string`, `Countable&Traversable`.
+     */
+    describeType(type, nullable, scope) {
+        if (!type) return null;
+        let rendered;
+        if (type.kind === 'uniontype') {
+            rendered = type.types.map(member => this.describeType(member, false, scope)).join('|');
+        } else if (type.kind === 'intersectiontype') {
+            rendered = type.types.map(member => this.describeType(member, false, scope)).join('&');
+        } else {
+            rendered = this.resolveName(type, scope);
+        }
+        return nullable ? `?${rendered}` : rendered;
+    }
+
+    resolveName(node, scope) {
+        const name = typeof node === 'string' ? node : node.name;
+        if (node.kind === 'typereference' || BUILTIN_TYPES.includes(name.toLowerCase())) return name;
+        return resolveClassName(name, scope);
+    }
+
+    // Nodes recovered from syntax errors may have no name
+    nameOf(node) {
+        if (!node.name) return null;
+        return typeof node.name === 'string' ? node.name : node.name.name;
+    }
+
+    // Scalars as values, anything else as its PHP source
+    literalValue(node, content) {
+        switch (node.kind) {
+            case 'string':
+                return node.value;
+            case 'number':
+                return Number(node.value);
+            case 'boolean':
+                return node.value;
+            case 'nullkeyword':
+                return null;
+            default:
+                return this.source(node, content);
+        }
+    }
+
+    source(node, content) {
+        return node.loc ? content.slice(node.loc.start.offset, node.loc.end.offset) : null;
+    }
+
+    /**
+     * The docblock preceding a declaration. php-parser attaches it to the
+     * first attribute group when the declaration has one.
+     */
+    docblock(node, attrGroups = node.attrGroups) {
+        const comments = [
+            ...(node.leadingComments || []),
+            ...((attrGroups && attrGroups[0] && attrGroups[0].leadingComments) || [])
+        ];
+        const docblock = comments.filter(comment => comment.kind === 'commentblock' && comment.value.startsWith('/**')).pop();
+        return docblock ? docblock.value : null;
+    }
+
+    // First paragraph of the docblock preceding a declaration
+    docSummary(node) {
+        const docblock = this.docblock(node);
+        if (!docblock) return null;
+
+        const lines = this.docLines(docblock);
+        const summary = [];
+        for (const line of lines) {
+            const text = line.trim();
+            if (text.startsWith('@')) break;
+            if (!text) {
+                if (summary.length > 0) break;
+                continue;
+            }
+            summary.push(text);
+        }
+        return summary.length > 0 ? summary.join(' ') : null;
+    }
+
+    docLines(docblock) {
+        return docblock
+            .replace(/^\/\*\*|\*\/$/g, '')
+            .split('\n')
+            .map(line => line.replace(/^\s*\*\s?/, ''));
+    }
+
+    /**
+     * Doctrine annotations (`@ORM\Column(type="string", length=255)`) in the
+     * shape of attributes, with their arguments rewritten as the attribute
+     * source they correspond to (`type: 'string'`, `length: 255`) so mappings
+     * read the same either way. Lowercase tags (`@var`, `@param`) are not
+     * annotations.
+     */
+    describeAnnotations(docblock, scope) {
+        if (!docblock) return [];
+        const text = this.docLines(docblock).join('\n');
+        const annotations = [];
+        const pattern = /(?<![\w\\@])@(\\?[A-Z][\w\\]*)/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const annotation = { name: resolveClassName(match[1], scope), arguments: [] };
+            const open = pattern.lastIndex;
+            if (text[open] === '(') {
+                const close = findClosingBracket(text, open);
+                if (close === -1) break;
+                annotation.arguments = splitTopLevel(text.slice(open + 1, close)).map(argument => this.annotationArgument(argument, scope));
+                pattern.lastIndex = close + 1;
+            }
+            annotations.push(annotation);
+        }
+        return annotations;
+    }
+
+    // name="posts" -> name: 'posts'
+    annotationArgument(argument, scope) {
+        const named = argument.match(/^(?:(\w+)|"(\w+)")\s*=\s*([\s\S]+)$/);
+        return named
+            ? `${named[1] || named[2]}: ${this.annotationValue(named[3], scope)}`
+            : this.annotationValue(argument, scope);
+    }
+
+    // "text" -> 'text', {"a", "b"} -> ['a', 'b'], {"key"=1} -> ['key' => 1], @Index(...) -> new \...\Index(...)
+    annotationValue(value, scope) {
+        const text = value.trim();
+        const string = text.match(/^"([\s\S]*)"$/);
+        if (string) {
+            const unescaped = string[1].replace(/""/g, '"');
+            return `'${unescaped.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+        }
+        if (text.startsWith('{') && text.endsWith('}')) {
+            const entries = splitTopLevel(text.slice(1, -1)).map(entry => {
+                const keyed = entry.match(/^(?:(\w+)|"([^"]*)")\s*[=:]\s*([\s\S]+)$/);
+                return keyed
+                    ? `'${keyed[1] || keyed[2]}' => ${this.annotationValue(keyed[3], scope)}`
+                    : this.annotationValue(entry, scope);
+            });
+            return `[${entries.join(', ')}]`;
+        }
+        const nested = text.match(/^@(\\?[\w\\]+)\s*(\(([\s\S]*)\))?$/);
+        if (nested) {
+            const args = nested[2] ? splitTopLevel(nested[3]).map(argument => this.annotationArgument(argument, scope)) : [];
+            return `new \\${resolveClassName(nested[1], scope)}(${args.join(', ')})`;
+        }
+        return text;
+    }
+}
+
+export { PhpClassAnalyzer };
@@ -0,0 +1,200 @@
+/**
+ * PHP Config Parser
+ *
+ * Reads the array a Laravel config file returns (config/*.php) into plain
+ * nested values. `env('KEY', default)` calls are kept as references carrying
+ * the key, the default and the value `.env.example` gives the key, and
+ * anything that looks like a credential is redacted so the result is safe to
+ * write into the generated schemas.
+ */
+
+import {
+    findClosingBracket,
+    stripComments,
+    splitTopLevel,
+    parseCallChain,
+    parseStringLiteral,
+    parseArrayEntries,
+    extractImports,
+    parseClassReference
+} from './php-source.mjs';
+import { REDACTED, isSensitiveKey, isSensitiveEnv, redactSecret, redactValue, parseDotenv } from './config-redaction.mjs';
+
+// PHP casts applied to config values, e.g. (int) env('SESSION_LIFETIME', 120)
+const CASTS = {
+    int: value => Number.parseInt(value, 10),
+    integer: value => Number.parseInt(value, 10),
+    float: value => Number.parseFloat(value),
+    double: value => Number.parseFloat(value),
+    bool: value => Boolean(value),
+    boolean: value => Boolean(value),
+    string: value => String(value)
+};
+
+class PhpConfigParser {
+    /**
+     * `envExample` is the content of `.env.example`; env() references resolve
+     * against it. The real `.env` is deliberately never read.
+     */
+    constructor(envExample = '') {
+        this.env = parseDotenv(envExample);
+    }
+
+    /**
+     * Returns `{ values, env }`: the returned array as nested objects/lists, and
+     * every env() reference with the dotted config path it feeds.
+     */
+    parse(content) {
+        const source = stripComments(content).replace(/^\s*<\?php/, '');
+        const scope = { imports: extractImports(source), namespace: null };
+        const returned = splitTopLevel(source, ';')
+            .map(statement => statement.trim().match(/^return\s+([\s\S]+)$/))
+            .find(Boolean);
+        if (!returned) {
+            throw new Error('Config file does not return an array');
+        }
+
+        const references = [];
+        const values = this.parseValue(returned[1].trim(), scope, [], references);
+        return { values, env: references };
+    }
+
+    parseValue(expression, scope, keyPath, references) {
+        const sensitive = keyPath.length > 0 && isSensitiveKey(keyPath[keyPath.length - 1]);
+
+        const entries = parseArrayEntries(expression);
+        if (entries) {
+            const isList = entries.every(entry => entry.key === null);
+            if (isList) {
+                return entries.map((entry, index) => this.parseValue(entry.value.trim(), scope, [...keyPath, String(index)], references));
+            }
+            const object = {};
+            entries.forEach((entry, index) => {
+                const key = entry.key === null ? String(index) : this.parseKey(entry.key, scope);
+                object[key] = this.parseValue(entry.value.trim(), scope, [...keyPath, key], references);
+            });
+            return object;
+        }
+
+        const cast = expression.match(/^\(\s*(int|integer|float|double|bool|boolean|string)\s*\)\s*([\s\S]+)$/i);
+        if (cast) {
+            const castValue = CASTS[cast[1].toLowerCase()];
+            const value = this.parseValue(cast[2].trim(), scope, keyPath, references);
+            if (value === null || typeof value !== 'object') return value === REDACTED ? value : castValue(value);
+            if (value.env !== undefined) {
+                // The reference was recorded last, after any env() in its default
+                this.castReference(value, castValue);
+                this.castReference(references[references.length - 1], castValue);
+            }
+            return value;
+        }
+
+        const envCall = expression.match(/^\\?env\s*\(/);
+        if (envCall && findClosingBracket(expression, envCall[0].length - 1) === expression.length - 1) {
+            return this.parseEnvReference(expression, scope, keyPath, references, sensitive);
+        }
+
+        const scalar = this.parseScalar(expression);
+        if (scalar !== undefined) {
+            return sensitive && typeof scalar === 'string' && scalar !== '' ? REDACTED : redactValue(scalar);
+        }
+
+        const classReference = expression.match(/^\\?[\w\\]+::class$/) && parseClassReference(expression, scope);
+        if (classReference) return classReference;
+
+        // storage_path('app'), env('A') ?: 'b', Str::slug(env('APP_NAME')) . '_cache', ...
+        const nestedEnv = this.collectEnvCalls(expression);
+        nestedEnv.forEach(call => this.parseEnvReference(call, scope, keyPath, references, sensitive));
+        return { expression: sensitive ? REDACTED : expression };
+    }
+
+    parseKey(expression, scope) {
+        const literal = parseStringLiteral(expression);
+        if (literal !== null) return literal;
+        const classReference = expression.trim().match(/^\\?[\w\\]+::class$/) && parseClassReference(expression, scope);
+        return classReference || expression.trim();
+    }
+
+    /**
+     * `env('KEY', default)` becomes `{ env, default, value }` where value is
+     * what .env.example sets (falling back to the default), and is recorded in
+     * `references` under its dotted config path.
+     */
+    parseEnvReference(expression, scope, keyPath, references, sensitive) {
+        const [call] = parseCallChain(expression.trim().replace(/^\\?env\s*/, '->env'));
+        const key = parseStringLiteral(call.args[0]) || call.args[0].trim();
+        const hasDefault = call.args.length > 1;
+        const defaultValue = hasDefault ? this.parseValue(call.args[1].trim(), scope, keyPath, references) : null;
+        const redact = sensitive || isSensitiveEnv(key);
+
+        const reference = { env: key };
+        if (hasDefault) reference.default = redact ? redactSecret(defaultValue) : defaultValue;
+        if (Object.prototype.hasOwnProperty.call(this.env, key)) {
+            const value = this.castEnvValue(this.env[key]);
+            reference.value = redact ? redactSecret(value) : redactValue(value);
+        } else {
+            reference.value = reference.default !== undefined ? reference.default : null;
+        }
+
+        references.push({ path: keyPath.join('.'), ...reference });
+        return reference;
+    }
+
+    collectEnvCalls(expression) {
+        const calls = [];
+        const pattern = /(^|[^\w$>:\\])(\\?env\s*\()/g;
+        let match;
+        while ((match = pattern.exec(expression)) !== null) {
+            const start = match.index + match[1].length;
+            const open = match.index + match[0].length - 1;
+            const close = findClosingBracket(expression, open);
+            if (close === -1) break;
+            calls.push(expression.slice(start, close + 1));
+            pattern.lastIndex = close + 1;
+        }
+        return calls;
+    }
+
+    // undefined when the expression is not a literal
+    parseScalar(expression) {
+        const literal = parseStringLiteral(expression);
+        if (literal !== null) return literal;
+        if (/^-?\d+(?:_\d+)*$/.test(expression)) return Number(expression.replace(/_/g, ''));
+        if (/^-?\d*\.\d+$/.test(expression)) return Number(expression);
+        if (/^true$/i.test(expression)) return true;
+        if (/^false$/i.test(expression)) return false;
+        if (/^null$/i.test(expression)) return null;
+        return undefined;
+    }
+
+    castReference(reference, cast) {
+        for (const field of ['default', 'value']) {
+            const value = reference[field];
+            if (value !== undefined && value !== null && value !== REDACTED && typeof value !== 'object') {
+                reference[field] = cast(value);
+            }
+        }
+    }
+
+    // Mirrors Illuminate\Support\Env: "true", "(false)", "null", "empty"
+    castEnvValue(value) {
+        switch (value.toLowerCase()) {
+            case 'true':
+            case '(true)':
+                return true;
+            case 'false':
+            case '(false)':
+                return false;
+            case 'empty':
+            case '(empty)':
+                return '';
+            case 'null':
+            case '(null)':
+                return null;
+            default:
+                return value;
+        }
+    }
+}
+
+export { PhpConfigParser };
@@ -0,0 +1,393 @@
+/**
+ * PHP Source Helpers
+ *
+ * Lightweight lexical helpers shared by the schema generator for walking PHP
+ * source without executing it: bracket matching that respects strings and
+ * comments, top-level splitting, method body extraction and fluent call chain
+ * parsing (e.g. `$table->string('name')->nullable()`).
+ */
+
+const OPENERS = { '(': ')', '[': ']', '{': '}' };
+const CLOSERS = new Set([')', ']', '}']);
+
+/**
+ * Returns the index just past a string or comment starting at `index`,
+ * or `index` itself when there is none.
+ */
+function skipNonCode(content, index) {
+    const char = content[index];
+    const next = content[index + 1];
+
+    if (char === '\'' || char === '"' || char === '`') {
+        let i = index + 1;
+        while (i < content.length && content[i] !== char) {
+            if (content[i] === '\\') i++;
+            i++;
+        }
+        return i + 1;
+    }
+
+    if ((char === '/' && next === '/') || (char === '#' && next !== '[')) {
+        const end = content.indexOf('\n', index);
+        return end === -1 ? content.length : end;
+    }
+
+    if (char === '/' && next === '*') {
+        const end = content.indexOf('*/', index + 2);
+        return end === -1 ? content.length : end + 2;
+    }
+
+    return index;
+}
+
+/**
+ * Finds the index of the bracket closing the one at `openIndex`.
+ * Returns -1 when the source is unbalanced.
+ */
+function findClosingBracket(content, openIndex) {
+    const stack = [];
+    let i = openIndex;
+
+    while (i < content.length) {
+        const skipped = skipNonCode(content, i);
+        if (skipped !== i) {
+            i = skipped;
+            continue;
+        }
+
+        const char = content[i];
+        if (OPENERS[char]) {
+            stack.push(OPENERS[char]);
+        } else if (CLOSERS.has(char)) {
+            if (stack.pop() !== char) return -1;
+            if (stack.length === 0) return i;
+        }
+        i++;
+    }
+
+    return -1;
+}
+
+/**
+ * Splits `content` on `separator` wherever it appears outside brackets,
+ * strings and comments. Empty segments are dropped.
+ */
+function splitTopLevel(content, separator = ',') {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    let i = 0;
+
+    while (i < content.length) {
+        const skipped = skipNonCode(content, i);
+        if (skipped !== i) {
+            i = skipped;
+            continue;
+        }
+
+        const char = content[i];
+        if (OPENERS[char]) {
+            depth++;
+        } else if (CLOSERS.has(char)) {
+            depth--;
+        } else if (depth === 0 && content.startsWith(separator, i)) {
+            parts.push(content.slice(start, i));
+            start = i + separator.length;
+            i = start;
+            continue;
+        }
+        i++;
+    }
+
+    parts.push(content.slice(start));
+    return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Removes `//`, `#` and block comments while leaving string literals intact.
+ */
+function stripComments(content) {
+    let result = '';
+    let i = 0;
+
+    while (i < content.length) {
+        const skipped = skipNonCode(content, i);
+        if (skipped !== i) {
+            const isString = content[i] === '\'' || content[i] === '"' || content[i] === '`';
+            if (isString) result += content.slice(i, skipped);
+            i = skipped;
+            continue;
+        }
+        result += content[i];
+        i++;
+    }
+
+    return result;
+}
+
+/**
+ * Returns the body (without braces) of the first method named `methodName`,
+ * or null when the class does not declare it.
+ */
+function extractMethodBody(content, methodName) {
+    const pattern = new RegExp(`function\\s+${methodName}\\s*\\(`, 'g');
+    const match = pattern.exec(content);
+    if (!match) return null;
+
+    const paramsClose = findClosingBracket(content, match.index + match[0].length - 1);
+    if (paramsClose === -1) return null;
+
+    const bodyOpen = content.indexOf('{', paramsClose);
+    if (bodyOpen === -1) return null;
+
+    const bodyClose = findClosingBracket(content, bodyOpen);
+    if (bodyClose === -1) return null;
+
+    return content.slice(bodyOpen + 1, bodyClose);
+}
+
+/**
+ * Parses a fluent chain such as `$table->string('name', 100)->nullable()`
+ * into `[{ method: 'string', args: ["'name'", '100'] }, { method: 'nullable', args: [] }]`.
+ * Arguments are returned as raw PHP expressions.
+ */
+function parseCallChain(expression) {
+    const calls = [];
+    const pattern = /(?:->|::)\s*(\w+)\s*\(/g;
+    let match;
+
+    while ((match = pattern.exec(expression)) !== null) {
+        const open = match.index + match[0].length - 1;
+        const close = findClosingBracket(expression, open);
+        if (close === -1) break;
+
+        calls.push({
+            method: match[1],
+            args: splitTopLevel(expression.slice(open + 1, close))
+        });
+        pattern.lastIndex = close + 1;
+    }
+
+    return calls;
+}
+
+/**
+ * Returns the value of a quoted PHP string literal, or null for any other expression.
+ */
+function parseStringLiteral(expression) {
+    if (typeof expression !== 'string') return null;
+    const match = expression.trim().match(/^(['"])([\s\S]*)\1$/);
+    return match ? match[2].replace(/\\(['"\\])/g, '$1') : null;
+}
+
+/**
+ * Returns the string values of a PHP array literal (`['a', 'b']` or `array('a', 'b')`).
+ * Non-literal elements are skipped.
+ */
+function parseStringList(expression) {
+    if (typeof expression !== 'string') return [];
+    const match = expression.trim().match(/^(?:\[([\s\S]*)\]|array\s*\(([\s\S]*)\))$/i);
+    if (!match) return [];
+
+    return splitTopLevel(match[1] !== undefined ? match[1] : match[2])
+        .map(parseStringLiteral)
+        .filter(value => value !== null);
+}
+
+/**
+ * Splits a PHP array literal into `{ key, value }` entries with raw expressions.
+ * List entries get a null key. Returns null when `expression` is not an array literal.
+ */
+function parseArrayEntries(expression) {
+    if (typeof expression !== 'string') return null;
+    const match = expression.trim().match(/^(?:\[([\s\S]*)\]|array\s*\(([\s\S]*)\))$/i);
+    if (!match) return null;
+
+    return splitTopLevel(match[1] !== undefined ? match[1] : match[2]).map(entry => {
+        const parts = splitTopLevel(entry, '=>');
+        return parts.length > 1
+            ? { key: parts[0], value: parts.slice(1).join(' => ') }
+            : { key: null, value: parts[0] };
+    });
+}
+
+/**
+ * Returns the raw initializer of a class property (`protected $fillable = [...]`),
+ * or null when the property is not declared with a value.
+ */
+function extractPropertyValue(content, propertyName) {
+    const pattern = new RegExp(`(?:public|protected|private|var)\\s+(?:static\\s+)?(?:readonly\\s+)?(?:\\??[\\w\\\\|]+\\s+)?\\$${propertyName}\\s*=`);
+    const match = pattern.exec(content);
+    if (!match) return null;
+
+    const rest = content.slice(match.index + match[0].length);
+    const [value] = splitTopLevel(rest, ';');
+    return value || null;
+}
+
+/**
+ * Returns the body (without braces) of the first class declared in `source`,
+ * or the whole source when it declares none.
+ */
+function extractClassBody(source) {
+    const classMatch = source.match(/\bclass\s+\w+[^{]*\{/);
+    if (!classMatch) return source;
+
+    const open = classMatch.index + classMatch[0].length - 1;
+    const close = findClosingBracket(source, open);
+    return source.slice(open + 1, close === -1 ? source.length : close);
+}
+
+/**
+ * Lists the methods declared in `content` with their modifiers, raw parameter
+ * list, return type and body (null for abstract/interface methods).
+ */
+function extractMethods(content) {
+    const methods = [];
+    const pattern = /((?:(?:public|protected|private|static|final|abstract)\s+)*)function\s+&?\s*(\w+)\s*\(/g;
+    let match;
+
+    while ((match = pattern.exec(content)) !== null) {
+        const paramsOpen = match.index + match[0].length - 1;
+        const paramsClose = findClosingBracket(content, paramsOpen);
+        if (paramsClose === -1) break;
+
+        const afterParams = content.slice(paramsClose + 1);
+        const returnMatch = afterParams.match(/^\s*:\s*([?\w\\|&]+(?:\s*\|\s*[?\w\\]+)*)/);
+        const terminator = afterParams.search(/[{;]/);
+        let body = null;
+        let end = paramsClose + 1 + (terminator === -1 ? afterParams.length : terminator);
+
+        if (terminator !== -1 && afterParams[terminator] === '{') {
+            const bodyOpen = paramsClose + 1 + terminator;
+            const bodyClose = findClosingBracket(content, bodyOpen);
+            if (bodyClose !== -1) {
+                body = content.slice(bodyOpen + 1, bodyClose);
+                end = bodyClose;
+            }
+        }
+
+        const modifiers = match[1].trim().split(/\s+/).filter(Boolean);
+        methods.push({
+            name: match[2],
+            visibility: modifiers.find(modifier => ['public', 'protected', 'private'].includes(modifier)) || 'public',
+            static: modifiers.includes('static'),
+            abstract: modifiers.includes('abstract'),
+            params: content.slice(paramsOpen + 1, paramsClose).trim(),
+            returnType: returnMatch ? returnMatch[1].trim() : null,
+            body,
+            offset: match.index
+        });
+        pattern.lastIndex = end + 1;
+    }
+
+    return methods;
+}
+
+/**
+ * Maps the short names imported by top-level `use` statements to their fully
+ * qualified class names: `use Foo\Bar as Baz;` -> `{ Baz: 'Foo\Bar' }`.
+ */
+function extractImports(source) {
+    const imports = {};
+    const pattern = /^use\s+([\w\\]+)(?:\s+as\s+(\w+))?\s*;/gm;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+        imports[match[2] || match[1].split('\\').pop()] = match[1];
+    }
+    return imports;
+}
+
+/**
+ * Resolves a class name the way PHP does: fully qualified names are kept,
+ * otherwise the first segment goes through the file imports, then the namespace.
+ * `scope` is `{ imports, namespace }`.
+ */
+function resolveClassName(name, scope) {
+    if (name.startsWith('\\')) return name.slice(1);
+    const [first, ...rest] = name.split('\\');
+    if (scope.imports && scope.imports[first]) return [scope.imports[first], ...rest].join('\\');
+    return scope.namespace ? `${scope.namespace}\\${name}` : name;
+}
+
+/**
+ * Returns the class named by a `Foo::class` expression or a string literal,
+ * resolved against `scope`, or null for any other expression.
+ */
+function parseClassReference(expression, scope) {
+    const match = (expression || '').trim().match(/^(\\?[\w\\]+)::class$/);
+    if (match) return resolveClassName(match[1], scope);
+    const literal = parseStringLiteral(expression);
+    return literal ? literal.replace(/^\\/, '') : null;
+}
+
+/**
+ * The value of a constant PHP expression such as an attribute argument:
+ * scalars, arrays (a list, or an object when keyed), `Foo::class` as the
+ * resolved class name and `new Foo(...)` as `{ class, arguments }` with raw
+ * arguments. Anything else is kept as `{ expression }`.
+ */
+function parseConstantExpression(expression, scope) {
+    const text = expression.trim();
+    const literal = parseStringLiteral(text);
+    if (literal !== null) return literal;
+    if (/^-?\d+(?:_\d+)*$/.test(text)) return Number(text.replace(/_/g, ''));
+    if (/^-?\d*\.\d+$/.test(text)) return Number(text);
+    if (/^(?:true|false)$/i.test(text)) return text.toLowerCase() === 'true';
+    if (/^null$/i.test(text)) return null;
+
+    const classReference = text.match(/^(\\?[\w\\]+)::class$/);
+    if (classReference) return resolveClassName(classReference[1], scope);
+
+    const entries = parseArrayEntries(text);
+    if (entries) {
+        if (entries.every(entry => entry.key === null)) return entries.map(entry => parseConstantExpression(entry.value, scope));
+        const values = {};
+        entries.forEach((entry, position) => {
+            const key = entry.key === null ? position : parseConstantExpression(entry.key, scope);
+            values[typeof key === 'object' && key !== null ? key.expression : key] = parseConstantExpression(entry.value, scope);
+        });
+        return values;
+    }
+
+    const instance = text.match(/^new\s+(\\?[\w\\]+)\s*\(/);
+    if (instance && findClosingBracket(text, instance[0].length - 1) === text.length - 1) {
+        return { class: resolveClassName(instance[1], scope), arguments: splitTopLevel(text.slice(instance[0].length, -1)) };
+    }
+
+    return { expression: text };
+}
+
+/**
+ * Reads raw attribute arguments (`"'/posts'"`, `"methods: ['GET']"`) into
+ * an object keyed by parameter name. Positional arguments take their names
+ * from `positional`, in the order the attribute's constructor declares them.
+ */
+function parseAttributeArguments(args, scope, positional = []) {
+    const values = {};
+    (args || []).forEach((argument, position) => {
+        const named = argument.match(/^(\w+)\s*:(?!:)\s*([\s\S]*)$/);
+        const name = named ? named[1] : positional[position];
+        if (name) values[name] = parseConstantExpression(named ? named[2] : argument, scope);
+    });
+    return values;
+}
+
+export {
+    findClosingBracket,
+    splitTopLevel,
+    stripComments,
+    extractMethodBody,
+    parseCallChain,
+    parseStringLiteral,
+    parseStringList,
+    parseArrayEntries,
+    extractPropertyValue,
+    extractClassBody,
+    extractMethods,
+    extractImports,
+    resolveClassName,
+    parseClassReference,
+    parseConstantExpression,
+    parseAttributeArguments
+};
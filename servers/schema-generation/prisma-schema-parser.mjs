@@ -0,0 +1,421 @@
+/**
+ * Prisma Schema Parser
+ *
+ * Reads `schema.prisma` files: the datasource, enums, and each model's
+ * fields with their `@id`, `@default`, `@unique`, `@map`, `@db.*` and
+ * `@relation` attributes and the `@@id`, `@@unique`, `@@index` and `@@map`
+ * block attributes. Models become tables shaped like the migration replay
+ * engine's (columns under their database names, foreign keys from
+ * `@relation(fields, references)`, the `_AToB` tables of implicit
+ * many-to-many relations) and business logic models with Eloquent-style
+ * relationships.
+ */
+
+import { maskJs, findClosingBracket, splitTopLevel, parseString } from './js-source.mjs';
+import { redactValue } from './config-redaction.mjs';
+
+const SCALAR_TYPES = ['String', 'Boolean', 'Int', 'BigInt', 'Float', 'Decimal', 'DateTime', 'Json', 'Bytes', 'Unsupported'];
+
+// Prisma's referential actions in the vocabulary of migration foreign keys
+const REFERENTIAL_ACTIONS = { Cascade: 'cascade', Restrict: 'restrict', NoAction: 'no action', SetNull: 'set null', SetDefault: 'set default' };
+
+class PrismaSchemaParser {
+    constructor(file = 'prisma/schema.prisma') {
+        this.file = file;
+    }
+
+    /**
+     * Returns `{ datasource, generators, enums, models, tables }`. Several
+     * files of a multi-file schema can be passed as one concatenated string.
+     */
+    parse(content) {
+        const blocks = this.parseBlocks(content);
+        this.blockAttributes = new Map();
+        const result = { datasource: null, generators: {}, enums: {}, models: {}, tables: {} };
+
+        for (const block of blocks) {
+            if (block.kind === 'datasource') {
+                const settings = this.parseSettings(block.body);
+                result.datasource = { name: block.name, provider: settings.provider || null, url: settings.url || null };
+                if (settings.relationMode) result.datasource.relationMode = settings.relationMode;
+            } else if (block.kind === 'generator') {
+                result.generators[block.name] = this.parseSettings(block.body);
+            } else if (block.kind === 'enum') {
+                result.enums[block.name] = this.parseEnum(block);
+            }
+        }
+
+        const modelBlocks = blocks.filter(block => block.kind === 'model' || block.kind === 'view');
+        const names = new Set(modelBlocks.map(block => block.name));
+        for (const block of modelBlocks) {
+            result.models[block.name] = this.parseModel(block, names, result.enums);
+        }
+        this.resolveRelations(result.models);
+        result.tables = this.tables(result.models, result.enums, result.datasource);
+
+        return result;
+    }
+
+    // Top-level `kind Name { ... }` blocks with the `///` comment preceding them
+    parseBlocks(content) {
+        const { code, mask } = maskJs(content);
+        const blocks = [];
+        for (const match of mask.matchAll(/^[ \t]*(model|enum|view|type|datasource|generator)\s+(\w+)\s*\{/gm)) {
+            const open = match.index + match[0].length - 1;
+            const close = findClosingBracket(code, open, mask);
+            if (close === -1) continue;
+            blocks.push({
+                kind: match[1],
+                name: match[2],
+                summary: this.docComment(content, match.index),
+                // Comments are blanked, `///` field docs are read from the source lines
+                body: code.slice(open + 1, close),
+                source: content.slice(open + 1, close)
+            });
+        }
+        return blocks;
+    }
+
+    // `provider = "postgresql"`, `url = env("DATABASE_URL")`
+    parseSettings(body) {
+        const settings = {};
+        for (const line of body.split('\n')) {
+            const match = line.trim().match(/^(\w+)\s*=\s*(.+)$/);
+            if (!match) continue;
+            const env = match[2].match(/^env\(\s*"([^"]+)"\s*\)$/);
+            const value = env ? { env: env[1] } : this.parseArgument(match[2].trim());
+            settings[match[1]] = typeof value === 'string' ? redactValue(value) : value;
+        }
+        return settings;
+    }
+
+    parseEnum(block) {
+        const values = {};
+        let map = null;
+        for (const line of block.body.split('\n').map(entry => entry.trim()).filter(Boolean)) {
+            const blockMap = line.match(/^@@map\(\s*"([^"]+)"\s*\)/);
+            if (blockMap) {
+                map = blockMap[1];
+                continue;
+            }
+            const value = line.match(/^(\w+)(?:\s+@map\(\s*"([^"]+)"\s*\))?/);
+            if (value) values[value[1]] = value[2] || value[1];
+        }
+        return { name: block.name, ...(map ? { map } : {}), values, summary: block.summary };
+    }
+
+    parseModel(block, modelNames, enums) {
+        const model = {
+            class: block.name,
+            name: block.name,
+            file: this.file,
+            summary: block.summary,
+            table: block.name,
+            primaryKey: null,
+            fields: {},
+            relationships: []
+        };
+        const blockAttributes = [];
+        if (block.kind === 'view') model.view = true;
+
+        const sourceLines = block.source.split('\n');
+        block.body.split('\n').forEach((line, index) => {
+            const text = line.trim();
+            if (!text) return;
+            if (text.startsWith('@@')) {
+                blockAttributes.push(...this.parseAttributes(text));
+                return;
+            }
+
+            const match = text.match(/^(\w+)\s+(\w+)(?:\(([^)]*)\))?(\[\])?(\?)?\s*(.*)$/);
+            if (!match) return;
+            const [, name, type, unsupported, list, optional, rest] = match;
+            const attributes = this.parseAttributes(rest);
+            const attribute = attributeName => attributes.find(entry => entry.name === attributeName);
+            const field = {
+                name,
+                type,
+                column: this.stringArgument(attribute('map')) || name,
+                optional: Boolean(optional),
+                list: Boolean(list),
+                kind: modelNames.has(type) ? 'relation' : enums[type] ? 'enum' : SCALAR_TYPES.includes(type) ? 'scalar' : 'composite',
+                attributes
+            };
+            if (unsupported) field.unsupported = parseString(unsupported.trim());
+            const comment = sourceLines[index] && sourceLines[index].match(/\/\/\/\s*(.+)$/);
+            if (comment) field.summary = comment[1].trim();
+            model.fields[name] = field;
+        });
+
+        for (const attribute of blockAttributes) {
+            if (attribute.name === 'map') model.table = this.stringArgument(attribute) || model.table;
+        }
+
+        const idField = Object.values(model.fields).find(field => field.attributes.some(entry => entry.name === 'id'));
+        const compoundId = blockAttributes.find(entry => entry.name === 'id');
+        if (idField) model.primaryKey = idField.column;
+        else if (compoundId) model.primaryKey = this.columnsOf(model, compoundId.args.positional[0]);
+        this.blockAttributes.set(model, blockAttributes);
+        return model;
+    }
+
+    /**
+     * `@id @default(autoincrement()) @db.VarChar(255)` into
+     * `[{ name: 'id', args }, { name: 'default', args }, { name: 'db.VarChar', args }]`
+     * where `args` holds `positional` and `named` raw arguments.
+     */
+    parseAttributes(text) {
+        const { mask } = maskJs(text);
+        const attributes = [];
+        for (const match of mask.matchAll(/@@?([\w.]+)(\s*\()?/g)) {
+            const attribute = { name: match[1], block: match[0].startsWith('@@'), args: { positional: [], named: {} } };
+            if (match[2]) {
+                const open = match.index + match[0].length - 1;
+                const close = findClosingBracket(text, open, mask);
+                for (const part of splitTopLevel(text.slice(open + 1, close === -1 ? text.length : close))) {
+                    const named = part.match(/^(\w+)\s*:\s*([\s\S]+)$/);
+                    if (named) attribute.args.named[named[1]] = named[2].trim();
+                    else attribute.args.positional.push(part);
+                }
+            }
+            attributes.push(attribute);
+        }
+        return attributes;
+    }
+
+    // "users" -> 'users', [a, b(sort: Desc)] -> ['a', 'b'], autoincrement() -> { function }
+    parseArgument(raw) {
+        if (raw === undefined || raw === null) return null;
+        const text = raw.trim();
+        const string = parseString(text);
+        if (string !== null) return string;
+        if (/^-?\d+(?:\.\d+)?$/.test(text)) return Number(text);
+        if (text === 'true' || text === 'false') return text === 'true';
+        if (text.startsWith('[') && text.endsWith(']')) {
+            return splitTopLevel(text.slice(1, -1)).map(entry => {
+                const call = entry.match(/^(\w+)\s*\(/);
+                return call ? call[1] : this.parseArgument(entry);
+            });
+        }
+        const call = text.match(/^([\w.]+)\s*\(([\s\S]*)\)$/);
+        if (call) return { function: call[1], ...(call[2].trim() ? { args: splitTopLevel(call[2]).map(entry => this.parseArgument(entry)) } : {}) };
+        return text;
+    }
+
+    stringArgument(attribute) {
+        if (!attribute) return null;
+        const value = this.parseArgument(attribute.args.positional[0] || attribute.args.named.name || attribute.args.named.map);
+        return typeof value === 'string' ? value : null;
+    }
+
+    // Field names in an attribute list, mapped to their columns
+    columnsOf(model, raw) {
+        const names = this.parseArgument(raw);
+        return (Array.isArray(names) ? names : []).map(name => (model.fields[name] ? model.fields[name].column : name));
+    }
+
+    modelIndexes(model) {
+        const indexes = [];
+        const table = model.table;
+        const primary = Array.isArray(model.primaryKey) ? model.primaryKey : model.primaryKey ? [model.primaryKey] : [];
+        if (primary.length > 0) indexes.push({ name: `${table}_pkey`, type: 'primary', columns: primary });
+
+        for (const field of Object.values(model.fields)) {
+            const unique = field.attributes.find(attribute => attribute.name === 'unique');
+            if (unique) indexes.push({ name: this.parseArgument(unique.args.named.map) || `${table}_${field.column}_key`, type: 'unique', columns: [field.column] });
+        }
+
+        for (const attribute of this.blockAttributes.get(model) || []) {
+            if (!['unique', 'index', 'fulltext'].includes(attribute.name)) continue;
+            const columns = this.columnsOf(model, attribute.args.positional[0] || attribute.args.named.fields);
+            const suffix = attribute.name === 'unique' ? 'key' : 'idx';
+            const index = {
+                name: this.parseArgument(attribute.args.named.map) || `${table}_${columns.join('_')}_${suffix}`,
+                type: attribute.name === 'fulltext' ? 'fullText' : attribute.name,
+                columns
+            };
+            // name: is the Prisma Client name of a compound unique, map: the database name
+            if (attribute.args.named.name) index.clientName = this.parseArgument(attribute.args.named.name);
+            if (attribute.args.named.type) index.algorithm = attribute.args.named.type;
+            indexes.push(index);
+        }
+        return indexes;
+    }
+
+    /**
+     * Turns relation fields into relationships: the side holding
+     * `@relation(fields, references)` belongs to the other; the other side
+     * has one or many; two list sides without fields form an implicit
+     * many-to-many relation through `_AToB`.
+     */
+    resolveRelations(models) {
+        for (const model of Object.values(models)) {
+            for (const field of Object.values(model.fields)) {
+                if (field.kind !== 'relation') continue;
+                const related = models[field.type];
+                const relation = field.attributes.find(attribute => attribute.name === 'relation');
+                const relationName = this.relationName(relation);
+                const fields = relation && relation.args.named.fields ? this.columnsOf(model, relation.args.named.fields) : [];
+
+                if (fields.length > 0) {
+                    const references = this.columnsOf(related, relation.args.named.references);
+                    model.relationships.push({
+                        name: field.name,
+                        type: 'belongsTo',
+                        related: related.class,
+                        relatedTable: related.table,
+                        foreignKey: fields[0],
+                        ownerKey: references[0] || related.primaryKey,
+                        ...(fields.length > 1 ? { foreignKeys: fields, ownerKeys: references } : {}),
+                        onDelete: this.referentialAction(relation.args.named.onDelete) || (field.optional ? 'set null' : 'restrict'),
+                        onUpdate: this.referentialAction(relation.args.named.onUpdate) || 'cascade'
+                    });
+                    continue;
+                }
+
+                const opposite = Object.values(related.fields).find(candidate => candidate.kind === 'relation' &&
+                    candidate.type === model.class && candidate !== field &&
+                    this.relationName(candidate.attributes.find(attribute => attribute.name === 'relation')) === relationName);
+                const oppositeRelation = opposite && opposite.attributes.find(attribute => attribute.name === 'relation');
+
+                if (field.list && opposite && opposite.list) {
+                    // Implicit many-to-many: column A references the model whose name sorts first
+                    const [first] = [model.class, related.class].sort();
+                    model.relationships.push({
+                        name: field.name,
+                        type: 'belongsToMany',
+                        related: related.class,
+                        relatedTable: related.table,
+                        table: `_${relationName || [model.class, related.class].sort().join('To')}`,
+                        foreignPivotKey: first === model.class ? 'A' : 'B',
+                        relatedPivotKey: first === model.class && model.class !== related.class ? 'B' : 'A',
+                        implicit: true
+                    });
+                } else if (oppositeRelation && oppositeRelation.args.named.fields) {
+                    model.relationships.push({
+                        name: field.name,
+                        type: field.list ? 'hasMany' : 'hasOne',
+                        related: related.class,
+                        relatedTable: related.table,
+                        foreignKey: this.columnsOf(related, oppositeRelation.args.named.fields)[0],
+                        localKey: this.columnsOf(model, oppositeRelation.args.named.references)[0] || model.primaryKey
+                    });
+                }
+            }
+        }
+    }
+
+    relationName(relation) {
+        if (!relation) return null;
+        const value = this.parseArgument(relation.args.positional[0] || relation.args.named.name);
+        return typeof value === 'string' ? value : null;
+    }
+
+    referentialAction(value) {
+        return value ? REFERENTIAL_ACTIONS[value.trim()] || value.trim() : null;
+    }
+
+    /**
+     * Tables shaped like the migration replay engine's, keyed by database
+     * name, plus the join tables of implicit many-to-many relations.
+     */
+    tables(models, enums, datasource) {
+        const tables = {};
+        for (const model of Object.values(models)) {
+            const table = { name: model.table, model: model.class, createdIn: this.file, modifiedIn: [], columns: {}, foreignKeys: [], indexes: this.modelIndexes(model), checks: [] };
+            if (model.view) table.view = true;
+
+            for (const field of Object.values(model.fields)) {
+                if (field.kind === 'relation') continue;
+                table.columns[field.column] = this.column(field, model, enums);
+            }
+            for (const relationship of model.relationships) {
+                if (relationship.type !== 'belongsTo' || datasource && datasource.relationMode === 'prisma') continue;
+                (relationship.foreignKeys || [relationship.foreignKey]).forEach((column, index) => {
+                    table.foreignKeys.push({
+                        column,
+                        on: relationship.relatedTable,
+                        references: relationship.ownerKeys ? relationship.ownerKeys[index] : relationship.ownerKey,
+                        onDelete: relationship.onDelete,
+                        onUpdate: relationship.onUpdate,
+                        migration: this.file
+                    });
+                });
+            }
+            tables[model.table] = table;
+        }
+
+        for (const model of Object.values(models)) {
+            for (const relationship of model.relationships) {
+                if (relationship.type !== 'belongsToMany' || tables[relationship.table]) continue;
+                const related = models[relationship.related];
+                const sides = relationship.foreignPivotKey === 'A' ? [model, related] : [related, model];
+                const table = { name: relationship.table, model: null, createdIn: this.file, modifiedIn: [], columns: {}, foreignKeys: [], indexes: [], checks: [], autoCreated: true };
+                ['A', 'B'].forEach((column, index) => {
+                    const side = sides[index];
+                    const key = side.fields[Object.keys(side.fields).find(name => side.fields[name].column === side.primaryKey)];
+                    table.columns[column] = { name: column, type: key ? key.type : 'Int', nullable: false, default: null, unique: false, index: column === 'B', provenance: [{ model: model.class, action: 'auto_created' }] };
+                    table.foreignKeys.push({ column, on: side.table, references: side.primaryKey, onDelete: 'cascade', onUpdate: 'cascade', migration: this.file });
+                });
+                table.indexes.push({ name: `${relationship.table}_AB_unique`, type: 'unique', columns: ['A', 'B'] });
+                table.indexes.push({ name: `${relationship.table}_B_index`, type: 'index', columns: ['B'] });
+                tables[relationship.table] = table;
+            }
+        }
+        return tables;
+    }
+
+    column(field, model, enums) {
+        const attribute = name => field.attributes.find(entry => entry.name === name);
+        const isId = Boolean(attribute('id')) || (Array.isArray(model.primaryKey) && model.primaryKey.includes(field.column));
+        const defaultValue = attribute('default') ? this.parseArgument(attribute('default').args.positional[0]) : null;
+        const column = {
+            name: field.column,
+            type: field.type,
+            nullable: field.optional,
+            default: defaultValue && defaultValue.function ? `${defaultValue.function}()` : defaultValue,
+            unique: Boolean(attribute('unique')),
+            index: false
+        };
+        if (isId) column.primary = true;
+        if (defaultValue && defaultValue.function === 'autoincrement') {
+            column.autoIncrement = true;
+            column.default = null;
+        }
+        if (field.list) column.list = true;
+        if (attribute('updatedAt')) column.updatedAt = true;
+
+        const native = field.attributes.find(entry => entry.name.startsWith('db.'));
+        if (native) {
+            column.nativeType = native.name.slice(3);
+            const [first, second] = native.args.positional.map(value => Number(value));
+            if (/Char|Binary|Bit/.test(column.nativeType) && Number.isInteger(first)) column.length = first;
+            if (/Decimal|Numeric|Money/.test(column.nativeType) && Number.isInteger(first)) {
+                column.precision = first;
+                if (Number.isInteger(second)) column.scale = second;
+            }
+        }
+        if (enums[field.type]) {
+            column.options = Object.values(enums[field.type].values);
+            // An enum default names the member; the column stores its mapped value
+            if (typeof column.default === 'string' && enums[field.type].values[column.default]) column.default = enums[field.type].values[column.default];
+        }
+        if (field.unsupported) column.unsupported = field.unsupported;
+        if (field.summary) column.comment = field.summary;
+        column.provenance = [{ model: model.class, action: 'declared' }];
+        return column;
+    }
+
+    // The `///` lines right above a block
+    docComment(content, index) {
+        const lines = content.slice(0, index).split('\n');
+        lines.pop();
+        const doc = [];
+        while (lines.length > 0 && /^\s*\/\/\//.test(lines[lines.length - 1])) {
+            doc.unshift(lines.pop().replace(/^\s*\/\/\/\s?/, '').trim());
+        }
+        return doc.length > 0 ? doc.join(' ') : null;
+    }
+}
+
+export { PrismaSchemaParser };
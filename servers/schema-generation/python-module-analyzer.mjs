@@ -0,0 +1,191 @@
+/**
+ * Python Module Analyzer
+ *
+ * Describes the classes and functions a Python module defines from its
+ * statement tree: base classes resolved through the module's imports,
+ * docstring summaries, decorators, class attributes (kept as source so
+ * callers can read field declarations), nested classes such as Django's
+ * `Meta`, and methods with their parameters. Names are dotted paths, e.g.
+ * `blog.views.PostViewSet`.
+ */
+
+import { parseBlocks, parseImports, resolveName, docstring, splitTopLevel, parseValue } from './python-source.mjs';
+
+class PythonModuleAnalyzer {
+    /**
+     * With `methodBodies`, each function and method also carries its source
+     * so callers can look for what it does (the serializer a view uses).
+     */
+    constructor({ methodBodies = false } = {}) {
+        this.methodBodies = methodBodies;
+    }
+
+    /**
+     * `module` is the dotted module name (`blog.models`); `file` the path
+     * relative to the project root.
+     */
+    analyze(content, module, file = null) {
+        const isPackage = /(?:^|\/)__init__\.py$/.test(file || '');
+        const nodes = parseBlocks(content);
+        const imports = parseImports(nodes, module, isPackage);
+        this.module = module;
+        this.imports = imports;
+
+        const description = {
+            module,
+            file,
+            summary: this.moduleDocstring(nodes),
+            imports,
+            assignments: [],
+            classes: [],
+            functions: []
+        };
+
+        for (const node of nodes) {
+            if (/^class\s/.test(node.text)) {
+                description.classes.push(this.describeClass(node, module));
+            } else if (/^(?:async\s+)?def\s/.test(node.text)) {
+                description.functions.push(this.describeFunction(node, module));
+            } else {
+                const assignment = this.parseAssignment(node);
+                if (assignment) description.assignments.push(assignment);
+            }
+        }
+
+        return description;
+    }
+
+    moduleDocstring(nodes) {
+        return docstring({ body: nodes });
+    }
+
+    // class PostAdmin(admin.ModelAdmin, metaclass=Meta)
+    describeClass(node, scope) {
+        const header = node.text.match(/^class\s+([A-Za-z_]\w*)\s*(?:\(([\s\S]*)\))?\s*$/) || [null, node.text.replace(/^class\s+/, ''), ''];
+        const name = header[1];
+        const bases = [];
+        const keywords = {};
+        for (const part of splitTopLevel(header[2] || '')) {
+            const keyword = part.match(/^(\w+)\s*=\s*([\s\S]+)$/);
+            if (keyword) keywords[keyword[1]] = keyword[2].trim();
+            else bases.push(this.resolve(part));
+        }
+
+        const description = {
+            name,
+            class: `${scope}.${name}`,
+            bases,
+            summary: docstring(node),
+            decorators: (node.decorators || []).map(decorator => this.describeDecorator(decorator)),
+            line: node.line,
+            attributes: [],
+            classes: [],
+            methods: []
+        };
+        if (Object.keys(keywords).length > 0) description.keywords = keywords;
+
+        for (const child of node.body || []) {
+            if (/^class\s/.test(child.text)) {
+                description.classes.push(this.describeClass(child, description.class));
+            } else if (/^(?:async\s+)?def\s/.test(child.text)) {
+                description.methods.push(this.describeFunction(child, description.class));
+            } else {
+                const assignment = this.parseAssignment(child);
+                if (assignment) description.attributes.push(assignment);
+            }
+        }
+
+        return description;
+    }
+
+    /**
+     * `title: str = models.CharField(...)` and `a = b = 1` as
+     * `{ name, value, annotation?, line }` with `value` the source text.
+     */
+    parseAssignment(node) {
+        const match = node.text.match(/^([A-Za-z_]\w*)\s*(?::\s*([^=]+?))?\s*(=|\+=)(?!=)\s*([\s\S]+)$/);
+        if (!match) return null;
+        let value = match[4].trim();
+        // a = b = 1 assigns the last expression
+        const chained = value.match(/^[A-Za-z_]\w*\s*=(?!=)\s*([\s\S]+)$/);
+        if (chained) value = chained[1].trim();
+
+        const assignment = { name: match[1], value, line: node.line };
+        if (match[2]) assignment.annotation = match[2].trim();
+        if (match[3] === '+=') assignment.augmented = true;
+        return assignment;
+    }
+
+    describeFunction(node, scope) {
+        const header = node.text.match(/^(async\s+)?def\s+([A-Za-z_]\w*)\s*\(([\s\S]*)\)\s*(?:->\s*([\s\S]+))?$/);
+        if (!header) return { name: node.text.replace(/^(?:async\s+)?def\s+/, ''), qualifiedName: null, decorators: [], parameters: [] };
+
+        const decorators = (node.decorators || []).map(decorator => this.describeDecorator(decorator));
+        const names = decorators.map(decorator => decorator.name);
+        const description = {
+            name: header[2],
+            qualifiedName: `${scope}.${header[2]}`,
+            async: Boolean(header[1]),
+            static: names.includes('staticmethod'),
+            classMethod: names.includes('classmethod'),
+            property: names.includes('property') || names.includes('cached_property') || names.includes('functools.cached_property'),
+            summary: docstring(node),
+            decorators,
+            parameters: this.parseParameters(header[3]),
+            line: node.line
+        };
+        if (header[4]) description.returns = header[4].trim();
+        if (this.methodBodies) description.body = this.bodySource(node.body || []);
+        return description;
+    }
+
+    // @action(detail=True, methods=["post"]) -> { name: 'action', arguments, options }
+    describeDecorator(text) {
+        const call = text.match(/^([\w.]+)\s*\(([\s\S]*)\)$/);
+        const name = call ? call[1] : text.trim();
+        const decorator = { name, resolved: this.resolve(name) };
+        if (call) {
+            const options = {};
+            const positional = [];
+            for (const part of splitTopLevel(call[2])) {
+                const keyword = part.match(/^(\w+)\s*=(?!=)\s*([\s\S]+)$/);
+                if (keyword) options[keyword[1]] = parseValue(keyword[2]);
+                else positional.push(parseValue(part));
+            }
+            decorator.arguments = positional;
+            decorator.options = options;
+        }
+        return decorator;
+    }
+
+    // (self, pk, *args, format=None, **kwargs)
+    parseParameters(list) {
+        return splitTopLevel(list.trim())
+            .filter(parameter => parameter !== '/' && parameter !== '*')
+            .map(parameter => {
+                let match;
+                if ((match = parameter.match(/^\*\*(\w+)/))) return { name: match[1], kind: 'keyrest' };
+                if ((match = parameter.match(/^\*(\w+)/))) return { name: match[1], kind: 'rest' };
+                match = parameter.match(/^(\w+)\s*(?::\s*([^=]+?))?\s*(?:=\s*([\s\S]+))?$/);
+                if (!match) return { name: parameter, kind: 'required' };
+                const described = { name: match[1], kind: match[3] !== undefined ? 'optional' : 'required' };
+                if (match[2]) described.type = match[2].trim();
+                if (match[3] !== undefined) described.default = parseValue(match[3]);
+                return described;
+            })
+            .filter(parameter => !['self', 'cls'].includes(parameter.name));
+    }
+
+    bodySource(nodes, depth = 0) {
+        return nodes.map(node => {
+            const line = `${'    '.repeat(depth)}${node.text}`;
+            return node.body ? `${line}:\n${this.bodySource(node.body, depth + 1)}` : line;
+        }).join('\n');
+    }
+
+    resolve(name) {
+        return resolveName(name.trim(), this.imports, this.module);
+    }
+}
+
+export { PythonModuleAnalyzer };
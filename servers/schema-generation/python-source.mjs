@@ -0,0 +1,476 @@
+/**
+ * Python Source Helpers
+ *
+ * Lexical helpers for reading Django source without a Python interpreter:
+ * masking of comments and string literals, a statement tree that follows
+ * indentation (with decorators attached to the `def`/`class` they precede),
+ * parsing of calls and keyword arguments, conversion of literals (strings,
+ * numbers, lists, tuples, dicts) to JS values, and resolution of names
+ * through a module's imports.
+ */
+
+const OPENERS = { '(': ')', '[': ']', '{': '}' };
+const CLOSERS = new Set([')', ']', '}']);
+
+const COMPOUND_KEYWORD = /^(?:async\s+)?(?:class|def|if|elif|else|for|while|try|except|finally|with|match|case)\b/;
+
+// _("Title") and gettext_lazy("Title") are translated strings
+const TRANSLATION_CALL = /^(?:_|gettext|gettext_lazy|ugettext|ugettext_lazy|pgettext_lazy)\s*\(\s*([\s\S]+?)\s*\)$/;
+
+function blank(text) {
+    return text.replace(/[^\n]/g, ' ');
+}
+
+/**
+ * Returns `{ code, mask }`, both as long as `source`: `code` has comments
+ * blanked out; `mask` additionally blanks the contents of string literals
+ * (keeping their prefix and quotes), so structure can be read from `mask`
+ * and values from `code` at the same offsets.
+ */
+function maskPython(source) {
+    let code = '';
+    let mask = '';
+    let i = 0;
+
+    const emit = (text, masked = text) => {
+        code += text;
+        mask += masked;
+    };
+
+    while (i < source.length) {
+        const char = source[i];
+
+        if (char === '#') {
+            const end = source.indexOf('\n', i);
+            const stop = end === -1 ? source.length : end;
+            emit(blank(source.slice(i, stop)));
+            i = stop;
+            continue;
+        }
+
+        // r"...", b'...', f"""...""" (a prefix must not continue an identifier)
+        const literal = source.slice(i).match(/^([rRbBuUfF]{0,2})('''|"""|'|")/);
+        if (literal && (literal[1] === '' || !/[\w]/.test(source[i - 1] || ''))) {
+            const [opener, prefix, quote] = literal;
+            const raw = /r/i.test(prefix);
+            const end = skipString(source, i + opener.length, quote, raw);
+            const text = source.slice(i, end);
+            const closing = text.endsWith(quote) && text.length >= opener.length + quote.length ? quote : '';
+            emit(text, opener + blank(text.slice(opener.length, text.length - closing.length)) + closing);
+            i = end;
+            continue;
+        }
+
+        emit(char);
+        i++;
+    }
+
+    return { code, mask };
+}
+
+// Index just past the string whose contents start at `index`
+function skipString(source, index, quote, raw) {
+    let i = index;
+    while (i < source.length) {
+        if (source[i] === '\\') {
+            i += 2;
+            continue;
+        }
+        if (source.startsWith(quote, i)) return i + quote.length;
+        // An unterminated single-quoted string ends at the line break
+        if (quote.length === 1 && source[i] === '\n' && !raw) return i;
+        i++;
+    }
+    return source.length;
+}
+
+/**
+ * Finds the bracket closing the one at `openIndex`, reading structure from
+ * the mask of `source`. Returns -1 when unbalanced.
+ */
+function findClosingBracket(source, openIndex, mask = maskPython(source).mask) {
+    const stack = [];
+    for (let i = openIndex; i < mask.length; i++) {
+        const char = mask[i];
+        if (OPENERS[char]) {
+            stack.push(OPENERS[char]);
+        } else if (CLOSERS.has(char)) {
+            if (stack.pop() !== char) return -1;
+            if (stack.length === 0) return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Splits `source` on `separator` outside brackets, strings and comments.
+ * Empty segments are dropped.
+ */
+function splitTopLevel(source, separator = ',') {
+    const { code, mask } = maskPython(source);
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+
+    for (let i = 0; i < mask.length; i++) {
+        const char = mask[i];
+        if (OPENERS[char]) {
+            depth++;
+        } else if (CLOSERS.has(char)) {
+            depth--;
+        } else if (depth === 0 && mask.startsWith(separator, i)) {
+            parts.push(code.slice(start, i));
+            start = i + separator.length;
+            i = start - 1;
+        }
+    }
+
+    parts.push(code.slice(start));
+    return parts.map(part => part.trim()).filter(Boolean);
+}
+
+// Index of the first `:` outside brackets that is not a walrus, or -1
+function findTopLevelColon(masked) {
+    let depth = 0;
+    for (let i = 0; i < masked.length; i++) {
+        const char = masked[i];
+        if (OPENERS[char]) depth++;
+        else if (CLOSERS.has(char)) depth--;
+        else if (depth === 0 && char === ':' && masked[i + 1] !== '=') return i;
+    }
+    return -1;
+}
+
+/**
+ * Parses Python source into a tree of statements. Each node is
+ * `{ text, line, indent }`; compound statements (`class`, `def`, `if`, ...)
+ * carry their header without the trailing colon as `text` and the nested
+ * statements as `body`, and `def`/`class` nodes the decorator expressions
+ * above them as `decorators`. Comments are removed from `text`.
+ */
+function parseBlocks(source) {
+    const root = { body: [], indent: -1 };
+    const stack = [root];
+    let decorators = [];
+
+    for (const statement of splitStatements(source)) {
+        while (stack.length > 1 && statement.indent <= stack[stack.length - 1].indent) stack.pop();
+        const parent = stack[stack.length - 1];
+
+        if (statement.masked.startsWith('@')) {
+            decorators.push(statement.text.slice(1).trim());
+            continue;
+        }
+
+        for (const node of toNodes(statement)) {
+            if (/^(?:async\s+)?(?:def|class)\b/.test(node.text)) {
+                node.decorators = decorators;
+                decorators = [];
+            }
+            parent.body.push(node);
+            if (node.body && node.body.length === 0) stack.push(node);
+        }
+    }
+
+    return root.body;
+}
+
+// A compound statement with its suite on the same line (`class Meta: abstract = True`)
+function toNodes(statement) {
+    const { text, masked, line, indent } = statement;
+    if (!COMPOUND_KEYWORD.test(masked)) {
+        return splitMaskedOn(text, masked, ';').map(part => ({ text: part.text.trim(), line, indent }));
+    }
+
+    const colon = findTopLevelColon(masked);
+    if (colon === -1) return [{ text, line, indent }];
+
+    const node = { text: text.slice(0, colon).trim(), line, indent, body: [] };
+    const inline = text.slice(colon + 1).trim();
+    if (inline) {
+        node.body = toNodes({ text: inline, masked: masked.slice(colon + 1).trim(), line, indent: indent + 1 });
+    }
+    return [node];
+}
+
+/**
+ * Joins physical lines into logical ones (open brackets, backslash
+ * continuations and multi-line strings), returning
+ * `{ text, masked, line, indent }` statements.
+ */
+function splitStatements(source) {
+    const { code, mask } = maskPython(source);
+    const codeLines = code.split('\n');
+    const maskLines = mask.split('\n');
+    const statements = [];
+    let current = null;
+    let depth = 0;
+
+    for (let index = 0; index < codeLines.length; index++) {
+        const masked = maskLines[index];
+        if (!masked.trim() && !current) continue;
+
+        if (!current) {
+            current = { text: '', masked: '', line: index + 1, indent: masked.match(/^[ \t]*/)[0].replace(/\t/g, '        ').length };
+        } else {
+            current.text += '\n';
+            current.masked += '\n';
+        }
+        current.text += codeLines[index];
+        current.masked += masked;
+
+        for (const char of masked) {
+            if (OPENERS[char]) depth++;
+            else if (CLOSERS.has(char)) depth = Math.max(0, depth - 1);
+        }
+
+        // Masked string contents are blank, so a string spanning lines keeps its quote open
+        if (depth === 0 && !/\\\s*$/.test(masked) && !openString(current.masked)) {
+            statements.push({
+                text: current.text.trim(),
+                masked: current.masked.trim(),
+                line: current.line,
+                indent: current.indent
+            });
+            current = null;
+        }
+    }
+    if (current) statements.push({ ...current, text: current.text.trim(), masked: current.masked.trim() });
+
+    return statements;
+}
+
+// True when a triple-quoted string opened in `masked` has not been closed yet
+function openString(masked) {
+    const quotes = masked.match(/'''|"""/g) || [];
+    return quotes.length % 2 === 1;
+}
+
+function splitMaskedOn(text, masked, separator) {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < masked.length; i++) {
+        const char = masked[i];
+        if (OPENERS[char]) depth++;
+        else if (CLOSERS.has(char)) depth--;
+        else if (depth === 0 && char === separator) {
+            parts.push({ text: text.slice(start, i), masked: masked.slice(start, i) });
+            start = i + 1;
+        }
+    }
+    parts.push({ text: text.slice(start), masked: masked.slice(start) });
+    return parts.filter(part => part.masked.trim());
+}
+
+/**
+ * Parses a call expression: `models.ForeignKey(User, on_delete=models.CASCADE)`
+ * becomes `{ name: 'models.ForeignKey', args: { positional, options },
+ * trailer: '' }`, where `trailer` is whatever follows the closing parenthesis
+ * (`.as_view()` chains and the like). Returns null when `text` is not a call.
+ */
+function parseCall(text) {
+    const source = text.trim();
+    const { mask } = maskPython(source);
+    const head = mask.match(/^([A-Za-z_]\w*(?:\s*\.\s*[A-Za-z_]\w*)*)\s*\(/);
+    if (!head) return null;
+
+    const open = head[0].length - 1;
+    const close = findClosingBracket(source, open, mask);
+    if (close === -1) return null;
+
+    return {
+        name: head[1].replace(/\s+/g, ''),
+        args: parseArguments(source.slice(open + 1, close)),
+        trailer: source.slice(close + 1).trim()
+    };
+}
+
+/**
+ * Splits call arguments into raw positional expressions and keyword
+ * arguments. `*args` and `**kwargs` unpacking is listed under `unpacked`.
+ */
+function parseArguments(text) {
+    const positional = [];
+    const options = {};
+    const unpacked = [];
+
+    for (const part of splitTopLevel(text || '')) {
+        if (/^\*{1,2}/.test(part)) {
+            unpacked.push(part);
+            continue;
+        }
+        const keyword = part.match(/^([A-Za-z_]\w*)\s*=(?!=)\s*([\s\S]+)$/);
+        if (keyword) {
+            options[keyword[1]] = keyword[2].trim();
+            continue;
+        }
+        positional.push(part);
+    }
+
+    return { positional, options, unpacked };
+}
+
+/**
+ * Converts a Python literal to its JS value: strings (including implicitly
+ * concatenated and translated ones), numbers, True/False/None, lists,
+ * tuples and sets to arrays, and dicts with string keys to objects. Any
+ * other expression becomes `{ expression }`.
+ */
+function parseValue(expression) {
+    if (expression === undefined || expression === null) return null;
+    const text = String(expression).trim();
+
+    const string = parseString(text);
+    if (string !== null) return string;
+
+    if (/^-?\d[\d_]*$/.test(text)) return Number(text.replace(/_/g, ''));
+    if (/^-?(?:\d[\d_]*)?\.\d[\d_]*(?:e[+-]?\d+)?$|^-?\d[\d_]*(?:\.\d*)?e[+-]?\d+$/i.test(text)) return Number(text.replace(/_/g, ''));
+    if (/^0x[\da-f_]+$/i.test(text)) return Number.parseInt(text.replace(/_/g, '').slice(2), 16);
+    if (text === 'True') return true;
+    if (text === 'False') return false;
+    if (text === 'None') return null;
+
+    const translated = text.match(TRANSLATION_CALL);
+    if (translated) {
+        const value = parseString(translated[1]);
+        if (value !== null) return value;
+    }
+
+    const first = text[0];
+    if (OPENERS[first] && findClosingBracket(text, 0) === text.length - 1) {
+        const inner = text.slice(1, -1);
+        const parts = splitTopLevel(inner);
+        if (first === '{' && parts.length > 0 && parts.every(part => findTopLevelColon(maskPython(part).mask) !== -1)) {
+            const entries = [];
+            for (const part of parts) {
+                const colon = findTopLevelColon(maskPython(part).mask);
+                const key = parseValue(part.slice(0, colon));
+                if (typeof key !== 'string' && typeof key !== 'number') return { expression: text };
+                entries.push([String(key), parseValue(part.slice(colon + 1))]);
+            }
+            return Object.fromEntries(entries);
+        }
+        if (first === '{' && parts.length === 0) return {};
+        // (x) is grouping; (x,) and (x, y) are tuples
+        if (first === '(' && parts.length === 1 && !/,\s*$/.test(maskPython(inner).mask)) return parseValue(inner);
+        if (parts.some(part => /^\*|\bfor\b/.test(maskPython(part).mask))) return { expression: text };
+        return parts.map(parseValue);
+    }
+
+    return { expression: text };
+}
+
+// Value of a string literal or of adjacent literals ('a' "b"), or null
+function parseString(text) {
+    const { mask } = maskPython(text);
+    const pieces = [];
+    let i = 0;
+    while (i < text.length) {
+        while (/\s/.test(mask[i] || '')) i++;
+        if (i >= text.length) break;
+
+        const literal = mask.slice(i).match(/^([rRbBuU]{0,2})('''|"""|'|")/);
+        if (!literal) return null;
+        const quote = literal[2];
+        const start = i + literal[0].length;
+        const end = mask.indexOf(quote, start);
+        if (end === -1) return null;
+
+        const raw = text.slice(start, end);
+        pieces.push(/r/i.test(literal[1]) ? raw : unescape(raw));
+        i = end + quote.length;
+    }
+    return pieces.length > 0 ? pieces.join('') : null;
+}
+
+function unescape(value) {
+    return value.replace(/\\(n|t|r|\\|'|"|\n)/g, (_, char) => ({ n: '\n', t: '\t', r: '\r', '\n': '' })[char] ?? char);
+}
+
+/**
+ * The names a module's imports bind, as `{ names: { alias: 'dotted.path' },
+ * stars: ['dotted.module'] }`. Relative imports are resolved against
+ * `module` (the dotted module name; `isPackage` for `__init__.py`).
+ */
+function parseImports(nodes, module, isPackage = false) {
+    const names = {};
+    const stars = [];
+    const packageParts = module.split('.').slice(0, isPackage ? undefined : -1);
+
+    const absolute = (target) => {
+        const dots = target.match(/^\.*/)[0].length;
+        if (dots === 0) return target;
+        const base = packageParts.slice(0, packageParts.length - (dots - 1));
+        const rest = target.slice(dots);
+        return [...base, ...(rest ? [rest] : [])].join('.');
+    };
+
+    const visit = (statements) => {
+        for (const node of statements) {
+            let match;
+            if ((match = node.text.match(/^import\s+([\s\S]+)$/))) {
+                for (const part of splitTopLevel(match[1])) {
+                    const [target, alias] = part.split(/\s+as\s+/).map(value => value.trim());
+                    if (alias) names[alias] = target;
+                    else names[target.split('.')[0]] = target.split('.')[0];
+                }
+            } else if ((match = node.text.match(/^from\s+(\.*[\w.]*)\s+import\s+\(?([\s\S]*?)\)?$/))) {
+                const source = absolute(match[1]);
+                for (const part of splitTopLevel(match[2])) {
+                    if (part === '*') {
+                        stars.push(source);
+                        continue;
+                    }
+                    const [name, alias] = part.split(/\s+as\s+/).map(value => value.trim());
+                    names[alias || name] = source ? `${source}.${name}` : name;
+                }
+            } else if (node.body && /^(?:try|except|else|finally|if)\b/.test(node.text)) {
+                // try: from x import y / except ImportError: ...
+                visit(node.body);
+            }
+        }
+    };
+    visit(nodes);
+
+    return { names, stars };
+}
+
+/**
+ * Resolves a dotted name used in a module (`views.PostDetail`) to its full
+ * path (`blog.views.PostDetail`) through the module's imports; names the
+ * module does not import are taken to be its own.
+ */
+function resolveName(name, imports, module) {
+    if (!name) return name;
+    const [first, ...rest] = name.split('.');
+    if (imports.names[first]) return [imports.names[first], ...rest].join('.');
+    return module ? `${module}.${name}` : name;
+}
+
+/**
+ * The docstring opening a `def`/`class` body, trimmed to its first
+ * paragraph, or null.
+ */
+function docstring(node) {
+    const first = node && node.body && node.body[0];
+    if (!first) return null;
+    const value = parseString(first.text);
+    if (typeof value !== 'string') return null;
+    const paragraph = value.trim().split(/\n\s*\n/)[0];
+    return paragraph ? paragraph.split('\n').map(line => line.trim()).join(' ') : null;
+}
+
+export {
+    maskPython,
+    findClosingBracket,
+    splitTopLevel,
+    parseBlocks,
+    parseCall,
+    parseArguments,
+    parseValue,
+    parseString,
+    parseImports,
+    resolveName,
+    docstring
+};
@@ -0,0 +1,215 @@
+/**
+ * Rails Config Parser
+ *
+ * Reads the configuration of a Rails application without running it:
+ * ERB-templated YAML files (config/database.yml, cable.yml, ...) with their
+ * `ENV` references resolved against `.env.example` and credentials redacted,
+ * the settings config/application.rb makes, and the gems the Gemfile and
+ * Gemfile.lock declare.
+ */
+
+import yaml from 'js-yaml';
+import { parseBlocks, parseCall, parseValue } from './ruby-source.mjs';
+import { REDACTED, isSensitiveKey, isSensitiveEnv, redactSecret, redactValue, parseDotenv } from './config-redaction.mjs';
+
+// <%= ENV["DB_HOST"] %>, <%= ENV.fetch("RAILS_MAX_THREADS") { 5 } %>, <%= ENV.fetch("X", "y").to_i %>
+const ENV_REFERENCE = /^ENV\s*(?:\[\s*(['"])(\w+)\1\s*\]|\.fetch\s*\(\s*(['"])(\w+)\3\s*(?:,\s*([^)]*?))?\s*\)\s*(?:\{\s*([^}]*?)\s*\})?)\s*(?:\.(to_i|to_f|to_s|to_sym)\b)?\s*(?:\|\|\s*(.+))?$/;
+
+const CONVERSIONS = {
+    to_i: value => Number.parseInt(value, 10),
+    to_f: value => Number.parseFloat(value),
+    to_s: value => String(value),
+    to_sym: value => String(value)
+};
+
+class RailsConfigParser {
+    /**
+     * `envExample` is the content of `.env.example`; ENV references resolve
+     * against it. The real `.env` is deliberately never read.
+     */
+    constructor(envExample = '') {
+        this.env = parseDotenv(envExample);
+    }
+
+    /**
+     * Parses an ERB-templated YAML file into `{ values, env }`, the shape the
+     * PHP config parser returns: nested values, with each ENV reference as
+     * `{ env, default?, value }` and listed under its dotted path in `env`.
+     */
+    parse(content) {
+        const snippets = [];
+        // Control tags (<% if ... %>) cannot be evaluated; output tags become placeholders
+        const template = content
+            .replace(/^[ \t]*<%(?!=)[\s\S]*?%>[ \t]*\r?\n?/gm, '')
+            .replace(/<%=?\s*([\s\S]*?)\s*-?%>/g, (_, code) => {
+                snippets.push(code.trim());
+                return `__ERB_${snippets.length - 1}__`;
+            });
+
+        const references = [];
+        const values = this.resolve(yaml.load(template) || {}, snippets, [], references);
+        return { values, env: references };
+    }
+
+    resolve(value, snippets, keyPath, references) {
+        const sensitive = keyPath.length > 0 && isSensitiveKey(keyPath[keyPath.length - 1]);
+
+        if (Array.isArray(value)) {
+            return value.map((entry, index) => this.resolve(entry, snippets, [...keyPath, String(index)], references));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value)
+                .map(([key, entry]) => [key, this.resolve(entry, snippets, [...keyPath, key], references)]));
+        }
+        if (typeof value !== 'string') return value;
+
+        const whole = value.match(/^__ERB_(\d+)__$/);
+        if (whole) {
+            const code = snippets[Number(whole[1])];
+            const reference = this.parseEnvReference(code, keyPath, references, sensitive);
+            return reference || { expression: sensitive ? REDACTED : code };
+        }
+
+        if (/__ERB_\d+__/.test(value)) {
+            // "postgres://<%= ENV['DB_USER'] %>@localhost/app"
+            let expression = value;
+            for (const [placeholder, index] of [...value.matchAll(/__ERB_(\d+)__/g)].map(match => [match[0], Number(match[1])])) {
+                this.parseEnvReference(snippets[index], keyPath, references, sensitive);
+                expression = expression.replace(placeholder, `<%= ${snippets[index]} %>`);
+            }
+            return { expression: sensitive ? REDACTED : expression };
+        }
+
+        return sensitive && value !== '' ? REDACTED : redactValue(value);
+    }
+
+    parseEnvReference(code, keyPath, references, sensitive) {
+        const match = code.match(ENV_REFERENCE);
+        if (!match) return null;
+
+        const key = match[2] || match[4];
+        const defaultExpression = match[5] !== undefined && match[5] !== '' ? match[5] : match[6] !== undefined ? match[6] : match[8];
+        const convert = match[7] ? CONVERSIONS[match[7]] : value => value;
+        const redact = sensitive || isSensitiveEnv(key);
+
+        const reference = { env: key };
+        if (defaultExpression !== undefined) {
+            const parsed = parseValue(defaultExpression);
+            const defaultValue = parsed && typeof parsed === 'object' ? { expression: defaultExpression.trim() } : convert(parsed);
+            reference.default = redact ? redactSecret(defaultValue) : defaultValue;
+        }
+        if (Object.prototype.hasOwnProperty.call(this.env, key)) {
+            const value = convert(this.env[key]);
+            reference.value = redact ? redactSecret(value) : redactValue(value);
+        } else {
+            reference.value = reference.default !== undefined ? reference.default : null;
+        }
+
+        references.push({ path: keyPath.join('.'), ...reference });
+        return reference;
+    }
+
+    /**
+     * Settings config/application.rb makes on `config`: `load_defaults`,
+     * `api_only`, `time_zone`, autoload paths, generators and so on, keyed by
+     * their path below `config`.
+     */
+    parseApplication(content) {
+        const application = { module: null, loadDefaults: null, apiOnly: false, settings: {}, middleware: [] };
+
+        const visit = (nodes, namespace) => {
+            for (const node of nodes) {
+                const moduleMatch = node.text.match(/^module\s+([A-Z][\w:]*)/);
+                if (moduleMatch && node.body) {
+                    if (!application.module) application.module = moduleMatch[1];
+                    visit(node.body, [...namespace, moduleMatch[1]]);
+                    continue;
+                }
+                if (/^class\s+Application\b/.test(node.text) && node.body) {
+                    visit(node.body, namespace);
+                    continue;
+                }
+
+                const assignment = node.text.match(/^config\.([\w.]+)\s*(=|<<|\+=)\s*([\s\S]+)$/);
+                if (assignment) {
+                    const value = parseValue(assignment[3]);
+                    application.settings[assignment[1]] = assignment[2] === '=' ? value : [].concat(application.settings[assignment[1]] || [], value);
+                    if (assignment[1] === 'api_only') application.apiOnly = value === true;
+                    continue;
+                }
+
+                const call = parseCall(node.text);
+                if (!call || !call.receiver) continue;
+                if (call.receiver === 'config' && call.name === 'load_defaults') {
+                    application.loadDefaults = String(parseValue(call.args.positional[0]));
+                } else if (call.receiver === 'config.middleware') {
+                    // config.middleware.use Rack::Attack / insert_before 0, Rack::Cors
+                    application.middleware.push({
+                        operation: call.name,
+                        middleware: call.args.positional[call.name.startsWith('insert') || call.name === 'swap' ? 1 : 0] || null,
+                        arguments: call.args.positional.map(parseValue)
+                    });
+                }
+            }
+        };
+        visit(parseBlocks(content), []);
+
+        return application;
+    }
+
+    /**
+     * Gems the Gemfile declares, with version requirements and the groups
+     * they belong to, plus the required Ruby version.
+     */
+    parseGemfile(content) {
+        const dependencies = { ruby: null, sources: [], gems: {} };
+
+        const visit = (nodes, groups) => {
+            for (const node of nodes) {
+                const call = parseCall(node.text);
+                if (!call || call.receiver) continue;
+                const [first, ...rest] = call.args.positional.map(parseValue);
+                const options = Object.fromEntries(Object.entries(call.args.options).map(([key, value]) => [key, parseValue(value)]));
+
+                if (call.name === 'group' && node.body) {
+                    visit(node.body, [...groups, ...call.args.positional.map(parseValue)]);
+                } else if (call.name === 'gem' && typeof first === 'string') {
+                    const gem = { requirement: rest.filter(value => typeof value === 'string'), groups: [...groups] };
+                    if (options.group || options.groups) gem.groups.push(...[].concat(options.group || options.groups));
+                    for (const key of ['require', 'platforms', 'git', 'github', 'branch', 'path']) {
+                        if (options[key] !== undefined) gem[key] = options[key];
+                    }
+                    dependencies.gems[first] = gem;
+                } else if (call.name === 'ruby' && typeof first === 'string') {
+                    dependencies.ruby = first;
+                } else if (call.name === 'source' && typeof first === 'string') {
+                    dependencies.sources.push(first);
+                } else if (node.body) {
+                    // platforms :jruby do / source "..." do
+                    visit(node.body, groups);
+                }
+            }
+        };
+        visit(parseBlocks(content), []);
+
+        return dependencies;
+    }
+
+    // The resolved version of every gem in Gemfile.lock's GEM section
+    parseGemfileLock(content) {
+        const versions = {};
+        let inSpecs = false;
+        for (const line of content.split(/\r?\n/)) {
+            if (/^\S/.test(line)) inSpecs = false;
+            if (/^\s{2}specs:\s*$/.test(line)) {
+                inSpecs = true;
+                continue;
+            }
+            const spec = inSpecs && line.match(/^\s{4}([\w.-]+) \(([^)]+)\)\s*$/);
+            if (spec) versions[spec[1]] = spec[2].replace(/-[\w-]+$/, '');
+        }
+        return versions;
+    }
+}
+
+export { RailsConfigParser };
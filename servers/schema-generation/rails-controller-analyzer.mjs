@@ -0,0 +1,122 @@
+/**
+ * Rails Controller Analyzer
+ *
+ * Describes an Action Controller class: its actions (public instance
+ * methods), the filters declared with `before_action` and friends, the
+ * strong parameters its private `*_params` methods permit, and for each
+ * action the params method it uses and the serializer it renders with.
+ */
+
+import { RubyClassAnalyzer } from './ruby-class-analyzer.mjs';
+import { findClosingBracket, parseArguments, parseValue } from './ruby-source.mjs';
+
+const FILTER_PATTERN = /^(skip_)?(before|after|around)_action$/;
+
+class RailsControllerAnalyzer {
+    constructor() {
+        this.classAnalyzer = new RubyClassAnalyzer({ methodBodies: true });
+    }
+
+    analyze(content, file = 'controller.rb') {
+        const description = this.classAnalyzer.analyze(content, file);
+        if (!description.class) return description;
+
+        const { macros, methods, ...rest } = description;
+        const filters = macros
+            .filter(macro => FILTER_PATTERN.test(macro.name))
+            .map(macro => this.describeFilter(macro));
+
+        const strongParameters = {};
+        for (const method of methods) {
+            const permitted = this.parseStrongParameters(method.body || '');
+            if (permitted) strongParameters[method.name] = permitted;
+        }
+
+        return {
+            ...rest,
+            filters,
+            actions: methods.filter(method => method.visibility === 'public' && !method.static).map(method => method.name),
+            strongParameters,
+            methods: methods.map(({ body, ...method }) => this.describeMethod(method, body || '', strongParameters)),
+            macros: macros.filter(macro => !FILTER_PATTERN.test(macro.name))
+        };
+    }
+
+    // before_action :authenticate_user!, except: %i[index show]
+    describeFilter(macro) {
+        const [, skip, type] = macro.name.match(FILTER_PATTERN);
+        const filter = {
+            type,
+            methods: macro.arguments.filter(argument => typeof argument === 'string'),
+            options: macro.options
+        };
+        if (skip) filter.skip = true;
+        if (macro.block || macro.arguments.some(argument => argument && argument.expression)) filter.inline = true;
+        return filter;
+    }
+
+    /**
+     * `params.require(:post).permit(:title, tag_ids: [])`, `params.permit(...)`
+     * and Rails 8's `params.expect(post: [:title])` as
+     * `{ require, permit }`; permitted entries keep their literal shape
+     * (`'title'`, `{ tag_ids: [] }`).
+     */
+    parseStrongParameters(body) {
+        const start = body.search(/\bparams\s*\.\s*(?:require|fetch|permit|expect)\s*\(/);
+        if (start === -1) return null;
+
+        let require = null;
+        let permit = null;
+        let index = start;
+        const chain = /^\s*\.?\s*(?:params\s*\.\s*)?(require|fetch|permit|expect)\s*\(/;
+        let match;
+        while ((match = body.slice(index).match(chain)) !== null) {
+            const open = index + match[0].length - 1;
+            const close = findClosingBracket(body, open);
+            if (close === -1) break;
+            const { positional, options } = parseArguments(body.slice(open + 1, close));
+            const values = positional.map(parseValue);
+            const hash = Object.fromEntries(Object.entries(options).map(([key, value]) => [key, parseValue(value)]));
+
+            if (match[1] === 'require' || match[1] === 'fetch') {
+                require = values[0];
+            } else if (match[1] === 'expect') {
+                // expect(post: [:title, :body]) requires post and permits its fields
+                const [key] = Object.keys(hash);
+                if (key && Object.keys(hash).length === 1 && values.length === 0) {
+                    require = key;
+                    permit = [].concat(hash[key]);
+                } else {
+                    permit = [...values, ...Object.entries(hash).map(([name, value]) => ({ [name]: value }))];
+                }
+            } else {
+                permit = [...values, ...Object.entries(hash).map(([name, value]) => ({ [name]: value }))];
+            }
+            index = close + 1;
+        }
+
+        return permit || require ? { require, permit: permit || [] } : null;
+    }
+
+    describeMethod(method, body, strongParameters) {
+        const described = { ...method };
+        const paramsMethod = Object.keys(strongParameters).find(name => name !== method.name && new RegExp(`(?<![\\w.])${name}(?![\\w?!])`).test(body));
+        if (paramsMethod) described.strongParameters = paramsMethod;
+        else if (strongParameters[method.name] && method.visibility === 'public') described.strongParameters = method.name;
+
+        const resource = this.findSerializer(body);
+        if (resource) described.resource = resource;
+        return described;
+    }
+
+    // render json: @posts, each_serializer: PostSerializer / PostSerializer.new(@post)
+    findSerializer(body) {
+        const option = body.match(/\b(each_serializer|serializer):\s*((?:::)?[A-Z][\w:]*)/);
+        if (option) return { class: option[2].replace(/^::/, ''), collection: option[1] === 'each_serializer' };
+        const instance = body.match(/\b((?:::)?[A-Z][\w:]*(?:Serializer|Blueprint|Resource))\s*\.\s*(new|render|render_as_hash)\b/);
+        if (instance) return { class: instance[1].replace(/^::/, ''), collection: false };
+        return null;
+    }
+}
+
+export { RailsControllerAnalyzer };
@@ -0,0 +1,557 @@
+/**
+ * Rails Route Parser
+ *
+ * Statically walks config/routes.rb (and the files it `draw`s from
+ * config/routes/) and produces the same flat route table the Laravel parser
+ * does: `namespace` and `scope` paths, modules and name prefixes are
+ * inherited, `resources`/`resource` are expanded into their actions
+ * (including nesting, shallow nesting, `member`/`collection` routes and
+ * concerns) and `to: 'posts#index'` targets resolve to controller classes.
+ */
+
+import { parseBlocks, parseCall, parseValue, camelize } from './ruby-source.mjs';
+import { pluralize, singularize } from './laravel-naming.mjs';
+
+const VERBS = { get: ['GET'], post: ['POST'], put: ['PUT'], patch: ['PATCH'], delete: ['DELETE'], options: ['OPTIONS'] };
+
+const ALL_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+// `on` says which path the action extends: the collection, the member or `new`
+const RESOURCES_ACTIONS = [
+    { action: 'index', methods: ['GET'], on: 'collection', suffix: '', name: true },
+    { action: 'create', methods: ['POST'], on: 'collection', suffix: '' },
+    { action: 'new', methods: ['GET'], on: 'new', suffix: '/new', name: true },
+    { action: 'edit', methods: ['GET'], on: 'member', suffix: '/edit', name: true },
+    { action: 'show', methods: ['GET'], on: 'member', suffix: '', name: true },
+    { action: 'update', methods: ['PATCH', 'PUT'], on: 'member', suffix: '' },
+    { action: 'destroy', methods: ['DELETE'], on: 'member', suffix: '' }
+];
+
+const RESOURCE_ACTIONS = [
+    { action: 'new', methods: ['GET'], on: 'new', suffix: '/new', name: true },
+    { action: 'edit', methods: ['GET'], on: 'member', suffix: '/edit', name: true },
+    { action: 'show', methods: ['GET'], on: 'member', suffix: '', name: true },
+    { action: 'update', methods: ['PATCH', 'PUT'], on: 'member', suffix: '' },
+    { action: 'destroy', methods: ['DELETE'], on: 'member', suffix: '' },
+    { action: 'create', methods: ['POST'], on: 'member', suffix: '' }
+];
+
+// Request attributes a constraint may test; other keys constrain path segments
+const REQUEST_CONSTRAINTS = ['subdomain', 'domain', 'host', 'port', 'ip', 'remote_ip', 'protocol', 'request_method', 'matcher'];
+
+// Options of a route definition; any other `'path' => 'controller#action'` pair is the legacy form
+const ROUTE_OPTIONS = ['to', 'as', 'via', 'on', 'controller', 'action', 'constraints', 'defaults', 'format', 'path', 'module', 'anchor', 'param', 'only', 'except', 'shallow', 'shallow_path', 'shallow_prefix', 'concerns', 'path_names', 'at'];
+
+class RailsRouteParser {
+    /**
+     * @param {Function} readFile - synchronous lookup of a project-relative
+     *   file, used for `draw :admin` (config/routes/admin.rb)
+     */
+    constructor(readFile = () => null) {
+        this.readFile = readFile;
+        this.includedFiles = new Set();
+        this.concerns = {};
+        this.names = new Set();
+    }
+
+    parse(content, file) {
+        const routes = [];
+        this.parseNodes(parseBlocks(content), this.createContext({ file }), routes);
+        return routes;
+    }
+
+    /**
+     * `path` and `namePrefix` grow with every scope and parent resource;
+     * `shallowPath`/`shallowPrefix` only with namespaces, since shallow
+     * member routes drop their parents but stay in the namespace.
+     */
+    createContext(overrides = {}) {
+        return {
+            file: null,
+            path: '',
+            namePrefix: [],
+            shallowPath: '',
+            shallowPrefix: [],
+            module: [],
+            controller: null,
+            constraints: {},
+            defaults: {},
+            shallow: false,
+            resource: null,
+            level: null,
+            ...overrides
+        };
+    }
+
+    parseNodes(nodes, context, routes) {
+        for (const node of nodes) {
+            const call = parseCall(node.text);
+            if (!call) continue;
+
+            // Rails.application.routes.draw do ... end
+            if (call.receiver) {
+                if (call.name === 'draw' && node.body) this.parseNodes(node.body, context, routes);
+                continue;
+            }
+
+            const options = call.args.options;
+            const first = parseValue(call.args.positional[0]);
+
+            switch (call.name) {
+                case 'draw':
+                    this.drawFile(first, context, routes);
+                    break;
+                case 'namespace':
+                    this.parseNodes(node.body || [], this.namespaceContext(first, options, context), routes);
+                    break;
+                case 'scope':
+                    this.parseNodes(node.body || [], this.scopeContext(first, options, context), routes);
+                    break;
+                case 'controller':
+                    this.parseNodes(node.body || [], { ...context, controller: this.controllerPath(first, context), ...this.scopeOptions(options, context) }, routes);
+                    break;
+                case 'constraints':
+                    this.parseNodes(node.body || [], { ...context, constraints: { ...context.constraints, ...this.constraintsFrom(call.args.positional[0], options) } }, routes);
+                    break;
+                case 'defaults':
+                    this.parseNodes(node.body || [], { ...context, defaults: { ...context.defaults, ...this.parseHash(call.args.positional[0], options) } }, routes);
+                    break;
+                case 'shallow':
+                    this.parseNodes(node.body || [], { ...context, shallow: true }, routes);
+                    break;
+                case 'concern':
+                    this.concerns[first] = node.body || [];
+                    break;
+                case 'concerns':
+                    for (const name of call.args.positional.map(parseValue).flat()) {
+                        this.parseNodes(this.concerns[name] || [], context, routes);
+                    }
+                    break;
+                case 'resources':
+                case 'resource':
+                    for (const name of call.args.positional.map(parseValue).filter(value => typeof value === 'string')) {
+                        this.buildResourceRoutes(call.name, name, options, node.body || [], context, routes);
+                    }
+                    break;
+                case 'member':
+                case 'collection':
+                case 'new':
+                    if (context.resource) this.parseNodes(node.body || [], { ...context, level: call.name }, routes);
+                    break;
+                case 'root':
+                    this.addRoute(this.buildRootRoute(first, options, context), routes);
+                    break;
+                case 'mount':
+                    this.addRoute(this.buildMountRoute(call, context), routes);
+                    break;
+                case 'match':
+                    this.addRoute(this.buildRoute(this.parseVia(options.via), call, context), routes);
+                    break;
+                default:
+                    if (VERBS[call.name]) {
+                        this.addRoute(this.buildRoute(VERBS[call.name], call, context), routes);
+                    } else if (node.body) {
+                        // Conditionals and wrappers such as `authenticate :user do`
+                        this.parseNodes(node.body, context, routes);
+                    }
+            }
+        }
+    }
+
+    addRoute(route, routes) {
+        if (route) routes.push(route);
+    }
+
+    // draw :admin loads config/routes/admin.rb into the current scope
+    drawFile(name, context, routes) {
+        if (typeof name !== 'string') return;
+        const file = `config/routes/${name}.rb`;
+        if (this.includedFiles.has(file)) return;
+        this.includedFiles.add(file);
+
+        const content = this.readFile(file);
+        if (content) this.parseNodes(parseBlocks(content), { ...context, file }, routes);
+    }
+
+    // namespace :admin -> path /admin, module admin/, names admin_*
+    namespaceContext(name, options, context) {
+        const path = options.path !== undefined ? parseValue(options.path) : name;
+        const module = options.module !== undefined ? parseValue(options.module) : name;
+        const as = options.as !== undefined ? parseValue(options.as) : name;
+        return {
+            ...context,
+            ...this.scopeOptions({ constraints: options.constraints, defaults: options.defaults, shallow: options.shallow }, context),
+            path: this.joinPath(context.path, path),
+            shallowPath: this.joinPath(context.shallowPath, path),
+            namePrefix: as ? [...context.namePrefix, as] : context.namePrefix,
+            shallowPrefix: as ? [...context.shallowPrefix, as] : context.shallowPrefix,
+            module: module ? [...context.module, ...module.split('/')] : context.module,
+            resource: null,
+            level: null
+        };
+    }
+
+    // scope '/(:locale)', module: 'v1', as: 'v1', locale: /en|nl/ do
+    scopeContext(path, options, context) {
+        const scopePath = typeof path === 'string' ? path : options.path !== undefined ? parseValue(options.path) : null;
+        const scoped = {
+            ...context,
+            ...this.scopeOptions(options, context),
+            path: scopePath ? this.joinPath(context.path, scopePath) : context.path
+        };
+
+        // Remaining options constrain dynamic segments of the scope path
+        const segments = (scopePath || '').match(/[:*]\w+/g) || [];
+        for (const segment of segments) {
+            const key = segment.slice(1);
+            if (options[key] !== undefined) scoped.constraints = { ...scoped.constraints, [key]: this.patternOf(parseValue(options[key])) };
+        }
+        return scoped;
+    }
+
+    scopeOptions(options, context) {
+        const scoped = {};
+        if (options.module !== undefined) scoped.module = [...context.module, ...parseValue(options.module).split('/')];
+        if (options.as !== undefined) scoped.namePrefix = [...context.namePrefix, parseValue(options.as)];
+        if (options.controller !== undefined) scoped.controller = this.controllerPath(parseValue(options.controller), { ...context, ...scoped });
+        if (options.shallow_path !== undefined) scoped.shallowPath = this.joinPath(context.shallowPath, parseValue(options.shallow_path));
+        if (options.shallow_prefix !== undefined) scoped.shallowPrefix = [...context.shallowPrefix, parseValue(options.shallow_prefix)];
+        if (options.constraints !== undefined) scoped.constraints = { ...context.constraints, ...this.constraintsFrom(options.constraints, {}) };
+        if (options.defaults !== undefined) scoped.defaults = { ...context.defaults, ...this.parseHash(options.defaults, {}) };
+        if (options.shallow !== undefined) scoped.shallow = parseValue(options.shallow) === true;
+        return scoped;
+    }
+
+    /**
+     * Expands `resources :photos` (or singular `resource :profile`) and walks
+     * its block with the nested scope: `photos/:photo_id/...`, names
+     * `photo_*`, and the resource's `member`/`collection` paths.
+     */
+    buildResourceRoutes(kind, name, options, body, context, routes) {
+        const singular = kind === 'resource';
+        const as = options.as !== undefined ? parseValue(options.as) : name;
+        const memberName = singular ? as : singularize(as);
+        const segment = options.path !== undefined ? parseValue(options.path) : name;
+        const param = options.param !== undefined ? parseValue(options.param) : 'id';
+
+        const scoped = { ...context, ...this.scopeOptions({ ...options, as: undefined, controller: undefined }, context) };
+        const controllerName = options.controller !== undefined ? parseValue(options.controller) : singular ? pluralize(name) : name;
+        const controller = this.controllerPath(controllerName, scoped);
+
+        // A resource is shallow when it says so or sits nested in a shallow one
+        const shallow = context.resource !== null && (context.shallow || scoped.shallow);
+        const collectionPath = this.joinPath(context.path, segment);
+        const memberPath = singular ? collectionPath : this.joinPath(shallow ? this.joinPath(context.shallowPath, segment) : collectionPath, `:${param}`);
+        const memberPrefix = shallow ? context.shallowPrefix : context.namePrefix;
+
+        const resource = {
+            name: as,
+            controller,
+            collectionPath,
+            memberPath,
+            newPath: this.joinPath(collectionPath, 'new'),
+            collectionName: this.routeName([...context.namePrefix, as]),
+            memberName: this.routeName([...memberPrefix, memberName]),
+            newName: this.routeName(['new', ...context.namePrefix, memberName])
+        };
+
+        let actions = singular ? RESOURCE_ACTIONS : RESOURCES_ACTIONS;
+        const only = options.only !== undefined ? [].concat(parseValue(options.only)) : null;
+        const except = options.except !== undefined ? [].concat(parseValue(options.except)) : [];
+        actions = actions.filter(definition => (!only || only.includes(definition.action)) && !except.includes(definition.action));
+
+        const constraints = options.constraints !== undefined ? { ...context.constraints, ...this.constraintsFrom(options.constraints, {}) } : context.constraints;
+        for (const definition of actions) {
+            const path = definition.on === 'collection' ? collectionPath : definition.on === 'new' ? collectionPath : memberPath;
+            let routeName = null;
+            if (definition.name) {
+                routeName = definition.on === 'collection' ? resource.collectionName
+                    : definition.action === 'new' ? resource.newName
+                        : definition.action === 'edit' ? this.routeName(['edit', ...memberPrefix, memberName])
+                            : resource.memberName;
+            }
+            this.addRoute(this.finalizeRoute({
+                methods: definition.methods,
+                uri: this.toUri(`${path}${definition.suffix}`),
+                name: this.claimName(routeName),
+                action: this.controllerAction(controller, definition.action),
+                middleware: [],
+                resource: { name: as, action: definition.action, singular }
+            }, { ...scoped, constraints }), routes);
+        }
+
+        // Children nest under the member: photos/:photo_id/comments
+        const nestedPath = singular ? memberPath : this.joinPath(shallow ? this.joinPath(context.shallowPath, segment) : collectionPath, `:${memberName}_${param}`);
+        const nested = {
+            ...scoped,
+            path: nestedPath,
+            namePrefix: [...memberPrefix, memberName],
+            controller,
+            constraints,
+            resource,
+            level: singular ? 'member' : 'nested'
+        };
+        this.parseNodes(body, nested, routes);
+
+        const concerns = options.concerns !== undefined ? [].concat(parseValue(options.concerns)) : [];
+        for (const concern of concerns) {
+            this.parseNodes(this.concerns[concern] || [], nested, routes);
+        }
+    }
+
+    /**
+     * `get 'photos/search', to: 'photos#search', as: :search`, the legacy
+     * `get 'about' => 'pages#about'`, and `get :preview, on: :member` inside
+     * a resource.
+     */
+    buildRoute(methods, call, context) {
+        const options = { ...call.args.options };
+        let path = parseValue(call.args.positional[0]);
+
+        if (call.args.positional.length === 0) {
+            const legacy = Object.keys(options).find(key => !ROUTE_OPTIONS.includes(key));
+            if (legacy === undefined) return null;
+            path = legacy;
+            options.to = options[legacy];
+            delete options[legacy];
+        }
+        if (typeof path !== 'string') return null;
+
+        const level = options.on !== undefined ? parseValue(options.on) : context.level;
+        const resource = context.resource;
+        let base = context.path;
+        if (resource && level === 'member') base = resource.memberPath;
+        if (resource && level === 'collection') base = resource.collectionPath;
+        if (resource && level === 'new') base = resource.newPath;
+
+        // Only plain paths name the action they route to by default
+        const plainPath = /^\/?[\w\-/]+$/.test(path) ? path.replace(/^\/+/, '') : null;
+        const action = this.parseTarget(options, plainPath, context);
+
+        const scoped = { ...context, ...this.scopeOptions({ constraints: options.constraints, defaults: options.defaults }, context) };
+        for (const segment of path.match(/[:*]\w+/g) || []) {
+            const key = segment.slice(1);
+            if (options[key] !== undefined) scoped.constraints = { ...scoped.constraints, [key]: this.patternOf(parseValue(options[key])) };
+        }
+
+        const as = options.as !== undefined ? parseValue(options.as) : undefined;
+        const prefix = as !== undefined ? as : plainPath && plainPath.replace(/-/g, '_').replace(/\//g, '_');
+        const name = as === null ? null : this.nameForAction(prefix, level, context);
+
+        return this.finalizeRoute({
+            methods,
+            uri: this.toUri(this.joinPath(base, path)),
+            name: this.claimName(name),
+            action,
+            middleware: [],
+            globs: (path.match(/\*\w+/g) || []).map(glob => glob.slice(1))
+        }, scoped);
+    }
+
+    // root 'pages#home', root to: 'pages#home', root controller: :pages, action: :home
+    buildRootRoute(target, options, context) {
+        const routeOptions = typeof target === 'string' ? { ...options, to: `'${target}'` } : options;
+        return this.finalizeRoute({
+            methods: ['GET'],
+            uri: this.toUri(context.path || '/'),
+            name: this.claimName(this.routeName([...context.namePrefix, 'root'])),
+            action: this.parseTarget(routeOptions, null, context),
+            middleware: []
+        }, context);
+    }
+
+    // mount Sidekiq::Web => '/sidekiq', mount Blog::Engine, at: '/blog', as: :blog
+    buildMountRoute(call, context) {
+        const options = { ...call.args.options };
+        let app = call.args.positional[0];
+        let at = options.at !== undefined ? parseValue(options.at) : null;
+        if (!app) {
+            app = Object.keys(options).find(key => !ROUTE_OPTIONS.includes(key));
+            if (app === undefined) return null;
+            at = parseValue(options[app]);
+        }
+        const as = options.as !== undefined ? parseValue(options.as) : null;
+
+        return this.finalizeRoute({
+            methods: ALL_METHODS,
+            uri: this.toUri(this.joinPath(context.path, typeof at === 'string' ? at : '/')),
+            name: this.claimName(as && this.routeName([...context.namePrefix, as])),
+            action: { type: 'mount', app: app.trim() },
+            middleware: []
+        }, context);
+    }
+
+    /**
+     * Resolves where a route goes: `to: 'posts#index'`, `to: redirect(...)`,
+     * a Rack app, `controller:`/`action:` options, or the enclosing
+     * controller/resource plus an action named after the path.
+     */
+    parseTarget(options, plainPath, context) {
+        if (options.to !== undefined) {
+            const to = parseValue(options.to);
+            if (typeof to === 'string') {
+                if (to.includes('#')) {
+                    const [controller, action] = to.split('#');
+                    return this.controllerAction(controller ? this.controllerPath(controller, context) : context.controller, action);
+                }
+                return context.controller ? this.controllerAction(context.controller, to) : { type: 'unknown', expression: to };
+            }
+
+            const expression = to && to.expression ? to.expression : String(options.to).trim();
+            const redirect = expression.match(/^redirect\s*(?:\(\s*)?(['"][^'"]*['"])/);
+            if (redirect) return { type: 'redirect', destination: parseValue(redirect[1]) };
+            if (/^(?:->|lambda\b|proc\b|Proc\.new\b)/.test(expression)) return { type: 'closure' };
+            return { type: 'rack', app: expression };
+        }
+
+        const controller = options.controller !== undefined ? this.controllerPath(parseValue(options.controller), context) : context.controller;
+        const action = options.action !== undefined ? parseValue(options.action) : null;
+        if (controller && (action || plainPath)) {
+            return this.controllerAction(controller, action || plainPath.split('/').pop().replace(/-/g, '_'));
+        }
+
+        // get 'photos/search' routes to photos#search
+        if (plainPath && plainPath.includes('/')) {
+            const segments = plainPath.split('/');
+            return this.controllerAction(this.controllerPath(segments.slice(0, -1).join('/'), context), action || segments.pop().replace(/-/g, '_'));
+        }
+        return { type: 'unknown' };
+    }
+
+    controllerPath(name, context) {
+        if (typeof name !== 'string') return null;
+        if (name.startsWith('/')) return name.slice(1);
+        return [...context.module, name].join('/');
+    }
+
+    controllerAction(controllerPath, action) {
+        if (!controllerPath) return { type: 'unknown', method: action };
+        return {
+            type: 'controller',
+            controller: `${camelize(controllerPath)}Controller`,
+            method: action,
+            uses: `${controllerPath}#${action}`
+        };
+    }
+
+    // match 'photos', via: [:get, :post] / via: :all
+    parseVia(expression) {
+        const via = [].concat(parseValue(expression) || []).filter(value => typeof value === 'string');
+        if (via.includes('all')) return ALL_METHODS;
+        return via.map(method => method.toUpperCase());
+    }
+
+    /**
+     * Route helper names follow ActionDispatch's name_for_action: member
+     * routes read `preview_photo`, collection routes `search_photos`,
+     * routes nested in a resource `photo_preview`.
+     */
+    nameForAction(prefix, level, context) {
+        if (!prefix) return null;
+        const resource = context.resource;
+        if (resource && level === 'member') return this.routeName([prefix, resource.memberName]);
+        if (resource && level === 'collection') return this.routeName([prefix, resource.collectionName]);
+        if (resource && level === 'new') return this.routeName([prefix, resource.newName]);
+        return this.routeName([...context.namePrefix, prefix]);
+    }
+
+    routeName(parts) {
+        const name = parts.filter(Boolean).join('_');
+        return /^[a-z_]\w*$/i.test(name) ? name : null;
+    }
+
+    // A helper name belongs to the first route defining it; later ones go unnamed
+    claimName(name) {
+        if (!name || this.names.has(name)) return null;
+        this.names.add(name);
+        return name;
+    }
+
+    finalizeRoute(route, context) {
+        const where = {};
+        const constraints = {};
+        const segments = (route.uri.match(/\{(\w+)\??\}/g) || []).map(segment => segment.replace(/[{}?]/g, ''));
+        for (const [key, value] of Object.entries(context.constraints)) {
+            if (segments.includes(key)) where[key] = value;
+            else if (REQUEST_CONSTRAINTS.includes(key)) constraints[key] = value;
+        }
+        // Glob segments (*path) match across slashes
+        for (const glob of route.globs || []) {
+            if (!where[glob]) where[glob] = '.*';
+        }
+        delete route.globs;
+
+        if (Object.keys(where).length > 0) route.where = where;
+        if (Object.keys(constraints).length > 0) route.constraints = constraints;
+        if (Object.keys(context.defaults).length > 0) route.defaults = { ...context.defaults };
+
+        route.parameters = this.extractParameters(route.uri, where);
+        route.file = context.file;
+        return route;
+    }
+
+    /**
+     * Request constraints of a `constraints` block or option: a hash
+     * (`subdomain: 'api'`, `id: /\d+/`) or a matcher object.
+     */
+    constraintsFrom(expression, options) {
+        if (expression === undefined) return this.parseHash(undefined, options, true);
+        const value = parseValue(expression);
+        if (value && typeof value === 'object' && !Array.isArray(value) && value.expression === undefined) {
+            return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, this.patternOf(entry)]));
+        }
+        return { matcher: value && value.expression ? value.expression : value };
+    }
+
+    parseHash(expression, options, patterns = false) {
+        const value = expression !== undefined ? parseValue(expression) : null;
+        const entries = value && typeof value === 'object' && value.expression === undefined
+            ? Object.entries(value)
+            : Object.entries(options).map(([key, entry]) => [key, parseValue(entry)]);
+        return Object.fromEntries(entries.map(([key, entry]) => [key, patterns ? this.patternOf(entry) : entry]));
+    }
+
+    // /\d+/ and %r{\d+} -> '\d+'
+    patternOf(value) {
+        if (!value || typeof value !== 'object' || value.expression === undefined) return value;
+        const regex = value.expression.match(/^\/([\s\S]*)\/[imx]*$/) || value.expression.match(/^%r([{([<|!])([\s\S]*)[})\]>|!][imx]*$/);
+        if (!regex) return value.expression;
+        return regex.length === 3 ? regex[2] : regex[1];
+    }
+
+    joinPath(prefix, path) {
+        if (!path) return prefix;
+        return `${prefix.replace(/\/+$/, '')}/${String(path).replace(/^\/+/, '')}`;
+    }
+
+    /**
+     * Rails path syntax to the route table's: `/photos/:id(.:format)` ->
+     * `photos/{id}`, optional `(/:locale)` -> `{locale?}`, globs `*path` ->
+     * `{path}`.
+     */
+    toUri(path) {
+        const uri = path
+            .replace(/\(\.:format\)/g, '')
+            .replace(/\(([^()]*)\)/g, (_, optional) => optional.replace(/[:*](\w+)/g, '{$1?}'))
+            .replace(/:(\w+)/g, '{$1}')
+            .replace(/\*(\w+)/g, '{$1}')
+            .split('/')
+            .filter(Boolean)
+            .join('/');
+        return uri || '/';
+    }
+
+    extractParameters(uri, where = {}) {
+        const parameters = [];
+        const pattern = /\{(\w+)(\?)?\}/g;
+        let match;
+        while ((match = pattern.exec(uri)) !== null) {
+            const parameter = { name: match[1], optional: Boolean(match[2]) };
+            if (where[match[1]]) parameter.pattern = where[match[1]];
+            parameters.push(parameter);
+        }
+        return parameters;
+    }
+}
+
+export { RailsRouteParser };
@@ -0,0 +1,252 @@
+/**
+ * Rails Schema Parser
+ *
+ * Reads `db/schema.rb` (the `ActiveRecord::Schema.define` dump Rails keeps in
+ * sync with the migrations) into table state shaped like the migration replay
+ * engine's: columns, indexes, foreign keys and check constraints. Column types
+ * keep their Rails names (`string`, `bigint`, `datetime`, `jsonb`, ...).
+ */
+
+import { parseBlocks, parseCall, parseValue } from './ruby-source.mjs';
+import { pluralize, singularize } from './laravel-naming.mjs';
+
+const ON_DELETE_ACTIONS = { cascade: 'cascade', nullify: 'set null', restrict: 'restrict', no_action: 'no action' };
+
+const INDEX_TYPES = { fulltext: 'fullText', spatial: 'spatialIndex' };
+
+// Options of a column definition copied as-is onto the column
+const COLUMN_ATTRIBUTES = ['limit', 'precision', 'scale', 'comment', 'collation', 'array'];
+
+class RailsSchemaParser {
+    constructor(source = 'db/schema.rb') {
+        this.source = source;
+    }
+
+    /**
+     * Returns `{ version, extensions, enums, tables }`. `version` is the
+     * timestamp of the newest migration the dump includes.
+     */
+    parse(content) {
+        this.tables = {};
+        this.enums = {};
+        this.extensions = [];
+        let version = null;
+
+        const statements = parseBlocks(content);
+        const define = statements.find(node => node.body && /ActiveRecord::Schema(?:\[[\d.]+\])?\.define/.test(node.text));
+        if (define) {
+            const versionMatch = define.text.match(/version:\s*([\d_]+)/);
+            if (versionMatch) version = versionMatch[1].replace(/_/g, '');
+        }
+
+        for (const node of define ? define.body : statements) {
+            this.parseStatement(node);
+        }
+
+        for (const table of Object.values(this.tables)) {
+            for (const index of table.indexes) {
+                if (index.columns.length !== 1 || !table.columns[index.columns[0]]) continue;
+                const column = table.columns[index.columns[0]];
+                if (index.type === 'unique') column.unique = true;
+                if (index.type === 'index') column.index = true;
+            }
+        }
+
+        return { version, extensions: this.extensions, enums: this.enums, tables: this.tables };
+    }
+
+    parseStatement(node) {
+        const call = parseCall(node.text);
+        if (!call) return;
+        const [first, second] = call.args.positional.map(parseValue);
+        const options = call.args.options;
+
+        switch (call.name) {
+            case 'create_table':
+                this.createTable(first, options, node.body || []);
+                break;
+            case 'add_index':
+                if (this.tables[first]) this.addIndex(this.tables[first], second, options);
+                break;
+            case 'add_foreign_key':
+                if (this.tables[first]) this.addForeignKey(this.tables[first], second, options);
+                break;
+            case 'add_check_constraint':
+                if (this.tables[first]) this.addCheck(this.tables[first], second, options);
+                break;
+            case 'enable_extension':
+                this.extensions.push(first);
+                break;
+            case 'create_enum':
+                this.enums[first] = Array.isArray(second) ? second : [];
+                break;
+        }
+    }
+
+    /**
+     * `create_table "posts", id: :uuid, force: :cascade do |t|`. Tables get a
+     * bigint `id` primary key unless `id: false` or `primary_key:` says otherwise.
+     */
+    createTable(name, options, body) {
+        const table = {
+            name,
+            createdIn: this.source,
+            modifiedIn: [],
+            columns: {},
+            foreignKeys: [],
+            indexes: [],
+            checks: []
+        };
+        this.tables[name] = table;
+
+        const id = options.id !== undefined ? parseValue(options.id) : 'bigint';
+        const primaryKey = options.primary_key !== undefined ? parseValue(options.primary_key) : 'id';
+        if (id !== false) {
+            const keys = Array.isArray(primaryKey) ? primaryKey : [primaryKey];
+            if (!Array.isArray(primaryKey)) {
+                const type = typeof id === 'string' ? id : 'bigint';
+                this.addColumn(table, primaryKey, type, options.default !== undefined ? { default: options.default } : {});
+                Object.assign(table.columns[primaryKey], {
+                    nullable: false,
+                    primary: true,
+                    autoIncrement: ['bigint', 'integer', 'primary_key', 'serial', 'bigserial'].includes(type) && options.default === undefined
+                });
+            }
+            table.indexes.push({ name: `${name}_pkey`, type: 'primary', columns: keys });
+        }
+
+        const tableComment = options.comment !== undefined ? parseValue(options.comment) : null;
+        if (typeof tableComment === 'string') table.comment = tableComment;
+
+        for (const statement of body) {
+            // Only `t.<method> ...` statements describe the table
+            if (!/^\w+\.\w/.test(statement.text)) continue;
+            const call = parseCall(statement.text.replace(/^\w+\./, ''));
+            if (!call) continue;
+            const [first, second] = call.args.positional.map(parseValue);
+
+            switch (call.name) {
+                case 'index':
+                    this.addIndex(table, first, call.args.options);
+                    break;
+                case 'check_constraint':
+                    this.addCheck(table, first, call.args.options);
+                    break;
+                case 'timestamps':
+                    for (const timestamp of ['created_at', 'updated_at']) {
+                        this.addColumn(table, timestamp, 'datetime', { null: 'false', ...call.args.options });
+                    }
+                    break;
+                case 'references':
+                case 'belongs_to':
+                    this.addReference(table, first, call.args.options);
+                    break;
+                default:
+                    // t.string "title", t.column "title", :string
+                    if (call.name === 'column') {
+                        this.addColumn(table, first, second, call.args.options);
+                    } else {
+                        for (const columnName of call.args.positional.map(parseValue)) {
+                            if (typeof columnName === 'string') this.addColumn(table, columnName, call.name, call.args.options);
+                        }
+                    }
+            }
+        }
+    }
+
+    addColumn(table, name, type, options) {
+        const column = {
+            name,
+            type,
+            nullable: options.null === undefined ? true : parseValue(options.null) !== false,
+            default: options.default !== undefined ? this.defaultValue(options.default) : null,
+            unique: false,
+            index: false
+        };
+
+        for (const attribute of COLUMN_ATTRIBUTES) {
+            if (options[attribute] !== undefined) column[attribute === 'limit' ? 'length' : attribute] = parseValue(options[attribute]);
+        }
+        if (options.enum_type !== undefined) {
+            column.enumType = parseValue(options.enum_type);
+            if (this.enums[column.enumType]) column.options = [...this.enums[column.enumType]];
+        }
+
+        column.provenance = [{ migration: this.source, action: 'dumped' }];
+        table.columns[name] = column;
+    }
+
+    // `-> { "CURRENT_TIMESTAMP" }` defaults are SQL expressions
+    defaultValue(expression) {
+        const lambda = expression.match(/^->\s*\{\s*([\s\S]*?)\s*\}$/);
+        if (lambda) {
+            const sql = parseValue(lambda[1]);
+            return { expression: typeof sql === 'string' ? sql : lambda[1] };
+        }
+        return parseValue(expression);
+    }
+
+    // t.references "author", polymorphic: true, foreign_key: { to_table: "users" }
+    addReference(table, name, options) {
+        const polymorphic = parseValue(options.polymorphic) === true;
+        const type = options.type !== undefined ? parseValue(options.type) : 'bigint';
+        this.addColumn(table, `${name}_id`, type, options);
+        if (polymorphic) this.addColumn(table, `${name}_type`, 'string', options);
+
+        const columns = polymorphic ? [`${name}_type`, `${name}_id`] : [`${name}_id`];
+        if (options.index === undefined || parseValue(options.index) !== false) {
+            const index = parseValue(options.index);
+            const unique = index && typeof index === 'object' && index.unique === true;
+            table.indexes.push({
+                name: `index_${table.name}_on_${columns.join('_and_')}`,
+                type: unique ? 'unique' : 'index',
+                columns
+            });
+        }
+
+        const foreignKey = options.foreign_key !== undefined ? parseValue(options.foreign_key) : false;
+        if (foreignKey && !polymorphic) {
+            const target = typeof foreignKey === 'object' && foreignKey.to_table ? foreignKey.to_table : pluralize(name);
+            table.foreignKeys.push({ column: `${name}_id`, on: target, references: 'id', onDelete: null, onUpdate: null, migration: this.source });
+        }
+    }
+
+    // t.index ["author_id", "created_at"], name: "...", unique: true, using: :gin
+    addIndex(table, columns, options) {
+        const list = Array.isArray(columns) ? columns : [columns];
+        const type = parseValue(options.type);
+        const index = {
+            name: options.name !== undefined ? parseValue(options.name) : `index_${table.name}_on_${list.join('_and_')}`,
+            type: parseValue(options.unique) === true ? 'unique' : INDEX_TYPES[type] || 'index',
+            columns: list
+        };
+        if (options.where !== undefined) index.where = parseValue(options.where);
+        if (options.using !== undefined) index.algorithm = parseValue(options.using);
+        table.indexes.push(index);
+    }
+
+    // add_foreign_key "posts", "users", column: "author_id", on_delete: :cascade
+    addForeignKey(table, referencedTable, options) {
+        const onDelete = parseValue(options.on_delete);
+        const onUpdate = parseValue(options.on_update);
+        const foreignKey = {
+            column: options.column !== undefined ? parseValue(options.column) : `${singularize(referencedTable)}_id`,
+            on: referencedTable,
+            references: options.primary_key !== undefined ? parseValue(options.primary_key) : 'id',
+            onDelete: onDelete ? ON_DELETE_ACTIONS[onDelete] || onDelete : null,
+            onUpdate: onUpdate ? ON_DELETE_ACTIONS[onUpdate] || onUpdate : null,
+            migration: this.source
+        };
+        if (options.name !== undefined) foreignKey.name = parseValue(options.name);
+        table.foreignKeys.push(foreignKey);
+    }
+
+    addCheck(table, expression, options) {
+        table.checks.push({
+            name: options.name !== undefined ? parseValue(options.name) : `${table.name}_check_${table.checks.length + 1}`,
+            expression
+        });
+    }
+}
+
+export { RailsSchemaParser };
@@ -0,0 +1,273 @@
+/**
+ * Entity Relationship Graph
+ *
+ * Merges database foreign keys with ORM relationships (including polymorphic
+ * and many-to-many pivot relations) into a single list of table-to-table
+ * edges, and renders the database schema as a Mermaid `erDiagram` or a
+ * Graphviz DOT digraph.
+ */
+
+import { snakeCase, modelTableName } from './laravel-naming.mjs';
+
+class RelationshipGraphBuilder {
+    /**
+     * Returns the merged relationship edges for a database schema, using the
+     * models of a business logic schema when one is available. Each edge points
+     * from the table holding the key column to the table it references.
+     */
+    build(databaseSchema, businessLogicSchema = null) {
+        this.edges = new Map();
+        // Edges inferred from model relationships are typed by the ORM that declared them
+        this.relationType = (businessLogicSchema && businessLogicSchema.orm) || 'eloquent';
+        const tables = databaseSchema.tables || {};
+
+        for (const [tableName, table] of Object.entries(tables)) {
+            for (const fk of table.foreignKeys || []) {
+                const column = table.columns && table.columns[fk.column];
+                this.addEdge({
+                    table: tableName,
+                    column: fk.column,
+                    referencedTable: fk.on,
+                    referencedColumn: fk.references,
+                    type: 'foreign_key',
+                    cardinality: column && column.unique ? 'one-to-one' : 'many-to-one'
+                });
+            }
+        }
+
+        const models = this.collectModels(businessLogicSchema);
+        for (const model of Object.values(models)) {
+            for (const relationship of model.relationships || []) {
+                this.addModelRelationship(model, relationship, models);
+            }
+        }
+
+        return [...this.edges.values()];
+    }
+
+    // Flattens the business logic models into a map keyed by fully qualified class name
+    collectModels(businessLogicSchema) {
+        const models = {};
+        const entries = (businessLogicSchema && businessLogicSchema.models) || {};
+
+        for (const model of Object.values(entries)) {
+            if (!model || !model.class || !Array.isArray(model.relationships)) continue;
+            const fqcn = model.namespace ? `${model.namespace}\\${model.class}` : model.class;
+            models[fqcn] = model;
+        }
+        return models;
+    }
+
+    tableForClass(className, models) {
+        if (!className) return null;
+        if (models[className]) return models[className].table;
+        return modelTableName(className.split(/\\|::/).pop());
+    }
+
+    addModelRelationship(model, relationship, models) {
+        const label = `${model.class}.${relationship.name}`;
+        // Django relations carry the table they resolved to, including those of contrib models
+        const relatedTable = relationship.relatedTable || this.tableForClass(relationship.related, models);
+        const relatedModel = models[relationship.related];
+        const relatedKey = (relatedModel && relatedModel.primaryKey) || 'id';
+        // Express projects can mix ORMs, so a model may name its own
+        const type = model.orm || this.relationType;
+
+        switch (relationship.type) {
+            case 'belongsTo':
+                this.addEdge({
+                    table: model.table,
+                    column: relationship.foreignKey,
+                    referencedTable: relatedTable,
+                    referencedColumn: relationship.ownerKey,
+                    type,
+                    cardinality: 'many-to-one'
+                }, label);
+                break;
+            case 'hasOne':
+            case 'hasMany':
+                this.addEdge({
+                    table: relatedTable,
+                    column: relationship.foreignKey,
+                    referencedTable: model.table,
+                    referencedColumn: relationship.localKey,
+                    type,
+                    cardinality: relationship.type === 'hasOne' ? 'one-to-one' : 'many-to-one'
+                }, label);
+                break;
+            case 'belongsToMany':
+                this.addPivotEdges(relationship.table, [
+                    { column: relationship.foreignPivotKey, referencedTable: model.table, referencedColumn: model.primaryKey },
+                    { column: relationship.relatedPivotKey, referencedTable: relatedTable, referencedColumn: relatedKey }
+                ], label, type);
+                break;
+            case 'morphOne':
+            case 'morphMany':
+                this.addEdge({
+                    table: relatedTable,
+                    column: relationship.foreignKey,
+                    referencedTable: model.table,
+                    referencedColumn: model.primaryKey,
+                    type,
+                    cardinality: relationship.type === 'morphOne' ? 'one-to-one' : 'many-to-one',
+                    polymorphic: true,
+                    morphType: relationship.morphType
+                }, label);
+                break;
+            case 'morphToMany':
+            case 'morphedByMany': {
+                // The pivot holds the owner's key plus {name}_id/{name}_type for the morphed side
+                const inverse = relationship.type === 'morphedByMany';
+                const modelClass = model.namespace ? `${model.namespace}\\${model.class}` : model.class;
+                const owner = inverse
+                    ? { class: modelClass, table: model.table, primaryKey: model.primaryKey }
+                    : { class: relationship.related, table: relatedTable, primaryKey: relatedKey };
+                const morphed = inverse
+                    ? { table: relatedTable, primaryKey: relatedKey }
+                    : { table: model.table, primaryKey: model.primaryKey };
+
+                this.addPivotEdges(relationship.table, [
+                    { column: `${snakeCase((owner.class || '').split('\\').pop())}_id`, referencedTable: owner.table, referencedColumn: owner.primaryKey },
+                    { column: `${relationship.morphName}_id`, referencedTable: morphed.table, referencedColumn: morphed.primaryKey, polymorphic: true, morphType: `${relationship.morphName}_type` }
+                ], label, type);
+                break;
+            }
+        }
+    }
+
+    addPivotEdges(pivotTable, keys, label, type = this.relationType) {
+        for (const key of keys) {
+            this.addEdge({
+                table: pivotTable,
+                column: key.column,
+                referencedTable: key.referencedTable,
+                referencedColumn: key.referencedColumn,
+                type,
+                cardinality: 'many-to-one',
+                pivot: true,
+                ...(key.polymorphic ? { polymorphic: true, morphType: key.morphType } : {})
+            }, label);
+        }
+    }
+
+    /**
+     * Adds an edge, merging it with an existing one for the same key column.
+     * Foreign keys win over edges inferred from models; relation names accumulate.
+     */
+    addEdge(edge, relation = null) {
+        if (!edge.table || !edge.column || !edge.referencedTable) return;
+
+        // A polymorphic key can point at several tables, so the target is part of its identity
+        const key = `${edge.table}.${edge.column}->${edge.referencedTable}`;
+        const existing = this.edges.get(key);
+
+        if (existing) {
+            if (relation && !existing.relations.includes(relation)) existing.relations.push(relation);
+            if (edge.pivot) existing.pivot = true;
+            return;
+        }
+
+        this.edges.set(key, { ...edge, relations: relation ? [relation] : [] });
+    }
+
+    /**
+     * Tables referenced only by relationships (e.g. an undeclared pivot) are
+     * rendered with the key columns the edges imply.
+     */
+    collectEntities(databaseSchema) {
+        const entities = {};
+
+        for (const [tableName, table] of Object.entries(databaseSchema.tables || {})) {
+            entities[tableName] = Object.entries(table.columns || {}).map(([name, column]) => ({
+                name,
+                type: column.type || 'unknown',
+                keys: this.columnKeys(table, name, column, databaseSchema.relationships || [])
+            }));
+        }
+
+        for (const edge of databaseSchema.relationships || []) {
+            if (!entities[edge.table]) entities[edge.table] = [];
+            if (!entities[edge.referencedTable]) entities[edge.referencedTable] = [];
+            if (!entities[edge.table].some(column => column.name === edge.column)) {
+                entities[edge.table].push({ name: edge.column, type: 'unknown', keys: ['FK'] });
+            }
+        }
+
+        return entities;
+    }
+
+    columnKeys(table, name, column, relationships) {
+        const keys = [];
+        if (column.primary || column.key === 'PRI' || table.primaryKey === name) keys.push('PK');
+        if ((table.foreignKeys || []).some(fk => fk.column === name) ||
+            relationships.some(edge => edge.table === table.name && edge.column === name)) keys.push('FK');
+        if (column.unique && !keys.includes('PK')) keys.push('UK');
+        return keys;
+    }
+
+    toMermaid(databaseSchema) {
+        const entities = this.collectEntities(databaseSchema);
+        const lines = ['erDiagram'];
+
+        for (const [tableName, columns] of Object.entries(entities)) {
+            if (columns.length === 0) {
+                lines.push(`    ${this.mermaidIdentifier(tableName)}`);
+                continue;
+            }
+            lines.push(`    ${this.mermaidIdentifier(tableName)} {`);
+            for (const column of columns) {
+                const keys = column.keys.length > 0 ? ` ${column.keys.join(', ')}` : '';
+                lines.push(`        ${this.mermaidIdentifier(column.type)} ${this.mermaidIdentifier(column.name)}${keys}`);
+            }
+            lines.push('    }');
+        }
+
+        for (const edge of databaseSchema.relationships || []) {
+            const connector = edge.cardinality === 'one-to-one' ? '||--o|' : '||--o{';
+            const line = edge.polymorphic ? connector.replace('--', '..') : connector;
+            const label = edge.polymorphic ? `${edge.column} (polymorphic)` : edge.column;
+            lines.push(`    ${this.mermaidIdentifier(edge.referencedTable)} ${line} ${this.mermaidIdentifier(edge.table)} : "${label.replace(/"/g, '\'')}"`);
+        }
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    toDot(databaseSchema) {
+        const entities = this.collectEntities(databaseSchema);
+        const lines = [
+            'digraph schema {',
+            '    rankdir=LR;',
+            '    node [shape=plaintext, fontname="Helvetica"];',
+            '    edge [fontname="Helvetica", fontsize=10];'
+        ];
+
+        for (const [tableName, columns] of Object.entries(entities)) {
+            const rows = columns.map(column => {
+                const keys = column.keys.length > 0 ? ` <i>${column.keys.join(', ')}</i>` : '';
+                return `<tr><td align="left">${this.escapeHtml(column.name)}${keys}</td><td align="left">${this.escapeHtml(column.type)}</td></tr>`;
+            });
+            lines.push(`    "${tableName}" [label=<<table border="0" cellborder="1" cellspacing="0"><tr><td colspan="2" bgcolor="lightgrey"><b>${this.escapeHtml(tableName)}</b></td></tr>${rows.join('')}</table>>];`);
+        }
+
+        for (const edge of databaseSchema.relationships || []) {
+            const attributes = [`label="${edge.column}"`];
+            if (edge.polymorphic) attributes.push('style=dashed');
+            if (edge.type !== 'foreign_key') attributes.push('color=gray40');
+            lines.push(`    "${edge.table}" -> "${edge.referencedTable}" [${attributes.join(', ')}];`);
+        }
+
+        lines.push('}');
+        return `${lines.join('\n')}\n`;
+    }
+
+    // Mermaid entity and attribute names must be plain words
+    mermaidIdentifier(value) {
+        return String(value).replace(/[^\w-]/g, '_');
+    }
+
+    escapeHtml(value) {
+        return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+}
+
+export { RelationshipGraphBuilder };
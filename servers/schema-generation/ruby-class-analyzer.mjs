@@ -0,0 +1,254 @@
+/**
+ * Ruby Class Analyzer
+ *
+ * Describes the class or module a Ruby file declares from its statement
+ * tree: superclass, included/extended modules, constants, attribute
+ * accessors, methods with their visibility and parameters, and the
+ * class-level macro calls (`has_many`, `validates`, `before_action`, ...)
+ * that Rails builds on. Names keep their full constant path, e.g.
+ * `Api::V1::PostsController`.
+ */
+
+import { parseBlocks, parseCall, parseValue, splitTopLevel, findClosingBracket } from './ruby-source.mjs';
+
+const VISIBILITIES = ['public', 'protected', 'private'];
+
+const ATTRIBUTE_MACROS = { attr_accessor: 'readwrite', attr_reader: 'read', attr_writer: 'write' };
+
+class RubyClassAnalyzer {
+    /**
+     * With `methodBodies`, each method also carries its source so callers can
+     * look for what it does (the params a controller action permits).
+     */
+    constructor({ methodBodies = false } = {}) {
+        this.methodBodies = methodBodies;
+    }
+
+    /**
+     * Returns the first class in the file, or its innermost module when it
+     * declares no class (concerns, helpers), or `kind: null`. `nesting` is
+     * the module path constants in the class body resolve against.
+     */
+    analyze(content, file = 'file.rb') {
+        this.lines = content.split(/\r?\n/);
+        const declaration = this.findDeclaration(parseBlocks(content), []);
+        if (!declaration) return { kind: null, class: null, file };
+
+        const { node, kind, name, superclass, namespace } = declaration;
+        return {
+            kind,
+            class: name,
+            summary: this.docSummary(node.line),
+            extends: superclass,
+            ...this.describeBody(node.body || []),
+            nesting: namespace.length > 0 ? namespace.join('::') : null
+        };
+    }
+
+    findDeclaration(nodes, namespace) {
+        let innermostModule = null;
+        for (const node of nodes) {
+            if (!node.body) continue;
+            const classMatch = node.text.match(/^class\s+(?!<<)(::)?([A-Z][\w:]*)(?:\s*<\s*(::)?([A-Z][\w:]*))?/);
+            if (classMatch) {
+                const name = classMatch[1] ? classMatch[2] : [...namespace, classMatch[2]].join('::');
+                return { node, kind: 'class', name, superclass: classMatch[4] ? (classMatch[3] || '') + classMatch[4] : null, namespace: name.split('::').slice(0, -1) };
+            }
+
+            const moduleMatch = node.text.match(/^module\s+(::)?([A-Z][\w:]*)/);
+            if (moduleMatch) {
+                const name = moduleMatch[1] ? moduleMatch[2] : [...namespace, moduleMatch[2]].join('::');
+                const nested = this.findDeclaration(node.body, name.split('::'));
+                if (nested && nested.kind === 'class') return nested;
+                innermostModule = innermostModule || nested ||
+                    { node, kind: 'module', name, superclass: null, namespace: name.split('::').slice(0, -1) };
+            }
+        }
+        return innermostModule;
+    }
+
+    describeBody(nodes) {
+        const description = {
+            includes: [],
+            extensions: [],
+            constants: [],
+            attributes: [],
+            settings: {},
+            macros: [],
+            methods: []
+        };
+        let visibility = 'public';
+
+        for (const node of nodes) {
+            const text = node.text;
+
+            // class << self opens a block of class methods
+            if (/^class\s*<<\s*self\b/.test(text)) {
+                let singletonVisibility = 'public';
+                for (const child of node.body || []) {
+                    if (VISIBILITIES.includes(child.text)) {
+                        singletonVisibility = child.text;
+                    } else if (/^def\s/.test(child.text)) {
+                        description.methods.push(this.describeMethod(child, singletonVisibility, true));
+                    }
+                }
+                continue;
+            }
+            if (/^(?:class|module)\s/.test(text)) continue;
+
+            if (VISIBILITIES.includes(text)) {
+                visibility = text;
+                continue;
+            }
+
+            // private def helper ... end
+            const modifiedDef = text.match(/^(public|protected|private)\s+(def\s[\s\S]*)$/);
+            if (modifiedDef || /^def\s/.test(text)) {
+                const definition = modifiedDef ? { ...node, text: modifiedDef[2] } : node;
+                const method = this.describeMethod(definition, modifiedDef ? modifiedDef[1] : visibility);
+                description.methods.push(method);
+                continue;
+            }
+
+            // self.table_name = "blog_posts"
+            const setting = text.match(/^self\.(\w+)\s*=(?!=)\s*([\s\S]+)$/);
+            if (setting) {
+                description.settings[setting[1]] = parseValue(setting[2]);
+                continue;
+            }
+
+            const constant = text.match(/^([A-Z][A-Z0-9_]*)\s*=(?!=)\s*([\s\S]+)$/);
+            if (constant) {
+                description.constants.push({ name: constant[1], value: parseValue(constant[2]) });
+                continue;
+            }
+
+            const call = parseCall(text);
+            if (!call || call.receiver) continue;
+            const positional = call.args.positional.map(parseValue);
+
+            switch (call.name) {
+                case 'include':
+                case 'prepend':
+                    description.includes.push(...call.args.positional.map(argument => argument.trim()));
+                    break;
+                case 'extend':
+                    description.extensions.push(...call.args.positional.map(argument => argument.trim()));
+                    break;
+                case 'public':
+                case 'protected':
+                case 'private':
+                    // private :helper, :other
+                    for (const name of positional.filter(value => typeof value === 'string')) {
+                        const method = description.methods.find(candidate => candidate.name === name && !candidate.static);
+                        if (method) method.visibility = call.name;
+                    }
+                    break;
+                case 'private_class_method':
+                    for (const name of positional.filter(value => typeof value === 'string')) {
+                        const method = description.methods.find(candidate => candidate.name === name && candidate.static);
+                        if (method) method.visibility = 'private';
+                    }
+                    break;
+                default:
+                    if (ATTRIBUTE_MACROS[call.name]) {
+                        for (const name of positional.filter(value => typeof value === 'string')) {
+                            description.attributes.push({ name, access: ATTRIBUTE_MACROS[call.name], visibility });
+                        }
+                        break;
+                    }
+                    description.macros.push(this.describeMacro(call, node));
+            }
+        }
+
+        return description;
+    }
+
+    // has_many :comments, dependent: :destroy -> { name, arguments: ['comments'], options: { dependent: 'destroy' } }
+    describeMacro(call, node) {
+        const macro = {
+            name: call.name,
+            arguments: call.args.positional.map(parseValue),
+            options: Object.fromEntries(Object.entries(call.args.options).map(([key, value]) => [key, parseValue(value)])),
+            line: node.line
+        };
+        if (call.block || node.body) macro.block = true;
+        return macro;
+    }
+
+    describeMethod(node, visibility, singleton = false) {
+        const head = node.text.match(/^def\s+(self\.)?([A-Za-z_]\w*[?!=]?|\[\]=?|[+\-*/%<>=!~^&|]+)/) || ['', null, node.text.replace(/^def\s+/, '')];
+        let rest = node.text.slice(head[0].length);
+        let parameterList = '';
+        if (rest.startsWith('(')) {
+            const close = findClosingBracket(rest, 0);
+            parameterList = close === -1 ? rest.slice(1) : rest.slice(1, close);
+            rest = close === -1 ? '' : rest.slice(close + 1);
+        } else if (!/^\s*=/.test(rest)) {
+            parameterList = rest;
+            rest = '';
+        }
+
+        const method = {
+            name: head[2],
+            visibility,
+            static: singleton || Boolean(head[1]),
+            summary: this.docSummary(node.line),
+            parameters: this.parseParameters(parameterList)
+        };
+        if (this.methodBodies) {
+            // Endless methods (`def full_name = "#{first} #{last}"`) are their own body
+            method.body = node.body ? this.bodySource(node.body) : rest.replace(/^\s*=\s*/, '');
+        }
+        return method;
+    }
+
+    // (a, b = 1, *rest, key:, opt: 2, **options, &block)
+    parseParameters(list) {
+        return splitTopLevel(list.trim()).map(parameter => {
+            const text = parameter.trim();
+            let match;
+            if ((match = text.match(/^&(\w*)$/))) return { name: match[1] || null, kind: 'block' };
+            if ((match = text.match(/^\*\*(\w*)$/))) return { name: match[1] || null, kind: 'keyrest' };
+            if ((match = text.match(/^\*(\w*)$/))) return { name: match[1] || null, kind: 'rest' };
+            if ((match = text.match(/^(\w+):\s*([\s\S]*)$/))) {
+                return match[2] ? { name: match[1], kind: 'keyword', default: parseValue(match[2]) } : { name: match[1], kind: 'keyword', required: true };
+            }
+            if ((match = text.match(/^(\w+)\s*=\s*([\s\S]+)$/))) return { name: match[1], kind: 'optional', default: parseValue(match[2]) };
+            return { name: text, kind: 'required' };
+        });
+    }
+
+    bodySource(nodes, depth = 0) {
+        return nodes.map(node => {
+            const line = `${'  '.repeat(depth)}${node.text}`;
+            return node.body ? `${line}\n${this.bodySource(node.body, depth + 1)}\n${'  '.repeat(depth)}end` : line;
+        }).join('\n');
+    }
+
+    /**
+     * First paragraph of the `#` comment block directly above a line,
+     * skipping magic comments and YARD tags.
+     */
+    docSummary(line) {
+        const comments = [];
+        for (let index = line - 2; index >= 0; index--) {
+            const match = this.lines[index].match(/^\s*#\s?(.*)$/);
+            if (!match) break;
+            comments.unshift(match[1].trim());
+        }
+
+        const summary = [];
+        for (const comment of comments) {
+            if (/^(?:frozen_string_literal|typed|encoding|rubocop):/.test(comment) || comment.startsWith('@')) continue;
+            if (!comment) {
+                if (summary.length > 0) break;
+                continue;
+            }
+            summary.push(comment);
+        }
+        return summary.length > 0 ? summary.join(' ') : null;
+    }
+}
+
+export { RubyClassAnalyzer };
@@ -0,0 +1,518 @@
+/**
+ * Ruby Source Helpers
+ *
+ * Lexical helpers for reading Rails source without a Ruby runtime: masking of
+ * comments, strings, regexes and heredocs, a statement tree that follows
+ * `do`/`class`/`def`/`if` ... `end` nesting, and parsing of method calls
+ * written without parentheses (`resources :posts, only: [:index] do`) and of
+ * literal values (symbols, strings, arrays, hashes).
+ */
+
+const OPENERS = { '(': ')', '[': ']', '{': '}' };
+const CLOSERS = new Set([')', ']', '}']);
+const PERCENT_DELIMITERS = { '(': ')', '[': ']', '{': '}', '<': '>' };
+
+// Keywords after which `/` starts a regex and `%` a percent literal
+const EXPRESSION_KEYWORDS = /(?:^|[^\w])(?:if|unless|when|and|or|not|return|while|until|in)$/;
+
+const BLOCK_KEYWORD = /^(class|module|def|if|unless|while|until|case|begin|for)\b/;
+const ENDLESS_DEF = /^def\s+(?:self\.)?[\w?!]+(?:\s*\([^)]*\))?\s*=(?!=)/;
+const END_TOKEN = /(?<![.:\w])end(?![\w?!:])/g;
+const DO_TOKEN = /(?<![.:\w])do(?![\w?!:])/g;
+
+function blank(text) {
+    return text.replace(/[^\n]/g, ' ');
+}
+
+/**
+ * Returns `{ code, mask }`, both as long as `source`: `code` has comments
+ * blanked out; `mask` additionally blanks the contents of strings, symbols
+ * with quotes, regexes, percent literals and heredocs, so structure can be
+ * read from `mask` and values from `code` at the same offsets.
+ */
+function maskRuby(source) {
+    let code = '';
+    let mask = '';
+    let i = 0;
+    const pendingHeredocs = [];
+
+    const previousSignificant = () => mask.replace(/\s+$/, '');
+    const expectsOperand = () => {
+        const before = previousSignificant();
+        return before === '' || /[(,=~!&|:[{;?<>+\-*]$/.test(before) || EXPRESSION_KEYWORDS.test(before);
+    };
+    const emit = (text, masked = text) => {
+        code += text;
+        mask += masked;
+    };
+
+    while (i < source.length) {
+        const char = source[i];
+        const atLineStart = i === 0 || source[i - 1] === '\n';
+
+        if (char === '\n' && pendingHeredocs.length > 0) {
+            // Heredoc bodies start on the line after their opener
+            emit('\n');
+            i++;
+            while (pendingHeredocs.length > 0) {
+                const { terminator } = pendingHeredocs.shift();
+                const pattern = new RegExp(`^[ \\t]*${terminator}[ \\t]*$`, 'm');
+                const rest = source.slice(i);
+                const match = pattern.exec(rest);
+                const end = match ? i + match.index + match[0].length : source.length;
+                const body = source.slice(i, end);
+                emit(body, blank(body));
+                i = end;
+            }
+            continue;
+        }
+
+        if (atLineStart && source.startsWith('=begin', i)) {
+            const end = source.indexOf('\n=end', i);
+            const stop = end === -1 ? source.length : source.indexOf('\n', end + 1) === -1 ? source.length : source.indexOf('\n', end + 1);
+            const comment = source.slice(i, stop);
+            emit(blank(comment));
+            i = stop;
+            continue;
+        }
+
+        if (atLineStart && source.startsWith('__END__', i)) {
+            const rest = source.slice(i);
+            emit(blank(rest));
+            break;
+        }
+
+        if (char === '#') {
+            const end = source.indexOf('\n', i);
+            const stop = end === -1 ? source.length : end;
+            emit(blank(source.slice(i, stop)));
+            i = stop;
+            continue;
+        }
+
+        if (char === '\'' || char === '"' || char === '`') {
+            const end = skipQuoted(source, i, char, char);
+            const literal = source.slice(i, end);
+            emit(literal, char + blank(literal.slice(1, -1)) + (literal.length > 1 ? literal.slice(-1) : ''));
+            i = end;
+            continue;
+        }
+
+        // `execute <<~SQL` (no space after <<) is a heredoc, `list << ITEM` is not
+        const heredoc = source.slice(i).match(/^<<([~-]?)(['"`]?)([A-Z_][A-Z0-9_]*)\2/);
+        if (heredoc && (expectsOperand() || /\s$/.test(mask))) {
+            pendingHeredocs.push({ terminator: heredoc[3] });
+            emit(heredoc[0]);
+            i += heredoc[0].length;
+            continue;
+        }
+
+        const percent = source.slice(i).match(/^%([wWiIqQrsx]?)([([{<|!/])/);
+        if (percent && (percent[1] || expectsOperand())) {
+            const open = percent[2];
+            const close = PERCENT_DELIMITERS[open] || open;
+            const end = skipQuoted(source, i + percent[0].length - 1, open, close);
+            const literal = source.slice(i, end);
+            emit(literal, percent[0] + blank(literal.slice(percent[0].length, -1)) + close);
+            i = end;
+            continue;
+        }
+
+        if (char === '/' && expectsOperand()) {
+            const close = skipQuoted(source, i, '/', '/');
+            let end = close;
+            while (/[imxo]/.test(source[end] || '')) end++;
+            const literal = source.slice(i, end);
+            emit(literal, '/' + blank(literal.slice(1, close - i - 1)) + literal.slice(close - i - 1));
+            i = end;
+            continue;
+        }
+
+        if (char === '?' && expectsOperand() && /^\?\S/.test(source.slice(i, i + 2))) {
+            // Character literal such as ?a
+            emit(source.slice(i, i + 2), '  ');
+            i += 2;
+            continue;
+        }
+
+        emit(char);
+        i++;
+    }
+
+    return { code, mask };
+}
+
+/**
+ * Returns the index just past a literal opened at `index` and closed by
+ * `close`, honouring escapes, nesting of paired delimiters and `#{}`.
+ */
+function skipQuoted(source, index, open, close) {
+    let depth = 1;
+    let i = index + 1;
+    while (i < source.length) {
+        const char = source[i];
+        if (char === '\\') {
+            i += 2;
+            continue;
+        }
+        if (char === '#' && source[i + 1] === '{' && open !== '\'') {
+            const end = findInterpolationEnd(source, i + 1);
+            i = end + 1;
+            continue;
+        }
+        if (open !== close && char === open) {
+            depth++;
+        } else if (char === close) {
+            depth--;
+            if (depth === 0) return i + 1;
+        }
+        i++;
+    }
+    return source.length;
+}
+
+function findInterpolationEnd(source, openIndex) {
+    let depth = 0;
+    for (let i = openIndex; i < source.length; i++) {
+        if (source[i] === '{') depth++;
+        if (source[i] === '}') {
+            depth--;
+            if (depth === 0) return i;
+        }
+    }
+    return source.length;
+}
+
+/**
+ * Finds the bracket closing the one at `openIndex`, reading structure from
+ * the mask of `source`. Returns -1 when unbalanced.
+ */
+function findClosingBracket(source, openIndex, mask = maskRuby(source).mask) {
+    const stack = [];
+    for (let i = openIndex; i < mask.length; i++) {
+        const char = mask[i];
+        if (OPENERS[char]) {
+            stack.push(OPENERS[char]);
+        } else if (CLOSERS.has(char)) {
+            if (stack.pop() !== char) return -1;
+            if (stack.length === 0) return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Splits `source` on `separator` outside brackets, strings and comments.
+ * Empty segments are dropped.
+ */
+function splitTopLevel(source, separator = ',') {
+    const { code, mask } = maskRuby(source);
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+
+    for (let i = 0; i < mask.length; i++) {
+        const char = mask[i];
+        if (OPENERS[char]) {
+            depth++;
+        } else if (CLOSERS.has(char)) {
+            depth--;
+        } else if (depth === 0 && mask.startsWith(separator, i)) {
+            parts.push(code.slice(start, i));
+            start = i + separator.length;
+            i = start - 1;
+        }
+    }
+
+    parts.push(code.slice(start));
+    return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Parses Ruby source into a tree of statements. Each node is
+ * `{ text, line }`, plus `body` (the nested statements) when the statement
+ * opens a block closed by `end`. Comments are removed from `text`.
+ */
+function parseBlocks(source) {
+    const { code, mask } = maskRuby(source);
+    const root = { body: [] };
+    const stack = [root];
+
+    for (const statement of splitStatements(code, mask)) {
+        let { text, masked } = statement;
+
+        // `end.each do |x|` closes one block and opens another
+        const leadingEnd = masked.match(/^end\b[\s.]*/);
+        if (leadingEnd) {
+            if (stack.length > 1) stack.pop();
+            text = text.slice(leadingEnd[0].length).trim();
+            masked = masked.slice(leadingEnd[0].length).trim();
+            // `end)`, `end while x` and the like close without opening anything
+            if (!masked || /^(?:[)\]},]|(?:while|until|if|unless|rescue)\b)/.test(masked)) continue;
+        }
+
+        const node = { text, line: statement.line };
+        stack[stack.length - 1].body.push(node);
+
+        const balance = blockBalance(masked);
+        if (balance > 0) {
+            node.body = [];
+            stack.push(node);
+        } else {
+            for (let closed = balance; closed < 0 && stack.length > 1; closed++) stack.pop();
+        }
+    }
+
+    return root.body;
+}
+
+// Opened minus closed `end` blocks within one statement
+function blockBalance(masked) {
+    let opens = (masked.match(DO_TOKEN) || []).length;
+    const keyword = masked.match(BLOCK_KEYWORD);
+    if (keyword && !ENDLESS_DEF.test(masked)) {
+        // `while x do` opens a single block
+        opens += ['while', 'until', 'for'].includes(keyword[1]) && opens > 0 ? 0 : 1;
+    }
+    opens += (masked.match(/(?:[^=!<>]=|\breturn|<<)\s*(?:if|unless|case|begin|while)\b/g) || []).length;
+    return opens - (masked.match(END_TOKEN) || []).length;
+}
+
+/**
+ * Joins continued lines (open brackets, trailing operators, leading `.`
+ * chains) and splits on `;`, returning `{ text, masked, line }` statements.
+ */
+function splitStatements(code, mask) {
+    const codeLines = code.split('\n');
+    const maskLines = mask.split('\n');
+    const statements = [];
+    let current = null;
+    let depth = 0;
+
+    const flush = () => {
+        if (!current) return;
+        for (const part of splitMaskedOn(current.text, current.masked, ';')) {
+            if (part.masked.trim()) {
+                statements.push({ text: part.text.trim(), masked: part.masked.trim(), line: current.line });
+            }
+        }
+        current = null;
+    };
+
+    for (let index = 0; index < codeLines.length; index++) {
+        const masked = maskLines[index];
+        const trimmed = masked.trim();
+        if (!trimmed && !current) continue;
+
+        if (!current) {
+            current = { text: '', masked: '', line: index + 1 };
+        } else {
+            current.text += '\n';
+            current.masked += '\n';
+        }
+        current.text += codeLines[index];
+        current.masked += masked;
+
+        for (const char of masked) {
+            if (OPENERS[char]) depth++;
+            else if (CLOSERS.has(char)) depth = Math.max(0, depth - 1);
+        }
+
+        const next = (maskLines[index + 1] || '').trim();
+        if (depth === 0 && !continues(current.masked) && !/^(?:\.|&\.)\w/.test(next)) flush();
+    }
+    flush();
+
+    return statements;
+}
+
+// A trailing comma, backslash or binary operator carries the statement onto the next line
+function continues(masked) {
+    const trimmed = masked.replace(/\s+$/, '');
+    if (/\b(?:do|end)(?:\s*\|[^|]*\|)?$/.test(trimmed)) return false;
+    return /(?:,|\\|\.|&&|\|\||[^=!<>]=|\+|-|\*|\band|\bor|\s\?|\s:)$/.test(trimmed);
+}
+
+function splitMaskedOn(text, masked, separator) {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < masked.length; i++) {
+        const char = masked[i];
+        if (OPENERS[char]) depth++;
+        else if (CLOSERS.has(char)) depth--;
+        else if (depth === 0 && char === separator) {
+            parts.push({ text: text.slice(start, i), masked: masked.slice(start, i) });
+            start = i + 1;
+        }
+    }
+    parts.push({ text: text.slice(start), masked: masked.slice(start) });
+    return parts;
+}
+
+/**
+ * Parses a command-style call: `resources :posts, only: [:index] do |r|`
+ * becomes `{ receiver: null, name: 'resources', args: { positional, options },
+ * block: true, blockParams: ['r'] }`. Returns null when `text` is not a call.
+ */
+function parseCall(text) {
+    const { mask } = maskRuby(text);
+    let body = text;
+    let bodyMask = mask;
+    let block = false;
+    let blockParams = [];
+
+    const blockMatch = bodyMask.match(/\s+do(\s*\|([^|]*)\|)?\s*$/);
+    if (blockMatch) {
+        block = true;
+        if (blockMatch[1]) {
+            blockParams = body.slice(blockMatch.index).match(/\|([^|]*)\|/)[1].split(',').map(param => param.trim()).filter(Boolean);
+        }
+        body = body.slice(0, blockMatch.index);
+        bodyMask = bodyMask.slice(0, blockMatch.index);
+    }
+
+    const head = bodyMask.match(/^((?:[A-Z][\w]*(?:::[A-Z]\w*)*|[a-z_]\w*)(?:\.[a-z_]\w*[?!]?)*\.)?([a-z_]\w*[?!]?)/);
+    if (!head) return null;
+
+    const rest = bodyMask.slice(head[0].length);
+    let argsText = '';
+    if (rest.startsWith('(')) {
+        const close = findClosingBracket(body, head[0].length, bodyMask);
+        argsText = close === -1 ? body.slice(head[0].length + 1) : body.slice(head[0].length + 1, close);
+    } else if (/^\s+(?![=+\-*/%<>!&|^]=?\s|=|\.|\?\s|:\s|\bif\b|\bunless\b)/.test(rest) || rest.trim() === '') {
+        argsText = body.slice(head[0].length);
+    } else {
+        return null;
+    }
+
+    return {
+        receiver: head[1] ? head[1].slice(0, -1) : null,
+        name: head[2],
+        args: parseArguments(argsText),
+        block,
+        blockParams
+    };
+}
+
+/**
+ * Splits call arguments into raw positional expressions and keyword/hash
+ * options (`only: [:index]`, `:to => 'a#b'`, `"x" => 1`).
+ */
+function parseArguments(text) {
+    const positional = [];
+    const options = {};
+
+    for (const part of splitTopLevel(text || '')) {
+        if (/^(?:\*\*|&)/.test(part)) continue;
+
+        const label = part.match(/^([A-Za-z_]\w*[?!]?):(?!:)\s*([\s\S]*)$/) || part.match(/^"([^"]+)":\s*([\s\S]+)$/);
+        if (label) {
+            options[label[1]] = label[2].trim() || label[1];
+            continue;
+        }
+
+        const rocket = splitTopLevel(part, '=>');
+        if (rocket.length === 2) {
+            const key = parseValue(rocket[0]);
+            options[typeof key === 'string' ? key : rocket[0]] = rocket[1];
+            continue;
+        }
+
+        // A trailing braced hash holds options too: `get 'x', { to: 'a#b' }`
+        if (/^\{[\s\S]*\}$/.test(part) && part === splitTopLevel(text).pop() && /^\{\s*(?:[A-Za-z_]\w*:|[:'"][\w'"]*\s*=>)/.test(part)) {
+            Object.assign(options, parseArguments(part.slice(1, -1)).options);
+            continue;
+        }
+
+        positional.push(part);
+    }
+
+    return { positional, options };
+}
+
+/**
+ * Converts a Ruby literal to its JS value: symbols and strings to strings,
+ * numbers, true/false/nil, arrays (including %w/%i) and hashes. Any other
+ * expression becomes `{ expression }`.
+ */
+function parseValue(expression) {
+    if (expression === undefined || expression === null) return null;
+    const text = String(expression).trim();
+
+    const symbol = text.match(/^:([A-Za-z_]\w*[?!=]?)$/) || text.match(/^:"([^"]*)"$/);
+    if (symbol) return symbol[1];
+
+    const string = parseString(text);
+    if (string !== null) return string;
+
+    if (/^-?\d[\d_]*$/.test(text)) return Number(text.replace(/_/g, ''));
+    if (/^-?\d[\d_]*\.\d+(?:e-?\d+)?$/i.test(text)) return Number(text.replace(/_/g, ''));
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    if (text === 'nil') return null;
+
+    const words = text.match(/^%[wWiI]([([{<|!/])([\s\S]*)[)\]}>|!/]$/);
+    if (words) return words[2].trim().split(/\s+/).filter(Boolean);
+
+    if (/^\[[\s\S]*\]$/.test(text) && findClosingBracket(text, 0) === text.length - 1) {
+        return splitTopLevel(text.slice(1, -1)).map(parseValue);
+    }
+
+    if (/^\{[\s\S]*\}$/.test(text) && findClosingBracket(text, 0) === text.length - 1) {
+        const { positional, options } = parseArguments(text.slice(1, -1));
+        if (positional.length === 0) {
+            return Object.fromEntries(Object.entries(options).map(([key, value]) => [key, parseValue(value)]));
+        }
+    }
+
+    return { expression: text };
+}
+
+// Value of a quoted string literal ('...', "...", %q(...)), or null
+function parseString(text) {
+    const quoted = text.match(/^(['"])([\s\S]*)\1$/);
+    if (quoted && findUnescaped(quoted[2], quoted[1]) === -1) {
+        return quoted[1] === '\''
+            ? quoted[2].replace(/\\(['\\])/g, '$1')
+            : quoted[2].replace(/\\(["\\#])/g, '$1').replace(/\\n/g, '\n').replace(/\\t/g, '\t');
+    }
+    const percent = text.match(/^%[qQ]?([([{<|!])([\s\S]*)([)\]}>|!])$/);
+    if (percent && (PERCENT_DELIMITERS[percent[1]] || percent[1]) === percent[3]) return percent[2];
+    return null;
+}
+
+function findUnescaped(text, char) {
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\\') i++;
+        else if (text[i] === char) return i;
+    }
+    return -1;
+}
+
+// api/v1/user_posts -> Api::V1::UserPosts
+function camelize(value) {
+    return value.split('/')
+        .map(segment => segment.split('_').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join(''))
+        .join('::');
+}
+
+// Api::V1::UserPosts -> api/v1/user_posts
+function underscore(value) {
+    return value.split('::')
+        .map(segment => segment.replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2').replace(/([a-z\d])([A-Z])/g, '$1_$2').toLowerCase())
+        .join('/');
+}
+
+export {
+    maskRuby,
+    findClosingBracket,
+    splitTopLevel,
+    parseBlocks,
+    parseCall,
+    parseArguments,
+    parseValue,
+    parseString,
+    camelize,
+    underscore
+};
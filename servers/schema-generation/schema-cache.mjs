@@ -0,0 +1,132 @@
+/**
+ * Schema Cache
+ *
+ * Remembers what each source file parsed to, so a generation run only
+ * re-parses the files that changed since the last one. Entries are keyed
+ * by project-relative path and hold the file's content hash, its mtime and
+ * size, and one result per parser. A file whose mtime and size are
+ * unchanged is not even read; one that was touched but not changed is read
+ * and hashed, then served from the cache. The cache is stored as
+ * `.taskmaster/schemas/cache.json` and thrown away whenever the generator's
+ * own modules change, since their output would too.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const CACHE_FORMAT = 1;
+
+// Within this window of the recorded mtime, a same-size edit could still carry the same mtime
+const MTIME_GRANULARITY_MS = 2000;
+
+function contentHash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+class SchemaCache {
+    /**
+     * @param {string} projectRoot - absolute project root files are relative to
+     * @param {string} cacheFile - where the cache is stored
+     * @param {Object} options - `enabled: false` parses every file and stores nothing
+     */
+    constructor(projectRoot, cacheFile, { enabled = true } = {}) {
+        this.projectRoot = projectRoot;
+        this.cacheFile = cacheFile;
+        this.enabled = enabled;
+        this.entries = {};
+        this.files = {};
+    }
+
+    async load() {
+        this.entries = {};
+        this.files = {};
+        this.codeVersion = await SchemaCache.codeVersion();
+        if (!this.enabled) return;
+
+        try {
+            const stored = JSON.parse(await fs.readFile(this.cacheFile, 'utf8'));
+            if (stored.format === CACHE_FORMAT && stored.codeVersion === this.codeVersion) {
+                this.entries = stored.files || {};
+            }
+        } catch {
+            // No cache yet, or one that cannot be read: every file is parsed
+        }
+    }
+
+    /**
+     * Returns what `parse(content)` gives for the file, from the cache when
+     * the file is unchanged and `key` (the parser and anything else its
+     * result depends on) was stored for it. Results must survive a JSON
+     * round trip; every call returns a fresh copy.
+     */
+    async parse(file, key, parse) {
+        const fullPath = path.join(this.projectRoot, file);
+        const stats = await fs.stat(fullPath);
+        let entry = this.entries[file];
+
+        if (this.enabled && entry && entry.mtimeMs === stats.mtimeMs && entry.size === stats.size &&
+            entry.checkedAt - entry.mtimeMs > MTIME_GRANULARITY_MS && Object.prototype.hasOwnProperty.call(entry.results, key)) {
+            return this.hit(file, entry.results[key]);
+        }
+
+        const content = await fs.readFile(fullPath, 'utf8');
+        const hash = contentHash(content);
+        if (!entry || entry.hash !== hash) entry = { hash, results: {} };
+        Object.assign(entry, { mtimeMs: stats.mtimeMs, size: stats.size, checkedAt: Date.now() });
+        this.entries[file] = entry;
+
+        if (this.enabled && Object.prototype.hasOwnProperty.call(entry.results, key)) {
+            return this.hit(file, entry.results[key]);
+        }
+
+        // Parsed results are returned as they will be stored, so a cached run's output matches this one's
+        const result = await parse(content);
+        entry.results[key] = result === undefined ? null : JSON.parse(JSON.stringify(result));
+        this.files[file] = 'miss';
+        return JSON.parse(JSON.stringify(entry.results[key]));
+    }
+
+    hit(file, result) {
+        // A file parsed by several parsers counts as a miss when any of them missed
+        if (this.files[file] !== 'miss') this.files[file] = 'hit';
+        return JSON.parse(JSON.stringify(result));
+    }
+
+    // Keeps the entries of the files this run parsed; deleted and no longer scanned files drop out
+    async save() {
+        if (!this.enabled) return;
+        const files = Object.fromEntries(Object.keys(this.files)
+            .filter(file => this.entries[file])
+            .map(file => [file, this.entries[file]]));
+
+        await fs.mkdir(path.dirname(this.cacheFile), { recursive: true });
+        await fs.writeFile(this.cacheFile, JSON.stringify({ format: CACHE_FORMAT, codeVersion: this.codeVersion, files }));
+    }
+
+    // `{ enabled, hits, misses, files: { path: 'hit' | 'miss' } }` for the files this run parsed
+    report() {
+        const statuses = Object.values(this.files);
+        return {
+            enabled: this.enabled,
+            hits: statuses.filter(status => status === 'hit').length,
+            misses: statuses.filter(status => status === 'miss').length,
+            files: this.files
+        };
+    }
+
+    // Fingerprint of the generator's modules, from their names, sizes and mtimes
+    static async codeVersion() {
+        const directory = path.dirname(fileURLToPath(import.meta.url));
+        const modules = (await fs.readdir(directory)).filter(name => name.endsWith('.mjs')).sort();
+        const fingerprints = [];
+        for (const name of modules) {
+            const stats = await fs.stat(path.join(directory, name));
+            fingerprints.push(`${name}:${stats.size}:${stats.mtimeMs}`);
+        }
+        return contentHash(fingerprints.join('\n'));
+    }
+}
+
+export { SchemaCache, contentHash };
@@ -0,0 +1,394 @@
+/**
+ * Schema Differ
+ *
+ * Compares two sets of generated schemas structurally: tables with their
+ * columns, indexes and foreign keys, routes, controllers and models. Every
+ * difference becomes one change, classified as breaking when code or data
+ * that worked against the old schemas can fail against the new ones (a
+ * dropped column, a stricter constraint, a removed route) and as
+ * non-breaking otherwise.
+ */
+
+// Column types whose values fit into the type after the arrow without loss
+const WIDENINGS = {
+    tinyInteger: ['smallInteger', 'mediumInteger', 'integer', 'bigInteger'],
+    smallInteger: ['mediumInteger', 'integer', 'bigInteger'],
+    mediumInteger: ['integer', 'bigInteger'],
+    integer: ['bigInteger', 'bigint'],
+    unsignedTinyInteger: ['unsignedSmallInteger', 'unsignedMediumInteger', 'unsignedInteger', 'unsignedBigInteger'],
+    unsignedSmallInteger: ['unsignedMediumInteger', 'unsignedInteger', 'unsignedBigInteger'],
+    unsignedMediumInteger: ['unsignedInteger', 'unsignedBigInteger'],
+    unsignedInteger: ['unsignedBigInteger'],
+    increments: ['bigIncrements'],
+    float: ['double'],
+    char: ['string', 'text', 'mediumText', 'longText'],
+    string: ['text', 'mediumText', 'longText'],
+    text: ['mediumText', 'longText'],
+    mediumText: ['longText'],
+    json: ['jsonb'],
+    SmallIntegerField: ['IntegerField', 'BigIntegerField'],
+    IntegerField: ['BigIntegerField'],
+    PositiveSmallIntegerField: ['PositiveIntegerField', 'PositiveBigIntegerField'],
+    PositiveIntegerField: ['PositiveBigIntegerField'],
+    AutoField: ['BigAutoField'],
+    CharField: ['TextField'],
+    FloatField: ['DecimalField']
+};
+
+class SchemaDiffer {
+    /**
+     * Returns `{ hasChanges, breaking, summary, changes }` for going from the
+     * `before` schemas to the `after` ones. Each change is `{ type, change,
+     * name, breaking, reason }` with `type` one of table, column, index,
+     * foreignKey, route, controller and model, `change` one of added,
+     * removed, renamed and changed, and `details` listing what changed.
+     */
+    diff(before, after) {
+        const changes = [
+            ...this.diffTables(this.tables(before), this.tables(after)),
+            ...this.diffRoutes((before.api && before.api.routes) || [], (after.api && after.api.routes) || []),
+            ...this.diffControllers((before.api && before.api.controllers) || {}, (after.api && after.api.controllers) || {}),
+            ...this.diffModels((before.businessLogic && before.businessLogic.models) || {}, (after.businessLogic && after.businessLogic.models) || {})
+        ];
+
+        const summary = { total: changes.length, breaking: 0, nonBreaking: 0, byType: {} };
+        for (const change of changes) {
+            summary[change.breaking ? 'breaking' : 'nonBreaking']++;
+            const counts = summary.byType[change.type] || (summary.byType[change.type] = {});
+            counts[change.change] = (counts[change.change] || 0) + 1;
+        }
+
+        return {
+            hasChanges: changes.length > 0,
+            breaking: summary.breaking > 0,
+            summary,
+            changes
+        };
+    }
+
+    tables(schemas) {
+        return (schemas.database && schemas.database.tables) || {};
+    }
+
+    diffTables(before, after) {
+        const changes = [];
+        const renamed = new Map();
+        for (const [name, table] of Object.entries(after)) {
+            const previous = (table.renamedFrom || []).map(rename => rename.table).find(from => before[from] && !after[from]);
+            if (previous && !before[name]) renamed.set(previous, name);
+        }
+
+        for (const [name, table] of Object.entries(before)) {
+            if (after[name]) {
+                changes.push(...this.diffTable(name, table, after[name], renamed));
+            } else if (renamed.has(name)) {
+                const newName = renamed.get(name);
+                changes.push(this.change('table', 'renamed', newName, true, `Table renamed from ${name}; queries using the old name fail`, { from: name, to: newName }));
+                changes.push(...this.diffTable(newName, table, after[newName], renamed));
+            } else {
+                changes.push(this.change('table', 'removed', name, true, 'Table dropped with its data'));
+            }
+        }
+        for (const name of Object.keys(after)) {
+            if (!before[name] && !Array.from(renamed.values()).includes(name)) {
+                changes.push(this.change('table', 'added', name, false, 'New table'));
+            }
+        }
+        return changes;
+    }
+
+    // `renamed` maps old table names to new ones, so foreign keys follow a renamed table
+    diffTable(table, before, after, renamed = new Map()) {
+        const changes = [];
+        const beforeColumns = before.columns || {};
+        const afterColumns = after.columns || {};
+        const renamedColumns = this.renamedColumns(beforeColumns, afterColumns);
+
+        for (const [name, column] of Object.entries(beforeColumns)) {
+            const newName = renamedColumns.get(name) || name;
+            if (!afterColumns[newName]) {
+                changes.push(this.change('column', 'removed', `${table}.${name}`, true, 'Column dropped with its data'));
+                continue;
+            }
+            if (newName !== name) {
+                changes.push(this.change('column', 'renamed', `${table}.${newName}`, true, `Column renamed from ${name}; queries using the old name fail`, { from: name, to: newName }));
+            }
+            const details = this.columnDetails(column, afterColumns[newName]);
+            if (details.length > 0) {
+                const breaking = details.filter(detail => detail.breaking);
+                changes.push(this.change('column', 'changed', `${table}.${newName}`, breaking.length > 0,
+                    (breaking.length > 0 ? breaking : details).map(detail => detail.reason).join('; '), { details }));
+            }
+        }
+        const renamedTo = new Set(renamedColumns.values());
+        for (const [name, column] of Object.entries(afterColumns)) {
+            if (beforeColumns[name] || renamedTo.has(name)) continue;
+            const required = !column.nullable && !this.hasDefault(column) && !column.autoIncrement;
+            changes.push(this.change('column', 'added', `${table}.${name}`, required,
+                required ? 'Required column without a default; inserts that do not set it fail' : 'New optional column'));
+        }
+
+        // Indexes match by name first, so one that followed a renamed column is the same index
+        const indexKey = (tableIndex, column = name => name) => `${tableIndex.type} (${(tableIndex.columns || []).map(column).join(', ')})`;
+        const renamedColumn = name => renamedColumns.get(name) || name;
+        const unmatched = [...(after.indexes || [])];
+        for (const tableIndex of before.indexes || []) {
+            const key = indexKey(tableIndex, renamedColumn);
+            const position = [
+                unmatched.findIndex(candidate => tableIndex.name && candidate.name === tableIndex.name),
+                unmatched.findIndex(candidate => indexKey(candidate) === key)
+            ].find(found => found !== -1);
+            if (position === undefined) {
+                changes.push(this.change('index', 'removed', `${table} ${indexKey(tableIndex)}`, false,
+                    this.isUniqueIndex(tableIndex) ? 'Uniqueness no longer enforced' : 'Index dropped; queries using it may slow down'));
+                continue;
+            }
+            const [next] = unmatched.splice(position, 1);
+            if (indexKey(next) !== key) {
+                const unique = this.isUniqueIndex(next);
+                changes.push(this.change('index', 'changed', `${table} ${next.name}`, unique,
+                    `Now ${indexKey(next)} instead of ${indexKey(tableIndex)}${unique ? '; existing duplicates and duplicate writes fail' : ''}`,
+                    { from: indexKey(tableIndex), to: indexKey(next) }));
+            }
+        }
+        for (const tableIndex of unmatched) {
+            const key = indexKey(tableIndex);
+            const unique = this.isUniqueIndex(tableIndex);
+            changes.push(this.change('index', 'added', `${table} ${key}`, unique,
+                unique ? 'New uniqueness constraint; existing duplicates and duplicate writes fail' : 'New index'));
+        }
+
+        const keyName = (foreignKey, on = foreignKey.on, column = foreignKey.column) => `${column} → ${on}.${foreignKey.references}`;
+        const beforeKeys = new Map((before.foreignKeys || []).map(foreignKey => [keyName(foreignKey, renamed.get(foreignKey.on), renamedColumns.get(foreignKey.column)), foreignKey]));
+        const afterKeys = new Map((after.foreignKeys || []).map(foreignKey => [keyName(foreignKey), foreignKey]));
+        for (const [key, foreignKey] of beforeKeys) {
+            const next = afterKeys.get(key);
+            if (!next) {
+                changes.push(this.change('foreignKey', 'removed', `${table}.${key}`, false, 'Referential integrity no longer enforced'));
+                continue;
+            }
+            const details = ['onDelete', 'onUpdate']
+                .filter(action => (foreignKey[action] || null) !== (next[action] || null))
+                .map(action => ({ field: action, before: foreignKey[action] || null, after: next[action] || null }));
+            if (details.length > 0) {
+                changes.push(this.change('foreignKey', 'changed', `${table}.${key}`, true,
+                    `Referential actions changed (${details.map(detail => `${detail.field} ${detail.before || 'none'} → ${detail.after || 'none'}`).join(', ')}); deletes and updates behave differently`, { details }));
+            }
+        }
+        for (const key of afterKeys.keys()) {
+            if (!beforeKeys.has(key)) {
+                changes.push(this.change('foreignKey', 'added', `${table}.${key}`, true, 'New foreign key; writes with unmatched references fail'));
+            }
+        }
+        return changes;
+    }
+
+    /**
+     * Old column names mapped to new ones, from the `renamed` entries of the
+     * after columns' provenance. A column renamed twice maps from whichever
+     * of its names the before table has.
+     */
+    renamedColumns(before, after) {
+        const renamed = new Map();
+        for (const [name, column] of Object.entries(after)) {
+            if (before[name]) continue;
+            const previous = (column.provenance || [])
+                .filter(entry => entry.action === 'renamed')
+                .map(entry => entry.from)
+                .reverse()
+                .find(from => before[from] && !after[from] && !renamed.has(from));
+            if (previous) renamed.set(previous, name);
+        }
+        return renamed;
+    }
+
+    // What changed about one column, each `{ field, before, after, breaking, reason }`
+    columnDetails(before, after) {
+        const details = [];
+        const add = (field, breaking, reason) => details.push({ field, before: before[field] === undefined ? null : before[field], after: after[field] === undefined ? null : after[field], breaking, reason });
+
+        if (before.type !== after.type) {
+            const widened = (WIDENINGS[before.type] || []).includes(after.type);
+            add('type', !widened, widened ? `Type widened from ${before.type} to ${after.type}` : `Type changed from ${before.type} to ${after.type}; existing values may not convert`);
+        }
+        if (Boolean(before.nullable) !== Boolean(after.nullable)) {
+            add('nullable', !after.nullable, after.nullable ? 'Now nullable' : 'No longer nullable; existing nulls and writes without a value fail');
+        }
+        if (Boolean(before.unique) !== Boolean(after.unique)) {
+            add('unique', Boolean(after.unique), after.unique ? 'Now unique; existing duplicates and duplicate writes fail' : 'No longer unique');
+        }
+        if (Boolean(before.primary) !== Boolean(after.primary)) {
+            add('primary', true, after.primary ? 'Now the primary key' : 'No longer the primary key');
+        }
+        const length = before.length || null;
+        const nextLength = after.length || null;
+        if (length !== nextLength) {
+            const shorter = length !== null && nextLength !== null && nextLength < length;
+            add('length', shorter, shorter ? `Length reduced from ${length} to ${nextLength}; longer values are cut or rejected` : `Length changed from ${length || 'default'} to ${nextLength || 'default'}`);
+        }
+        if (JSON.stringify(before.default) !== JSON.stringify(after.default)) {
+            add('default', false, `Default changed from ${JSON.stringify(before.default === undefined ? null : before.default)} to ${JSON.stringify(after.default === undefined ? null : after.default)}`);
+        }
+        return details;
+    }
+
+    diffRoutes(before, after) {
+        const changes = [];
+        const beforeRoutes = this.routeMap(before);
+        const afterRoutes = this.routeMap(after);
+
+        for (const [key, route] of beforeRoutes) {
+            const next = afterRoutes.get(key);
+            if (!next) {
+                changes.push(this.change('route', 'removed', this.routeName(key, route), true, 'Route removed; its clients get 404 or 405'));
+                continue;
+            }
+
+            const details = [];
+            const beforeMiddleware = route.middleware || [];
+            const afterMiddleware = next.middleware || [];
+            const addedMiddleware = afterMiddleware.filter(middleware => !beforeMiddleware.includes(middleware));
+            const removedMiddleware = beforeMiddleware.filter(middleware => !afterMiddleware.includes(middleware));
+            if (addedMiddleware.length > 0) {
+                details.push({ field: 'middleware', added: addedMiddleware, breaking: true, reason: `Middleware added: ${addedMiddleware.join(', ')}; requests that passed before can be refused` });
+            }
+            if (removedMiddleware.length > 0) {
+                details.push({ field: 'middleware', removed: removedMiddleware, breaking: false, reason: `Middleware removed: ${removedMiddleware.join(', ')}` });
+            }
+            if ((route.name || null) !== (next.name || null)) {
+                details.push({ field: 'name', before: route.name || null, after: next.name || null, breaking: Boolean(route.name), reason: route.name ? `Route name ${route.name} changed to ${next.name || 'none'}; URLs built from the old name fail` : `Route named ${next.name}` });
+            }
+            const action = this.actionName(route.action);
+            const nextAction = this.actionName(next.action);
+            if (action !== nextAction) {
+                details.push({ field: 'action', before: action, after: nextAction, breaking: false, reason: `Handled by ${nextAction} instead of ${action}` });
+            }
+            const parameters = this.parameterNames(route.uri);
+            const nextParameters = this.parameterNames(next.uri);
+            if (parameters !== nextParameters) {
+                details.push({ field: 'parameters', before: parameters, after: nextParameters, breaking: false, reason: `Path parameters renamed from ${parameters} to ${nextParameters}` });
+            }
+
+            if (details.length > 0) {
+                const breaking = details.filter(detail => detail.breaking);
+                changes.push(this.change('route', 'changed', this.routeName(key, next), breaking.length > 0,
+                    (breaking.length > 0 ? breaking : details).map(detail => detail.reason).join('; '), { details }));
+            }
+        }
+        for (const [key, route] of afterRoutes) {
+            if (!beforeRoutes.has(key)) changes.push(this.change('route', 'added', this.routeName(key, route), false, 'New route'));
+        }
+        return changes;
+    }
+
+    // Routes by method and URI, with path parameters unnamed so renaming one is a change rather than a new route
+    routeMap(routes) {
+        const map = new Map();
+        for (const route of routes) {
+            for (const method of (route.methods || []).filter(candidate => candidate !== 'HEAD')) {
+                map.set(`${method} /${this.normalizeUri(route.uri)}`, route);
+            }
+        }
+        return map;
+    }
+
+    normalizeUri(uri) {
+        return String(uri).replace(/^\//, '').replace(/\{[^}]*\}|<[^>]*>|:\w+/g, '{}');
+    }
+
+    parameterNames(uri) {
+        return (String(uri).match(/\{[^}]*\}|<[^>]*>|:\w+/g) || []).join(', ') || 'none';
+    }
+
+    routeName(key, route) {
+        const [method] = key.split(' ');
+        return `${method} /${String(route.uri).replace(/^\//, '')}`;
+    }
+
+    actionName(action = {}) {
+        if (!action) return 'nothing';
+        if (action.controller) return `${action.controller}${action.method ? `@${action.method}` : ''}`;
+        return action.operationId || action.uses || action.app || action.type || 'nothing';
+    }
+
+    diffControllers(before, after) {
+        const changes = [];
+        for (const [name, controller] of Object.entries(before)) {
+            const next = after[name];
+            if (!next) {
+                changes.push(this.change('controller', 'removed', name, true, 'Controller removed; routes and code using it fail'));
+                continue;
+            }
+            const methods = this.publicMethods(controller);
+            const nextMethods = this.publicMethods(next);
+            const removed = methods.filter(method => !nextMethods.includes(method));
+            const added = nextMethods.filter(method => !methods.includes(method));
+            if (removed.length > 0 || added.length > 0) {
+                changes.push(this.change('controller', 'changed', name, removed.length > 0,
+                    [removed.length > 0 && `Actions removed: ${removed.join(', ')}`, added.length > 0 && `Actions added: ${added.join(', ')}`].filter(Boolean).join('; '),
+                    { details: { removedMethods: removed, addedMethods: added } }));
+            }
+        }
+        for (const name of Object.keys(after)) {
+            if (!before[name]) changes.push(this.change('controller', 'added', name, false, 'New controller'));
+        }
+        return changes;
+    }
+
+    publicMethods(description) {
+        return (description.methods || [])
+            .filter(method => !method.visibility || method.visibility === 'public')
+            .map(method => method.name);
+    }
+
+    diffModels(before, after) {
+        const changes = [];
+        for (const [name, model] of Object.entries(before)) {
+            const next = after[name];
+            if (!next) {
+                changes.push(this.change('model', 'removed', name, true, 'Model removed; code using it fails'));
+                continue;
+            }
+
+            const details = [];
+            if ((model.table || null) !== (next.table || null)) {
+                details.push({ field: 'table', before: model.table || null, after: next.table || null, breaking: true, reason: `Table changed from ${model.table} to ${next.table}` });
+            }
+            const relationKey = relation => `${relation.name}: ${relation.type || relation.macro}${relation.related ? ` ${relation.related}` : ''}`;
+            const relations = (model.relationships || []).map(relationKey);
+            const nextRelations = (next.relationships || []).map(relationKey);
+            const removed = relations.filter(relation => !nextRelations.includes(relation));
+            const added = nextRelations.filter(relation => !relations.includes(relation));
+            if (removed.length > 0) {
+                details.push({ field: 'relationships', removed, breaking: true, reason: `Relationships removed or changed: ${removed.join(', ')}` });
+            }
+            if (added.length > 0) {
+                details.push({ field: 'relationships', added, breaking: false, reason: `Relationships added: ${added.join(', ')}` });
+            }
+
+            if (details.length > 0) {
+                const breaking = details.filter(detail => detail.breaking);
+                changes.push(this.change('model', 'changed', name, breaking.length > 0,
+                    (breaking.length > 0 ? breaking : details).map(detail => detail.reason).join('; '), { details }));
+            }
+        }
+        for (const name of Object.keys(after)) {
+            if (!before[name]) changes.push(this.change('model', 'added', name, false, 'New model'));
+        }
+        return changes;
+    }
+
+    isUniqueIndex(tableIndex) {
+        return ['unique', 'primary'].includes(tableIndex.type);
+    }
+
+    hasDefault(column) {
+        return column.default !== undefined && column.default !== null;
+    }
+
+    change(type, change, name, breaking, reason, extra = {}) {
+        return { type, change, name, breaking, reason, ...extra };
+    }
+}
+
+export { SchemaDiffer, WIDENINGS };
@@ -3,9 +3,9 @@
 /**
  * Task Master AI Schema Generator
  * 
- * Generates comprehensive project schemas for Laravel, Rails, Django, and Express
+ * Generates comprehensive project schemas for Laravel, Symfony, Rails, Django, and Express
  * Auto-detects framework and creates YAML documentation for:
- * - Database structure, relationships, constraints
+ * - Database structure, relationships, constraints (plus Mermaid/DOT ER diagrams)
  * - API endpoints, routes, middleware 
  * - Business logic, models, policies, services
  * - Component architecture, dependencies, file organization
@@ -16,9 +16,131 @@ import path from 'path';
 import yaml from 'js-yaml';
 import { exec } from 'child_process';
 import { promisify } from 'util';
+import { MigrationReplayEngine } from './migration-replay.mjs';
+import { SqlDdlParser } from './sql-ddl-parser.mjs';
+import { EloquentModelAnalyzer } from './eloquent-model-analyzer.mjs';
+import { RelationshipGraphBuilder } from './relationship-graph.mjs';
+import { LaravelRouteParser } from './laravel-route-parser.mjs';
+import { FormRequestAnalyzer } from './form-request-analyzer.mjs';
+import { JsonResourceAnalyzer } from './json-resource-analyzer.mjs';
+import { OpenApiBuilder } from './openapi-builder.mjs';
+import { LaravelBootstrapParser } from './laravel-bootstrap-parser.mjs';
+import { PhpClassAnalyzer } from './php-class-analyzer.mjs';
+import { PhpConfigParser } from './php-config-parser.mjs';
+import { RailsSchemaParser } from './rails-schema-parser.mjs';
+import { RailsRouteParser } from './rails-route-parser.mjs';
+import { RubyClassAnalyzer } from './ruby-class-analyzer.mjs';
+import { ActiveRecordModelAnalyzer } from './active-record-analyzer.mjs';
+import { RailsControllerAnalyzer } from './rails-controller-analyzer.mjs';
+import { RailsConfigParser } from './rails-config-parser.mjs';
+import { PythonModuleAnalyzer } from './python-module-analyzer.mjs';
+import { DjangoModelAnalyzer } from './django-model-analyzer.mjs';
+import { DjangoModelRegistry } from './django-model-registry.mjs';
+import { DjangoSettingsParser } from './django-settings-parser.mjs';
+import { DjangoViewAnalyzer } from './django-view-analyzer.mjs';
+import { DjangoUrlParser } from './django-url-parser.mjs';
+import { DrfSerializerAnalyzer } from './drf-serializer-analyzer.mjs';
+import { JsModuleAnalyzer } from './js-module-analyzer.mjs';
+import { ExpressRouteParser } from './express-route-parser.mjs';
+import { PrismaSchemaParser } from './prisma-schema-parser.mjs';
+import { SequelizeModelAnalyzer } from './sequelize-model-analyzer.mjs';
+import { MongooseSchemaAnalyzer } from './mongoose-schema-analyzer.mjs';
+import { KnexMigrationParser } from './knex-migration-parser.mjs';
+import { SymfonyConfigParser } from './symfony-config-parser.mjs';
+import { SymfonyRouteParser } from './symfony-route-parser.mjs';
+import { DoctrineEntityAnalyzer } from './doctrine-entity-analyzer.mjs';
+import { DoctrineMigrationParser } from './doctrine-migration-parser.mjs';
+import { SqlMigrationParser } from './sql-migration-parser.mjs';
+import { OpenApiSpecParser } from './openapi-spec-parser.mjs';
+import { GraphqlSdlParser } from './graphql-sdl-parser.mjs';
+import { DockerComposeParser } from './docker-compose-parser.mjs';
+import { SchemaCache, contentHash } from './schema-cache.mjs';
+import { FileScanner } from './file-scanner.mjs';
+import { JSON_SCHEMAS, JSON_SCHEMA_DIRECTORY } from './json-schemas.mjs';
+import { SchemaMarkdownRenderer } from './schema-markdown-renderer.mjs';
+import { ContextPackBuilder, DEFAULT_TOKEN_BUDGET } from './context-pack-builder.mjs';
+import { SchemaVersionStore, DEFAULT_RETENTION } from './schema-version-store.mjs';
+import { SchemaDiffer } from './schema-differ.mjs';
+import { MigrationSafetyLinter } from './migration-safety-linter.mjs';
+import { isSensitiveEnv, redactSecret, redactValue, parseDotenv } from './config-redaction.mjs';
+import { parseValue as parseJsValue } from './js-source.mjs';
+import { parseValue } from './python-source.mjs';
+import { snakeCase, pluralize, modelTableName } from './laravel-naming.mjs';
+import {
+    findClosingBracket,
+    splitTopLevel,
+    stripComments,
+    extractMethodBody,
+    parseCallChain,
+    parseStringLiteral,
+    parseStringList,
+    parseArrayEntries,
+    extractPropertyValue,
+    extractClassBody,
+    extractImports,
+    resolveClassName,
+    parseClassReference,
+    parseConstantExpression,
+    parseAttributeArguments
+} from './php-source.mjs';
 
 const execAsync = promisify(exec);
 
+// Directories that never hold a Django project's own modules
+const PYTHON_SKIPPED_DIRECTORIES = ['__pycache__', 'node_modules', 'site-packages', 'migrations', 'static', 'media', 'venv', 'env'];
+
+// Directories that never hold an Express project's own modules
+const JS_SKIPPED_DIRECTORIES = ['node_modules', 'bower_components', 'dist', 'build', 'coverage', 'public', 'vendor'];
+
+// Directories that never hold a project's own schema files, whatever its framework
+const GENERIC_SKIPPED_DIRECTORIES = ['node_modules', 'bower_components', 'vendor', 'venv', '__pycache__', 'dist', 'build', 'target', 'coverage'];
+
+// Directory names whose `.sql` files are migrations
+const SQL_MIGRATION_DIRECTORIES = ['migrations', 'migration', 'migrate', 'flyway', 'changelog'];
+
+// The Blueprint methods that define a single plain column; shorthand helpers such as id() and morphs() expand in expandColumnHelper
+const BLUEPRINT_COLUMN_TYPES = new Set([
+    'bigInteger', 'binary', 'boolean', 'char', 'computed', 'date', 'dateTime', 'dateTimeTz', 'decimal', 'double',
+    'enum', 'float', 'geography', 'geometry', 'geometryCollection', 'integer', 'json', 'jsonb', 'lineString',
+    'longText', 'mediumInteger', 'mediumText', 'multiLineString', 'multiPoint', 'multiPolygon', 'point',
+    'polygon', 'set', 'smallInteger', 'string', 'text', 'time', 'timeTz', 'timestamp', 'timestampTz',
+    'tinyInteger', 'tinyText', 'unsignedBigInteger', 'unsignedDecimal', 'unsignedDouble', 'unsignedFloat',
+    'unsignedInteger', 'unsignedMediumInteger', 'unsignedSmallInteger', 'unsignedTinyInteger', 'vector', 'year'
+]);
+
+// Blueprint calls that set an option of the table itself rather than define a column
+const BLUEPRINT_TABLE_OPTIONS = ['engine', 'charset', 'collation', 'comment', 'temporary'];
+
+// The extension of each output format's `<schema>-schema.<extension>` files
+const SCHEMA_FORMATS = { yaml: 'yml', json: 'json', markdown: 'md' };
+
+// The SQL dialect of the database engines docker-compose services run
+const ENGINE_DIALECTS = { postgresql: 'pgsql', mysql: 'mysql', mariadb: 'mysql' };
+
+// The packages that mark a Node.js project as using each ORM
+const NODE_ORMS = {
+    prisma: ['@prisma/client', 'prisma'],
+    sequelize: ['sequelize', 'sequelize-typescript'],
+    mongoose: ['mongoose'],
+    knex: ['knex']
+};
+
+// The base classes and interfaces that give a Symfony class its role
+const SYMFONY_ROLES = {
+    repositories: ['Doctrine\\Bundle\\DoctrineBundle\\Repository\\ServiceEntityRepository', 'Doctrine\\ORM\\EntityRepository'],
+    subscribers: ['Symfony\\Component\\EventDispatcher\\EventSubscriberInterface'],
+    commands: ['Symfony\\Component\\Console\\Command\\Command'],
+    messageHandlers: ['Symfony\\Component\\Messenger\\Handler\\MessageHandlerInterface'],
+    voters: ['Symfony\\Component\\Security\\Core\\Authorization\\Voter\\Voter', 'Symfony\\Component\\Security\\Core\\Authorization\\Voter\\VoterInterface'],
+    forms: ['Symfony\\Component\\Form\\AbstractType']
+};
+
+const SYMFONY_ATTRIBUTES = {
+    command: 'Symfony\\Component\\Console\\Attribute\\AsCommand',
+    eventListener: 'Symfony\\Component\\EventDispatcher\\Attribute\\AsEventListener',
+    messageHandler: 'Symfony\\Component\\Messenger\\Attribute\\AsMessageHandler'
+};
+
 class TaskMasterSchemaGenerator {
     constructor(projectRoot = '.') {
         this.projectRoot = path.resolve(projectRoot);
@@ -26,6 +148,11 @@ class TaskMasterSchemaGenerator {
         this.currentDir = path.join(this.schemaDir, 'current');
         this.versionsDir = path.join(this.schemaDir, 'versions');
         this.historyDir = path.join(this.schemaDir, 'history');
+        this.versionStore = new SchemaVersionStore(this.versionsDir);
+        this.cache = new SchemaCache(this.projectRoot, path.join(this.schemaDir, 'cache.json'));
+        this.scanner = new FileScanner(this.projectRoot);
+        this.includeContent = false;
+        this.metrics = { sections: {} };
     }
 
     async detectFramework() {
@@ -38,14 +165,21 @@ class TaskMasterSchemaGenerator {
                 }
             }
 
+            // Check for Symfony (older apps require the symfony/symfony monorepo package)
+            if (await this.fileExists('composer.json')) {
+                const composerContent = await fs.readFile(path.join(this.projectRoot, 'composer.json'), 'utf8');
+                const version = this.extractSymfonyVersion(composerContent);
+                if (version) return { type: 'symfony', version };
+            }
+
             // Check for Rails
             if (await this.fileExists('Gemfile') && await this.fileExists('config/application.rb')) {
-                return { type: 'rails', version: 'detected' };
+                return { type: 'rails', version: await this.readRailsVersion() };
             }
 
             // Check for Django
-            if (await this.fileExists('manage.py') && await this.fileExists('requirements.txt')) {
-                return { type: 'django', version: 'detected' };
+            if (await this.fileExists('manage.py') && (await this.fileExists('requirements.txt') || await this.fileExists('pyproject.toml'))) {
+                return { type: 'django', version: await this.readDjangoVersion() };
             }
 
             // Check for Express/Node.js
@@ -81,6 +215,135 @@ class TaskMasterSchemaGenerator {
         }
     }
 
+    // The framework-bundle requirement of composer.json, null when it names none
+    extractSymfonyVersion(composerContent) {
+        try {
+            const require = JSON.parse(composerContent).require || {};
+            return require['symfony/framework-bundle'] || require['symfony/symfony'] || null;
+        } catch {
+            return null;
+        }
+    }
+
+    // The installed framework-bundle release from composer.lock, else the composer.json requirement
+    async readSymfonyVersion() {
+        try {
+            if (await this.fileExists('composer.lock')) {
+                const lock = JSON.parse(await fs.readFile(path.join(this.projectRoot, 'composer.lock'), 'utf8'));
+                const framework = (lock.packages || []).find(pkg => ['symfony/framework-bundle', 'symfony/symfony'].includes(pkg.name));
+                if (framework) return framework.version;
+            }
+            if (await this.fileExists('composer.json')) {
+                return this.extractSymfonyVersion(await fs.readFile(path.join(this.projectRoot, 'composer.json'), 'utf8')) || 'unknown';
+            }
+        } catch {
+            // Fall through to unknown
+        }
+        return 'unknown';
+    }
+
+    // The locked rails gem version, else the Gemfile requirement
+    async readRailsVersion() {
+        const parser = new RailsConfigParser();
+        try {
+            if (await this.fileExists('Gemfile.lock')) {
+                const locked = parser.parseGemfileLock(await fs.readFile(path.join(this.projectRoot, 'Gemfile.lock'), 'utf8'));
+                if (locked.rails) return locked.rails;
+            }
+            const gem = parser.parseGemfile(await fs.readFile(path.join(this.projectRoot, 'Gemfile'), 'utf8')).gems.rails;
+            return gem && gem.requirement.length > 0 ? gem.requirement.join(', ') : 'detected';
+        } catch {
+            return 'detected';
+        }
+    }
+
+    // The pinned or required Django version from requirements.txt or pyproject.toml
+    async readDjangoVersion() {
+        try {
+            const { packages } = await this.readPythonDependencies();
+            const django = packages.django;
+            if (!django || django.requirement === '*') return 'detected';
+            const pinned = django.requirement.match(/^===?\s*([\w.]+)$/);
+            return pinned ? pinned[1] : django.requirement;
+        } catch {
+            return 'detected';
+        }
+    }
+
+    // '^11.0' -> 11, 'v10.48.2' -> 10, 'unknown' -> null
+    laravelMajorVersion(version) {
+        const match = String(version || '').match(/(\d+)/);
+        return match ? Number(match[1]) : null;
+    }
+
+    /**
+     * Works out which application layout a Laravel project uses. Laravel 11+
+     * configures routing, middleware and exceptions in bootstrap/app.php;
+     * upgraded apps may still keep the older kernels, so the file decides.
+     */
+    async readLaravelApplication() {
+        const application = { version: 'unknown', majorVersion: null, layout: 'kernel' };
+        const parser = new LaravelBootstrapParser();
+
+        try {
+            if (await this.fileExists('composer.json')) {
+                application.version = this.extractLaravelVersion(await fs.readFile(path.join(this.projectRoot, 'composer.json'), 'utf8'));
+            }
+            // The lock file pins the installed release
+            if (await this.fileExists('composer.lock')) {
+                const lock = JSON.parse(await fs.readFile(path.join(this.projectRoot, 'composer.lock'), 'utf8'));
+                const framework = (lock.packages || []).find(pkg => pkg.name === 'laravel/framework');
+                if (framework) application.version = framework.version;
+            }
+            application.majorVersion = this.laravelMajorVersion(application.version);
+
+            if (await this.fileExists('bootstrap/app.php')) {
+                const content = await fs.readFile(path.join(this.projectRoot, 'bootstrap/app.php'), 'utf8');
+                if (/Application::configure\s*\(/.test(content)) {
+                    application.layout = 'bootstrap';
+                    application.app = parser.parseApp(content);
+                }
+            }
+            if (application.majorVersion >= 11 && application.layout !== 'bootstrap') {
+                console.warn(`Laravel ${application.version} detected but bootstrap/app.php does not call Application::configure(); using the kernel layout`);
+            }
+
+            if (await this.fileExists('bootstrap/providers.php')) {
+                application.providers = parser.parseProviders(await fs.readFile(path.join(this.projectRoot, 'bootstrap/providers.php'), 'utf8'));
+            }
+            if (await this.fileExists('routes/console.php')) {
+                application.console = parser.parseConsole(await fs.readFile(path.join(this.projectRoot, 'routes/console.php'), 'utf8'));
+            }
+        } catch (error) {
+            application.error = error.message;
+            console.warn(`Could not read the Laravel application layout: ${error.message}`);
+        }
+
+        return application;
+    }
+
+    // Architecture view of the application layout; route closures stay out of the schema
+    describeLaravelApplication(application) {
+        const description = {
+            laravelVersion: application.version,
+            layout: application.layout
+        };
+
+        if (application.app) {
+            const { then, using, ...routing } = application.app.routing || {};
+            description.routing = { ...routing, ...(then ? { then: true } : {}), ...(using ? { using: true } : {}) };
+            description.exceptions = application.app.exceptions;
+            if (application.app.commands.length > 0) description.commandPaths = application.app.commands;
+        }
+
+        const providers = [...(application.providers || []), ...((application.app && application.app.providers) || [])];
+        if (providers.length > 0) description.providers = providers;
+        if (application.console) description.console = application.console;
+        if (application.error) description.error = application.error;
+
+        return description;
+    }
+
     async ensureDirectories() {
         await fs.mkdir(this.schemaDir, { recursive: true });
         await fs.mkdir(this.currentDir, { recursive: true });
@@ -88,10 +351,69 @@ class TaskMasterSchemaGenerator {
         await fs.mkdir(this.historyDir, { recursive: true });
     }
 
-    async generateSchemas(framework = null) {
+    /**
+     * Generates and saves every schema. Source files unchanged since the
+     * last run come from the parse cache unless `cache` is false; the result
+     * reports which files were cache hits and which were parsed. Files are
+     * scanned `concurrency` at a time and at most `maxFiles` are taken in;
+     * the result's metrics time every schema section. `includeContent` keeps
+     * the first 5KB of each file listed under `structure`. `formats` picks the
+     * files written per schema from yaml, json and markdown. Each run is
+     * also saved as a version, after which the retention policy prunes and
+     * compresses older versions. `triggerContext` and `taskId` record what
+     * asked for the run in the version's metadata and the history.
+     */
+    async generateSchemas(framework = null, { cache = true, concurrency, maxFiles, includeContent = false, formats = ['yaml'], triggerContext = 'manual', taskId = null } = {}) {
+        const unknownFormats = formats.filter(format => !SCHEMA_FORMATS[format]);
+        if (unknownFormats.length > 0) {
+            throw new Error(`Unknown schema format: ${unknownFormats.join(', ')} (expected ${Object.keys(SCHEMA_FORMATS).join(', ')})`);
+        }
+
+        const started = performance.now();
         await this.ensureDirectories();
+        const schemas = await this.readSchemas(framework, { cache, concurrency, maxFiles, includeContent });
+
+        // Save schemas
+        const saved = await this.measure('save', () => this.saveSchemas(schemas, formats, { triggerContext, taskId }));
+
+        const scan = this.scanner.report();
+        if (scan.skipped > 0) {
+            console.warn(`File budget of ${scan.budget} reached: ${scan.skipped} files were not scanned`);
+        }
+
+        return {
+            success: true,
+            framework: schemas.metadata.framework,
+            schemas: Object.keys(schemas).filter(key => key !== 'metadata'),
+            timestamp: schemas.metadata.generatedAt,
+            location: this.currentDir,
+            formats,
+            version: saved.version,
+            retention: saved.retention,
+            git: schemas.metadata.git || null,
+            changes: saved.changes,
+            cache: this.cache.report(),
+            metrics: {
+                durationMs: Math.round(performance.now() - started),
+                ...scan,
+                sections: this.metrics.sections
+            }
+        };
+    }
 
-        const detectedFramework = framework || await this.detectFramework();
+    /**
+     * Reads every schema from the project, with their metadata, without
+     * writing them to current/. Parse results still go to the cache.
+     */
+    async readSchemas(framework = null, { cache = true, concurrency, maxFiles, includeContent = false } = {}) {
+        this.cache = new SchemaCache(this.projectRoot, path.join(this.schemaDir, 'cache.json'), { enabled: cache });
+        await this.cache.load();
+        this.scanner = new FileScanner(this.projectRoot, { concurrency, maxFiles });
+        await this.scanner.loadIgnoreFiles();
+        this.includeContent = includeContent;
+        this.metrics = { sections: {} };
+
+        const detectedFramework = framework || await this.measure('detection', () => this.detectFramework());
         const timestamp = new Date().toISOString();
 
         let schemas = {};
@@ -100,6 +422,9 @@ class TaskMasterSchemaGenerator {
             case 'laravel':
                 schemas = await this.generateLaravelSchemas();
                 break;
+            case 'symfony':
+                schemas = await this.generateSymfonySchemas();
+                break;
             case 'rails':
                 schemas = await this.generateRailsSchemas();
                 break;
@@ -121,32 +446,42 @@ class TaskMasterSchemaGenerator {
             projectRoot: this.projectRoot
         };
 
-        // Save schemas
-        await this.saveSchemas(schemas);
+        await this.cache.save();
+        return schemas;
+    }
 
-        return {
-            success: true,
-            framework: detectedFramework,
-            schemas: Object.keys(schemas).filter(key => key !== 'metadata'),
-            timestamp,
-            location: this.currentDir
-        };
+    // Runs one step of generation, recording its duration and how many files it scanned
+    async measure(section, step) {
+        const started = performance.now();
+        const scanned = this.scanner.scanned;
+        try {
+            return await step();
+        } finally {
+            this.metrics.sections[section] = {
+                durationMs: Math.round(performance.now() - started),
+                files: this.scanner.scanned - scanned
+            };
+        }
     }
 
     async generateLaravelSchemas() {
         const schemas = {};
+        const application = await this.measure('project', () => this.readLaravelApplication());
 
         // Database Schema
-        schemas.database = await this.generateLaravelDatabaseSchema();
+        schemas.database = await this.measure('database', () => this.generateLaravelDatabaseSchema());
 
         // API/Route Schema
-        schemas.api = await this.generateLaravelApiSchema();
+        schemas.api = await this.measure('api', () => this.generateLaravelApiSchema(application));
 
         // Business Logic Schema
-        schemas.businessLogic = await this.generateLaravelBusinessLogicSchema();
+        schemas.businessLogic = await this.measure('businessLogic', () => this.generateLaravelBusinessLogicSchema());
+
+        // Relationships combine migration foreign keys with Eloquent relations
+        schemas.database.relationships = await this.measure('relationships', () => new RelationshipGraphBuilder().build(schemas.database, schemas.businessLogic));
 
         // Component Architecture Schema
-        schemas.componentArchitecture = await this.generateLaravelComponentSchema();
+        schemas.componentArchitecture = await this.measure('componentArchitecture', () => this.generateLaravelComponentSchema(application));
 
         return schemas;
     }
@@ -191,11 +526,11 @@ class TaskMasterSchemaGenerator {
                     }
                 } catch (tinkerError) {
                     console.warn('Failed to use Laravel tinker, falling back to migration scanning:', tinkerError.message);
-                    schema.tables = await this.scanLaravelMigrations();
+                    this.applyMigrationState(schema, await this.scanLaravelMigrations());
                 }
             } else {
-                // Fallback: scan migration files
-                schema.tables = await this.scanLaravelMigrations();
+                // Fallback: replay migration files
+                this.applyMigrationState(schema, await this.scanLaravelMigrations());
             }
         } catch (error) {
             schema.error = `Failed to generate database schema: ${error.message}`;
@@ -205,31 +540,30 @@ class TaskMasterSchemaGenerator {
         return schema;
     }
 
-    async generateLaravelApiSchema() {
+    async generateLaravelApiSchema(application = { layout: 'kernel' }) {
         const schema = {
             type: 'api',
             framework: 'laravel',
-            routes: {},
-            middleware: [],
-            controllers: {}
+            routes: [],
+            middleware: {},
+            controllers: {},
+            validation: {},
+            resources: {}
         };
 
         try {
-            // Parse routes/web.php and routes/api.php
-            const routeFiles = ['routes/web.php', 'routes/api.php'];
-
-            for (const routeFile of routeFiles) {
-                if (await this.fileExists(routeFile)) {
-                    const routeContent = await fs.readFile(path.join(this.projectRoot, routeFile), 'utf8');
-                    schema.routes[routeFile] = this.parsePhpRoutes(routeContent);
-                }
-            }
+            schema.routes = await this.scanLaravelRoutes(application.app && application.app.routing);
 
             // Scan controllers
             schema.controllers = await this.scanLaravelControllers();
+            schema.validation = await this.analyzePhpClasses('app/Http/Requests', new FormRequestAnalyzer());
+            this.linkFormRequests(schema);
+            schema.resources = await this.analyzePhpClasses('app/Http/Resources', new JsonResourceAnalyzer());
 
-            // Extract middleware
-            if (await this.fileExists('app/Http/Kernel.php')) {
+            // Laravel 11+ configures middleware in bootstrap/app.php instead of the HTTP kernel
+            if (application.layout === 'bootstrap') {
+                schema.middleware = application.app.middleware;
+            } else if (await this.fileExists('app/Http/Kernel.php')) {
                 const kernelContent = await fs.readFile(path.join(this.projectRoot, 'app/Http/Kernel.php'), 'utf8');
                 schema.middleware = this.parseMiddleware(kernelContent);
             }
@@ -252,46 +586,53 @@ class TaskMasterSchemaGenerator {
             jobs: {},
             rules: {},
             commands: {},
-            middleware: {}
+            middleware: {},
+            enums: {}
         };
 
         try {
-            // Scan models
-            schema.models = await this.scanDirectory('app/Models', '.php');
+            // Analyze models
+            schema.models = await this.scanLaravelModels();
+            const classAnalyzer = new PhpClassAnalyzer();
 
             // Scan policies
             if (await this.fileExists('app/Policies')) {
-                schema.policies = await this.scanDirectory('app/Policies', '.php');
+                schema.policies = await this.analyzePhpClasses('app/Policies', classAnalyzer);
             }
 
             // Scan services
             if (await this.fileExists('app/Services')) {
-                schema.services = await this.scanDirectory('app/Services', '.php');
+                schema.services = await this.analyzePhpClasses('app/Services', classAnalyzer);
             }
 
             // Scan events
             if (await this.fileExists('app/Events')) {
-                schema.events = await this.scanDirectory('app/Events', '.php');
+                schema.events = await this.analyzePhpClasses('app/Events', classAnalyzer);
             }
 
             // Scan jobs
             if (await this.fileExists('app/Jobs')) {
-                schema.jobs = await this.scanDirectory('app/Jobs', '.php');
+                schema.jobs = await this.analyzePhpClasses('app/Jobs', classAnalyzer);
             }
 
             // Scan validation rules
             if (await this.fileExists('app/Rules')) {
-                schema.rules = await this.scanDirectory('app/Rules', '.php');
+                schema.rules = await this.analyzePhpClasses('app/Rules', classAnalyzer);
             }
 
             // Scan console commands
             if (await this.fileExists('app/Console/Commands')) {
-                schema.commands = await this.scanDirectory('app/Console/Commands', '.php');
+                schema.commands = await this.analyzePhpClasses('app/Console/Commands', classAnalyzer);
             }
 
             // Scan custom middleware
             if (await this.fileExists('app/Http/Middleware')) {
-                schema.middleware = await this.scanDirectory('app/Http/Middleware', '.php');
+                schema.middleware = await this.analyzePhpClasses('app/Http/Middleware', classAnalyzer);
+            }
+
+            // Scan enums
+            if (await this.fileExists('app/Enums')) {
+                schema.enums = await this.analyzePhpClasses('app/Enums', classAnalyzer);
             }
         } catch (error) {
             schema.error = `Failed to generate business logic schema: ${error.message}`;
@@ -301,7 +642,7 @@ class TaskMasterSchemaGenerator {
         return schema;
     }
 
-    async generateLaravelComponentSchema() {
+    async generateLaravelComponentSchema(application = { layout: 'kernel' }) {
         const schema = {
             type: 'component_architecture',
             framework: 'laravel',
@@ -315,6 +656,7 @@ class TaskMasterSchemaGenerator {
                 config: {},
                 routes: {}
             },
+            application: {},
             dependencies: {},
             configuration: {}
         };
@@ -327,9 +669,12 @@ class TaskMasterSchemaGenerator {
             schema.structure.migrations = await this.scanDirectory('database/migrations', '.php');
             schema.structure.seeders = await this.scanDirectory('database/seeders', '.php');
             schema.structure.tests = await this.scanDirectory('tests', '.php');
-            schema.structure.config = await this.scanDirectory('config', '.php');
+            // Config files hold credentials; their redacted values are under configuration
+            schema.structure.config = await this.scanDirectory('config', '.php', { content: false });
             schema.structure.routes = await this.scanDirectory('routes', '.php');
 
+            schema.application = this.describeLaravelApplication(application);
+
             // Parse dependencies from composer.json
             if (await this.fileExists('composer.json')) {
                 const composerContent = await fs.readFile(path.join(this.projectRoot, 'composer.json'), 'utf8');
@@ -343,11 +688,7 @@ class TaskMasterSchemaGenerator {
             }
 
             // Parse Laravel-specific configuration
-            schema.configuration = {
-                appConfig: await this.parsePhpConfig('config/app.php'),
-                databaseConfig: await this.parsePhpConfig('config/database.php'),
-                servicesConfig: await this.parsePhpConfig('config/services.php')
-            };
+            schema.configuration = await this.parseLaravelConfig();
         } catch (error) {
             schema.error = `Failed to generate component architecture schema: ${error.message}`;
             console.error('Component architecture schema generation error:', error);
@@ -356,341 +697,3016 @@ class TaskMasterSchemaGenerator {
         return schema;
     }
 
-    // Framework stubs for future implementation
     async generateRailsSchemas() {
-        return {
-            database: { type: 'database', framework: 'rails', note: 'Rails schema generation implementation pending' },
-            api: { type: 'api', framework: 'rails', note: 'Rails API schema generation implementation pending' },
-            businessLogic: { type: 'business_logic', framework: 'rails', note: 'Rails business logic schema generation implementation pending' },
-            componentArchitecture: { type: 'component_architecture', framework: 'rails', note: 'Rails component schema generation implementation pending' }
-        };
-    }
+        const schemas = {};
 
-    async generateDjangoSchemas() {
-        return {
-            database: { type: 'database', framework: 'django', note: 'Django schema generation implementation pending' },
-            api: { type: 'api', framework: 'django', note: 'Django API schema generation implementation pending' },
-            businessLogic: { type: 'business_logic', framework: 'django', note: 'Django business logic schema generation implementation pending' },
-            componentArchitecture: { type: 'component_architecture', framework: 'django', note: 'Django component schema generation implementation pending' }
-        };
-    }
+        schemas.database = await this.measure('database', () => this.generateRailsDatabaseSchema());
+        schemas.api = await this.measure('api', () => this.generateRailsApiSchema());
+        schemas.businessLogic = await this.measure('businessLogic', () => this.generateRailsBusinessLogicSchema());
 
-    async generateExpressSchemas() {
-        return {
-            database: { type: 'database', framework: 'express', note: 'Express schema generation implementation pending' },
-            api: { type: 'api', framework: 'express', note: 'Express API schema generation implementation pending' },
-            businessLogic: { type: 'business_logic', framework: 'express', note: 'Express business logic schema generation implementation pending' },
-            componentArchitecture: { type: 'component_architecture', framework: 'express', note: 'Express component schema generation implementation pending' }
-        };
+        // Relationships combine schema foreign keys with Active Record associations
+        schemas.database.relationships = await this.measure('relationships', () => new RelationshipGraphBuilder().build(schemas.database, schemas.businessLogic));
+
+        schemas.componentArchitecture = await this.measure('componentArchitecture', () => this.generateRailsComponentSchema());
+
+        return schemas;
     }
 
-    async generateGenericSchemas() {
-        return {
-            database: { type: 'database', framework: 'unknown', note: 'Framework-agnostic schema generation implementation pending' },
-            api: { type: 'api', framework: 'unknown', note: 'Framework-agnostic API schema generation implementation pending' },
-            businessLogic: { type: 'business_logic', framework: 'unknown', note: 'Framework-agnostic business logic schema generation implementation pending' },
-            componentArchitecture: { type: 'component_architecture', framework: 'unknown', note: 'Framework-agnostic component schema generation implementation pending' }
+    /**
+     * Reads db/schema.rb, or db/structure.sql for apps using the SQL schema
+     * format. Ruby migrations are not replayed; the ones newer than the dump
+     * are listed as pending.
+     */
+    async generateRailsDatabaseSchema() {
+        const schema = {
+            type: 'database',
+            framework: 'rails',
+            tables: {},
+            relationships: [],
+            constraints: [],
+            indexes: []
         };
-    }
 
-    // Utility methods
-    findPrimaryKey(columns) {
-        for (const [name, info] of Object.entries(columns)) {
-            if (info.key === 'PRI' || name === 'id') {
-                return name;
+        try {
+            const migrations = (await this.listFiles('db/migrate', '.rb')).map(file => path.basename(file)).sort();
+            let dump = null;
+
+            if (await this.fileExists('db/schema.rb')) {
+                const content = await fs.readFile(path.join(this.projectRoot, 'db/schema.rb'), 'utf8');
+                const parsed = new RailsSchemaParser('db/schema.rb').parse(content);
+                dump = { file: 'db/schema.rb', format: 'ruby', version: parsed.version, tables: parsed.tables };
+                if (parsed.extensions.length > 0) schema.extensions = parsed.extensions;
+                if (Object.keys(parsed.enums).length > 0) schema.enums = parsed.enums;
+            } else if (await this.fileExists('db/structure.sql')) {
+                const sql = await fs.readFile(path.join(this.projectRoot, 'db/structure.sql'), 'utf8');
+                const parsed = new SqlDdlParser('db/structure.sql').parse(sql);
+                const versions = parsed.migrations.sort();
+                dump = { file: 'db/structure.sql', format: 'sql', dialect: parsed.dialect, version: versions[versions.length - 1] || null, tables: parsed.tables };
             }
-        }
-        return null;
-    }
 
-    hasTimestamps(columns) {
-        return 'created_at' in columns && 'updated_at' in columns;
-    }
+            if (!dump) {
+                schema.migrations = migrations;
+                schema.note = 'No db/schema.rb or db/structure.sql found; run the migrations and dump the schema to describe the tables';
+                return schema;
+            }
 
-    async scanLaravelMigrations() {
-        const tables = {};
-        try {
-            if (await this.fileExists('database/migrations')) {
-                const files = await fs.readdir(path.join(this.projectRoot, 'database/migrations'));
-                for (const file of files) {
-                    if (file.endsWith('.php')) {
-                        const content = await fs.readFile(path.join(this.projectRoot, 'database/migrations', file), 'utf8');
-                        const tableInfo = this.parseMigrationFile(content, file);
-                        if (tableInfo) {
-                            tables[tableInfo.name] = tableInfo;
-                        }
-                    }
-                }
+            // Rails' own bookkeeping tables are not part of the application schema
+            const tables = Object.fromEntries(Object.entries(dump.tables)
+                .filter(([name]) => !['schema_migrations', 'ar_internal_metadata'].includes(name)));
+            for (const table of Object.values(tables)) {
+                table.primaryKey = this.findPrimaryKey(table.columns);
+                table.timestamps = this.hasTimestamps(table.columns);
             }
+
+            // Migration files start with their version timestamp
+            const pending = migrations.filter(file => dump.version && file.slice(0, 14) > dump.version);
+            this.applyMigrationState(schema, {
+                tables,
+                droppedTables: [],
+                migrations,
+                schemaDump: {
+                    file: dump.file,
+                    format: dump.format,
+                    ...(dump.dialect ? { dialect: dump.dialect } : {}),
+                    version: dump.version,
+                    tables: Object.keys(tables).length
+                }
+            });
+            if (pending.length > 0) schema.pendingMigrations = pending;
         } catch (error) {
-            console.warn('Error scanning migrations:', error.message);
+            schema.error = `Failed to generate database schema: ${error.message}`;
+            console.error('Database schema generation error:', error);
         }
-        return tables;
-    }
 
-    parseMigrationFile(content, filename) {
-        // Basic parsing of Laravel migration files
-        const createTableMatch = content.match(/Schema::create\(['"]([^'"]+)['"]/);
-        if (createTableMatch) {
-            return {
-                name: createTableMatch[1],
-                type: 'create',
-                filename,
-                columns: this.extractColumnsFromMigration(content),
-                foreignKeys: this.extractForeignKeysFromMigration(content)
-            };
-        }
+        return schema;
+    }
 
-        // Handle table modifications
-        const tableMatch = content.match(/Schema::table\(['"]([^'"]+)['"]/);
-        if (tableMatch) {
-            return {
-                name: tableMatch[1],
-                type: 'modify',
-                filename,
-                columns: this.extractColumnsFromMigration(content),
-                foreignKeys: this.extractForeignKeysFromMigration(content)
-            };
-        }
+    async generateRailsApiSchema() {
+        const schema = {
+            type: 'api',
+            framework: 'rails',
+            routes: [],
+            middleware: {},
+            controllers: {},
+            validation: {},
+            resources: {}
+        };
 
-        return null;
-    }
+        try {
+            schema.routes = await this.scanRailsRoutes();
+            schema.controllers = await this.analyzeRubyClasses('app/controllers', new RailsControllerAnalyzer());
+            schema.validation = this.collectStrongParameters(schema);
+            schema.resources = await this.analyzeRubyClasses('app/serializers', new RubyClassAnalyzer());
 
-    extractColumnsFromMigration(content) {
-        const columns = {};
-        const columnMatches = content.match(/\$table->\w+\([^;]+;/g);
-        if (columnMatches) {
-            for (const match of columnMatches) {
-                const columnInfo = this.parseColumnDefinition(match);
-                if (columnInfo) {
-                    columns[columnInfo.name] = columnInfo;
-                }
+            if (await this.fileExists('config/application.rb')) {
+                const content = await fs.readFile(path.join(this.projectRoot, 'config/application.rb'), 'utf8');
+                schema.middleware = { stack: new RailsConfigParser().parseApplication(content).middleware };
             }
+        } catch (error) {
+            schema.error = `Failed to generate API schema: ${error.message}`;
+            console.error('API schema generation error:', error);
         }
-        return columns;
-    }
 
-    parseColumnDefinition(columnLine) {
-        // Extract column type and name from Laravel migration syntax
-        const typeMatch = columnLine.match(/\$table->(\w+)\(['"]([^'"]+)['"]/);
-        if (typeMatch) {
-            const [, type, name] = typeMatch;
-            return {
-                name,
-                type,
-                nullable: columnLine.includes('->nullable()'),
-                default: this.extractDefault(columnLine),
-                unique: columnLine.includes('->unique()'),
-                index: columnLine.includes('->index()')
-            };
-        }
-        return null;
+        return schema;
     }
 
-    extractDefault(columnLine) {
-        const defaultMatch = columnLine.match(/->default\(([^)]+)\)/);
-        return defaultMatch ? defaultMatch[1].replace(/['"]/g, '') : null;
-    }
+    async generateRailsBusinessLogicSchema() {
+        const schema = {
+            type: 'business_logic',
+            framework: 'rails',
+            orm: 'active_record',
+            models: {},
+            concerns: {},
+            services: {},
+            jobs: {},
+            mailers: {},
+            policies: {},
+            channels: {},
+            validators: {}
+        };
 
-    extractForeignKeysFromMigration(content) {
-        const foreignKeys = [];
-        const foreignMatches = content.match(/\$table->foreign\([^;]+;/g);
-        if (foreignMatches) {
-            for (const match of foreignMatches) {
-                const fkInfo = this.parseForeignKeyDefinition(match);
-                if (fkInfo) {
-                    foreignKeys.push(fkInfo);
+        try {
+            const classAnalyzer = new RubyClassAnalyzer();
+            schema.models = await this.scanActiveRecordModels();
+            schema.concerns = await this.analyzeRubyClasses('app/models/concerns', classAnalyzer);
+
+            const directories = {
+                services: 'app/services',
+                jobs: 'app/jobs',
+                mailers: 'app/mailers',
+                policies: 'app/policies',
+                channels: 'app/channels',
+                validators: 'app/validators'
+            };
+            for (const [key, directory] of Object.entries(directories)) {
+                if (await this.fileExists(directory)) {
+                    schema[key] = await this.analyzeRubyClasses(directory, classAnalyzer);
                 }
             }
+        } catch (error) {
+            schema.error = `Failed to generate business logic schema: ${error.message}`;
+            console.error('Business logic schema generation error:', error);
         }
-        return foreignKeys;
+
+        return schema;
     }
 
-    parseForeignKeyDefinition(fkLine) {
-        const columnMatch = fkLine.match(/\$table->foreign\(['"]([^'"]+)['"]\)/);
-        const referencesMatch = fkLine.match(/->references\(['"]([^'"]+)['"]\)/);
-        const onMatch = fkLine.match(/->on\(['"]([^'"]+)['"]\)/);
+    async generateRailsComponentSchema() {
+        const schema = {
+            type: 'component_architecture',
+            framework: 'rails',
+            structure: {
+                controllers: {},
+                models: {},
+                views: {},
+                migrations: {},
+                tests: {},
+                config: {},
+                routes: {}
+            },
+            application: {},
+            dependencies: {},
+            configuration: {}
+        };
 
-        if (columnMatch && referencesMatch && onMatch) {
-            return {
-                column: columnMatch[1],
-                references: referencesMatch[1],
-                on: onMatch[1],
-                onDelete: this.extractOnDelete(fkLine),
-                onUpdate: this.extractOnUpdate(fkLine)
-            };
-        }
-        return null;
-    }
+        try {
+            schema.structure.controllers = await this.scanDirectory('app/controllers', '.rb');
+            schema.structure.models = await this.scanDirectory('app/models', '.rb');
+            schema.structure.views = await this.scanDirectory('app/views');
+            schema.structure.migrations = await this.scanDirectory('db/migrate', '.rb');
+            schema.structure.tests = await this.scanDirectory(await this.fileExists('spec') ? 'spec' : 'test', '.rb');
+            schema.structure.config = await this.scanDirectory('config', '.rb', { content: false });
+            schema.structure.routes = await this.scanDirectory('config/routes', '.rb');
 
-    extractOnDelete(fkLine) {
-        const match = fkLine.match(/->onDelete\(['"]([^'"]+)['"]\)/);
-        return match ? match[1] : null;
-    }
+            let envExample = '';
+            try {
+                envExample = await fs.readFile(path.join(this.projectRoot, '.env.example'), 'utf8');
+            } catch {
+                // ENV references then resolve to their defaults
+            }
+            const parser = new RailsConfigParser(envExample);
 
-    extractOnUpdate(fkLine) {
-        const match = fkLine.match(/->onUpdate\(['"]([^'"]+)['"]\)/);
-        return match ? match[1] : null;
-    }
+            if (await this.fileExists('config/application.rb')) {
+                const content = await fs.readFile(path.join(this.projectRoot, 'config/application.rb'), 'utf8');
+                schema.application = parser.parseApplication(content);
+            }
 
-    parsePhpRoutes(content) {
-        const routes = [];
-        const routeMatches = content.match(/Route::(get|post|put|patch|delete|resource|group)\([^;]+;/g);
-        if (routeMatches) {
-            for (const match of routeMatches) {
-                routes.push(this.parseRouteDefinition(match));
+            if (await this.fileExists('Gemfile')) {
+                schema.dependencies = parser.parseGemfile(await fs.readFile(path.join(this.projectRoot, 'Gemfile'), 'utf8'));
+            }
+            if (await this.fileExists('Gemfile.lock')) {
+                schema.dependencies.locked = parser.parseGemfileLock(await fs.readFile(path.join(this.projectRoot, 'Gemfile.lock'), 'utf8'));
+                schema.application.railsVersion = schema.dependencies.locked.rails || null;
+            }
+
+            // config/*.yml, database.yml included; credentials stay encrypted and unread
+            for (const file of (await this.listFiles('config', '.yml')).filter(file => path.dirname(file) === 'config')) {
+                const name = path.basename(file, '.yml');
+                try {
+                    const content = await fs.readFile(path.join(this.projectRoot, file), 'utf8');
+                    schema.configuration[name] = { file, ...parser.parse(content) };
+                } catch (error) {
+                    console.warn(`Error parsing ${file}:`, error.message);
+                    schema.configuration[name] = { file, error: error.message };
+                }
             }
+        } catch (error) {
+            schema.error = `Failed to generate component architecture schema: ${error.message}`;
+            console.error('Component architecture schema generation error:', error);
         }
-        return routes;
+
+        return schema;
     }
 
-    parseRouteDefinition(routeStr) {
-        const methodMatch = routeStr.match(/Route::(\w+)/);
-        const method = methodMatch ? methodMatch[1] : 'unknown';
+    async generateDjangoSchemas() {
+        const schemas = {};
+        const project = await this.measure('project', () => this.readDjangoProject());
 
-        // Extract route path
-        const pathMatch = routeStr.match(/Route::\w+\(['"]([^'"]+)['"]/);
-        const path = pathMatch ? pathMatch[1] : 'unknown';
+        schemas.database = await this.measure('database', () => this.generateDjangoDatabaseSchema(project));
+        schemas.api = await this.measure('api', () => this.generateDjangoApiSchema(project));
+        schemas.businessLogic = await this.measure('businessLogic', () => this.generateDjangoBusinessLogicSchema(project));
 
-        // Extract controller/action
-        const controllerMatch = routeStr.match(/(['"][^'"]*Controller[^'"]*['"])/);
-        const controller = controllerMatch ? controllerMatch[1].replace(/['"]/g, '') : null;
+        // Relationships combine the foreign keys of the model tables with the model relations
+        schemas.database.relationships = await this.measure('relationships', () => new RelationshipGraphBuilder().build(schemas.database, schemas.businessLogic));
 
-        return {
-            method,
-            path,
-            controller,
-            definition: routeStr.trim(),
-            type: method === 'resource' ? 'resource' : method === 'group' ? 'group' : 'single'
-        };
+        schemas.componentArchitecture = await this.measure('componentArchitecture', () => this.generateDjangoComponentSchema(project));
+
+        return schemas;
     }
 
-    async scanLaravelControllers() {
-        const controllers = {};
+    /**
+     * Reads what every Django schema needs: the project's Python modules,
+     * the settings module named in manage.py, the installed apps with their
+     * AppConfig labels, and the models linked across apps.
+     */
+    async readDjangoProject() {
+        const modules = await this.readPythonModules();
+        const project = {
+            modules,
+            readModule: dotted => modules[dotted] || null,
+            settingsModule: null,
+            settings: { values: {}, env: [], files: [] },
+            apps: [],
+            models: {},
+            registry: null
+        };
+
+        try {
+            if (await this.fileExists('manage.py')) {
+                const manage = await fs.readFile(path.join(this.projectRoot, 'manage.py'), 'utf8');
+                const match = manage.match(/DJANGO_SETTINGS_MODULE['"]\s*,\s*['"]([\w.]+)['"]/);
+                if (match) project.settingsModule = match[1];
+            }
+            // Without manage.py, a settings module of the project's main package
+            if (!project.settingsModule) {
+                project.settingsModule = Object.keys(modules).find(name => /^[\w]+\.settings$/.test(name)) || null;
+            }
+
+            const settings = project.settingsModule && modules[project.settingsModule];
+            if (settings) {
+                let envExample = '';
+                try {
+                    envExample = await fs.readFile(path.join(this.projectRoot, '.env.example'), 'utf8');
+                } catch {
+                    // Environment lookups then resolve to their defaults
+                }
+                project.settings = new DjangoSettingsParser(envExample)
+                    .parse(settings.content, project.settingsModule, project.readModule, settings.file);
+            }
+
+            const values = project.settings.values;
+            project.apps = (Array.isArray(values.INSTALLED_APPS) ? values.INSTALLED_APPS : [])
+                .filter(entry => typeof entry === 'string')
+                .map(entry => this.describeDjangoApp(entry, modules));
+
+            project.registry = new DjangoModelRegistry({
+                apps: project.apps,
+                ...(typeof values.DEFAULT_AUTO_FIELD === 'string' ? { defaultAutoField: values.DEFAULT_AUTO_FIELD } : {}),
+                ...(typeof values.AUTH_USER_MODEL === 'string' ? { authUserModel: values.AUTH_USER_MODEL } : {})
+            });
+            const analyzer = new DjangoModelAnalyzer();
+            const modelModules = Object.entries(modules)
+                .filter(([name]) => /(?:^|\.)models(?:\.|$)/.test(name))
+                .map(([name, source]) => analyzer.analyze(source.content, name, source.file));
+            project.models = project.registry.link(modelModules);
+        } catch (error) {
+            project.error = error.message;
+            console.warn(`Could not read the Django project: ${error.message}`);
+        }
+
+        return project;
+    }
+
+    /**
+     * An INSTALLED_APPS entry as `{ name, label, config?, defaultAutoField?,
+     * local }`: the AppConfig named by the entry, or the one an app's
+     * apps.py defines, supplies the app name and label.
+     */
+    describeDjangoApp(entry, modules) {
+        let configModule = null;
+        let configClass = null;
+        if (!modules[entry] && modules[entry.split('.').slice(0, -1).join('.')]) {
+            configModule = entry.split('.').slice(0, -1).join('.');
+            configClass = entry.split('.').pop();
+        } else if (modules[`${entry}.apps`]) {
+            configModule = `${entry}.apps`;
+        }
+
+        const app = { name: entry, label: entry.split('.').pop() };
+        if (configModule) {
+            const source = modules[configModule];
+            const classes = new PythonModuleAnalyzer().analyze(source.content, configModule, source.file).classes
+                .filter(candidate => candidate.bases.some(base => base.split('.').pop() === 'AppConfig'));
+            // Django 3.2+ picks the only AppConfig of apps.py, or the one marked default
+            const config = configClass
+                ? classes.find(candidate => candidate.name === configClass)
+                : (classes.length === 1 ? classes[0] : classes.find(candidate => candidate.attributes.some(attribute => attribute.name === 'default' && attribute.value === 'True')));
+            const attribute = name => {
+                const found = config && config.attributes.find(candidate => candidate.name === name);
+                return found ? parseValue(found.value) : undefined;
+            };
+            if (config) {
+                app.config = config.class;
+                if (typeof attribute('name') === 'string') app.name = attribute('name');
+                app.label = typeof attribute('label') === 'string' ? attribute('label') : app.name.split('.').pop();
+                if (typeof attribute('default_auto_field') === 'string') app.defaultAutoField = attribute('default_auto_field');
+                if (typeof attribute('verbose_name') === 'string') app.verboseName = attribute('verbose_name');
+            }
+        }
+        app.local = Boolean(modules[app.name]) || Object.keys(modules).some(name => name.startsWith(`${app.name}.`));
+        return app;
+    }
+
+    /**
+     * Tables derived from the model definitions (Django has no schema dump
+     * to read), with the migrations each local app ships listed.
+     */
+    async generateDjangoDatabaseSchema(project) {
+        const schema = {
+            type: 'database',
+            framework: 'django',
+            tables: {},
+            relationships: [],
+            constraints: [],
+            indexes: []
+        };
+
+        try {
+            const tables = project.registry ? project.registry.tables() : {};
+            for (const table of Object.values(tables)) {
+                table.primaryKey = this.findPrimaryKey(table.columns);
+                table.timestamps = this.hasTimestamps(table.columns);
+            }
+
+            const migrations = [];
+            for (const app of project.apps.filter(app => app.local)) {
+                const directory = path.join(...app.name.split('.'), 'migrations');
+                for (const file of await this.listFiles(directory, '.py')) {
+                    if (path.basename(file) !== '__init__.py') migrations.push(`${app.label}.${path.basename(file, '.py')}`);
+                }
+            }
+
+            this.applyMigrationState(schema, { tables, droppedTables: [], migrations });
+            schema.databases = project.settings.values.DATABASES || {};
+        } catch (error) {
+            schema.error = `Failed to generate database schema: ${error.message}`;
+            console.error('Database schema generation error:', error);
+        }
+
+        return schema;
+    }
+
+    async generateDjangoApiSchema(project) {
+        const schema = {
+            type: 'api',
+            framework: 'django',
+            routes: [],
+            middleware: {},
+            controllers: {},
+            validation: {},
+            resources: {}
+        };
+
+        try {
+            const viewAnalyzer = new DjangoViewAnalyzer();
+            const describeView = this.djangoViewLookup(project, viewAnalyzer);
+            const rootUrlconf = project.settings.values.ROOT_URLCONF;
+            if (typeof rootUrlconf === 'string') {
+                schema.routes = new DjangoUrlParser({ readModule: project.readModule, describeView }).parse(rootUrlconf);
+            }
+
+            const serializerAnalyzer = new DrfSerializerAnalyzer();
+            for (const [name, source] of Object.entries(project.modules)) {
+                if (/(?:^|\.)serializers(?:\.|$)/.test(name)) serializerAnalyzer.analyze(source.content, name, source.file);
+            }
+            schema.resources = serializerAnalyzer.resolve();
+            schema.controllers = this.collectDjangoViews(schema.routes, describeView, project);
+            schema.validation = this.collectSerializerValidation(schema, serializerAnalyzer, project);
+            schema.middleware = { stack: Array.isArray(project.settings.values.MIDDLEWARE) ? project.settings.values.MIDDLEWARE : [] };
+        } catch (error) {
+            schema.error = `Failed to generate API schema: ${error.message}`;
+            console.error('API schema generation error:', error);
+        }
+
+        return schema;
+    }
+
+    /**
+     * The URL parser's view lookup: analyzes a view's module (and the modules
+     * of its project base classes) on first use and follows names a package
+     * re-exports from its submodules.
+     */
+    djangoViewLookup(project, analyzer) {
+        const analyzed = {};
+        const load = (module) => {
+            if (analyzed[module] !== undefined) return analyzed[module];
+            const source = project.modules[module];
+            analyzed[module] = null;
+            if (!source) return null;
+            try {
+                analyzed[module] = analyzer.analyze(source.content, module, source.file);
+            } catch (error) {
+                console.warn(`Error analyzing ${source.file}:`, error.message);
+                return null;
+            }
+            for (const view of analyzed[module].classes) {
+                for (const base of view.bases) load(base.split('.').slice(0, -1).join('.'));
+            }
+            analyzer.resolve();
+            return analyzed[module];
+        };
+
+        const describeView = (dotted, seen = new Set()) => {
+            if (!dotted || seen.has(dotted)) return null;
+            seen.add(dotted);
+            const module = dotted.split('.').slice(0, -1).join('.');
+            const name = dotted.split('.').pop();
+            const description = load(module);
+            if (!description) return null;
+
+            const view = analyzer.classes[dotted];
+            if (view) return view.kind ? view : null;
+            const fn = description.functions.find(candidate => candidate.name === name);
+            if (fn) return fn;
+            const reexported = description.imports.names[name];
+            return reexported ? describeView(reexported, seen) : null;
+        };
+        return describeView;
+    }
+
+    /**
+     * The views the routes reach, keyed like controllers: class-based views
+     * by class, function views by module. Each lists the handlers routes
+     * dispatch to, with the serializer validating their input.
+     */
+    collectDjangoViews(routes, describeView, project) {
+        const controllers = {};
+        const restFramework = project.settings.values.REST_FRAMEWORK || {};
+        const defaultPermissions = restFramework.DEFAULT_PERMISSION_CLASSES;
+
+        for (const route of routes) {
+            const action = route.action;
+            if (!action || action.type !== 'controller') continue;
+            const view = describeView(action.controller) || describeView(`${action.controller}.${action.method}`);
+            if (!view) continue;
+
+            if (view.class) {
+                if (!controllers[view.class]) {
+                    const { methods, ...rest } = view;
+                    controllers[view.class] = { ...rest, methods: methods.map(method => ({ ...method })) };
+                    if (!view.permissions && view.kind !== 'view' && Array.isArray(defaultPermissions)) {
+                        controllers[view.class].permissions = defaultPermissions;
+                        controllers[view.class].defaultPermissions = true;
+                    }
+                }
+                const controller = controllers[view.class];
+                let method = controller.methods.find(candidate => candidate.name === action.method);
+                if (!method) {
+                    // Handlers and actions the view inherits from Django or DRF
+                    method = { name: action.method, summary: null, parameters: [], inherited: true };
+                    controller.methods.push(method);
+                }
+                // Inherited create/update actions validate with the view's serializer_class
+                const serializer = method.inherited ? controller.serializer : method.serializer;
+                if (serializer && route.methods.some(verb => ['POST', 'PUT', 'PATCH'].includes(verb))) method.validation = serializer;
+            } else {
+                const module = action.controller;
+                if (!controllers[module]) controllers[module] = { class: module, file: view.file, kind: 'functions', methods: [] };
+                if (!controllers[module].methods.some(method => method.name === view.name)) {
+                    const method = { ...view };
+                    if (view.serializer && view.methods.some(verb => ['POST', 'PUT', 'PATCH'].includes(verb))) method.validation = view.serializer;
+                    controllers[module].methods.push(method);
+                }
+            }
+        }
+        return controllers;
+    }
+
+    /**
+     * Input validation per serializer that a routed handler uses: the rules
+     * of its writable fields (model fields included), its `validate_*`
+     * hooks, and the actions and routes using it.
+     */
+    collectSerializerValidation(schema, analyzer, project) {
+        const validation = {};
+        const modelsByClass = Object.fromEntries(Object.values(project.models).map(model => [model.class, model]));
+
+        for (const controller of Object.values(schema.controllers)) {
+            for (const method of controller.methods) {
+                const serializer = method.validation && schema.resources[method.validation];
+                if (!serializer) continue;
+
+                if (!validation[serializer.class]) {
+                    const model = serializer.model && modelsByClass[serializer.model];
+                    const fields = analyzer.inputFields(serializer, model ? model.fields : {},
+                        field => model ? project.registry.choiceValues(field.choices, model) : null);
+                    validation[serializer.class] = {
+                        class: serializer.class,
+                        file: serializer.file,
+                        summary: serializer.summary,
+                        model: serializer.model,
+                        rules: Object.fromEntries(Object.entries(fields).map(([name, field]) => [name, field.rules])),
+                        validators: serializer.validators,
+                        usedBy: []
+                    };
+                }
+
+                const routes = schema.routes
+                    .filter(route => route.action && route.action.controller === controller.class && route.action.method === method.name)
+                    .map(route => `${route.methods.join('|')} ${route.uri}`);
+                validation[serializer.class].usedBy.push({ action: `${controller.class}.${method.name}`, routes });
+            }
+        }
+        return validation;
+    }
+
+    async generateDjangoBusinessLogicSchema(project) {
+        const schema = {
+            type: 'business_logic',
+            framework: 'django',
+            orm: 'django',
+            models: project.models,
+            managers: {},
+            signals: [],
+            tasks: {},
+            forms: {},
+            admin: {},
+            services: {}
+        };
+
         try {
-            if (await this.fileExists('app/Http/Controllers')) {
-                const files = await this.scanDirectory('app/Http/Controllers', '.php');
-                for (const [name, file] of Object.entries(files)) {
-                    if (file.content) {
-                        controllers[name] = {
-                            methods: this.extractPhpMethods(file.content),
-                            extends: this.extractPhpExtends(file.content),
-                            traits: this.extractPhpTraits(file.content),
-                            uses: this.extractPhpUses(file.content),
-                            namespace: this.extractPhpNamespace(file.content)
+            const analyzer = new PythonModuleAnalyzer();
+            for (const [name, source] of Object.entries(project.modules)) {
+                const kind = name.split('.').find(part => ['models', 'managers', 'querysets', 'signals', 'receivers', 'handlers', 'tasks', 'forms', 'admin', 'services', 'selectors'].includes(part));
+                if (!kind) continue;
+
+                let description;
+                try {
+                    description = analyzer.analyze(source.content, name, source.file);
+                } catch (error) {
+                    console.warn(`Error analyzing ${source.file}:`, error.message);
+                    continue;
+                }
+
+                for (const entry of description.classes) {
+                    const bases = entry.bases.map(base => base.split('.').pop());
+                    if (bases.some(base => /(?:Manager|QuerySet)$/.test(base))) {
+                        schema.managers[entry.class] = { class: entry.class, file: source.file, summary: entry.summary, bases: entry.bases, methods: entry.methods.map(method => method.name) };
+                    } else if (bases.some(base => /Form$/.test(base))) {
+                        schema.forms[entry.class] = this.describeDjangoForm(entry, source.file, analyzer);
+                    } else if (bases.some(base => /Admin$|^(?:Tabular|Stacked)Inline$/.test(base))) {
+                        const register = entry.decorators.find(decorator => decorator.name.split('.').pop() === 'register');
+                        schema.admin[entry.class] = {
+                            class: entry.class,
+                            file: source.file,
+                            models: register ? (register.arguments || []).map(argument => argument && argument.expression ? analyzer.resolve(argument.expression) : argument) : [],
+                            options: Object.fromEntries(entry.attributes.map(attribute => [attribute.name, parseValue(attribute.value)]))
                         };
+                    } else if (['services', 'selectors'].includes(kind)) {
+                        schema.services[entry.class] = { class: entry.class, file: source.file, summary: entry.summary, methods: entry.methods.map(method => method.name) };
+                    }
+                }
+
+                for (const fn of description.functions) {
+                    const decorators = fn.decorators.map(decorator => decorator.name.split('.').pop());
+                    const receiver = fn.decorators.find(decorator => decorator.name.split('.').pop() === 'receiver');
+                    if (receiver) {
+                        const signals = [].concat((receiver.arguments || [])[0] || []).map(signal => signal && signal.expression ? signal.expression.split('.').pop() : signal);
+                        const sender = receiver.options && receiver.options.sender;
+                        schema.signals.push({
+                            receiver: fn.qualifiedName,
+                            file: source.file,
+                            signals,
+                            sender: sender && sender.expression ? analyzer.resolve(sender.expression) : sender || null,
+                            summary: fn.summary
+                        });
+                    } else if (decorators.some(decorator => ['shared_task', 'task', 'periodic_task', 'actor'].includes(decorator))) {
+                        schema.tasks[fn.qualifiedName] = { name: fn.qualifiedName, file: source.file, summary: fn.summary, parameters: fn.parameters.map(parameter => parameter.name) };
+                    } else if (['services', 'selectors'].includes(kind)) {
+                        schema.services[fn.qualifiedName] = { function: fn.qualifiedName, file: source.file, summary: fn.summary, parameters: fn.parameters.map(parameter => parameter.name) };
+                    }
+                }
+
+                // admin.site.register(Tag) and admin.site.register(Post, PostAdmin)
+                if (kind === 'admin') {
+                    for (const match of source.content.matchAll(/^admin\.site\.register\s*\(\s*([\w.]+)(?:\s*,\s*([\w.]+))?/gm)) {
+                        const admin = match[2] ? analyzer.resolve(match[2]) : 'django.contrib.admin.ModelAdmin';
+                        const entry = schema.admin[admin] || (schema.admin[admin] = { class: admin, ...(match[2] ? { file: source.file } : {}), models: [], options: {} });
+                        entry.models.push(analyzer.resolve(match[1]));
                     }
                 }
             }
-        } catch (error) {
-            controllers.error = error.message;
+        } catch (error) {
+            schema.error = `Failed to generate business logic schema: ${error.message}`;
+            console.error('Business logic schema generation error:', error);
+        }
+
+        return schema;
+    }
+
+    // class PostForm(forms.ModelForm): class Meta: model = Post; fields = [...]
+    describeDjangoForm(entry, file, analyzer) {
+        const form = { class: entry.class, file, summary: entry.summary, bases: entry.bases, fields: {} };
+        const meta = entry.classes.find(nested => nested.name === 'Meta');
+        for (const attribute of meta ? meta.attributes : []) {
+            if (attribute.name === 'model') form.model = analyzer.resolve(attribute.value);
+            else if (['fields', 'exclude', 'widgets', 'labels'].includes(attribute.name)) form[attribute.name === 'fields' ? 'metaFields' : attribute.name] = parseValue(attribute.value);
+        }
+        for (const attribute of entry.attributes) {
+            const match = attribute.value.match(/^(?:forms\.)?(\w+Field)\s*\(/);
+            if (match) form.fields[attribute.name] = match[1];
+        }
+        return form;
+    }
+
+    async generateDjangoComponentSchema(project) {
+        const schema = {
+            type: 'component_architecture',
+            framework: 'django',
+            structure: {
+                apps: {},
+                settings: {},
+                templates: {},
+                static: {}
+            },
+            application: {},
+            dependencies: {},
+            configuration: {}
+        };
+
+        try {
+            const values = project.settings.values;
+            for (const app of project.apps.filter(app => app.local)) {
+                schema.structure.apps[app.label] = await this.scanDirectory(path.join(...app.name.split('.')), '.py');
+            }
+            if (project.settingsModule) {
+                const settingsPath = path.join(...project.settingsModule.split('.'));
+                schema.structure.settings = await this.fileExists(settingsPath)
+                    ? await this.scanDirectory(settingsPath, '.py', { content: false })
+                    : await this.scanDirectory(path.dirname(settingsPath), '.py', { content: false });
+            }
+            schema.structure.templates = await this.scanDirectory('templates');
+            schema.structure.static = await this.scanDirectory('static');
+
+            const apps = { django: [], thirdParty: [], local: [] };
+            for (const app of project.apps) {
+                const entry = { name: app.name, label: app.label, ...(app.config ? { config: app.config } : {}) };
+                if (app.local) apps.local.push(entry);
+                else if (app.name.startsWith('django.')) apps.django.push(entry);
+                else apps.thirdParty.push(entry);
+            }
+
+            schema.application = {
+                settingsModule: project.settingsModule,
+                settingsFiles: project.settings.files,
+                djangoVersion: await this.readDjangoVersion(),
+                installedApps: apps,
+                middleware: Array.isArray(values.MIDDLEWARE) ? values.MIDDLEWARE : [],
+                rootUrlconf: values.ROOT_URLCONF || null,
+                authUserModel: values.AUTH_USER_MODEL || 'auth.User',
+                defaultAutoField: values.DEFAULT_AUTO_FIELD || 'django.db.models.AutoField',
+                databases: values.DATABASES || {},
+                ...(values.REST_FRAMEWORK ? { restFramework: values.REST_FRAMEWORK } : {})
+            };
+            schema.dependencies = await this.readPythonDependencies();
+            schema.configuration = { values, env: project.settings.env };
+            if (project.error) schema.error = project.error;
+        } catch (error) {
+            schema.error = `Failed to generate component architecture schema: ${error.message}`;
+            console.error('Component architecture schema generation error:', error);
+        }
+
+        return schema;
+    }
+
+    async generateExpressSchemas() {
+        const schemas = {};
+        const project = await this.measure('project', () => this.readExpressProject());
+
+        schemas.database = await this.measure('database', () => this.generateExpressDatabaseSchema(project));
+        schemas.api = await this.measure('api', () => this.generateExpressApiSchema(project));
+        schemas.businessLogic = await this.measure('businessLogic', () => this.generateExpressBusinessLogicSchema(project));
+
+        // Relationships combine the foreign keys of every ORM's tables with the model relations
+        schemas.database.relationships = await this.measure('relationships', () => new RelationshipGraphBuilder().build(schemas.database, schemas.businessLogic));
+
+        schemas.componentArchitecture = await this.measure('componentArchitecture', () => this.generateExpressComponentSchema(project));
+
+        return schemas;
+    }
+
+    /**
+     * Reads what every Express schema needs: package.json, the project's
+     * JavaScript and TypeScript modules, the applications and routes they
+     * define, and the models and tables of each ORM the project depends on.
+     * Tables read from model definitions come first; the Prisma schema and
+     * replayed Knex migrations describe the database itself and win.
+     */
+    async readExpressProject() {
+        const project = {
+            package: {},
+            dependencies: {},
+            modules: {},
+            routeParser: null,
+            routes: [],
+            orms: [],
+            models: {},
+            tables: {},
+            droppedTables: [],
+            migrations: [],
+            prisma: null
+        };
+
+        try {
+            if (await this.fileExists('package.json')) {
+                project.package = JSON.parse(await fs.readFile(path.join(this.projectRoot, 'package.json'), 'utf8'));
+            }
+            project.dependencies = { ...(project.package.devDependencies || {}), ...(project.package.dependencies || {}) };
+            project.orms = Object.keys(NODE_ORMS).filter(orm => NODE_ORMS[orm].some(name => project.dependencies[name]));
+            project.modules = await this.readJsModules();
+
+            project.routeParser = new ExpressRouteParser({
+                files: new Set(Object.keys(project.modules)),
+                readFile: file => (file in project.modules ? project.modules[file] : null)
+            });
+            project.routes = project.routeParser.parse();
+
+            const modules = Object.entries(project.modules);
+            if (project.orms.includes('mongoose')) {
+                const analyzer = new MongooseSchemaAnalyzer();
+                for (const [file, content] of modules.filter(([, content]) => content.includes('Schema'))) analyzer.analyze(content, file);
+                this.addExpressModels(project, analyzer.resolve(), 'mongoose');
+            }
+            if (project.orms.includes('sequelize')) {
+                const analyzer = new SequelizeModelAnalyzer();
+                for (const [file, content] of modules.filter(([, content]) => /sequelize/i.test(content))) analyzer.analyze(content, file);
+                this.addExpressModels(project, analyzer.resolve(), 'sequelize');
+            }
+            if (project.orms.includes('prisma')) {
+                project.prisma = await this.readPrismaSchema(project.package);
+                if (project.prisma) this.addExpressModels(project, project.prisma, 'prisma');
+            }
+            if (project.orms.includes('knex')) {
+                const state = await this.scanKnexMigrations();
+                Object.assign(project.tables, state.tables);
+                project.droppedTables = state.droppedTables;
+                project.migrations = state.migrations;
+            }
+        } catch (error) {
+            project.error = error.message;
+            console.warn(`Could not read the Express project: ${error.message}`);
+        }
+
+        return project;
+    }
+
+    addExpressModels(project, { models, tables }, orm) {
+        for (const [name, model] of Object.entries(models)) {
+            project.models[name] = { ...model, orm };
+        }
+        Object.assign(project.tables, tables);
+    }
+
+    // package.json's prisma.schema, prisma/schema.prisma, or a prisma/schema/ folder of .prisma files
+    async readPrismaSchema(pkg) {
+        const candidates = [pkg.prisma && pkg.prisma.schema, 'prisma/schema.prisma', 'schema.prisma', 'prisma/schema']
+            .filter(candidate => typeof candidate === 'string')
+            .map(candidate => path.normalize(candidate));
+
+        for (const candidate of candidates) {
+            if (!(await this.fileExists(candidate))) continue;
+            const stats = await fs.stat(path.join(this.projectRoot, candidate));
+            const files = stats.isDirectory() ? await this.listFiles(candidate, '.prisma') : [candidate];
+            if (files.length === 0) continue;
+
+            const contents = [];
+            for (const file of files) {
+                contents.push(await fs.readFile(path.join(this.projectRoot, file), 'utf8'));
+            }
+            return new PrismaSchemaParser(candidate).parse(contents.join('\n'));
+        }
+        return null;
+    }
+
+    /**
+     * Replays the Knex migrations of the directory the knexfile names
+     * (`migrations: { directory }`), `migrations/` or `db/migrations/` by
+     * default. Knex runs them in file name order.
+     */
+    async scanKnexMigrations() {
+        let directories = [];
+        for (const knexfile of ['knexfile.js', 'knexfile.ts', 'knexfile.mjs', 'knexfile.cjs']) {
+            if (!(await this.fileExists(knexfile))) continue;
+            const content = await fs.readFile(path.join(this.projectRoot, knexfile), 'utf8');
+            directories = [...content.matchAll(/\bdirectory\s*:\s*(['"`])([^'"`]+)\1/g)].map(match => path.normalize(match[2]));
+            break;
+        }
+        if (directories.length === 0) directories = ['migrations', path.join('db', 'migrations')];
+
+        const parser = new KnexMigrationParser();
+        const migrations = [];
+        for (const directory of [...new Set(directories)]) {
+            const files = (await this.listFiles(directory))
+                .filter(file => /\.[cm]?[jt]s$/.test(file) && !file.endsWith('.d.ts'))
+                .sort((a, b) => path.basename(a).localeCompare(path.basename(b)));
+            for (const file of files) {
+                try {
+                    const content = await fs.readFile(path.join(this.projectRoot, file), 'utf8');
+                    migrations.push(parser.parse(content, path.basename(file)));
+                } catch (error) {
+                    console.warn(`Error parsing ${file}:`, error.message);
+                }
+            }
+        }
+
+        const engine = new MigrationReplayEngine();
+        for (const migration of migrations) {
+            engine.applyMigration(migration);
+        }
+        const state = engine.getState();
+        state.migrations = migrations.map(migration => migration.filename);
+        return state;
+    }
+
+    async generateExpressDatabaseSchema(project) {
+        const schema = {
+            type: 'database',
+            framework: 'express',
+            orms: project.orms,
+            tables: {},
+            relationships: [],
+            constraints: [],
+            indexes: []
+        };
+
+        try {
+            for (const table of Object.values(project.tables)) {
+                table.primaryKey = this.findPrimaryKey(table.columns);
+                table.timestamps = this.hasTimestamps(table.columns);
+            }
+            this.applyMigrationState(schema, {
+                tables: project.tables,
+                droppedTables: project.droppedTables,
+                migrations: project.migrations
+            });
+            if (project.prisma) {
+                schema.datasource = project.prisma.datasource;
+                schema.enums = project.prisma.enums;
+            }
+        } catch (error) {
+            schema.error = `Failed to generate database schema: ${error.message}`;
+            console.error('Database schema generation error:', error);
+        }
+
+        return schema;
+    }
+
+    async generateExpressApiSchema(project) {
+        const schema = {
+            type: 'api',
+            framework: 'express',
+            routes: project.routes,
+            middleware: {},
+            controllers: {},
+            validation: {},
+            resources: {}
+        };
+
+        try {
+            const applications = project.routeParser ? project.routeParser.applications : [];
+            schema.middleware = {
+                stack: [...new Set(applications.flatMap(application => application.middleware.map(middleware => middleware.name)))]
+            };
+
+            // Route actions name their module (src/controllers/users) rather than a class
+            const analyzer = new JsModuleAnalyzer();
+            for (const route of schema.routes) {
+                const action = route.action;
+                if (!action || action.type !== 'controller' || schema.controllers[action.controller]) continue;
+                const file = Object.keys(project.modules).find(candidate => project.routeParser.moduleName(candidate) === action.controller);
+                if (!file) continue;
+                try {
+                    schema.controllers[action.controller] = this.describeJsController(analyzer.analyze(project.modules[file], file), action.controller);
+                } catch (error) {
+                    console.warn(`Error analyzing ${file}:`, error.message);
+                }
+            }
+        } catch (error) {
+            schema.error = `Failed to generate API schema: ${error.message}`;
+            console.error('API schema generation error:', error);
+        }
+
+        return schema;
+    }
+
+    // Module functions and the methods of its exported classes are the actions
+    describeJsController(description, name) {
+        const methods = [
+            ...description.functions,
+            ...description.classes.filter(entry => entry.exported).flatMap(entry => entry.methods.filter(method => !method.static))
+        ];
+        return {
+            class: name,
+            file: description.file,
+            summary: description.summary,
+            kind: 'module',
+            methods: methods.map(method => ({ name: method.name, summary: method.summary, parameters: method.parameters, async: method.async }))
+        };
+    }
+
+    async generateExpressBusinessLogicSchema(project) {
+        const schema = {
+            type: 'business_logic',
+            framework: 'express',
+            orm: project.orms[0] || null,
+            orms: project.orms,
+            models: project.models,
+            services: {},
+            middleware: {}
+        };
+
+        try {
+            const analyzer = new JsModuleAnalyzer();
+            for (const [file, content] of Object.entries(project.modules)) {
+                const parts = file.split(path.sep);
+                const basename = parts.pop();
+                const kind = parts.includes('services') || /[.-]?service\.[cm]?[jt]sx?$/i.test(basename) ? 'services'
+                    : parts.some(part => part === 'middleware' || part === 'middlewares') || /\.middleware\.[cm]?[jt]sx?$/.test(basename) ? 'middleware'
+                        : null;
+                if (!kind) continue;
+
+                let description;
+                try {
+                    description = analyzer.analyze(content, file);
+                } catch (error) {
+                    console.warn(`Error analyzing ${file}:`, error.message);
+                    continue;
+                }
+
+                for (const entry of description.classes.filter(entry => entry.exported)) {
+                    schema[kind][entry.name] = { class: entry.name, file, summary: entry.summary, methods: entry.methods.map(method => method.name) };
+                }
+                // Routes name middleware functions bare; service functions are qualified by their module
+                const module = path.basename(file).replace(/\.[cm]?[jt]sx?$/, '');
+                for (const fn of description.functions.filter(fn => fn.exported)) {
+                    const name = kind === 'services' ? `${module}.${fn.name}` : fn.name;
+                    schema[kind][name] = { function: name, file, summary: fn.summary, parameters: fn.parameters };
+                }
+            }
+        } catch (error) {
+            schema.error = `Failed to generate business logic schema: ${error.message}`;
+            console.error('Business logic schema generation error:', error);
+        }
+
+        return schema;
+    }
+
+    async generateExpressComponentSchema(project) {
+        const schema = {
+            type: 'component_architecture',
+            framework: 'express',
+            structure: {
+                routes: {},
+                controllers: {},
+                middleware: {},
+                models: {},
+                services: {},
+                config: {}
+            },
+            application: {},
+            dependencies: {},
+            configuration: {}
+        };
+
+        try {
+            const layout = {
+                routes: ['routes', 'routers'],
+                controllers: ['controllers'],
+                middleware: ['middleware', 'middlewares'],
+                models: ['models'],
+                services: ['services'],
+                config: ['config']
+            };
+            for (const [key, names] of Object.entries(layout)) {
+                const candidates = names.flatMap(name => [path.join('src', name), name]);
+                for (const candidate of candidates) {
+                    if (!(await this.fileExists(candidate))) continue;
+                    schema.structure[key] = await this.scanDirectory(candidate);
+                    break;
+                }
+            }
+
+            const pkg = project.package;
+            const applications = project.routeParser ? project.routeParser.applications : [];
+            schema.application = {
+                name: pkg.name || path.basename(this.projectRoot),
+                version: pkg.version || null,
+                moduleType: pkg.type === 'module' ? 'module' : 'commonjs',
+                entry: pkg.main || null,
+                expressVersion: project.dependencies.express || null,
+                node: (pkg.engines && pkg.engines.node) || null,
+                typescript: Boolean(project.dependencies.typescript),
+                orms: project.orms,
+                applications,
+                scripts: pkg.scripts || {}
+            };
+
+            const packages = {};
+            for (const [dev, dependencies] of [[true, pkg.devDependencies || {}], [false, pkg.dependencies || {}]]) {
+                for (const [name, requirement] of Object.entries(dependencies)) {
+                    packages[name] = { name, requirement, file: 'package.json', ...(dev ? { dev: true } : {}) };
+                }
+            }
+            schema.dependencies = { packages, files: (await this.fileExists('package.json')) ? ['package.json'] : [] };
+
+            let envExample = '';
+            try {
+                envExample = await fs.readFile(path.join(this.projectRoot, '.env.example'), 'utf8');
+            } catch {
+                // Environment lookups then resolve to their defaults
+            }
+            schema.configuration = { env: this.collectProcessEnv(project.modules, parseDotenv(envExample)) };
+            if (project.error) schema.error = project.error;
+        } catch (error) {
+            schema.error = `Failed to generate component architecture schema: ${error.message}`;
+            console.error('Component architecture schema generation error:', error);
+        }
+
+        return schema;
+    }
+
+    /**
+     * Every `process.env.NAME` the modules read, with the fallback written
+     * next to it (`process.env.PORT || 3000`) and the `.env.example` value.
+     * Credentials are redacted.
+     */
+    collectProcessEnv(modules, envExample) {
+        const variables = {};
+        for (const [file, content] of Object.entries(modules)) {
+            const pattern = /process\.env(?:\.([A-Za-z_]\w*)|\[\s*(['"])([A-Za-z_]\w*)\2\s*\])(?:\s*(?:\|\||\?\?)\s*(['"`]?)([^'"`\s;,)]*)\4)?/g;
+            for (const match of content.matchAll(pattern)) {
+                const key = match[1] || match[3];
+                const entry = variables[key] || (variables[key] = { env: key, files: [] });
+                if (!entry.files.includes(file)) entry.files.push(file);
+
+                const redact = isSensitiveEnv(key);
+                const fallback = match[5] ? parseJsValue(`${match[4]}${match[5]}${match[4]}`) : undefined;
+                // Only literal fallbacks, not `process.env.PORT || config.port`
+                if (fallback !== undefined && (fallback === null || typeof fallback !== 'object') && entry.default === undefined) {
+                    entry.default = redact ? redactSecret(fallback) : redactValue(fallback);
+                }
+                if (envExample[key] !== undefined && entry.value === undefined) {
+                    entry.value = redact ? redactSecret(envExample[key]) : redactValue(envExample[key]);
+                }
+            }
+        }
+        return Object.values(variables).sort((a, b) => a.env.localeCompare(b.env));
+    }
+
+    async generateSymfonySchemas() {
+        const schemas = {};
+        const project = await this.measure('project', () => this.readSymfonyProject());
+
+        schemas.database = await this.measure('database', () => this.generateSymfonyDatabaseSchema(project));
+        schemas.api = await this.measure('api', () => this.generateSymfonyApiSchema(project));
+        schemas.businessLogic = await this.measure('businessLogic', () => this.generateSymfonyBusinessLogicSchema(project));
+
+        // Relationships combine the foreign keys of the tables with the Doctrine associations
+        schemas.database.relationships = await this.measure('relationships', () => new RelationshipGraphBuilder().build(schemas.database, schemas.businessLogic));
+
+        schemas.componentArchitecture = await this.measure('componentArchitecture', () => this.generateSymfonyComponentSchema(project));
+
+        return schemas;
+    }
+
+    /**
+     * Reads what every Symfony schema needs: composer.json, the enabled
+     * bundles, the YAML files under config/ with `.env` and the parameters
+     * of services.yaml applied, the extension configuration of
+     * config/packages/*.yaml, the classes of src/ and the Doctrine entities
+     * among them. Entities give the tables Doctrine's mapping describes;
+     * replayed migrations describe the database itself and win.
+     */
+    async readSymfonyProject() {
+        const project = {
+            composer: {},
+            config: new SymfonyConfigParser(),
+            bundles: {},
+            parameters: {},
+            packages: {},
+            env: [],
+            services: null,
+            yaml: {},
+            classes: {},
+            models: {},
+            tables: {},
+            droppedTables: [],
+            migrations: [],
+            unmigratedTables: []
+        };
+
+        try {
+            if (await this.fileExists('composer.json')) {
+                project.composer = JSON.parse(await fs.readFile(path.join(this.projectRoot, 'composer.json'), 'utf8'));
+            }
+            for (const envFile of ['.env', '.env.dist']) {
+                if (!(await this.fileExists(envFile))) continue;
+                project.config = new SymfonyConfigParser(await fs.readFile(path.join(this.projectRoot, envFile), 'utf8'));
+                break;
+            }
+
+            const yamlFiles = [...await this.listFiles('config', '.yaml'), ...await this.listFiles('config', '.yml')];
+            const contents = await this.scanner.map(yamlFiles, file => fs.readFile(path.join(this.projectRoot, file), 'utf8'));
+            yamlFiles.forEach((file, index) => {
+                project.yaml[file] = contents[index];
+            });
+
+            // Parameters first, so the services and every package can use them
+            const servicesFile = ['services.yaml', 'services.yml'].map(name => path.join('config', name)).find(file => file in project.yaml);
+            if (servicesFile) {
+                project.config.setParameters(project.config.load(project.yaml[servicesFile]).parameters);
+                const services = project.config.parse(project.yaml[servicesFile]);
+                project.parameters = services.values.parameters || {};
+                project.services = project.config.describeServices(services.values.services);
+                project.env.push(...services.env.map(reference => ({ file: servicesFile, ...reference })));
+            }
+
+            const packagesDirectory = path.join('config', 'packages');
+            for (const file of Object.keys(project.yaml).filter(file => path.dirname(file) === packagesDirectory).sort()) {
+                const parsed = project.config.parse(project.yaml[file]);
+                for (const [extension, values] of Object.entries(parsed.values)) {
+                    if (['imports', 'parameters', 'services'].includes(extension)) continue;
+                    project.packages[extension] = { ...(project.packages[extension] || {}), ...(values || {}) };
+                }
+                project.env.push(...parsed.env.map(reference => ({ file, ...reference })));
+            }
+
+            if (await this.fileExists('config/bundles.php')) {
+                project.bundles = project.config.parseBundles(await fs.readFile(path.join(this.projectRoot, 'config/bundles.php'), 'utf8'));
+            }
+
+            const analyzer = new PhpClassAnalyzer();
+            const sourceFiles = await this.listFiles('src', '.php');
+            const descriptions = await this.scanner.map(sourceFiles, file => (
+                this.cache.parse(file, this.analyzerKey(analyzer), content => analyzer.analyze(content, file)).catch(error => {
+                    console.warn(`Error analyzing ${file}:`, error.message);
+                    return null;
+                })
+            ));
+            sourceFiles.forEach((file, index) => {
+                const description = descriptions[index];
+                if (!description || !description.class) return;
+                const fqcn = description.namespace ? `${description.namespace}\\${description.class}` : description.class;
+                project.classes[fqcn] = { path: file, ...description };
+            });
+
+            // Every class goes in: superclasses, traits, embeddables and enums shape the entities too
+            const orm = (project.packages.doctrine || {}).orm || {};
+            const entityManager = orm.entity_managers ? Object.values(orm.entity_managers)[0] || {} : orm;
+            const entities = new DoctrineEntityAnalyzer({ namingStrategy: entityManager.naming_strategy });
+            for (const description of Object.values(project.classes)) {
+                entities.add(description, description.path);
+            }
+            const { models, tables } = entities.resolve();
+            for (const [name, model] of Object.entries(models)) {
+                project.models[name] = { ...model, orm: 'doctrine' };
+            }
+            project.tables = tables;
+
+            const state = await this.scanDoctrineMigrations(project);
+            if (state.migrations.length > 0) {
+                project.unmigratedTables = Object.keys(tables).filter(name => !state.tables[name]);
+                if (project.unmigratedTables.length > 0) {
+                    console.warn(`No Doctrine migration creates the tables of mapped entities: ${project.unmigratedTables.join(', ')}`);
+                }
+                project.tables = { ...tables, ...state.tables };
+                project.droppedTables = state.droppedTables;
+                project.migrations = state.migrations;
+            }
+        } catch (error) {
+            project.error = error.message;
+            console.warn(`Could not read the Symfony project: ${error.message}`);
+        }
+
+        return project;
+    }
+
+    /**
+     * Replays the migrations of each `doctrine_migrations.migrations_paths`
+     * directory (`migrations/` by default) in version order, in the SQL
+     * dialect of the DBAL connection.
+     */
+    async scanDoctrineMigrations(project) {
+        const configured = (project.packages.doctrine_migrations || {}).migrations_paths;
+        const directories = configured && typeof configured === 'object'
+            ? Object.values(configured)
+                .filter(directory => typeof directory === 'string')
+                .map(directory => path.normalize(directory.replace(/^%kernel\.project_dir%\/?/, '')))
+            : ['migrations'];
+
+        const files = [];
+        for (const directory of [...new Set(directories)]) {
+            files.push(...(await this.listFiles(directory, '.php')).filter(file => /^Version\w+\.php$/.test(path.basename(file))));
+        }
+        // Version20240101120000 names order them
+        files.sort((a, b) => path.basename(a).localeCompare(path.basename(b)));
+
+        const parser = new DoctrineMigrationParser(this.doctrineDialect((project.packages.doctrine || {}).dbal));
+        const contents = await this.scanner.map(files, file => fs.readFile(path.join(this.projectRoot, file), 'utf8').catch(error => error));
+        const migrations = [];
+        // The parser carries the indexes of earlier migrations, so parsing stays in order
+        files.forEach((file, index) => {
+            try {
+                if (contents[index] instanceof Error) throw contents[index];
+                migrations.push(parser.parse(contents[index], path.basename(file)));
+            } catch (error) {
+                console.warn(`Error parsing ${file}:`, error.message);
+            }
+        });
+
+        const engine = new MigrationReplayEngine();
+        for (const migration of migrations) {
+            engine.applyMigration(migration);
+        }
+        const state = engine.getState();
+        state.migrations = migrations.map(migration => migration.filename);
+        return state;
+    }
+
+    // The SQL dialect of the default DBAL connection, from its URL scheme or driver; null leaves it to the SQL
+    doctrineDialect(dbal = {}) {
+        const connections = dbal.connections || {};
+        const connection = connections[dbal.default_connection] || Object.values(connections)[0] || dbal;
+        const text = setting => {
+            const value = setting && typeof setting === 'object' && 'env' in setting ? setting.value : setting;
+            return typeof value === 'string' ? value : '';
+        };
+        const scheme = text(connection.url).match(/^([a-z][\w+.-]*):/i);
+        const source = `${scheme ? scheme[1] : ''} ${text(connection.driver)}`.toLowerCase();
+        if (/mysql|mariadb/.test(source)) return 'mysql';
+        if (/pgsql|postgres/.test(source)) return 'pgsql';
+        if (/sqlite/.test(source)) return 'sqlite';
+        return null;
+    }
+
+    async generateSymfonyDatabaseSchema(project) {
+        const schema = {
+            type: 'database',
+            framework: 'symfony',
+            orm: 'doctrine',
+            tables: {},
+            relationships: [],
+            constraints: [],
+            indexes: []
+        };
+
+        try {
+            for (const table of Object.values(project.tables)) {
+                table.primaryKey = this.findPrimaryKey(table.columns);
+                table.timestamps = this.hasTimestamps(table.columns);
+            }
+            this.applyMigrationState(schema, {
+                tables: project.tables,
+                droppedTables: project.droppedTables,
+                migrations: project.migrations
+            });
+            // Mapped but never migrated: `doctrine:migrations:diff` has changes to write
+            if (project.unmigratedTables.length > 0) schema.unmigratedTables = project.unmigratedTables;
+            schema.dbal = (project.packages.doctrine || {}).dbal || {};
+        } catch (error) {
+            schema.error = `Failed to generate database schema: ${error.message}`;
+            console.error('Database schema generation error:', error);
+        }
+
+        return schema;
+    }
+
+    async generateSymfonyApiSchema(project) {
+        const schema = {
+            type: 'api',
+            framework: 'symfony',
+            routes: [],
+            middleware: {},
+            controllers: {},
+            validation: {},
+            resources: {}
+        };
+
+        try {
+            const security = project.packages.security || {};
+            const parser = new SymfonyRouteParser({
+                classes: project.classes,
+                readFile: file => (file in project.yaml ? project.yaml[file] : null),
+                config: project.config,
+                security
+            });
+            // The kernel imports config/routes/*.yaml before config/routes.yaml
+            const routesDirectory = path.join('config', 'routes');
+            schema.routes = parser.parse([
+                ...Object.keys(project.yaml).filter(file => path.dirname(file) === routesDirectory).sort(),
+                ...['routes.yaml', 'routes.yml'].map(name => path.join('config', name)).filter(file => file in project.yaml)
+            ]);
+
+            for (const route of schema.routes) {
+                const action = route.action;
+                if (!action || action.type !== 'controller' || schema.controllers[action.controller]) continue;
+                const description = project.classes[action.controller];
+                if (description) schema.controllers[action.controller] = { ...description, methods: this.describeControllerMethods(description) };
+            }
+
+            // Firewalls are Symfony's authentication middleware
+            const firewalls = security.firewalls || {};
+            schema.middleware = { firewalls, accessControl: Array.isArray(security.access_control) ? security.access_control : [] };
+            schema.tokenGuards = Object.entries(firewalls)
+                .filter(([, firewall]) => firewall && (firewall.stateless === true || 'jwt' in firewall || 'access_token' in firewall))
+                .map(([name]) => name);
+            const session = (project.packages.framework || {}).session || {};
+            schema.sessionCookie = typeof session.name === 'string' ? session.name : 'PHPSESSID';
+        } catch (error) {
+            schema.error = `Failed to generate API schema: ${error.message}`;
+            console.error('API schema generation error:', error);
+        }
+
+        return schema;
+    }
+
+    async generateSymfonyBusinessLogicSchema(project) {
+        const schema = {
+            type: 'business_logic',
+            framework: 'symfony',
+            orm: 'doctrine',
+            models: project.models,
+            repositories: {},
+            services: {},
+            subscribers: {},
+            listeners: {},
+            commands: {},
+            messageHandlers: {},
+            voters: {},
+            forms: {},
+            enums: {}
+        };
+
+        try {
+            schema.services = this.collectSymfonyServices(project);
+
+            for (const [fqcn, description] of Object.entries(project.classes)) {
+                const entry = { class: fqcn, file: description.path, summary: description.summary };
+                if (description.kind === 'enum') {
+                    schema.enums[fqcn] = { ...entry, backingType: description.backingType, cases: description.cases };
+                    continue;
+                }
+                if (description.kind !== 'class' || description.modifiers.includes('abstract')) continue;
+
+                const ancestors = this.symfonyAncestors(description, project.classes);
+                const scope = { imports: description.imports, namespace: description.namespace };
+                const is = role => SYMFONY_ROLES[role].some(name => ancestors.has(name));
+                const attribute = name => description.attributes.find(candidate => candidate.name === name);
+                const publicMethods = description.methods
+                    .filter(method => method.visibility === 'public' && !method.name.startsWith('__'))
+                    .map(method => method.name);
+
+                if (is('repositories')) {
+                    const model = Object.values(project.models).find(candidate => candidate.repository === fqcn);
+                    schema.repositories[fqcn] = { ...entry, entity: model ? `${model.namespace}\\${model.class}` : null, methods: publicMethods };
+                }
+                if (is('subscribers')) {
+                    const content = await fs.readFile(path.join(this.projectRoot, description.path), 'utf8');
+                    schema.subscribers[fqcn] = { ...entry, events: this.subscribedEvents(content, scope) };
+                }
+                const listeners = this.symfonyEventListeners(description, scope);
+                if (listeners.length > 0) schema.listeners[fqcn] = { ...entry, events: listeners };
+
+                const asCommand = attribute(SYMFONY_ATTRIBUTES.command);
+                if (asCommand || is('commands')) {
+                    const args = asCommand ? parseAttributeArguments(asCommand.arguments, scope, ['name', 'description', 'aliases', 'hidden']) : {};
+                    // Before #[AsCommand], `protected static $defaultName`
+                    const property = name => description.properties.find(candidate => candidate.name === name && candidate.static);
+                    const name = args.name !== undefined ? args.name : property('defaultName') && property('defaultName').default;
+                    const summary = args.description !== undefined ? args.description : property('defaultDescription') && property('defaultDescription').default;
+                    schema.commands[fqcn] = { ...entry, name: name || null, description: summary || null };
+                }
+
+                const messages = this.handledMessages(description, scope, is('messageHandlers'));
+                if (messages.length > 0) schema.messageHandlers[fqcn] = { ...entry, messages };
+
+                if (is('voters')) schema.voters[fqcn] = entry;
+                if (is('forms')) schema.forms[fqcn] = entry;
+            }
+        } catch (error) {
+            schema.error = `Failed to generate business logic schema: ${error.message}`;
+            console.error('Business logic schema generation error:', error);
+        }
+
+        return schema;
+    }
+
+    // The parent classes and interfaces of a project class, through its project ancestors
+    symfonyAncestors(description, classes, seen = new Set()) {
+        const ancestors = new Set([...(description.implements || []), ...[].concat(description.extends || [])]);
+        for (const name of [...ancestors]) {
+            if (!classes[name] || seen.has(name)) continue;
+            seen.add(name);
+            for (const ancestor of this.symfonyAncestors(classes[name], classes, seen)) ancestors.add(ancestor);
+        }
+        return ancestors;
+    }
+
+    /**
+     * The container's services as services.yaml defines them: each class a
+     * resource (`App\: { resource: '../src/' }`) takes in, minus its
+     * excludes, then the services defined one by one, with `_defaults` and
+     * the matching `_instanceof` rules applied, and the aliases.
+     */
+    collectSymfonyServices(project) {
+        const services = {};
+        const definitions = project.services;
+        if (!definitions) return services;
+
+        const defaults = Object.fromEntries(['autowire', 'autoconfigure', 'public', 'bind']
+            .filter(key => definitions.defaults[key] !== undefined)
+            .map(key => [key, definitions.defaults[key]]));
+        const instanceofTags = description => {
+            const ancestors = this.symfonyAncestors(description, project.classes);
+            return Object.entries(definitions.instanceof)
+                .filter(([type]) => ancestors.has(type.replace(/^\\/, '')))
+                .flatMap(([, rule]) => project.config.serviceOptions(rule || {}).tags || []);
+        };
+        const describe = (service, description) => {
+            if (!description) return service;
+            const tags = [...(service.tags || []), ...instanceofTags(description)];
+            return { ...service, file: description.path, summary: description.summary, ...(tags.length > 0 ? { tags } : {}) };
+        };
+
+        // Resource paths are relative to config/services.yaml
+        const matcher = pattern => project.config.resourceMatcher(path.normalize(path.join('config', pattern)));
+        for (const { namespace, resource, exclude, ...options } of definitions.resources) {
+            const includes = matcher(String(resource));
+            const excludes = exclude.map(pattern => matcher(String(pattern)));
+            for (const [fqcn, description] of Object.entries(project.classes)) {
+                if (!fqcn.startsWith(`${namespace}\\`) || !includes(description.path) || excludes.some(excluded => excluded(description.path))) continue;
+                if (description.kind !== 'class' || description.modifiers.includes('abstract')) continue;
+                services[fqcn] = describe({ id: fqcn, class: fqcn, ...defaults, ...options }, description);
+            }
+        }
+
+        for (const [id, definition] of Object.entries(definitions.definitions)) {
+            services[id] = describe({ ...defaults, ...definition }, project.classes[definition.class]);
+        }
+        for (const [id, target] of Object.entries(definitions.aliases)) {
+            services[id] = { id, alias: target };
+        }
+        return services;
+    }
+
+    /**
+     * The events getSubscribedEvents() returns with their listener methods
+     * and priorities: `KernelEvents::REQUEST => ['onRequest', 10]`.
+     */
+    subscribedEvents(content, scope) {
+        const body = extractMethodBody(content, 'getSubscribedEvents') || '';
+        const returned = body.match(/return\s+(\[[\s\S]*\]|array\s*\([\s\S]*\))\s*;/);
+        const events = [];
+        for (const entry of (returned && parseArrayEntries(returned[1])) || []) {
+            if (!entry.key) continue;
+            const key = parseConstantExpression(entry.key, scope);
+            const value = parseConstantExpression(entry.value, scope);
+            const listeners = typeof value === 'string' ? [[value]]
+                : Array.isArray(value) && typeof value[0] === 'string' ? [value]
+                    : Array.isArray(value) ? value.filter(Array.isArray) : [];
+            for (const [method, priority] of listeners) {
+                events.push({ event: this.symfonyEventName(key), method, ...(typeof priority === 'number' ? { priority } : {}) });
+            }
+        }
+        return events;
+    }
+
+    // KernelEvents::REQUEST is 'kernel.request'; event classes name themselves
+    symfonyEventName(key) {
+        if (typeof key === 'string') return key;
+        const expression = (key && key.expression) || '';
+        const constant = expression.match(/\b(Kernel|Console)Events::(\w+)$/);
+        return constant ? `${constant[1].toLowerCase()}.${constant[2].toLowerCase()}` : expression;
+    }
+
+    /**
+     * `#[AsEventListener]` on the class (listening with `__invoke` or the
+     * method Symfony derives from the event name) or on its methods
+     * (listening to the event their first parameter is typed with).
+     */
+    symfonyEventListeners(description, scope) {
+        const parameters = ['event', 'method', 'priority', 'dispatcher'];
+        const listeners = [];
+        const isListener = attribute => attribute.name === SYMFONY_ATTRIBUTES.eventListener;
+
+        for (const attribute of description.attributes.filter(isListener)) {
+            const args = parseAttributeArguments(attribute.arguments, scope, parameters);
+            const event = this.symfonyEventName(args.event);
+            let method = args.method;
+            if (typeof method !== 'string') {
+                method = `on${String(event).replace(/(?:^|[^a-z0-9])([a-z])/gi, (_, letter) => letter.toUpperCase()).replace(/[^a-z0-9]/gi, '')}`;
+                if (!description.methods.some(candidate => candidate.name === method)) method = '__invoke';
+            }
+            listeners.push({ event, method, ...(typeof args.priority === 'number' ? { priority: args.priority } : {}) });
+        }
+        for (const method of description.methods) {
+            for (const attribute of method.attributes.filter(isListener)) {
+                const args = parseAttributeArguments(attribute.arguments, scope, parameters);
+                const type = method.parameters[0] && method.parameters[0].type;
+                const event = args.event !== undefined ? this.symfonyEventName(args.event) : (type || '').replace(/^\?/, '') || null;
+                listeners.push({ event, method: method.name, ...(typeof args.priority === 'number' ? { priority: args.priority } : {}) });
+            }
+        }
+        return listeners;
+    }
+
+    // The message classes a handler's `#[AsMessageHandler]` methods (or `__invoke`) take
+    handledMessages(description, scope, implementsHandler) {
+        const parameters = ['bus', 'fromTransport', 'handles', 'method', 'priority'];
+        const isHandler = attribute => attribute.name === SYMFONY_ATTRIBUTES.messageHandler;
+        const messageOf = (method, args = {}) => {
+            if (typeof args.handles === 'string') return args.handles;
+            const type = method && method.parameters[0] && method.parameters[0].type;
+            return type ? type.replace(/^\?/, '') : null;
+        };
+        const methodNamed = name => description.methods.find(method => method.name === name);
+
+        const messages = [];
+        for (const attribute of description.attributes.filter(isHandler)) {
+            const args = parseAttributeArguments(attribute.arguments, scope, parameters);
+            messages.push(messageOf(methodNamed(typeof args.method === 'string' ? args.method : '__invoke'), args));
+        }
+        for (const method of description.methods) {
+            for (const attribute of method.attributes.filter(isHandler)) {
+                messages.push(messageOf(method, parseAttributeArguments(attribute.arguments, scope, parameters)));
+            }
+        }
+        if (messages.length === 0 && implementsHandler) messages.push(messageOf(methodNamed('__invoke')));
+        return [...new Set(messages.filter(Boolean))];
+    }
+
+    async generateSymfonyComponentSchema(project) {
+        const schema = {
+            type: 'component_architecture',
+            framework: 'symfony',
+            structure: {
+                controllers: {},
+                entities: {},
+                repositories: {},
+                migrations: {},
+                templates: {},
+                config: {},
+                tests: {}
+            },
+            application: {},
+            dependencies: {},
+            configuration: {}
+        };
+
+        try {
+            schema.structure.controllers = await this.scanDirectory('src/Controller', '.php');
+            schema.structure.entities = await this.scanDirectory('src/Entity', '.php');
+            schema.structure.repositories = await this.scanDirectory('src/Repository', '.php');
+            schema.structure.migrations = await this.scanDirectory('migrations', '.php');
+            schema.structure.templates = await this.scanDirectory('templates', '.twig');
+            schema.structure.config = await this.scanDirectory('config', '', { content: false });
+            schema.structure.tests = await this.scanDirectory('tests', '.php');
+
+            const security = project.packages.security || {};
+            schema.application = {
+                symfonyVersion: await this.readSymfonyVersion(),
+                bundles: project.bundles,
+                parameters: project.parameters,
+                doctrine: project.packages.doctrine || {},
+                security: {
+                    firewalls: Object.keys(security.firewalls || {}),
+                    providers: security.providers || {},
+                    passwordHashers: security.password_hashers || security.encoders || {},
+                    roleHierarchy: security.role_hierarchy || {}
+                }
+            };
+
+            const composer = project.composer;
+            schema.dependencies = {
+                require: composer.require || {},
+                requireDev: composer['require-dev'] || {},
+                autoload: composer.autoload || {},
+                scripts: composer.scripts || {}
+            };
+            schema.configuration = { values: project.packages, env: project.env };
+            if (project.error) schema.error = project.error;
+        } catch (error) {
+            schema.error = `Failed to generate component architecture schema: ${error.message}`;
+            console.error('Component architecture schema generation error:', error);
+        }
+
+        return schema;
+    }
+
+    /**
+     * Schemas for projects of no known framework, from the files that
+     * describe a project on their own: plain `.sql` migrations (or schema
+     * files when there are none), an OpenAPI document, GraphQL SDL and
+     * docker-compose services.
+     */
+    async generateGenericSchemas() {
+        const schemas = {};
+        const project = await this.measure('project', () => this.readGenericProject());
+
+        schemas.database = await this.measure('database', () => this.generateGenericDatabaseSchema(project));
+        schemas.database.relationships = await this.measure('relationships', () => new RelationshipGraphBuilder().build(schemas.database));
+        schemas.api = await this.measure('api', () => this.generateGenericApiSchema(project));
+        schemas.businessLogic = {
+            type: 'business_logic',
+            framework: 'unknown',
+            note: 'Models, services and policies are only read for a known framework'
+        };
+        schemas.componentArchitecture = await this.measure('componentArchitecture', () => this.generateGenericComponentSchema(project));
+
+        return schemas;
+    }
+
+    /**
+     * Walks the project once and reads its schema files: Compose services
+     * first, since the database engine they run decides the SQL dialect
+     * when the migrations do not give it away.
+     */
+    async readGenericProject() {
+        const project = {
+            files: [],
+            compose: null,
+            sqlMigrations: [],
+            sqlSchemas: [],
+            dialect: null,
+            tables: {},
+            droppedTables: [],
+            migrations: [],
+            specifications: [],
+            graphql: null
+        };
+
+        try {
+            project.files = await this.listProjectFiles();
+            const read = file => fs.readFile(path.join(this.projectRoot, file), 'utf8');
+
+            // Compose reads compose.yaml (or docker-compose.yml) and its override by default
+            const composeFile = ['compose.yaml', 'compose.yml', 'docker-compose.yaml', 'docker-compose.yml'].find(file => project.files.includes(file));
+            if (composeFile) {
+                const override = composeFile.replace(/\.ya?ml$/, '.override$&');
+                const files = {};
+                for (const file of [composeFile, override].filter(candidate => project.files.includes(candidate))) {
+                    files[file] = await read(file);
+                }
+                project.compose = new DockerComposeParser().parse(files);
+            }
+            const engine = project.compose && Object.values(project.compose.services).map(service => service.engine).find(name => ENGINE_DIALECTS[name]);
+            project.dialect = engine ? ENGINE_DIALECTS[engine] : null;
+
+            const sqlFiles = project.files.filter(candidate => candidate.endsWith('.sql'));
+            const kinds = await this.scanner.map(sqlFiles, async file => {
+                const kind = this.sqlFileKind(file);
+                return kind === 'schema' && !/\bCREATE\s+TABLE\b/i.test(await read(file)) ? null : kind;
+            });
+            sqlFiles.forEach((file, index) => {
+                if (kinds[index] === 'migration') project.sqlMigrations.push(file);
+                else if (kinds[index] === 'schema') project.sqlSchemas.push(file);
+            });
+            project.sqlMigrations.sort((a, b) => this.compareSqlMigrations(a, b));
+
+            if (project.sqlMigrations.length > 0) {
+                const parser = new SqlMigrationParser(project.dialect);
+                const engine = new MigrationReplayEngine();
+                const contents = await this.scanner.map(project.sqlMigrations, file => read(file).catch(error => error));
+                // Each migration applies to the tables the earlier ones left, so replay stays in order
+                project.sqlMigrations.forEach((file, index) => {
+                    try {
+                        if (contents[index] instanceof Error) throw contents[index];
+                        engine.applyMigration(parser.parse(contents[index], file));
+                        project.migrations.push(file);
+                    } catch (error) {
+                        console.warn(`Error parsing ${file}:`, error.message);
+                    }
+                });
+                const state = engine.getState();
+                project.tables = state.tables;
+                project.droppedTables = state.droppedTables;
+                project.dialect = parser.dialect;
+            } else {
+                for (const file of project.sqlSchemas) {
+                    const dump = new SqlDdlParser(file, project.dialect).parse(await read(file));
+                    Object.assign(project.tables, dump.tables);
+                    project.dialect = project.dialect || dump.dialect;
+                }
+            }
+
+            const specParser = new OpenApiSpecParser();
+            const specFiles = project.files.filter(candidate => /^(?:openapi|swagger)(?:\.[\w-]+)?\.(?:ya?ml|json)$/i.test(path.basename(candidate)));
+            const specifications = await this.scanner.map(specFiles, async file => {
+                try {
+                    return specParser.parse(await read(file), file);
+                } catch (error) {
+                    console.warn(`Error parsing ${file}:`, error.message);
+                    return null;
+                }
+            });
+            project.specifications.push(...specifications.filter(Boolean));
+            // The shallowest document is the project's own; deeper ones tend to belong to a package or service
+            project.specifications.sort((a, b) => a.file.split(path.sep).length - b.file.split(path.sep).length);
+
+            const graphqlFiles = {};
+            const sdlFiles = project.files.filter(candidate => /\.(?:graphqls?|gql)$/.test(candidate));
+            const sdl = await this.scanner.map(sdlFiles, file => read(file));
+            sdlFiles.forEach((file, index) => {
+                graphqlFiles[file] = sdl[index];
+            });
+            if (Object.keys(graphqlFiles).length > 0) project.graphql = new GraphqlSdlParser().parse(graphqlFiles);
+        } catch (error) {
+            project.error = error.message;
+            console.warn(`Could not read the project's schema files: ${error.message}`);
+        }
+
+        return project;
+    }
+
+    /**
+     * A `.sql` file is a migration when it sits in a migrations directory or
+     * carries a Flyway (`V2__add_email.sql`) or golang-migrate
+     * (`000002_add_email.up.sql`) version; any other file may be a schema
+     * file. Down and undo migrations, seeds and fixtures are neither.
+     */
+    sqlFileKind(file) {
+        const base = path.basename(file);
+        const directories = path.dirname(file).split(path.sep).map(directory => directory.toLowerCase());
+        if (/\.down\.sql$/i.test(base) || /^U\d/.test(base) || /seed|fixture/i.test(file)) return null;
+        if (/^[VR]\d*(?:[._]\d+)*__/.test(base) || /^\d+_.+\.up\.sql$/i.test(base) ||
+            directories.some(directory => SQL_MIGRATION_DIRECTORIES.includes(directory))) {
+            return 'migration';
+        }
+        return 'schema';
+    }
+
+    // Versions compare numerically (V1_10 after V1_9); Flyway's repeatable R__ migrations run last
+    compareSqlMigrations(a, b) {
+        const key = file => {
+            const base = path.basename(file);
+            const version = base.match(/^V?(\d+(?:[._]\d+)*)/i);
+            return { repeatable: /^R__/.test(base), version: version ? version[1].split(/[._]/).map(Number) : [], base };
+        };
+        const left = key(a);
+        const right = key(b);
+        if (left.repeatable !== right.repeatable) return left.repeatable ? 1 : -1;
+        for (let i = 0; i < Math.max(left.version.length, right.version.length); i++) {
+            const difference = (left.version[i] || 0) - (right.version[i] || 0);
+            if (difference !== 0) return difference;
+        }
+        return left.base.localeCompare(right.base);
+    }
+
+    async generateGenericDatabaseSchema(project) {
+        const schema = {
+            type: 'database',
+            framework: 'unknown',
+            source: project.migrations.length > 0 ? 'migrations' : (project.sqlSchemas.length > 0 ? 'schema' : null),
+            dialect: project.dialect,
+            tables: {},
+            relationships: [],
+            constraints: [],
+            indexes: []
+        };
+
+        try {
+            for (const table of Object.values(project.tables)) {
+                table.primaryKey = this.findPrimaryKey(table.columns);
+                table.timestamps = this.hasTimestamps(table.columns);
+            }
+            this.applyMigrationState(schema, {
+                tables: project.tables,
+                droppedTables: project.droppedTables,
+                migrations: project.migrations
+            });
+            if (schema.source === 'schema') schema.schemaFiles = project.sqlSchemas;
+
+            const services = Object.values((project.compose && project.compose.services) || {}).filter(service => service.engine);
+            if (services.length > 0) {
+                schema.services = Object.fromEntries(services.map(service => [service.name, {
+                    engine: service.engine,
+                    image: service.image,
+                    ...(service.ports ? { ports: service.ports } : {})
+                }]));
+            }
+        } catch (error) {
+            schema.error = `Failed to generate database schema: ${error.message}`;
+            console.error('Database schema generation error:', error);
+        }
+
+        return schema;
+    }
+
+    async generateGenericApiSchema(project) {
+        const schema = {
+            type: 'api',
+            framework: 'unknown'
+        };
+
+        try {
+            if (project.specifications.length > 0) {
+                schema.openapi = project.specifications[0].file;
+                schema.routes = project.specifications.flatMap(specification => specification.routes);
+                schema.specifications = project.specifications.map(({ routes, ...specification }) => ({ ...specification, operations: routes.length }));
+            }
+            if (project.graphql) schema.graphql = project.graphql;
+        } catch (error) {
+            schema.error = `Failed to generate API schema: ${error.message}`;
+            console.error('API schema generation error:', error);
+        }
+
+        return schema;
+    }
+
+    async generateGenericComponentSchema(project) {
+        const schema = {
+            type: 'component_architecture',
+            framework: 'unknown',
+            structure: {},
+            services: {},
+            sources: {
+                sqlMigrations: project.sqlMigrations,
+                sqlSchemas: project.sqlSchemas,
+                openapi: project.specifications.map(specification => specification.file),
+                graphql: project.graphql ? project.graphql.files : [],
+                compose: project.compose ? project.compose.files : []
+            }
+        };
+
+        try {
+            // Files per top-level directory give the project's layout without reading them
+            for (const file of project.files) {
+                const [top] = file.split(path.sep);
+                const key = top === file ? '.' : top;
+                schema.structure[key] = (schema.structure[key] || 0) + 1;
+            }
+
+            if (project.compose) {
+                schema.services = project.compose.services;
+                if (project.compose.name) schema.composeProject = project.compose.name;
+                schema.networks = project.compose.networks;
+                schema.volumes = project.compose.volumes;
+                if (project.compose.errors) schema.composeErrors = project.compose.errors;
+            }
+            if (project.error) schema.error = project.error;
+        } catch (error) {
+            schema.error = `Failed to generate component architecture schema: ${error.message}`;
+            console.error('Component architecture schema generation error:', error);
+        }
+
+        return schema;
+    }
+
+    // Utility methods
+    findPrimaryKey(columns) {
+        for (const [name, info] of Object.entries(columns)) {
+            if (info.key === 'PRI' || info.primary || name === 'id') {
+                return name;
+            }
+        }
+        return null;
+    }
+
+    hasTimestamps(columns) {
+        // Sequelize and Mongoose name them in camelCase by default
+        return ('created_at' in columns && 'updated_at' in columns) || ('createdAt' in columns && 'updatedAt' in columns);
+    }
+
+    applyMigrationState(schema, state) {
+        schema.tables = state.tables;
+        schema.droppedTables = state.droppedTables;
+        schema.migrations = state.migrations;
+        if (state.schemaDump) schema.schemaDump = state.schemaDump;
+
+        for (const [tableName, table] of Object.entries(state.tables)) {
+            for (const index of table.indexes) {
+                // Own copies of the column list, so the YAML repeats it instead of writing &ref/*ref aliases
+                schema.indexes.push({ table: tableName, ...index, columns: [...index.columns] });
+
+                if (index.type === 'primary' || index.type === 'unique') {
+                    schema.constraints.push({
+                        table: tableName,
+                        type: index.type === 'primary' ? 'primary_key' : 'unique',
+                        name: index.name,
+                        columns: [...index.columns]
+                    });
+                }
+            }
+
+            for (const fk of table.foreignKeys) {
+                schema.constraints.push({
+                    table: tableName,
+                    type: 'foreign_key',
+                    columns: [fk.column],
+                    referencedTable: fk.on,
+                    referencedColumns: [fk.references],
+                    onDelete: fk.onDelete,
+                    onUpdate: fk.onUpdate
+                });
+            }
+
+            for (const check of table.checks) {
+                schema.constraints.push({ table: tableName, type: 'check', ...check });
+            }
+        }
+    }
+
+    async scanLaravelMigrations() {
+        const migrations = [];
+        try {
+            // Migration filenames start with their timestamp, so a name sort is chronological
+            const files = (await this.scanner.walk('database/migrations', { skipDirectory: () => true, accept: name => name.endsWith('.php') }))
+                .sort((a, b) => (path.basename(a) < path.basename(b) ? -1 : 1));
+            migrations.push(...await this.scanner.map(files, file => (
+                this.cache.parse(file, 'LaravelMigration', content => this.parseMigrationFile(content, path.basename(file)))
+            )));
+        } catch (error) {
+            console.warn('Error scanning migrations:', error.message);
+        }
+
+        // A schema dump replaces the migrations recorded in its migrations table
+        const dump = await this.loadLaravelSchemaDump();
+        const squashed = new Set(dump ? dump.migrations : []);
+        const pending = migrations.filter(migration => !squashed.has(migration.filename.replace(/\.php$/, '')));
+
+        const engine = new MigrationReplayEngine(dump ? dump.tables : {});
+        for (const migration of pending) {
+            engine.applyMigration(migration);
+        }
+
+        const state = engine.getState();
+        for (const table of Object.values(state.tables)) {
+            table.primaryKey = this.findPrimaryKey(table.columns);
+            table.timestamps = this.hasTimestamps(table.columns);
+        }
+        state.migrations = pending.map(migration => migration.filename);
+        if (dump) {
+            state.schemaDump = {
+                file: dump.file,
+                dialect: dump.dialect,
+                tables: Object.keys(dump.tables).length,
+                squashedMigrations: dump.migrations.length
+            };
+        }
+        return state;
+    }
+
+    /**
+     * Loads the `php artisan schema:dump` file for the default connection
+     * (database/schema/{connection}-schema.sql), if the project has one.
+     */
+    async loadLaravelSchemaDump() {
+        try {
+            if (!(await this.fileExists('database/schema'))) {
+                return null;
+            }
+
+            const dumps = (await fs.readdir(path.join(this.projectRoot, 'database/schema')))
+                .filter(file => file.endsWith('-schema.sql'))
+                .sort();
+            if (dumps.length === 0) {
+                return null;
+            }
+
+            const connection = await this.readEnvValue('DB_CONNECTION');
+            const file = dumps.find(dump => dump === `${connection}-schema.sql`) || dumps[0];
+            const relativePath = path.join('database/schema', file);
+            const sql = await fs.readFile(path.join(this.projectRoot, relativePath), 'utf8');
+
+            return { file: relativePath, ...new SqlDdlParser(relativePath).parse(sql) };
+        } catch (error) {
+            console.warn('Error reading schema dump:', error.message);
+            return null;
+        }
+    }
+
+    // Reads KEY from .env, falling back to .env.example
+    async readEnvValue(key) {
+        for (const envFile of ['.env', '.env.example']) {
+            try {
+                const content = await fs.readFile(path.join(this.projectRoot, envFile), 'utf8');
+                const match = content.match(new RegExp(`^${key}=["']?([^"'\\n#]*)`, 'm'));
+                if (match) return match[1].trim();
+            } catch {
+                // Try the next file
+            }
+        }
+        return null;
+    }
+
+    parseMigrationFile(content, filename) {
+        // Only up() describes the forward schema; down() would undo it
+        const body = stripComments(extractMethodBody(content, 'up') || content);
+        const operations = [];
+        const schemaCallPattern = /Schema::(?:connection\([^)]*\)\s*->\s*)?(create|table|drop|dropIfExists|rename)\s*\(|DB::(statement|unprepared)\s*\(/g;
+        let match;
+
+        while ((match = schemaCallPattern.exec(body)) !== null) {
+            const open = match.index + match[0].length - 1;
+            const close = findClosingBracket(body, open);
+            if (close === -1) break;
+
+            const args = splitTopLevel(body.slice(open + 1, close));
+            schemaCallPattern.lastIndex = close + 1;
+
+            if (match[2]) {
+                const operation = this.parseRawConstraintStatement(parseStringLiteral(args[0]) || '');
+                if (operation) operations.push(operation);
+                continue;
+            }
+
+            const table = parseStringLiteral(args[0]);
+            if (!table) continue;
+
+            switch (match[1]) {
+                case 'create':
+                case 'table':
+                    operations.push({
+                        type: match[1] === 'create' ? 'create' : 'modify',
+                        table,
+                        statements: this.parseBlueprintClosure(args[1] || '')
+                    });
+                    break;
+                case 'drop':
+                case 'dropIfExists':
+                    operations.push({ type: 'drop', table });
+                    break;
+                case 'rename': {
+                    const to = parseStringLiteral(args[1]);
+                    if (to) operations.push({ type: 'rename', table, to });
+                    break;
+                }
+            }
+        }
+
+        return { filename, operations };
+    }
+
+    /**
+     * Blueprint has no check constraint API, so migrations add them with raw
+     * `DB::statement('ALTER TABLE ... ADD CONSTRAINT ... CHECK (...)')` calls.
+     */
+    parseRawConstraintStatement(sql) {
+        const addMatch = sql.match(/ALTER\s+TABLE\s+[`"]?(\w+)[`"]?\s+ADD\s+CONSTRAINT\s+[`"]?(\w+)[`"]?\s+CHECK\s*\(([\s\S]*)\)/i);
+        if (addMatch) {
+            return {
+                type: 'modify',
+                table: addMatch[1],
+                statements: [{ action: 'check', check: { name: addMatch[2], expression: addMatch[3].trim() } }]
+            };
+        }
+
+        const dropMatch = sql.match(/ALTER\s+TABLE\s+[`"]?(\w+)[`"]?\s+DROP\s+(?:CONSTRAINT|CHECK)\s+(?:IF\s+EXISTS\s+)?[`"]?(\w+)[`"]?/i);
+        if (dropMatch) {
+            return {
+                type: 'modify',
+                table: dropMatch[1],
+                statements: [{ action: 'dropCheck', name: dropMatch[2] }]
+            };
+        }
+
+        return null;
+    }
+
+    parseBlueprintClosure(closure) {
+        const paramMatch = closure.match(/^(?:static\s+)?(?:function|fn)\s*\(\s*(?:[\w\\]+\s+)?\$(\w+)/);
+        const bodyOpen = closure.indexOf('{');
+        if (!paramMatch || bodyOpen === -1) return [];
+
+        const bodyClose = findClosingBracket(closure, bodyOpen);
+        const body = closure.slice(bodyOpen + 1, bodyClose === -1 ? closure.length : bodyClose);
+        const tablePrefix = `$${paramMatch[1]}->`;
+        const statements = [];
+
+        for (const statement of splitTopLevel(body, ';')) {
+            if (!statement.startsWith(tablePrefix)) continue;
+            const line = `$table->${statement.slice(tablePrefix.length)};`;
+            statements.push(...this.parseBlueprintStatement(line));
+        }
+
+        return statements;
+    }
+
+    parseBlueprintStatement(line) {
+        // $table->engine = 'InnoDB';
+        const optionMatch = line.match(/^\$table->(\w+)\s*=\s*([\s\S]+?);$/);
+        if (optionMatch) {
+            const value = parseStringLiteral(optionMatch[2]);
+            return BLUEPRINT_TABLE_OPTIONS.includes(optionMatch[1]) && value !== null
+                ? [{ action: 'tableOption', option: optionMatch[1], value }]
+                : [];
+        }
+
+        const [call] = parseCallChain(line);
+        if (!call) return [];
+
+        if (BLUEPRINT_TABLE_OPTIONS.includes(call.method)) {
+            const value = call.method === 'temporary' ? true : parseStringLiteral(call.args[0]);
+            return value !== null && value !== undefined ? [{ action: 'tableOption', option: call.method, value }] : [];
+        }
+
+        switch (call.method) {
+            case 'dropColumn': {
+                const columns = call.args.length === 1 && parseStringList(call.args[0]).length > 0
+                    ? parseStringList(call.args[0])
+                    : call.args.map(parseStringLiteral).filter(Boolean);
+                return [{ action: 'dropColumn', columns }];
+            }
+            case 'renameColumn': {
+                const from = parseStringLiteral(call.args[0]);
+                const to = parseStringLiteral(call.args[1]);
+                return from && to ? [{ action: 'renameColumn', from, to }] : [];
+            }
+            case 'renameIndex': {
+                const from = parseStringLiteral(call.args[0]);
+                const to = parseStringLiteral(call.args[1]);
+                return from && to ? [{ action: 'renameIndex', from, to }] : [];
+            }
+            case 'check': {
+                // $table->check('price > 0', 'products_price_positive'); the replay names unnamed checks
+                const expression = parseStringLiteral(call.args[0]);
+                const name = parseStringLiteral(call.args[1]);
+                return expression ? [{ action: 'check', check: { ...(name ? { name } : {}), expression } }] : [];
+            }
+            case 'dropCheck': {
+                const name = parseStringLiteral(call.args[0]);
+                return name ? [{ action: 'dropCheck', name }] : [];
+            }
+            case 'foreign': {
+                const foreignKey = this.parseForeignKeyDefinition(line);
+                return foreignKey ? [{ action: 'foreign', foreignKey }] : [];
+            }
+            case 'dropForeign': {
+                // dropForeign(['user_id']) names columns; dropForeign('posts_user_id_foreign') names the
+                // constraint, whose column the replay finds once it knows the table's foreign keys
+                const columns = parseStringList(call.args[0]);
+                const constraint = parseStringLiteral(call.args[0]);
+                return [columns.length === 0 && constraint ? { action: 'dropForeign', columns, name: constraint } : { action: 'dropForeign', columns }];
+            }
+            case 'dropTimestamps':
+            case 'dropTimestampsTz':
+            case 'dropDatetimes':
+                return [{ action: 'dropColumn', columns: ['created_at', 'updated_at'] }];
+            case 'dropSoftDeletes':
+            case 'dropSoftDeletesTz':
+                return [{ action: 'dropColumn', columns: [parseStringLiteral(call.args[0]) || 'deleted_at'] }];
+            case 'dropRememberToken':
+                return [{ action: 'dropColumn', columns: ['remember_token'] }];
+            case 'dropMorphs': {
+                const morphName = parseStringLiteral(call.args[0]);
+                return morphName ? [{ action: 'dropColumn', columns: [`${morphName}_type`, `${morphName}_id`] }] : [];
+            }
+            case 'dropConstrainedForeignId': {
+                const column = parseStringLiteral(call.args[0]);
+                return column ? [{ action: 'dropForeign', columns: [column] }, { action: 'dropColumn', columns: [column] }] : [];
+            }
+            case 'dropForeignIdFor':
+            case 'dropConstrainedForeignIdFor': {
+                const column = parseStringLiteral(call.args[1]) || this.foreignIdForColumn(call.args[0]);
+                const statements = [{ action: 'dropForeign', columns: [column] }];
+                if (call.method === 'dropConstrainedForeignIdFor') statements.push({ action: 'dropColumn', columns: [column] });
+                return statements;
+            }
+            case 'index':
+            case 'unique':
+            case 'primary':
+            case 'fullText':
+            case 'spatialIndex':
+            case 'rawIndex': {
+                const columns = call.method === 'rawIndex'
+                    ? [parseStringLiteral(call.args[0])].filter(Boolean)
+                    : this.parseColumnList(call.args[0]);
+                if (columns.length === 0) return [];
+
+                const name = parseStringLiteral(call.args[1]);
+                const index = { type: call.method === 'rawIndex' ? 'index' : call.method, columns };
+                if (name) index.name = name;
+                if (call.method === 'rawIndex') index.raw = true;
+                const algorithm = parseStringLiteral(call.args[2]);
+                if (algorithm) index.algorithm = algorithm;
+                return [{ action: 'index', index }];
+            }
+            case 'dropIndex':
+            case 'dropUnique':
+            case 'dropPrimary':
+            case 'dropFullText':
+            case 'dropSpatialIndex': {
+                // Laravel accepts either the index name or the column list it was built from
+                const type = call.method.charAt(4).toLowerCase() + call.method.slice(5);
+                const columns = parseStringList(call.args[0]);
+                return [{
+                    action: 'dropIndex',
+                    type,
+                    ...(columns.length > 0 ? { columns } : { name: parseStringLiteral(call.args[0]) })
+                }];
+            }
+        }
+
+        const helperStatements = this.expandColumnHelper(call, line);
+        if (helperStatements) return helperStatements;
+
+        // Anything else, such as a macro, defines no column the parser can know about
+        if (!BLUEPRINT_COLUMN_TYPES.has(call.method)) return [];
+
+        const column = this.parseColumnDefinition(line);
+        if (!column) return [];
+        return [
+            { action: line.includes('->change()') ? 'change' : 'add', column },
+            ...this.parseColumnIndexModifiers(column.name, line)
+        ];
+    }
+
+    // 'email' or ['first', 'last'] -> column names
+    parseColumnList(expression) {
+        const single = parseStringLiteral(expression);
+        return single ? [single] : parseStringList(expression);
+    }
+
+    // ->unique(), ->index('name'), ->primary(), ... chained on a column definition
+    parseColumnIndexModifiers(columnName, line) {
+        const indexTypes = ['index', 'unique', 'primary', 'fullText', 'spatialIndex'];
+        return parseCallChain(line)
+            .slice(1)
+            .filter(call => indexTypes.includes(call.method))
+            .map(call => {
+                const index = { type: call.method, columns: [columnName] };
+                const name = parseStringLiteral(call.args[0]);
+                if (name) index.name = name;
+                return { action: 'index', index };
+            });
+    }
+
+    // A helper defining one column takes the same ->primary(), ->unique('name'), ... modifiers as a plain column
+    helperIndexModifiers(column, line) {
+        const statements = this.parseColumnIndexModifiers(column.name, line);
+        if (statements.some(statement => statement.index.type === 'primary')) column.primary = true;
+        return statements;
+    }
+
+    /**
+     * Expands Blueprint shorthand helpers (id(), timestamps(), morphs(), foreignId(), ...)
+     * into the columns, indexes and foreign keys Laravel actually creates.
+     * Returns null when the call is a plain column type.
+     */
+    expandColumnHelper(call, line) {
+        const firstArg = parseStringLiteral(call.args[0]);
+        const column = (name, type, extra = {}) => ({
+            name,
+            type,
+            nullable: line.includes('->nullable()'),
+            default: this.extractDefault(line),
+            unique: line.includes('->unique('),
+            index: line.includes('->index('),
+            helper: call.method,
+            ...extra
+        });
+        const add = (...columns) => columns.map(col => ({ action: 'add', column: col }));
+        const addSingle = col => [...add(col), ...this.helperIndexModifiers(col, line)];
+
+        switch (call.method) {
+            case 'id':
+            case 'bigIncrements':
+            case 'increments':
+            case 'mediumIncrements':
+            case 'smallIncrements':
+            case 'tinyIncrements': {
+                const name = firstArg || (call.method === 'id' ? 'id' : null);
+                if (!name) return null;
+                const type = call.method === 'id' ? 'bigIncrements' : call.method;
+                return [
+                    ...add(column(name, type, { unsigned: true, autoIncrement: true, primary: true })),
+                    { action: 'index', index: { type: 'primary', columns: [name] } }
+                ];
+            }
+            case 'timestamps':
+            case 'nullableTimestamps':
+            case 'timestampsTz':
+            case 'datetimes': {
+                const type = call.method === 'timestampsTz' ? 'timestampTz' : call.method === 'datetimes' ? 'dateTime' : 'timestamp';
+                return add(
+                    column('created_at', type, { nullable: true }),
+                    column('updated_at', type, { nullable: true })
+                );
+            }
+            case 'softDeletes':
+            case 'softDeletesTz':
+            case 'softDeletesDatetime':
+                return addSingle(column(firstArg || 'deleted_at', call.method === 'softDeletesTz' ? 'timestampTz' : call.method === 'softDeletesDatetime' ? 'dateTime' : 'timestamp', { nullable: true }));
+            case 'rememberToken':
+                return add(column('remember_token', 'string', { length: 100, nullable: true }));
+            case 'morphs':
+            case 'nullableMorphs':
+            case 'uuidMorphs':
+            case 'nullableUuidMorphs':
+            case 'ulidMorphs':
+            case 'nullableUlidMorphs':
+            case 'numericMorphs':
+            case 'nullableNumericMorphs': {
+                if (!firstArg) return null;
+                const idType = /uuid/i.test(call.method) ? 'uuid' : /ulid/i.test(call.method) ? 'ulid' : 'unsignedBigInteger';
+                const nullable = call.method.startsWith('nullable') || line.includes('->nullable()');
+                const indexName = parseStringLiteral(call.args[1]);
+                return [
+                    ...add(
+                        column(`${firstArg}_type`, 'string', { nullable }),
+                        column(`${firstArg}_id`, idType, { nullable })
+                    ),
+                    { action: 'index', index: { type: 'index', columns: [`${firstArg}_type`, `${firstArg}_id`], ...(indexName ? { name: indexName } : {}) } }
+                ];
+            }
+            case 'foreignId':
+            case 'foreignUuid':
+            case 'foreignUlid': {
+                if (!firstArg) return null;
+                const type = call.method === 'foreignId' ? 'unsignedBigInteger' : call.method === 'foreignUuid' ? 'uuid' : 'ulid';
+                return this.foreignColumnStatements(column(firstArg, type, call.method === 'foreignId' ? { unsigned: true } : {}), line);
+            }
+            case 'foreignIdFor': {
+                const name = parseStringLiteral(call.args[1]) || this.foreignIdForColumn(call.args[0]);
+                if (!name) return null;
+                return this.foreignColumnStatements(column(name, 'unsignedBigInteger', { unsigned: true, model: this.phpClassBasename(call.args[0]) }), line, this.modelTableFromClass(call.args[0]));
+            }
+            case 'uuid':
+            case 'ulid':
+                return addSingle(column(firstArg || call.method, call.method));
+            case 'ipAddress':
+                return addSingle(column(firstArg || 'ip_address', call.method));
+            case 'macAddress':
+                return addSingle(column(firstArg || 'mac_address', call.method));
+        }
+
+        return null;
+    }
+
+    /**
+     * Builds the add statement for a foreignId-style column plus the foreign key
+     * created by `->constrained()` or `->references()->on()`.
+     */
+    foreignColumnStatements(column, line, guessedTable = null) {
+        const statements = [{ action: line.includes('->change()') ? 'change' : 'add', column }, ...this.helperIndexModifiers(column, line)];
+        const constrained = parseCallChain(line).find(call => call.method === 'constrained');
+        const referencesMatch = line.match(/->references\(['"]([^'"]+)['"]\)/);
+        const onMatch = line.match(/->on\(['"]([^'"]+)['"]\)/);
+
+        if (constrained) {
+            statements.push({
+                action: 'foreign',
+                foreignKey: {
+                    column: column.name,
+                    references: parseStringLiteral(constrained.args[1]) || 'id',
+                    on: parseStringLiteral(constrained.args[0]) || guessedTable || this.guessTableFromForeignKey(column.name),
+                    onDelete: this.extractOnDelete(line),
+                    onUpdate: this.extractOnUpdate(line)
+                }
+            });
+        } else if (referencesMatch && onMatch) {
+            statements.push({
+                action: 'foreign',
+                foreignKey: {
+                    column: column.name,
+                    references: referencesMatch[1],
+                    on: onMatch[1],
+                    onDelete: this.extractOnDelete(line),
+                    onUpdate: this.extractOnUpdate(line)
+                }
+            });
+        }
+
+        return statements;
+    }
+
+    // `User::class` -> `User`
+    phpClassBasename(expression) {
+        const match = (expression || '').match(/([\w]+)::class/);
+        return match ? match[1] : null;
+    }
+
+    // foreignIdFor(User::class) -> user_id
+    foreignIdForColumn(expression) {
+        const model = this.phpClassBasename(expression);
+        return model ? `${snakeCase(model)}_id` : null;
+    }
+
+    // User::class -> users, following Eloquent's default table naming
+    modelTableFromClass(expression) {
+        const model = this.phpClassBasename(expression);
+        return model ? modelTableName(model) : null;
+    }
+
+    // constrained() on user_id references users, mirroring Laravel's guess
+    guessTableFromForeignKey(columnName) {
+        return pluralize(columnName.replace(/_id$/, ''));
+    }
+
+    parseColumnDefinition(columnLine) {
+        // Extract column type and name from Laravel migration syntax
+        const typeMatch = columnLine.match(/\$table->(\w+)\(['"]([^'"]+)['"]/);
+        if (!typeMatch) {
+            return null;
+        }
+
+        const [, type, name] = typeMatch;
+        const [definition, ...modifiers] = parseCallChain(columnLine);
+        const modifier = method => modifiers.find(call => call.method === method);
+        const column = {
+            name,
+            type,
+            nullable: columnLine.includes('->nullable()'),
+            default: this.extractDefault(columnLine),
+            unique: columnLine.includes('->unique('),
+            index: columnLine.includes('->index(')
+        };
+
+        Object.assign(column, this.parseColumnTypeArguments(type, definition.args.slice(1)));
+
+        if (type.startsWith('unsigned') || modifier('unsigned')) column.unsigned = true;
+        if (type.endsWith('Increments') || type === 'increments' || modifier('autoIncrement')) column.autoIncrement = true;
+        if (modifier('primary')) column.primary = true;
+
+        for (const attribute of ['comment', 'charset', 'collation']) {
+            const call = modifier(attribute);
+            const value = call && parseStringLiteral(call.args[0]);
+            if (value !== null && value !== undefined) column[attribute] = value;
+        }
+
+        return column;
+    }
+
+    /**
+     * Maps the positional arguments after the column name onto length,
+     * precision/scale or option lists depending on the column type.
+     */
+    parseColumnTypeArguments(type, args) {
+        const number = arg => (arg !== undefined && /^\d+$/.test(arg.trim()) ? Number(arg) : undefined);
+        const attributes = {};
+
+        switch (type) {
+            case 'string':
+            case 'char':
+                if (number(args[0]) !== undefined) attributes.length = number(args[0]);
+                break;
+            case 'decimal':
+            case 'unsignedDecimal':
+            case 'double':
+            case 'float':
+                if (number(args[0]) !== undefined) attributes.precision = number(args[0]);
+                if (number(args[1]) !== undefined) attributes.scale = number(args[1]);
+                break;
+            case 'enum':
+            case 'set':
+                attributes.options = parseStringList(args[0]);
+                break;
+            case 'binary':
+                if (number(args[0]) !== undefined) attributes.length = number(args[0]);
+                break;
+            case 'dateTime':
+            case 'dateTimeTz':
+            case 'time':
+            case 'timeTz':
+            case 'timestamp':
+            case 'timestampTz':
+                if (number(args[0]) !== undefined) attributes.precision = number(args[0]);
+                break;
+        }
+
+        return attributes;
+    }
+
+    extractDefault(columnLine) {
+        const defaultMatch = columnLine.match(/->default\(([^)]+)\)/);
+        if (!defaultMatch && columnLine.includes('->useCurrent()')) return 'CURRENT_TIMESTAMP';
+        return defaultMatch ? defaultMatch[1].replace(/['"]/g, '') : null;
+    }
+
+    parseForeignKeyDefinition(fkLine) {
+        const columnMatch = fkLine.match(/\$table->foreign\(['"]([^'"]+)['"]\)/);
+        const referencesMatch = fkLine.match(/->references\(['"]([^'"]+)['"]\)/);
+        const onMatch = fkLine.match(/->on\(['"]([^'"]+)['"]\)/);
+
+        if (columnMatch && referencesMatch && onMatch) {
+            return {
+                column: columnMatch[1],
+                references: referencesMatch[1],
+                on: onMatch[1],
+                onDelete: this.extractOnDelete(fkLine),
+                onUpdate: this.extractOnUpdate(fkLine)
+            };
+        }
+        return null;
+    }
+
+    extractOnDelete(fkLine) {
+        const match = fkLine.match(/->onDelete\(['"]([^'"]+)['"]\)/);
+        return match ? match[1] : this.extractForeignActionShorthand(fkLine, 'Delete');
+    }
+
+    extractOnUpdate(fkLine) {
+        const match = fkLine.match(/->onUpdate\(['"]([^'"]+)['"]\)/);
+        return match ? match[1] : this.extractForeignActionShorthand(fkLine, 'Update');
+    }
+
+    // cascadeOnDelete(), nullOnDelete(), restrictOnUpdate(), ...
+    extractForeignActionShorthand(fkLine, event) {
+        const match = fkLine.match(new RegExp(`->(cascade|null|restrict|noAction)On${event}\\(\\)`));
+        if (!match) return null;
+        return { cascade: 'cascade', null: 'set null', restrict: 'restrict', noAction: 'no action' }[match[1]];
+    }
+
+    /**
+     * Builds the flat route table for every routes/*.php file. Files loaded by
+     * bootstrap/app.php (Laravel 11+) or RouteServiceProvider inherit the
+     * prefix and middleware they are registered with; the remaining files are
+     * parsed on their own so nothing registered there is missed.
+     *
+     * @param {Object|null} routing - parsed withRouting() arguments, when the app uses them
+     */
+    async scanLaravelRoutes(routing = null) {
+        const routes = [];
+        const sources = {};
+        const bootstrap = 'bootstrap/app.php';
+        const provider = 'app/Providers/RouteServiceProvider.php';
+
+        for (const file of [...await this.listFiles('routes', '.php'), provider, bootstrap]) {
+            if (await this.fileExists(file)) {
+                sources[file] = await fs.readFile(path.join(this.projectRoot, file), 'utf8');
+            }
+        }
+
+        const parser = new LaravelRouteParser(file => sources[file]);
+        const parseRoutes = (content, file, context = {}, importSource = content) => {
+            try {
+                routes.push(...parser.parse(content, file, context, importSource));
+            } catch (error) {
+                console.warn(`Could not parse routes registered by ${file}: ${error.message}`);
+            }
+        };
+
+        // Framework defaults for the standard files
+        const defaults = {
+            'routes/web.php': { middleware: ['web'] },
+            'routes/api.php': { prefix: 'api', middleware: ['api'] }
+        };
+
+        if (routing) {
+            // using: replaces the framework's route loading entirely
+            if (routing.using) {
+                parseRoutes(routing.using, bootstrap, {}, sources[bootstrap]);
+                return routes;
+            }
+
+            const asList = value => [].concat(value || []);
+            for (const file of asList(routing.web)) defaults[file] = { middleware: ['web'] };
+            for (const file of asList(routing.api)) {
+                defaults[file] = { prefix: routing.apiPrefix !== undefined ? routing.apiPrefix : 'api', middleware: ['api'] };
+            }
+
+            for (const file of [...asList(routing.web), ...asList(routing.api)]) {
+                if (!sources[file] || parser.includedFiles.has(file)) continue;
+                parser.includedFiles.add(file);
+                parseRoutes(sources[file], file, defaults[file]);
+            }
+            if (routing.then) parseRoutes(routing.then, bootstrap, {}, sources[bootstrap]);
+            if (routing.health) {
+                routes.push({
+                    methods: ['GET', 'HEAD'],
+                    uri: routing.health.replace(/^\/+/, '') || '/',
+                    name: null,
+                    action: { type: 'health' },
+                    middleware: [],
+                    parameters: [],
+                    file: bootstrap
+                });
+            }
+        } else if (sources[provider]) {
+            parseRoutes(sources[provider], provider);
+        }
+
+        for (const file of Object.keys(sources).filter(file => file.startsWith('routes/'))) {
+            if (parser.includedFiles.has(file)) continue;
+            parser.includedFiles.add(file);
+            parseRoutes(sources[file], file, defaults[file] || {});
+        }
+
+        return routes;
+    }
+
+    async scanLaravelModels() {
+        return this.analyzePhpClasses('app/Models', new EloquentModelAnalyzer());
+    }
+
+    async analyzePhpClasses(dirPath, analyzer) {
+        return this.analyzeClasses(dirPath, analyzer, '.php');
+    }
+
+    async analyzeRubyClasses(dirPath, analyzer) {
+        return this.analyzeClasses(dirPath, analyzer, '.rb');
+    }
+
+    /**
+     * Runs `analyzer` over every source file below dirPath, keyed by the path
+     * relative to dirPath without extension (e.g. "Billing/Invoice").
+     */
+    async analyzeClasses(dirPath, analyzer, extension) {
+        const classes = {};
+        try {
+            const files = await this.listFiles(dirPath, extension);
+            const descriptions = await this.scanner.map(files, async file => {
+                try {
+                    return { path: file, ...await this.cache.parse(file, this.analyzerKey(analyzer), content => analyzer.analyze(content, file)) };
+                } catch (error) {
+                    return { path: file, error: error.message };
+                }
+            });
+            files.forEach((file, index) => {
+                classes[path.relative(dirPath, file).slice(0, -extension.length).split(path.sep).join('/')] = descriptions[index];
+            });
+        } catch (error) {
+            classes.error = error.message;
+        }
+        return classes;
+    }
+
+    // The cache key of an analyzer's results: its class and the options that change them
+    analyzerKey(analyzer) {
+        return analyzer.methodBodies ? `${analyzer.constructor.name}:methodBodies` : analyzer.constructor.name;
+    }
+
+    /**
+     * Records on each FormRequest the controller actions that type-hint it,
+     * together with the routes reaching those actions.
+     */
+    linkFormRequests(schema) {
+        const requests = {};
+        for (const request of Object.values(schema.validation)) {
+            if (!request || !request.class) continue;
+            request.usedBy = [];
+            requests[request.namespace ? `${request.namespace}\\${request.class}` : request.class] = request;
+        }
+
+        for (const controller of Object.values(schema.controllers)) {
+            if (!controller || !Array.isArray(controller.methods)) continue;
+            const controllerClass = controller.namespace ? `${controller.namespace}\\${controller.class}` : controller.class;
+
+            for (const method of controller.methods) {
+                for (const parameter of method.parameters) {
+                    const request = requests[(parameter.type || '').replace(/^\?/, '')];
+                    if (!request) continue;
+
+                    const routes = schema.routes
+                        .filter(route => route.action && route.action.controller === controllerClass && route.action.method === method.name)
+                        .map(route => `${route.methods.filter(verb => verb !== 'HEAD').join('|')} ${route.uri}`);
+                    request.usedBy.push({ action: `${controllerClass}@${method.name}`, routes });
+                }
+            }
+        }
+    }
+
+    async scanLaravelControllers() {
+        const controllers = {};
+        const classAnalyzer = new PhpClassAnalyzer({ methodBodies: true });
+        try {
+            const files = await this.listFiles('app/Http/Controllers', '.php');
+            const descriptions = await this.scanner.map(files, async file => {
+                try {
+                    const description = await this.cache.parse(file, this.analyzerKey(classAnalyzer), content => classAnalyzer.analyze(content, file));
+                    return {
+                        path: file,
+                        ...description,
+                        methods: this.describeControllerMethods(description)
+                    };
+                } catch (error) {
+                    return { path: file, error: error.message };
+                }
+            });
+            files.forEach((file, index) => {
+                controllers[path.relative('app/Http/Controllers', file).replace(/\.php$/, '').split(path.sep).join('/')] = descriptions[index];
+            });
+        } catch (error) {
+            controllers.error = error.message;
+        }
+        return controllers;
+    }
+
+    // config/routes.rb plus the config/routes/*.rb files it draws
+    async scanRailsRoutes() {
+        const sources = {};
+        for (const file of ['config/routes.rb', ...await this.listFiles('config/routes', '.rb')]) {
+            if (await this.fileExists(file)) {
+                sources[file] = await fs.readFile(path.join(this.projectRoot, file), 'utf8');
+            }
+        }
+        if (!sources['config/routes.rb']) return [];
+
+        try {
+            return new RailsRouteParser(file => sources[file] || null).parse(sources['config/routes.rb'], 'config/routes.rb');
+        } catch (error) {
+            console.warn(`Could not parse config/routes.rb: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * The strong parameters each controller permits, keyed
+     * `Controller#params_method`, with the actions using them and the routes
+     * reaching those actions.
+     */
+    collectStrongParameters(schema) {
+        const validation = {};
+        for (const controller of Object.values(schema.controllers)) {
+            if (!controller || !controller.strongParameters) continue;
+
+            for (const [method, permitted] of Object.entries(controller.strongParameters)) {
+                validation[`${controller.class}#${method}`] = { controller: controller.class, method, ...permitted, usedBy: [] };
+            }
+            for (const action of controller.methods) {
+                const entry = action.strongParameters && validation[`${controller.class}#${action.strongParameters}`];
+                if (!entry) continue;
+
+                const routes = schema.routes
+                    .filter(route => route.action && route.action.controller === controller.class && route.action.method === action.name)
+                    .map(route => `${route.methods.join('|')} ${route.uri}`);
+                entry.usedBy.push({ action: `${controller.class}#${action.name}`, routes });
+            }
         }
-        return controllers;
+        return validation;
     }
 
-    parseMiddleware(content) {
-        const middleware = [];
-        // Extract middleware from Laravel Kernel
-        const middlewareMatches = content.match(/'([^']+)'\s*=>\s*([^,\n]+)/g);
-        if (middlewareMatches) {
-            for (const match of middlewareMatches) {
-                const parts = match.match(/'([^']+)'\s*=>\s*([^,\n]+)/);
-                if (parts) {
-                    middleware.push({
-                        name: parts[1].trim(),
-                        class: parts[2].trim().replace(/[,;]$/, '')
-                    });
-                }
+    async scanActiveRecordModels() {
+        const models = await this.analyzeRubyClasses('app/models', new ActiveRecordModelAnalyzer());
+        for (const name of Object.keys(models).filter(name => name.startsWith('concerns/'))) {
+            delete models[name];
+        }
+        this.resolveActiveRecordModels(models);
+        return models;
+    }
+
+    /**
+     * Resolves association and superclass names the way Ruby looks up
+     * constants, from the model's module nesting outwards, and gives
+     * single-table-inheritance subclasses the table of their base model.
+     */
+    resolveActiveRecordModels(models) {
+        const byClass = {};
+        for (const model of Object.values(models)) {
+            if (model && model.class) byClass[model.class] = model;
+        }
+
+        const resolve = (name, nesting) => {
+            if (!name) return name;
+            if (name.startsWith('::')) return name.slice(2);
+            const scopes = (nesting || '').split('::').filter(Boolean);
+            for (let depth = scopes.length; depth >= 0; depth--) {
+                const candidate = [...scopes.slice(0, depth), name].join('::');
+                if (byClass[candidate]) return candidate;
+            }
+            return name;
+        };
+
+        for (const model of Object.values(byClass)) {
+            for (const relationship of model.relationships) {
+                if (relationship.related) relationship.related = resolve(relationship.related, model.nesting);
+            }
+            if (model.extends) model.extends = resolve(model.extends, model.nesting);
+        }
+
+        for (const model of Object.values(byClass)) {
+            let base = model;
+            while (base.extends && byClass[base.extends] && !byClass[base.extends].abstract && base.extends !== model.class) {
+                base = byClass[base.extends];
             }
+            if (base === model) continue;
+
+            model.table = base.table;
+            model.sti = { base: base.class, column: base.inheritanceColumn };
+            base.sti = base.sti || { base: base.class, column: base.inheritanceColumn, subclasses: [] };
+            base.sti.subclasses.push(model.class);
         }
-        return middleware;
     }
 
-    async scanDirectory(dirPath, extension = '') {
+    /**
+     * Adds to each analyzed controller method the API resource the action
+     * responds with, when it builds one, and drops the method source.
+     */
+    describeControllerMethods(description) {
+        const scope = { imports: description.imports, namespace: description.namespace };
+
+        return (description.methods || []).map(({ body, ...method }) => {
+            const resourceMatch = (body || '').match(/(?:new\s+(\\?[\w\\]*(?:Resource|Collection))\s*\(|(\\?[\w\\]*Resource)::(collection|make)\s*\()/);
+            if (resourceMatch) {
+                const resource = resolveClassName(resourceMatch[1] || resourceMatch[2], scope);
+                method.resource = { class: resource, collection: resourceMatch[3] === 'collection' };
+            }
+            return method;
+        });
+    }
+
+    /**
+     * Reads the global stack, groups, aliases and priority declared by a
+     * pre-Laravel 11 app/Http/Kernel.php, in the shape bootstrap/app.php yields.
+     */
+    parseMiddleware(content) {
+        const source = stripComments(content);
+        const scope = { imports: extractImports(source), namespace: this.extractPhpNamespace(source) };
+        const classBody = extractClassBody(source);
+        const classList = expression => (parseArrayEntries(expression) || [])
+            .map(entry => parseClassReference(entry.value, scope) || entry.value.trim());
+        const classMap = expression => Object.fromEntries((parseArrayEntries(expression) || [])
+            .filter(entry => entry.key !== null)
+            .map(entry => [parseStringLiteral(entry.key) || entry.key, entry.value]));
+
+        const groups = classMap(extractPropertyValue(classBody, 'middlewareGroups'));
+        // $routeMiddleware was renamed $middlewareAliases in Laravel 10
+        const aliases = classMap(extractPropertyValue(classBody, 'middlewareAliases') || extractPropertyValue(classBody, 'routeMiddleware'));
+
+        return {
+            global: classList(extractPropertyValue(classBody, 'middleware')),
+            groups: Object.fromEntries(Object.entries(groups).map(([name, stack]) => [name, classList(stack)])),
+            aliases: Object.fromEntries(Object.entries(aliases).map(([name, value]) => [name, parseClassReference(value, scope) || value.trim()])),
+            priority: classList(extractPropertyValue(classBody, 'middlewarePriority'))
+        };
+    }
+
+    /**
+     * The files below dirPath ending with extension, nested by directory as
+     * `{ name: { path, size, lastModified } }`. The analyzed schemas describe
+     * what the files define, so their text is left out unless `content` (by
+     * default the run's `includeContent`) adds the first 5KB of each; config
+     * directories, whose text can hold credentials, pass `content: false`.
+     */
+    async scanDirectory(dirPath, extension = '', { content = this.includeContent } = {}) {
         const files = {};
         try {
-            const fullPath = path.join(this.projectRoot, dirPath);
-            if (await this.fileExists(dirPath)) {
-                const entries = await fs.readdir(fullPath, { withFileTypes: true });
-                for (const entry of entries) {
-                    if (entry.isFile() && (extension === '' || entry.name.endsWith(extension))) {
-                        const filePath = path.join(fullPath, entry.name);
-                        try {
-                            const content = await fs.readFile(filePath, 'utf8');
-                            const stats = await fs.stat(filePath);
-                            files[entry.name] = {
-                                path: path.relative(this.projectRoot, filePath),
-                                size: content.length,
-                                lastModified: stats.mtime,
-                                content: content.substring(0, 5000) // Limit content size to 5KB
-                            };
-                        } catch (error) {
-                            files[entry.name] = { error: error.message };
-                        }
-                    } else if (entry.isDirectory()) {
-                        const subFiles = await this.scanDirectory(path.join(dirPath, entry.name), extension);
-                        if (Object.keys(subFiles).length > 0) {
-                            files[entry.name] = subFiles;
-                        }
+            const paths = await this.scanner.walk(dirPath, { accept: name => extension === '' || name.endsWith(extension) });
+            const entries = await this.scanner.map(paths, async file => {
+                try {
+                    if (!content) {
+                        const stats = await fs.stat(path.join(this.projectRoot, file));
+                        return { path: file, size: stats.size, lastModified: stats.mtime };
                     }
+                    const excerpt = await this.cache.parse(file, 'excerpt', content => ({
+                        size: content.length,
+                        content: content.substring(0, 5000) // Limit content size to 5KB
+                    }));
+                    const stats = await fs.stat(path.join(this.projectRoot, file));
+                    return {
+                        path: file,
+                        size: excerpt.size,
+                        lastModified: stats.mtime,
+                        content: excerpt.content
+                    };
+                } catch (error) {
+                    return { error: error.message };
                 }
-            }
+            });
+            paths.forEach((file, index) => {
+                const parts = path.relative(dirPath, file).split(path.sep);
+                let level = files;
+                for (const part of parts.slice(0, -1)) {
+                    level = level[part] = level[part] || {};
+                }
+                level[parts[parts.length - 1]] = entries[index];
+            });
         } catch (error) {
             return { error: error.message };
         }
         return files;
     }
 
-    extractPhpMethods(content) {
-        const methods = [];
-        const methodMatches = content.match(/(?:public|private|protected)\s+function\s+(\w+)\s*\([^)]*\)/g);
-        if (methodMatches) {
-            for (const match of methodMatches) {
-                const nameMatch = match.match(/function\s+(\w+)/);
-                if (nameMatch) {
-                    methods.push({
-                        name: nameMatch[1],
-                        visibility: match.includes('public') ? 'public' : match.includes('private') ? 'private' : 'protected',
-                        signature: match,
-                        static: match.includes('static')
-                    });
-                }
-            }
+    /**
+     * The project's Python modules as `{ dotted: { file, content } }`
+     * (`blog/views/__init__.py` is `blog.views`). Virtualenvs, hidden and
+     * cache directories and migrations are skipped.
+     */
+    async readPythonModules() {
+        const files = await this.scanner.walk('.', {
+            skipDirectory: name => name.startsWith('.') || PYTHON_SKIPPED_DIRECTORIES.includes(name),
+            skipContents: (entries, dirPath) => dirPath !== '.' && entries.some(entry => entry.name === 'pyvenv.cfg'),
+            accept: name => name.endsWith('.py')
+        });
+
+        const candidates = [];
+        for (const file of files) {
+            const parts = file.slice(0, -'.py'.length).split(path.sep);
+            if (parts[parts.length - 1] === '__init__') parts.pop();
+            if (parts.length > 0 && parts.every(part => /^[A-Za-z_]\w*$/.test(part))) candidates.push({ file, name: parts.join('.') });
         }
-        return methods;
+
+        const contents = await this.scanner.map(candidates, ({ file }) => fs.readFile(path.join(this.projectRoot, file), 'utf8').catch(error => {
+            console.warn(`Error reading ${file}:`, error.message);
+            return null;
+        }));
+        const modules = {};
+        candidates.forEach(({ file, name }, index) => {
+            if (contents[index] !== null) modules[name] = { file, content: contents[index] };
+        });
+        return modules;
     }
 
-    extractPhpExtends(content) {
-        const extendsMatch = content.match(/class\s+\w+\s+extends\s+([^\s{]+)/);
-        return extendsMatch ? extendsMatch[1] : null;
+    /**
+     * The project's JavaScript and TypeScript modules as `{ file: content }`
+     * keyed by project-relative path. Dependencies, build output, hidden
+     * directories and type declarations are skipped.
+     */
+    async readJsModules() {
+        const files = await this.scanner.walk('.', {
+            skipDirectory: name => name.startsWith('.') || JS_SKIPPED_DIRECTORIES.includes(name),
+            accept: name => /\.[cm]?[jt]sx?$/.test(name) && !/\.d\.[cm]?ts$|\.min\.js$/.test(name)
+        });
+
+        const contents = await this.scanner.map(files, file => fs.readFile(path.join(this.projectRoot, file), 'utf8').catch(error => {
+            console.warn(`Error reading ${file}:`, error.message);
+            return null;
+        }));
+        const modules = {};
+        files.forEach((file, index) => {
+            if (contents[index] !== null) modules[file] = contents[index];
+        });
+        return modules;
     }
 
-    extractPhpTraits(content) {
-        const traits = [];
-        const traitMatches = content.match(/use\s+([^;]+);/g);
-        if (traitMatches) {
-            for (const match of traitMatches) {
-                const traitName = match.replace(/use\s+/, '').replace(';', '').trim();
-                if (traitName && !traitName.includes('\\Http\\') && !traitName.includes('function') && traitName.includes('\\')) {
-                    traits.push(traitName);
-                }
+    // Requirement files and pyproject.toml dependencies as `{ packages: { name: { requirement, file } } }`
+    async readPythonDependencies() {
+        const dependencies = { packages: {}, files: [] };
+        const requirementFiles = ['requirements.txt', ...await this.listFiles('requirements', '.txt')];
+
+        for (const file of requirementFiles) {
+            if (!(await this.fileExists(file))) continue;
+            dependencies.files.push(file);
+            const content = await fs.readFile(path.join(this.projectRoot, file), 'utf8');
+            for (const line of content.split('\n')) {
+                const requirement = this.parsePythonRequirement(line.replace(/\s#.*$|^#.*$/, ''));
+                if (requirement && !dependencies.packages[requirement.name]) dependencies.packages[requirement.name] = { ...requirement, file };
             }
         }
-        return traits;
-    }
 
-    extractPhpUses(content) {
-        const uses = [];
-        const useMatches = content.match(/^use\s+([^;]+);/gm);
-        if (useMatches) {
-            for (const match of useMatches) {
-                const useName = match.replace(/use\s+/, '').replace(';', '').trim();
-                if (useName && useName.includes('\\')) {
-                    uses.push(useName);
-                }
+        if (await this.fileExists('pyproject.toml')) {
+            const content = await fs.readFile(path.join(this.projectRoot, 'pyproject.toml'), 'utf8');
+            dependencies.files.push('pyproject.toml');
+            // PEP 621 `dependencies = [...]`
+            const list = content.match(/^dependencies\s*=\s*\[([\s\S]*?)\]/m);
+            for (const item of list ? list[1].matchAll(/["']([^"']+)["']/g) : []) {
+                const requirement = this.parsePythonRequirement(item[1]);
+                if (requirement && !dependencies.packages[requirement.name]) dependencies.packages[requirement.name] = { ...requirement, file: 'pyproject.toml' };
+            }
+            // Poetry's [tool.poetry.dependencies] table
+            const poetry = content.match(/^\[tool\.poetry\.dependencies\]\s*\n([\s\S]*?)(?=^\[|(?![\s\S]))/m);
+            for (const item of poetry ? poetry[1].matchAll(/^([\w.-]+)\s*=\s*(?:["']([^"']*)["']|\{[^}]*version\s*=\s*["']([^"']*)["'])/gm) : []) {
+                if (item[1].toLowerCase() === 'python' || dependencies.packages[item[1].toLowerCase()]) continue;
+                dependencies.packages[item[1].toLowerCase()] = { name: item[1].toLowerCase(), requirement: item[2] || item[3] || '*', file: 'pyproject.toml' };
             }
         }
-        return uses;
+
+        return dependencies;
+    }
+
+    // "Django[argon2]>=4.2,<5.0 ; python_version >= '3.10'" -> { name: 'django', requirement: '>=4.2,<5.0', extras }
+    parsePythonRequirement(line) {
+        const match = line.trim().match(/^([A-Za-z0-9][\w.-]*)\s*(?:\[([^\]]*)\])?\s*([^;]*)/);
+        if (!match || /^-/.test(line.trim())) return null;
+        const requirement = { name: match[1].toLowerCase().replace(/_/g, '-'), requirement: match[3].trim() || '*' };
+        if (match[2]) requirement.extras = match[2].split(',').map(extra => extra.trim());
+        return requirement;
+    }
+
+    /**
+     * Project-relative paths of every file in the project, skipping hidden
+     * directories (and the schemas written to `.taskmaster/`), dependencies
+     * and build output.
+     */
+    listProjectFiles() {
+        return this.scanner.walk('.', {
+            skipDirectory: name => name.startsWith('.') || GENERIC_SKIPPED_DIRECTORIES.includes(name)
+        });
+    }
+
+    // Recursively lists project-relative paths of files under dirPath ending with extension
+    listFiles(dirPath, extension = '') {
+        return this.scanner.walk(dirPath, { accept: name => name.endsWith(extension) });
     }
 
     extractPhpNamespace(content) {
@@ -698,68 +3714,249 @@ class TaskMasterSchemaGenerator {
         return namespaceMatch ? namespaceMatch[1].trim() : null;
     }
 
-    async parsePhpConfig(configPath) {
+    /**
+     * Parses every config/*.php file, keyed by its config name (`database`,
+     * `services`, `auth/guards` for nested files). env() calls resolve against
+     * .env.example only and credentials are redacted.
+     */
+    async parseLaravelConfig() {
+        const configuration = {};
+        let envExample = '';
         try {
-            if (await this.fileExists(configPath)) {
-                const content = await fs.readFile(path.join(this.projectRoot, configPath), 'utf8');
-                // Basic parsing of PHP config array
-                return {
-                    file: configPath,
-                    content: content.substring(0, 1000), // First 1KB only
-                    parsed: 'PHP config parsing not fully implemented'
-                };
+            envExample = await fs.readFile(path.join(this.projectRoot, '.env.example'), 'utf8');
+        } catch {
+            // env() references then resolve to their defaults
+        }
+
+        const parser = new PhpConfigParser(envExample);
+        // env() references resolve against .env.example, so its content is part of every result
+        const cacheKey = `PhpConfigParser:${contentHash(envExample)}`;
+        try {
+            const files = await this.listFiles('config', '.php');
+            const parsed = await this.scanner.map(files, file => this.parsePhpConfig(file, parser, cacheKey));
+            files.forEach((file, index) => {
+                configuration[path.relative('config', file).replace(/\.php$/, '').split(path.sep).join('/')] = parsed[index];
+            });
+        } catch (error) {
+            console.warn('Error reading config directory:', error.message);
+            configuration.error = error.message;
+        }
+        return configuration;
+    }
+
+    async parsePhpConfig(configPath, parser = new PhpConfigParser(), cacheKey = 'PhpConfigParser') {
+        try {
+            return { file: configPath, ...await this.cache.parse(configPath, cacheKey, content => parser.parse(content)) };
+        } catch (error) {
+            console.warn(`Error parsing ${configPath}:`, error.message);
+            return { file: configPath, error: error.message };
+        }
+    }
+
+    // Title and version from composer.json, server URL from APP_URL
+    async readOpenApiInfo(framework = null) {
+        const info = { title: path.basename(this.projectRoot), version: '1.0.0' };
+        try {
+            if (await this.fileExists('composer.json')) {
+                const composer = JSON.parse(await fs.readFile(path.join(this.projectRoot, 'composer.json'), 'utf8'));
+                if (composer.name) info.title = composer.name;
+                if (composer.version) info.version = composer.version;
+                if (composer.description) info.description = composer.description;
+            } else if (framework && framework.type === 'express' && await this.fileExists('package.json')) {
+                const pkg = JSON.parse(await fs.readFile(path.join(this.projectRoot, 'package.json'), 'utf8'));
+                if (pkg.name) info.title = pkg.name;
+                if (pkg.version) info.version = pkg.version;
+                if (pkg.description) info.description = pkg.description;
             }
         } catch (error) {
-            return { error: error.message };
+            console.warn(`Could not read the project manifest: ${error.message}`);
         }
-        return {};
+
+        const serverUrl = await this.readEnvValue('APP_URL');
+        if (serverUrl) info.serverUrl = serverUrl;
+        return info;
     }
 
-    async saveSchemas(schemas) {
+    /**
+     * Writes the schemas to current/, snapshots them as a new version, applies
+     * the retention policy to the versions and logs the run. The version's
+     * metadata and history entry record the git commit the schemas were read
+     * from, what triggered the run and how they differ from the previous
+     * current/. Returns the new version, its changes and what retention
+     * removed and compressed.
+     */
+    async saveSchemas(schemas, formats = ['yaml'], { triggerContext = 'manual', taskId = null } = {}) {
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const policy = await this.readRetentionPolicy();
+
+        const git = await this.readGitState();
+        schemas.metadata = {
+            ...schemas.metadata,
+            ...(git ? { git } : {}),
+            trigger: { context: triggerContext, ...(taskId !== null && taskId !== undefined ? { taskId: String(taskId) } : {}) }
+        };
+
+        const previous = await this.loadCurrentSchemas();
+        const diff = previous ? new SchemaDiffer().diff(previous, schemas) : null;
+        const changes = diff ? { total: diff.summary.total, breaking: diff.summary.breaking } : null;
+
+        // A project's own OpenAPI document goes into the version too, so restoring it does not read today's copy
+        const files = {};
+        if (schemas.api && schemas.api.openapi) {
+            files['openapi.yaml'] = await fs.readFile(path.join(this.projectRoot, schemas.api.openapi), 'utf8');
+        }
+        await this.writeCurrentSchemas(schemas, formats, { openapiDocument: files['openapi.yaml'] });
+
+        // Save version
+        const version = `v${timestamp}`;
+        await this.versionStore.save(version, schemas, files);
+        const retention = await this.versionStore.prune(policy);
+
+        await this.logHistory({
+            timestamp,
+            version,
+            framework: schemas.metadata && schemas.metadata.framework,
+            schemas: Object.keys(schemas).filter(key => key !== 'metadata'),
+            ...(git ? { git } : {}),
+            trigger: schemas.metadata.trigger,
+            ...(changes ? { changes } : {}),
+            changeLog: this.describeGeneration(changes, git, schemas.metadata.trigger),
+            ...(retention.removed.length > 0 ? { pruned: retention.removed } : {})
+        }, policy.history);
+
+        return {
+            version,
+            changes,
+            retention: { kept: retention.kept.length, removed: retention.removed, compressed: retention.compressed }
+        };
+    }
+
+    // "2 structural changes (1 breaking) at 1a2b3c4 on main plus uncommitted changes for task 12 (task-completion)"
+    describeGeneration(changes, git, trigger) {
+        let summary = 'First schema generation';
+        if (changes) {
+            summary = changes.total === 0
+                ? 'No structural changes'
+                : `${changes.total} structural ${changes.total === 1 ? 'change' : 'changes'}${changes.breaking > 0 ? ` (${changes.breaking} breaking)` : ''}`;
+        }
+        if (git) {
+            summary += ` at ${git.commit.slice(0, 7)}${git.branch ? ` on ${git.branch}` : ''}${git.dirty ? ' plus uncommitted changes' : ''}`;
+        }
+        return `${summary}${trigger.taskId ? ` for task ${trigger.taskId}` : ''} (${trigger.context})`;
+    }
+
+    /**
+     * The commit, branch (null when detached) and whether the project has
+     * uncommitted changes, or null outside a git checkout or one without
+     * commits. Changes under .taskmaster/ do not count, since every run
+     * writes its schemas there.
+     */
+    async readGitState() {
+        const git = async args => (await execAsync(`git ${args}`, { cwd: this.projectRoot })).stdout.trim();
+        try {
+            const commit = await git('rev-parse HEAD');
+            const branch = await git('rev-parse --abbrev-ref HEAD');
+            const status = await git('status --porcelain -- . ":(exclude).taskmaster"');
+            return { commit, branch: branch === 'HEAD' ? null : branch, dirty: status !== '' };
+        } catch {
+            return null;
+        }
+    }
+
+    // history/changes.yml, latest first, optionally only the entries for one Task Master task
+    async readHistory({ taskId = null } = {}) {
+        let history = [];
+        try {
+            history = yaml.load(await fs.readFile(path.join(this.historyDir, 'changes.yml'), 'utf8')) || [];
+        } catch {
+            // No runs logged yet
+        }
+        if (taskId === null || taskId === undefined) return history;
+        return history.filter(entry => entry.trigger && String(entry.trigger.taskId) === String(taskId));
+    }
+
+    /**
+     * The files of current/: every schema in the selected formats, the JSON
+     * Schemas, ER diagrams, OpenAPI and metadata. `openapiDocument` is the
+     * source of the project's own OpenAPI document when the API schema names
+     * one; without it the file is read from the project.
+     */
+    async writeCurrentSchemas(schemas, formats = ['yaml'], { openapiDocument = null } = {}) {
+        // Schemas the previous run or version had but these lack, such as after a framework change
+        for (const file of await fs.readdir(this.currentDir)) {
+            const match = file.match(/^(.+)-schema\.(\w+)$/);
+            if (match && Object.values(SCHEMA_FORMATS).includes(match[2]) && !schemas[match[1]]) {
+                await fs.rm(path.join(this.currentDir, file), { force: true });
+            }
+        }
 
-        // Save current schemas
         for (const [name, schema] of Object.entries(schemas)) {
-            if (name !== 'metadata') {
-                const yamlContent = yaml.dump(schema, {
-                    lineWidth: 120,
-                    noCompatMode: true,
-                    sortKeys: false,
-                    flowLevel: 3
-                });
-                await fs.writeFile(path.join(this.currentDir, `${name}-schema.yml`), yamlContent);
+            if (name === 'metadata') continue;
+            for (const [format, extension] of Object.entries(SCHEMA_FORMATS)) {
+                const file = path.join(this.currentDir, `${name}-schema.${extension}`);
+                if (formats.includes(format)) {
+                    await fs.writeFile(file, this.renderSchema(name, schema, format, schemas.metadata));
+                } else {
+                    // A format written by an earlier run would otherwise go stale
+                    await fs.rm(file, { force: true });
+                }
+            }
+        }
+
+        // JSON output names the JSON Schema it follows, so publish them alongside
+        if (formats.includes('json')) {
+            const jsonSchemaDir = path.join(this.schemaDir, JSON_SCHEMA_DIRECTORY);
+            await fs.mkdir(jsonSchemaDir, { recursive: true });
+            for (const [name, jsonSchema] of Object.entries(JSON_SCHEMAS)) {
+                await fs.writeFile(path.join(jsonSchemaDir, `${name}.schema.json`), `${JSON.stringify(jsonSchema, null, 2)}\n`);
             }
         }
 
+        // Save ER diagrams next to the database schema
+        if (schemas.database && schemas.database.tables) {
+            const graph = new RelationshipGraphBuilder();
+            await fs.writeFile(path.join(this.currentDir, 'database-erd.mmd'), graph.toMermaid(schemas.database));
+            await fs.writeFile(path.join(this.currentDir, 'database-erd.dot'), graph.toDot(schemas.database));
+        }
+
+        // Save the OpenAPI document next to the API schema
+        if (schemas.api && schemas.api.openapi) {
+            // A project's own document is kept as written rather than rebuilt from its routes
+            const document = yaml.load(openapiDocument !== null
+                ? openapiDocument
+                : await fs.readFile(path.join(this.projectRoot, schemas.api.openapi), 'utf8'));
+            await fs.writeFile(path.join(this.currentDir, 'openapi.yaml'), yaml.dump(document, {
+                lineWidth: 120,
+                noCompatMode: true,
+                noRefs: true,
+                sortKeys: false
+            }));
+        } else if (schemas.api && Array.isArray(schemas.api.routes)) {
+            const document = new OpenApiBuilder().build(schemas, await this.readOpenApiInfo(schemas.metadata && schemas.metadata.framework));
+            await fs.writeFile(path.join(this.currentDir, 'openapi.yaml'), yaml.dump(document, {
+                lineWidth: 120,
+                noCompatMode: true,
+                noRefs: true,
+                sortKeys: false
+            }));
+        }
+
         // Save metadata
         const metadataYaml = yaml.dump(schemas.metadata, {
             lineWidth: 120,
-            noCompatMode: true
+            noCompatMode: true,
+            noRefs: true
         });
         await fs.writeFile(path.join(this.currentDir, 'metadata.yml'), metadataYaml);
-
-        // Save version
-        const versionDir = path.join(this.versionsDir, `v${timestamp}`);
-        await fs.mkdir(versionDir, { recursive: true });
-        for (const [name, schema] of Object.entries(schemas)) {
-            const yamlContent = yaml.dump(schema, {
-                lineWidth: 120,
-                noCompatMode: true,
-                sortKeys: false,
-                flowLevel: 3
-            });
-            await fs.writeFile(path.join(versionDir, `${name}.yml`), yamlContent);
+        if (formats.includes('json')) {
+            await fs.writeFile(path.join(this.currentDir, 'metadata.json'), this.renderSchema('metadata', schemas.metadata, 'json'));
+        } else {
+            await fs.rm(path.join(this.currentDir, 'metadata.json'), { force: true });
         }
+    }
 
-        // Log history
-        const historyEntry = {
-            timestamp,
-            version: `v${timestamp}`,
-            framework: schemas.metadata && schemas.metadata.framework,
-            schemas: Object.keys(schemas).filter(key => key !== 'metadata'),
-            changeLog: 'Schema generation completed successfully'
-        };
-
+    // Adds an entry to history/changes.yml, keeping the newest `limit` entries
+    async logHistory(historyEntry, limit = DEFAULT_RETENTION.history) {
         const historyFile = path.join(this.historyDir, 'changes.yml');
         let history = [];
         try {
@@ -770,15 +3967,61 @@ class TaskMasterSchemaGenerator {
         }
 
         history.unshift(historyEntry);
-        // Keep only last 50 entries
-        history = history.slice(0, 50);
+        history = history.slice(0, limit);
 
         await fs.writeFile(historyFile, yaml.dump(history, {
             lineWidth: 120,
-            noCompatMode: true
+            noCompatMode: true,
+            noRefs: true
         }));
     }
 
+    /**
+     * The version retention policy: DEFAULT_RETENTION with the
+     * `schemaGeneration.retention` settings of `.taskmaster/config.json`
+     * over it. Settings that are not whole numbers of zero or more are
+     * ignored with a warning.
+     */
+    async readRetentionPolicy() {
+        let settings = {};
+        try {
+            const config = JSON.parse(await fs.readFile(path.join(this.projectRoot, '.taskmaster', 'config.json'), 'utf8'));
+            settings = (config.schemaGeneration && config.schemaGeneration.retention) || {};
+        } catch {
+            // No Task Master config, or one that cannot be read: the defaults apply
+        }
+
+        const policy = { ...DEFAULT_RETENTION };
+        for (const [key, value] of Object.entries(settings)) {
+            if (!Object.prototype.hasOwnProperty.call(DEFAULT_RETENTION, key)) {
+                console.warn(`Unknown schema retention setting ignored: ${key}`);
+            } else if (!Number.isInteger(value) || value < 0) {
+                console.warn(`Schema retention setting ${key} must be a whole number of 0 or more, got ${JSON.stringify(value)}`);
+            } else {
+                policy[key] = value;
+            }
+        }
+        return policy;
+    }
+
+    // One schema in an output format; JSON names its JSON Schema relative to the current/ directory
+    renderSchema(name, schema, format, metadata = {}) {
+        if (format === 'json') {
+            return `${JSON.stringify({ $schema: `../${JSON_SCHEMA_DIRECTORY}/${name}.schema.json`, ...schema }, null, 2)}\n`;
+        }
+        if (format === 'markdown') {
+            return new SchemaMarkdownRenderer().render(name, schema, metadata);
+        }
+        return yaml.dump(schema, {
+            lineWidth: 120,
+            noCompatMode: true,
+            // Schemas share column lists and other objects; YAML readers should not have to follow &ref/*ref aliases
+            noRefs: true,
+            sortKeys: false,
+            flowLevel: 3
+        });
+    }
+
     async getSchemaInfo() {
         try {
             const metadataPath = path.join(this.currentDir, 'metadata.yml');
@@ -787,13 +4030,19 @@ class TaskMasterSchemaGenerator {
 
             const versions = await this.listSchemaVersions();
             const schemas = await fs.readdir(this.currentDir);
-            const availableSchemas = schemas.filter(file => file.endsWith('-schema.yml')).map(file => file.replace('-schema.yml', ''));
+            const outputs = schemas
+                .map(file => file.match(/^(.+)-schema\.(\w+)$/))
+                .filter(match => match && Object.values(SCHEMA_FORMATS).includes(match[2]));
+            const availableSchemas = [...new Set(outputs.map(match => match[1]))];
+            const formats = Object.keys(SCHEMA_FORMATS).filter(format => outputs.some(match => match[2] === SCHEMA_FORMATS[format]));
 
             return {
                 success: true,
                 current: metadata,
                 availableSchemas,
+                formats,
                 versions: versions.slice(0, 10), // Last 10 versions
+                versionCount: versions.length,
                 location: this.schemaDir
             };
         } catch (error) {
@@ -806,12 +4055,238 @@ class TaskMasterSchemaGenerator {
     }
 
     async listSchemaVersions() {
+        return (await this.versionStore.list()).map(entry => entry.version); // Latest first
+    }
+
+    /**
+     * Rolls current/ back to a saved version (see SchemaVersionStore.resolve
+     * for how it can be named), written in `formats` or else the formats
+     * current/ has now. The version itself is kept as it is; the restore is
+     * logged in the history and recorded in the metadata.
+     */
+    async restoreSchemaVersion(versionId, { formats = null } = {}) {
+        const version = await this.versionStore.resolve(versionId);
+        const schemas = await this.versionStore.read(version);
+        if (!schemas.metadata) throw new Error(`Schema version ${version} has no metadata`);
+
+        if (!formats) {
+            const info = await this.getSchemaInfo();
+            formats = info.success && info.formats.length > 0 ? info.formats : ['yaml'];
+        }
+        const unknownFormats = formats.filter(format => !SCHEMA_FORMATS[format]);
+        if (unknownFormats.length > 0) {
+            throw new Error(`Unknown schema format: ${unknownFormats.join(', ')} (expected ${Object.keys(SCHEMA_FORMATS).join(', ')})`);
+        }
+
+        let openapiDocument = null;
+        if (schemas.api && schemas.api.openapi) {
+            openapiDocument = await this.versionStore.readFile(version, 'openapi.yaml');
+            if (openapiDocument === null) {
+                console.warn(`Schema version ${version} has no copy of ${schemas.api.openapi}; current/openapi.yaml is written from the project's copy`);
+            }
+        }
+
+        const restoredAt = new Date().toISOString();
+        schemas.metadata = { ...schemas.metadata, restoredFrom: version, restoredAt };
+        await this.ensureDirectories();
+        await this.writeCurrentSchemas(schemas, formats, { openapiDocument });
+
+        const policy = await this.readRetentionPolicy();
+        const git = await this.readGitState();
+        await this.logHistory({
+            timestamp: restoredAt.replace(/[:.]/g, '-'),
+            version,
+            framework: schemas.metadata.framework,
+            schemas: Object.keys(schemas).filter(key => key !== 'metadata'),
+            ...(git ? { git } : {}),
+            trigger: { context: 'restore' },
+            changeLog: `Restored ${version} to current`
+        }, policy.history);
+
+        return {
+            success: true,
+            version,
+            generatedAt: schemas.metadata.generatedAt,
+            schemas: Object.keys(schemas).filter(key => key !== 'metadata'),
+            formats,
+            location: this.currentDir
+        };
+    }
+
+    /**
+     * Structural diff between two sets of schemas, each named as `current`
+     * (the schemas in current/), `project` (read from the project now, not
+     * saved) or a saved version. By default it shows what changed in the
+     * project since the schemas were last generated or restored.
+     */
+    async diffSchemas({ from = 'current', to = 'project' } = {}) {
+        const before = await this.loadSchemaSource(from);
+        const after = await this.loadSchemaSource(to);
+        return {
+            from: before.source,
+            to: after.source,
+            ...new SchemaDiffer().diff(before.schemas, after.schemas)
+        };
+    }
+
+    // `{ source: { name, generatedAt }, schemas }` for a diffSchemas side
+    async loadSchemaSource(name) {
+        let schemas;
+        if (name === 'project') {
+            schemas = await this.readSchemas();
+        } else if (name === 'current') {
+            schemas = await this.loadCurrentSchemas();
+            if (!schemas) throw new Error(`No schemas in ${this.currentDir} yet; generate them first`);
+        } else {
+            name = await this.versionStore.resolve(name);
+            schemas = await this.versionStore.read(name);
+        }
+        return { source: { name, generatedAt: (schemas.metadata && schemas.metadata.generatedAt) || null }, schemas };
+    }
+
+    // A saved version's YAML documents, all of them or only `schemaName`'s
+    async showSchemaVersion(versionId, schemaName = null) {
+        const version = await this.versionStore.resolve(versionId);
+        const entry = (await this.versionStore.list()).find(candidate => candidate.version === version);
+        let documents = await this.versionStore.readFiles(version);
+        if (schemaName) {
+            if (!documents[schemaName]) {
+                throw new Error(`Schema version ${version} has no ${schemaName} schema (it has ${Object.keys(documents).join(', ')})`);
+            }
+            documents = { [schemaName]: documents[schemaName] };
+        }
+        return { ...entry, documents };
+    }
+
+    // The current schemas keyed by name, read from JSON output when there is some, else YAML; null before the first run
+    async loadCurrentSchemas() {
+        let schemas;
         try {
-            const versions = await fs.readdir(this.versionsDir);
-            return versions.sort().reverse(); // Latest first
+            schemas = { metadata: yaml.load(await fs.readFile(path.join(this.currentDir, 'metadata.yml'), 'utf8')) };
         } catch {
-            return [];
+            return null;
         }
+
+        for (const file of await fs.readdir(this.currentDir)) {
+            const match = file.match(/^(.+)-schema\.(json|yml)$/);
+            if (!match || (match[2] === 'yml' && schemas[match[1]])) continue;
+            const content = await fs.readFile(path.join(this.currentDir, file), 'utf8');
+            if (match[2] === 'json') {
+                const { $schema, ...schema } = JSON.parse(content);
+                schemas[match[1]] = schema;
+            } else {
+                schemas[match[1]] = yaml.load(content);
+            }
+        }
+        return schemas;
+    }
+
+    /**
+     * A task from Task Master's `.taskmaster/tasks/tasks.json`, by ID or by
+     * `parent.subtask` ID. Tagged task lists are searched under the current
+     * tag from `.taskmaster/state.json` first, then under every other tag.
+     */
+    async readTaskmasterTask(taskId) {
+        const tasksFile = path.join(this.projectRoot, '.taskmaster', 'tasks', 'tasks.json');
+        let data;
+        try {
+            data = JSON.parse(await fs.readFile(tasksFile, 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot read Task Master tasks from ${tasksFile}: ${error.message}`);
+        }
+
+        let currentTag = 'master';
+        try {
+            currentTag = JSON.parse(await fs.readFile(path.join(this.projectRoot, '.taskmaster', 'state.json'), 'utf8')).currentTag || currentTag;
+        } catch {
+            // No state file: Task Master's default tag
+        }
+        const lists = Array.isArray(data.tasks)
+            ? [data.tasks]
+            : Object.entries(data)
+                .sort(([a], [b]) => (b === currentTag) - (a === currentTag))
+                .map(([, tag]) => (tag && Array.isArray(tag.tasks) ? tag.tasks : []));
+
+        const [parentId, subtaskId] = String(taskId).split('.');
+        for (const tasks of lists) {
+            const task = tasks.find(candidate => String(candidate.id) === parentId);
+            if (!task) continue;
+            if (subtaskId === undefined) return task;
+
+            const subtask = (task.subtasks || []).find(candidate => String(candidate.id) === subtaskId);
+            // A subtask is read with its parent's description, which usually names what the subtask works on
+            if (subtask) return { ...subtask, id: `${parentId}.${subtaskId}`, details: [subtask.details, task.title, task.description].filter(Boolean).join('\n') };
+        }
+        throw new Error(`Task ${taskId} not found in ${tasksFile}`);
+    }
+
+    /**
+     * A token-budgeted digest of the current schemas' tables, routes, models
+     * and services for an agent, ranked by relevance to a Task Master task
+     * and/or files. Schemas are generated first when there are none yet.
+     */
+    async buildContextPack({ taskId = null, files = [], tokenBudget = DEFAULT_TOKEN_BUDGET } = {}) {
+        let schemas = await this.loadCurrentSchemas();
+        if (!schemas) {
+            await this.generateSchemas(null, { triggerContext: 'context-pack', taskId });
+            schemas = await this.loadCurrentSchemas();
+        }
+
+        const task = taskId !== null && taskId !== undefined && taskId !== '' ? await this.readTaskmasterTask(taskId) : null;
+        return new ContextPackBuilder().build(schemas, {
+            task,
+            files: files.map(file => (path.isAbsolute(file) ? path.relative(this.projectRoot, file) : file)),
+            tokenBudget,
+            project: path.basename(this.projectRoot)
+        });
+    }
+
+    /**
+     * Checks Laravel migrations for changes that lose data or break the code
+     * running during a deploy. By default it checks the migrations added
+     * since the database schema was last generated (every migration before
+     * the first run); `files` names migrations instead and `all` checks
+     * every one. Fails on errors, or on warnings too when `strict`.
+     */
+    async lintMigrations({ files = [], all = false, strict = false } = {}) {
+        const framework = await this.detectFramework();
+        if (framework.type !== 'laravel') {
+            throw new Error(`Migration linting reads Laravel migrations; this project was detected as ${framework.type}`);
+        }
+
+        const migrations = [];
+        const paths = (await this.scanner.walk('database/migrations', { skipDirectory: () => true, accept: name => name.endsWith('.php') }))
+            .sort((a, b) => (path.basename(a) < path.basename(b) ? -1 : 1));
+        for (const file of paths) {
+            const content = await fs.readFile(path.join(this.projectRoot, file), 'utf8');
+            migrations.push({ ...this.parseMigrationFile(content, path.basename(file)), file, content });
+        }
+
+        // As in scanLaravelMigrations, a schema dump stands in for the migrations it squashed
+        const dump = await this.loadLaravelSchemaDump();
+        const squashed = new Set(dump ? dump.migrations : []);
+        const pending = migrations.filter(migration => !squashed.has(migration.filename.replace(/\.php$/, '')));
+
+        let since = null;
+        let targets;
+        if (files.length > 0) {
+            const names = files.map(file => path.basename(file).replace(/(\.php)?$/, '.php'));
+            const unknown = names.filter(name => !migrations.some(migration => migration.filename === name));
+            if (unknown.length > 0) throw new Error(`Not found in database/migrations: ${unknown.join(', ')}`);
+            targets = new Set(names);
+        } else if (all) {
+            targets = new Set(pending.map(migration => migration.filename));
+        } else {
+            const schemas = await this.loadCurrentSchemas();
+            const known = new Set((schemas && schemas.database && schemas.database.migrations) || []);
+            since = (schemas && schemas.metadata && schemas.metadata.generatedAt) || null;
+            targets = new Set(pending.map(migration => migration.filename).filter(name => !known.has(name)));
+        }
+
+        return {
+            since,
+            ...new MigrationSafetyLinter(dump ? dump.tables : {}).lint(pending, { targets, strict })
+        };
     }
 }
 
@@ -827,17 +4302,60 @@ Task Master AI Schema Generator
 Usage:
   node schema-generator.mjs generate [options]     Generate schemas for current project
   node schema-generator.mjs info [options]        Show schema information
+  node schema-generator.mjs context-pack [options] Print a token-budgeted schema digest for a task
+  node schema-generator.mjs show [version]        List saved versions, or print one version's schemas
+  node schema-generator.mjs restore <version>     Roll current schemas back to a saved version
+  node schema-generator.mjs diff [options]        List structural changes, breaking ones first
+  node schema-generator.mjs lint-migrations [options] Flag risky changes in new Laravel migrations
+  node schema-generator.mjs log [options]         Show which commit and task produced each schema change
   node schema-generator.mjs --help               Show this help
 
 Options:
   --project <path>    Project root directory (default: current directory)
-  --framework <type>  Force framework detection (laravel, rails, django, express)
+  --framework <type>  Force framework detection (laravel, symfony, rails, django, express)
   --force            Force regeneration even if recent schemas exist
+  --no-cache         Reparse every source file instead of reusing unchanged files' results
+  --concurrency <n>  Files read and parsed at once (default: 16)
+  --max-files <n>    Most source files one run takes in (default: 20000)
+  --include-content  Keep the first 5KB of each file listed under a schema's structure
+  --format <list>    Comma-separated output formats: yaml, json, markdown (default: yaml)
+  --task <id>        Task Master task (or subtask, e.g. 3.2) a context pack is ranked for,
+                     a generation is recorded for, or log entries are filtered by
+  --trigger <context> What started a generation: manual (default), task-completion, build, parse-prd
+  --files <list>     Comma-separated files a context pack ranks first, or migrations to lint
+  --budget <tokens>  Most tokens a context pack takes (default: 4000)
+  --schema <name>    Schema show prints (database, api, businessLogic, componentArchitecture, metadata)
+  --from <schemas>   Diff from current (default), project or a saved version
+  --to <schemas>     Diff to project (default), current or a saved version
+  --json             Print the diff, migration lint or log as JSON
+  --all              Lint every migration, not only those added since the last generate
+  --strict           Fail the migration lint on warnings as well as errors
+
+Versions are named as listed by show, by a prefix only one of them starts with
+(such as a date), or as latest. Which versions are kept is set under
+schemaGeneration.retention in .taskmaster/config.json: keep (newest versions,
+default 10), daily (newest per day, 7), weekly (newest per week, 4),
+compressAfter (versions left uncompressed, 3) and history (log entries, 50).
+
+lint-migrations exits with status 1 when a migration drops a table or column,
+renames one without copying its data, adds a non-nullable column without a
+default to an existing table, or uses ->change() to give a column an unrelated
+or narrower type or make it non-nullable. Missing down() methods, other
+->change() calls and foreign keys without an index are warnings.
+A migration allows a rule with a comment: // migration-lint: allow drop-column
 
 Examples:
   node schema-generator.mjs generate
   node schema-generator.mjs generate --project /path/to/project --framework laravel
+  node schema-generator.mjs generate --format yaml,json,markdown
+  node schema-generator.mjs generate --task 12 --trigger task-completion
   node schema-generator.mjs info --project /path/to/project
+  node schema-generator.mjs context-pack --task 12 --budget 2000
+  node schema-generator.mjs show v2026-10-19 --schema database
+  node schema-generator.mjs restore latest --format yaml,json
+  node schema-generator.mjs diff --from v2026-10-01 --to current
+  node schema-generator.mjs lint-migrations --strict
+  node schema-generator.mjs log --task 12
 `);
         return;
     }
@@ -848,6 +4366,33 @@ Examples:
     const projectRoot = (projectArgIndex !== -1 && args[projectArgIndex + 1]) || '.';
     const framework = (frameworkArgIndex !== -1 && args[frameworkArgIndex + 1]) || null;
     const force = args.includes('--force');
+    const cache = !args.includes('--no-cache');
+    const concurrencyArgIndex = args.indexOf('--concurrency');
+    const maxFilesArgIndex = args.indexOf('--max-files');
+    const concurrency = concurrencyArgIndex !== -1 ? parseInt(args[concurrencyArgIndex + 1], 10) || undefined : undefined;
+    const maxFiles = maxFilesArgIndex !== -1 ? parseInt(args[maxFilesArgIndex + 1], 10) || undefined : undefined;
+    const includeContent = args.includes('--include-content');
+    const formatArgIndex = args.indexOf('--format');
+    const formats = formatArgIndex !== -1 && args[formatArgIndex + 1]
+        ? args[formatArgIndex + 1].split(',').map(format => format.trim()).filter(Boolean)
+        : undefined;
+    const taskArgIndex = args.indexOf('--task');
+    const filesArgIndex = args.indexOf('--files');
+    const budgetArgIndex = args.indexOf('--budget');
+    const taskId = taskArgIndex !== -1 ? args[taskArgIndex + 1] : null;
+    const files = filesArgIndex !== -1 && args[filesArgIndex + 1]
+        ? args[filesArgIndex + 1].split(',').map(file => file.trim()).filter(Boolean)
+        : [];
+    const tokenBudget = budgetArgIndex !== -1 ? parseInt(args[budgetArgIndex + 1], 10) || undefined : undefined;
+    const schemaArgIndex = args.indexOf('--schema');
+    const schemaName = schemaArgIndex !== -1 ? args[schemaArgIndex + 1] : null;
+    const versionId = args[1] && !args[1].startsWith('--') ? args[1] : null;
+    const fromArgIndex = args.indexOf('--from');
+    const toArgIndex = args.indexOf('--to');
+    const diffFrom = (fromArgIndex !== -1 && args[fromArgIndex + 1]) || undefined;
+    const diffTo = (toArgIndex !== -1 && args[toArgIndex + 1]) || undefined;
+    const triggerArgIndex = args.indexOf('--trigger');
+    const triggerContext = (triggerArgIndex !== -1 && args[triggerArgIndex + 1]) || undefined;
 
     const generator = new TaskMasterSchemaGenerator(projectRoot);
 
@@ -859,12 +4404,20 @@ Examples:
                 console.log(`📋 Framework detected: ${detectedFramework.type} ${detectedFramework.version || ''}`);
 
                 console.log('🚀 Generating schemas...');
-                const result = await generator.generateSchemas(framework ? { type: framework } : null);
+                const result = await generator.generateSchemas(framework ? { type: framework } : null, { cache, concurrency, maxFiles, includeContent, formats, triggerContext, taskId });
 
                 if (result.success) {
                     console.log(`✅ Schema generation completed successfully!`);
                     console.log(`📁 Location: ${result.location}`);
-                    console.log(`📊 Generated schemas: ${result.schemas.join(', ')}`);
+                    console.log(`📊 Generated schemas: ${result.schemas.join(', ')} (${result.formats.join(', ')})`);
+                    if (result.cache.enabled) {
+                        console.log(`♻️  Parse cache: ${result.cache.hits} unchanged, ${result.cache.misses} parsed`);
+                    }
+                    console.log(`🗂️  Version ${result.version}: ${result.retention.kept} kept, ${result.retention.removed.length} pruned, ${result.retention.compressed.length} compressed`);
+                    if (result.git) {
+                        console.log(`🔖 Git: ${result.git.commit.slice(0, 7)}${result.git.branch ? ` on ${result.git.branch}` : ''}${result.git.dirty ? ' (uncommitted changes)' : ''}`);
+                    }
+                    console.log(`⏱️  ${result.metrics.scanned} files scanned in ${result.metrics.durationMs}ms (${Object.entries(result.metrics.sections).map(([section, metric]) => `${section} ${metric.durationMs}ms`).join(', ')})`);
                     console.log(`🕒 Timestamp: ${result.timestamp}`);
 
                     // Show schema summary
@@ -873,7 +4426,7 @@ Examples:
                         console.log(`\n📈 Schema Summary:`);
                         console.log(`   Framework: ${info.current.framework.type} ${info.current.framework.version || ''}`);
                         console.log(`   Available schemas: ${info.availableSchemas.length}`);
-                        console.log(`   Version history: ${info.versions.length} versions`);
+                        console.log(`   Version history: ${info.versionCount} versions`);
                     }
                 } else {
                     console.error('❌ Schema generation failed');
@@ -890,7 +4443,8 @@ Examples:
                         console.log(`   Framework: ${info.current.framework.type} ${info.current.framework.version || ''}`);
                         console.log(`   Last generated: ${info.current.generatedAt}`);
                         console.log(`   Available schemas: ${info.availableSchemas.join(', ')}`);
-                        console.log(`   Versions: ${info.versions.length} total`);
+                        console.log(`   Formats: ${info.formats.join(', ')}`);
+                        console.log(`   Versions: ${info.versionCount} total`);
                     } else {
                         console.log('   Status: No schemas generated yet');
                     }
@@ -900,6 +4454,94 @@ Examples:
                 }
                 break;
 
+            case 'context-pack':
+                // The pack alone goes to stdout so it can be piped to an agent
+                const pack = await generator.buildContextPack({ taskId, files, tokenBudget });
+                process.stdout.write(pack.text);
+                console.error(`📦 Context pack: ${pack.tokens}/${pack.tokenBudget} tokens, ${Object.entries(pack.included).map(([section, count]) => `${count} ${section}`).join(', ')}`);
+                break;
+
+            case 'show':
+                if (!versionId) {
+                    const versions = await generator.versionStore.list();
+                    console.log(`🗂️  Schema versions (${versions.length}):`);
+                    for (const entry of versions) {
+                        console.log(`   ${entry.version}  ${entry.createdAt}${entry.compressed ? '  (compressed)' : ''}`);
+                    }
+                    break;
+                }
+                const shown = await generator.showSchemaVersion(versionId, schemaName);
+                for (const [name, document] of Object.entries(shown.documents)) {
+                    console.log(`# ${name} (${shown.version}, ${shown.createdAt})`);
+                    console.log(document);
+                }
+                break;
+
+            case 'restore':
+                if (!versionId) {
+                    console.error('❌ Name the version to restore, e.g. restore latest (show lists them)');
+                    process.exit(1);
+                }
+                const restored = await generator.restoreSchemaVersion(versionId, { formats });
+                console.log(`⏪ Restored ${restored.version} (generated ${restored.generatedAt})`);
+                console.log(`📁 Location: ${restored.location}`);
+                console.log(`📊 Restored schemas: ${restored.schemas.join(', ')} (${restored.formats.join(', ')})`);
+                break;
+
+            case 'diff':
+                const diff = await generator.diffSchemas({ from: diffFrom, to: diffTo });
+                if (args.includes('--json')) {
+                    console.log(JSON.stringify(diff, null, 2));
+                    break;
+                }
+                console.log(`🔀 Schema diff: ${diff.from.name} → ${diff.to.name}`);
+                if (!diff.hasChanges) {
+                    console.log('   No structural changes');
+                    break;
+                }
+                console.log(`   ${diff.summary.total} changes, ${diff.summary.breaking} breaking`);
+                for (const change of [...diff.changes.filter(entry => entry.breaking), ...diff.changes.filter(entry => !entry.breaking)]) {
+                    console.log(`   ${change.breaking ? '⚠️ ' : '  '} ${change.change} ${change.type} ${change.name}: ${change.reason}`);
+                }
+                break;
+
+            case 'lint-migrations':
+                const lint = await generator.lintMigrations({ files, all: args.includes('--all'), strict: args.includes('--strict') });
+                if (args.includes('--json')) {
+                    console.log(JSON.stringify(lint, null, 2));
+                } else {
+                    console.log(`🛡️  Migration lint: ${lint.migrations.length} migrations checked${lint.since ? ` (added since ${lint.since})` : ''}`);
+                    for (const finding of lint.findings) {
+                        const target = [finding.table, finding.column].filter(Boolean).join('.');
+                        console.log(`   ${finding.severity === 'error' ? '❌' : '⚠️ '} ${finding.rule} ${finding.migration}${target ? ` ${target}` : ''}: ${finding.message}`);
+                    }
+                    console.log(`   ${lint.summary.errors} errors, ${lint.summary.warnings} warnings, ${lint.summary.suppressed} allowed by migration-lint comments`);
+                }
+                if (!lint.passed) {
+                    console.error(`❌ Migration lint failed${lint.strict && lint.summary.errors === 0 ? ' (warnings fail in strict mode)' : ''}`);
+                    process.exit(1);
+                }
+                break;
+
+            case 'log':
+                const history = await generator.readHistory({ taskId });
+                if (args.includes('--json')) {
+                    console.log(JSON.stringify(history, null, 2));
+                    break;
+                }
+                console.log(`📜 Schema history (${history.length} ${history.length === 1 ? 'entry' : 'entries'}${taskId ? ` for task ${taskId}` : ''}):`);
+                for (const entry of history) {
+                    const git = entry.git
+                        ? `${entry.git.commit.slice(0, 7)}${entry.git.branch ? ` ${entry.git.branch}` : ''}${entry.git.dirty ? ' (dirty)' : ''}`
+                        : 'no git';
+                    const trigger = entry.trigger
+                        ? `${entry.trigger.taskId ? `task ${entry.trigger.taskId}, ` : ''}${entry.trigger.context}`
+                        : 'unknown trigger';
+                    console.log(`   ${entry.version}  ${git}  ${trigger}`);
+                    console.log(`      ${entry.changeLog}`);
+                }
+                break;
+
             default:
                 console.error(`❌ Unknown command: ${command}`);
                 console.log('Use --help for usage information');
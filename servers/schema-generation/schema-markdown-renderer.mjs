@@ -0,0 +1,276 @@
+/**
+ * Schema Markdown Renderer
+ *
+ * Renders a generated schema as Markdown for people to read: the tables
+ * with their columns, keys and relationships, the routes as a table, the
+ * classes behind each business logic role, and the project layout with
+ * its file counts. Sections that differ per framework (settings,
+ * dependencies, enums) are rendered as nested lists.
+ */
+
+const TITLES = {
+    database: 'Database Schema',
+    api: 'API Schema',
+    businessLogic: 'Business Logic Schema',
+    componentArchitecture: 'Component Architecture Schema'
+};
+
+// Nested lists deeper than this are cut short
+const MAX_DEPTH = 4;
+
+// Longer strings are cut, since a schema's strings can hold whole expressions
+const MAX_TEXT_LENGTH = 120;
+
+class SchemaMarkdownRenderer {
+    /**
+     * Returns the Markdown document of one schema. `metadata` adds when the
+     * schemas were generated.
+     */
+    render(name, schema, metadata = {}) {
+        const lines = [`# ${TITLES[name] || this.heading(name)}`, ''];
+        const about = [];
+        if (schema.framework) about.push(`Framework: **${schema.framework}**`);
+        if (metadata.generatedAt) about.push(`generated ${metadata.generatedAt}`);
+        if (about.length > 0) lines.push(about.join(', '), '');
+        if (schema.error) lines.push(`> **Error:** ${this.text(schema.error)}`, '');
+
+        const handled = new Set(['$schema', 'type', 'framework', 'error']);
+        if (name === 'database') this.renderDatabase(schema, lines, handled);
+        if (name === 'api') this.renderApi(schema, lines, handled);
+        if (name === 'componentArchitecture') this.renderStructure(schema, lines, handled);
+
+        for (const [key, value] of Object.entries(schema)) {
+            if (handled.has(key) || this.isEmpty(value)) continue;
+            lines.push(`## ${this.heading(key)}`, '');
+            if (this.isCollection(value)) {
+                this.renderCollection(value, lines);
+            } else {
+                this.renderValue(value, lines, 0);
+            }
+            lines.push('');
+        }
+
+        return `${lines.join('\n').replace(/\n{3,}/g, '\n\n').trim()}\n`;
+    }
+
+    renderDatabase(schema, lines, handled) {
+        const tables = Object.values(schema.tables || {});
+        lines.push(`## Tables (${tables.length})`, '');
+        for (const table of tables) {
+            lines.push(`### \`${table.name}\``, '');
+            const about = [];
+            if (table.model) about.push(`model \`${table.model}\``);
+            if (table.createdIn) about.push(`created in \`${table.createdIn}\``);
+            if (table.modifiedIn && table.modifiedIn.length > 0) about.push(`modified in ${table.modifiedIn.map(file => `\`${file}\``).join(', ')}`);
+            if (about.length > 0) lines.push(`${about.join(', ').replace(/^./, letter => letter.toUpperCase())}.`, '');
+
+            lines.push('| Column | Type | Nullable | Default | Attributes |', '| --- | --- | --- | --- | --- |');
+            for (const column of Object.values(table.columns || {})) {
+                const attributes = [
+                    column.primary && 'primary',
+                    column.autoIncrement && 'auto increment',
+                    column.unique && 'unique',
+                    column.index && 'index',
+                    column.unsigned && 'unsigned',
+                    column.length && `length ${column.length}`
+                ].filter(Boolean);
+                lines.push(`| ${[
+                    `\`${column.name}\``,
+                    column.sqlType || column.type,
+                    column.nullable ? 'yes' : 'no',
+                    column.default === null || column.default === undefined ? '' : this.scalar(column.default),
+                    attributes.join(', ')
+                ].map(cell => this.cell(cell)).join(' | ')} |`);
+            }
+            lines.push('');
+
+            if (table.foreignKeys && table.foreignKeys.length > 0) {
+                lines.push('Foreign keys:', '');
+                for (const key of table.foreignKeys) {
+                    const actions = [key.onDelete && `on delete ${key.onDelete}`, key.onUpdate && `on update ${key.onUpdate}`].filter(Boolean);
+                    lines.push(`- \`${key.column}\` → \`${key.on}.${key.references}\`${actions.length > 0 ? ` (${actions.join(', ')})` : ''}`);
+                }
+                lines.push('');
+            }
+            if (table.indexes && table.indexes.length > 0) {
+                lines.push('Indexes:', '');
+                for (const tableIndex of table.indexes) {
+                    lines.push(`- ${tableIndex.type} (${(tableIndex.columns || []).map(name => `\`${name}\``).join(', ')})${tableIndex.name ? ` \`${tableIndex.name}\`` : ''}`);
+                }
+                lines.push('');
+            }
+        }
+
+        const relationships = schema.relationships || [];
+        if (relationships.length > 0) {
+            lines.push(`## Relationships (${relationships.length})`, '', '| From | To | Cardinality | Relations |', '| --- | --- | --- | --- |');
+            for (const edge of relationships) {
+                lines.push(`| ${[
+                    `\`${edge.table}.${edge.column}\``,
+                    `\`${edge.referencedTable}${edge.referencedColumn ? `.${edge.referencedColumn}` : ''}\``,
+                    `${edge.cardinality}${edge.polymorphic ? ' (polymorphic)' : ''}`,
+                    (edge.relations || []).join(', ')
+                ].map(cell => this.cell(cell)).join(' | ')} |`);
+            }
+            lines.push('');
+        }
+
+        // Table and relationship sections already show every table's constraints and indexes
+        for (const key of ['tables', 'relationships', 'constraints', 'indexes']) handled.add(key);
+    }
+
+    renderApi(schema, lines, handled) {
+        const routes = schema.routes || [];
+        lines.push(`## Routes (${routes.length})`, '');
+        if (routes.length > 0) {
+            lines.push('| Method | URI | Name | Action | Middleware |', '| --- | --- | --- | --- | --- |');
+            for (const route of routes) {
+                lines.push(`| ${[
+                    route.methods.filter(method => method !== 'HEAD').join(', '),
+                    `\`/${route.uri.replace(/^\//, '')}\``,
+                    route.name || '',
+                    this.action(route.action || {}),
+                    (route.middleware || []).join(', ')
+                ].map(cell => this.cell(cell)).join(' | ')}${route.deprecated ? ' *(deprecated)*' : ''} |`);
+            }
+            lines.push('');
+        }
+        handled.add('routes');
+    }
+
+    // How a route is handled: Controller@method, an OpenAPI operation, a mounted app or a closure
+    action(action) {
+        if (action.controller) return `${action.controller}${action.method ? `@${action.method}` : ''}`;
+        if (action.operationId) return `${action.operationId}${action.summary ? ` (${action.summary})` : ''}`;
+        if (action.uses) return action.uses;
+        if (action.app) return `${action.type} ${action.app}`;
+        return action.type || '';
+    }
+
+    // Layout categories as nested directories with their file counts; file contents are left out
+    renderStructure(schema, lines, handled) {
+        const structure = schema.structure || {};
+        if (Object.keys(structure).length === 0) return;
+        lines.push('## Structure', '');
+        for (const [category, tree] of Object.entries(structure)) {
+            if (!tree || typeof tree !== 'object' || Array.isArray(tree)) {
+                lines.push(`- **${category}**: ${this.scalar(tree)}`);
+                continue;
+            }
+            lines.push(`- **${category}**: ${this.fileCount(tree)}`);
+            this.renderDirectories(tree, lines, 1);
+        }
+        lines.push('');
+        handled.add('structure');
+    }
+
+    renderDirectories(tree, lines, depth) {
+        for (const [name, entry] of Object.entries(tree)) {
+            if (!entry || typeof entry !== 'object' || this.isFileEntry(entry)) continue;
+            lines.push(`${'  '.repeat(depth)}- ${name}/: ${this.fileCount(entry)}`);
+            if (depth < MAX_DEPTH) this.renderDirectories(entry, lines, depth + 1);
+        }
+    }
+
+    fileCount(tree) {
+        const count = this.countFiles(tree);
+        return `${count} ${count === 1 ? 'file' : 'files'}`;
+    }
+
+    countFiles(tree) {
+        return Object.values(tree).reduce((count, entry) => {
+            if (!entry || typeof entry !== 'object') return count;
+            return count + (this.isFileEntry(entry) ? 1 : this.countFiles(entry));
+        }, 0);
+    }
+
+    isFileEntry(entry) {
+        return typeof entry.path === 'string' || typeof entry.error === 'string';
+    }
+
+    // A map of named descriptions (models, services, controllers) that each name their file
+    isCollection(value) {
+        const entries = value && typeof value === 'object' && !Array.isArray(value) ? Object.values(value) : [];
+        return entries.length > 0 && entries.every(entry => entry && typeof entry === 'object' && !Array.isArray(entry) &&
+            (typeof entry.file === 'string' || this.isFileEntry(entry)));
+    }
+
+    renderCollection(collection, lines) {
+        for (const [name, description] of Object.entries(collection)) {
+            const details = [];
+            if (description.path || description.file) details.push(`\`${description.path || description.file}\``);
+            if (description.table) details.push(`table \`${description.table}\``);
+            if (description.error) details.push(`error: ${this.text(description.error)}`);
+            lines.push(`- **${name}**${details.length > 0 ? ` — ${details.join(', ')}` : ''}${description.summary ? `: ${this.text(description.summary)}` : ''}`);
+        }
+    }
+
+    renderValue(value, lines, depth) {
+        const indent = '  '.repeat(depth);
+        if (!value || typeof value !== 'object') {
+            lines.push(`${indent}- ${this.scalar(value)}`);
+            return;
+        }
+        if (depth >= MAX_DEPTH) {
+            lines.push(`${indent}- …`);
+            return;
+        }
+
+        const entries = Array.isArray(value) ? value.map(item => [null, item]) : Object.entries(value);
+        for (const [key, item] of entries) {
+            if (item && typeof item === 'object' && Object.keys(item).length === 0) continue;
+            const label = key === null ? '' : `**${key}**`;
+            if (this.isFlat(item)) {
+                const summary = this.summary(item);
+                lines.push(`${indent}- ${label}${label && summary !== '' ? ': ' : ''}${summary}`);
+            } else {
+                lines.push(`${indent}- ${label || this.text(item.name || item.file || item.path || '')}`.trimEnd());
+                this.renderValue(item, lines, depth + 1);
+            }
+        }
+    }
+
+    // Scalars, lists of scalars and objects holding only those fit on one line
+    isFlat(value) {
+        const isScalarList = item => Array.isArray(item) && item.every(entry => !entry || typeof entry !== 'object');
+        if (!value || typeof value !== 'object' || isScalarList(value)) return true;
+        return !Array.isArray(value) && Object.values(value).every(item => !item || typeof item !== 'object' || isScalarList(item));
+    }
+
+    summary(value) {
+        if (Array.isArray(value)) return value.map(item => this.scalar(item)).join(', ');
+        if (value && typeof value === 'object') {
+            return Object.entries(value).map(([key, item]) => `${key}: ${Array.isArray(item) ? `[${item.map(entry => this.scalar(entry)).join(', ')}]` : this.scalar(item)}`).join(', ');
+        }
+        return this.scalar(value);
+    }
+
+    scalar(value) {
+        if (value === null || value === undefined) return 'null';
+        if (typeof value === 'object') return this.text(JSON.stringify(value));
+        if (typeof value === 'string') return value === '' ? '""' : this.text(value);
+        return String(value);
+    }
+
+    // One line, cut to MAX_TEXT_LENGTH
+    text(value) {
+        const line = String(value).replace(/\s*\n\s*/g, ' ').trim();
+        return line.length > MAX_TEXT_LENGTH ? `${line.slice(0, MAX_TEXT_LENGTH - 1)}…` : line;
+    }
+
+    cell(value) {
+        return String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    }
+
+    isEmpty(value) {
+        if (value === null || value === undefined || value === '') return true;
+        return typeof value === 'object' && Object.keys(value).length === 0;
+    }
+
+    // messageHandlers -> Message Handlers
+    heading(key) {
+        return key.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').replace(/^./, letter => letter.toUpperCase());
+    }
+}
+
+export { SchemaMarkdownRenderer };
@@ -0,0 +1,195 @@
+/**
+ * Schema Version Store
+ *
+ * The snapshots under `.taskmaster/schemas/versions/`: one `v<timestamp>`
+ * directory per generation run holding every schema as YAML, plus the files
+ * current/ copies from the project as they were then. After each
+ * run a retention policy decides which snapshots stay: the newest `keep`,
+ * plus the newest of each of the last `daily` days and `weekly` ISO weeks
+ * that have one (in UTC). Kept snapshots beyond the newest `compressAfter`
+ * have their files gzipped in place. The newest snapshot is never removed.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import yaml from 'js-yaml';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const DEFAULT_RETENTION = {
+    keep: 10,
+    daily: 7,
+    weekly: 4,
+    compressAfter: 3,
+    // Entries kept in history/changes.yml
+    history: 50
+};
+
+// v2026-10-19T14-53-01-123Z, as saveSchemas names them from an ISO timestamp
+const VERSION_PATTERN = /^v(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/;
+
+class SchemaVersionStore {
+    constructor(versionsDir) {
+        this.versionsDir = versionsDir;
+    }
+
+    // Snapshots as `{ version, createdAt, compressed }`, latest first
+    async list() {
+        let names;
+        try {
+            names = await fs.readdir(this.versionsDir);
+        } catch {
+            return [];
+        }
+
+        const versions = [];
+        for (const version of names.filter(name => VERSION_PATTERN.test(name)).sort().reverse()) {
+            const files = await fs.readdir(path.join(this.versionsDir, version));
+            versions.push({
+                version,
+                createdAt: this.createdAt(version).toISOString(),
+                compressed: files.length > 0 && files.every(file => file.endsWith('.gz'))
+            });
+        }
+        return versions;
+    }
+
+    // `files` maps file names to content saved alongside the schemas, such as the project's own OpenAPI document
+    async save(version, schemas, files = {}) {
+        const versionDir = path.join(this.versionsDir, version);
+        await fs.mkdir(versionDir, { recursive: true });
+        for (const [name, schema] of Object.entries(schemas)) {
+            const yamlContent = yaml.dump(schema, {
+                lineWidth: 120,
+                noCompatMode: true,
+                noRefs: true,
+                sortKeys: false,
+                flowLevel: 3
+            });
+            await fs.writeFile(path.join(versionDir, `${name}.yml`), yamlContent);
+        }
+        for (const [name, content] of Object.entries(files)) {
+            await fs.writeFile(path.join(versionDir, name), content);
+        }
+    }
+
+    /**
+     * The snapshot a user named: its full name, the name without its `v`,
+     * a prefix only one snapshot starts with (such as a date), or `latest`.
+     */
+    async resolve(id) {
+        const versions = (await this.list()).map(entry => entry.version);
+        if (versions.length === 0) throw new Error(`No schema versions in ${this.versionsDir}`);
+        if (id === 'latest') return versions[0];
+
+        const name = String(id).startsWith('v') ? String(id) : `v${id}`;
+        if (versions.includes(name)) return name;
+        const matches = versions.filter(version => version.startsWith(name));
+        if (matches.length === 1) return matches[0];
+        if (matches.length > 1) throw new Error(`Schema version ${id} is ambiguous: ${matches.join(', ')}`);
+        throw new Error(`Schema version ${id} not found in ${this.versionsDir}`);
+    }
+
+    // A snapshot's YAML documents keyed by schema name, decompressed
+    async readFiles(version) {
+        const versionDir = path.join(this.versionsDir, version);
+        const documents = {};
+        for (const file of (await fs.readdir(versionDir)).sort()) {
+            const match = file.match(/^(.+)\.yml(\.gz)?$/);
+            if (!match) continue;
+            const content = await fs.readFile(path.join(versionDir, file));
+            documents[match[1]] = (match[2] ? await gunzip(content) : content).toString('utf8');
+        }
+        return documents;
+    }
+
+    // A file saved alongside a snapshot's schemas, decompressed, or null when the snapshot has none
+    async readFile(version, name) {
+        const filePath = path.join(this.versionsDir, version, name);
+        try {
+            return (await fs.readFile(filePath)).toString('utf8');
+        } catch {
+            // Gzipped by the retention policy, or never saved
+        }
+        try {
+            return (await gunzip(await fs.readFile(`${filePath}.gz`))).toString('utf8');
+        } catch {
+            return null;
+        }
+    }
+
+    async read(version) {
+        const documents = await this.readFiles(version);
+        return Object.fromEntries(Object.entries(documents).map(([name, content]) => [name, yaml.load(content)]));
+    }
+
+    /**
+     * Applies the retention policy: removes the snapshots it does not keep
+     * and gzips the kept ones past `compressAfter`. Returns the version
+     * names `{ kept, removed, compressed }`.
+     */
+    async prune(policy = DEFAULT_RETENTION) {
+        const versions = await this.list();
+        const kept = this.retained(versions.map(entry => entry.version), policy);
+        const removed = [];
+        const compressed = [];
+
+        for (const entry of versions) {
+            if (!kept.includes(entry.version)) {
+                await fs.rm(path.join(this.versionsDir, entry.version), { recursive: true, force: true });
+                removed.push(entry.version);
+            } else if (kept.indexOf(entry.version) >= policy.compressAfter && !entry.compressed) {
+                await this.compress(entry.version);
+                compressed.push(entry.version);
+            }
+        }
+        return { kept, removed, compressed };
+    }
+
+    // Of versions (latest first), the ones the policy keeps, latest first
+    retained(versions, { keep, daily, weekly }) {
+        const kept = new Set(versions.slice(0, Math.max(1, keep)));
+        const keepNewestPerPeriod = (count, period) => {
+            const periods = new Set();
+            for (const version of versions) {
+                const key = period(this.createdAt(version));
+                if (periods.has(key)) continue;
+                if (periods.size >= count) break;
+                periods.add(key);
+                kept.add(version);
+            }
+        };
+        keepNewestPerPeriod(daily, date => date.toISOString().slice(0, 10));
+        keepNewestPerPeriod(weekly, date => this.isoWeek(date));
+        return versions.filter(version => kept.has(version));
+    }
+
+    async compress(version) {
+        const versionDir = path.join(this.versionsDir, version);
+        for (const file of await fs.readdir(versionDir)) {
+            if (file.endsWith('.gz')) continue;
+            const filePath = path.join(versionDir, file);
+            await fs.writeFile(`${filePath}.gz`, await gzip(await fs.readFile(filePath)));
+            await fs.rm(filePath);
+        }
+    }
+
+    createdAt(version) {
+        const [, date, hours, minutes, seconds, milliseconds] = version.match(VERSION_PATTERN);
+        return new Date(`${date}T${hours}:${minutes}:${seconds}.${milliseconds}Z`);
+    }
+
+    // 2026-W42: weeks start on Monday, and a week belongs to the year its Thursday is in
+    isoWeek(date) {
+        const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+        thursday.setUTCDate(thursday.getUTCDate() + 4 - (thursday.getUTCDay() || 7));
+        const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+        const week = Math.ceil(((thursday - yearStart) / (24 * 60 * 60 * 1000) + 1) / 7);
+        return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+    }
+}
+
+export { SchemaVersionStore, DEFAULT_RETENTION };
@@ -0,0 +1,417 @@
+/**
+ * Sequelize Model Analyzer
+ *
+ * Reads Sequelize models declared with `sequelize.define('User', {...})` or
+ * `class User extends Model` plus `User.init({...})`, including the
+ * `sequelize-cli` layout where each file exports
+ * `(sequelize, DataTypes) => model`: attributes with their data types,
+ * `allowNull`, `defaultValue`, `unique`, `primaryKey`, `field` and
+ * `references`, the table options (`tableName`, `timestamps`, `paranoid`,
+ * `underscored`, `freezeTableName`, also as `define` defaults of the
+ * `Sequelize` instance) and the `hasOne`/`hasMany`/`belongsTo`/
+ * `belongsToMany` associations. Like the Django model registry, `resolve()`
+ * links the models of every file into tables and Eloquent-style
+ * relationships once all of them have been read.
+ */
+
+import { maskJs, findClosingBracket, splitTopLevel, expressionEnd, parseObjectEntries, parseValue, docComment } from './js-source.mjs';
+import { snakeCase, pluralize, lcfirst } from './laravel-naming.mjs';
+
+const ASSOCIATIONS = ['hasOne', 'hasMany', 'belongsTo', 'belongsToMany'];
+
+// Sequelize's default referential actions: SET NULL for optional keys, CASCADE on update
+const DEFAULT_ON_DELETE = { belongsTo: 'set null', hasOne: 'set null', hasMany: 'set null', belongsToMany: 'cascade' };
+
+class SequelizeModelAnalyzer {
+    constructor() {
+        this.candidates = [];
+        this.associations = [];
+        this.defineDefaults = {};
+    }
+
+    /**
+     * Collects the models and associations of one module; `resolve()`
+     * turns them into models and tables.
+     */
+    analyze(content, file = null) {
+        const { code, mask } = maskJs(content);
+        const found = [];
+
+        // new Sequelize(url, { define: { underscored: true } })
+        for (const match of mask.matchAll(/\bnew\s+Sequelize\s*\(/g)) {
+            const call = this.callAt(code, mask, match.index + match[0].length - 1);
+            const options = call && call.args.map(arg => parseValue(arg)).find(arg => arg && !arg.expression && typeof arg === 'object' && !Array.isArray(arg));
+            if (options && options.define && typeof options.define === 'object') Object.assign(this.defineDefaults, options.define);
+        }
+
+        // const User = sequelize.define('User', { ... }, { ... })
+        for (const match of mask.matchAll(/(?:(?:const|let|var)\s+([\w$]+)\s*=\s*|return\s+)?(?<![\w$])[\w$]+\s*\.\s*define\s*\(/g)) {
+            const call = this.callAt(code, mask, match.index + match[0].length - 1);
+            const name = call && parseValue(call.args[0]);
+            // customElements.define('x-tag', Element) and the like are not models
+            if (typeof name !== 'string' || !(call.args[1] || '').trim().startsWith('{')) continue;
+            found.push(this.describeModel({
+                name,
+                variable: match[1] || name,
+                attributes: call.args[1],
+                options: call.args[2],
+                file,
+                summary: docComment(content, match.index)
+            }));
+        }
+
+        // class User extends Model {} + User.init({ ... }, { sequelize })
+        for (const match of mask.matchAll(/\bclass\s+([\w$]+)\s+extends\s+(?:[\w$]+\.)?Model\b/g)) {
+            const className = match[1];
+            const init = this.findInit(code, mask, className, match.index);
+            if (!init) continue;
+            found.push(this.describeModel({
+                name: className,
+                variable: className,
+                attributes: init.args[0],
+                options: init.args[1],
+                file,
+                summary: docComment(content, match.index)
+            }));
+        }
+
+        for (const model of found) {
+            this.candidates.push(model);
+        }
+
+        // User.hasMany(models.Post, { ... }), this.belongsTo(User) inside static associate()
+        const variables = new Map(found.map(model => [model.variable, model.name]));
+        for (const match of mask.matchAll(new RegExp(`(?<![\\w$.])((?:[\\w$]+\\.)*[\\w$]+)\\s*\\.\\s*(${ASSOCIATIONS.join('|')})\\s*\\(`, 'g'))) {
+            const call = this.callAt(code, mask, match.index + match[0].length - 1);
+            if (!call || call.args.length === 0) continue;
+            let owner = match[1].split('.').pop();
+            if (owner === 'this') {
+                const enclosing = [...mask.slice(0, match.index).matchAll(/\bclass\s+([\w$]+)/g)].pop();
+                owner = enclosing ? enclosing[1] : null;
+            }
+            if (!owner) continue;
+            this.associations.push({
+                owner: variables.get(owner) || owner,
+                type: match[2],
+                target: call.args[0].split('.').pop().trim(),
+                options: call.args[1] ? parseValue(call.args[1]) : {},
+                file
+            });
+        }
+
+        return found;
+    }
+
+    // The call whose argument list opens at `open`, as `{ args }`
+    callAt(code, mask, open) {
+        const close = findClosingBracket(code, open, mask);
+        if (close === -1) return null;
+        return { args: splitTopLevel(code.slice(open + 1, close)) };
+    }
+
+    // User.init(...) after the class, or super.init(...) inside it
+    findInit(code, mask, className, from) {
+        const pattern = new RegExp(`(?<![\\w$.])(?:${className}|super|this)\\s*\\.\\s*init\\s*\\(`, 'g');
+        pattern.lastIndex = from;
+        const match = pattern.exec(mask);
+        return match ? this.callAt(code, mask, match.index + match[0].length - 1) : null;
+    }
+
+    describeModel({ name, variable, attributes, options, file, summary }) {
+        const parsedOptions = options ? parseValue(options) : {};
+        const model = {
+            name,
+            variable,
+            file,
+            summary,
+            options: parsedOptions && !parsedOptions.expression ? parsedOptions : {},
+            attributes: {}
+        };
+        if (typeof model.options.modelName === 'string') model.name = model.options.modelName;
+
+        const body = (attributes || '').trim();
+        if (!body.startsWith('{')) return model;
+        for (const [attribute, raw] of parseObjectEntries(body.slice(1, -1))) {
+            model.attributes[attribute] = this.describeAttribute(raw);
+        }
+        return model;
+    }
+
+    // `DataTypes.STRING(100)` or `{ type: DataTypes.STRING, allowNull: false, ... }`
+    describeAttribute(raw) {
+        const text = raw.trim();
+        const options = text.startsWith('{') ? parseValue(text) : { type: { expression: text } };
+        const typeExpression = options.type && options.type.expression ? options.type.expression : null;
+        const attribute = { ...this.parseDataType(typeExpression), options: {} };
+
+        for (const [key, value] of Object.entries(options)) {
+            if (key === 'type' || key === 'validate' || key === 'get' || key === 'set') continue;
+            attribute.options[key] = value;
+        }
+        if (options.validate && typeof options.validate === 'object' && !options.validate.expression) attribute.validate = options.validate;
+        if (options.values && Array.isArray(options.values)) attribute.values = options.values;
+        return attribute;
+    }
+
+    // DataTypes.DECIMAL(10, 2) -> { type: 'DECIMAL', precision: 10, scale: 2 }
+    parseDataType(expression) {
+        if (!expression) return { type: 'unknown' };
+        const match = expression.match(/^(?:(?:Sequelize|DataTypes|S|Sequelize\.DataTypes|[\w$]+)\.)?([A-Z][A-Z0-9_]*)(?:\s*\(([\s\S]*)\))?((?:\.[A-Z]+)*)$/);
+        if (!match) return { type: 'unknown', expression };
+
+        const type = { type: match[1] };
+        const args = match[2] ? splitTopLevel(match[2]).map(arg => parseValue(arg)) : [];
+        if (['STRING', 'CHAR'].includes(type.type) && typeof args[0] === 'number') type.length = args[0];
+        if (['DECIMAL', 'FLOAT', 'DOUBLE', 'REAL'].includes(type.type)) {
+            if (typeof args[0] === 'number') type.precision = args[0];
+            if (typeof args[1] === 'number') type.scale = args[1];
+        }
+        if (type.type === 'ENUM') type.values = args.flat().filter(arg => typeof arg === 'string');
+        if (type.type === 'ARRAY' && args[0] && args[0].expression) type.of = this.parseDataType(args[0].expression).type;
+        if (/\.UNSIGNED\b/.test(match[3])) type.unsigned = true;
+        return type;
+    }
+
+    /**
+     * Returns `{ models, tables }`: models keyed by name with their table,
+     * primary key, attributes and relationships; tables shaped like the
+     * migration replay engine's, foreign keys and the join tables of
+     * `belongsToMany` associations included.
+     */
+    resolve() {
+        const models = {};
+        for (const candidate of this.candidates) {
+            models[candidate.name] = this.settle(candidate);
+        }
+
+        const tables = {};
+        for (const model of Object.values(models)) {
+            tables[model.table] = this.table(model);
+        }
+
+        for (const association of this.associations) {
+            const owner = models[association.owner];
+            const target = models[association.target];
+            if (!owner || !target) continue;
+            const relationship = this.relationship(owner, target, association);
+            owner.relationships.push(relationship);
+            this.addAssociationKeys(tables, owner, target, relationship, association);
+        }
+
+        return { models, tables };
+    }
+
+    // Applies the naming options: table name, column names, timestamps and the implicit id
+    settle(candidate) {
+        const options = { timestamps: true, ...this.defineDefaults, ...candidate.options };
+        const underscored = options.underscored === true;
+        const model = {
+            class: candidate.name,
+            name: candidate.name,
+            file: candidate.file,
+            summary: candidate.summary,
+            table: typeof options.tableName === 'string'
+                ? options.tableName
+                : options.freezeTableName === true ? candidate.name : pluralize(candidate.name),
+            primaryKey: null,
+            underscored,
+            timestamps: options.timestamps !== false,
+            paranoid: options.paranoid === true,
+            fields: {},
+            relationships: []
+        };
+
+        const column = name => (underscored ? snakeCase(name) : name);
+        for (const [name, attribute] of Object.entries(candidate.attributes)) {
+            const field = typeof attribute.options.field === 'string' ? attribute.options.field : column(name);
+            model.fields[name] = { ...attribute, column: field };
+            if (attribute.options.primaryKey === true && !model.primaryKey) model.primaryKey = field;
+        }
+        if (!model.primaryKey) {
+            model.fields = { id: { type: 'INTEGER', column: 'id', options: { primaryKey: true, autoIncrement: true, allowNull: false }, implicit: true }, ...model.fields };
+            model.primaryKey = 'id';
+        }
+
+        if (model.timestamps) {
+            for (const key of ['createdAt', 'updatedAt', ...(model.paranoid ? ['deletedAt'] : [])]) {
+                if (options[key] === false || model.fields[key]) continue;
+                const name = typeof options[key] === 'string' ? options[key] : column(key);
+                model.fields[key] = { type: 'DATE', column: name, options: { allowNull: key === 'deletedAt' }, implicit: true };
+            }
+        }
+        return model;
+    }
+
+    table(model) {
+        const table = { name: model.table, model: model.name, createdIn: model.file, modifiedIn: [], columns: {}, foreignKeys: [], indexes: [], checks: [] };
+        const primary = [];
+
+        for (const [name, field] of Object.entries(model.fields)) {
+            const options = field.options;
+            const column = {
+                name: field.column,
+                type: field.type,
+                // Sequelize columns allow NULL unless allowNull: false, primary keys never do
+                nullable: options.allowNull !== false && options.primaryKey !== true,
+                default: options.defaultValue !== undefined ? this.defaultValue(options.defaultValue) : null,
+                unique: Boolean(options.unique),
+                index: false
+            };
+            if (options.primaryKey === true) {
+                column.primary = true;
+                primary.push(field.column);
+            }
+            if (options.autoIncrement === true) column.autoIncrement = true;
+            for (const key of ['length', 'precision', 'scale', 'unsigned']) {
+                if (field[key] !== undefined) column[key] = field[key];
+            }
+            if (field.values || field.options.values) column.options = field.values || field.options.values;
+            if (typeof options.comment === 'string') column.comment = options.comment;
+            column.provenance = [{ model: model.name, action: field.implicit ? 'auto_created' : 'declared' }];
+            table.columns[field.column] = column;
+
+            if (options.unique) {
+                const name = typeof options.unique === 'string' ? options.unique : `${model.table}_${field.column}_key`;
+                const existing = table.indexes.find(index => index.name === name);
+                if (existing) existing.columns.push(field.column);
+                else table.indexes.push({ name, type: 'unique', columns: [field.column] });
+            }
+
+            const references = options.references;
+            if (references && typeof references === 'object' && !references.expression) {
+                const referenced = typeof references.model === 'string' ? references.model : references.model && references.model.expression;
+                if (referenced) {
+                    table.foreignKeys.push({
+                        column: field.column,
+                        on: referenced,
+                        references: typeof references.key === 'string' ? references.key : 'id',
+                        onDelete: typeof options.onDelete === 'string' ? options.onDelete.toLowerCase() : null,
+                        onUpdate: typeof options.onUpdate === 'string' ? options.onUpdate.toLowerCase() : null,
+                        migration: model.file
+                    });
+                }
+            }
+            delete field.implicit;
+            if (name !== field.column) field.attribute = name;
+        }
+        table.indexes.unshift({ name: `${model.table}_pkey`, type: 'primary', columns: primary });
+        return table;
+    }
+
+    defaultValue(value) {
+        if (value && value.expression) {
+            const now = value.expression.match(/^(?:Sequelize|DataTypes)\.(NOW|UUIDV4|UUIDV1)$/);
+            return now ? now[1] : value.expression;
+        }
+        return value;
+    }
+
+    /**
+     * The relationship an association declares, with the key column names
+     * Sequelize derives: `belongsTo(User)` adds `userId` (`user_id` when
+     * underscored) to the owner, `hasMany(Post)` adds the owner's key to
+     * the target, `belongsToMany` keys the join table on both.
+     */
+    relationship(owner, target, association) {
+        const options = association.options && !association.options.expression ? association.options : {};
+        const alias = typeof options.as === 'string' ? options.as : null;
+        const keyName = value => (typeof value === 'string' ? value : value && typeof value.name === 'string' ? value.name : null);
+        const column = (model, attribute) => {
+            const field = model.fields[attribute];
+            if (field) return field.column;
+            return model.underscored ? snakeCase(attribute) : attribute;
+        };
+        const defaultKey = (model, name) => `${lcfirst(name)}${model.primaryKey.charAt(0).toUpperCase()}${model.primaryKey.slice(1)}`;
+
+        switch (association.type) {
+            case 'belongsTo': {
+                const attribute = keyName(options.foreignKey) || defaultKey(target, alias || target.name);
+                return {
+                    name: alias || lcfirst(target.name),
+                    type: 'belongsTo',
+                    related: target.name,
+                    relatedTable: target.table,
+                    foreignKey: column(owner, attribute),
+                    ownerKey: typeof options.targetKey === 'string' ? column(target, options.targetKey) : target.primaryKey
+                };
+            }
+            case 'hasOne':
+            case 'hasMany': {
+                const attribute = keyName(options.foreignKey) || defaultKey(owner, owner.name);
+                return {
+                    name: alias || (association.type === 'hasMany' ? pluralize(lcfirst(target.name)) : lcfirst(target.name)),
+                    type: association.type,
+                    related: target.name,
+                    relatedTable: target.table,
+                    foreignKey: column(target, attribute),
+                    localKey: typeof options.sourceKey === 'string' ? column(owner, options.sourceKey) : owner.primaryKey
+                };
+            }
+            default: {
+                const through = options.through;
+                const throughName = typeof through === 'string' ? through
+                    : through && through.expression ? through.expression.split('.').pop()
+                        : through && typeof through.model === 'string' ? through.model
+                            : through && through.model && through.model.expression ? through.model.expression.split('.').pop() : null;
+                const foreign = keyName(options.foreignKey) || defaultKey(owner, owner.name);
+                const other = keyName(options.otherKey) || defaultKey(target, target.name);
+                return {
+                    name: alias || pluralize(lcfirst(target.name)),
+                    type: 'belongsToMany',
+                    related: target.name,
+                    relatedTable: target.table,
+                    through: throughName,
+                    table: throughName,
+                    foreignPivotKey: owner.underscored ? snakeCase(foreign) : foreign,
+                    relatedPivotKey: owner.underscored ? snakeCase(other) : other
+                };
+            }
+        }
+    }
+
+    /**
+     * Adds the key columns and foreign keys an association creates on sync:
+     * on the owner for belongsTo, on the target for hasOne/hasMany, and a
+     * join table for belongsToMany through a name rather than a model.
+     */
+    addAssociationKeys(tables, owner, target, relationship, association) {
+        const addKey = (table, column, on, references, type, source) => {
+            if (!table) return;
+            if (!table.columns[column]) {
+                const referenced = tables[on] && tables[on].columns[references];
+                table.columns[column] = {
+                    name: column,
+                    type: referenced ? referenced.type : 'INTEGER',
+                    nullable: type !== 'belongsToMany',
+                    default: null,
+                    unique: association.type === 'hasOne',
+                    index: false,
+                    provenance: [{ model: source, action: 'association' }]
+                };
+            }
+            if (!table.foreignKeys.some(fk => fk.column === column)) {
+                table.foreignKeys.push({ column, on, references, onDelete: DEFAULT_ON_DELETE[type], onUpdate: 'cascade', migration: association.file });
+            }
+        };
+
+        if (relationship.type === 'belongsTo') {
+            addKey(tables[owner.table], relationship.foreignKey, target.table, relationship.ownerKey, 'belongsTo', owner.name);
+        } else if (relationship.type === 'hasOne' || relationship.type === 'hasMany') {
+            addKey(tables[target.table], relationship.foreignKey, owner.table, relationship.localKey, relationship.type, owner.name);
+        } else if (relationship.table) {
+            const throughModel = Object.values(tables).find(table => table.model === relationship.table);
+            if (throughModel) relationship.table = throughModel.name;
+            if (!tables[relationship.table]) {
+                tables[relationship.table] = { name: relationship.table, model: null, createdIn: association.file, modifiedIn: [], columns: {}, foreignKeys: [], indexes: [], checks: [], autoCreated: true };
+            }
+            const join = tables[relationship.table];
+            addKey(join, relationship.foreignPivotKey, owner.table, owner.primaryKey, 'belongsToMany', owner.name);
+            addKey(join, relationship.relatedPivotKey, target.table, target.primaryKey, 'belongsToMany', owner.name);
+            if (!join.indexes.some(index => index.type === 'primary')) {
+                join.indexes.push({ name: `${relationship.table}_pkey`, type: 'primary', columns: [relationship.foreignPivotKey, relationship.relatedPivotKey] });
+            }
+        }
+    }
+}
+
+export { SequelizeModelAnalyzer };
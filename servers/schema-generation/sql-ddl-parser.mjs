@@ -0,0 +1,541 @@
+/**
+ * SQL DDL Parser
+ *
+ * Offline parser for schema dumps (`php artisan schema:dump` output, Rails'
+ * `db/structure.sql` and plain `.sql` files) in the MySQL/MariaDB, PostgreSQL
+ * and SQLite dialects. Produces table state in the same shape as the
+ * migration replay engine so a dump can seed the replay before newer
+ * migrations are applied on top.
+ */
+
+const SQL_TYPE_MAP = {
+    'varchar': 'string',
+    'character varying': 'string',
+    'nvarchar': 'string',
+    'char': 'char',
+    'character': 'char',
+    'bpchar': 'char',
+    'tinytext': 'tinyText',
+    'text': 'text',
+    'mediumtext': 'mediumText',
+    'longtext': 'longText',
+    'tinyint': 'tinyInteger',
+    'smallint': 'smallInteger',
+    'int2': 'smallInteger',
+    'mediumint': 'mediumInteger',
+    'int': 'integer',
+    'integer': 'integer',
+    'int4': 'integer',
+    'bigint': 'bigInteger',
+    'int8': 'bigInteger',
+    'serial': 'increments',
+    'bigserial': 'bigIncrements',
+    'smallserial': 'smallIncrements',
+    'decimal': 'decimal',
+    'numeric': 'decimal',
+    'double': 'double',
+    'double precision': 'double',
+    'float': 'float',
+    'real': 'float',
+    'boolean': 'boolean',
+    'bool': 'boolean',
+    'date': 'date',
+    'datetime': 'dateTime',
+    'timestamp': 'timestamp',
+    'timestamp without time zone': 'timestamp',
+    'timestamp with time zone': 'timestampTz',
+    'timestamptz': 'timestampTz',
+    'time': 'time',
+    'time without time zone': 'time',
+    'time with time zone': 'timeTz',
+    'year': 'year',
+    'json': 'json',
+    'jsonb': 'jsonb',
+    'uuid': 'uuid',
+    'blob': 'binary',
+    'longblob': 'binary',
+    'mediumblob': 'binary',
+    'bytea': 'binary',
+    'binary': 'binary',
+    'varbinary': 'binary',
+    'enum': 'enum',
+    'set': 'set',
+    'inet': 'ipAddress',
+    'macaddr': 'macAddress',
+    'geometry': 'geometry',
+    'point': 'point'
+};
+
+const INCREMENT_TYPES = {
+    integer: 'increments',
+    bigInteger: 'bigIncrements',
+    smallInteger: 'smallIncrements',
+    mediumInteger: 'mediumIncrements',
+    tinyInteger: 'tinyIncrements'
+};
+
+const NUMERIC_TYPES = new Set(['tinyInteger', 'smallInteger', 'mediumInteger', 'integer', 'bigInteger', 'decimal', 'double', 'float']);
+
+class SqlDdlParser {
+    constructor(source = 'schema.sql', dialect = null) {
+        this.source = source;
+        this.dialect = dialect;
+    }
+
+    /**
+     * Guesses the dump dialect from the file name Laravel gives it
+     * (mysql-schema.sql, pgsql-schema.sql, sqlite-schema.sql) or its content.
+     */
+    static detectDialect(filename, sql) {
+        const base = filename.toLowerCase();
+        if (/(mysql|mariadb)/.test(base)) return 'mysql';
+        if (/(pgsql|postgres)/.test(base)) return 'pgsql';
+        if (/sqlite/.test(base)) return 'sqlite';
+
+        if (/`\w+`/.test(sql) || /ENGINE\s*=/i.test(sql)) return 'mysql';
+        if (/SET\s+search_path|::regclass|CREATE\s+SEQUENCE|NOT\s+DEFERRABLE|COMMENT\s+ON\s+COLUMN/i.test(sql)) return 'pgsql';
+        return 'sqlite';
+    }
+
+    parse(sql) {
+        this.dialect = this.dialect || SqlDdlParser.detectDialect(this.source, sql);
+        this.tables = {};
+        this.migrations = [];
+
+        for (const statement of this.splitStatements(this.stripComments(this.extractCopyData(sql)))) {
+            this.parseStatement(statement);
+        }
+
+        for (const table of Object.values(this.tables)) {
+            for (const index of table.indexes) {
+                if (index.type === 'primary') {
+                    for (const column of index.columns) {
+                        if (table.columns[column]) table.columns[column].primary = true;
+                    }
+                }
+            }
+        }
+
+        return {
+            dialect: this.dialect,
+            tables: this.tables,
+            migrations: this.migrations
+        };
+    }
+
+    /**
+     * pg_dump writes table rows as `COPY table (columns) FROM stdin;` followed
+     * by tab-separated lines up to `\.`. Reads the migration rows among them
+     * and returns the SQL without the blocks, whose data is not SQL.
+     */
+    extractCopyData(sql) {
+        return sql.replace(/^COPY\s+(\S+)\s*(?:\(([^)]*)\))?\s+FROM\s+stdin;[^\n]*\n([\s\S]*?)^\\\.\r?$/gim, (block, table, columns, data) => {
+            const names = columns ? this.identifierList(columns) : [];
+            const rows = data.split('\n').map(line => line.replace(/\r$/, '')).filter(Boolean).map(line => line.split('\t'));
+            const column = (name, fallback) => (names.includes(name) ? names.indexOf(name) : fallback);
+
+            if (this.unquoteIdentifier(table) === 'migrations') {
+                const position = column('migration', 1);
+                this.migrations.push(...rows.map(row => row[position]).filter(name => /^\d{4}_\d{2}_\d{2}_\d{6}_/.test(name || '')));
+            } else if (this.unquoteIdentifier(table) === 'schema_migrations') {
+                const position = column('version', 0);
+                this.migrations.push(...rows.map(row => row[position]).filter(version => /^\d{14}$/.test(version || '')));
+            }
+            return '';
+        });
+    }
+
+    stripComments(sql) {
+        let result = '';
+        let i = 0;
+
+        while (i < sql.length) {
+            const char = sql[i];
+            if (char === '\'' || char === '"' || char === '`') {
+                const end = this.findQuoteEnd(sql, i);
+                result += sql.slice(i, end);
+                i = end;
+            } else if (char === '-' && sql[i + 1] === '-') {
+                const end = sql.indexOf('\n', i);
+                i = end === -1 ? sql.length : end;
+            } else if (char === '/' && sql[i + 1] === '*') {
+                const end = sql.indexOf('*/', i + 2);
+                i = end === -1 ? sql.length : end + 2;
+            } else {
+                result += char;
+                i++;
+            }
+        }
+
+        return result;
+    }
+
+    // Quotes are escaped by doubling them ('it''s') or, in MySQL, with a backslash
+    findQuoteEnd(sql, start) {
+        const quote = sql[start];
+        let i = start + 1;
+        while (i < sql.length) {
+            if (sql[i] === '\\' && quote === '\'') {
+                i += 2;
+                continue;
+            }
+            if (sql[i] === quote) {
+                if (sql[i + 1] === quote) {
+                    i += 2;
+                    continue;
+                }
+                return i + 1;
+            }
+            i++;
+        }
+        return sql.length;
+    }
+
+    /**
+     * Splits on top-level semicolons, skipping quoted text and PostgreSQL
+     * dollar-quoted function bodies.
+     */
+    splitStatements(sql) {
+        return this.splitTopLevel(sql, ';');
+    }
+
+    splitTopLevel(text, separator) {
+        const parts = [];
+        let depth = 0;
+        let start = 0;
+        let i = 0;
+
+        while (i < text.length) {
+            const char = text[i];
+
+            if (char === '\'' || char === '"' || char === '`') {
+                i = this.findQuoteEnd(text, i);
+                continue;
+            }
+
+            if (char === '$') {
+                const tag = text.slice(i).match(/^\$\w*\$/);
+                if (tag) {
+                    const end = text.indexOf(tag[0], i + tag[0].length);
+                    i = end === -1 ? text.length : end + tag[0].length;
+                    continue;
+                }
+            }
+
+            if (char === '(') depth++;
+            else if (char === ')') depth--;
+            else if (char === separator && depth === 0) {
+                parts.push(text.slice(start, i));
+                start = i + 1;
+            }
+            i++;
+        }
+
+        parts.push(text.slice(start));
+        return parts.map(part => part.trim()).filter(Boolean);
+    }
+
+    // `users`, "users", [users], public.users -> users
+    unquoteIdentifier(identifier) {
+        const name = identifier.trim().split('.').pop();
+        return name.replace(/^[`"[]|[`"\]]$/g, '');
+    }
+
+    identifierList(text) {
+        return this.splitTopLevel(text, ',')
+            .map(part => this.unquoteIdentifier(part.replace(/\(\d+\)|\s+(ASC|DESC)\b.*$/gi, '')));
+    }
+
+    unquoteString(value) {
+        const match = value.trim().match(/^'([\s\S]*)'$/);
+        return match ? match[1].replace(/''/g, '\'').replace(/\\'/g, '\'') : value.trim();
+    }
+
+    ensureTable(name) {
+        if (!this.tables[name]) {
+            this.tables[name] = {
+                name,
+                createdIn: this.source,
+                modifiedIn: [],
+                columns: {},
+                foreignKeys: [],
+                indexes: [],
+                checks: []
+            };
+        }
+        return this.tables[name];
+    }
+
+    // Inline UNIQUE and a separate UNIQUE KEY can describe the same index
+    addIndex(table, index) {
+        table.indexes = table.indexes.filter(existing => existing.name !== index.name);
+        table.indexes.push(index);
+    }
+
+    parseStatement(statement) {
+        const identifier = '((?:[`"[]?\\w+[`"\\]]?\\.)?[`"[]?\\w+[`"\\]]?)';
+
+        const createTable = statement.match(new RegExp(`^CREATE\\s+(?:UNLOGGED\\s+|TEMPORARY\\s+)?TABLE\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?${identifier}\\s*\\(`, 'i'));
+        if (createTable) {
+            const open = createTable[0].length - 1;
+            const close = statement.lastIndexOf(')');
+            this.parseCreateTable(this.unquoteIdentifier(createTable[1]), statement.slice(open + 1, close));
+            return;
+        }
+
+        const createIndex = statement.match(new RegExp(`^CREATE\\s+(UNIQUE\\s+)?INDEX\\s+(?:CONCURRENTLY\\s+)?(?:IF\\s+NOT\\s+EXISTS\\s+)?${identifier}\\s+ON\\s+(?:ONLY\\s+)?${identifier}\\s*(?:USING\\s+(\\w+)\\s*)?\\(([\\s\\S]*)\\)`, 'i'));
+        if (createIndex) {
+            const table = this.tables[this.unquoteIdentifier(createIndex[3])];
+            if (!table) return;
+            const index = {
+                name: this.unquoteIdentifier(createIndex[2]),
+                type: createIndex[1] ? 'unique' : 'index',
+                columns: this.identifierList(createIndex[5])
+            };
+            if (createIndex[4] && !/^btree$/i.test(createIndex[4])) index.algorithm = createIndex[4].toLowerCase();
+            if (/^gin$/i.test(createIndex[4] || '') && /to_tsvector/i.test(createIndex[5])) index.type = 'fullText';
+            if (/^gist$/i.test(createIndex[4] || '')) index.type = 'spatialIndex';
+            this.addIndex(table, index);
+            return;
+        }
+
+        const alterTable = statement.match(new RegExp(`^ALTER\\s+TABLE\\s+(?:ONLY\\s+)?(?:IF\\s+EXISTS\\s+)?${identifier}\\s+([\\s\\S]*)$`, 'i'));
+        if (alterTable) {
+            this.parseAlterTable(this.unquoteIdentifier(alterTable[1]), alterTable[2]);
+            return;
+        }
+
+        const insert = statement.match(new RegExp(`^INSERT\\s+INTO\\s+${identifier}\\s*(?:\\([^)]*\\)\\s*)?VALUES\\s*([\\s\\S]*)$`, 'i'));
+        if (insert && this.unquoteIdentifier(insert[1]) === 'migrations') {
+            // Rows are (id, 'migration_name', batch)
+            const names = insert[2].match(/'(\d{4}_\d{2}_\d{2}_\d{6}_[^']+)'/g) || [];
+            this.migrations.push(...names.map(name => name.slice(1, -1)));
+        } else if (insert && this.unquoteIdentifier(insert[1]) === 'schema_migrations') {
+            // Rails structure.sql: rows are ('20240101120000') migration versions
+            const versions = insert[2].match(/'(\d{14})'/g) || [];
+            this.migrations.push(...versions.map(version => version.slice(1, -1)));
+        }
+    }
+
+    parseCreateTable(tableName, body) {
+        const table = this.ensureTable(tableName);
+
+        for (const definition of this.splitTopLevel(body, ',')) {
+            if (!this.parseTableConstraint(table, definition)) {
+                this.parseColumn(table, definition);
+            }
+        }
+    }
+
+    /**
+     * Handles PRIMARY KEY / UNIQUE / KEY / INDEX / FOREIGN KEY / CHECK clauses.
+     * Returns false when the definition is a column.
+     */
+    parseTableConstraint(table, definition) {
+        const constraintName = definition.match(/^CONSTRAINT\s+([`"[]?\w+[`"\]]?)\s+/i);
+        const name = constraintName ? this.unquoteIdentifier(constraintName[1]) : null;
+        const rest = constraintName ? definition.slice(constraintName[0].length) : definition;
+
+        const primary = rest.match(/^PRIMARY\s+KEY\s*(?:USING\s+\w+\s*)?\(([^)]*)\)/i);
+        if (primary) {
+            this.addIndex(table, { name: name || 'primary', type: 'primary', columns: this.identifierList(primary[1]) });
+            return true;
+        }
+
+        const unique = rest.match(/^UNIQUE\s*(?:KEY|INDEX)?\s*([`"[]?\w+[`"\]]?)?\s*(?:USING\s+\w+\s*)?\(([^)]*)\)/i);
+        if (unique) {
+            const columns = this.identifierList(unique[2]);
+            this.addIndex(table, { name: name || (unique[1] && this.unquoteIdentifier(unique[1])) || `${table.name}_${columns.join('_')}_unique`, type: 'unique', columns });
+            return true;
+        }
+
+        const key = rest.match(/^(FULLTEXT|SPATIAL)?\s*(?:KEY|INDEX)\s+([`"[]?\w+[`"\]]?)\s*(?:USING\s+\w+\s*)?\(([^)]*)\)/i);
+        if (key) {
+            const type = key[1] ? (key[1].toUpperCase() === 'FULLTEXT' ? 'fullText' : 'spatialIndex') : 'index';
+            this.addIndex(table, { name: this.unquoteIdentifier(key[2]), type, columns: this.identifierList(key[3]) });
+            return true;
+        }
+
+        const foreign = rest.match(/^FOREIGN\s+KEY\s*\(([^)]*)\)\s*REFERENCES\s+([`"[]?[\w.]+[`"\]]?)\s*\(([^)]*)\)([\s\S]*)$/i);
+        if (foreign) {
+            const columns = this.identifierList(foreign[1]);
+            const references = this.identifierList(foreign[3]);
+            columns.forEach((column, position) => {
+                table.foreignKeys.push({
+                    column,
+                    references: references[position] || references[0],
+                    on: this.unquoteIdentifier(foreign[2]),
+                    onDelete: this.extractReferentialAction(foreign[4], 'DELETE'),
+                    onUpdate: this.extractReferentialAction(foreign[4], 'UPDATE'),
+                    ...(name ? { name } : {})
+                });
+            });
+            return true;
+        }
+
+        const check = rest.match(/^CHECK\s*\(([\s\S]*)\)/i);
+        if (check) {
+            table.checks.push({ name: name || `${table.name}_check_${table.checks.length + 1}`, expression: check[1].trim() });
+            return true;
+        }
+
+        return false;
+    }
+
+    extractReferentialAction(clause, event) {
+        const match = (clause || '').match(new RegExp(`ON\\s+${event}\\s+(CASCADE|SET\\s+NULL|SET\\s+DEFAULT|RESTRICT|NO\\s+ACTION)`, 'i'));
+        return match ? match[1].toLowerCase().replace(/\s+/g, ' ') : null;
+    }
+
+    parseColumn(table, definition) {
+        const match = definition.match(/^([`"[]?\w+[`"\]]?)\s+([\s\S]*)$/);
+        if (!match) return;
+
+        const name = this.unquoteIdentifier(match[1]);
+        const rest = match[2];
+        const typeMatch = rest.match(/^(double\s+precision|character\s+varying|timestamp(?:\s*\(\d+\))?\s+with(?:out)?\s+time\s+zone|time(?:\s*\(\d+\))?\s+with(?:out)?\s+time\s+zone|\w+)(?:\s*\(((?:'(?:[^']|'')*'|[^)'])*)\))?(\[\])?/i);
+        if (!typeMatch) return;
+
+        const rawType = typeMatch[1].toLowerCase().replace(/\s*\(\d+\)/, '').replace(/\s+/g, ' ');
+        const typeArgs = typeMatch[2] !== undefined ? typeMatch[2] : (typeMatch[1].match(/\((\d+)\)/) || [])[1];
+        const modifiers = rest.slice(typeMatch[0].length);
+        // Keyword checks must not see quoted defaults or comments ("... is unique")
+        const keywords = modifiers.replace(/'(?:[^']|'')*'/g, '\'\'');
+
+        const column = {
+            name,
+            type: SQL_TYPE_MAP[rawType] || rawType,
+            sqlType: typeMatch[0].trim(),
+            nullable: !/\bNOT\s+NULL\b/i.test(keywords) && !/\bPRIMARY\s+KEY\b/i.test(keywords),
+            default: this.extractColumnDefault(modifiers),
+            unique: /\bUNIQUE\b/i.test(keywords),
+            index: false
+        };
+
+        if (typeArgs !== undefined) this.applyTypeArguments(column, typeArgs);
+        if (typeMatch[3]) column.array = true;
+
+        if (/\bUNSIGNED\b/i.test(keywords) && NUMERIC_TYPES.has(column.type)) {
+            column.unsigned = true;
+            if (column.type.endsWith('Integer')) {
+                column.type = `unsigned${column.type.charAt(0).toUpperCase()}${column.type.slice(1)}`;
+            }
+        }
+
+        const autoIncrement = /\bAUTO_?INCREMENT\b/i.test(keywords) ||
+            /nextval\(/i.test(keywords) ||
+            /\bGENERATED\s+(?:BY\s+DEFAULT|ALWAYS)\s+AS\s+IDENTITY\b/i.test(keywords) ||
+            rawType.endsWith('serial') ||
+            (this.dialect === 'sqlite' && rawType === 'integer' && /\bPRIMARY\s+KEY\b/i.test(keywords));
+        if (autoIncrement) {
+            column.autoIncrement = true;
+            const baseType = column.type.replace(/^unsigned(\w)/, (_, first) => first.toLowerCase());
+            column.type = INCREMENT_TYPES[baseType] || column.type;
+            column.default = null;
+        }
+
+        const comment = modifiers.match(/\bCOMMENT\s+('(?:[^']|'')*')/i);
+        if (comment) column.comment = this.unquoteString(comment[1]);
+        const charset = keywords.match(/\bCHARACTER\s+SET\s+(\w+)/i);
+        if (charset) column.charset = charset[1];
+        const collation = keywords.match(/\bCOLLATE\s+"?([\w.-]+)"?/i);
+        if (collation) column.collation = collation[1];
+
+        column.provenance = [{ migration: this.source, action: 'dumped' }];
+        table.columns[name] = column;
+
+        if (/\bPRIMARY\s+KEY\b/i.test(keywords)) {
+            this.addIndex(table, { name: 'primary', type: 'primary', columns: [name] });
+        }
+        if (column.unique) {
+            this.addIndex(table, { name: `${table.name}_${name}_unique`, type: 'unique', columns: [name] });
+        }
+
+        const references = keywords.match(/\bREFERENCES\s+([`"[]?[\w.]+[`"\]]?)\s*(?:\(([^)]*)\))?([\s\S]*)$/i);
+        if (references) {
+            table.foreignKeys.push({
+                column: name,
+                references: references[2] ? this.identifierList(references[2])[0] : 'id',
+                on: this.unquoteIdentifier(references[1]),
+                onDelete: this.extractReferentialAction(references[3], 'DELETE'),
+                onUpdate: this.extractReferentialAction(references[3], 'UPDATE')
+            });
+        }
+
+        const check = modifiers.match(/\bCHECK\s*\(([\s\S]*)\)/i);
+        if (check) {
+            // Laravel's PostgreSQL enum columns are varchar + CHECK (col IN (...))
+            const options = check[1].match(/'((?:[^']|'')*)'(?:::\w+(?:\s+\w+)*)?/g);
+            if (options && /\bIN\b|ANY\s*\(/i.test(check[1])) {
+                column.type = 'enum';
+                column.options = options.map(option => this.unquoteString(option.replace(/::[\w\s]+$/, '')));
+            } else {
+                table.checks.push({ name: `${table.name}_${name}_check`, expression: check[1].trim() });
+            }
+        }
+    }
+
+    applyTypeArguments(column, typeArgs) {
+        const args = this.splitTopLevel(typeArgs, ',');
+
+        if (column.type === 'enum' || column.type === 'set') {
+            column.options = args.map(arg => this.unquoteString(arg));
+        } else if (['decimal', 'double', 'float'].includes(column.type)) {
+            if (/^\d+$/.test(args[0] || '')) column.precision = Number(args[0]);
+            if (/^\d+$/.test(args[1] || '')) column.scale = Number(args[1]);
+        } else if (['timestamp', 'timestampTz', 'dateTime', 'time', 'timeTz'].includes(column.type)) {
+            if (/^\d+$/.test(args[0] || '')) column.precision = Number(args[0]);
+        } else if (['string', 'char', 'binary'].includes(column.type) && /^\d+$/.test(args[0] || '')) {
+            column.length = Number(args[0]);
+        } else if (column.type === 'tinyInteger' && args[0] === '1') {
+            // MySQL spells booleans tinyint(1)
+            column.type = 'boolean';
+        }
+    }
+
+    extractColumnDefault(modifiers) {
+        const match = modifiers.match(/\bDEFAULT\s+('(?:[^']|'')*'|\([^)]*\)|[\w.-]+(?:\([^)]*\))?)/i);
+        if (!match) return null;
+
+        const value = match[1].replace(/::[\w\s]+$/, '');
+        if (/^NULL$/i.test(value)) return null;
+        return this.unquoteString(value);
+    }
+
+    /**
+     * PostgreSQL dumps declare keys and defaults after the CREATE TABLE:
+     * `ALTER TABLE ONLY public.users ADD CONSTRAINT users_pkey PRIMARY KEY (id)`.
+     */
+    parseAlterTable(tableName, actions) {
+        // Dumps also ALTER sequences and ownership; only tables created above matter
+        const table = this.tables[tableName];
+        if (!table) return;
+
+        for (const action of this.splitTopLevel(actions, ',')) {
+            const addConstraint = action.match(/^ADD\s+(CONSTRAINT[\s\S]*|PRIMARY[\s\S]*|UNIQUE[\s\S]*|FOREIGN[\s\S]*|CHECK[\s\S]*|(?:FULLTEXT\s+|SPATIAL\s+)?(?:KEY|INDEX)[\s\S]*)$/i);
+            if (addConstraint) {
+                this.parseTableConstraint(table, addConstraint[1].trim());
+                continue;
+            }
+
+            const addColumn = action.match(/^ADD\s+(?:COLUMN\s+)?(?:IF\s+NOT\s+EXISTS\s+)?([\s\S]*)$/i);
+            if (addColumn) {
+                this.parseColumn(table, addColumn[1].trim());
+                continue;
+            }
+
+            const setDefault = action.match(/^ALTER\s+(?:COLUMN\s+)?([`"[]?\w+[`"\]]?)\s+SET\s+DEFAULT\s+([\s\S]*)$/i);
+            if (setDefault) {
+                const column = table.columns[this.unquoteIdentifier(setDefault[1])];
+                if (column && /nextval\(/i.test(setDefault[2])) {
+                    column.autoIncrement = true;
+                    column.type = INCREMENT_TYPES[column.type] || column.type;
+                } else if (column) {
+                    column.default = this.extractColumnDefault(`DEFAULT ${setDefault[2]}`);
+                }
+            }
+        }
+    }
+}
+
+export { SqlDdlParser };
@@ -0,0 +1,273 @@
+/**
+ * SQL Migration Parser
+ *
+ * Turns the statements of a SQL migration into the operations the migration
+ * replay engine applies, reading each with the SQL DDL parser: CREATE and
+ * DROP TABLE, CREATE and DROP INDEX, RENAME TABLE, COMMENT ON COLUMN and
+ * the ALTER TABLE forms of MySQL (`CHANGE`, `MODIFY`, `DROP FOREIGN KEY`)
+ * and PostgreSQL (`ALTER col TYPE`, `SET NOT NULL`, `DROP CONSTRAINT`).
+ * Plain `.sql` migrations (Flyway, golang-migrate, goose, dbmate) are read
+ * as they are; only their up section counts. Migrations must be parsed in
+ * order with one parser: PostgreSQL drops an index or constraint by name
+ * alone, and the parser remembers which table each name belongs to.
+ */
+
+import { SqlDdlParser } from './sql-ddl-parser.mjs';
+
+const IDENTIFIER = '((?:[`"[]?\\w+[`"\\]]?\\.)?[`"[]?\\w+[`"\\]]?)';
+
+// Only the column attributes a type change carries, not its nullability or default
+const TYPE_KEYS = ['type', 'sqlType', 'length', 'precision', 'scale', 'unsigned', 'options', 'array'];
+
+// Where the down section of a goose, sql-migrate or dbmate migration starts
+const DOWN_MARKER = /^[ \t]*--[ \t]*(?:\+goose[ \t]+Down|\+migrate[ \t]+Down|migrate:down)\b/im;
+
+class SqlMigrationParser {
+    constructor(dialect = null) {
+        this.dialect = dialect;
+        this.indexTables = {};
+        this.foreignKeys = {};
+    }
+
+    // Returns `{ filename, operations }` for a `.sql` migration file
+    parse(content, filename) {
+        const down = content.search(DOWN_MARKER);
+        return this.parseStatements([down === -1 ? content : content.slice(0, down)], filename);
+    }
+
+    /**
+     * Returns `{ filename, operations }` for SQL texts holding one or more
+     * statements each.
+     */
+    parseStatements(texts, filename) {
+        this.dialect = this.dialect || SqlDdlParser.detectDialect('', texts.join(';\n'));
+        this.sql = new SqlDdlParser(filename, this.dialect);
+
+        const operations = [];
+        this.operations = operations;
+        for (const statement of texts.flatMap(text => this.sql.splitStatements(this.sql.stripComments(text)))) {
+            operations.push(...this.parseStatement(statement));
+        }
+        return { filename, operations };
+    }
+
+    parseStatement(statement) {
+        const sql = this.sql;
+        const createTable = statement.match(new RegExp(`^CREATE\\s+(?:TEMPORARY\\s+)?TABLE\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?${IDENTIFIER}\\s*\\(`, 'i'));
+        if (createTable) {
+            const name = sql.unquoteIdentifier(createTable[1]);
+            sql.tables = {};
+            sql.parseCreateTable(name, statement.slice(createTable[0].length, statement.lastIndexOf(')')));
+            return [{ type: 'create', table: name, statements: this.tableStatements(sql.tables[name]) }];
+        }
+
+        const dropTable = statement.match(new RegExp(`^DROP\\s+TABLE\\s+(?:IF\\s+EXISTS\\s+)?${IDENTIFIER}`, 'i'));
+        if (dropTable) return [{ type: 'drop', table: sql.unquoteIdentifier(dropTable[1]) }];
+
+        // MySQL: RENAME TABLE a TO b
+        const renameTable = statement.match(new RegExp(`^RENAME\\s+TABLE\\s+${IDENTIFIER}\\s+TO\\s+${IDENTIFIER}`, 'i'));
+        if (renameTable) return [{ type: 'rename', table: sql.unquoteIdentifier(renameTable[1]), to: sql.unquoteIdentifier(renameTable[2]) }];
+
+        const createIndex = statement.match(new RegExp(`^CREATE\\s+(UNIQUE\\s+)?INDEX\\s+${IDENTIFIER}\\s+ON\\s+${IDENTIFIER}\\s*(?:USING\\s+\\w+\\s*)?\\(([\\s\\S]*)\\)`, 'i'));
+        if (createIndex) {
+            const name = sql.unquoteIdentifier(createIndex[2]);
+            const table = sql.unquoteIdentifier(createIndex[3]);
+            this.indexTables[name] = table;
+            return [this.modify(table, [{ action: 'index', index: { name, type: createIndex[1] ? 'unique' : 'index', columns: sql.identifierList(createIndex[4]) } }])];
+        }
+
+        // PostgreSQL drops an index by name alone, MySQL adds ON table
+        const dropIndex = statement.match(new RegExp(`^DROP\\s+INDEX\\s+(?:IF\\s+EXISTS\\s+)?${IDENTIFIER}(?:\\s+ON\\s+${IDENTIFIER})?`, 'i'));
+        if (dropIndex) {
+            const name = sql.unquoteIdentifier(dropIndex[1]);
+            const table = dropIndex[2] ? sql.unquoteIdentifier(dropIndex[2]) : this.indexTables[name];
+            return table ? [this.modify(table, [{ action: 'dropIndex', name }])] : [];
+        }
+
+        // PostgreSQL: ALTER INDEX idx_a RENAME TO idx_b
+        const alterIndex = statement.match(new RegExp(`^ALTER\\s+INDEX\\s+(?:IF\\s+EXISTS\\s+)?${IDENTIFIER}\\s+RENAME\\s+TO\\s+${IDENTIFIER}`, 'i'));
+        if (alterIndex) {
+            const from = sql.unquoteIdentifier(alterIndex[1]);
+            const table = this.indexTables[from];
+            return table ? [this.modify(table, this.renameIndex(table, from, sql.unquoteIdentifier(alterIndex[2])))] : [];
+        }
+
+        // COMMENT ON COLUMN post.published_at IS '(DC2Type:datetime_immutable)'
+        const comment = statement.match(new RegExp(`^COMMENT\\s+ON\\s+COLUMN\\s+${IDENTIFIER}\\.([\`"[]?\\w+[\`"\\]]?)\\s+IS\\s+('(?:[^']|'')*'|NULL)`, 'i'));
+        if (comment) {
+            const table = sql.unquoteIdentifier(comment[1]);
+            const column = this.normalizeColumn({ name: sql.unquoteIdentifier(comment[2]), comment: /^NULL$/i.test(comment[3]) ? null : sql.unquoteString(comment[3]) });
+            // Columns are commented right after the table is created
+            const created = this.operations.find(operation => operation.type === 'create' && operation.table === table);
+            const added = created && created.statements.find(candidate => candidate.action === 'add' && candidate.column.name === column.name);
+            if (added) {
+                Object.assign(added.column, column);
+                return [];
+            }
+            return [this.modify(table, [{ action: 'change', column }])];
+        }
+
+        const alterTable = statement.match(new RegExp(`^ALTER\\s+TABLE\\s+(?:ONLY\\s+)?(?:IF\\s+EXISTS\\s+)?${IDENTIFIER}\\s+([\\s\\S]*)$`, 'i'));
+        if (alterTable) return this.parseAlterTable(sql.unquoteIdentifier(alterTable[1]), alterTable[2]);
+
+        // CREATE SEQUENCE, SET, INSERT and the like leave the table structure alone
+        return [];
+    }
+
+    modify(table, statements) {
+        return { type: 'modify', table, statements };
+    }
+
+    // A parsed table as replay statements, remembering its index and foreign key names
+    tableStatements(table) {
+        const primary = table.indexes.find(index => index.type === 'primary');
+        const statements = Object.values(table.columns).map(({ provenance, ...column }) => ({
+            action: 'add',
+            column: this.normalizeColumn(primary && primary.columns.includes(column.name) ? { ...column, primary: true } : column)
+        }));
+        for (const index of table.indexes) {
+            // A PostgreSQL PRIMARY KEY clause is named after the table
+            const named = index.type === 'primary' && index.name === 'primary' ? { ...index, name: this.primaryKeyName(table.name) } : index;
+            this.indexTables[named.name] = table.name;
+            statements.push({ action: 'index', index: named });
+        }
+        for (const foreignKey of table.foreignKeys) {
+            if (foreignKey.name) this.foreignKeys[foreignKey.name] = { table: table.name, column: foreignKey.column };
+            statements.push({ action: 'foreign', foreignKey });
+        }
+        for (const check of table.checks) statements.push({ action: 'check', check });
+        return statements;
+    }
+
+    // The column as replayed; subclasses add what their tool encodes in it
+    normalizeColumn(column) {
+        return column;
+    }
+
+    primaryKeyName(table) {
+        return this.dialect === 'pgsql' ? `${table}_pkey` : 'primary';
+    }
+
+    /**
+     * One replay operation for the ALTER TABLE's clauses, or a rename
+     * operation for `ALTER TABLE a RENAME TO b`.
+     */
+    parseAlterTable(tableName, actions) {
+        const sql = this.sql;
+        const renameTable = actions.match(new RegExp(`^RENAME\\s+TO\\s+${IDENTIFIER}\\s*$`, 'i'));
+        if (renameTable) return [{ type: 'rename', table: tableName, to: sql.unquoteIdentifier(renameTable[1]) }];
+
+        const statements = [];
+        const column = '([`"[]?\\w+[`"\\]]?)';
+        for (const action of sql.splitTopLevel(actions, ',')) {
+            let match;
+            if ((match = action.match(/^ADD\s+(CONSTRAINT[\s\S]*|PRIMARY[\s\S]*|UNIQUE[\s\S]*|FOREIGN[\s\S]*|CHECK[\s\S]*|(?:FULLTEXT\s+|SPATIAL\s+)?(?:KEY|INDEX)[\s\S]*)$/i))) {
+                statements.push(...this.parseConstraint(tableName, match[1].trim()));
+            } else if ((match = action.match(/^ADD\s+(?:COLUMN\s+)?(?:IF\s+NOT\s+EXISTS\s+)?([\s\S]*)$/i))) {
+                const parsed = this.parseColumnDefinition(tableName, match[1].trim());
+                if (parsed) statements.push({ action: 'add', column: parsed });
+            } else if ((match = action.match(/^DROP\s+FOREIGN\s+KEY\s+([`"[]?\w+[`"\]]?)/i))) {
+                statements.push(this.dropConstraint(tableName, sql.unquoteIdentifier(match[1])));
+            } else if ((match = action.match(/^DROP\s+(?:INDEX|KEY)\s+([`"[]?\w+[`"\]]?)/i))) {
+                statements.push({ action: 'dropIndex', name: sql.unquoteIdentifier(match[1]) });
+            } else if (/^DROP\s+PRIMARY\s+KEY/i.test(action)) {
+                statements.push({ action: 'dropIndex', type: 'primary' });
+            } else if ((match = action.match(/^DROP\s+CONSTRAINT\s+(?:IF\s+EXISTS\s+)?([`"[]?\w+[`"\]]?)/i))) {
+                statements.push(this.dropConstraint(tableName, sql.unquoteIdentifier(match[1])));
+            } else if ((match = action.match(new RegExp(`^DROP\\s+(?:COLUMN\\s+)?(?:IF\\s+EXISTS\\s+)?${column}`, 'i')))) {
+                statements.push({ action: 'dropColumn', columns: [sql.unquoteIdentifier(match[1])] });
+            } else if ((match = action.match(new RegExp(`^RENAME\\s+(?:COLUMN\\s+)?${column}\\s+TO\\s+${column}`, 'i'))) && !/^RENAME\s+(?:INDEX|KEY)\b/i.test(action)) {
+                statements.push({ action: 'renameColumn', from: sql.unquoteIdentifier(match[1]), to: sql.unquoteIdentifier(match[2]) });
+            } else if ((match = action.match(/^RENAME\s+(?:INDEX|KEY)\s+([`"[]?\w+[`"\]]?)\s+TO\s+([`"[]?\w+[`"\]]?)/i))) {
+                statements.push(...this.renameIndex(tableName, sql.unquoteIdentifier(match[1]), sql.unquoteIdentifier(match[2])));
+            } else if ((match = action.match(new RegExp(`^CHANGE\\s+(?:COLUMN\\s+)?${column}\\s+([\\s\\S]*)$`, 'i')))) {
+                // MySQL: CHANGE old_name new_name definition
+                const from = sql.unquoteIdentifier(match[1]);
+                const parsed = this.parseColumnDefinition(tableName, match[2].trim());
+                if (!parsed) continue;
+                if (parsed.name !== from) statements.push({ action: 'renameColumn', from, to: parsed.name });
+                statements.push({ action: 'change', column: parsed });
+            } else if ((match = action.match(/^MODIFY\s+(?:COLUMN\s+)?([\s\S]*)$/i))) {
+                const parsed = this.parseColumnDefinition(tableName, match[1].trim());
+                if (parsed) statements.push({ action: 'change', column: parsed });
+            } else if ((match = action.match(new RegExp(`^ALTER\\s+(?:COLUMN\\s+)?${column}\\s+([\\s\\S]*)$`, 'i')))) {
+                const change = this.parseAlterColumn(tableName, sql.unquoteIdentifier(match[1]), match[2].trim());
+                if (change) statements.push(change);
+            }
+        }
+        return statements.length > 0 ? [this.modify(tableName, statements)] : [];
+    }
+
+    // ADD CONSTRAINT ... as index, foreign key and check statements
+    parseConstraint(tableName, definition) {
+        const scratch = this.scratchTable(tableName);
+        this.sql.parseTableConstraint(scratch, definition);
+        const statements = [];
+        for (const index of scratch.indexes) {
+            this.indexTables[index.name] = tableName;
+            statements.push({ action: 'index', index: index.type === 'primary' && index.name === 'primary' ? { ...index, name: this.primaryKeyName(tableName) } : index });
+        }
+        for (const foreignKey of scratch.foreignKeys) {
+            if (foreignKey.name) this.foreignKeys[foreignKey.name] = { table: tableName, column: foreignKey.column };
+            statements.push({ action: 'foreign', foreignKey });
+        }
+        for (const check of scratch.checks) statements.push({ action: 'check', check });
+        return statements;
+    }
+
+    parseColumnDefinition(tableName, definition) {
+        const scratch = this.scratchTable(tableName);
+        this.sql.parseColumn(scratch, definition);
+        const [parsed] = Object.values(scratch.columns);
+        if (!parsed) return null;
+        const { provenance, ...column } = parsed;
+        return this.normalizeColumn(column);
+    }
+
+    scratchTable(name) {
+        return { name, columns: {}, foreignKeys: [], indexes: [], checks: [] };
+    }
+
+    /**
+     * A named constraint may be a foreign key, a unique or primary key or a
+     * check; the foreign keys seen so far tell which column it covered.
+     */
+    dropConstraint(tableName, name) {
+        const foreignKey = this.foreignKeys[name];
+        if (foreignKey && foreignKey.table === tableName) {
+            delete this.foreignKeys[name];
+            return { action: 'dropForeign', columns: [foreignKey.column] };
+        }
+        if (this.indexTables[name]) return { action: 'dropIndex', name };
+        return { action: 'dropCheck', name };
+    }
+
+    // Schema tools rename indexes whose generated names went stale after a table or column rename
+    renameIndex(tableName, from, to) {
+        this.indexTables[to] = tableName;
+        return [{ action: 'renameIndex', from, to }];
+    }
+
+    // PostgreSQL: ALTER col TYPE x, SET/DROP NOT NULL, SET/DROP DEFAULT
+    parseAlterColumn(tableName, name, change) {
+        let match;
+        if ((match = change.match(/^(?:SET\s+DATA\s+)?TYPE\s+([\s\S]+?)(?:\s+USING\s+[\s\S]*)?$/i))) {
+            const parsed = this.parseColumnDefinition(tableName, `${name} ${match[1]}`);
+            if (!parsed) return null;
+            const column = { name };
+            for (const key of TYPE_KEYS) {
+                if (parsed[key] !== undefined) column[key] = parsed[key];
+            }
+            return { action: 'change', column };
+        }
+        if (/^SET\s+NOT\s+NULL$/i.test(change)) return { action: 'change', column: { name, nullable: false } };
+        if (/^DROP\s+NOT\s+NULL$/i.test(change)) return { action: 'change', column: { name, nullable: true } };
+        if (/^DROP\s+DEFAULT$/i.test(change)) return { action: 'change', column: { name, default: null } };
+        if ((match = change.match(/^SET\s+DEFAULT\s+([\s\S]+)$/i))) {
+            return { action: 'change', column: { name, default: this.sql.extractColumnDefault(`DEFAULT ${match[1]}`) } };
+        }
+        return null;
+    }
+}
+
+export { SqlMigrationParser };
@@ -0,0 +1,309 @@
+/**
+ * Symfony Config Parser
+ *
+ * Reads a Symfony application's configuration without booting its kernel:
+ * YAML files (config/packages/*.yaml, services.yaml, routes) including the
+ * tags Symfony adds to YAML (`!php/const`, `!tagged_iterator`, `!service`,
+ * ...), with their `%env(...)%` and `%parameter%` placeholders resolved and
+ * credentials redacted, the service definitions of services.yaml with the
+ * files their resource globs take in, and the bundles config/bundles.php
+ * enables. Environment values come from `.env`, which Symfony commits as
+ * the file of defaults; local overrides and real secrets live in
+ * `.env.local`, which is never read.
+ */
+
+import path from 'path';
+import yaml from 'js-yaml';
+import { REDACTED, isSensitiveKey, isSensitiveEnv, redactSecret, redactValue, parseDotenv } from './config-redaction.mjs';
+import { parseArrayEntries, parseConstantExpression } from './php-source.mjs';
+
+const SYMFONY_TAGS = [
+    'php/const', 'php/enum', 'php/object', 'tagged', 'tagged_iterator', 'tagged_locator', 'service',
+    'service_closure', 'closure', 'iterator', 'service_locator', 'abstract', 'returns_clone', 'env'
+];
+
+// Values carrying a YAML tag, told apart from mappings that merely have a `tag` key
+class TaggedValue {
+    constructor(tag, value) {
+        this.tag = tag;
+        this.value = value;
+    }
+}
+
+const SYMFONY_SCHEMA = yaml.DEFAULT_SCHEMA.extend(SYMFONY_TAGS.flatMap(tag => ['scalar', 'sequence', 'mapping'].map(kind => new yaml.Type(`!${tag}`, {
+    kind,
+    construct: data => new TaggedValue(tag, data === null && kind === 'mapping' ? {} : data)
+}))));
+
+// The processors that change an env value's type (`%env(int:PORT)%`)
+const CASTS = {
+    int: value => Number.parseInt(value, 10),
+    float: value => Number.parseFloat(value),
+    bool: value => ['true', 'on', 'yes', '1'].includes(String(value).toLowerCase()),
+    not: value => !['true', 'on', 'yes', '1'].includes(String(value).toLowerCase()),
+    string: value => String(value),
+    json: value => {
+        try {
+            return JSON.parse(value);
+        } catch {
+            return value;
+        }
+    }
+};
+
+class SymfonyConfigParser {
+    /**
+     * `dotenv` is the content of `.env`; `parameters` are container
+     * parameters `%name%` placeholders resolve against (see `setParameters()`).
+     */
+    constructor(dotenv = '', parameters = {}) {
+        this.env = parseDotenv(dotenv);
+        this.parameters = parameters;
+    }
+
+    // Loads YAML with Symfony's tags kept as `TaggedValue`s
+    load(content) {
+        return yaml.load(content, { schema: SYMFONY_SCHEMA }) || {};
+    }
+
+    /**
+     * Parses a YAML config file into `{ values, env }`, the shape the other
+     * config parsers return: nested values with each `%env()%` reference as
+     * `{ env, processors?, default?, value }`, listed under its dotted path in
+     * `env`. `when@prod:` sections are kept apart under `environments`.
+     */
+    parse(content) {
+        const references = [];
+        const loaded = this.load(content);
+        const values = {};
+        const environments = {};
+
+        for (const [key, value] of Object.entries(loaded && typeof loaded === 'object' ? loaded : {})) {
+            const environment = key.match(/^when@(\w+)$/);
+            if (environment) {
+                environments[environment[1]] = this.resolve(value, [key], references);
+            } else {
+                values[key] = this.resolve(value, [key], references);
+            }
+        }
+
+        const result = { values, env: references };
+        if (Object.keys(environments).length > 0) result.environments = environments;
+        return result;
+    }
+
+    /**
+     * Resolves the `parameters:` section of services.yaml (and any other
+     * file) so later placeholders can use it. Parameters may reference each
+     * other and the environment.
+     */
+    setParameters(parameters) {
+        for (const [name, value] of Object.entries(parameters || {})) {
+            this.parameters[name] = this.resolve(value, ['parameters', name], []);
+        }
+    }
+
+    resolve(value, keyPath, references) {
+        const sensitive = keyPath.length > 0 && isSensitiveKey(keyPath[keyPath.length - 1]);
+
+        if (value instanceof TaggedValue) {
+            return { tag: value.tag, value: this.resolve(value.value, keyPath, references) };
+        }
+        if (Array.isArray(value)) {
+            return value.map((entry, index) => this.resolve(entry, [...keyPath, String(index)], references));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value)
+                .map(([key, entry]) => [key, this.resolve(entry, [...keyPath, key], references)]));
+        }
+        if (typeof value !== 'string') return value;
+
+        const whole = value.match(/^%env\(([^)%]+)\)%$/);
+        if (whole) return this.parseEnvReference(whole[1], keyPath, references, sensitive);
+
+        const parameter = value.match(/^%([^%\s]+)%$/);
+        if (parameter && Object.prototype.hasOwnProperty.call(this.parameters, parameter[1])) {
+            return this.parameters[parameter[1]];
+        }
+
+        if (/%env\([^)%]+\)%/.test(value)) {
+            // "%kernel.project_dir%/var/%env(APP_ENV)%.db" stays an expression
+            for (const match of value.matchAll(/%env\(([^)%]+)\)%/g)) {
+                this.parseEnvReference(match[1], keyPath, references, sensitive);
+            }
+            return { expression: sensitive ? REDACTED : this.substituteParameters(value) };
+        }
+
+        const substituted = this.substituteParameters(value);
+        return sensitive && substituted !== '' ? REDACTED : redactValue(substituted);
+    }
+
+    // Known `%name%` parameters are substituted; unknown ones (kernel.project_dir) and `%%` stay as written
+    substituteParameters(value) {
+        return value.replace(/%([^%\s]+)%/g, (placeholder, name) => {
+            const resolved = this.parameters[name];
+            if (resolved === undefined || (resolved !== null && typeof resolved === 'object')) return placeholder;
+            return String(resolved);
+        });
+    }
+
+    /**
+     * `%env(int:default:fallback_param:PORT)%` becomes `{ env, processors,
+     * default, value }`: the processors in order, the parameter a `default:`
+     * processor falls back to, and what `.env` sets (else that fallback),
+     * cast by the type processors.
+     */
+    parseEnvReference(expression, keyPath, references, sensitive) {
+        const tokens = expression.split(':');
+        const key = tokens.pop();
+        const processors = [];
+        let fallback;
+        for (let i = 0; i < tokens.length; i++) {
+            processors.push(tokens[i]);
+            if (tokens[i] === 'default') fallback = tokens[++i];
+        }
+
+        const redact = sensitive || isSensitiveEnv(key);
+        const reference = { env: key };
+        if (processors.length > 0) reference.processors = processors;
+        if (fallback !== undefined) {
+            const defaultValue = fallback === '' ? null : this.parameterValue(fallback);
+            reference.default = redact ? redactSecret(defaultValue) : defaultValue;
+        }
+
+        if (Object.prototype.hasOwnProperty.call(this.env, key)) {
+            let value = this.env[key];
+            if (processors.includes('resolve')) value = this.substituteParameters(value);
+            for (const processor of [...processors].reverse()) {
+                if (CASTS[processor]) value = CASTS[processor](value);
+            }
+            reference.value = redact ? redactSecret(value) : redactValue(value);
+        } else {
+            reference.value = reference.default !== undefined ? reference.default : null;
+        }
+
+        references.push({ path: keyPath.join('.'), ...reference });
+        return reference;
+    }
+
+    parameterValue(name) {
+        const value = this.parameters[name];
+        if (value === undefined) return { parameter: name };
+        return value && typeof value === 'object' && value.env !== undefined ? value.value : value;
+    }
+
+    /**
+     * The service definitions of a resolved services.yaml: `_defaults`,
+     * `_instanceof` rules, resource imports (`App\: { resource: '../src/' }`)
+     * and explicit services with their class, arguments, method calls, tags,
+     * aliases, factories and decoration.
+     */
+    describeServices(services) {
+        const description = { defaults: {}, instanceof: {}, resources: [], definitions: {}, aliases: {} };
+
+        for (const [id, definition] of Object.entries(services || {})) {
+            if (id === '_defaults') {
+                description.defaults = definition || {};
+                continue;
+            }
+            if (id === '_instanceof') {
+                description.instanceof = definition || {};
+                continue;
+            }
+            // App\Mailer: '@app.mailer' and `alias:` entries point at another service
+            if (typeof definition === 'string' && definition.startsWith('@')) {
+                description.aliases[id] = definition.slice(1);
+                continue;
+            }
+            if (definition && typeof definition === 'object' && typeof definition.alias === 'string') {
+                description.aliases[id] = definition.alias;
+                continue;
+            }
+
+            const entry = definition && typeof definition === 'object' && !definition.tag ? definition : {};
+            if (entry.resource) {
+                description.resources.push({
+                    namespace: id.replace(/\\$/, ''),
+                    resource: entry.resource,
+                    exclude: [].concat(entry.exclude || []),
+                    ...this.serviceOptions(entry)
+                });
+                continue;
+            }
+
+            description.definitions[id] = {
+                id,
+                class: typeof entry.class === 'string' ? entry.class : id,
+                ...this.serviceOptions(entry)
+            };
+        }
+
+        return description;
+    }
+
+    serviceOptions(entry) {
+        const options = {};
+        for (const key of ['autowire', 'autoconfigure', 'public', 'shared', 'lazy', 'abstract', 'parent', 'decorates', 'factory', 'configurator']) {
+            if (entry[key] !== undefined) options[key] = entry[key];
+        }
+        if (entry.arguments !== undefined) options.arguments = entry.arguments;
+        if (entry.bind !== undefined) options.bind = entry.bind;
+        if (Array.isArray(entry.calls)) options.calls = entry.calls;
+        if (Array.isArray(entry.tags)) {
+            // tags: ['kernel.event_listener', { name: 'kernel.event_listener', event: 'kernel.request' }]
+            options.tags = entry.tags.map(tag => (typeof tag === 'string' ? { name: tag } : tag && tag.name ? tag : { name: Object.keys(tag || {})[0], ...Object.values(tag || {})[0] }));
+        }
+        return options;
+    }
+
+    /**
+     * Tests whether a project-relative file falls under a resource path
+     * (already resolved against the file declaring it): a directory, a
+     * file, or a glob with `*`, `**` and `{a,b}` alternatives, as in
+     * `exclude: '../src/{DependencyInjection,Entity,Kernel.php}'`.
+     */
+    resourceMatcher(resource) {
+        const matchers = this.expandBraces(String(resource)).map(pattern => {
+            if (!pattern.includes('*')) {
+                const target = pattern.replace(/[\\/]+$/, '');
+                return file => file === target || file.startsWith(`${target}${path.sep}`);
+            }
+            const expression = new RegExp(`^${pattern
+                .split('**/').map(part => part
+                    .split('*').map(segment => segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*'))
+                .join('(?:.*/)?')}$`);
+            return file => expression.test(file);
+        });
+        return file => matchers.some(matches => matches(file));
+    }
+
+    expandBraces(pattern) {
+        const group = pattern.match(/\{([^{}]*)\}/);
+        if (!group) return [pattern];
+        return group[1].split(',').flatMap(alternative => this.expandBraces(
+            `${pattern.slice(0, group.index)}${alternative}${pattern.slice(group.index + group[0].length)}`
+        ));
+    }
+
+    /**
+     * The bundles config/bundles.php enables, each with the environments it
+     * is enabled in: `Foo\FooBundle::class => ['dev' => true, 'test' => true]`.
+     */
+    parseBundles(content) {
+        const body = content.match(/return\s+([\s\S]*?);\s*$/);
+        const entries = body ? parseArrayEntries(body[1].trim()) : null;
+        const bundles = {};
+        for (const entry of entries || []) {
+            if (!entry.key) continue;
+            const bundle = parseConstantExpression(entry.key, { imports: {}, namespace: null });
+            const environments = parseConstantExpression(entry.value, { imports: {}, namespace: null });
+            if (typeof bundle !== 'string') continue;
+            bundles[bundle] = environments && typeof environments === 'object' && !environments.expression
+                ? Object.keys(environments).filter(environment => environments[environment] === true)
+                : [];
+        }
+        return bundles;
+    }
+}
+
+export { SymfonyConfigParser };
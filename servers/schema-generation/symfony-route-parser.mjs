@@ -0,0 +1,578 @@
+/**
+ * Symfony Route Parser
+ *
+ * Produces the same flat route table the Laravel parser does from a Symfony
+ * application's routing: the YAML files under config/ (routes, imports with
+ * their prefixes, name prefixes and overrides, localized paths, template and
+ * redirect routes) and the `#[Route]` attributes or `@Route` annotations of
+ * the controllers they import, with class-level prefixes and Symfony's
+ * default route names. Inline requirements and defaults (`{page<\d+>?1}`)
+ * become parameter patterns and optional parameters. Each route's
+ * middleware is derived from the security configuration: the firewall
+ * matching its path, the first matching `access_control` rule and the
+ * `#[IsGranted]` attributes of its controller become `auth:<firewall>` and
+ * `can:<attribute>` entries.
+ */
+
+import path from 'path';
+import { parseAttributeArguments } from './php-source.mjs';
+
+const ROUTE_ATTRIBUTES = [
+    'Symfony\\Component\\Routing\\Attribute\\Route',
+    'Symfony\\Component\\Routing\\Annotation\\Route',
+    'Sensio\\Bundle\\FrameworkExtraBundle\\Configuration\\Route'
+];
+
+// SensioFrameworkExtraBundle's @Method({"GET", "POST"}) on older controllers
+const METHOD_ATTRIBUTE = 'Sensio\\Bundle\\FrameworkExtraBundle\\Configuration\\Method';
+
+const GRANT_ATTRIBUTES = [
+    'Symfony\\Component\\Security\\Http\\Attribute\\IsGranted',
+    'Sensio\\Bundle\\FrameworkExtraBundle\\Configuration\\IsGranted'
+];
+
+const SECURITY_EXPRESSION_ATTRIBUTE = 'Sensio\\Bundle\\FrameworkExtraBundle\\Configuration\\Security';
+
+// Constructor parameter order of the Route attribute
+const ROUTE_PARAMETERS = ['path', 'name', 'requirements', 'options', 'defaults', 'host', 'methods', 'schemes', 'condition', 'priority', 'locale', 'format', 'utf8', 'stateless', 'env'];
+
+const ANY_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+// Security attributes that let anyone through
+const PUBLIC_ATTRIBUTES = ['PUBLIC_ACCESS', 'IS_AUTHENTICATED_ANONYMOUSLY'];
+
+// Symfony\Component\Routing\Requirement\Requirement constants
+const REQUIREMENTS = {
+    ASCII_SLUG: '[A-Za-z0-9]+(?:-[A-Za-z0-9]+)*',
+    CATCH_ALL: '.+',
+    DATE_YMD: '[0-9]{4}-(?:0[1-9]|1[012])-(?:0[1-9]|[12][0-9]|(?<!02-)3[01])',
+    DIGITS: '[0-9]+',
+    POSITIVE_INT: '[1-9][0-9]*',
+    ULID: '[0-7][0-9A-HJKMNP-TV-Z]{25}',
+    UUID: '[0-9a-f]{8}-[0-9a-f]{4}-[13-8][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}'
+};
+
+// Characters Symfony's route compiler treats as the separator before a placeholder
+const SEPARATORS = '/,;.:-_~+*=@|';
+
+class SymfonyRouteParser {
+    /**
+     * @param {Object} options
+     * @param {Object} options.classes - PhpClassAnalyzer descriptions keyed by
+     *   fully qualified class name, each with the `path` of its file
+     * @param {Function} options.readFile - synchronous lookup of a
+     *   project-relative YAML file
+     * @param {SymfonyConfigParser} options.config - resolves the parameters
+     *   and Symfony YAML tags of route files
+     * @param {Object} options.security - the resolved `security:` configuration
+     */
+    constructor({ classes = {}, readFile = () => null, config, security = {} }) {
+        this.classes = classes;
+        this.readFile = readFile;
+        this.config = config;
+        this.security = security || {};
+        this.loadedFiles = new Set();
+    }
+
+    /**
+     * Loads the route files in the order the kernel imports them
+     * (config/routes/*.yaml, then config/routes.yaml); a route redefined
+     * under the same name replaces the earlier one. Routes are returned in
+     * matching order: by priority, then as loaded.
+     */
+    parse(files) {
+        const raw = [];
+        for (const file of files) {
+            this.addRoutes(raw, this.loadFile(file));
+        }
+        return raw
+            .map((route, position) => ({ route, position }))
+            .sort((a, b) => (b.route.priority || 0) - (a.route.priority || 0) || a.position - b.position)
+            .map(({ route }) => this.finalizeRoute(route));
+    }
+
+    addRoutes(collection, routes) {
+        for (const route of routes) {
+            const existing = collection.findIndex(candidate => candidate.name === route.name);
+            if (existing !== -1) collection.splice(existing, 1);
+            collection.push(route);
+        }
+    }
+
+    loadFile(file) {
+        if (this.loadedFiles.has(file)) return [];
+        this.loadedFiles.add(file);
+        const content = this.readFile(file);
+        if (content === null || content === undefined) return [];
+
+        const routes = [];
+        // `when@dev:` sections only apply to other environments
+        for (const [name, definition] of Object.entries(this.config.parse(content).values)) {
+            if (!definition || typeof definition !== 'object') continue;
+            if (definition.resource !== undefined) {
+                this.addRoutes(routes, this.loadImport(definition, file));
+            } else if (definition.path !== undefined) {
+                this.addRoutes(routes, this.yamlRoutes(name, definition, file));
+            }
+        }
+        return routes;
+    }
+
+    /**
+     * An import (`resource:`) loads another route file, the attribute routes
+     * of a directory or class, or every routed controller
+     * (`routing.controllers`), then applies its prefix, name prefix and
+     * overrides to what it loaded. Directory and glob imports leave out
+     * the classes their `exclude:` paths cover. Bundle resources
+     * (`@FrameworkBundle/...`) live outside the project and are skipped.
+     */
+    loadImport(definition, file) {
+        const resource = definition.resource;
+        const type = definition.type || null;
+        const exclude = [].concat(definition.exclude || []).filter(entry => typeof entry === 'string');
+        let routes = [];
+
+        if (resource === 'routing.controllers') {
+            routes = Object.keys(this.classes)
+                .filter(fqcn => this.isRoutedController(this.classes[fqcn]))
+                .sort((a, b) => this.classes[a].path.localeCompare(this.classes[b].path))
+                .flatMap(fqcn => this.classRoutes(fqcn));
+        } else if (resource && typeof resource === 'object' && typeof resource.path === 'string') {
+            // resource: { path: ../src/Controller/, namespace: App\Controller }
+            routes = this.resourceRoutes(resource.path, file, type, exclude, resource.namespace);
+        } else if (typeof resource === 'string' && !resource.startsWith('@')) {
+            routes = this.resourceRoutes(resource, file, type, exclude);
+        }
+
+        return routes.flatMap(route => this.applyImport(route, definition));
+    }
+
+    resourceRoutes(resource, file, type, exclude = [], namespace = null) {
+        const fqcn = resource.replace(/^\\/, '');
+        if (this.classes[fqcn]) return this.classRoutes(fqcn);
+
+        const target = path.normalize(path.join(path.dirname(file), resource));
+        if (/\.ya?ml$/.test(target) && !target.includes('*')) return this.loadFile(target);
+        if (type && !['attribute', 'annotation'].includes(type)) return [];
+
+        const matches = this.config.resourceMatcher(target);
+        const excluded = exclude.map(entry => this.config.resourceMatcher(path.normalize(path.join(path.dirname(file), entry))));
+        return Object.keys(this.classes)
+            .filter(candidate => matches(this.classes[candidate].path) && !excluded.some(isExcluded => isExcluded(this.classes[candidate].path)) && (!namespace || candidate.startsWith(`${namespace.replace(/\\$/, '')}\\`)))
+            .sort((a, b) => this.classes[a].path.localeCompare(this.classes[b].path))
+            .flatMap(candidate => this.classRoutes(candidate));
+    }
+
+    // A class a `routing.controllers` import loads: one with a Route attribute on itself or a method
+    isRoutedController(description) {
+        return this.routeAttributes(description).length > 0 ||
+            (description.methods || []).some(method => this.routeAttributes(method).length > 0);
+    }
+
+    /**
+     * Import options replace what the imported routes define (host,
+     * methods, schemes, condition) or are merged over it (defaults,
+     * requirements); `prefix` and `name_prefix` are prepended. A localized
+     * prefix (`{ en: '', nl: /nl }`) prefixes each localized route with its
+     * locale's prefix and turns the others into one route per locale.
+     */
+    applyImport(route, definition) {
+        const prefix = definition.prefix;
+        if (prefix && typeof prefix === 'object' && route.defaults._locale === undefined) {
+            return this.localize({ ...route, path: Object.fromEntries(Object.keys(prefix).map(locale => [locale, route.path])) })
+                .flatMap(localized => this.applyImport(localized, definition));
+        }
+
+        const imported = { ...route, requirements: { ...route.requirements }, defaults: { ...route.defaults } };
+        const routePrefix = prefix && typeof prefix === 'object' ? prefix[route.defaults._locale] : prefix;
+        if (routePrefix !== undefined && routePrefix !== null) {
+            imported.path = this.prefixPath(String(routePrefix), route.path, definition.trailing_slash_on_root !== false);
+        }
+        if (typeof definition.name_prefix === 'string') imported.name = `${definition.name_prefix}${route.name}`;
+        Object.assign(imported.defaults, definition.defaults || {});
+        Object.assign(imported.requirements, definition.requirements || {});
+        if (definition.locale !== undefined) imported.defaults._locale = definition.locale;
+        if (definition.format !== undefined) imported.defaults._format = definition.format;
+        if (definition.stateless !== undefined) imported.defaults._stateless = definition.stateless;
+        if (definition.host !== undefined) imported.host = definition.host;
+        if (definition.methods !== undefined) imported.methods = this.listOption(definition.methods);
+        if (definition.schemes !== undefined) imported.schemes = this.listOption(definition.schemes);
+        if (definition.condition !== undefined) imported.condition = definition.condition;
+        return [imported];
+    }
+
+    // The imported root path keeps its trailing slash unless `trailing_slash_on_root: false`
+    prefixPath(prefix, routePath, trailingSlashOnRoot) {
+        const trimmed = prefix.trim().replace(/^\/+|\/+$/g, '');
+        if (trimmed === '') return routePath;
+        if (routePath === '/' && !trailingSlashOnRoot) return `/${trimmed}`;
+        return `/${trimmed}${routePath}`;
+    }
+
+    // `methods: GET|POST` and `methods: [GET, POST]` alike
+    listOption(value) {
+        return [].concat(value || [])
+            .flatMap(entry => String(entry).split('|'))
+            .map(entry => entry.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * A route defined in YAML: `controller: App\Controller\BlogController::show`
+     * (or `defaults._controller`), `template:` for a TemplateController route
+     * and `redirect_to_route:`/`redirect_to_url:` for a RedirectController one.
+     */
+    yamlRoutes(name, definition, file) {
+        const defaults = { ...(definition.defaults || {}) };
+        let action;
+        if (definition.template !== undefined) {
+            action = { type: 'view', view: definition.template };
+        } else if (definition.redirect_to_route !== undefined || definition.redirect_to_url !== undefined) {
+            action = {
+                type: 'redirect',
+                to: definition.redirect_to_route !== undefined ? { route: definition.redirect_to_route } : definition.redirect_to_url,
+                status: definition.permanent ? 301 : 302
+            };
+        } else {
+            action = this.controllerAction(definition.controller !== undefined ? definition.controller : defaults._controller);
+        }
+        delete defaults._controller;
+        if (definition.locale !== undefined) defaults._locale = definition.locale;
+        if (definition.format !== undefined) defaults._format = definition.format;
+        if (definition.stateless !== undefined) defaults._stateless = definition.stateless;
+
+        return this.localize({
+            name,
+            path: definition.path,
+            methods: this.listOption(definition.methods),
+            requirements: { ...(definition.requirements || {}) },
+            defaults,
+            host: definition.host,
+            schemes: this.listOption(definition.schemes),
+            condition: definition.condition,
+            priority: 0,
+            action,
+            file
+        });
+    }
+
+    /**
+     * `App\Controller\BlogController::show`, an invokable `App\Controller\HomeController`
+     * or the service notation `app.blog_controller:show`.
+     */
+    controllerAction(controller) {
+        if (typeof controller !== 'string' || controller === '') return { type: 'unknown' };
+        const match = controller.match(/^(.+?)::?(\w+)$/);
+        const [controllerClass, method] = match ? [match[1], match[2]] : [controller, '__invoke'];
+        return this.action(controllerClass.replace(/^\\/, ''), method);
+    }
+
+    action(controller, method) {
+        return { type: 'controller', controller, method, uses: `${controller}::${method}` };
+    }
+
+    /**
+     * A localized route (`path: { en: /about-us, nl: /over-ons }`) becomes one
+     * route per locale named `name.locale`, the way Symfony registers it.
+     */
+    localize(route) {
+        if (typeof route.path === 'string') return [route];
+        if (!route.path || typeof route.path !== 'object') return [];
+        return Object.entries(route.path).map(([locale, localePath]) => ({
+            ...route,
+            name: `${route.name}.${locale}`,
+            path: localePath,
+            defaults: { ...route.defaults, _locale: locale },
+            requirements: { ...route.requirements, _locale: locale.replace(/[.\\+*?[^\]$(){}=!<>|:#-]/g, '\\$&') }
+        }));
+    }
+
+    // The Route attributes and annotations on a class or method, with their arguments read
+    routeAttributes(member, description = member) {
+        const scope = { imports: description.imports || {}, namespace: description.namespace };
+        return [...(member.attributes || []), ...(member.annotations || [])]
+            .filter(entry => ROUTE_ATTRIBUTES.includes(entry.name))
+            .map(entry => {
+                const args = parseAttributeArguments(entry.arguments, scope, ROUTE_PARAMETERS);
+                // Annotations name the path `value`
+                if (args.path === undefined && args.value !== undefined) args.path = args.value;
+                return args;
+            });
+    }
+
+    /**
+     * The routes of a controller class's Route attributes. A class-level
+     * Route sets the prefix, name prefix and shared options of its methods'
+     * routes, or routes the class itself when only `__invoke` is left.
+     */
+    classRoutes(fqcn) {
+        const description = this.classes[fqcn];
+        if (!description || description.kind !== 'class' || (description.modifiers || []).includes('abstract')) return [];
+
+        const classAttributes = this.routeAttributes(description);
+        const globals = classAttributes[0] || {};
+        const methods = this.methodsOf(description);
+        const routes = [];
+
+        for (const { method, owner } of methods) {
+            if (method.visibility !== 'public' || method.static) continue;
+            const counter = { index: 0 };
+            for (const args of this.routeAttributes(method, owner)) {
+                routes.push(...this.attributeRoute(args, globals, fqcn, method, owner, counter));
+            }
+        }
+
+        const invoke = methods.find(({ method }) => method.name === '__invoke');
+        if (routes.length === 0 && invoke) {
+            const counter = { index: 0 };
+            for (const args of classAttributes) {
+                routes.push(...this.attributeRoute(args, {}, fqcn, invoke.method, description, counter));
+            }
+        }
+        return routes;
+    }
+
+    // Public methods a controller declares or inherits from project classes
+    methodsOf(description, seen = new Set()) {
+        const methods = (description.methods || []).map(method => ({ method, owner: description }));
+        const parent = description.extends && this.classes[description.extends];
+        if (parent && !seen.has(description.extends)) {
+            seen.add(description.extends);
+            const names = new Set(methods.map(({ method }) => method.name));
+            methods.push(...this.methodsOf(parent, seen).filter(({ method }) => !names.has(method.name)));
+        }
+        return methods;
+    }
+
+    attributeRoute(args, globals, fqcn, method, owner, counter) {
+        // #[Route(env: 'dev')] routes are not registered in production
+        if (args.env !== undefined && args.env !== null && ![].concat(args.env).includes('prod')) return [];
+
+        const name = typeof args.name === 'string' ? args.name : this.defaultRouteName(fqcn, method.name, counter);
+        const defaults = { ...this.objectOption(globals.defaults), ...this.objectOption(args.defaults) };
+        for (const [key, option] of [['_locale', 'locale'], ['_format', 'format'], ['_stateless', 'stateless']]) {
+            const value = args[option] !== undefined ? args[option] : globals[option];
+            if (value !== undefined && value !== null) defaults[key] = value;
+        }
+        // Controller arguments with a default make the placeholder of the same name optional
+        for (const parameter of method.parameters || []) {
+            if (parameter.default !== undefined && defaults[parameter.name] === undefined) defaults[parameter.name] = parameter.default;
+        }
+
+        const methods = [...this.methodList(globals.methods), ...this.methodList(args.methods)];
+        const scope = { imports: owner.imports || {}, namespace: owner.namespace };
+        for (const annotation of (method.annotations || []).filter(entry => entry.name === METHOD_ATTRIBUTE)) {
+            methods.push(...this.methodList(parseAttributeArguments(annotation.arguments, scope, ['methods']).methods));
+        }
+
+        return this.localize({
+            name: `${typeof globals.name === 'string' ? globals.name : ''}${name}`,
+            path: this.joinPaths(globals.path, args.path),
+            methods,
+            requirements: { ...this.requirementsOption(globals.requirements), ...this.requirementsOption(args.requirements) },
+            defaults,
+            host: args.host !== undefined && args.host !== null ? args.host : globals.host,
+            schemes: [...this.listOption(globals.schemes), ...this.listOption(args.schemes)],
+            condition: args.condition !== undefined && args.condition !== null ? args.condition : globals.condition,
+            priority: typeof args.priority === 'number' ? args.priority : (typeof globals.priority === 'number' ? globals.priority : 0),
+            action: this.action(fqcn, method.name),
+            file: this.classes[fqcn].path
+        });
+    }
+
+    /**
+     * FrameworkBundle's default route name: the lower-cased class and method
+     * joined by underscores, without "bundle"/"controller" suffixes and an
+     * "Action" method suffix, numbered from the second unnamed route of a
+     * method on.
+     */
+    defaultRouteName(fqcn, methodName, counter) {
+        let name = `${fqcn.replace(/\\/g, '_')}_${methodName}`.toLowerCase();
+        if (counter.index > 0) name += `_${counter.index}`;
+        counter.index++;
+        name = name.replace(/(bundle|controller)_/g, '_');
+        if (/(Action|_action)$/.test(methodName)) name = name.replace(/action(_\d+)?$/, '$1');
+        return name.replace(/__/g, '_');
+    }
+
+    joinPaths(prefix, routePath) {
+        const route = routePath === undefined || routePath === null ? '' : routePath;
+        if (prefix === undefined || prefix === null || prefix === '') return typeof route === 'string' ? route || '/' : route;
+        if (typeof prefix === 'string' && typeof route === 'string') return `${prefix}${route}`;
+        if (typeof prefix === 'string') {
+            return Object.fromEntries(Object.entries(route).map(([locale, value]) => [locale, `${prefix}${value}`]));
+        }
+        return Object.fromEntries(Object.entries(prefix).map(([locale, value]) => [
+            locale,
+            `${value}${typeof route === 'string' ? route : (route[locale] || '')}`
+        ]));
+    }
+
+    objectOption(value) {
+        return value && typeof value === 'object' && !Array.isArray(value) && value.expression === undefined ? value : {};
+    }
+
+    // Requirement::DIGITS and other Requirement constants as the pattern they stand for
+    requirementsOption(value) {
+        return Object.fromEntries(Object.entries(this.objectOption(value)).map(([name, requirement]) => {
+            if (requirement && typeof requirement === 'object' && typeof requirement.expression === 'string') {
+                const constant = requirement.expression.match(/Requirement::(\w+)$/);
+                return [name, constant && REQUIREMENTS[constant[1]] ? REQUIREMENTS[constant[1]] : requirement.expression];
+            }
+            return [name, requirement];
+        }));
+    }
+
+    // 'GET', ['GET', 'POST'] or Request::METHOD_POST
+    methodList(value) {
+        return [].concat(value === undefined || value === null ? [] : value).flatMap(entry => {
+            if (entry && typeof entry === 'object' && typeof entry.expression === 'string') {
+                const constant = entry.expression.match(/METHOD_(\w+)$/);
+                return constant ? [constant[1]] : [];
+            }
+            return this.listOption(entry);
+        });
+    }
+
+    finalizeRoute(raw) {
+        const requirements = Object.fromEntries(Object.entries(raw.requirements || {}).map(([name, value]) => [name, String(value)]));
+        const defaults = { ...raw.defaults };
+        const routePath = this.extractInline(String(raw.path), requirements, defaults);
+
+        let methods = [...new Set(raw.methods.map(method => method.toUpperCase()))];
+        if (methods.length === 0) methods = [...ANY_METHODS];
+        else if (methods.includes('GET') && !methods.includes('HEAD')) methods.splice(methods.indexOf('GET') + 1, 0, 'HEAD');
+
+        const optional = this.optionalPlaceholders(routePath, defaults);
+        const uri = routePath
+            .replace(/\{!?(\w+)\}/g, (_, name) => (optional.has(name) ? `{${name}?}` : `{${name}}`))
+            .replace(/^\/+|\/+$/g, '');
+
+        const route = {
+            methods,
+            uri: uri || '/',
+            name: raw.name,
+            action: raw.action,
+            middleware: this.securityMiddleware(routePath, methods, raw.action),
+            parameters: [...routePath.matchAll(/\{!?(\w+)\}/g)].map(([, name]) => {
+                const parameter = { name, optional: optional.has(name) };
+                if (requirements[name]) parameter.pattern = requirements[name];
+                return parameter;
+            })
+        };
+        if (Object.keys(requirements).length > 0) route.where = requirements;
+        if (Object.keys(defaults).length > 0) route.defaults = defaults;
+        if (raw.host) route.domain = raw.host;
+        if (raw.schemes.length > 0) route.schemes = raw.schemes.map(scheme => scheme.toLowerCase());
+        if (raw.condition) route.condition = raw.condition;
+        if (raw.priority) route.priority = raw.priority;
+        route.file = raw.file;
+        return route;
+    }
+
+    // `{id<\d+>?1}` moves its requirement and default into the route and leaves `{id}`
+    extractInline(routePath, requirements, defaults) {
+        return routePath.replace(/\{(!?)(\w+)(<.*?>)?(\?[^}]*)?\}/g, (_, noEncode, name, requirement, fallback) => {
+            if (requirement) requirements[name] = requirement.slice(1, -1);
+            if (fallback) defaults[name] = fallback.length > 1 ? fallback.slice(1) : null;
+            return `{${noEncode}${name}}`;
+        });
+    }
+
+    /**
+     * Placeholders that may be left out: Symfony's route compiler makes the
+     * trailing placeholders optional that have a default, up to the first
+     * static text or placeholder without one.
+     */
+    optionalPlaceholders(routePath, defaults) {
+        const optional = new Set();
+        const tokens = routePath.split(/(\{!?\w+\})/);
+        for (let i = tokens.length - 2; i >= 1; i -= 2) {
+            // Only the separator of the next (optional) placeholder may follow
+            const following = tokens[i + 1];
+            if (following !== '' && !(i + 2 < tokens.length && following.length === 1 && SEPARATORS.includes(following))) break;
+            const name = tokens[i].replace(/^\{!?|\}$/g, '');
+            if (!Object.prototype.hasOwnProperty.call(defaults, name)) break;
+            optional.add(name);
+        }
+        return optional;
+    }
+
+    /**
+     * `auth:<firewall>` when the route requires an authenticated user, plus a
+     * `can:<attribute>` per role or voter attribute required by the first
+     * matching access_control rule and the controller's IsGranted attributes.
+     * Routes behind `security: false` firewalls or no firewall are public.
+     */
+    securityMiddleware(routePath, methods, action) {
+        const firewall = this.firewallFor(routePath, methods);
+        if (!firewall || firewall.config.security === false) return [];
+
+        const rule = this.accessRuleFor(routePath, methods);
+        const attributes = [
+            ...(rule ? this.listOption(rule.roles) : []),
+            ...(action && action.type === 'controller' ? this.grantedAttributes(action.controller, action.method) : [])
+        ].filter(attribute => !PUBLIC_ATTRIBUTES.includes(attribute));
+        if (attributes.length === 0) return [];
+
+        return [
+            `auth:${firewall.name}`,
+            ...[...new Set(attributes)].filter(attribute => !attribute.startsWith('IS_AUTHENTICATED')).map(attribute => `can:${attribute}`)
+        ];
+    }
+
+    // The first firewall whose pattern (and methods) match; one without a pattern matches everything
+    firewallFor(routePath, methods) {
+        for (const [name, config] of Object.entries(this.security.firewalls || {})) {
+            const firewall = config || {};
+            if (firewall.request_matcher) continue;
+            if (firewall.methods && !this.listOption(firewall.methods).some(method => methods.includes(method.toUpperCase()))) continue;
+            const patterns = [].concat(firewall.pattern || []);
+            if (patterns.length === 0 || patterns.some(pattern => this.pathMatches(pattern, routePath))) return { name, config: firewall };
+        }
+        return null;
+    }
+
+    accessRuleFor(routePath, methods) {
+        return (Array.isArray(this.security.access_control) ? this.security.access_control : []).find(rule => rule &&
+            (rule.path === undefined || rule.path === null || this.pathMatches(rule.path, routePath)) &&
+            (!rule.methods || this.listOption(rule.methods).some(method => methods.includes(method.toUpperCase()))));
+    }
+
+    // Security patterns are PCRE; the few JavaScript cannot compile match nothing
+    pathMatches(pattern, routePath) {
+        try {
+            return new RegExp(String(pattern)).test(routePath);
+        } catch {
+            return false;
+        }
+    }
+
+    // IsGranted attributes of the controller class and method, and is_granted() calls of @Security expressions
+    grantedAttributes(controller, methodName) {
+        const description = this.classes[controller];
+        if (!description) return [];
+        const found = this.methodsOf(description).find(({ method }) => method.name === methodName);
+        const members = [[description, description], ...(found ? [[found.method, found.owner]] : [])];
+
+        const attributes = [];
+        for (const [member, owner] of members) {
+            const scope = { imports: owner.imports || {}, namespace: owner.namespace };
+            for (const entry of [...(member.attributes || []), ...(member.annotations || [])]) {
+                if (GRANT_ATTRIBUTES.includes(entry.name)) {
+                    const args = parseAttributeArguments(entry.arguments, scope, ['attribute']);
+                    const attribute = args.attribute !== undefined ? args.attribute : args.attributes;
+                    attributes.push(...[].concat(attribute).filter(value => typeof value === 'string'));
+                } else if (entry.name === SECURITY_EXPRESSION_ATTRIBUTE) {
+                    const expression = parseAttributeArguments(entry.arguments, scope, ['expression']).expression;
+                    for (const match of String(typeof expression === 'string' ? expression : '').matchAll(/is_granted\(\s*['"]([^'"]+)['"]/g)) {
+                        attributes.push(match[1]);
+                    }
+                }
+            }
+        }
+        return attributes;
+    }
+}
+
+export { SymfonyRouteParser };
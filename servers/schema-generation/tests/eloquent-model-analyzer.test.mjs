@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EloquentModelAnalyzer } from '../eloquent-model-analyzer.mjs';
+
+test('a model without $guarded is fully guarded, as Laravel defaults to [\'*\']', () => {
+    const model = new EloquentModelAnalyzer().analyze(`<?php
+namespace App\\Models;
+
+use Illuminate\\Database\\Eloquent\\Model;
+
+class Invoice extends Model
+{
+}`);
+
+    assert.deepEqual(model.guarded, ['*']);
+    assert.deepEqual(new EloquentModelAnalyzer().analyze(`<?php
+class Invoice extends Model
+{
+    protected $guarded = [];
+}`).guarded, []);
+});
+
+test('the parent class resolves through the imports and namespace', () => {
+    const analyzer = new EloquentModelAnalyzer();
+
+    assert.equal(analyzer.analyze(`<?php
+namespace App\\Models;
+
+use Illuminate\\Foundation\\Auth\\User as Authenticatable;
+
+class User extends Authenticatable
+{
+}`).extends, 'Illuminate\\Foundation\\Auth\\User');
+    assert.equal(analyzer.analyze(`<?php
+namespace App\\Models;
+
+class Admin extends User
+{
+}`).extends, 'App\\Models\\User');
+});
+
+test('traits come from the class body, resolved like the parent class', () => {
+    const model = new EloquentModelAnalyzer().analyze(`<?php
+namespace App\\Models;
+
+use Illuminate\\Database\\Eloquent\\Concerns\\HasUuids;
+use Illuminate\\Database\\Eloquent\\Model;
+use Illuminate\\Database\\Eloquent\\SoftDeletes;
+
+class Invoice extends Model
+{
+    use HasUuids, SoftDeletes;
+    use Billable;
+}`);
+
+    assert.deepEqual(model.traits, [
+        'Illuminate\\Database\\Eloquent\\Concerns\\HasUuids',
+        'Illuminate\\Database\\Eloquent\\SoftDeletes',
+        'App\\Models\\Billable'
+    ]);
+    assert.equal(model.softDeletes, true);
+    assert.equal(model.keyType, 'string');
+});
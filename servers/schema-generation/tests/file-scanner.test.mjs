@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { FileScanner } from '../file-scanner.mjs';
+
+async function withProject(files, callback) {
+    const projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'file-scanner-'));
+    try {
+        for (const [file, content] of Object.entries(files)) {
+            await fs.mkdir(path.dirname(path.join(projectRoot, file)), { recursive: true });
+            await fs.writeFile(path.join(projectRoot, file), content);
+        }
+        await callback(projectRoot);
+    } finally {
+        await fs.rm(projectRoot, { recursive: true, force: true });
+    }
+}
+
+const toPosix = files => files.map(file => file.split(path.sep).join('/'));
+
+test('.gitignore and schemaignore rules leave paths out, the last matching rule deciding', () => withProject({
+    '.gitignore': '# build output\n/build/\nnode_modules/\n*.log\n!keep.log\napp/**/Generated*.php\n',
+    '.taskmaster/schemaignore': 'app/Legacy\n',
+    'app/Models/User.php': '<?php',
+    'app/Models/GeneratedUser.php': '<?php',
+    'app/Legacy/Order.php': '<?php',
+    'build/app.php': '<?php',
+    'lib/build/helper.php': '<?php',
+    'lib/node_modules/pkg/index.php': '<?php',
+    'storage/debug.log': '',
+    'storage/keep.log': ''
+}, async projectRoot => {
+    const scanner = new FileScanner(projectRoot);
+    await scanner.loadIgnoreFiles();
+
+    assert.deepEqual(toPosix(await scanner.walk('.', { skipDirectory: name => name === '.taskmaster', accept: name => name !== '.gitignore' })), [
+        'app/Models/User.php',
+        'lib/build/helper.php',
+        'storage/keep.log'
+    ]);
+    assert.deepEqual(await scanner.walk('app/Legacy'), []);
+}));
+
+test('an extra pattern with a trailing slash ignores directories only', () => withProject({
+    'app/cache/User.php': '<?php',
+    'app/Models/cache': '',
+    'app/Models/User.php': '<?php'
+}, async projectRoot => {
+    const scanner = new FileScanner(projectRoot, { ignore: ['cache/'] });
+
+    assert.deepEqual(toPosix(await scanner.walk('app')), ['app/Models/cache', 'app/Models/User.php']);
+}));
+
+test('files past the budget are skipped and counted, files already taken in are not', () => withProject({
+    'app/Models/Comment.php': '<?php',
+    'app/Models/Post.php': '<?php',
+    'app/Models/User.php': '<?php',
+    'routes/api.php': '<?php'
+}, async projectRoot => {
+    const scanner = new FileScanner(projectRoot, { maxFiles: 2, concurrency: 1 });
+
+    assert.deepEqual(toPosix(await scanner.walk('app/Models')), ['app/Models/Comment.php', 'app/Models/Post.php']);
+    assert.deepEqual(toPosix(await scanner.walk('app')), ['app/Models/Comment.php', 'app/Models/Post.php']);
+    assert.deepEqual(await scanner.walk('routes'), []);
+    assert.deepEqual(scanner.report(), { concurrency: 1, budget: 2, scanned: 4, skipped: 2 });
+}));
+
+test('the pool keeps at most `concurrency` tasks in flight and results in order', async () => {
+    const scanner = new FileScanner('.', { concurrency: 2 });
+    let active = 0;
+    let peak = 0;
+
+    const results = await scanner.map([30, 10, 20, 5], async delay => {
+        peak = Math.max(peak, ++active);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        active--;
+        return delay * 2;
+    });
+
+    assert.deepEqual(results, [60, 20, 40, 10]);
+    assert.equal(peak, 2);
+});
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FormRequestAnalyzer } from '../form-request-analyzer.mjs';
+
+test('the parent request resolves through the imports and namespace', () => {
+    const analyzer = new FormRequestAnalyzer();
+
+    assert.equal(analyzer.analyze(`<?php
+namespace App\\Http\\Requests;
+
+use Illuminate\\Foundation\\Http\\FormRequest;
+
+class StorePostRequest extends FormRequest
+{
+}`).extends, 'Illuminate\\Foundation\\Http\\FormRequest');
+    assert.equal(analyzer.analyze(`<?php
+namespace App\\Http\\Requests;
+
+class UpdatePostRequest extends StorePostRequest
+{
+}`).extends, 'App\\Http\\Requests\\StorePostRequest');
+});
@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JsonResourceAnalyzer } from '../json-resource-analyzer.mjs';
+
+test('a collection is recognized by its resolved parent class, even under an alias', () => {
+    const resource = new JsonResourceAnalyzer().analyze(`<?php
+namespace App\\Http\\Resources;
+
+use Illuminate\\Http\\Resources\\Json\\ResourceCollection as Collection;
+
+class UserCollection extends Collection
+{
+}`);
+
+    assert.equal(resource.extends, 'Illuminate\\Http\\Resources\\Json\\ResourceCollection');
+    assert.equal(resource.collection, true);
+    assert.equal(resource.collects, 'App\\Http\\Resources\\UserResource');
+});
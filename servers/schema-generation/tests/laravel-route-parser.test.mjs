@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LaravelRouteParser } from '../laravel-route-parser.mjs';
+
+function parse(content, files = {}, context = {}) {
+    return new LaravelRouteParser(file => files[file] || null).parse(content, 'routes/api.php', context);
+}
+
+const summarize = routes => routes.map(route => [route.methods.join('|'), route.uri, route.name]);
+
+test('groups pass their prefix, name prefix and middleware to the routes inside', () => {
+    const [route] = parse(`<?php
+use App\\Http\\Controllers\\UserController;
+
+Route::prefix('v1')->as('v1.')->middleware(['auth:sanctum', 'verified'])->group(function () {
+    Route::name('users.')->group(function () {
+        Route::get('users/{user}', [UserController::class, 'show'])->name('show')->whereNumber('user')->withoutMiddleware('verified');
+    });
+});`, {}, { prefix: 'api', middleware: ['api'] });
+
+    assert.equal(route.uri, 'api/v1/users/{user}');
+    assert.equal(route.name, 'v1.users.show');
+    assert.deepEqual(route.middleware, ['api', 'auth:sanctum']);
+    assert.deepEqual(route.action, {
+        type: 'controller',
+        controller: 'App\\Http\\Controllers\\UserController',
+        method: 'show',
+        uses: 'App\\Http\\Controllers\\UserController@show'
+    });
+    assert.deepEqual(route.parameters, [{ name: 'user', optional: false, pattern: '[0-9]+' }]);
+});
+
+test('resource() honours except, names and parameters', () => {
+    const routes = parse(`<?php
+use App\\Http\\Controllers\\PhotoController;
+
+Route::as('admin.')->group(function () {
+    Route::resource('photos', PhotoController::class)
+        ->except(['create', 'edit'])
+        ->names(['index' => 'gallery'])
+        ->parameters(['photos' => 'picture']);
+});`);
+
+    assert.deepEqual(summarize(routes), [
+        ['GET|HEAD', 'photos', 'admin.gallery'],
+        ['POST', 'photos', 'admin.photos.store'],
+        ['GET|HEAD', 'photos/{picture}', 'admin.photos.show'],
+        ['PUT|PATCH', 'photos/{picture}', 'admin.photos.update'],
+        ['DELETE', 'photos/{picture}', 'admin.photos.destroy']
+    ]);
+    assert.deepEqual(routes.map(route => route.action.method), ['index', 'store', 'show', 'update', 'destroy']);
+});
+
+test('shallow nested resources move member routes out from under the parent', () => {
+    const routes = parse(`<?php
+use App\\Http\\Controllers\\CommentController;
+
+Route::apiResource('photos.comments', CommentController::class)->shallow();`);
+
+    assert.deepEqual(summarize(routes), [
+        ['GET|HEAD', 'photos/{photo}/comments', 'photos.comments.index'],
+        ['POST', 'photos/{photo}/comments', 'photos.comments.store'],
+        ['GET|HEAD', 'comments/{comment}', 'comments.show'],
+        ['PUT|PATCH', 'comments/{comment}', 'comments.update'],
+        ['DELETE', 'comments/{comment}', 'comments.destroy']
+    ]);
+});
+
+test('base_path() includes register the file\'s routes inside the group', () => {
+    const parser = new LaravelRouteParser(file => (file === 'routes/admin.php' ? `<?php
+use App\\Http\\Controllers\\Admin\\ReportController;
+
+Route::get('reports', [ReportController::class, 'index'])->name('reports.index');` : null));
+    const routes = parser.parse(`<?php
+Route::middleware('can:admin')->prefix('admin')->name('admin.')->group(base_path('routes/admin.php'));`, 'routes/web.php', { middleware: ['web'] });
+
+    assert.deepEqual(summarize(routes), [['GET|HEAD', 'admin/reports', 'admin.reports.index']]);
+    assert.deepEqual(routes[0].middleware, ['web', 'can:admin']);
+    assert.equal(routes[0].file, 'routes/admin.php');
+    assert.equal(routes[0].action.controller, 'App\\Http\\Controllers\\Admin\\ReportController');
+    assert.deepEqual([...parser.includedFiles], ['routes/admin.php']);
+});
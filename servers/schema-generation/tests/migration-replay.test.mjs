@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TaskMasterSchemaGenerator } from '../schema-generator.mjs';
+import { MigrationReplayEngine } from '../migration-replay.mjs';
+import { SqlMigrationParser } from '../sql-migration-parser.mjs';
+
+const generator = new TaskMasterSchemaGenerator('.');
+
+function replay(migrations) {
+    const engine = new MigrationReplayEngine();
+    for (const [filename, content] of migrations) {
+        engine.applyMigration(generator.parseMigrationFile(content, filename));
+    }
+    return engine.getState().tables;
+}
+
+const createBlogPosts = `<?php
+return new class extends Migration {
+    public function up(): void
+    {
+        Schema::create('blog_posts', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('user_id')->constrained();
+            $table->foreignId('post_user_id')->constrained('users');
+        });
+    }
+};`;
+
+test('dropForeign by constraint name finds the column on a table whose name has underscores', () => {
+    const tables = replay([
+        ['2024_01_01_000000_create_blog_posts_table.php', createBlogPosts],
+        ['2024_01_02_000000_drop_blog_posts_user_foreign.php', `<?php
+return new class extends Migration {
+    public function up(): void
+    {
+        Schema::table('blog_posts', function (Blueprint $table) {
+            $table->dropForeign('blog_posts_user_id_foreign');
+        });
+    }
+};`]
+    ]);
+
+    assert.deepEqual(tables.blog_posts.foreignKeys.map(fk => fk.column), ['post_user_id']);
+});
+
+test('dropForeign by constraint name still matches after the table was renamed', () => {
+    const tables = replay([
+        ['2024_01_01_000000_create_blog_posts_table.php', createBlogPosts],
+        ['2024_01_02_000000_rename_blog_posts.php', `<?php
+return new class extends Migration {
+    public function up(): void
+    {
+        Schema::rename('blog_posts', 'articles');
+        Schema::table('articles', function (Blueprint $table) {
+            $table->dropForeign('blog_posts_post_user_id_foreign');
+        });
+    }
+};`]
+    ]);
+
+    assert.deepEqual(tables.articles.foreignKeys.map(fk => fk.column), ['user_id']);
+    assert.deepEqual(tables.articles.modifiedIn, ['2024_01_02_000000_rename_blog_posts.php']);
+});
+
+test('renaming onto an existing table warns that it was replaced', () => {
+    const tables = replay([
+        ['2024_01_01_000000_create_blog_posts_table.php', createBlogPosts],
+        ['2024_01_01_000001_create_articles_table.php', `<?php
+return new class extends Migration {
+    public function up(): void
+    {
+        Schema::create('articles', function (Blueprint $table) {
+            $table->id();
+        });
+    }
+};`],
+        ['2024_01_02_000000_rename_blog_posts.php', `<?php
+return new class extends Migration {
+    public function up(): void
+    {
+        Schema::rename('blog_posts', 'articles');
+    }
+};`]
+    ]);
+
+    assert.deepEqual(Object.keys(tables), ['articles']);
+    assert.deepEqual(Object.keys(tables.articles.columns), ['id', 'user_id', 'post_user_id']);
+    assert.deepEqual(tables.articles.warnings, [
+        'Renamed to articles in 2024_01_02_000000_rename_blog_posts.php while table articles already existed, replacing it'
+    ]);
+});
+
+test('checks follow a column renamed by a .sql migration', () => {
+    const parser = new SqlMigrationParser('pgsql');
+    const engine = new MigrationReplayEngine();
+    engine.applyMigration(parser.parse(`CREATE TABLE products (
+    id bigserial PRIMARY KEY,
+    price numeric(8, 2) NOT NULL CHECK (price > 0),
+    sale_price numeric(8, 2),
+    note text,
+    CONSTRAINT products_sale_check CHECK (sale_price < "price" AND note <> 'price')
+);`, '001_create_products.sql'));
+    engine.applyMigration(parser.parse(`ALTER TABLE products RENAME COLUMN price TO list_price;
+ALTER TABLE products RENAME COLUMN note TO price_note;`, '002_rename_products_price.sql'));
+
+    assert.deepEqual(engine.getState().tables.products.checks.map(check => [check.name, check.expression]), [
+        ['products_price_check', 'list_price > 0'],
+        ['products_sale_check', 'sale_price < "list_price" AND price_note <> \'price\'']
+    ]);
+});
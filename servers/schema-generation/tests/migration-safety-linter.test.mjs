@@ -0,0 +1,190 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { TaskMasterSchemaGenerator } from '../schema-generator.mjs';
+import { MigrationSafetyLinter } from '../migration-safety-linter.mjs';
+
+const generator = new TaskMasterSchemaGenerator('.');
+const cli = fileURLToPath(new URL('../schema-generator.mjs', import.meta.url));
+
+const createUsers = ['2024_01_01_000000_create_users_table.php', `<?php
+return new class extends Migration {
+    public function up(): void
+    {
+        Schema::create('users', function (Blueprint $table) {
+            $table->id();
+            $table->string('name', 100)->nullable();
+            $table->integer('score');
+            $table->string('email');
+        });
+    }
+
+    public function down(): void
+    {
+        Schema::dropIfExists('users');
+    }
+};`];
+
+// A migration on users whose up() runs `body` and whose down() is not empty
+function usersMigration(filename, body, extra = '') {
+    return [filename, `<?php
+${extra}
+return new class extends Migration {
+    public function up(): void
+    {
+${body}
+    }
+
+    public function down(): void
+    {
+        // Reversed by hand
+        Schema::table('users', function (Blueprint $table) {});
+    }
+};`];
+}
+
+function lint(migrations, options = {}) {
+    const parsed = migrations.map(([filename, content]) => ({ ...generator.parseMigrationFile(content, filename), file: `database/migrations/${filename}`, content }));
+    const targets = new Set(options.targets || migrations.slice(1).map(([filename]) => filename));
+    return new MigrationSafetyLinter().lint(parsed, { targets, strict: options.strict });
+}
+
+const findings = result => result.findings.map(finding => [finding.severity, finding.rule, [finding.table, finding.column].filter(Boolean).join('.')]);
+
+test('destructive Blueprint changes are errors, rewrites and missing rollbacks warnings', () => {
+    const result = lint([createUsers, usersMigration('2024_02_01_000000_reshape_users.php', `
+        Schema::table('users', function (Blueprint $table) {
+            $table->dropColumn('email');
+            $table->renameColumn('name', 'full_name');
+            $table->string('role');
+            $table->boolean('active')->default(true);
+            $table->bigInteger('score')->change();
+        });`), ['2024_02_02_000000_drop_users.php', `<?php
+return new class extends Migration {
+    public function up(): void
+    {
+        Schema::drop('users');
+    }
+};`]]);
+
+    assert.deepEqual(findings(result), [
+        ['error', 'drop-column', 'users.email'],
+        ['error', 'rename-column', 'users.name'],
+        ['error', 'add-required-column', 'users.role'],
+        ['warning', 'change-column', 'users.score'],
+        ['error', 'drop-table', 'users'],
+        ['warning', 'missing-down', '']
+    ]);
+    assert.equal(result.findings[3].message, 'Widens column users.score from integer to bigInteger; the table is rewritten, locking it on large tables');
+    assert.deepEqual(result.summary, { errors: 4, warnings: 2, suppressed: 0 });
+    assert.equal(result.passed, false);
+});
+
+test('narrowing a column or making it required with ->change() is an error', () => {
+    const result = lint([createUsers, usersMigration('2024_02_01_000000_tighten_users.php', `
+        Schema::table('users', function (Blueprint $table) {
+            $table->string('name', 100)->change();
+            $table->text('score')->change();
+        });`)]);
+
+    assert.deepEqual(findings(result), [
+        ['error', 'change-column', 'users.name'],
+        ['error', 'change-column', 'users.score']
+    ]);
+    assert.equal(result.findings[0].message, 'Makes column users.name non-nullable with ->change(); rows holding null fail the migration');
+});
+
+test('renames that copy data, tables created in the same migration and allow comments pass', () => {
+    const result = lint([createUsers, usersMigration('2024_02_01_000000_split_names.php', `
+        Schema::table('users', function (Blueprint $table) {
+            $table->renameColumn('name', 'full_name');
+        });
+        DB::table('users')->update(['full_name' => DB::raw('name')]);
+        Schema::create('teams', function (Blueprint $table) {
+            $table->id();
+            $table->string('slug');
+        });
+        Schema::table('teams', function (Blueprint $table) {
+            $table->dropColumn('slug');
+        });
+        Schema::table('users', function (Blueprint $table) {
+            $table->dropColumn('email'); // migration-lint: allow drop-column
+        });`)]);
+
+    assert.deepEqual(result.findings, []);
+    assert.deepEqual(result.summary, { errors: 0, warnings: 0, suppressed: 1 });
+    assert.equal(result.passed, true);
+});
+
+test('foreign keys need an index of their own, which may follow in the same migration', () => {
+    const result = lint([createUsers, usersMigration('2024_02_01_000000_add_team_keys.php', `
+        Schema::table('users', function (Blueprint $table) {
+            $table->unsignedBigInteger('team_id')->nullable();
+            $table->unsignedBigInteger('manager_id')->nullable();
+            $table->foreign('team_id')->references('id')->on('teams');
+            $table->foreign('manager_id')->references('id')->on('users');
+            $table->index(['manager_id', 'team_id']);
+        });`)]);
+
+    assert.deepEqual(findings(result), [['warning', 'foreign-key-without-index', 'users.team_id']]);
+    assert.equal(result.passed, true);
+    assert.equal(lint([createUsers, usersMigration('2024_02_01_000000_add_team_keys.php', `
+        Schema::table('users', function (Blueprint $table) {
+            $table->foreignId('team_id')->nullable()->constrained();
+        });`)], { strict: true }).passed, false);
+});
+
+test('only the target migrations are linted, against the state the earlier ones built', () => {
+    const dropEmail = usersMigration('2024_02_01_000000_drop_email.php', `
+        Schema::table('users', function (Blueprint $table) {
+            $table->dropColumn('email');
+        });`);
+    const result = lint([createUsers, dropEmail, usersMigration('2024_03_01_000000_add_email.php', `
+        Schema::table('users', function (Blueprint $table) {
+            $table->string('email')->nullable();
+        });`)], { targets: ['2024_03_01_000000_add_email.php'] });
+
+    assert.deepEqual(result.migrations, ['database/migrations/2024_03_01_000000_add_email.php']);
+    assert.deepEqual(result.findings, []);
+});
+
+// Runs `lint-migrations` in a Laravel project holding the users migration plus `migration`
+async function runCli(migration, args) {
+    const projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'migration-lint-'));
+    try {
+        await fs.writeFile(path.join(projectRoot, 'artisan'), '<?php\n');
+        await fs.writeFile(path.join(projectRoot, 'composer.json'), JSON.stringify({ require: { 'laravel/framework': '^11.0' } }));
+        await fs.mkdir(path.join(projectRoot, 'database', 'migrations'), { recursive: true });
+        for (const [filename, content] of [createUsers, migration]) {
+            await fs.writeFile(path.join(projectRoot, 'database', 'migrations', filename), content);
+        }
+        return await new Promise(resolve => {
+            execFile(process.execPath, [cli, 'lint-migrations', ...args], { cwd: projectRoot, timeout: 60000 }, (error, stdout) => {
+                resolve({ code: error ? error.code : 0, stdout });
+            });
+        });
+    } finally {
+        await fs.rm(projectRoot, { recursive: true, force: true });
+    }
+}
+
+test('the lint-migrations command exits 1 on errors, and on warnings only with --strict', async () => {
+    const dropEmail = usersMigration('2024_02_01_000000_drop_email.php', `
+        Schema::table('users', function (Blueprint $table) {
+            $table->dropColumn('email');
+        });`);
+    const changeScore = usersMigration('2024_02_01_000000_widen_score.php', `
+        Schema::table('users', function (Blueprint $table) {
+            $table->bigInteger('score')->change();
+        });`);
+
+    const failed = await runCli(dropEmail, ['--all']);
+    assert.equal(failed.code, 1);
+    assert.match(failed.stdout, /drop-column database\/migrations\/2024_02_01_000000_drop_email\.php users\.email/);
+    assert.equal((await runCli(changeScore, ['--all'])).code, 0);
+    assert.equal((await runCli(changeScore, ['--all', '--strict'])).code, 1);
+});
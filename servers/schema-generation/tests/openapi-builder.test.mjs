@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OpenApiBuilder } from '../openapi-builder.mjs';
+
+const controller = 'App\\Http\\Controllers\\UserController';
+
+function route(uri, method) {
+    return { methods: ['GET', 'HEAD'], uri, middleware: ['api'], action: { type: 'controller', controller, method } };
+}
+
+test('only resources the project defines become components', () => {
+    const document = new OpenApiBuilder().build({
+        api: {
+            routes: [route('api/users', 'index'), route('api/users/{user}/profile', 'profile')],
+            controllers: [{
+                class: 'UserController',
+                namespace: 'App\\Http\\Controllers',
+                methods: [
+                    { name: 'index', resource: { class: 'App\\Http\\Resources\\UserResource', collection: true } },
+                    { name: 'profile', resource: { class: 'App\\Http\\Resources\\ProfileResource', collection: false } }
+                ]
+            }],
+            resources: [{
+                class: 'UserResource',
+                namespace: 'App\\Http\\Resources',
+                wrap: 'data',
+                fields: {
+                    name: { type: 'string' },
+                    team: { resource: 'App\\Http\\Resources\\TeamResource' }
+                }
+            }]
+        }
+    });
+
+    assert.deepEqual(Object.keys(document.components.schemas), ['UserResource']);
+    assert.deepEqual(document.paths['/api/users'].get.responses['200'].content['application/json'].schema.properties.data, {
+        type: 'array',
+        items: { $ref: '#/components/schemas/UserResource' }
+    });
+    assert.deepEqual(document.components.schemas.UserResource.properties.team, { type: 'object' });
+    assert.deepEqual(document.paths['/api/users/{user}/profile'].get.responses['200'].content['application/json'].schema, {
+        type: 'object',
+        properties: { data: { type: 'object' } }
+    });
+});
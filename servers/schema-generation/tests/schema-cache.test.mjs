@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { SchemaCache } from '../schema-cache.mjs';
+
+async function withProject(callback) {
+    const projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'schema-cache-'));
+    try {
+        await callback(projectRoot, path.join(projectRoot, '.taskmaster', 'schemas', 'cache.json'));
+    } finally {
+        await fs.rm(projectRoot, { recursive: true, force: true });
+    }
+}
+
+// Writes the file with an mtime well before now, so an unchanged mtime and size are trusted
+async function writeOld(projectRoot, file, content, mtime = new Date(Date.now() - 60000)) {
+    await fs.mkdir(path.dirname(path.join(projectRoot, file)), { recursive: true });
+    await fs.writeFile(path.join(projectRoot, file), content);
+    await fs.utimes(path.join(projectRoot, file), mtime, mtime);
+}
+
+// Runs a generation with a fresh cache over `files`, returning what was parsed and the cache's report
+async function run(projectRoot, cacheFile, files, key = 'EloquentModelAnalyzer') {
+    const cache = new SchemaCache(projectRoot, cacheFile);
+    await cache.load();
+    const parsed = [];
+    const results = {};
+    for (const file of files) {
+        results[file] = await cache.parse(file, key, content => {
+            parsed.push(file);
+            return { length: content.length, first: content.split('\n')[0] };
+        });
+    }
+    await cache.save();
+    return { parsed, results, report: cache.report() };
+}
+
+test('unchanged files are served from the cache, changed ones parsed again', () => withProject(async (projectRoot, cacheFile) => {
+    await writeOld(projectRoot, 'app/Models/User.php', '<?php\nclass User {}');
+    await writeOld(projectRoot, 'app/Models/Post.php', '<?php\nclass Post {}');
+
+    const first = await run(projectRoot, cacheFile, ['app/Models/User.php', 'app/Models/Post.php']);
+    assert.deepEqual(first.parsed, ['app/Models/User.php', 'app/Models/Post.php']);
+    assert.deepEqual([first.report.hits, first.report.misses], [0, 2]);
+
+    await writeOld(projectRoot, 'app/Models/Post.php', '<?php\nclass Post extends Model {}');
+    const second = await run(projectRoot, cacheFile, ['app/Models/User.php', 'app/Models/Post.php']);
+    assert.deepEqual(second.parsed, ['app/Models/Post.php']);
+    assert.deepEqual(second.report.files, { 'app/Models/User.php': 'hit', 'app/Models/Post.php': 'miss' });
+    assert.deepEqual(second.results['app/Models/User.php'], first.results['app/Models/User.php']);
+}));
+
+test('a touched file is hashed, and parsed again only when its content changed', () => withProject(async (projectRoot, cacheFile) => {
+    await writeOld(projectRoot, 'app/Models/User.php', '<?php\nclass User {}');
+    await run(projectRoot, cacheFile, ['app/Models/User.php']);
+
+    await writeOld(projectRoot, 'app/Models/User.php', '<?php\nclass User {}', new Date(Date.now() - 30000));
+    assert.deepEqual((await run(projectRoot, cacheFile, ['app/Models/User.php'])).parsed, []);
+
+    // Same size and mtime, but recorded too close to the edit for the mtime to be trusted
+    const mtime = new Date();
+    await writeOld(projectRoot, 'app/Models/User.php', '<?php\nclass Team {}', mtime);
+    await run(projectRoot, cacheFile, ['app/Models/User.php']);
+    await writeOld(projectRoot, 'app/Models/User.php', '<?php\nclass Role {}', mtime);
+    const edited = await run(projectRoot, cacheFile, ['app/Models/User.php']);
+    assert.deepEqual(edited.parsed, ['app/Models/User.php']);
+}));
+
+test('each parser key is cached on its own, and only files parsed this run are kept', () => withProject(async (projectRoot, cacheFile) => {
+    await writeOld(projectRoot, 'app/Models/User.php', '<?php\nclass User {}');
+    await writeOld(projectRoot, 'app/Models/Post.php', '<?php\nclass Post {}');
+    await run(projectRoot, cacheFile, ['app/Models/User.php', 'app/Models/Post.php']);
+
+    assert.deepEqual((await run(projectRoot, cacheFile, ['app/Models/User.php'], 'FormRequestAnalyzer')).parsed, ['app/Models/User.php']);
+    const stored = JSON.parse(await fs.readFile(cacheFile, 'utf8'));
+    assert.deepEqual(Object.keys(stored.files), ['app/Models/User.php']);
+    assert.deepEqual(Object.keys(stored.files['app/Models/User.php'].results), ['EloquentModelAnalyzer', 'FormRequestAnalyzer']);
+}));
+
+test('a cache written by other generator code is thrown away', () => withProject(async (projectRoot, cacheFile) => {
+    await writeOld(projectRoot, 'app/Models/User.php', '<?php\nclass User {}');
+    await run(projectRoot, cacheFile, ['app/Models/User.php']);
+
+    const stored = JSON.parse(await fs.readFile(cacheFile, 'utf8'));
+    assert.equal(stored.codeVersion, await SchemaCache.codeVersion());
+    await fs.writeFile(cacheFile, JSON.stringify({ ...stored, codeVersion: 'an older generator' }));
+
+    assert.deepEqual((await run(projectRoot, cacheFile, ['app/Models/User.php'])).parsed, ['app/Models/User.php']);
+}));
+
+test('a disabled cache parses every file and stores nothing', () => withProject(async (projectRoot, cacheFile) => {
+    await writeOld(projectRoot, 'app/Models/User.php', '<?php\nclass User {}');
+    await run(projectRoot, cacheFile, ['app/Models/User.php']);
+    await fs.rm(cacheFile);
+
+    const cache = new SchemaCache(projectRoot, cacheFile, { enabled: false });
+    await cache.load();
+    let parses = 0;
+    await cache.parse('app/Models/User.php', 'EloquentModelAnalyzer', () => parses++);
+    await cache.parse('app/Models/User.php', 'EloquentModelAnalyzer', () => parses++);
+    await cache.save();
+
+    assert.equal(parses, 2);
+    await assert.rejects(fs.access(cacheFile));
+}));
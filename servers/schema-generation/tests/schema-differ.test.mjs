@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TaskMasterSchemaGenerator } from '../schema-generator.mjs';
+import { MigrationReplayEngine } from '../migration-replay.mjs';
+import { SchemaDiffer } from '../schema-differ.mjs';
+
+const generator = new TaskMasterSchemaGenerator('.');
+
+function databaseAfter(migrations) {
+    const engine = new MigrationReplayEngine();
+    for (const [filename, content] of migrations) {
+        engine.applyMigration(generator.parseMigrationFile(content, filename));
+    }
+    return { database: { tables: engine.getState().tables } };
+}
+
+const createUsers = ['2024_01_01_000000_create_users_table.php', `<?php
+return new class extends Migration {
+    public function up(): void
+    {
+        Schema::create('users', function (Blueprint $table) {
+            $table->id();
+            $table->string('email')->unique();
+            $table->foreignId('team_id')->constrained();
+        });
+    }
+};`];
+
+const renameEmail = ['2024_01_02_000000_rename_users_email.php', `<?php
+return new class extends Migration {
+    public function up(): void
+    {
+        Schema::table('users', function (Blueprint $table) {
+            $table->renameColumn('email', 'login');
+            $table->renameColumn('team_id', 'organisation_id');
+        });
+    }
+};`];
+
+test('a renamed column is one renamed change, and its index and foreign key follow it', () => {
+    const diff = new SchemaDiffer().diff(databaseAfter([createUsers]), databaseAfter([createUsers, renameEmail]));
+
+    assert.deepEqual(diff.changes.map(change => [change.type, change.change, change.name, change.breaking]), [
+        ['column', 'renamed', 'users.login', true],
+        ['column', 'renamed', 'users.organisation_id', true]
+    ]);
+    assert.deepEqual([diff.changes[0].from, diff.changes[0].to], ['email', 'login']);
+});
+
+test('an index keeps its identity by name when its columns change', () => {
+    const diff = new SchemaDiffer().diff(databaseAfter([createUsers]), databaseAfter([createUsers, ['2024_01_03_000000_widen_email_unique.php', `<?php
+return new class extends Migration {
+    public function up(): void
+    {
+        Schema::table('users', function (Blueprint $table) {
+            $table->dropUnique('users_email_unique');
+            $table->unique(['email', 'team_id'], 'users_email_unique');
+            $table->index('team_id');
+        });
+    }
+};`]]));
+
+    assert.deepEqual(diff.changes.map(change => [change.type, change.change, change.name, change.breaking]), [
+        ['index', 'changed', 'users users_email_unique', true],
+        ['index', 'added', 'users index (team_id)', false]
+    ]);
+    assert.equal(diff.changes[0].reason, 'Now unique (email, team_id) instead of unique (email); existing duplicates and duplicate writes fail');
+});
@@ -0,0 +1,161 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { TaskMasterSchemaGenerator } from '../schema-generator.mjs';
+import { MigrationReplayEngine } from '../migration-replay.mjs';
+
+const generator = new TaskMasterSchemaGenerator('.');
+
+function replay(migrations) {
+    const engine = new MigrationReplayEngine();
+    for (const [filename, content] of migrations) {
+        engine.applyMigration(generator.parseMigrationFile(content, filename));
+    }
+    return engine.getState();
+}
+
+const createCodes = `<?php
+return new class extends Migration {
+    public function up(): void
+    {
+        Schema::create('codes', function (Blueprint $table) {
+            $table->uuid('code')->primary();
+            $table->foreignId('team_id')->unique('codes_team_unique')->constrained();
+            $table->ipAddress()->index();
+        });
+    }
+};`;
+
+test('column helpers take the same index modifiers as plain columns', () => {
+    const { tables } = replay([['2024_01_01_000000_create_codes_table.php', createCodes]]);
+    const codes = tables.codes;
+
+    assert.equal(codes.columns.code.primary, true);
+    assert.deepEqual(codes.indexes.map(index => [index.type, index.name, index.columns]), [
+        ['primary', 'codes_code_primary', ['code']],
+        ['unique', 'codes_team_unique', ['team_id']],
+        ['index', 'codes_ip_address_index', ['ip_address']]
+    ]);
+    assert.deepEqual(codes.foreignKeys.map(fk => [fk.column, fk.on]), [['team_id', 'teams']]);
+});
+
+test('indexes and the constraints built from them get their own column lists', () => {
+    const state = replay([['2024_01_01_000000_create_codes_table.php', createCodes]]);
+    const schema = { indexes: [], constraints: [] };
+    generator.applyMigrationState(schema, state);
+
+    const primaryIndex = schema.indexes.find(index => index.type === 'primary');
+    const primaryKey = schema.constraints.find(constraint => constraint.type === 'primary_key');
+    assert.deepEqual(primaryKey.columns, ['code']);
+    assert.notEqual(primaryKey.columns, primaryIndex.columns);
+    assert.notEqual(primaryIndex.columns, state.tables.codes.indexes[0].columns);
+});
+
+test('YAML output repeats shared objects instead of writing aliases', () => {
+    const columns = ['team_id', 'code'];
+    const yaml = generator.renderSchema('database', {
+        indexes: [{ table: 'codes', type: 'unique', columns }],
+        constraints: [{ table: 'codes', type: 'unique', columns }]
+    }, 'yaml');
+
+    assert.doesNotMatch(yaml, /[&*]ref_\d+/);
+    assert.equal(yaml.match(/team_id/g).length, 2);
+});
+
+test('metadata and history entries repeat a shared git state instead of writing aliases', async () => {
+    const projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'schema-project-'));
+    try {
+        const project = new TaskMasterSchemaGenerator(projectRoot);
+        const git = { commit: '1a2b3c4d5e6f', branch: 'main', dirty: false };
+        await project.ensureDirectories();
+        await project.writeCurrentSchemas({ metadata: { git, restoredGit: git } });
+        await project.logHistory({ version: 'v2026-10-19T14-53-01-123Z', git, trigger: { context: 'manual', git } });
+
+        for (const file of [path.join(project.currentDir, 'metadata.yml'), path.join(project.historyDir, 'changes.yml')]) {
+            const yaml = await fs.readFile(file, 'utf8');
+            assert.doesNotMatch(yaml, /[&*]ref_\d+/);
+            assert.equal(yaml.match(/1a2b3c4d5e6f/g).length, 2);
+        }
+    } finally {
+        await fs.rm(projectRoot, { recursive: true, force: true });
+    }
+});
+
+test('table-level Blueprint calls define no columns', () => {
+    const { tables } = replay([['2024_01_01_000000_create_products_table.php', `<?php
+return new class extends Migration {
+    public function up(): void
+    {
+        Schema::create('products', function (Blueprint $table) {
+            $table->engine = 'InnoDB';
+            $table->id();
+            $table->string('slug');
+            $table->check('length(slug) > 3');
+            $table->check('id > 0', 'products_id_positive');
+            $table->comment('Catalogue entries');
+            $table->charset('utf8mb4');
+            $table->collation('utf8mb4_unicode_ci');
+            $table->softDeletesMacro('archived');
+        });
+    }
+};`]]);
+    const products = tables.products;
+
+    assert.deepEqual(Object.keys(products.columns), ['id', 'slug']);
+    assert.deepEqual(products.checks.map(check => [check.name, check.expression]), [
+        ['products_check', 'length(slug) > 3'],
+        ['products_id_positive', 'id > 0']
+    ]);
+    assert.deepEqual(products.options, {
+        engine: 'InnoDB',
+        comment: 'Catalogue entries',
+        charset: 'utf8mb4',
+        collation: 'utf8mb4_unicode_ci'
+    });
+});
+
+test('restoring a version writes the OpenAPI document it was generated from, not the project\'s current one', async () => {
+    const projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'schema-project-'));
+    const specification = title => `openapi: 3.1.0\ninfo:\n  title: ${title}\n  version: 1.0.0\npaths: {}\n`;
+    try {
+        const project = new TaskMasterSchemaGenerator(projectRoot);
+        await fs.mkdir(path.join(projectRoot, 'api'));
+        await fs.writeFile(path.join(projectRoot, 'api', 'openapi.yaml'), specification('Orders v1'));
+        await project.ensureDirectories();
+        await project.saveSchemas({
+            metadata: { framework: { type: 'unknown' }, generatedAt: '2026-10-19T14:00:00.000Z' },
+            api: { type: 'api_documentation', openapi: 'api/openapi.yaml', routes: [] }
+        });
+
+        await fs.writeFile(path.join(projectRoot, 'api', 'openapi.yaml'), specification('Orders v2'));
+        await project.restoreSchemaVersion('latest');
+
+        const restored = await fs.readFile(path.join(project.currentDir, 'openapi.yaml'), 'utf8');
+        assert.match(restored, /title: Orders v1/);
+    } finally {
+        await fs.rm(projectRoot, { recursive: true, force: true });
+    }
+});
+
+test('structure lists files without their text unless asked to include it', async () => {
+    const projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'schema-project-'));
+    const model = '<?php\n\nnamespace App\\Models;\n\nclass User extends Model\n{\n}\n';
+    try {
+        await fs.writeFile(path.join(projectRoot, 'artisan'), '<?php\n');
+        await fs.writeFile(path.join(projectRoot, 'composer.json'), JSON.stringify({ require: { 'laravel/framework': '^11.0' } }));
+        await fs.mkdir(path.join(projectRoot, 'app', 'Models'), { recursive: true });
+        await fs.writeFile(path.join(projectRoot, 'app', 'Models', 'User.php'), model);
+        const project = new TaskMasterSchemaGenerator(projectRoot);
+
+        const listed = (await project.readSchemas(null, { cache: false })).componentArchitecture.structure.models['User.php'];
+        assert.deepEqual(Object.keys(listed), ['path', 'size', 'lastModified']);
+        assert.equal(listed.size, model.length);
+
+        const included = (await project.readSchemas(null, { cache: false, includeContent: true })).componentArchitecture.structure.models['User.php'];
+        assert.equal(included.content, model);
+    } finally {
+        await fs.rm(projectRoot, { recursive: true, force: true });
+    }
+});
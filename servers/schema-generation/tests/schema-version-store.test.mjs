@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { SchemaVersionStore } from '../schema-version-store.mjs';
+
+async function withStore(callback) {
+    const versionsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'schema-versions-'));
+    try {
+        await callback(new SchemaVersionStore(versionsDir), versionsDir);
+    } finally {
+        await fs.rm(versionsDir, { recursive: true, force: true });
+    }
+}
+
+test('snapshots repeat shared objects instead of writing aliases', () => withStore(async (store, versionsDir) => {
+    const columns = ['team_id', 'code'];
+    await store.save('v2026-10-19T14-53-01-123Z', {
+        database: { indexes: [{ table: 'codes', columns }], constraints: [{ table: 'codes', columns }] }
+    });
+
+    const yaml = await fs.readFile(path.join(versionsDir, 'v2026-10-19T14-53-01-123Z', 'database.yml'), 'utf8');
+    assert.doesNotMatch(yaml, /[&*]ref_\d+/);
+    assert.deepEqual((await store.read('v2026-10-19T14-53-01-123Z')).database.constraints[0].columns, columns);
+}));
+
+test('ISO weeks start on Monday and belong to the year of their Thursday', () => {
+    const store = new SchemaVersionStore('versions');
+
+    assert.equal(store.isoWeek(new Date('2026-10-18T23:59:59Z')), '2026-W42');
+    assert.equal(store.isoWeek(new Date('2026-10-19T00:00:00Z')), '2026-W43');
+    assert.equal(store.isoWeek(new Date('2027-01-01T12:00:00Z')), '2026-W53');
+    assert.equal(store.isoWeek(new Date('2024-12-30T12:00:00Z')), '2025-W01');
+});
+
+test('retention keeps the newest versions plus the newest of each recent day and week', () => {
+    const store = new SchemaVersionStore('versions');
+    const versions = [
+        'v2026-10-19T14-00-00-000Z',
+        'v2026-10-19T09-00-00-000Z',
+        'v2026-10-18T20-00-00-000Z',
+        'v2026-10-17T20-00-00-000Z',
+        'v2026-10-11T20-00-00-000Z',
+        'v2026-10-05T08-00-00-000Z',
+        'v2026-09-20T08-00-00-000Z'
+    ];
+
+    assert.deepEqual(store.retained(versions, { keep: 1, daily: 2, weekly: 3 }), [
+        'v2026-10-19T14-00-00-000Z',
+        'v2026-10-18T20-00-00-000Z',
+        'v2026-10-11T20-00-00-000Z'
+    ]);
+    assert.deepEqual(store.retained(versions, { keep: 3, daily: 0, weekly: 0 }), versions.slice(0, 3));
+    // The newest version survives even a policy that keeps nothing
+    assert.deepEqual(store.retained(versions, { keep: 0, daily: 0, weekly: 0 }), versions.slice(0, 1));
+});
+
+test('pruning removes what the policy drops and gzips kept versions past compressAfter', () => withStore(async (store, versionsDir) => {
+    const versions = ['v2026-10-19T14-00-00-000Z', 'v2026-10-18T14-00-00-000Z', 'v2026-10-17T14-00-00-000Z', 'v2026-10-16T14-00-00-000Z'];
+    for (const version of versions) {
+        await store.save(version, { metadata: { version } });
+    }
+
+    const result = await store.prune({ keep: 3, daily: 0, weekly: 0, compressAfter: 1 });
+
+    assert.deepEqual(result, {
+        kept: versions.slice(0, 3),
+        removed: [versions[3]],
+        compressed: versions.slice(1, 3)
+    });
+    assert.deepEqual((await store.list()).map(entry => [entry.version, entry.compressed]), [
+        [versions[0], false],
+        [versions[1], true],
+        [versions[2], true]
+    ]);
+    assert.deepEqual(await fs.readdir(path.join(versionsDir, versions[1])), ['metadata.yml.gz']);
+    assert.deepEqual(await store.read(versions[1]), { metadata: { version: versions[1] } });
+}));
+
+test('versions resolve by full name, name without v, unique prefix or latest', () => withStore(async store => {
+    for (const version of ['v2026-10-19T14-00-00-000Z', 'v2026-10-19T09-00-00-000Z', 'v2026-10-18T20-00-00-000Z']) {
+        await store.save(version, { metadata: {} });
+    }
+
+    assert.equal(await store.resolve('latest'), 'v2026-10-19T14-00-00-000Z');
+    assert.equal(await store.resolve('v2026-10-19T09-00-00-000Z'), 'v2026-10-19T09-00-00-000Z');
+    assert.equal(await store.resolve('2026-10-19T09-00-00-000Z'), 'v2026-10-19T09-00-00-000Z');
+    assert.equal(await store.resolve('2026-10-18'), 'v2026-10-18T20-00-00-000Z');
+    await assert.rejects(store.resolve('2026-10-19'), /ambiguous: v2026-10-19T14-00-00-000Z, v2026-10-19T09-00-00-000Z/);
+    await assert.rejects(store.resolve('2026-09'), /not found/);
+}));
+
+test('files saved alongside a version read back after it is gzipped', () => withStore(async store => {
+    await store.save('v2026-10-19T14-00-00-000Z', { metadata: {} }, { 'openapi.yaml': 'openapi: 3.1.0\n' });
+
+    assert.equal(await store.readFile('v2026-10-19T14-00-00-000Z', 'openapi.yaml'), 'openapi: 3.1.0\n');
+    await store.compress('v2026-10-19T14-00-00-000Z');
+    assert.equal(await store.readFile('v2026-10-19T14-00-00-000Z', 'openapi.yaml'), 'openapi: 3.1.0\n');
+    assert.equal(await store.readFile('v2026-10-19T14-00-00-000Z', 'missing.yaml'), null);
+    assert.deepEqual(Object.keys(await store.read('v2026-10-19T14-00-00-000Z')), ['metadata']);
+}));
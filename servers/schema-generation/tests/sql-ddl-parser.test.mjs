@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SqlDdlParser } from '../sql-ddl-parser.mjs';
+
+test('reads squashed migrations from the COPY block of a pg_dump schema dump', () => {
+    const sql = `SET search_path = public;
+
+CREATE TABLE public.users (
+    id bigint NOT NULL,
+    name character varying(255) NOT NULL
+);
+
+CREATE TABLE public.migrations (
+    id integer NOT NULL,
+    migration character varying(255) NOT NULL,
+    batch integer NOT NULL
+);
+
+COPY public.migrations (id, migration, batch) FROM stdin;
+1\t2014_10_12_000000_create_users_table\t1
+2\t2019_08_19_000000_create_failed_jobs_table\t1
+\\.
+
+ALTER TABLE ONLY public.users
+    ADD CONSTRAINT users_pkey PRIMARY KEY (id);
+`;
+
+    const dump = new SqlDdlParser('database/schema/pgsql-schema.sql').parse(sql);
+
+    assert.equal(dump.dialect, 'pgsql');
+    assert.deepEqual(dump.migrations, ['2014_10_12_000000_create_users_table', '2019_08_19_000000_create_failed_jobs_table']);
+    assert.deepEqual(Object.keys(dump.tables).sort(), ['migrations', 'users']);
+    assert.equal(dump.tables.users.columns.id.primary, true);
+});
+
+test('reads Rails schema_migrations versions from a COPY block', () => {
+    const sql = `COPY public.schema_migrations (version) FROM stdin;
+20240101120000
+20240215093000
+\\.
+`;
+
+    assert.deepEqual(new SqlDdlParser('db/structure.sql', 'pgsql').parse(sql).migrations, ['20240101120000', '20240215093000']);
+});